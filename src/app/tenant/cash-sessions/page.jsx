@@ -0,0 +1,24 @@
+import { paths } from 'src/routes/paths';
+
+import { createLazyView } from 'src/utils/dynamic-imports';
+
+import { CONFIG } from 'src/global-config';
+
+import { PermissionPageGuard } from 'src/auth/guard';
+
+// ----------------------------------------------------------------------
+
+const CashSessionListView = createLazyView(
+  () => import('src/sections/tenant/cash-sessions/list/cash-session-list-view'),
+  'CashSessionListView'
+);
+
+export const metadata = { title: `Cash Drawer - ${CONFIG.appName}` };
+
+export default function Page() {
+  return (
+    <PermissionPageGuard path={paths.tenant.cashSessions.root}>
+      <CashSessionListView />
+    </PermissionPageGuard>
+  );
+}
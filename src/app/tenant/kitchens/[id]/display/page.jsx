@@ -0,0 +1,26 @@
+import { paths } from 'src/routes/paths';
+
+import { createLazyView } from 'src/utils/dynamic-imports';
+
+import { CONFIG } from 'src/global-config';
+
+import { PermissionPageGuard } from 'src/auth/guard';
+
+// ----------------------------------------------------------------------
+
+const KitchenDisplayView = createLazyView(
+  () => import('src/sections/tenant/kitchens/display/kitchen-display-view'),
+  'KitchenDisplayView'
+);
+
+export const metadata = { title: `Kitchen Display - ${CONFIG.appName}` };
+
+export default async function Page({ params }) {
+  const { id } = await params;
+
+  return (
+    <PermissionPageGuard path={paths.tenant.kitchens.display(':id')}>
+      <KitchenDisplayView kitchenId={id} />
+    </PermissionPageGuard>
+  );
+}
@@ -1,9 +1,24 @@
-import { redirect } from 'next/navigation';
-
 import { paths } from 'src/routes/paths';
 
+import { createLazyView } from 'src/utils/dynamic-imports';
+
+import { CONFIG } from 'src/global-config';
+
+import { PermissionPageGuard } from 'src/auth/guard';
+
 // ----------------------------------------------------------------------
 
-export default function TenantPage() {
-  redirect(paths.tenant.items.root);
+const TenantDashboardView = createLazyView(
+  () => import('src/sections/tenant/dashboard/view/tenant-dashboard-view'),
+  'TenantDashboardView'
+);
+
+export const metadata = { title: `Dashboard - ${CONFIG.appName}` };
+
+export default function Page() {
+  return (
+    <PermissionPageGuard path={paths.tenant.root}>
+      <TenantDashboardView />
+    </PermissionPageGuard>
+  );
 }
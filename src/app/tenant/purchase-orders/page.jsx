@@ -0,0 +1,24 @@
+import { paths } from 'src/routes/paths';
+
+import { createLazyView } from 'src/utils/dynamic-imports';
+
+import { CONFIG } from 'src/global-config';
+
+import { PermissionPageGuard } from 'src/auth/guard';
+
+// ----------------------------------------------------------------------
+
+const PurchaseOrderListView = createLazyView(
+  () => import('src/sections/tenant/purchase-orders/list/purchase-order-list-view'),
+  'PurchaseOrderListView'
+);
+
+export const metadata = { title: `Purchase Orders - ${CONFIG.appName}` };
+
+export default function Page() {
+  return (
+    <PermissionPageGuard path={paths.tenant.purchaseOrders.root}>
+      <PurchaseOrderListView />
+    </PermissionPageGuard>
+  );
+}
@@ -0,0 +1,21 @@
+import { paths } from 'src/routes/paths';
+
+import { createLazyView } from 'src/utils/dynamic-imports';
+
+import { CONFIG } from 'src/global-config';
+
+import { PermissionPageGuard } from 'src/auth/guard';
+
+// ----------------------------------------------------------------------
+
+const ReportView = createLazyView(() => import('src/sections/tenant/reports/view/report-view'), 'ReportView');
+
+export const metadata = { title: `Reports - ${CONFIG.appName}` };
+
+export default function Page() {
+  return (
+    <PermissionPageGuard path={paths.tenant.reports.root}>
+      <ReportView />
+    </PermissionPageGuard>
+  );
+}
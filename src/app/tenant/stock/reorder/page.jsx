@@ -0,0 +1,24 @@
+import { paths } from 'src/routes/paths';
+
+import { createLazyView } from 'src/utils/dynamic-imports';
+
+import { CONFIG } from 'src/global-config';
+
+import { PermissionPageGuard } from 'src/auth/guard';
+
+// ----------------------------------------------------------------------
+
+const StockReorderView = createLazyView(
+  () => import('src/sections/tenant/stock/reorder/stock-reorder-view'),
+  'StockReorderView'
+);
+
+export const metadata = { title: `Reorder - ${CONFIG.appName}` };
+
+export default function Page() {
+  return (
+    <PermissionPageGuard path={paths.tenant.stock.reorder}>
+      <StockReorderView />
+    </PermissionPageGuard>
+  );
+}
@@ -0,0 +1,26 @@
+import { paths } from 'src/routes/paths';
+
+import { createLazyView } from 'src/utils/dynamic-imports';
+
+import { CONFIG } from 'src/global-config';
+
+import { PermissionPageGuard } from 'src/auth/guard';
+
+// ----------------------------------------------------------------------
+
+const SupplierDetailsView = createLazyView(
+  () => import('src/sections/tenant/suppliers/details/supplier-details-view'),
+  'SupplierDetailsView'
+);
+
+export const metadata = { title: `Supplier - ${CONFIG.appName}` };
+
+export default async function Page({ params }) {
+  const { id } = await params;
+
+  return (
+    <PermissionPageGuard path={paths.tenant.suppliers.details(':id')}>
+      <SupplierDetailsView supplierId={id} />
+    </PermissionPageGuard>
+  );
+}
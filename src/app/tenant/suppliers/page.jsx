@@ -0,0 +1,24 @@
+import { paths } from 'src/routes/paths';
+
+import { createLazyView } from 'src/utils/dynamic-imports';
+
+import { CONFIG } from 'src/global-config';
+
+import { PermissionPageGuard } from 'src/auth/guard';
+
+// ----------------------------------------------------------------------
+
+const SupplierListView = createLazyView(
+  () => import('src/sections/tenant/suppliers/list/supplier-list-view'),
+  'SupplierListView'
+);
+
+export const metadata = { title: `Suppliers - ${CONFIG.appName}` };
+
+export default function Page() {
+  return (
+    <PermissionPageGuard path={paths.tenant.suppliers.root}>
+      <SupplierListView />
+    </PermissionPageGuard>
+  );
+}
@@ -0,0 +1,24 @@
+import { paths } from 'src/routes/paths';
+
+import { createLazyView } from 'src/utils/dynamic-imports';
+
+import { CONFIG } from 'src/global-config';
+
+import { PermissionPageGuard } from 'src/auth/guard';
+
+// ----------------------------------------------------------------------
+
+const TableFloorPlanView = createLazyView(
+  () => import('src/sections/tenant/tables/floor-plan/table-floor-plan-view'),
+  'TableFloorPlanView'
+);
+
+export const metadata = { title: `Floor Plan - ${CONFIG.appName}` };
+
+export default function Page() {
+  return (
+    <PermissionPageGuard path={paths.tenant.tables.floorPlan}>
+      <TableFloorPlanView />
+    </PermissionPageGuard>
+  );
+}
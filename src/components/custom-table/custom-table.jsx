@@ -63,7 +63,8 @@ import { normalizeRows, normalizeColumns, normalizeToolbar, hasConfirmationDialo
  * @param {Function} [props.onRetry] - Callback when user clicks Retry (e.g. refetch)
  * @param {string} [props.errorEntityLabel] - Label for error message, e.g. "recipes" -> "Error loading recipes"
  * @param {object} [props.errorMessageOptions] - Options for getApiErrorMessage (e.g. noContextMessage, forbiddenMessage)
- * @param {object} props.otherProps - All other DataGrid props
+ * @param {object} props.otherProps - All other DataGrid props (e.g. columnVisibilityModel /
+ *   onColumnVisibilityModelChange to control hidden columns)
  */
 function CustomTableComponent({
   rows: rowsProp = [],
@@ -0,0 +1,85 @@
+'use client';
+
+import { usePopover } from 'minimal-shared/hooks';
+
+import MenuItem from '@mui/material/MenuItem';
+import MenuList from '@mui/material/MenuList';
+import ListSubheader from '@mui/material/ListSubheader';
+
+import { EXPORT_FORMAT_OPTIONS } from 'src/utils/export-file';
+
+import { Iconify } from 'src/components/iconify';
+import { Field } from 'src/components/hook-form';
+import { CustomPopover } from 'src/components/custom-popover';
+
+// ----------------------------------------------------------------------
+
+/**
+ * "Export" button with a format menu (CSV, XLSX, PDF). Formatting and downloading are up to the
+ * caller, usually through exportTable from src/utils/export-file. With `scopes` the menu lists the
+ * formats once per scope (e.g. current page / all pages) and the scope id is passed along.
+ *
+ * @param {Object} props
+ * @param {Function} props.onExport - (format, scope?) => void | Promise
+ * @param {Array<'csv'|'xlsx'|'pdf'>} [props.formats] - Defaults to all
+ * @param {Array<{ id: string, label: string, disabled?: boolean }>} [props.scopes]
+ * @param {boolean} [props.loading]
+ * @param {boolean} [props.disabled]
+ */
+export function ExportMenuButton({ onExport, formats, scopes, loading, disabled, sx }) {
+  const popover = usePopover();
+
+  const options = formats
+    ? EXPORT_FORMAT_OPTIONS.filter((option) => formats.includes(option.id))
+    : EXPORT_FORMAT_OPTIONS;
+
+  const handleSelect = (format, scope) => {
+    popover.onClose();
+    onExport(format, scope);
+  };
+
+  const renderOptions = (scope) =>
+    options.map((option) => (
+      <MenuItem
+        key={scope ? `${scope.id}-${option.id}` : option.id}
+        disabled={scope?.disabled}
+        onClick={() => handleSelect(option.id, scope?.id)}
+      >
+        <Iconify icon={option.icon} />
+        {option.label}
+      </MenuItem>
+    ));
+
+  return (
+    <>
+      <Field.Button
+        variant="outlined"
+        color="inherit"
+        startIcon="solar:export-bold"
+        onClick={popover.onOpen}
+        loading={loading}
+        disabled={disabled || loading}
+        sx={{ minHeight: 44, ...sx }}
+      >
+        Export
+      </Field.Button>
+
+      <CustomPopover open={popover.open} anchorEl={popover.anchorEl} onClose={popover.onClose}>
+        <MenuList>
+          {scopes
+            ? scopes.flatMap((scope) => [
+                <ListSubheader
+                  key={scope.id}
+                  disableSticky
+                  sx={{ px: 1, lineHeight: '32px', typography: 'overline', color: 'text.disabled' }}
+                >
+                  {scope.label}
+                </ListSubheader>,
+                ...renderOptions(scope),
+              ])
+            : renderOptions()}
+        </MenuList>
+      </CustomPopover>
+    </>
+  );
+}
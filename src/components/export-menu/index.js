@@ -0,0 +1,2 @@
+export { ExportMenuButton } from './export-menu-button';
+export { EXPORT_SCOPE, useListExport } from './use-list-export';
@@ -0,0 +1,138 @@
+import { useRef, useState, useCallback } from 'react';
+
+import { getApiErrorMessage } from 'src/utils/api-error-message';
+import { exportTable, EXPORT_FORMAT, toExportColumns } from 'src/utils/export-file';
+
+import { useAppDispatch } from 'src/store/hooks';
+
+import { toast } from 'src/components/snackbar';
+
+// ----------------------------------------------------------------------
+
+export const EXPORT_SCOPE = {
+  page: 'page',
+  all: 'all',
+};
+
+export const LIST_EXPORT_FORMATS = [EXPORT_FORMAT.csv, EXPORT_FORMAT.xlsx];
+
+// Page size used to fetch every page for "All pages"; the largest size the list views offer
+export const LIST_EXPORT_PAGE_SIZE = 100;
+
+// Safety cap for "All pages" so a huge list cannot lock up the browser
+export const LIST_EXPORT_MAX_ROWS = 10000;
+
+const SCOPE_OPTIONS = [
+  { id: EXPORT_SCOPE.page, label: 'Current page' },
+  { id: EXPORT_SCOPE.all, label: 'All pages' },
+];
+
+// ----------------------------------------------------------------------
+
+/**
+ * CSV / XLSX export for a server-paginated list view: `<ExportMenuButton {...useListExport(...)} />`.
+ *
+ * "Current page" writes the rows on screen. "All pages" fetches every page through the same RTK
+ * Query endpoint with the view's query params (so search and filters apply), maps the records with
+ * the view's `toRow` and writes them. Both use the grid columns the user has not hidden, with their
+ * formatted values (see toExportColumns); spread `tableProps` on the CustomTable so the hook sees
+ * its column visibility:
+ *
+ *   const { tableProps: exportTableProps, ...exportMenuProps } = useListExport(...);
+ *   <CustomTable {...exportTableProps} ... />
+ *
+ * @param {Object} options
+ * @param {Object} options.endpoint - RTK Query endpoint, e.g. itemsApi.endpoints.getItems
+ * @param {Object} options.queryParams - The list query params (pageNumber / pageSize are replaced)
+ * @param {Array<Object>} options.rows - Rows of the current page
+ * @param {Function} options.toRow - (record) => row, the mapping used for the grid rows
+ * @param {Array<Object>} options.columns - Grid columns
+ * @param {Function} [options.filterRows] - (rows) => rows, for views that filter on the client
+ * @param {string} options.filename - Without extension, e.g. "Items"
+ * @returns {Object} Props for ExportMenuButton, plus `tableProps` for the CustomTable
+ */
+export function useListExport({
+  endpoint,
+  queryParams,
+  rows,
+  toRow,
+  columns,
+  filterRows,
+  filename,
+}) {
+  const dispatch = useAppDispatch();
+
+  const [isExporting, setIsExporting] = useState(false);
+  const isExportingRef = useRef(false);
+  const [columnVisibilityModel, setColumnVisibilityModel] = useState({});
+
+  const fetchAllRows = useCallback(async () => {
+    const records = [];
+    let pageNumber = 1;
+    let hasNextPage = true;
+
+    while (hasNextPage && records.length < LIST_EXPORT_MAX_ROWS) {
+      // subscribe: false – one-off reads; the list's own cache entry is left alone
+      const response = await dispatch(
+        endpoint.initiate(
+          { ...queryParams, pageNumber, pageSize: LIST_EXPORT_PAGE_SIZE },
+          { subscribe: false, forceRefetch: true }
+        )
+      ).unwrap();
+
+      const data = response?.data ?? [];
+      records.push(...data);
+      hasNextPage =
+        data.length > 0 &&
+        (response?.hasNextPage ?? pageNumber < (response?.totalPages ?? 0));
+      pageNumber += 1;
+    }
+
+    if (hasNextPage) {
+      toast.warning(`Only the first ${LIST_EXPORT_MAX_ROWS.toLocaleString()} rows were exported`);
+    }
+
+    const allRows = records.slice(0, LIST_EXPORT_MAX_ROWS).map(toRow);
+    return filterRows ? filterRows(allRows) : allRows;
+  }, [dispatch, endpoint, queryParams, toRow, filterRows]);
+
+  const handleExport = useCallback(
+    async (format, scope) => {
+      if (isExportingRef.current) return;
+      isExportingRef.current = true;
+      setIsExporting(true);
+      try {
+        const exportRows = scope === EXPORT_SCOPE.all ? await fetchAllRows() : rows;
+        await exportTable(format, {
+          filename: scope === EXPORT_SCOPE.all ? filename : `${filename} page ${queryParams?.pageNumber ?? 1}`,
+          columns: toExportColumns(columns, columnVisibilityModel),
+          rows: exportRows,
+        });
+      } catch (err) {
+        const { message, isRetryable } = getApiErrorMessage(err, {
+          defaultMessage: `Failed to export ${filename.toLowerCase()}`,
+        });
+        if (isRetryable) {
+          toast.error(message, {
+            action: { label: 'Retry', onClick: () => handleExport(format, scope) },
+          });
+        } else {
+          toast.error(message);
+        }
+      } finally {
+        isExportingRef.current = false;
+        setIsExporting(false);
+      }
+    },
+    [fetchAllRows, rows, filename, queryParams, columns, columnVisibilityModel]
+  );
+
+  return {
+    onExport: handleExport,
+    formats: LIST_EXPORT_FORMATS,
+    scopes: SCOPE_OPTIONS,
+    loading: isExporting,
+    disabled: rows.length === 0,
+    tableProps: { columnVisibilityModel, onColumnVisibilityModelChange: setColumnVisibilityModel },
+  };
+}
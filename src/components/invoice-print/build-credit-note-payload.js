@@ -0,0 +1,72 @@
+'use client';
+
+import { fDateTime, formatPatterns } from 'src/utils/format-time';
+
+import { CONFIG } from 'src/global-config';
+
+// ----------------------------------------------------------------------
+
+/**
+ * Build the print payload of a refund credit note. Same shape as buildInvoicePayload so it prints
+ * with InvoicePrintLayout; `creditNote` switches the layout to the credit note title and labels.
+ *
+ * @param {Object} order - Refunded order record
+ * @param {Object} refund
+ * @param {Array<{ productName, qty, rate, total }>} refund.lines - Refunded lines
+ * @param {{ subtotal, taxAmount, taxPercentage?, discountAmount, discountPercentage?, grandTotal }} refund.totals
+ * @param {string} [refund.reason] - Reason label
+ * @param {Object} [refund.response] - Refund API response (creditNoteNumber, createdAt, approvedByName)
+ * @returns {Object} Payload for InvoicePrintLayout
+ */
+export function buildCreditNotePayload(order, { lines, totals, reason, response } = {}) {
+  const creditNoteNumber = response?.creditNoteNumber ?? response?.id ?? '—';
+  const createdAt = response?.createdAt ?? new Date();
+
+  return {
+    header: {
+      restaurantName: CONFIG.appName || 'Restaurant',
+      branchName: order?.branchName ?? null,
+      address: order?.branchAddress ?? null,
+      ntn: order?.ntn ?? null,
+      contact: order?.contact ?? null,
+    },
+    meta: {
+      invoiceNumber: String(order?.invoiceNumber ?? order?.id ?? '—'),
+      paymentStatus: 'Refunded',
+      cashierName: response?.staffName ?? order?.staffName ?? '',
+      dateTime: fDateTime(createdAt, formatPatterns.paramCase.dateTime),
+      orderNumber: String(order?.orderNumber ?? order?.id ?? '—'),
+      orderType: order?.orderTypeName ?? null,
+      tableName: order?.tableName ?? null,
+      splitLabel: null,
+    },
+    lines: (lines ?? []).map((line) => ({
+      productName: line.productName,
+      qty: line.qty,
+      rate: line.rate,
+      total: line.total,
+      details: [],
+      discount: 0,
+    })),
+    totals: {
+      subtotal: totals?.subtotal ?? 0,
+      grandTotal: totals?.grandTotal ?? 0,
+      taxAmount: totals?.taxAmount ?? 0,
+      taxPercentage: totals?.taxPercentage ?? null,
+      discountAmount: totals?.discountAmount ?? 0,
+      discountPercentage: totals?.discountPercentage ?? null,
+      shareAmount: null,
+    },
+    footer: {
+      poweredBy: CONFIG.appName || 'POS',
+    },
+    delivery: null,
+    payment: null,
+    isReprint: false,
+    creditNote: {
+      number: String(creditNoteNumber),
+      reason: reason ?? '',
+      approvedBy: response?.approvedByName ?? null,
+    },
+  };
+}
@@ -4,6 +4,8 @@ import { fDateTime, formatPatterns } from 'src/utils/format-time';
 
 import { CONFIG } from 'src/global-config';
 
+import { getLineTotals, getLinesSubtotal } from './line-totals';
+
 // ----------------------------------------------------------------------
 
 /**
@@ -20,14 +22,34 @@ function getOptionLabel(options, value) {
   return (opt?.label ?? opt?.name ?? opt?.id ?? '').trim() || '—';
 }
 
+/**
+ * Printable sub-lines of an order line: deal components ("1 x Burger"), add-ons ("+ Cheese"),
+ * then modifiers ("No onions").
+ * @param {{ dealItems?: Array<{ name?, quantity? }>, addOns?: Array<{ itemId, name?, itemName? }>, modifiers?: Array<string> }} row
+ * @param {Array<{ id, label?, name? }>} itemOptions
+ * @returns {Array<string>}
+ */
+function getLineDetails(row, itemOptions = []) {
+  const dealItems = (row?.dealItems ?? []).map(
+    (component) =>
+      `${Number(component.quantity) || 1} x ${component.name || component.itemName || getOptionLabel(itemOptions, component.itemId) || '—'}`
+  );
+  const addOns = (row?.addOns ?? []).map((addOn) => {
+    const name = addOn.name || addOn.itemName || getOptionLabel(itemOptions, addOn.itemId) || '—';
+    const quantity = Number(addOn.quantity) || 1;
+    return quantity > 1 ? `+ ${quantity} x ${name}` : `+ ${name}`;
+  });
+  return [...dealItems, ...addOns, ...(row?.modifiers ?? []).filter(Boolean)];
+}
+
 /**
  * Build normalized invoice payload for InvoicePrintLayout.
  * Used for both print (after save, with createOrder response when available) and preview (form only).
  *
- * @param {Object} formValues - Current form state (branchId, orderTypeId, tableId, staffId, items, tax*, discount*, notes, deliveryDetails)
+ * @param {Object} formValues - Current form state (branchId, orderTypeId, tableId, staffId, payments, tenderedAmount, items, tax*, discount*, notes, deliveryDetails)
  * @param {Object} options - { branchOptions, orderTypeOptions, tableOptions, staffOptions, paymentModeOptions, itemOptions }
  * @param {Object|null} createOrderResponse - Optional API response from createOrder (id, invoiceNumber?, orderNumber?, createdAt?, items?, branchName?, orderTypeName?, tableName?, staffName?, subTotal?, totalAmount?, taxAmount?, discountAmount?)
- * @param {{ isReprint?: boolean }} overrides - e.g. { isReprint: true } for reprint
+ * @param {{ isReprint?: boolean, split?: { index: number, count: number, shareAmount?: number } }} overrides - e.g. { isReprint: true } for reprint; split for one guest's bill of a split bill
  * @returns {Object} Payload for InvoicePrintLayout
  */
 export function buildInvoicePayload(formValues, options, createOrderResponse = null, overrides = {}) {
@@ -47,11 +69,7 @@ export function buildInvoicePayload(formValues, options, createOrderResponse = n
   const paymentModeLabel = getOptionLabel(paymentModeOptions, formValues?.paymentModeId);
 
   const items = formValues?.items ?? [];
-  const subtotalFromForm = items.reduce((sum, row) => {
-    const q = Number(row.quantity) || 0;
-    const p = Number(row.unitPrice) || 0;
-    return sum + q * p;
-  }, 0);
+  const subtotalFromForm = getLinesSubtotal(items);
   const taxPct = formValues?.taxPercentage != null ? Number(formValues.taxPercentage) : null;
   const discPct = formValues?.discountPercentage != null ? Number(formValues.discountPercentage) : null;
   const calculatedTax =
@@ -76,23 +94,29 @@ export function buildInvoicePayload(formValues, options, createOrderResponse = n
 
   const responseItems = useResponse && Array.isArray(createOrderResponse.items) ? createOrderResponse.items : null;
   const lines = responseItems
-    ? responseItems.map((item) => ({
-        productName: item.itemName ?? item.name ?? '—',
-        qty: Number(item.quantity) || 0,
-        rate: Number(item.unitPrice) || 0,
-        total: Number(item.subTotal) || Number(item.quantity) * Number(item.unitPrice) || 0,
-      }))
+    ? responseItems.map((item) => {
+        const { rate, discount, total } = getLineTotals(item);
+        return {
+          productName: item.itemName ?? item.name ?? '—',
+          qty: Number(item.quantity) || 0,
+          rate,
+          total: Number(item.subTotal) || total,
+          details: getLineDetails(item),
+          discount: Number(item.discountAmount) || discount,
+        };
+      })
     : items.map((row) => {
-        const q = Number(row.quantity) || 0;
-        const p = Number(row.unitPrice) || 0;
         const itemId = row?.itemId;
         const id = typeof itemId === 'object' && itemId !== null ? itemId.id : itemId;
-        const productName = getOptionLabel(itemOptions, id) || (itemId?.name ?? '—');
+        const productName = row.dealName || getOptionLabel(itemOptions, id) || (itemId?.name ?? '—');
+        const { quantity, rate, discount, total } = getLineTotals(row);
         return {
           productName,
-          qty: q,
-          rate: p,
-          total: q * p,
+          qty: quantity,
+          rate,
+          total,
+          details: getLineDetails(row, itemOptions),
+          discount,
         };
       });
 
@@ -111,14 +135,29 @@ export function buildInvoicePayload(formValues, options, createOrderResponse = n
     contact: useResponse ? createOrderResponse.contact : null,
   };
 
+  // Split payment tenders, else the cash tendered for the single payment mode
+  const tenderedAmount = Number(formValues?.tenderedAmount) || 0;
+  const tenders =
+    formValues?.payments?.length > 0
+      ? formValues.payments.map((row) => ({
+          label: getOptionLabel(paymentModeOptions, row.paymentModeId),
+          amount: Number(row.amount) || 0,
+        }))
+      : tenderedAmount > 0
+        ? [{ label: paymentModeLabel || 'Cash', amount: tenderedAmount }]
+        : [];
+
+  const split = overrides?.split;
+
   const meta = {
     invoiceNumber: String(invoiceNumber),
-    paymentStatus: paymentModeLabel ? 'Paid' : 'Unpaid',
+    paymentStatus: paymentModeLabel || tenders.length > 0 ? 'Paid' : 'Unpaid',
     cashierName: useResponse ? createOrderResponse.staffName ?? staffLabel : staffLabel,
     dateTime,
     orderNumber,
     orderType: useResponse ? createOrderResponse.orderTypeName ?? orderTypeLabel : orderTypeLabel,
     tableName: useResponse ? createOrderResponse.tableName ?? tableLabel : tableLabel,
+    splitLabel: split ? `Guest ${split.index + 1} of ${split.count}` : null,
   };
 
   const totals = {
@@ -128,8 +167,18 @@ export function buildInvoicePayload(formValues, options, createOrderResponse = n
     taxPercentage: taxPct,
     discountAmount: Number.isFinite(discountAmount) ? discountAmount : calculatedDiscount,
     discountPercentage: discPct,
+    shareAmount: split?.shareAmount ?? null,
   };
 
+  const tenderedTotal = tenders.reduce((sum, tender) => sum + tender.amount, 0);
+  const payment =
+    tenders.length > 0
+      ? {
+          tenders,
+          change: Math.max(0, Math.round((tenderedTotal - totals.grandTotal) * 100) / 100),
+        }
+      : null;
+
   const footer = {
     poweredBy: CONFIG.appName || 'POS',
   };
@@ -156,6 +205,7 @@ export function buildInvoicePayload(formValues, options, createOrderResponse = n
     totals,
     footer,
     delivery,
+    payment,
     isReprint: Boolean(overrides?.isReprint),
   };
 }
@@ -0,0 +1,194 @@
+'use client';
+
+import { fDateTime, formatPatterns } from 'src/utils/format-time';
+
+// ----------------------------------------------------------------------
+
+export const KOT_LINE_CHANGE = {
+  added: 'added',
+  removed: 'removed',
+};
+
+const UNASSIGNED_KITCHEN_KEY = '__unassigned__';
+
+function resolveId(value) {
+  return typeof value === 'object' && value !== null ? value.id : value;
+}
+
+function findOption(options, value) {
+  if (!options || !Array.isArray(options) || value == null) return null;
+  const id = resolveId(value);
+  return options.find((o) => (o?.id ?? o) === id) ?? null;
+}
+
+function getOptionLabel(options, value) {
+  const opt = findOption(options, value);
+  return (opt?.label ?? opt?.name ?? '').trim();
+}
+
+function normalizeNotes(notes) {
+  return typeof notes === 'string' && notes.trim() ? notes.trim() : null;
+}
+
+/**
+ * Kitchen instructions of a line: add-ons ("+ Cheese") then free-text modifiers ("No onions").
+ */
+function toKotModifiers(row, itemOptions) {
+  const addOns = (row?.addOns ?? []).map((addOn) => {
+    const opt = findOption(itemOptions, addOn.itemId);
+    const name = addOn.name || addOn.itemName || opt?.name || opt?.label || '—';
+    const quantity = Number(addOn.quantity) || 1;
+    return quantity > 1 ? `+ ${quantity} x ${name}` : `+ ${name}`;
+  });
+  return [...addOns, ...(row?.modifiers ?? []).map(normalizeNotes).filter(Boolean)];
+}
+
+// ----------------------------------------------------------------------
+
+/**
+ * Normalize order lines (POS form rows or API order items) into KOT lines.
+ * Kitchen comes from the line (API), then the item option (item.kitchenId), else null.
+ * A deal line is exploded into its component items (group = deal name) so each kitchen
+ * sees what to cook; line notes and modifiers apply to every component.
+ *
+ * @param {Array<Object>} items - Form rows ({ itemId, quantity, notes, addOns?, modifiers?, dealName?, dealItems? }) or API items ({ itemId, itemName, quantity, notes, kitchenId? })
+ * @param {{ itemOptions?: Array<{ id, name?, label?, kitchenId? }> }} [options]
+ * @returns {Array<{ itemId, productName: string, qty: number, notes: string|null, modifiers: Array<string>, kitchenId: string|null, group: string|null }>}
+ */
+export function toKotLines(items, { itemOptions = [] } = {}) {
+  return (items ?? []).flatMap((row) => {
+    const itemId = resolveId(row?.itemId);
+    const opt = findOption(itemOptions, itemId);
+    const qty = Number(row?.quantity) || 0;
+    const notes = normalizeNotes(row?.notes);
+    const modifiers = toKotModifiers(row, itemOptions);
+    const kitchenId = row?.kitchenId ?? opt?.kitchenId ?? null;
+    const dealItems = row?.dealItems ?? [];
+
+    if (dealItems.length > 0) {
+      const group = row?.dealName ?? row?.itemName ?? opt?.name ?? opt?.label ?? 'Deal';
+      return dealItems.map((component) => {
+        const componentOpt = findOption(itemOptions, component.itemId);
+        return {
+          itemId: component.itemId,
+          productName: component.name ?? component.itemName ?? componentOpt?.name ?? '—',
+          qty: qty * (Number(component.quantity) || 1),
+          notes,
+          modifiers,
+          kitchenId: component.kitchenId ?? componentOpt?.kitchenId ?? kitchenId,
+          group,
+        };
+      });
+    }
+
+    return [
+      {
+        itemId,
+        productName: row?.itemName ?? opt?.name ?? opt?.label ?? row?.itemId?.name ?? '—',
+        qty,
+        notes,
+        modifiers,
+        kitchenId,
+        group: null,
+      },
+    ];
+  });
+}
+
+/**
+ * Lines that changed between two KOT snapshots of the same order.
+ * Lines are matched by item + deal group + notes + modifiers; a quantity increase is "added", a decrease "removed".
+ *
+ * @param {Array<Object>} previousLines - Lines already sent to the kitchen (toKotLines shape)
+ * @param {Array<Object>} nextLines - Current order lines (toKotLines shape)
+ * @returns {Array<Object>} Changed lines with qty as a positive number and change = KOT_LINE_CHANGE.*
+ */
+export function diffKotLines(previousLines = [], nextLines = []) {
+  const byKey = new Map();
+  const collect = (lines, sign) => {
+    lines.forEach((line) => {
+      const key = `${line.itemId}|${line.group ?? ''}|${line.notes ?? ''}|${(line.modifiers ?? []).join(',')}`;
+      const entry = byKey.get(key) ?? { ...line, qty: 0 };
+      entry.qty += sign * (Number(line.qty) || 0);
+      byKey.set(key, entry);
+    });
+  };
+  collect(previousLines, -1);
+  collect(nextLines, 1);
+
+  return Array.from(byKey.values())
+    .filter((line) => line.qty !== 0)
+    .map((line) => ({
+      ...line,
+      qty: Math.abs(line.qty),
+      change: line.qty > 0 ? KOT_LINE_CHANGE.added : KOT_LINE_CHANGE.removed,
+    }));
+}
+
+/**
+ * Build one KOT payload per kitchen for KotPrintLayout. No prices are included.
+ * Lines without a kitchen go to the order's kitchen (defaultKitchenId) or an unassigned "Kitchen" ticket.
+ *
+ * @param {Array<Object>} lines - KOT lines (toKotLines or diffKotLines shape)
+ * @param {Object} options
+ * @param {Array<{ id, label?, name? }>} [options.kitchenOptions]
+ * @param {string|null} [options.defaultKitchenId] - Order-level kitchen, used when an item has none
+ * @param {{ orderNumber?, orderType?, tableName?, staffName?, dateTime?, notes? }} [options.meta]
+ * @param {boolean} [options.isFollowUp] - Lines are an edit delta (added/removed) of an order already sent
+ * @param {boolean} [options.isReprint]
+ * @returns {Array<Object>} Tickets: { kitchenName, meta, lines, isFollowUp, isReprint }
+ */
+export function buildKotTickets(
+  lines,
+  { kitchenOptions = [], defaultKitchenId = null, meta = {}, isFollowUp = false, isReprint = false } = {}
+) {
+  const groups = new Map();
+  (lines ?? []).forEach((line) => {
+    if (!line || !(Number(line.qty) > 0)) return;
+    const kitchenId = line.kitchenId ?? resolveId(defaultKitchenId) ?? null;
+    const key = kitchenId ?? UNASSIGNED_KITCHEN_KEY;
+    if (!groups.has(key)) {
+      groups.set(key, { kitchenId, lines: [] });
+    }
+    groups.get(key).lines.push(line);
+  });
+
+  const dateTime = meta.dateTime ?? fDateTime(new Date(), formatPatterns.paramCase.dateTime);
+
+  return Array.from(groups.values()).map((group) => ({
+    kitchenName: group.kitchenId ? getOptionLabel(kitchenOptions, group.kitchenId) || 'Kitchen' : 'Kitchen',
+    meta: { ...meta, dateTime },
+    lines: group.lines.map((line) => ({
+      productName: line.productName || '—',
+      qty: line.qty,
+      notes: line.notes ?? null,
+      modifiers: line.modifiers ?? [],
+      group: line.group ?? null,
+      change: line.change ?? null,
+    })),
+    isFollowUp: Boolean(isFollowUp),
+    isReprint: Boolean(isReprint),
+  }));
+}
+
+/**
+ * KOT header meta from POS form values / createOrder response (same resolution as buildInvoicePayload).
+ *
+ * @param {Object} formValues - POS form values (orderTypeId, tableId, staffId, notes)
+ * @param {Object} options - { orderTypeOptions, tableOptions, staffOptions }
+ * @param {Object|null} orderResponse - createOrder / order record (orderNumber, orderTypeName, tableName, staffName)
+ * @returns {Object}
+ */
+export function buildKotMeta(formValues, options, orderResponse = null) {
+  const { orderTypeOptions = [], tableOptions = [], staffOptions = [] } = options || {};
+  const useResponse = orderResponse && typeof orderResponse === 'object';
+  return {
+    orderNumber: useResponse ? String(orderResponse.orderNumber ?? orderResponse.id ?? '—') : '—',
+    orderType: (useResponse && orderResponse.orderTypeName) || getOptionLabel(orderTypeOptions, formValues?.orderTypeId) || '—',
+    tableName: (useResponse && orderResponse.tableName) || getOptionLabel(tableOptions, formValues?.tableId) || null,
+    staffName: (useResponse && orderResponse.staffName) || getOptionLabel(staffOptions, formValues?.staffId) || null,
+    // Time the ticket is sent, not when the order was opened: follow-ups must read as new
+    dateTime: fDateTime(new Date(), formatPatterns.paramCase.dateTime),
+    notes: normalizeNotes(formValues?.notes ?? (useResponse ? orderResponse.notes : null)),
+  };
+}
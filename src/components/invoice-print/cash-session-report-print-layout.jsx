@@ -0,0 +1,159 @@
+'use client';
+
+import Box from '@mui/material/Box';
+import Typography from '@mui/material/Typography';
+
+import { fCurrency } from 'src/utils/format-number';
+
+import 'src/components/invoice-print/invoice-print-print.css';
+
+// ----------------------------------------------------------------------
+
+const CURRENCY_OPTS = { minimumFractionDigits: 2, maximumFractionDigits: 2 };
+
+const rowSx = {
+  display: 'flex',
+  alignItems: 'center',
+  justifyContent: 'space-between',
+  gap: 1,
+  py: 0.25,
+};
+
+const fillerSx = { flex: 1, borderBottom: '1px dotted', borderColor: 'divider', mx: 0.5, alignSelf: 'baseline' };
+
+function AmountRow({ label, amount, bold }) {
+  return (
+    <Box sx={rowSx}>
+      <Typography component="span" variant="body2" sx={{ fontWeight: bold ? 700 : 400 }}>
+        {label}:
+      </Typography>
+      <Box sx={fillerSx} />
+      <Typography component="span" variant="body2" sx={{ fontWeight: bold ? 700 : 400 }}>
+        {amount == null ? '—' : fCurrency(amount, CURRENCY_OPTS)}
+      </Typography>
+    </Box>
+  );
+}
+
+/**
+ * Till session X / Z report in the thermal receipt format of InvoicePrintLayout: header, session
+ * meta, expected vs counted per payment mode, then the shift summary.
+ *
+ * @param {Object} props
+ * @param {Object} props.payload - { header, title, meta: [{ label, value }], paymentModes: [{ name, expected, counted, variance }], totals, showCounts, summary: [{ label, amount }], footer }
+ * @param {'80mm'|'58mm'} [props.widthPreset]
+ */
+export function CashSessionReportPrintLayout({ payload, widthPreset = '80mm', className, ...rest }) {
+  if (!payload) return null;
+
+  const { header, title, meta, paymentModes, totals, showCounts, summary, footer } = payload;
+  const is58 = widthPreset === '58mm';
+
+  return (
+    <Box
+      className={className}
+      sx={{
+        maxWidth: is58 ? '58mm' : '80mm',
+        width: '100%',
+        margin: 0,
+        padding: is58 ? 1 : 1.5,
+        fontFamily: 'monospace',
+        fontSize: is58 ? 11 : 12,
+        color: 'text.primary',
+        bgcolor: 'background.paper',
+        ...rest.sx,
+      }}
+      {...rest}
+    >
+      <Box sx={{ textAlign: 'center', mb: 1.5 }}>
+        <Typography component="div" sx={{ fontWeight: 700, fontSize: '1.1em', mb: 0.25 }}>
+          {header?.restaurantName || '—'}
+        </Typography>
+        {header?.branchName && (
+          <Typography component="div" variant="body2">
+            {header.branchName}
+          </Typography>
+        )}
+        <Typography component="div" sx={{ fontWeight: 700, mt: 0.5 }}>
+          {title}
+        </Typography>
+      </Box>
+
+      <Box sx={{ mb: 1 }}>
+        {(meta ?? []).map((row) => (
+          <Typography key={row.label} component="div" variant="body2">
+            {row.label}: {row.value}
+          </Typography>
+        ))}
+      </Box>
+
+      <Box sx={{ borderTop: 1, borderColor: 'divider', my: 1 }} />
+
+      {/* Expected vs counted per payment mode */}
+      <Box sx={{ mb: 1 }}>
+        <Box sx={{ ...rowSx, borderBottom: 1, borderColor: 'divider', pb: 0.25, mb: 0.5 }}>
+          <Typography component="span" variant="body2" sx={{ fontWeight: 600, flex: 1 }}>
+            Mode
+          </Typography>
+          <Typography component="span" variant="body2" sx={{ fontWeight: 600, minWidth: 56, textAlign: 'right' }}>
+            Expected
+          </Typography>
+          {showCounts && (
+            <>
+              <Typography component="span" variant="body2" sx={{ fontWeight: 600, minWidth: 56, textAlign: 'right' }}>
+                Counted
+              </Typography>
+              <Typography component="span" variant="body2" sx={{ fontWeight: 600, minWidth: 48, textAlign: 'right' }}>
+                +/-
+              </Typography>
+            </>
+          )}
+        </Box>
+        {(paymentModes ?? []).map((row) => (
+          <Box key={row.id ?? row.name} sx={{ ...rowSx, breakInside: 'avoid' }}>
+            <Typography component="span" variant="body2" sx={{ flex: 1, minWidth: 0, wordBreak: 'break-word' }}>
+              {row.name}
+            </Typography>
+            <Typography component="span" variant="body2" sx={{ minWidth: 56, textAlign: 'right' }}>
+              {fCurrency(row.expected, CURRENCY_OPTS)}
+            </Typography>
+            {showCounts && (
+              <>
+                <Typography component="span" variant="body2" sx={{ minWidth: 56, textAlign: 'right' }}>
+                  {row.counted == null ? '—' : fCurrency(row.counted, CURRENCY_OPTS)}
+                </Typography>
+                <Typography component="span" variant="body2" sx={{ minWidth: 48, textAlign: 'right' }}>
+                  {row.variance == null ? '—' : fCurrency(row.variance, CURRENCY_OPTS)}
+                </Typography>
+              </>
+            )}
+          </Box>
+        ))}
+        <Box sx={{ mt: 0.5, pt: 0.5, borderTop: 1, borderColor: 'divider' }}>
+          <AmountRow label="Expected total" amount={totals?.expected} bold />
+          {showCounts && (
+            <>
+              <AmountRow label="Counted total" amount={totals?.counted} bold />
+              <AmountRow label="Over / short" amount={totals?.variance} bold />
+            </>
+          )}
+        </Box>
+      </Box>
+
+      <Box sx={{ borderTop: 1, borderColor: 'divider', my: 1 }} />
+
+      {/* Shift summary */}
+      <Box sx={{ mb: 1 }}>
+        {(summary ?? []).map((row) => (
+          <AmountRow key={row.label} label={row.label} amount={row.amount} />
+        ))}
+      </Box>
+
+      <Box sx={{ textAlign: 'center', pt: 1, borderTop: 1, borderColor: 'divider' }}>
+        <Typography variant="caption" sx={{ fontSize: '0.85em', color: 'text.secondary' }}>
+          Powered by: {footer?.poweredBy ?? 'POS'}
+        </Typography>
+      </Box>
+    </Box>
+  );
+}
@@ -1,3 +1,14 @@
+export { KotPrintLayout } from './kot-print-layout';
 export { useInvoicePrint } from './use-invoice-print';
 export { InvoicePrintLayout } from './invoice-print-layout';
 export { buildInvoicePayload } from './build-invoice-payload';
+export { buildCreditNotePayload } from './build-credit-note-payload';
+export { CashSessionReportPrintLayout } from './cash-session-report-print-layout';
+export { getLineTotals, getLinesSubtotal, getLineAddOnsTotal } from './line-totals';
+export {
+  toKotLines,
+  buildKotMeta,
+  diffKotLines,
+  buildKotTickets,
+  KOT_LINE_CHANGE,
+} from './build-kot-payload';
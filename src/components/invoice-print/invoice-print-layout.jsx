@@ -14,11 +14,12 @@ const CURRENCY_OPTS = { minimumFractionDigits: 2, maximumFractionDigits: 2 };
 /**
  * Standard thermal receipt layout: header (center), meta (mixed), items table, totals (dotted filler), footer (center).
  * No logo in default layout; monospace-friendly. Used for print and preview.
+ * A payload with `creditNote` (see buildCreditNotePayload) prints as a refund credit note.
  */
 export function InvoicePrintLayout({ payload, widthPreset = '80mm', className, ...rest }) {
   if (!payload) return null;
 
-  const { header, meta, lines, totals, footer, isReprint } = payload;
+  const { header, meta, lines, totals, footer, payment, isReprint, creditNote } = payload;
   const is58 = widthPreset === '58mm';
 
   return (
@@ -54,6 +55,24 @@ export function InvoicePrintLayout({ payload, widthPreset = '80mm', className, .
         </Typography>
       )}
 
+      {creditNote && (
+        <Typography
+          variant="caption"
+          sx={{
+            display: 'block',
+            textAlign: 'center',
+            fontWeight: 700,
+            fontSize: '1.1em',
+            mb: 0.5,
+            borderBottom: 1,
+            borderColor: 'divider',
+            pb: 0.5,
+          }}
+        >
+          CREDIT NOTE
+        </Typography>
+      )}
+
       {/* 2.1 Header block - all center */}
       <Box sx={{ textAlign: 'center', mb: 1.5 }}>
         <Typography component="div" sx={{ fontWeight: 700, fontSize: '1.1em', mb: 0.25 }}>
@@ -102,6 +121,11 @@ export function InvoicePrintLayout({ payload, widthPreset = '80mm', className, .
             Punched By {meta?.cashierName || '—'}
           </Typography>
         </Box>
+        {creditNote && (
+          <Typography component="div" variant="body2" sx={{ mt: 0.25 }}>
+            Credit Note # {creditNote.number}
+          </Typography>
+        )}
         <Typography component="div" variant="body2" sx={{ mt: 0.25 }}>
           Date: {meta?.dateTime ?? '—'}
         </Typography>
@@ -116,6 +140,21 @@ export function InvoicePrintLayout({ payload, widthPreset = '80mm', className, .
             Table: {meta.tableName}
           </Typography>
         )}
+        {meta?.splitLabel && (
+          <Typography component="div" variant="body2" sx={{ fontWeight: 700, textAlign: 'center', mt: 0.25 }}>
+            Split bill · {meta.splitLabel}
+          </Typography>
+        )}
+        {creditNote?.reason && (
+          <Typography component="div" variant="body2">
+            Reason: {creditNote.reason}
+          </Typography>
+        )}
+        {creditNote?.approvedBy && (
+          <Typography component="div" variant="body2">
+            Approved By {creditNote.approvedBy}
+          </Typography>
+        )}
       </Box>
 
       {/* 2.3 Separator */}
@@ -171,6 +210,16 @@ export function InvoicePrintLayout({ payload, widthPreset = '80mm', className, .
               }}
             >
               {line.productName || '—'}
+              {(line.details ?? []).map((detail, detailIdx) => (
+                <Typography key={detailIdx} component="div" variant="caption" sx={{ pl: 1 }}>
+                  {detail}
+                </Typography>
+              ))}
+              {line.discount > 0 && (
+                <Typography component="div" variant="caption" sx={{ pl: 1 }}>
+                  Disc -{fNumber(line.discount)}
+                </Typography>
+              )}
             </Typography>
             <Box sx={{ display: 'flex', gap: 2, flexShrink: 0 }}>
               <Typography component="span" variant="body2" sx={{ minWidth: 28, textAlign: 'right' }}>
@@ -260,14 +309,78 @@ export function InvoicePrintLayout({ payload, widthPreset = '80mm', className, .
           }}
         >
           <Typography component="span" variant="body2" sx={{ fontWeight: 700 }}>
-            Grand Total:
+            {creditNote ? 'Refund Total:' : 'Grand Total:'}
           </Typography>
           <Typography component="span" variant="body2" sx={{ fontWeight: 700 }}>
             {fCurrency(totals?.grandTotal ?? 0, CURRENCY_OPTS)}
           </Typography>
         </Box>
+        {totals?.shareAmount != null && (
+          <Box
+            sx={{
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'space-between',
+              gap: 1,
+              py: 0.5,
+              borderTop: 1,
+              borderColor: 'divider',
+            }}
+          >
+            <Typography component="span" variant="body2" sx={{ fontWeight: 700 }}>
+              Your Share:
+            </Typography>
+            <Typography component="span" variant="body2" sx={{ fontWeight: 700 }}>
+              {fCurrency(totals.shareAmount, CURRENCY_OPTS)}
+            </Typography>
+          </Box>
+        )}
       </Box>
 
+      {/* 2.5b Tenders (split payment) and change */}
+      {payment?.tenders?.length > 0 && (
+        <Box sx={{ mb: 1 }}>
+          {payment.tenders.map((tender, idx) => (
+            <Box
+              key={idx}
+              sx={{
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'space-between',
+                gap: 1,
+                py: 0.25,
+              }}
+            >
+              <Typography component="span" variant="body2">
+                {tender.label || 'Paid'}:
+              </Typography>
+              <Box sx={{ flex: 1, borderBottom: '1px dotted', borderColor: 'divider', mx: 0.5, alignSelf: 'baseline' }} />
+              <Typography component="span" variant="body2">
+                {fCurrency(tender.amount, CURRENCY_OPTS)}
+              </Typography>
+            </Box>
+          ))}
+          {payment.change > 0 && (
+            <Box
+              sx={{
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'space-between',
+                gap: 1,
+                py: 0.25,
+              }}
+            >
+              <Typography component="span" variant="body2" sx={{ fontWeight: 700 }}>
+                Change:
+              </Typography>
+              <Typography component="span" variant="body2" sx={{ fontWeight: 700 }}>
+                {fCurrency(payment.change, CURRENCY_OPTS)}
+              </Typography>
+            </Box>
+          )}
+        </Box>
+      )}
+
       {/* 2.6 Footer - center, smaller */}
       <Box sx={{ textAlign: 'center', pt: 1, borderTop: 1, borderColor: 'divider' }}>
         <Typography variant="caption" sx={{ fontSize: '0.85em', color: 'text.secondary' }}>
@@ -0,0 +1,200 @@
+'use client';
+
+import Box from '@mui/material/Box';
+import Typography from '@mui/material/Typography';
+
+import 'src/components/invoice-print/invoice-print-print.css';
+
+import { KOT_LINE_CHANGE } from './build-kot-payload';
+
+// ----------------------------------------------------------------------
+
+const CHANGE_PREFIX = { [KOT_LINE_CHANGE.added]: '+', [KOT_LINE_CHANGE.removed]: '−' };
+const CHANGE_LABEL = { [KOT_LINE_CHANGE.added]: 'ADD', [KOT_LINE_CHANGE.removed]: 'CANCEL' };
+
+/**
+ * Single kitchen ticket: kitchen name, order meta, then item / qty / notes only (never prices).
+ * Follow-up tickets mark each line ADD or CANCEL so the kitchen only acts on the change.
+ */
+function KotTicket({ ticket, is58 }) {
+  const { kitchenName, meta, lines, isFollowUp, isReprint } = ticket;
+
+  return (
+    <Box sx={{ breakInside: 'avoid' }}>
+      {(isFollowUp || isReprint) && (
+        <Typography
+          component="div"
+          sx={{
+            textAlign: 'center',
+            fontWeight: 700,
+            mb: 0.5,
+            py: 0.25,
+            border: 1,
+            borderColor: 'text.primary',
+          }}
+        >
+          {isFollowUp ? 'ORDER UPDATE' : 'DUPLICATE KOT'}
+        </Typography>
+      )}
+
+      <Box sx={{ textAlign: 'center', mb: 1 }}>
+        <Typography component="div" sx={{ fontWeight: 700, fontSize: '1.2em' }}>
+          {kitchenName || 'Kitchen'}
+        </Typography>
+        <Typography component="div" variant="body2" sx={{ fontWeight: 700 }}>
+          KOT · Order # {meta?.orderNumber ?? '—'}
+        </Typography>
+      </Box>
+
+      <Box sx={{ mb: 1 }}>
+        <Typography component="div" variant="body2">
+          Date: {meta?.dateTime ?? '—'}
+        </Typography>
+        <Typography component="div" variant="body2">
+          Order Type: {meta?.orderType ?? '—'}
+        </Typography>
+        {meta?.tableName && (
+          <Typography component="div" variant="body2" sx={{ fontWeight: 700 }}>
+            Table: {meta.tableName}
+          </Typography>
+        )}
+        {meta?.staffName && (
+          <Typography component="div" variant="body2">
+            Staff: {meta.staffName}
+          </Typography>
+        )}
+      </Box>
+
+      <Box sx={{ borderTop: 1, borderColor: 'divider', my: 1 }} />
+
+      <Box sx={{ mb: 1 }}>
+        <Box
+          sx={{
+            display: 'flex',
+            justifyContent: 'space-between',
+            borderBottom: 1,
+            borderColor: 'divider',
+            pb: 0.25,
+            mb: 0.5,
+          }}
+        >
+          <Typography component="span" variant="body2" sx={{ fontWeight: 600 }}>
+            Item
+          </Typography>
+          <Typography component="span" variant="body2" sx={{ fontWeight: 600, minWidth: 36, textAlign: 'right' }}>
+            Qty
+          </Typography>
+        </Box>
+        {(lines || []).map((line, idx) => {
+          const isRemoved = line.change === KOT_LINE_CHANGE.removed;
+          // Deal components are listed under a "DEAL" heading, once per consecutive group
+          const startsGroup = line.group && line.group !== lines[idx - 1]?.group;
+          return (
+            <Box key={idx} sx={{ py: 0.25, breakInside: 'avoid', ...(line.group && { pl: 1 }) }}>
+              {startsGroup && (
+                <Typography component="div" variant="body2" sx={{ fontWeight: 700, ml: -1, textTransform: 'uppercase' }}>
+                  Deal: {line.group}
+                </Typography>
+              )}
+              <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: 1 }}>
+                <Typography
+                  component="div"
+                  sx={{
+                    flex: 1,
+                    minWidth: 0,
+                    wordBreak: 'break-word',
+                    fontWeight: 600,
+                    fontSize: is58 ? '1em' : '1.1em',
+                    textDecoration: isRemoved ? 'line-through' : 'none',
+                  }}
+                >
+                  {line.change && `[${CHANGE_LABEL[line.change]}] `}
+                  {line.productName || '—'}
+                </Typography>
+                <Typography
+                  component="span"
+                  sx={{ fontWeight: 700, fontSize: is58 ? '1em' : '1.1em', minWidth: 36, textAlign: 'right' }}
+                >
+                  {line.change ? CHANGE_PREFIX[line.change] : ''}
+                  {line.qty}
+                </Typography>
+              </Box>
+              {(line.modifiers ?? []).map((modifier, modifierIdx) => (
+                <Typography
+                  key={modifierIdx}
+                  component="div"
+                  variant="body2"
+                  sx={{ pl: 1, fontWeight: 600, wordBreak: 'break-word' }}
+                >
+                  {modifier}
+                </Typography>
+              ))}
+              {line.notes && (
+                <Typography component="div" variant="body2" sx={{ pl: 1, fontStyle: 'italic', wordBreak: 'break-word' }}>
+                  * {line.notes}
+                </Typography>
+              )}
+            </Box>
+          );
+        })}
+      </Box>
+
+      {meta?.notes && (
+        <>
+          <Box sx={{ borderTop: 1, borderColor: 'divider', my: 1 }} />
+          <Typography component="div" variant="body2" sx={{ wordBreak: 'break-word' }}>
+            Note: {meta.notes}
+          </Typography>
+        </>
+      )}
+    </Box>
+  );
+}
+
+// ----------------------------------------------------------------------
+
+/**
+ * Kitchen Order Ticket layout. Renders one ticket per kitchen (see buildKotTickets), each on its
+ * own printed page so a thermal printer cuts between kitchens. Used for print only.
+ */
+export function KotPrintLayout({ tickets, widthPreset = '80mm', className, sx, ...other }) {
+  if (!tickets || tickets.length === 0) return null;
+
+  const is58 = widthPreset === '58mm';
+
+  return (
+    <Box
+      className={className}
+      sx={{
+        maxWidth: is58 ? '58mm' : '80mm',
+        width: '100%',
+        margin: 0,
+        padding: is58 ? 1 : 1.5,
+        fontFamily: 'monospace',
+        fontSize: is58 ? 11 : 12,
+        color: 'text.primary',
+        bgcolor: 'background.paper',
+        ...sx,
+      }}
+      {...other}
+    >
+      {tickets.map((ticket, idx) => (
+        <Box
+          key={`${ticket.kitchenName}-${idx}`}
+          sx={{
+            // Page break per kitchen; the dashed rule is the tear line when the printer ignores it
+            ...(idx < tickets.length - 1 && {
+              breakAfter: 'page',
+              pb: 2,
+              mb: 2,
+              borderBottom: '1px dashed',
+              borderColor: 'text.primary',
+            }),
+          }}
+        >
+          <KotTicket ticket={ticket} is58={is58} />
+        </Box>
+      ))}
+    </Box>
+  );
+}
@@ -0,0 +1,43 @@
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// ----------------------------------------------------------------------
+
+/**
+ * Add-ons price per unit of the parent line (each add-on: unitPrice × quantity, quantity defaults to 1).
+ * @param {{ addOns?: Array<{ unitPrice, quantity? }> }} row
+ * @returns {number}
+ */
+export function getLineAddOnsTotal(row) {
+  return (row?.addOns ?? []).reduce(
+    (sum, addOn) => sum + (Number(addOn?.unitPrice) || 0) * (Number(addOn?.quantity) || 1),
+    0
+  );
+}
+
+/**
+ * Money for one order line: (unit price + add-ons) × quantity, less the line discount.
+ * The discount is a percentage when discountPercentage > 0, else a fixed discountAmount for the
+ * whole line (same precedence as the order-level discount), capped at the line's gross.
+ *
+ * @param {{ quantity, unitPrice, addOns?, discountPercentage?, discountAmount? }} row - POS form row
+ * @returns {{ quantity: number, rate: number, gross: number, discount: number, total: number }}
+ */
+export function getLineTotals(row) {
+  const quantity = Number(row?.quantity) || 0;
+  const rate = (Number(row?.unitPrice) || 0) + getLineAddOnsTotal(row);
+  const gross = round2(quantity * rate);
+  const pct = row?.discountPercentage != null ? Number(row.discountPercentage) : null;
+  const rawDiscount =
+    pct != null && pct > 0 ? round2(gross * (Math.min(pct, 100) / 100)) : Number(row?.discountAmount) || 0;
+  const discount = Math.min(Math.max(0, rawDiscount), gross);
+  return { quantity, rate, gross, discount, total: round2(gross - discount) };
+}
+
+/**
+ * Sum of line totals (after line discounts); the base for order-level tax and discount.
+ * @param {Array<Object>} rows
+ * @returns {number}
+ */
+export function getLinesSubtotal(rows) {
+  return round2((rows ?? []).reduce((sum, row) => sum + getLineTotals(row).total, 0));
+}
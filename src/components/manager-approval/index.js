@@ -0,0 +1,2 @@
+export { useManagerApproval } from './use-manager-approval';
+export { ManagerApprovalDialog } from './manager-approval-dialog';
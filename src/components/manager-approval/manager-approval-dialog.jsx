@@ -0,0 +1,119 @@
+'use client';
+
+import { useRef, useEffect } from 'react';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+
+import Box from '@mui/material/Box';
+import Stack from '@mui/material/Stack';
+import Typography from '@mui/material/Typography';
+
+import { getApiErrorMessage } from 'src/utils/api-error-message';
+
+import { approvalPinSchema } from 'src/schemas';
+import { useVerifyApprovalPinMutation } from 'src/store/api/users-api';
+
+import { toast } from 'src/components/snackbar';
+import { Form, Field } from 'src/components/hook-form';
+import { CustomDialog } from 'src/components/custom-dialog';
+
+// ----------------------------------------------------------------------
+
+/**
+ * Manager PIN override: a user holding `permission` (every code, when a list) enters their PIN to
+ * authorise one action for the signed-in cashier. Only the PIN is verified; the session is untouched. Use with
+ * useManagerApproval, which skips the dialog when the cashier has the permission.
+ *
+ * @param {Object} props
+ * @param {boolean} props.open
+ * @param {string|string[]} props.permission - Permission code(s) the approver must hold
+ * @param {string} [props.title]
+ * @param {string} [props.description] - What is being approved
+ * @param {Function} props.onApprove - ({ userId, fullName }) => void
+ * @param {Function} props.onClose
+ */
+export function ManagerApprovalDialog({ open, permission, title, description, onApprove, onClose }) {
+  const isSubmittingRef = useRef(false);
+  const [verifyApprovalPin, { isLoading }] = useVerifyApprovalPinMutation();
+
+  const methods = useForm({
+    resolver: zodResolver(approvalPinSchema),
+    defaultValues: { pin: '' },
+  });
+  const { reset, setError, handleSubmit } = methods;
+
+  useEffect(() => {
+    if (open) reset({ pin: '' });
+  }, [open, reset]);
+
+  const onSubmit = handleSubmit(async (data) => {
+    if (isSubmittingRef.current || !permission) return;
+    isSubmittingRef.current = true;
+    try {
+      // The same PIN is checked against each code, so one approver holds them all
+      let approver = null;
+      for (const code of [].concat(permission)) {
+        approver = await verifyApprovalPin({ pin: data.pin, permission: code }).unwrap();
+      }
+      onApprove(approver);
+    } catch (error) {
+      const status = error?.status ?? error?.data?.status;
+      if (status === 400 || status === 403) {
+        setError('pin', { type: 'manual', message: 'PIN not accepted for this action' });
+        return;
+      }
+      const { message, isRetryable } = getApiErrorMessage(error, { defaultMessage: 'Failed to verify PIN' });
+      if (isRetryable) {
+        toast.error(message, { action: { label: 'Retry', onClick: () => onSubmit() } });
+      } else {
+        toast.error(message);
+      }
+    } finally {
+      isSubmittingRef.current = false;
+    }
+  });
+
+  return (
+    <CustomDialog
+      open={open}
+      onClose={onClose}
+      title={title || 'Manager approval'}
+      maxWidth="xs"
+      loading={isLoading}
+      disableClose={isLoading}
+      actions={
+        <Box sx={{ display: 'flex', gap: 1, justifyContent: 'flex-end' }}>
+          <Field.Button variant="outlined" color="inherit" onClick={onClose} disabled={isLoading}>
+            Cancel
+          </Field.Button>
+          <Field.Button
+            variant="contained"
+            onClick={onSubmit}
+            loading={isLoading}
+            disabled={isLoading}
+            startIcon="solar:shield-check-bold"
+          >
+            Approve
+          </Field.Button>
+        </Box>
+      }
+    >
+      <Form methods={methods} onSubmit={onSubmit}>
+        <Stack spacing={2} sx={{ pt: 1 }}>
+          <Typography variant="body2" color="text.secondary">
+            {description || 'This action needs a manager.'} A manager can approve it with their PIN; you stay
+            signed in.
+          </Typography>
+          <Field.Text
+            name="pin"
+            label="Manager PIN"
+            type="password"
+            autoFocus
+            autoComplete="off"
+            slotProps={{ htmlInput: { inputMode: 'numeric', maxLength: 12 } }}
+          />
+        </Stack>
+      </Form>
+    </CustomDialog>
+  );
+}
@@ -0,0 +1,65 @@
+'use client';
+
+import { useRef, useState, useCallback } from 'react';
+
+import { can } from 'src/utils/permissions';
+
+// ----------------------------------------------------------------------
+
+/**
+ * Hook to gate a sensitive action behind a permission, with a manager PIN override.
+ * Parent must render <ManagerApprovalDialog {...approvalDialogProps} />.
+ *
+ * requestApproval(permission, { title, description }) resolves to:
+ * - { approvedBy: null } when the signed-in user has the permission (no dialog)
+ * - { approvedBy, approverName } when a manager with the permission entered their PIN
+ * `permission` may be a list of codes; all of them are then required (from the cashier or one approver).
+ * - null when the dialog was cancelled
+ * Send `approvedBy` with the resulting request when set; the cashier stays signed in.
+ *
+ * @returns {{ requestApproval: Function, approvalDialogProps: Object }}
+ */
+export function useManagerApproval() {
+  const [request, setRequest] = useState(null);
+  const resolveRef = useRef(null);
+
+  const settle = useCallback((result) => {
+    resolveRef.current?.(result);
+    resolveRef.current = null;
+    setRequest(null);
+  }, []);
+
+  const requestApproval = useCallback(
+    (permission, { title, description } = {}) => {
+      if ([].concat(permission).every((code) => can(code))) {
+        return Promise.resolve({ approvedBy: null, approverName: null });
+      }
+      // A pending request is cancelled by a new one
+      resolveRef.current?.(null);
+      return new Promise((resolve) => {
+        resolveRef.current = resolve;
+        setRequest({ permission, title, description });
+      });
+    },
+    []
+  );
+
+  const handleApprove = useCallback(
+    (approver) => settle({ approvedBy: approver?.userId ?? null, approverName: approver?.fullName ?? null }),
+    [settle]
+  );
+
+  const handleClose = useCallback(() => settle(null), [settle]);
+
+  return {
+    requestApproval,
+    approvalDialogProps: {
+      open: Boolean(request),
+      permission: request?.permission ?? null,
+      title: request?.title,
+      description: request?.description,
+      onApprove: handleApprove,
+      onClose: handleClose,
+    },
+  };
+}
@@ -36,6 +36,19 @@ export const CONFIG = {
    * For Electron or backend print services, use this value to target the device.
    */
   invoicePrinterName: process.env.NEXT_PUBLIC_INVOICE_PRINTER_NAME ?? 'POS-80',
+  /**
+   * Voids and refunds above this amount need a manager PIN override.
+   */
+  managerApprovalAmount: Number(process.env.NEXT_PUBLIC_MANAGER_APPROVAL_AMOUNT ?? 1000),
+  /**
+   * Discounts above this percentage (order or line) need a manager PIN override.
+   */
+  managerDiscountPercent: Number(process.env.NEXT_PUBLIC_MANAGER_DISCOUNT_PERCENT ?? 10),
+  /**
+   * Default target gross margin (%) for recipes: food cost above 100 - target is flagged. Each
+   * browser can change it from the recipe cost summary.
+   */
+  recipeTargetMarginPercent: Number(process.env.NEXT_PUBLIC_RECIPE_TARGET_MARGIN_PERCENT ?? 70),
   /**
    * Mapbox
    */
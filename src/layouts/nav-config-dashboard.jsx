@@ -25,6 +25,9 @@ const ICONS = {
   recipes: icon('solar:document-text-outline'),
   kitchens: icon('solar:chef-hat-outline'),
   banking: icon('solar:wallet-money-outline'),
+  cashDrawer: icon('solar:safe-square-outline'),
+  suppliers: icon('solar:delivery-outline'),
+  purchaseOrders: icon('solar:clipboard-list-outline'),
 };
 
 // ----------------------------------------------------------------------
@@ -74,6 +77,12 @@ export const navData = [
   {
     subheader: 'Tenant',
     items: [
+      {
+        title: 'Dashboard',
+        path: paths.tenant.root,
+        icon: ICONS.analytics,
+        requiredPermission: routePermissionByPath[paths.tenant.root],
+      },
       {
         title: 'Staff Types',
         path: paths.tenant.staffTypes.root,
@@ -116,6 +125,18 @@ export const navData = [
         icon: ICONS.file,
         requiredPermission: routePermissionByPath[paths.tenant.stockDocuments.root],
       },
+      {
+        title: 'Suppliers',
+        path: paths.tenant.suppliers.root,
+        icon: ICONS.suppliers,
+        requiredPermission: routePermissionByPath[paths.tenant.suppliers.root],
+      },
+      {
+        title: 'Purchase Orders',
+        path: paths.tenant.purchaseOrders.root,
+        icon: ICONS.purchaseOrders,
+        requiredPermission: routePermissionByPath[paths.tenant.purchaseOrders.root],
+      },
       {
         title: 'POS',
         path: paths.tenant.orders.root,
@@ -146,6 +167,18 @@ export const navData = [
         icon: ICONS.banking,
         requiredPermission: routePermissionByPath[paths.tenant.paymentModes.root],
       },
+      {
+        title: 'Cash Drawer',
+        path: paths.tenant.cashSessions.root,
+        icon: ICONS.cashDrawer,
+        requiredPermission: routePermissionByPath[paths.tenant.cashSessions.root],
+      },
+      {
+        title: 'Reports',
+        path: paths.tenant.reports.root,
+        icon: ICONS.file,
+        requiredPermission: routePermissionByPath[paths.tenant.reports.root],
+      },
     ],
   },
 ];
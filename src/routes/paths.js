@@ -74,25 +74,41 @@ export const paths = {
     },
     stock: {
       root: `${ROOTS.TENANT}/stock`,
+      reorder: `${ROOTS.TENANT}/stock/reorder`,
     },
     stockDocuments: {
       root: `${ROOTS.TENANT}/stock-documents`,
     },
+    suppliers: {
+      root: `${ROOTS.TENANT}/suppliers`,
+      details: (id) => `${ROOTS.TENANT}/suppliers/${id}`,
+    },
+    purchaseOrders: {
+      root: `${ROOTS.TENANT}/purchase-orders`,
+    },
     orders: {
       root: `${ROOTS.TENANT}/orders`,
       list: `${ROOTS.TENANT}/orders/list`,
     },
     tables: {
       root: `${ROOTS.TENANT}/tables`,
+      floorPlan: `${ROOTS.TENANT}/tables/floor-plan`,
     },
     recipes: {
       root: `${ROOTS.TENANT}/recipes`,
     },
     kitchens: {
       root: `${ROOTS.TENANT}/kitchens`,
+      display: (id) => `${ROOTS.TENANT}/kitchens/${id}/display`,
     },
     paymentModes: {
       root: `${ROOTS.TENANT}/payment-modes`,
     },
+    cashSessions: {
+      root: `${ROOTS.TENANT}/cash-sessions`,
+    },
+    reports: {
+      root: `${ROOTS.TENANT}/reports`,
+    },
   },
 };
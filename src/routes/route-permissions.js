@@ -13,19 +13,30 @@ export const routePermissionByPath = {
   [paths.platform.users.root]: 'Users.GetAll',
   [paths.platform.roles.root]: 'Roles.GetAll',
   [paths.platform.branches.root]: 'Branches.GetAll',
+  // Dashboard reads orders (sales summary and live panels)
+  [paths.tenant.root]: 'Orders.GetAll',
   [paths.tenant.staffTypes.root]: 'StaffTypes.GetAll',
   [paths.tenant.staff.root]: 'Staff.GetAll',
   [paths.tenant.categories.root]: 'Categories.GetAll',
   [paths.tenant.items.root]: 'Items.GetAll',
   [paths.tenant.deals.root]: 'Deals.GetAll',
   [paths.tenant.stock.root]: 'Items.GetAll',
+  [paths.tenant.stock.reorder]: 'Items.GetAll',
   [paths.tenant.stockDocuments.root]: 'StockDocuments.GetAll',
+  [paths.tenant.suppliers.root]: 'Suppliers.GetAll',
+  [paths.tenant.suppliers.details(':id')]: 'Suppliers.GetAll',
+  [paths.tenant.purchaseOrders.root]: 'PurchaseOrders.GetAll',
   [paths.tenant.orders.root]: 'Orders.GetAll',
   [paths.tenant.orders.list]: 'Orders.GetAll',
   [paths.tenant.tables.root]: 'Tables.GetAll',
+  [paths.tenant.tables.floorPlan]: 'Tables.GetAll',
   [paths.tenant.recipes.root]: 'Recipes.GetAll',
   [paths.tenant.kitchens.root]: 'Kitchens.GetAll',
+  // KDS reads and updates orders
+  [paths.tenant.kitchens.display(':id')]: 'Orders.GetAll',
   [paths.tenant.paymentModes.root]: 'PaymentModes.GetAll',
+  [paths.tenant.cashSessions.root]: 'CashSessions.GetAll',
+  [paths.tenant.reports.root]: 'Reports.GetAll',
 };
 
 /**
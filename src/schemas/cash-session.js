@@ -0,0 +1,31 @@
+import { z as zod } from 'zod';
+
+import { requiredId, requiredString, optionalString, numberFromInput } from 'src/schemas/fields';
+
+// ----------------------------------------------------------------------
+
+// Open a shift: cash already in the drawer
+export const openCashSessionSchema = zod.object({
+  openingFloat: numberFromInput({ nonnegative: true }),
+  notes: optionalString(500),
+});
+
+// Cash put into (pay-in) or taken out of (pay-out) the drawer outside a sale
+export const cashMovementSchema = zod.object({
+  type: zod.enum(['PayIn', 'PayOut']),
+  amount: numberFromInput({ positive: true }),
+  reason: requiredString('Reason is required', 200, { trim: true }),
+  notes: optionalString(500),
+});
+
+// Close a shift with a blind count: one counted amount per payment mode, entered without seeing
+// the expected amount
+export const closeCashSessionSchema = zod.object({
+  counts: zod.array(
+    zod.object({
+      paymentModeId: requiredId('Payment mode is required', 'Payment mode must be a valid GUID'),
+      amount: numberFromInput({ nonnegative: true }),
+    })
+  ),
+  notes: optionalString(500),
+});
@@ -4,15 +4,9 @@ export { createItemSchema, updateItemSchema } from 'src/schemas/item';
 // Deal
 export { createDealSchema, updateDealSchema } from 'src/schemas/deal';
 
-// Order
-export { createOrderSchema, updateOrderSchema } from 'src/schemas/order';
-
 // Staff
 export { createStaffSchema, updateStaffSchema } from 'src/schemas/staff';
 
-// Table
-export { createTableSchema, updateTableSchema } from 'src/schemas/table';
-
 // Branch
 export { createBranchSchema, updateBranchSchema } from 'src/schemas/branch';
 
@@ -25,6 +19,9 @@ export { createKitchenSchema, updateKitchenSchema } from 'src/schemas/kitchen';
 // Category
 export { createCategorySchema, updateCategorySchema } from 'src/schemas/category';
 
+// Supplier
+export { createSupplierSchema, updateSupplierSchema } from 'src/schemas/supplier';
+
 // Staff type
 export { createStaffTypeSchema, updateStaffTypeSchema } from 'src/schemas/staff-type';
 
@@ -50,22 +47,55 @@ export {
   updateStockDocumentSchema,
 } from 'src/schemas/stock-document';
 
+// Recipe
+export {
+  createRecipeSchema,
+  updateRecipeSchema,
+  recipeIngredientSchema,
+} from 'src/schemas/recipe';
+
+// Cash session
+export {
+  cashMovementSchema,
+  openCashSessionSchema,
+  closeCashSessionSchema,
+} from 'src/schemas/cash-session';
+
+// Order
+export {
+  createOrderSchema,
+  updateOrderSchema,
+  addOrderItemsSchema,
+  orderAdjustmentSchema,
+} from 'src/schemas/order';
+
 // Stock
 export {
   updateStockSchema,
   adjustStockSchema,
+  updateStockLevelsSchema,
   checkAvailabilitySchema,
 } from 'src/schemas/stock';
 
-// Recipe
+// Purchase order
 export {
-  createRecipeSchema,
-  updateRecipeSchema,
-  recipeIngredientSchema,
-} from 'src/schemas/recipe';
+  createPurchaseOrderSchema,
+  updatePurchaseOrderSchema,
+  receivePurchaseOrderSchema,
+} from 'src/schemas/purchase-order';
+
+// Table
+export {
+  splitTableSchema,
+  createTableSchema,
+  updateTableSchema,
+  mergeTablesSchema,
+  transferTableSchema,
+} from 'src/schemas/table';
 
 // User
 export {
+  approvalPinSchema,
   registerUserSchema,
   registerBranchUserSchema,
   registerTenantUserSchema,
@@ -1,5 +1,7 @@
 import { z as zod } from 'zod';
 
+import { STANDARD_UNITS } from 'src/utils/units-of-measure';
+
 import {
   requiredId,
   optionalId,
@@ -13,11 +15,38 @@ import {
 
 // ----------------------------------------------------------------------
 
+// Item-specific unit: 1 `unit` = `factor` base units (e.g. 1 crate = 24 bottles)
+const unitConversionSchema = zod.object({
+  unit: requiredString('Unit name is required', 50, { trim: true }),
+  factor: numberFromInput({ positive: true }),
+});
+
+const unitConversionsField = zod
+  .array(unitConversionSchema)
+  .optional()
+  .default([])
+  .superRefine((conversions, ctx) => {
+    const seen = new Set();
+    conversions.forEach((conversion, index) => {
+      const key = conversion.unit.toLowerCase();
+      if (STANDARD_UNITS.some((unit) => unit.id === key)) {
+        ctx.addIssue({ code: 'custom', path: [index, 'unit'], message: 'Already a standard unit' });
+      } else if (seen.has(key)) {
+        ctx.addIssue({ code: 'custom', path: [index, 'unit'], message: 'Unit names must be unique' });
+      }
+      seen.add(key);
+    });
+  });
+
+// ----------------------------------------------------------------------
+
 export const createItemSchema = zod.object({
   tenantId: optionalId('Invalid tenant ID').optional(),
   categoryId: requiredId('Category is required', 'Invalid category ID'),
+  kitchenId: optionalId('Invalid kitchen ID'), // Kitchen that prepares the item (KOT routing)
   name: requiredString('Name is required', 200, { trim: true }),
   description: optionalString(1000),
+  barcode: optionalString(100), // Barcode / SKU for POS scanning
   itemType: requiredNumberOption(
     'Item type is required',
     'Item type must be 1, 2, 3, or 4',
@@ -28,13 +57,19 @@ export const createItemSchema = zod.object({
   imageUrl: optionalString(500), // Accepts S3 objectKey or URL
   isActive: booleanField(undefined),
   stockQuantity: numberFromInput({ nonnegative: true, emptyAs: 0 }).optional(),
+  baseUnit: optionalString(20), // Unit stock is kept in (STANDARD_UNITS)
+  purchaseUnit: optionalString(50),
+  recipeUnit: optionalString(50),
+  unitConversions: unitConversionsField,
 });
 
 export const updateItemSchema = zod.object({
   tenantId: optionalId('Invalid tenant ID').optional(),
   categoryId: requiredId('Category is required', 'Invalid category ID'),
+  kitchenId: optionalId('Invalid kitchen ID'), // Kitchen that prepares the item (KOT routing)
   name: requiredString('Name is required', 200, { trim: true }),
   description: optionalString(1000),
+  barcode: optionalString(100), // Barcode / SKU for POS scanning
   itemType: requiredNumberOption(
     'Item type is required',
     'Item type must be 1, 2, 3, or 4',
@@ -46,4 +81,8 @@ export const updateItemSchema = zod.object({
   isActive: zod.boolean(),
   isAvailable: zod.boolean(),
   stockQuantity: optionalNumberFromInput({ nonnegative: true }),
+  baseUnit: optionalString(20),
+  purchaseUnit: optionalString(50),
+  recipeUnit: optionalString(50),
+  unitConversions: unitConversionsField,
 });
@@ -12,11 +12,42 @@ import {
 
 // ----------------------------------------------------------------------
 
+// Add On item (itemType 3) attached to a line; quantity is per unit of the parent line
+const orderItemAddOnSchema = zod.object({
+  itemId: requiredId('Add-on is required', 'Add-on ID must be a valid GUID'),
+  name: optionalString(500),
+  quantity: numberFromInput({ positive: true, int: true, emptyAs: 1 }),
+  unitPrice: numberFromInput({ nonnegative: true, emptyAs: 0 }),
+});
+
+// Component of a deal line, per one deal (kept on the line so KOT and invoice can list it)
+const orderItemDealComponentSchema = zod.object({
+  itemId: requiredId('Deal item is required', 'Deal item ID must be a valid GUID'),
+  name: optionalString(500),
+  quantity: numberFromInput({ positive: true, int: true, emptyAs: 1 }),
+  kitchenId: optionalId('Kitchen ID must be a valid GUID'),
+});
+
 const orderItemSchema = zod.object({
   itemId: requiredId('Item is required', 'Item ID must be a valid GUID'),
   quantity: numberFromInput({ positive: true, int: true }),
   unitPrice: numberFromInput({ nonnegative: true, emptyAs: 0 }),
   notes: optionalString(2000),
+  addOns: zod.array(orderItemAddOnSchema).optional(),
+  // Free-text kitchen instructions, e.g. "No onions"
+  modifiers: zod.array(zod.string().trim().min(1).max(200, 'Must be at most 200 characters')).optional(),
+  discountPercentage: optionalNumberFromInput({ nonnegative: true, max: 100 }),
+  discountAmount: optionalNumberFromInput({ nonnegative: true }),
+  // Deal line: itemId is the deal's item, priced at the deal price
+  dealId: optionalId('Deal ID must be a valid GUID'),
+  dealName: optionalString(200),
+  dealItems: zod.array(orderItemDealComponentSchema).optional(),
+});
+
+// One tender of a split payment (e.g. part card, part cash)
+const orderPaymentSchema = zod.object({
+  paymentModeId: requiredId('Payment mode is required', 'Payment Mode ID must be a valid GUID'),
+  amount: numberFromInput({ positive: true }),
 });
 
 const deliveryDetailsSchema = zod
@@ -38,6 +69,8 @@ export const createOrderSchema = zod.object({
   branchId: optionalId('Branch ID must be a valid GUID').optional(),
   orderTypeId: requiredIdOrNumber('Order type is required', 'Order type must be a valid selection'),
   paymentModeId: optionalId('Payment Mode ID must be a valid GUID'),
+  payments: zod.array(orderPaymentSchema).optional(),
+  tenderedAmount: optionalNumberFromInput({ nonnegative: true }), // Cash handed over (single payment); POS only, not sent
   staffId: optionalId('Staff ID must be a valid GUID'),
   tableId: optionalId('Table ID must be a valid GUID'),
   kitchenId: optionalId('Kitchen ID must be a valid GUID'),
@@ -60,3 +93,27 @@ export const updateOrderSchema = zod.object({
   ),
   notes: optionalString(2000),
 });
+
+// New round for an open order (dine-in tab); earlier rounds are never resent
+export const addOrderItemsSchema = zod.object({
+  items: zod.array(orderItemSchema).min(1, 'Add at least one new item'),
+});
+
+// Void (unpaid) or refund (paid): whole order, or selected line quantities (0 = not adjusted).
+// Manager approval (over the amount limit or without the permission) is requested on submit.
+export const orderAdjustmentSchema = zod
+  .object({
+    scope: zod.enum(['order', 'items']),
+    reasonCode: requiredIdOrNumber('Reason is required', 'Reason must be a valid selection'),
+    notes: optionalString(500),
+    items: zod.array(
+      zod.object({
+        orderItemId: requiredId('Order item is required', 'Order item must be a valid GUID'),
+        quantity: numberFromInput({ nonnegative: true, int: true, emptyAs: 0 }),
+      })
+    ),
+  })
+  .refine((data) => data.scope === 'order' || data.items.some((item) => item.quantity > 0), {
+    message: 'Select at least one item',
+    path: ['items'],
+  });
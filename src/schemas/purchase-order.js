@@ -0,0 +1,33 @@
+import { z as zod } from 'zod';
+
+import { stockDocumentItemSchema } from 'src/schemas/stock-document';
+import { optionalId, requiredId, dateOptional, optionalString } from 'src/schemas/fields';
+
+// ----------------------------------------------------------------------
+
+// Lines are entered like stock document lines (any unit of the item)
+
+export const createPurchaseOrderSchema = zod.object({
+  supplierId: requiredId('Supplier is required', 'Invalid supplier ID'),
+  expectedDate: dateOptional(),
+  remarks: optionalString(2000),
+  items: zod.array(stockDocumentItemSchema).min(1, 'Purchase order must contain at least one item'),
+});
+
+export const updatePurchaseOrderSchema = zod.object({
+  supplierId: requiredId('Supplier is required', 'Invalid supplier ID'),
+  expectedDate: dateOptional(),
+  remarks: optionalString(2000),
+  items: zod.array(stockDocumentItemSchema).min(1, 'Purchase order must contain at least one item'),
+});
+
+// Goods received note: what actually arrived, at the price charged. Lines prefilled from the order
+// carry the order line they are received against; lines added by hand have none.
+const receiptItemSchema = stockDocumentItemSchema.extend({
+  purchaseOrderItemId: optionalId('Invalid purchase order line ID'),
+});
+
+export const receivePurchaseOrderSchema = zod.object({
+  remarks: optionalString(2000),
+  items: zod.array(receiptItemSchema).min(1, 'Goods received note must contain at least one item'),
+});
@@ -12,6 +12,7 @@ import {
 export const recipeIngredientSchema = zod.object({
   itemId: requiredId('Item is required', 'Invalid item ID'),
   quantity: numberFromInput({ positive: true }),
+  unit: optionalString(50), // Unit the quantity is entered in (item's base unit when empty)
   notes: optionalString(500),
 });
 
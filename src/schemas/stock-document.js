@@ -11,9 +11,10 @@ import {
 
 // ----------------------------------------------------------------------
 
-const stockDocumentItemSchema = zod.object({
+export const stockDocumentItemSchema = zod.object({
   itemId: requiredId('Item is required', 'Item ID must be a valid GUID'),
   quantity: numberFromInput({ positive: true }),
+  unit: optionalString(50), // Unit the quantity / unit price are entered in (item's base unit when empty)
   unitPrice: optionalNumberFromInput({ nonnegative: true }),
   remarks: optionalString(2000),
 });
@@ -29,12 +30,14 @@ export const createStockDocumentSchema = zod.object({
     1,
     3
   ),
-  supplierName: optionalString(500),
+  supplierId: optionalId('Invalid supplier ID'),
+  supplierName: optionalString(500), // Supplier's name at the time (kept for documents without supplierId)
   remarks: optionalString(2000),
   items: zod.array(stockDocumentItemSchema).min(1, 'Stock document must contain at least one item'),
 });
 
 export const updateStockDocumentSchema = zod.object({
+  supplierId: optionalId('Invalid supplier ID'),
   supplierName: optionalString(500),
   remarks: optionalString(2000),
   items: zod.array(stockDocumentItemSchema).optional(),
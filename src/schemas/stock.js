@@ -4,6 +4,7 @@ import {
   requiredId,
   optionalString,
   numberFromInput,
+  optionalNumberFromInput,
 } from 'src/schemas/fields';
 
 // ----------------------------------------------------------------------
@@ -17,6 +18,18 @@ export const adjustStockSchema = zod.object({
   reason: optionalString(2000),
 });
 
+// Per-item levels in the item's base unit; empty reorderPoint falls back to the minimum level
+export const updateStockLevelsSchema = zod
+  .object({
+    lowStockThreshold: numberFromInput({ nonnegative: true }),
+    reorderPoint: optionalNumberFromInput({ nonnegative: true }),
+    reorderQuantity: optionalNumberFromInput({ positive: true }),
+  })
+  .refine(
+    (data) => data.reorderPoint == null || Number(data.reorderPoint) >= Number(data.lowStockThreshold),
+    { message: 'Reorder point must be at or above the minimum level', path: ['reorderPoint'] }
+  );
+
 const checkAvailabilityItemSchema = zod.object({
   itemId: requiredId('Item is required', 'Item ID must be a valid GUID'),
   quantity: numberFromInput({ positive: true }),
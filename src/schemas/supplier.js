@@ -0,0 +1,33 @@
+import { z as zod } from 'zod';
+
+import {
+  requiredId,
+  booleanField,
+  optionalEmail,
+  requiredString,
+  optionalString,
+  optionalNumberFromInput,
+} from 'src/schemas/fields';
+
+// ----------------------------------------------------------------------
+
+const supplierFields = {
+  name: requiredString('Name is required', 200),
+  contactPerson: optionalString(200),
+  phone: optionalString(50),
+  email: optionalEmail(),
+  address: optionalString(1000),
+  paymentTermsDays: optionalNumberFromInput({ nonnegative: true, int: true, max: 365 }), // Days to pay (0 = on delivery)
+  notes: optionalString(2000),
+  items: zod.array(requiredId('Item is required', 'Item ID must be a valid GUID')).optional(), // Items supplied
+};
+
+export const createSupplierSchema = zod.object({
+  ...supplierFields,
+  isActive: booleanField(true),
+});
+
+export const updateSupplierSchema = zod.object({
+  ...supplierFields,
+  isActive: zod.boolean(),
+});
@@ -1,15 +1,26 @@
 import { z as zod } from 'zod';
 
 import {
+  requiredId,
   optionalId,
   booleanField,
   requiredString,
   optionalString,
   numberFromInput,
+  optionalNumberFromInput,
 } from 'src/schemas/fields';
 
 // ----------------------------------------------------------------------
 
+// Floor plan placement (set in the floor plan editor, not in the table form)
+const tableLayoutFields = {
+  shape: zod.enum(['rectangle', 'square', 'round']).nullable().optional(),
+  positionX: optionalNumberFromInput({ nonnegative: true }),
+  positionY: optionalNumberFromInput({ nonnegative: true }),
+  width: optionalNumberFromInput({ positive: true }),
+  height: optionalNumberFromInput({ positive: true }),
+};
+
 export const createTableSchema = zod.object({
   branchId: optionalId('Invalid branch ID').optional(),
   tableNumber: requiredString('Table number is required', 50),
@@ -17,6 +28,7 @@ export const createTableSchema = zod.object({
   location: optionalString(500),
   isAvailable: booleanField(true),
   isActive: booleanField(true),
+  ...tableLayoutFields,
 });
 
 export const updateTableSchema = zod.object({
@@ -26,4 +38,31 @@ export const updateTableSchema = zod.object({
   location: optionalString(500),
   isAvailable: zod.boolean(),
   isActive: zod.boolean(),
+  ...tableLayoutFields,
+});
+
+// ----------------------------------------------------------------------
+// Moving a table's active order (the backend updates both tables' availability)
+
+// Whole order to a free table
+export const transferTableSchema = zod.object({
+  targetTableId: requiredId('Target table is required', 'Target table must be a valid GUID'),
+});
+
+// Another table's order into this table's order (one bill); the other table is freed
+export const mergeTablesSchema = zod.object({
+  sourceTableId: requiredId('Table to merge is required', 'Table must be a valid GUID'),
+});
+
+// Some items (quantity 0 = stays) into a new order on a free table
+export const splitTableSchema = zod.object({
+  targetTableId: requiredId('Target table is required', 'Target table must be a valid GUID'),
+  items: zod
+    .array(
+      zod.object({
+        orderItemId: requiredId('Order item is required', 'Order item must be a valid GUID'),
+        quantity: numberFromInput({ nonnegative: true, int: true, emptyAs: 0 }),
+      })
+    )
+    .refine((items) => items.some((item) => item.quantity > 0), 'Select at least one item to move'),
 });
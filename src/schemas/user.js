@@ -153,3 +153,19 @@ export const assignTenantOwnershipSchema = zod.object({
   newOwnerId: requiredId('User is required', 'Invalid user ID'),
 });
 
+
+// ----------------------------------------------------------------------
+
+/**
+ * Approval PIN Schema
+ *
+ * Used for POST /api/Users/verify-approval-pin (manager override of a POS action)
+ * Fields: pin
+ */
+export const approvalPinSchema = zod.object({
+  pin: zod
+    .string()
+    .min(1, 'PIN is required')
+    .max(12, 'PIN must be 12 digits or less')
+    .regex(/^\d+$/, 'PIN must contain digits only'),
+});
@@ -16,7 +16,12 @@ import { getApiErrorMessage } from 'src/utils/api-error-message';
 import { ACTION_PERMISSIONS } from 'src/utils/action-permissions';
 
 import { useGetTenantsDropdownQuery } from 'src/store/api/tenants-api';
-import { useGetBranchesQuery, useDeleteBranchMutation, useToggleBranchActiveMutation } from 'src/store/api/branches-api';
+import {
+  branchesApi,
+  useGetBranchesQuery,
+  useDeleteBranchMutation,
+  useToggleBranchActiveMutation,
+} from 'src/store/api/branches-api';
 
 import { Label } from 'src/components/label';
 import { toast } from 'src/components/snackbar';
@@ -24,6 +29,7 @@ import { Field } from 'src/components/hook-form';
 import { Iconify } from 'src/components/iconify';
 import { EmptyContent } from 'src/components/empty-content';
 import { ConfirmDialog } from 'src/components/custom-dialog/confirm-dialog';
+import { useListExport, ExportMenuButton } from 'src/components/export-menu';
 import { CustomTable, DEFAULT_PAGINATION } from 'src/components/custom-table';
 
 import { BranchFormDialog } from '../form/branch-form-dialog';
@@ -31,6 +37,26 @@ import { BranchDetailsDialog } from '../components/branch-details-dialog';
 
 // ----------------------------------------------------------------------
 
+const getPrimaryPhone = (branch) => {
+  if (branch.primaryPhone) return branch.primaryPhone;
+  if (!branch.phoneNumbers || branch.phoneNumbers.length === 0) return '-';
+  const primary = branch.phoneNumbers.find((p) => p.isPrimary && p.isActive);
+  if (primary) return primary.phoneNumber;
+  return branch.phoneNumbers[0]?.phoneNumber || '-';
+};
+
+const toBranchRow = (branch) => ({
+  id: branch.id,
+  name: branch.name,
+  address: branch.address || '-',
+  tenantName: branch.tenantName || '-',
+  primaryPhone: getPrimaryPhone(branch),
+  isActive: branch.isActive,
+  phoneNumbers: branch.phoneNumbers || [],
+});
+
+// ----------------------------------------------------------------------
+
 /**
  * Branch List View Component
  *
@@ -251,14 +277,6 @@ export function BranchListView() {
     setFormDialogRecord(null);
   }, []);
 
-  const getPrimaryPhone = (branch) => {
-    if (branch.primaryPhone) return branch.primaryPhone;
-    if (!branch.phoneNumbers || branch.phoneNumbers.length === 0) return '-';
-    const primary = branch.phoneNumbers.find((p) => p.isPrimary && p.isActive);
-    if (primary) return primary.phoneNumber;
-    return branch.phoneNumbers[0]?.phoneNumber || '-';
-  };
-
   const handlePageChange = useCallback((newPage) => {
     setPageNumber(newPage + 1);
   }, []);
@@ -274,15 +292,7 @@ export function BranchListView() {
     setPageNumber(1);
   }, [searchForm]);
 
-  const rows = useMemo(() => branches.map((branch) => ({
-    id: branch.id,
-    name: branch.name,
-    address: branch.address || '-',
-    tenantName: branch.tenantName || '-',
-    primaryPhone: getPrimaryPhone(branch),
-    isActive: branch.isActive,
-    phoneNumbers: branch.phoneNumbers || [],
-  })), [branches]);
+  const rows = useMemo(() => branches.map(toBranchRow), [branches]);
 
   const columns = useMemo(
     () => [
@@ -320,6 +330,7 @@ export function BranchListView() {
         field: 'isActive',
         headerName: 'Status',
         flex: 1,
+        exportValue: (row) => (row.isActive ? 'Active' : 'Inactive'),
         renderCell: (params) => (
           <Label color={params.value ? 'success' : 'default'} variant="soft">
             {params.value ? 'Active' : 'Inactive'}
@@ -330,6 +341,15 @@ export function BranchListView() {
     []
   );
 
+  const { tableProps: exportTableProps, ...exportMenuProps } = useListExport({
+    endpoint: branchesApi.endpoints.getBranches,
+    queryParams,
+    rows,
+    toRow: toBranchRow,
+    columns,
+    filename: 'Branches',
+  });
+
   const actions = useMemo(
     () => [
       {
@@ -440,12 +460,13 @@ export function BranchListView() {
               sx={{ minWidth: { sm: 200 } }}
             />
           </FormProvider>
+          <ExportMenuButton {...exportMenuProps} sx={{ ml: 'auto' }} />
           {can(ACTION_PERMISSIONS.Branches.create) && (
             <Field.Button
               variant="contained"
               startIcon="mingcute:add-line"
               onClick={handleCreate}
-              sx={{ ml: 'auto', minHeight: 44 }}
+              sx={{ minHeight: 44 }}
             >
               Create Branch
             </Field.Button>
@@ -453,6 +474,7 @@ export function BranchListView() {
         </Stack>
 
         <CustomTable
+          {...exportTableProps}
           rows={rows}
           columns={columns}
           loading={isLoading}
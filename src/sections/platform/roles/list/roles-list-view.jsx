@@ -15,6 +15,7 @@ import { getApiErrorMessage } from 'src/utils/api-error-message';
 import { ACTION_PERMISSIONS } from 'src/utils/action-permissions';
 
 import {
+  rolesApi,
   useGetRolesQuery,
   useDeleteRoleMutation,
   useToggleRoleActiveMutation,
@@ -27,6 +28,7 @@ import { Field } from 'src/components/hook-form';
 import { Iconify } from 'src/components/iconify';
 import { EmptyContent } from 'src/components/empty-content';
 import { ConfirmDialog } from 'src/components/custom-dialog/confirm-dialog';
+import { useListExport, ExportMenuButton } from 'src/components/export-menu';
 import { CustomTable, DEFAULT_PAGINATION } from 'src/components/custom-table';
 
 import { RoleFormDialog } from '../form/role-form-dialog';
@@ -35,6 +37,16 @@ import { getScopeDisplayName, getActiveStatusLabel, getActiveStatusColor } from
 
 // ----------------------------------------------------------------------
 
+const toRoleRow = (r) => ({
+  id: r.id,
+  name: r.name,
+  scope: r.scope,
+  scopeName: getScopeDisplayName(r.scope),
+  isActive: r.isActive,
+});
+
+// ----------------------------------------------------------------------
+
 export function RolesListView() {
   const [formDialogOpen, setFormDialogOpen] = useState(false);
   const [formDialogMode, setFormDialogMode] = useState('create');
@@ -256,17 +268,7 @@ export function RolesListView() {
     setPageNumber(1);
   }, [searchForm]);
 
-  const rows = useMemo(
-    () =>
-      roles.map((r) => ({
-        id: r.id,
-        name: r.name,
-        scope: r.scope,
-        scopeName: getScopeDisplayName(r.scope),
-        isActive: r.isActive,
-      })),
-    [roles]
-  );
+  const rows = useMemo(() => roles.map(toRoleRow), [roles]);
 
   const columns = useMemo(
     () => [
@@ -285,6 +287,7 @@ export function RolesListView() {
         field: 'isActive',
         headerName: 'Status',
         flex: 1,
+        exportValue: (row) => getActiveStatusLabel(row.isActive),
         renderCell: (params) => (
           <Label color={getActiveStatusColor(params.value)} variant="soft">
             {getActiveStatusLabel(params.value)}
@@ -295,6 +298,15 @@ export function RolesListView() {
     []
   );
 
+  const { tableProps: exportTableProps, ...exportMenuProps } = useListExport({
+    endpoint: rolesApi.endpoints.getRoles,
+    queryParams,
+    rows,
+    toRow: toRoleRow,
+    columns,
+    filename: 'Roles',
+  });
+
   const actions = useMemo(
     () => [
       {
@@ -421,12 +433,12 @@ export function RolesListView() {
                 sx={{ minWidth: { sm: 140 } }}
               />
             </FormProvider>
+            <ExportMenuButton {...exportMenuProps} sx={{ ml: { sm: 'auto' } }} />
             {can(ACTION_PERMISSIONS.Roles.create) && (
               <Field.Button
                 variant="contained"
                 startIcon="mingcute:add-line"
                 onClick={handleCreate}
-                sx={{ ml: { sm: 'auto' } }}
               >
                 Create Role
               </Field.Button>
@@ -434,6 +446,7 @@ export function RolesListView() {
           </Stack>
 
           <CustomTable
+            {...exportTableProps}
             rows={rows}
             columns={columns}
             loading={isLoading}
@@ -16,6 +16,7 @@ import { ACTION_PERMISSIONS } from 'src/utils/action-permissions';
 
 import { useGetUsersQuery } from 'src/store/api/users-api';
 import {
+  tenantMastersApi,
   useGetTenantMastersQuery,
   useDeleteTenantMasterMutation,
   useToggleTenantMasterActiveMutation,
@@ -27,6 +28,7 @@ import { Field } from 'src/components/hook-form';
 import { Iconify } from 'src/components/iconify';
 import { EmptyContent } from 'src/components/empty-content';
 import { ConfirmDialog } from 'src/components/custom-dialog/confirm-dialog';
+import { useListExport, ExportMenuButton } from 'src/components/export-menu';
 import { CustomTable, DEFAULT_PAGINATION } from 'src/components/custom-table';
 
 import { TenantMasterFormDialog } from '../form/tenant-master-form-dialog';
@@ -245,21 +247,23 @@ export function TenantMasterListView() {
     setPageNumber(1);
   }, [searchForm]);
 
-  const rows = useMemo(
-    () => tenantMasters.map((tm) => {
-        const owner = ownerOptions.find((o) => o.id === tm.ownerId);
-        return {
-          id: tm.id,
-          name: tm.name,
-          description: tm.description ?? '-',
-          ownerId: tm.ownerId ?? '-',
-          ownerName: owner?.label ?? tm.ownerId ?? '-',
-          isActive: tm.isActive,
-        };
-      }),
-    [tenantMasters, ownerOptions]
+  const toTenantMasterRow = useCallback(
+    (tm) => {
+      const owner = ownerOptions.find((o) => o.id === tm.ownerId);
+      return {
+        id: tm.id,
+        name: tm.name,
+        description: tm.description ?? '-',
+        ownerId: tm.ownerId ?? '-',
+        ownerName: owner?.label ?? tm.ownerId ?? '-',
+        isActive: tm.isActive,
+      };
+    },
+    [ownerOptions]
   );
 
+  const rows = useMemo(() => tenantMasters.map(toTenantMasterRow), [tenantMasters, toTenantMasterRow]);
+
   // P0-001: sortable false with server pagination
   const columns = useMemo(
     () => [
@@ -292,6 +296,7 @@ export function TenantMasterListView() {
         field: 'isActive',
         headerName: 'Status',
         flex: 1,
+        exportValue: (row) => getActiveStatusLabel(row.isActive),
         renderCell: (params) => (
           <Label color={getActiveStatusColor(params.value)} variant="soft">
             {getActiveStatusLabel(params.value)}
@@ -302,6 +307,15 @@ export function TenantMasterListView() {
     []
   );
 
+  const { tableProps: exportTableProps, ...exportMenuProps } = useListExport({
+    endpoint: tenantMastersApi.endpoints.getTenantMasters,
+    queryParams,
+    rows,
+    toRow: toTenantMasterRow,
+    columns,
+    filename: 'Tenant Masters',
+  });
+
   const actions = useMemo(
     () => [
       {
@@ -406,8 +420,9 @@ export function TenantMasterListView() {
               sx={{ minWidth: { sm: 200 } }}
             />
           </FormProvider>
+          <ExportMenuButton {...exportMenuProps} sx={{ ml: 'auto' }} />
           {can(ACTION_PERMISSIONS.TenantMasters.create) && (
-            <Field.Button variant="contained" startIcon="mingcute:add-line" onClick={handleCreate} sx={{ ml: 'auto' }}>
+            <Field.Button variant="contained" startIcon="mingcute:add-line" onClick={handleCreate}>
               Create Tenant Master
             </Field.Button>
           )}
@@ -415,6 +430,7 @@ export function TenantMasterListView() {
 
         {/* P0-005: show error in table area so search/filters/Create remain; P0-001: sorting disabled */}
         <CustomTable
+          {...exportTableProps}
           rows={rows}
           columns={columns}
           loading={isLoading}
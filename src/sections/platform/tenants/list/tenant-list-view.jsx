@@ -16,7 +16,12 @@ import { getApiErrorMessage } from 'src/utils/api-error-message';
 import { ACTION_PERMISSIONS } from 'src/utils/action-permissions';
 
 import { useGetTenantMastersDropdownQuery } from 'src/store/api/tenant-masters-api';
-import { useGetTenantsQuery, useDeleteTenantMutation, useToggleTenantActiveMutation } from 'src/store/api/tenants-api';
+import {
+  tenantsApi,
+  useGetTenantsQuery,
+  useDeleteTenantMutation,
+  useToggleTenantActiveMutation,
+} from 'src/store/api/tenants-api';
 
 import { Label } from 'src/components/label';
 import { toast } from 'src/components/snackbar';
@@ -24,6 +29,7 @@ import { Field } from 'src/components/hook-form';
 import { Iconify } from 'src/components/iconify';
 import { EmptyContent } from 'src/components/empty-content';
 import { ConfirmDialog } from 'src/components/custom-dialog/confirm-dialog';
+import { useListExport, ExportMenuButton } from 'src/components/export-menu';
 import { CustomTable, DEFAULT_PAGINATION } from 'src/components/custom-table';
 
 import { TenantFormDialog } from '../form/tenant-form-dialog';
@@ -31,6 +37,27 @@ import { TenantDetailsDialog } from '../components/tenant-details-dialog';
 
 // ----------------------------------------------------------------------
 
+// Get primary phone from phoneNumbers array
+const getPrimaryPhone = (phoneNumbers) => {
+  if (!phoneNumbers || phoneNumbers.length === 0) return '-';
+  const primary = phoneNumbers.find((p) => p.isPrimary && p.isActive);
+  if (primary) return primary.phoneNumber;
+  return phoneNumbers[0]?.phoneNumber || '-';
+};
+
+const toTenantRow = (tenant) => ({
+  id: tenant.id,
+  name: tenant.name,
+  tenantMasterName: tenant.tenantMasterName ?? '-',
+  description: tenant.description || '-',
+  primaryPhone: getPrimaryPhone(tenant.phoneNumbers),
+  ownerId: tenant.ownerId || '-',
+  isActive: tenant.isActive,
+  phoneNumbers: tenant.phoneNumbers || [],
+});
+
+// ----------------------------------------------------------------------
+
 /**
  * Tenant List View Component
  * 
@@ -283,14 +310,6 @@ export function TenantListView() {
     setFormDialogRecord(null);
   }, []);
 
-  // Get primary phone from phoneNumbers array
-  const getPrimaryPhone = (phoneNumbers) => {
-    if (!phoneNumbers || phoneNumbers.length === 0) return '-';
-    const primary = phoneNumbers.find((p) => p.isPrimary && p.isActive);
-    if (primary) return primary.phoneNumber;
-    return phoneNumbers[0]?.phoneNumber || '-';
-  };
-
   // Handle pagination change
   const handlePageChange = useCallback((newPage) => {
     setPageNumber(newPage + 1); // DataGrid uses 0-based, API uses 1-based
@@ -310,16 +329,7 @@ export function TenantListView() {
 
 
   // Prepare table rows
-  const rows = useMemo(() => tenants.map((tenant) => ({
-      id: tenant.id,
-      name: tenant.name,
-      tenantMasterName: tenant.tenantMasterName ?? '-',
-      description: tenant.description || '-',
-      primaryPhone: getPrimaryPhone(tenant.phoneNumbers),
-      ownerId: tenant.ownerId || '-',
-      isActive: tenant.isActive,
-      phoneNumbers: tenant.phoneNumbers || [],
-    })), [tenants]);
+  const rows = useMemo(() => tenants.map(toTenantRow), [tenants]);
 
   // Define columns (sortable/filterable false: server pagination without server sort/filter)
   const columns = useMemo(
@@ -363,6 +373,7 @@ export function TenantListView() {
         field: 'isActive',
         headerName: 'Status',
         flex: 1,
+        exportValue: (row) => (row.isActive ? 'Active' : 'Inactive'),
         renderCell: (params) => (
           <Label color={params.value ? 'success' : 'default'} variant="soft">
             {params.value ? 'Active' : 'Inactive'}
@@ -373,6 +384,15 @@ export function TenantListView() {
     []
   );
 
+  const { tableProps: exportTableProps, ...exportMenuProps } = useListExport({
+    endpoint: tenantsApi.endpoints.getTenants,
+    queryParams,
+    rows,
+    toRow: toTenantRow,
+    columns,
+    filename: 'Tenants',
+  });
+
   // Define actions
   const actions = useMemo(
     () => [
@@ -520,12 +540,13 @@ export function TenantListView() {
             // })) || [];
           />
         </FormProvider>
+        <ExportMenuButton {...exportMenuProps} sx={{ ml: 'auto' }} />
         {can(ACTION_PERMISSIONS.Tenants.create) && (
           <Field.Button
             variant="contained"
             startIcon="mingcute:add-line"
             onClick={handleCreate}
-            sx={{ ml: 'auto', minHeight: 44 }}
+            sx={{ minHeight: 44 }}
           >
             Create Tenant
           </Field.Button>
@@ -534,6 +555,7 @@ export function TenantListView() {
 
 
       <CustomTable
+        {...exportTableProps}
         rows={rows}
         columns={columns}
         loading={isLoading}
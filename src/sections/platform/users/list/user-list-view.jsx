@@ -20,6 +20,7 @@ import { ACTION_PERMISSIONS } from 'src/utils/action-permissions';
 
 import { useGetTenantMastersDropdownQuery } from 'src/store/api/tenant-masters-api';
 import {
+  usersApi,
   useGetUsersQuery,
   useToggleUserActiveMutation,
 } from 'src/store/api/users-api';
@@ -31,6 +32,7 @@ import { toast } from 'src/components/snackbar';
 import { Field } from 'src/components/hook-form';
 import { Iconify } from 'src/components/iconify';
 import { EmptyContent } from 'src/components/empty-content';
+import { useListExport, ExportMenuButton } from 'src/components/export-menu';
 import { CustomTable, DEFAULT_PAGINATION } from 'src/components/custom-table';
 
 import { UserRegisterDialog } from '../form/user-register-dialog';
@@ -39,6 +41,23 @@ import { AssignTenantOwnershipDialog } from '../components/assign-tenant-ownersh
 
 // ----------------------------------------------------------------------
 
+const toUserRow = (user) => ({
+  id: user.id,
+  userName: user.userName,
+  email: user.email,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  fullName: `${user.firstName || ''} ${user.lastName || ''}`.trim() || '-',
+  phoneNumber: user.phoneNumber || '-',
+  isActive: user.isActive,
+  emailConfirmed: user.emailConfirmed,
+  phoneNumberConfirmed: user.phoneNumberConfirmed,
+  createdAt: user.createdAt,
+  lastUpdatedAt: user.lastUpdatedAt,
+});
+
+// ----------------------------------------------------------------------
+
 /**
  * User List View Component
  * 
@@ -264,20 +283,7 @@ export function UserListView() {
   }, [searchForm]);
 
   // Prepare table rows
-  const rows = useMemo(() => users.map((user) => ({
-    id: user.id,
-    userName: user.userName,
-    email: user.email,
-    firstName: user.firstName,
-    lastName: user.lastName,
-    fullName: `${user.firstName || ''} ${user.lastName || ''}`.trim() || '-',
-    phoneNumber: user.phoneNumber || '-',
-    isActive: user.isActive,
-    emailConfirmed: user.emailConfirmed,
-    phoneNumberConfirmed: user.phoneNumberConfirmed,
-    createdAt: user.createdAt,
-    lastUpdatedAt: user.lastUpdatedAt,
-  })), [users]);
+  const rows = useMemo(() => users.map(toUserRow), [users]);
 
   // Define columns
   const columns = useMemo(
@@ -310,6 +316,7 @@ export function UserListView() {
         field: 'isActive',
         headerName: 'Active',
         width: 100,
+        exportValue: (row) => (row.isActive ? 'Active' : 'Inactive'),
         renderCell: (params) => (
           <Label color={params.value ? 'success' : 'default'} variant="soft">
             {params.value ? 'Active' : 'Inactive'}
@@ -320,6 +327,7 @@ export function UserListView() {
         field: 'emailConfirmed',
         headerName: 'Email Confirmed',
         width: 130,
+        exportValue: (row) => (row.emailConfirmed ? 'Confirmed' : 'Not Confirmed'),
         renderCell: (params) => (
           <Label color={params.value ? 'success' : 'default'} variant="soft" sx={{ fontSize: '0.75rem' }}>
             {params.value ? 'Confirmed' : 'Not Confirmed'}
@@ -330,6 +338,7 @@ export function UserListView() {
         field: 'phoneNumberConfirmed',
         headerName: 'Phone Confirmed',
         width: 130,
+        exportValue: (row) => (row.phoneNumberConfirmed ? 'Confirmed' : 'Not Confirmed'),
         renderCell: (params) => (
           <Label color={params.value ? 'success' : 'default'} variant="soft" sx={{ fontSize: '0.75rem' }}>
             {params.value ? 'Confirmed' : 'Not Confirmed'}
@@ -341,6 +350,7 @@ export function UserListView() {
         headerName: 'Created At',
         flex: 1,
         minWidth: 150,
+        exportValue: (row) => (row.createdAt ? fDateTime(row.createdAt) : '-'),
         renderCell: (params) => (
           <Typography variant="body2" color="text.secondary">
             {params.value ? fDateTime(params.value) : '-'}
@@ -351,6 +361,15 @@ export function UserListView() {
     []
   );
 
+  const { tableProps: exportTableProps, ...exportMenuProps } = useListExport({
+    endpoint: usersApi.endpoints.getUsers,
+    queryParams,
+    rows,
+    toRow: toUserRow,
+    columns,
+    filename: 'Users',
+  });
+
   // Define actions
   const actions = useMemo(
     () => [
@@ -476,6 +495,7 @@ export function UserListView() {
             renderInput={(params) => <TextField {...params} label="Branch" />}
             sx={{ minWidth: { sm: 180 } }}
           />
+          <ExportMenuButton {...exportMenuProps} sx={{ ml: { sm: 'auto' } }} />
           {(can(ACTION_PERMISSIONS.Users.registerTenantMaster) ||
             can(ACTION_PERMISSIONS.Users.registerTenant) ||
             can(ACTION_PERMISSIONS.Users.registerBranch)) && (
@@ -483,7 +503,7 @@ export function UserListView() {
               variant="contained"
               startIcon="mingcute:add-line"
               onClick={handleRegister}
-              sx={{ ml: { sm: 'auto' }, minHeight: 44 }}
+              sx={{ minHeight: 44 }}
             >
               Register User
             </Field.Button>
@@ -491,6 +511,7 @@ export function UserListView() {
         </Stack>
 
         <CustomTable
+          {...exportTableProps}
           rows={rows}
           columns={columns}
           loading={isLoading}
@@ -0,0 +1,183 @@
+'use client';
+
+import { useMemo } from 'react';
+
+import Box from '@mui/material/Box';
+import Stack from '@mui/material/Stack';
+import Typography from '@mui/material/Typography';
+import CircularProgress from '@mui/material/CircularProgress';
+
+import { fTime } from 'src/utils/format-time';
+import { fCurrency } from 'src/utils/format-number';
+
+import { CONFIG } from 'src/global-config';
+import { useGetCashSessionReportQuery } from 'src/store/api/cash-drawer-api';
+import { useGetPaymentModesDropdownQuery } from 'src/store/api/payment-modes-api';
+
+import { Label } from 'src/components/label';
+import { toast } from 'src/components/snackbar';
+import { Field } from 'src/components/hook-form';
+import { CustomDialog } from 'src/components/custom-dialog';
+import { EmptyContent } from 'src/components/empty-content';
+import { useInvoicePrint, CashSessionReportPrintLayout } from 'src/components/invoice-print';
+
+import {
+  CASH_MOVEMENT_TYPE,
+  normalizeCashSessionReport,
+  buildCashSessionReportPayload,
+} from '../utils/cash-session-report';
+
+// ----------------------------------------------------------------------
+
+const CURRENCY_OPTS = { minimumFractionDigits: 2, maximumFractionDigits: 2 };
+
+/**
+ * Cash Session Report Dialog
+ *
+ * X report of an open shift or Z report of a closed one, as it prints (80mm), followed by the
+ * shift's pay-ins and pay-outs.
+ */
+export function CashSessionReportDialog({ open, sessionId, onClose }) {
+  const { invoicePrintPayload: reportPrintPayload, triggerPrint } = useInvoicePrint();
+
+  const {
+    data: reportResponse,
+    isFetching,
+    error,
+    refetch,
+  } = useGetCashSessionReportQuery(sessionId, { skip: !open || !sessionId, refetchOnMountOrArgChange: true });
+  const { data: paymentModesDropdown } = useGetPaymentModesDropdownQuery(undefined, { skip: !open });
+
+  const report = useMemo(() => {
+    const paymentModeOptions = Array.isArray(paymentModesDropdown)
+      ? paymentModesDropdown.map((item) => ({ id: item.key, label: item.value || item.key }))
+      : [];
+    return normalizeCashSessionReport(reportResponse, paymentModeOptions);
+  }, [reportResponse, paymentModesDropdown]);
+
+  const payload = useMemo(() => (report ? buildCashSessionReportPayload(report) : null), [report]);
+
+  const handlePrint = () => {
+    if (!payload) return;
+    triggerPrint(payload);
+    toast.info(`Print dialog opened. Select "${CONFIG.invoicePrinterName}" to print.`);
+  };
+
+  const renderBody = () => {
+    if (isFetching && !report) {
+      return (
+        <Box sx={{ py: 8, display: 'flex', justifyContent: 'center' }}>
+          <CircularProgress />
+        </Box>
+      );
+    }
+    if (error) {
+      return (
+        <EmptyContent
+          title="Failed to load report"
+          action={
+            <Field.Button variant="outlined" onClick={refetch} sx={{ mt: 2 }}>
+              Retry
+            </Field.Button>
+          }
+        />
+      );
+    }
+    if (!report) return null;
+    return (
+      <Stack spacing={3} sx={{ pt: 1, pb: 2 }}>
+        <Box sx={{ display: 'flex', justifyContent: 'center', bgcolor: 'background.neutral', p: 2, borderRadius: 1 }}>
+          <CashSessionReportPrintLayout payload={payload} widthPreset="80mm" />
+        </Box>
+
+        <Box>
+          <Typography variant="subtitle2" sx={{ mb: 1 }}>
+            Pay-ins and pay-outs
+          </Typography>
+          {report.movements.length === 0 ? (
+            <Typography variant="body2" color="text.secondary">
+              None this shift.
+            </Typography>
+          ) : (
+            <Stack spacing={1}>
+              {report.movements.map((movement, index) => {
+                const isPayIn = movement.type === CASH_MOVEMENT_TYPE.payIn;
+                return (
+                  <Stack key={movement.id ?? index} direction="row" alignItems="center" spacing={1}>
+                    <Label color={isPayIn ? 'success' : 'warning'} variant="soft">
+                      {isPayIn ? 'In' : 'Out'}
+                    </Label>
+                    <Typography variant="body2" sx={{ flex: 1, minWidth: 0 }} noWrap>
+                      {movement.reason || '-'}
+                      {movement.userName && (
+                        <Typography component="span" variant="caption" color="text.secondary" sx={{ ml: 1 }}>
+                          {movement.userName}
+                        </Typography>
+                      )}
+                    </Typography>
+                    {movement.createdAt && (
+                      <Typography variant="caption" color="text.secondary">
+                        {fTime(movement.createdAt)}
+                      </Typography>
+                    )}
+                    <Typography variant="subtitle2" sx={{ minWidth: 80, textAlign: 'right' }}>
+                      {isPayIn ? '' : '-'}
+                      {fCurrency(movement.amount, CURRENCY_OPTS)}
+                    </Typography>
+                  </Stack>
+                );
+              })}
+            </Stack>
+          )}
+        </Box>
+      </Stack>
+    );
+  };
+
+  return (
+    <CustomDialog
+      open={open}
+      onClose={onClose}
+      title={report?.session.isClosed ? 'Z report' : 'X report'}
+      maxWidth="sm"
+      fullWidth
+      actions={
+        <Box sx={{ display: 'flex', gap: 1, justifyContent: 'flex-end' }}>
+          <Field.Button variant="outlined" color="inherit" onClick={onClose}>
+            Close
+          </Field.Button>
+          <Field.Button
+            variant="contained"
+            onClick={handlePrint}
+            disabled={!payload}
+            startIcon="solar:printer-minimalistic-bold"
+            sx={{ minHeight: 44 }}
+          >
+            Print
+          </Field.Button>
+        </Box>
+      }
+    >
+      {renderBody()}
+
+      {/* Print root: hidden on screen, visible in @media print */}
+      {reportPrintPayload && (
+        <Box
+          sx={{
+            position: 'absolute',
+            left: -9999,
+            top: 0,
+            width: '80mm',
+            visibility: 'hidden',
+            pointerEvents: 'none',
+            zIndex: -1,
+          }}
+          id="invoice-print-root"
+          className="invoice-print-root"
+        >
+          <CashSessionReportPrintLayout payload={reportPrintPayload} widthPreset="80mm" />
+        </Box>
+      )}
+    </CustomDialog>
+  );
+}
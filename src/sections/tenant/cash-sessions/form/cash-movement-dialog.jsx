@@ -0,0 +1,129 @@
+'use client';
+
+import { useRef, useEffect } from 'react';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+
+import Box from '@mui/material/Box';
+import Chip from '@mui/material/Chip';
+import Stack from '@mui/material/Stack';
+
+import { fCurrency } from 'src/utils/format-number';
+import { getApiErrorMessage } from 'src/utils/api-error-message';
+
+import { cashMovementSchema } from 'src/schemas';
+import { useAddCashMovementMutation } from 'src/store/api/cash-drawer-api';
+
+import { toast } from 'src/components/snackbar';
+import { Form, Field } from 'src/components/hook-form';
+import { CustomDialog } from 'src/components/custom-dialog';
+
+import { CASH_MOVEMENT_TYPE, CASH_MOVEMENT_REASONS } from '../utils/cash-session-report';
+
+// ----------------------------------------------------------------------
+
+/**
+ * Cash Movement Dialog
+ *
+ * Pay-in (cash put into the drawer) or pay-out (cash taken out) during an open shift, with a
+ * reason. Reason suggestions fill the field; any text is accepted.
+ */
+export function CashMovementDialog({ open, session, type, onClose }) {
+  const isPayIn = type === CASH_MOVEMENT_TYPE.payIn;
+  const isSubmittingRef = useRef(false);
+  const [addCashMovement, { isLoading }] = useAddCashMovementMutation();
+
+  const methods = useForm({
+    resolver: zodResolver(cashMovementSchema),
+    defaultValues: { type, amount: '', reason: '', notes: '' },
+  });
+  const { reset, setValue, handleSubmit } = methods;
+
+  useEffect(() => {
+    if (open) reset({ type, amount: '', reason: '', notes: '' });
+  }, [open, type, reset]);
+
+  const onSubmit = handleSubmit(async (data) => {
+    if (isSubmittingRef.current || !session?.id) return;
+    isSubmittingRef.current = true;
+    try {
+      await addCashMovement({
+        id: session.id,
+        type: data.type,
+        amount: data.amount,
+        reason: data.reason,
+        notes: data.notes?.trim() || null,
+      }).unwrap();
+      toast.success(
+        `${isPayIn ? 'Pay-in' : 'Pay-out'} of ${fCurrency(data.amount, { minimumFractionDigits: 2, maximumFractionDigits: 2 })} recorded`
+      );
+      onClose();
+    } catch (err) {
+      const { message, isRetryable } = getApiErrorMessage(err, {
+        defaultMessage: `Failed to record ${isPayIn ? 'pay-in' : 'pay-out'}`,
+        notFoundMessage: 'Shift not found or already closed',
+      });
+      if (isRetryable) {
+        toast.error(message, { action: { label: 'Retry', onClick: () => onSubmit() } });
+      } else {
+        toast.error(message);
+      }
+    } finally {
+      isSubmittingRef.current = false;
+    }
+  });
+
+  return (
+    <CustomDialog
+      open={open}
+      onClose={onClose}
+      title={isPayIn ? 'Pay in' : 'Pay out'}
+      maxWidth="xs"
+      loading={isLoading}
+      disableClose={isLoading}
+      actions={
+        <Box sx={{ display: 'flex', gap: 1, justifyContent: 'flex-end' }}>
+          <Field.Button variant="outlined" color="inherit" onClick={onClose} disabled={isLoading}>
+            Cancel
+          </Field.Button>
+          <Field.Button
+            variant="contained"
+            onClick={onSubmit}
+            loading={isLoading}
+            disabled={isLoading}
+            startIcon="solar:check-circle-bold"
+            sx={{ minHeight: 44 }}
+          >
+            Record
+          </Field.Button>
+        </Box>
+      }
+    >
+      <Form methods={methods} onSubmit={onSubmit}>
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, pt: 1 }}>
+          <Field.Text
+            name="amount"
+            label="Amount"
+            type="number"
+            required
+            autoFocus
+            slotProps={{ htmlInput: { min: 0, step: '0.01', inputMode: 'decimal' } }}
+          />
+          <Field.Text name="reason" label="Reason" required slotProps={{ htmlInput: { maxLength: 200 } }} />
+          <Stack direction="row" flexWrap="wrap" useFlexGap spacing={1}>
+            {(CASH_MOVEMENT_REASONS[type] ?? []).map((reason) => (
+              <Chip
+                key={reason}
+                label={reason}
+                size="small"
+                variant="outlined"
+                onClick={() => setValue('reason', reason, { shouldValidate: true, shouldDirty: true })}
+              />
+            ))}
+          </Stack>
+          <Field.Text name="notes" label="Notes" multiline minRows={2} />
+        </Box>
+      </Form>
+    </CustomDialog>
+  );
+}
@@ -0,0 +1,148 @@
+'use client';
+
+import { useRef, useMemo, useEffect } from 'react';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { useForm, useFieldArray } from 'react-hook-form';
+
+import Box from '@mui/material/Box';
+import Alert from '@mui/material/Alert';
+import CircularProgress from '@mui/material/CircularProgress';
+
+import { getApiErrorMessage } from 'src/utils/api-error-message';
+
+import { closeCashSessionSchema } from 'src/schemas';
+import { useCloseCashSessionMutation } from 'src/store/api/cash-drawer-api';
+import { useGetPaymentModesDropdownQuery } from 'src/store/api/payment-modes-api';
+
+import { toast } from 'src/components/snackbar';
+import { Form, Field } from 'src/components/hook-form';
+import { CustomDialog } from 'src/components/custom-dialog';
+
+// ----------------------------------------------------------------------
+
+/**
+ * Close Cash Session Dialog
+ *
+ * Blind count: the cashier enters what was counted per payment mode (cash in the drawer, card
+ * slips, ...) without seeing the expected amounts. Over / short is shown only on the Z report.
+ */
+export function CashSessionCloseDialog({ open, session, onClose, onSuccess }) {
+  const isSubmittingRef = useRef(false);
+  const [closeCashSession, { isLoading }] = useCloseCashSessionMutation();
+
+  const { data: paymentModesDropdown, isLoading: paymentModesLoading } = useGetPaymentModesDropdownQuery(
+    undefined,
+    { skip: !open }
+  );
+  const paymentModeOptions = useMemo(() => {
+    if (!paymentModesDropdown || !Array.isArray(paymentModesDropdown)) return [];
+    return paymentModesDropdown.map((item) => ({ id: item.key, label: item.value || item.key }));
+  }, [paymentModesDropdown]);
+
+  const methods = useForm({
+    resolver: zodResolver(closeCashSessionSchema),
+    defaultValues: { counts: [], notes: '' },
+  });
+  const { reset, control, handleSubmit } = methods;
+  const { fields } = useFieldArray({ control, name: 'counts' });
+
+  useEffect(() => {
+    if (open) {
+      reset({
+        counts: paymentModeOptions.map((option) => ({ paymentModeId: option.id, amount: '' })),
+        notes: '',
+      });
+    }
+  }, [open, paymentModeOptions, reset]);
+
+  const onSubmit = handleSubmit(async (data) => {
+    if (isSubmittingRef.current || !session?.id) return;
+    isSubmittingRef.current = true;
+    try {
+      const result = await closeCashSession({
+        id: session.id,
+        counts: data.counts,
+        notes: data.notes?.trim() || null,
+      }).unwrap();
+      toast.success('Shift closed');
+      onSuccess?.(result);
+      onClose();
+    } catch (err) {
+      const { message, isRetryable } = getApiErrorMessage(err, {
+        defaultMessage: 'Failed to close shift',
+        notFoundMessage: 'Shift not found or already closed',
+      });
+      if (isRetryable) {
+        toast.error(message, { action: { label: 'Retry', onClick: () => onSubmit() } });
+      } else {
+        toast.error(message);
+      }
+    } finally {
+      isSubmittingRef.current = false;
+    }
+  });
+
+  const renderCounts = () => {
+    if (paymentModesLoading) {
+      return (
+        <Box sx={{ py: 4, display: 'flex', justifyContent: 'center' }}>
+          <CircularProgress />
+        </Box>
+      );
+    }
+    if (fields.length === 0) {
+      return <Alert severity="warning">No payment modes are set up.</Alert>;
+    }
+    return fields.map((field, index) => (
+      <Field.Text
+        key={field.id}
+        name={`counts.${index}.amount`}
+        label={paymentModeOptions.find((option) => option.id === field.paymentModeId)?.label ?? 'Payment mode'}
+        type="number"
+        required
+        autoFocus={index === 0}
+        slotProps={{ htmlInput: { min: 0, step: '0.01', inputMode: 'decimal' } }}
+      />
+    ));
+  };
+
+  return (
+    <CustomDialog
+      open={open}
+      onClose={onClose}
+      title="Close shift"
+      maxWidth="xs"
+      loading={isLoading}
+      disableClose={isLoading}
+      actions={
+        <Box sx={{ display: 'flex', gap: 1, justifyContent: 'flex-end' }}>
+          <Field.Button variant="outlined" color="inherit" onClick={onClose} disabled={isLoading}>
+            Cancel
+          </Field.Button>
+          <Field.Button
+            variant="contained"
+            color="error"
+            onClick={onSubmit}
+            loading={isLoading}
+            disabled={isLoading || fields.length === 0}
+            startIcon="solar:stop-circle-bold"
+            sx={{ minHeight: 44 }}
+          >
+            Close shift
+          </Field.Button>
+        </Box>
+      }
+    >
+      <Form methods={methods} onSubmit={onSubmit}>
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, pt: 1 }}>
+          <Alert severity="info">
+            Count the drawer and enter the amount for each payment mode. Expected amounts are shown on the Z
+            report after closing.
+          </Alert>
+          {renderCounts()}
+          <Field.Text name="notes" label="Notes" multiline minRows={2} />
+        </Box>
+      </Form>
+    </CustomDialog>
+  );
+}
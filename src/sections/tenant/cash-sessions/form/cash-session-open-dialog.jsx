@@ -0,0 +1,112 @@
+'use client';
+
+import { useRef, useEffect } from 'react';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+
+import Box from '@mui/material/Box';
+import Typography from '@mui/material/Typography';
+
+import { getApiErrorMessage } from 'src/utils/api-error-message';
+
+import { openCashSessionSchema } from 'src/schemas';
+import { useOpenCashSessionMutation } from 'src/store/api/cash-drawer-api';
+
+import { toast } from 'src/components/snackbar';
+import { Form, Field } from 'src/components/hook-form';
+import { CustomDialog } from 'src/components/custom-dialog';
+
+// ----------------------------------------------------------------------
+
+const DEFAULT_VALUES = { openingFloat: '', notes: '' };
+
+/**
+ * Open Cash Session Dialog
+ *
+ * Starts the signed-in user's shift with the opening float (cash already in the drawer).
+ */
+export function CashSessionOpenDialog({ open, onClose, onSuccess }) {
+  const isSubmittingRef = useRef(false);
+  const [openCashSession, { isLoading }] = useOpenCashSessionMutation();
+
+  const methods = useForm({
+    resolver: zodResolver(openCashSessionSchema),
+    defaultValues: DEFAULT_VALUES,
+  });
+  const { reset, handleSubmit } = methods;
+
+  useEffect(() => {
+    if (open) reset(DEFAULT_VALUES);
+  }, [open, reset]);
+
+  const onSubmit = handleSubmit(async (data) => {
+    if (isSubmittingRef.current) return;
+    isSubmittingRef.current = true;
+    try {
+      const result = await openCashSession({
+        openingFloat: data.openingFloat,
+        notes: data.notes?.trim() || null,
+      }).unwrap();
+      toast.success('Shift opened');
+      onSuccess?.(result);
+      onClose();
+    } catch (err) {
+      const { message, isRetryable } = getApiErrorMessage(err, {
+        defaultMessage: 'Failed to open shift',
+        validationMessage: 'A shift is already open on this terminal.',
+      });
+      if (isRetryable) {
+        toast.error(message, { action: { label: 'Retry', onClick: () => onSubmit() } });
+      } else {
+        toast.error(message);
+      }
+    } finally {
+      isSubmittingRef.current = false;
+    }
+  });
+
+  return (
+    <CustomDialog
+      open={open}
+      onClose={onClose}
+      title="Open shift"
+      maxWidth="xs"
+      loading={isLoading}
+      disableClose={isLoading}
+      actions={
+        <Box sx={{ display: 'flex', gap: 1, justifyContent: 'flex-end' }}>
+          <Field.Button variant="outlined" color="inherit" onClick={onClose} disabled={isLoading}>
+            Cancel
+          </Field.Button>
+          <Field.Button
+            variant="contained"
+            onClick={onSubmit}
+            loading={isLoading}
+            disabled={isLoading}
+            startIcon="solar:check-circle-bold"
+            sx={{ minHeight: 44 }}
+          >
+            Open shift
+          </Field.Button>
+        </Box>
+      }
+    >
+      <Form methods={methods} onSubmit={onSubmit}>
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, pt: 1 }}>
+          <Typography variant="body2" color="text.secondary">
+            Count the cash in the drawer before the first sale.
+          </Typography>
+          <Field.Text
+            name="openingFloat"
+            label="Opening float"
+            type="number"
+            required
+            autoFocus
+            slotProps={{ htmlInput: { min: 0, step: '0.01', inputMode: 'decimal' } }}
+          />
+          <Field.Text name="notes" label="Notes" multiline minRows={2} />
+        </Box>
+      </Form>
+    </CustomDialog>
+  );
+}
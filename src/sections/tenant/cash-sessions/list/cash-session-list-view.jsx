@@ -0,0 +1,306 @@
+'use client';
+
+import { useMemo, useState, useCallback } from 'react';
+
+import Box from '@mui/material/Box';
+import Card from '@mui/material/Card';
+import Stack from '@mui/material/Stack';
+import Typography from '@mui/material/Typography';
+import CircularProgress from '@mui/material/CircularProgress';
+
+import { can } from 'src/utils/permissions';
+import { fDateTime } from 'src/utils/format-time';
+import { fCurrency } from 'src/utils/format-number';
+import { ACTION_PERMISSIONS } from 'src/utils/action-permissions';
+
+import {
+  cashDrawerApi,
+  useGetCashSessionsQuery,
+  useGetCurrentCashSessionQuery,
+} from 'src/store/api/cash-drawer-api';
+
+import { Label } from 'src/components/label';
+import { Field } from 'src/components/hook-form';
+import { EmptyContent } from 'src/components/empty-content';
+import { useListExport, ExportMenuButton } from 'src/components/export-menu';
+import { CustomTable, DEFAULT_PAGINATION } from 'src/components/custom-table';
+
+import { CashMovementDialog } from '../form/cash-movement-dialog';
+import { CashSessionOpenDialog } from '../form/cash-session-open-dialog';
+import { CashSessionCloseDialog } from '../form/cash-session-close-dialog';
+import { CashSessionReportDialog } from '../components/cash-session-report-dialog';
+import { CASH_MOVEMENT_TYPE, isCashSessionClosed } from '../utils/cash-session-report';
+
+// ----------------------------------------------------------------------
+
+const formatCurrency = (amount) =>
+  amount == null ? '-' : fCurrency(amount, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const toCashSessionRow = (session) => ({
+  id: session.id,
+  number: session.sessionNumber ?? '-',
+  openedByName: session.openedByName ?? session.userName ?? '-',
+  openedAt: session.openedAt ? fDateTime(session.openedAt) : '-',
+  closedAt: session.closedAt ? fDateTime(session.closedAt) : '-',
+  openingFloat: formatCurrency(session.openingFloat),
+  variance: session.variance,
+  isClosed: isCashSessionClosed(session),
+});
+
+/**
+ * Cash Session List View
+ *
+ * The signed-in user's shift (open with a float, pay-ins / pay-outs, X report, close with a blind
+ * count) and the branch's past shifts with their Z reports.
+ */
+export function CashSessionListView() {
+  const [openDialogOpen, setOpenDialogOpen] = useState(false);
+  const [closeDialogOpen, setCloseDialogOpen] = useState(false);
+  const [movementType, setMovementType] = useState(null);
+  const [reportSessionId, setReportSessionId] = useState(null);
+
+  const [pageNumber, setPageNumber] = useState(1);
+  const [pageSize, setPageSize] = useState(DEFAULT_PAGINATION.pageSize);
+
+  const {
+    data: currentSession,
+    isLoading: currentLoading,
+    error: currentError,
+    refetch: refetchCurrent,
+  } = useGetCurrentCashSessionQuery();
+
+  const queryParams = useMemo(() => ({ pageNumber, pageSize }), [pageNumber, pageSize]);
+  const { data: response, isLoading, error, refetch } = useGetCashSessionsQuery(queryParams);
+
+  const sessions = useMemo(() => response?.data ?? [], [response]);
+  const hasOpenSession = Boolean(currentSession?.id) && !isCashSessionClosed(currentSession);
+
+  const handleCloseSuccess = useCallback(() => {
+    if (currentSession?.id) setReportSessionId(currentSession.id);
+  }, [currentSession?.id]);
+
+  const handlePageChange = useCallback((newPage) => setPageNumber(newPage + 1), []);
+  const handlePageSizeChange = useCallback((newPageSize) => {
+    setPageSize(newPageSize);
+    setPageNumber(1);
+  }, []);
+
+  const rows = useMemo(() => sessions.map(toCashSessionRow), [sessions]);
+
+  const columns = useMemo(
+    () => [
+      { field: 'number', headerName: 'Session #', flex: 0.6 },
+      { field: 'openedByName', headerName: 'Cashier', flex: 1 },
+      { field: 'openedAt', headerName: 'Opened', flex: 1 },
+      { field: 'closedAt', headerName: 'Closed', flex: 1 },
+      { field: 'openingFloat', headerName: 'Float', flex: 0.7 },
+      {
+        field: 'variance',
+        headerName: 'Over / short',
+        flex: 0.7,
+        exportValue: (row) => (row.variance == null ? '-' : formatCurrency(Number(row.variance) || 0)),
+        renderCell: (params) => {
+          if (params.value == null) return '-';
+          const variance = Number(params.value) || 0;
+          return (
+            <Label color={variance === 0 ? 'success' : variance > 0 ? 'info' : 'error'} variant="soft">
+              {formatCurrency(variance)}
+            </Label>
+          );
+        },
+      },
+      {
+        field: 'isClosed',
+        headerName: 'Status',
+        flex: 0.6,
+        exportValue: (row) => (row.isClosed ? 'Closed' : 'Open'),
+        renderCell: (params) => (
+          <Label color={params.value ? 'default' : 'success'} variant="soft">
+            {params.value ? 'Closed' : 'Open'}
+          </Label>
+        ),
+      },
+    ],
+    []
+  );
+
+  const { tableProps: exportTableProps, ...exportMenuProps } = useListExport({
+    endpoint: cashDrawerApi.endpoints.getCashSessions,
+    queryParams,
+    rows,
+    toRow: toCashSessionRow,
+    columns,
+    filename: 'Shifts',
+  });
+
+  const actions = useMemo(
+    () => [
+      {
+        id: 'report',
+        label: (row) => (row.isClosed ? 'Z report' : 'X report'),
+        icon: 'solar:file-text-bold',
+        onClick: (row) => setReportSessionId(row.id),
+        order: 1,
+      },
+    ],
+    []
+  );
+
+  const renderCurrentSession = () => {
+    if (currentLoading) {
+      return (
+        <Box sx={{ py: 4, display: 'flex', justifyContent: 'center' }}>
+          <CircularProgress size={28} />
+        </Box>
+      );
+    }
+    if (currentError) {
+      return (
+        <EmptyContent
+          title="Failed to load your shift"
+          action={
+            <Field.Button variant="outlined" onClick={refetchCurrent} sx={{ mt: 2 }}>
+              Retry
+            </Field.Button>
+          }
+        />
+      );
+    }
+    if (!hasOpenSession) {
+      return (
+        <Stack direction={{ xs: 'column', sm: 'row' }} alignItems={{ sm: 'center' }} spacing={2}>
+          <Box sx={{ flex: 1 }}>
+            <Typography variant="subtitle1">No open shift</Typography>
+            <Typography variant="body2" color="text.secondary">
+              Open a shift with the cash in the drawer before taking payments.
+            </Typography>
+          </Box>
+          {can(ACTION_PERMISSIONS.CashSessions.open) && (
+            <Field.Button
+              variant="contained"
+              startIcon="solar:wad-of-money-bold"
+              onClick={() => setOpenDialogOpen(true)}
+              sx={{ minHeight: 44 }}
+            >
+              Open shift
+            </Field.Button>
+          )}
+        </Stack>
+      );
+    }
+    return (
+      <Stack direction={{ xs: 'column', md: 'row' }} alignItems={{ md: 'center' }} spacing={2}>
+        <Box sx={{ flex: 1 }}>
+          <Stack direction="row" alignItems="center" spacing={1}>
+            <Typography variant="subtitle1">Shift #{currentSession.sessionNumber ?? currentSession.id}</Typography>
+            <Label color="success" variant="soft">
+              Open
+            </Label>
+          </Stack>
+          <Typography variant="body2" color="text.secondary">
+            Opened {fDateTime(currentSession.openedAt)} · Float {formatCurrency(currentSession.openingFloat)}
+          </Typography>
+        </Box>
+        <Stack direction="row" flexWrap="wrap" useFlexGap spacing={1}>
+          {can(ACTION_PERMISSIONS.CashSessions.payIn) && (
+            <Field.Button
+              variant="outlined"
+              startIcon="solar:inbox-in-bold"
+              onClick={() => setMovementType(CASH_MOVEMENT_TYPE.payIn)}
+              sx={{ minHeight: 44 }}
+            >
+              Pay in
+            </Field.Button>
+          )}
+          {can(ACTION_PERMISSIONS.CashSessions.payOut) && (
+            <Field.Button
+              variant="outlined"
+              startIcon="solar:export-bold"
+              onClick={() => setMovementType(CASH_MOVEMENT_TYPE.payOut)}
+              sx={{ minHeight: 44 }}
+            >
+              Pay out
+            </Field.Button>
+          )}
+          <Field.Button
+            variant="outlined"
+            startIcon="solar:file-text-bold"
+            onClick={() => setReportSessionId(currentSession.id)}
+            sx={{ minHeight: 44 }}
+          >
+            X report
+          </Field.Button>
+          {can(ACTION_PERMISSIONS.CashSessions.close) && (
+            <Field.Button
+              variant="contained"
+              color="error"
+              startIcon="solar:stop-circle-bold"
+              onClick={() => setCloseDialogOpen(true)}
+              sx={{ minHeight: 44 }}
+            >
+              Close shift
+            </Field.Button>
+          )}
+        </Stack>
+      </Stack>
+    );
+  };
+
+  return (
+    <Box>
+      <Card variant="outlined" sx={{ p: 2, mb: 3 }}>
+        {renderCurrentSession()}
+      </Card>
+
+      <Card variant="outlined" sx={{ p: 2 }}>
+        <Stack direction="row" alignItems="center" justifyContent="space-between" sx={{ mb: 2 }}>
+          <Typography variant="subtitle1">Shifts</Typography>
+          <ExportMenuButton {...exportMenuProps} />
+        </Stack>
+        <CustomTable
+          {...exportTableProps}
+          rows={rows}
+          columns={columns}
+          loading={isLoading}
+          actions={actions}
+          error={error}
+          onRetry={refetch}
+          errorEntityLabel="shifts"
+          pagination={{
+            ...DEFAULT_PAGINATION,
+            mode: 'server',
+            page: pageNumber - 1,
+            pageSize,
+            rowCount: response?.totalCount ?? 0,
+            onPageChange: handlePageChange,
+            onPageSizeChange: handlePageSizeChange,
+          }}
+          getRowId={(row) => row.id}
+          emptyContent={<EmptyContent title="No shifts yet" description="Open a shift to start" />}
+        />
+      </Card>
+
+      <CashSessionOpenDialog open={openDialogOpen} onClose={() => setOpenDialogOpen(false)} />
+
+      <CashMovementDialog
+        open={!!movementType}
+        session={currentSession}
+        type={movementType ?? CASH_MOVEMENT_TYPE.payIn}
+        onClose={() => setMovementType(null)}
+      />
+
+      <CashSessionCloseDialog
+        open={closeDialogOpen}
+        session={currentSession}
+        onClose={() => setCloseDialogOpen(false)}
+        onSuccess={handleCloseSuccess}
+      />
+
+      <CashSessionReportDialog
+        open={!!reportSessionId}
+        sessionId={reportSessionId}
+        onClose={() => setReportSessionId(null)}
+      />
+    </Box>
+  );
+}
@@ -0,0 +1,152 @@
+import { fDateTime, formatPatterns } from 'src/utils/format-time';
+
+import { CONFIG } from 'src/global-config';
+
+// ----------------------------------------------------------------------
+
+/**
+ * Till sessions (shifts): opened with a float, pay-ins / pay-outs during the shift, closed with a
+ * blind count per payment mode. The X report is the running report of an open session; the Z
+ * report is the final one of a closed session. Expected amounts come from the API (float + sales
+ * + pay-ins - pay-outs - refunds for cash; sales - refunds for other modes).
+ */
+
+export const CASH_MOVEMENT_TYPE = {
+  payIn: 'PayIn',
+  payOut: 'PayOut',
+};
+
+// Suggestions only; the reason is free text
+export const CASH_MOVEMENT_REASONS = {
+  [CASH_MOVEMENT_TYPE.payIn]: ['Change top-up', 'Float correction', 'Owner deposit'],
+  [CASH_MOVEMENT_TYPE.payOut]: ['Supplier payment', 'Petty cash', 'Staff advance', 'Bank deposit'],
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const toAmount = (value) => round2(Number(value) || 0);
+
+const toCountTotal = (value) => ({
+  count: Number(value?.count) || 0,
+  total: toAmount(value?.total ?? value?.amount),
+});
+
+// ----------------------------------------------------------------------
+
+/**
+ * @param {Object} session - Session record (list row, current session or report.session)
+ * @returns {boolean}
+ */
+export const isCashSessionClosed = (session) => Boolean(session?.closedAt) || session?.status === 'Closed';
+
+/**
+ * Report response with defaults, payment mode names and variances filled in.
+ *
+ * @param {Object} report - GET /api/cash-sessions/{id}/report (or close response)
+ * @param {Array<{ id, label }>} paymentModeOptions - For names missing from the report
+ * @returns {Object|null}
+ */
+export function normalizeCashSessionReport(report, paymentModeOptions = []) {
+  if (!report) return null;
+  const session = report.session ?? report;
+  const isClosed = isCashSessionClosed(session);
+
+  const paymentModes = (report.paymentModes ?? []).map((row) => {
+    const expected = toAmount(row.expected ?? row.expectedAmount);
+    const counted = row.counted ?? row.countedAmount;
+    const hasCount = isClosed && counted != null;
+    return {
+      id: row.paymentModeId,
+      name:
+        row.paymentModeName ??
+        row.name ??
+        paymentModeOptions.find((option) => option.id === row.paymentModeId)?.label ??
+        '-',
+      expected,
+      counted: hasCount ? toAmount(counted) : null,
+      variance: hasCount ? round2(toAmount(counted) - expected) : null,
+    };
+  });
+
+  const expectedTotal = round2(paymentModes.reduce((sum, row) => sum + row.expected, 0));
+  const countedTotal = isClosed ? round2(paymentModes.reduce((sum, row) => sum + (row.counted ?? 0), 0)) : null;
+
+  return {
+    session: {
+      id: session.id,
+      number: session.sessionNumber ?? session.id,
+      openedAt: session.openedAt ?? null,
+      closedAt: session.closedAt ?? null,
+      openedByName: session.openedByName ?? session.userName ?? null,
+      closedByName: session.closedByName ?? null,
+      branchName: session.branchName ?? null,
+      openingFloat: toAmount(session.openingFloat),
+      isClosed,
+    },
+    paymentModes,
+    totals: {
+      expected: expectedTotal,
+      counted: countedTotal,
+      variance: countedTotal != null ? round2(countedTotal - expectedTotal) : null,
+    },
+    movements: (report.movements ?? []).map((movement) => ({
+      id: movement.id,
+      type: movement.type,
+      amount: toAmount(movement.amount),
+      reason: movement.reason ?? '',
+      createdAt: movement.createdAt ?? null,
+      userName: movement.userName ?? null,
+    })),
+    payIns: toCountTotal(report.payIns),
+    payOuts: toCountTotal(report.payOuts),
+    orders: toCountTotal(report.orders),
+    voids: toCountTotal(report.voids),
+    refunds: toCountTotal(report.refunds),
+    discounts: toCountTotal(report.discounts),
+  };
+}
+
+/**
+ * Print payload for CashSessionReportPrintLayout (80mm, same look as the invoice).
+ *
+ * @param {Object} report - normalizeCashSessionReport result
+ * @returns {Object}
+ */
+export function buildCashSessionReportPayload(report) {
+  const { session } = report;
+  const formatDate = (value) => (value ? fDateTime(value, formatPatterns.paramCase.dateTime) : '-');
+
+  return {
+    header: {
+      restaurantName: CONFIG.appName || 'Restaurant',
+      branchName: session.branchName,
+    },
+    title: session.isClosed ? 'Z REPORT' : 'X REPORT',
+    meta: [
+      { label: 'Session #', value: String(session.number) },
+      { label: 'Opened', value: formatDate(session.openedAt) },
+      { label: 'Opened by', value: session.openedByName || '-' },
+      ...(session.isClosed
+        ? [
+            { label: 'Closed', value: formatDate(session.closedAt) },
+            { label: 'Closed by', value: session.closedByName || '-' },
+          ]
+        : [{ label: 'Printed', value: formatDate(new Date()) }]),
+    ],
+    paymentModes: report.paymentModes,
+    totals: report.totals,
+    showCounts: session.isClosed,
+    summary: [
+      { label: 'Opening float', amount: session.openingFloat },
+      { label: `Pay-ins (${report.payIns.count})`, amount: report.payIns.total },
+      { label: `Pay-outs (${report.payOuts.count})`, amount: -report.payOuts.total },
+      { label: `Orders (${report.orders.count})`, amount: report.orders.total },
+      { label: `Discounts (${report.discounts.count})`, amount: -report.discounts.total },
+      { label: `Voids (${report.voids.count})`, amount: report.voids.total },
+      { label: `Refunds (${report.refunds.count})`, amount: -report.refunds.total },
+    ],
+    footer: {
+      poweredBy: CONFIG.appName || 'POS',
+    },
+  };
+}
@@ -17,6 +17,7 @@ import { ACTION_PERMISSIONS } from 'src/utils/action-permissions';
 
 import { useGetTenantsDropdownQuery } from 'src/store/api/tenants-api';
 import {
+  categoriesApi,
   useGetCategoriesQuery,
   useDeleteCategoryMutation,
   useGetCategoriesDropdownQuery,
@@ -29,6 +30,7 @@ import { Field } from 'src/components/hook-form';
 import { Iconify } from 'src/components/iconify';
 import { EmptyContent } from 'src/components/empty-content';
 import { ConfirmDialog } from 'src/components/custom-dialog/confirm-dialog';
+import { useListExport, ExportMenuButton } from 'src/components/export-menu';
 import { CustomTable, DEFAULT_PAGINATION } from 'src/components/custom-table';
 
 import { CategoryFormDialog } from '../form/category-form-dialog';
@@ -36,6 +38,20 @@ import { CategoryDetailsDialog } from '../components/category-details-dialog';
 
 // ----------------------------------------------------------------------
 
+// Rows use API response keys (tenantName, parentName); no lookup from tenant/parent options
+const toCategoryRow = (category) => ({
+  id: category.id,
+  name: category.name,
+  parentId: category.parentId,
+  parentName: category.parentName ?? 'Root',
+  tenantId: category.tenantId,
+  tenantName: category.tenantName ?? '-',
+  description: category.description || '-',
+  isActive: category.isActive,
+});
+
+// ----------------------------------------------------------------------
+
 /**
  * Category List View Component
  * 
@@ -369,17 +385,7 @@ export function CategoryListView() {
 
 
 
-  // Rows use API response keys (tenantName, parentName); no lookup from tenant/parent options
-  const rows = useMemo(() => categories.map((category) => ({
-      id: category.id,
-      name: category.name,
-      parentId: category.parentId,
-      parentName: category.parentName ?? 'Root',
-      tenantId: category.tenantId,
-      tenantName: category.tenantName ?? '-',
-      description: category.description || '-',
-      isActive: category.isActive,
-    })), [categories]);
+  const rows = useMemo(() => categories.map(toCategoryRow), [categories]);
 
   // Define columns
   const columns = useMemo(
@@ -431,6 +437,7 @@ export function CategoryListView() {
         field: 'isActive',
         headerName: 'Status',
         flex: 1,
+        exportValue: (row) => (row.isActive ? 'Active' : 'Inactive'),
         renderCell: (params) => (
           <Label color={params.value ? 'success' : 'default'} variant="soft">
             {params.value ? 'Active' : 'Inactive'}
@@ -441,6 +448,15 @@ export function CategoryListView() {
     []
   );
 
+  const { tableProps: exportTableProps, ...exportMenuProps } = useListExport({
+    endpoint: categoriesApi.endpoints.getCategories,
+    queryParams,
+    rows,
+    toRow: toCategoryRow,
+    columns,
+    filename: 'Categories',
+  });
+
   // Define actions
   const actions = useMemo(
     () => [
@@ -581,12 +597,13 @@ export function CategoryListView() {
               sx={{ minWidth: { sm: 200 } }}
             />
           </FormProvider>
+          <ExportMenuButton {...exportMenuProps} sx={{ ml: 'auto' }} />
           {can(ACTION_PERMISSIONS.Categories.create) && (
             <Field.Button
               variant="contained"
               startIcon="mingcute:add-line"
               onClick={handleCreate}
-              sx={{ ml: 'auto', minHeight: 44 }}
+              sx={{ minHeight: 44 }}
             >
               Create Category
             </Field.Button>
@@ -594,6 +611,7 @@ export function CategoryListView() {
         </Stack>
 
         <CustomTable
+          {...exportTableProps}
           rows={rows}
           columns={columns}
           loading={isLoading}
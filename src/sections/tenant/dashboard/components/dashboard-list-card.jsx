@@ -0,0 +1,76 @@
+'use client';
+
+import Box from '@mui/material/Box';
+import Card from '@mui/material/Card';
+import Stack from '@mui/material/Stack';
+import Button from '@mui/material/Button';
+import Typography from '@mui/material/Typography';
+
+import { RouterLink } from 'src/routes/components';
+
+import { Label } from 'src/components/label';
+import { QueryStateContent } from 'src/components/query-state-content';
+
+// ----------------------------------------------------------------------
+
+/**
+ * Live panel (occupied tables, stuck orders, low stock): title with a count, optional link
+ * action, and a short scrollable list.
+ *
+ * @param {Object} props
+ * @param {string} props.title
+ * @param {number} props.count
+ * @param {'default'|'info'|'warning'|'error'} [props.countColor]
+ * @param {{ label: string, href: string }} [props.action]
+ * @param {boolean} [props.isLoading]
+ * @param {boolean} [props.isError]
+ * @param {unknown} [props.error]
+ * @param {Function} [props.onRetry]
+ * @param {string} props.emptyMessage
+ */
+export function DashboardListCard({
+  title,
+  count,
+  countColor = 'default',
+  action,
+  isLoading,
+  isError,
+  error,
+  onRetry,
+  emptyMessage,
+  children,
+  sx,
+}) {
+  return (
+    <Card variant="outlined" sx={{ p: 2.5, height: '100%', display: 'flex', flexDirection: 'column', ...sx }}>
+      <Stack direction="row" alignItems="center" spacing={1} sx={{ mb: 1.5 }}>
+        <Typography variant="subtitle1" sx={{ flex: 1 }}>
+          {title}
+        </Typography>
+        {!isLoading && !isError && (
+          <Label color={count > 0 ? countColor : 'default'} variant="soft">
+            {count}
+          </Label>
+        )}
+        {action && (
+          <Button component={RouterLink} href={action.href} size="small" color="inherit">
+            {action.label}
+          </Button>
+        )}
+      </Stack>
+      <QueryStateContent
+        isLoading={isLoading}
+        isError={isError}
+        error={error}
+        onRetry={onRetry}
+        loadingVariant="spinner"
+        errorTitle={`Failed to load ${title.toLowerCase()}`}
+        isEmpty={count === 0}
+        emptyMessage={emptyMessage}
+        minHeight={160}
+      >
+        <Box sx={{ maxHeight: 320, overflowY: 'auto', mx: -1 }}>{children}</Box>
+      </QueryStateContent>
+    </Card>
+  );
+}
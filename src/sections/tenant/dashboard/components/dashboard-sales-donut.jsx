@@ -0,0 +1,87 @@
+'use client';
+
+import Box from '@mui/material/Box';
+import Card from '@mui/material/Card';
+import { useTheme } from '@mui/material/styles';
+import Typography from '@mui/material/Typography';
+
+import { fCurrency } from 'src/utils/format-number';
+
+import { EmptyContent } from 'src/components/empty-content';
+import { Chart, useChart, ChartLegends, ChartLoading } from 'src/components/chart';
+
+// ----------------------------------------------------------------------
+
+const CURRENCY_OPTS = { minimumFractionDigits: 2, maximumFractionDigits: 2 };
+
+/**
+ * Sales split as a donut (by order type or by payment mode), legend with each amount below.
+ *
+ * @param {Object} props
+ * @param {string} props.title
+ * @param {Array<{ label: string, total: number }>} props.rows
+ * @param {boolean} [props.loading]
+ */
+export function DashboardSalesDonut({ title, rows, loading, sx }) {
+  const theme = useTheme();
+
+  const labels = rows.map((row) => row.label);
+  const series = rows.map((row) => row.total);
+
+  const chartOptions = useChart({
+    chart: { sparkline: { enabled: true } },
+    colors: [
+      theme.palette.primary.main,
+      theme.palette.info.main,
+      theme.palette.warning.main,
+      theme.palette.success.main,
+      theme.palette.error.main,
+      theme.palette.secondary.main,
+    ],
+    labels,
+    stroke: { width: 0 },
+    tooltip: { y: { formatter: (value) => fCurrency(value, CURRENCY_OPTS) } },
+    plotOptions: {
+      pie: {
+        donut: {
+          size: '72%',
+          labels: {
+            value: { formatter: (value) => fCurrency(value, CURRENCY_OPTS) },
+            total: { formatter: (w) => fCurrency(w.globals.seriesTotals.reduce((a, b) => a + b, 0), CURRENCY_OPTS) },
+          },
+        },
+      },
+    },
+  });
+
+  const renderContent = () => {
+    if (loading) {
+      return (
+        <Box sx={{ my: 2, mx: 'auto', width: 220, height: 220, position: 'relative' }}>
+          <ChartLoading type="donut" />
+        </Box>
+      );
+    }
+    if (!rows.length || series.every((value) => value === 0)) {
+      return <EmptyContent title="No sales in this period" sx={{ py: 6 }} />;
+    }
+    return (
+      <>
+        <Chart type="donut" series={series} options={chartOptions} sx={{ my: 2, mx: 'auto', width: 220, height: 220 }} />
+        <ChartLegends
+          labels={labels}
+          colors={chartOptions?.colors}
+          values={series.map((value) => fCurrency(value, CURRENCY_OPTS))}
+          sx={{ px: 1, gap: 1.5, flexDirection: 'column' }}
+        />
+      </>
+    );
+  };
+
+  return (
+    <Card variant="outlined" sx={{ p: 2.5, height: '100%', ...sx }}>
+      <Typography variant="subtitle1">{title}</Typography>
+      {renderContent()}
+    </Card>
+  );
+}
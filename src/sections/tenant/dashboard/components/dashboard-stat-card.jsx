@@ -0,0 +1,50 @@
+'use client';
+
+import { varAlpha } from 'minimal-shared/utils';
+
+import Box from '@mui/material/Box';
+import Card from '@mui/material/Card';
+import Skeleton from '@mui/material/Skeleton';
+import Typography from '@mui/material/Typography';
+
+import { Iconify } from 'src/components/iconify';
+
+// ----------------------------------------------------------------------
+
+/**
+ * One headline figure (sales, order count, average ticket) with its icon.
+ *
+ * @param {Object} props
+ * @param {string} props.title
+ * @param {string} props.value - Already formatted
+ * @param {string} props.icon
+ * @param {'primary'|'info'|'success'|'warning'|'error'} [props.color]
+ * @param {boolean} [props.loading]
+ */
+export function DashboardStatCard({ title, value, icon, color = 'primary', loading, sx }) {
+  return (
+    <Card variant="outlined" sx={{ p: 2.5, display: 'flex', alignItems: 'center', gap: 2, ...sx }}>
+      <Box
+        sx={{
+          width: 48,
+          height: 48,
+          flexShrink: 0,
+          display: 'flex',
+          borderRadius: 1.5,
+          alignItems: 'center',
+          justifyContent: 'center',
+          color: `${color}.main`,
+          bgcolor: (theme) => varAlpha(theme.vars.palette[color].mainChannel, 0.12),
+        }}
+      >
+        <Iconify icon={icon} width={26} />
+      </Box>
+      <Box sx={{ minWidth: 0 }}>
+        <Typography variant="body2" color="text.secondary" noWrap>
+          {title}
+        </Typography>
+        {loading ? <Skeleton variant="text" width={96} height={36} /> : <Typography variant="h4">{value}</Typography>}
+      </Box>
+    </Card>
+  );
+}
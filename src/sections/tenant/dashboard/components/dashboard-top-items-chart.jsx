@@ -0,0 +1,67 @@
+'use client';
+
+import Box from '@mui/material/Box';
+import Card from '@mui/material/Card';
+import Skeleton from '@mui/material/Skeleton';
+import Typography from '@mui/material/Typography';
+
+import { fNumber, fCurrency } from 'src/utils/format-number';
+
+import { Chart, useChart } from 'src/components/chart';
+import { EmptyContent } from 'src/components/empty-content';
+
+// ----------------------------------------------------------------------
+
+const CURRENCY_OPTS = { minimumFractionDigits: 2, maximumFractionDigits: 2 };
+
+/**
+ * Top-selling items by quantity as horizontal bars; the tooltip adds the sales amount.
+ *
+ * @param {Object} props
+ * @param {Array<{ id, label: string, quantity: number, total: number }>} props.rows
+ * @param {boolean} [props.loading]
+ */
+export function DashboardTopItemsChart({ rows, loading, sx }) {
+  const chartOptions = useChart({
+    stroke: { width: 0 },
+    xaxis: { categories: rows.map((row) => row.label) },
+    tooltip: {
+      y: {
+        formatter: (value, { dataPointIndex }) =>
+          `${fNumber(value)} sold · ${fCurrency(rows[dataPointIndex]?.total ?? 0, CURRENCY_OPTS)}`,
+        title: { formatter: () => '' },
+      },
+    },
+    plotOptions: { bar: { horizontal: true, barHeight: '60%', borderRadius: 2 } },
+  });
+
+  const renderContent = () => {
+    if (loading) {
+      return (
+        <Box sx={{ pt: 2 }}>
+          {[...Array(5)].map((_, index) => (
+            <Skeleton key={index} variant="rounded" height={24} sx={{ mb: 1.5, width: `${90 - index * 12}%` }} />
+          ))}
+        </Box>
+      );
+    }
+    if (!rows.length) {
+      return <EmptyContent title="No items sold in this period" sx={{ py: 6 }} />;
+    }
+    return (
+      <Chart
+        type="bar"
+        series={[{ name: 'Quantity', data: rows.map((row) => row.quantity) }]}
+        options={chartOptions}
+        sx={{ height: Math.max(240, rows.length * 36) }}
+      />
+    );
+  };
+
+  return (
+    <Card variant="outlined" sx={{ p: 2.5, height: '100%', ...sx }}>
+      <Typography variant="subtitle1">Top-selling items</Typography>
+      {renderContent()}
+    </Card>
+  );
+}
@@ -0,0 +1,110 @@
+
+import { getElapsedMinutes } from 'src/utils/format-time';
+
+import { isActiveStatus, getOrderStatusLabel } from 'src/sections/tenant/orders/utils/order-status';
+import { isLowStock, DEFAULT_LOW_STOCK_THRESHOLD } from 'src/sections/tenant/stock/utils/stock-helpers';
+
+// ----------------------------------------------------------------------
+
+/** Live panels (occupied tables, stuck orders, low stock) refresh on this interval. */
+export const DASHBOARD_POLL_INTERVAL_MS = 60000;
+
+export const DASHBOARD_TOP_ITEMS_LIMIT = 10;
+
+/**
+ * Minutes an order may stay in one status before it is listed as stuck.
+ * Statuses not listed here (Served, Completed, …) are never stuck.
+ */
+export const STUCK_ORDER_MINUTES = {
+  1: 10, // Pending
+  2: 10, // Confirmed
+  3: 20, // In Progress
+  4: 30, // Preparing
+  5: 10, // Ready
+  6: 15, // Ready For Pickup
+  7: 60, // In Serving
+  9: 60, // Out For Delivery
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const toAmount = (value) => round2(Number(value) || 0);
+
+// ----------------------------------------------------------------------
+
+/**
+ * Summary response with defaults and payment mode names filled in.
+ *
+ * @param {Object} summary - GET /api/dashboard/summary
+ * @param {Array<{ id, label }>} paymentModeOptions - For names missing from the summary
+ */
+export function normalizeDashboardSummary(summary, paymentModeOptions = []) {
+  const totalSales = toAmount(summary?.totalSales);
+  const orderCount = Number(summary?.orderCount) || 0;
+
+  return {
+    totalSales,
+    orderCount,
+    averageTicket:
+      summary?.averageTicket != null
+        ? toAmount(summary.averageTicket)
+        : orderCount > 0
+          ? round2(totalSales / orderCount)
+          : 0,
+    salesByOrderType: (summary?.salesByOrderType ?? []).map((row) => ({
+      label: row.orderTypeName ?? row.name ?? '-',
+      total: toAmount(row.total),
+      count: Number(row.count ?? row.orderCount) || 0,
+    })),
+    salesByPaymentMode: (summary?.salesByPaymentMode ?? []).map((row) => ({
+      label:
+        row.paymentModeName ??
+        row.name ??
+        paymentModeOptions.find((option) => option.id === row.paymentModeId)?.label ??
+        '-',
+      total: toAmount(row.total),
+      count: Number(row.count) || 0,
+    })),
+    topItems: (summary?.topItems ?? []).slice(0, DASHBOARD_TOP_ITEMS_LIMIT).map((row) => ({
+      id: row.itemId ?? row.id,
+      label: row.itemName ?? row.name ?? '-',
+      quantity: Number(row.quantity) || 0,
+      total: toAmount(row.total),
+    })),
+  };
+}
+
+// ----------------------------------------------------------------------
+
+/**
+ * Active orders that have stayed in their status longer than STUCK_ORDER_MINUTES, longest first.
+ * Time in status is taken from statusUpdatedAt / updatedAt, falling back to createdAt.
+ *
+ * @param {Array<Object>} orders
+ * @returns {Array<{ order, statusLabel, minutes, limit }>}
+ */
+export function getStuckOrders(orders, now = Date.now()) {
+  return (orders ?? [])
+    .filter((order) => isActiveStatus(order?.status) && STUCK_ORDER_MINUTES[order.status] != null)
+    .map((order) => ({
+      order,
+      statusLabel: getOrderStatusLabel(order.status),
+      minutes: getElapsedMinutes(order.statusUpdatedAt ?? order.updatedAt ?? order.createdAt, now),
+      limit: STUCK_ORDER_MINUTES[order.status],
+    }))
+    .filter((row) => row.minutes >= row.limit)
+    .sort((a, b) => b.minutes - b.limit - (a.minutes - a.limit));
+}
+
+// ----------------------------------------------------------------------
+
+/**
+ * Stock-tracked items at or below their low stock threshold, lowest stock first.
+ * @param {Array<Object>} items
+ */
+export function getLowStockItems(items) {
+  return (items ?? [])
+    .filter((item) => item?.isActive !== false)
+    .filter((item) => isLowStock(item.stockQuantity, item.lowStockThreshold ?? DEFAULT_LOW_STOCK_THRESHOLD))
+    .sort((a, b) => Number(a.stockQuantity) - Number(b.stockQuantity));
+}
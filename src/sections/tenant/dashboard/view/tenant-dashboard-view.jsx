@@ -0,0 +1,339 @@
+'use client';
+
+import dayjs from 'dayjs';
+import { useMemo, useState, useEffect, useCallback } from 'react';
+
+import Box from '@mui/material/Box';
+import Grid from '@mui/material/Grid';
+import List from '@mui/material/List';
+import Stack from '@mui/material/Stack';
+import ListItem from '@mui/material/ListItem';
+import Typography from '@mui/material/Typography';
+import ListItemText from '@mui/material/ListItemText';
+
+import { paths } from 'src/routes/paths';
+
+import { fNumber, fCurrency } from 'src/utils/format-number';
+import { toDateRangeParams, fDateRangeShortLabel } from 'src/utils/format-time';
+
+import { useGetAllItemPagesQuery } from 'src/store/api/items-api';
+import { useGetAllTablePagesQuery } from 'src/store/api/tables-api';
+import { useGetOrdersByStatusesQuery } from 'src/store/api/orders-api';
+import { useGetDashboardSummaryQuery } from 'src/store/api/dashboard-api';
+import { useGetPaymentModesDropdownQuery } from 'src/store/api/payment-modes-api';
+
+import { Label } from 'src/components/label';
+import { Field } from 'src/components/hook-form';
+import { EmptyContent } from 'src/components/empty-content';
+import { useDateRangePicker, CustomDateRangePicker } from 'src/components/custom-date-range-picker';
+
+import { formatStockQuantity } from 'src/sections/tenant/stock/utils/stock-helpers';
+import { ACTIVE_ORDER_STATUSES } from 'src/sections/tenant/orders/utils/order-status';
+import { getTableOccupancy, getActiveOrdersByTable } from 'src/sections/tenant/tables/utils/floor-plan';
+
+import { DashboardStatCard } from '../components/dashboard-stat-card';
+import { DashboardListCard } from '../components/dashboard-list-card';
+import { DashboardSalesDonut } from '../components/dashboard-sales-donut';
+import { DashboardTopItemsChart } from '../components/dashboard-top-items-chart';
+import {
+  getStuckOrders,
+  getLowStockItems,
+  normalizeDashboardSummary,
+  DASHBOARD_POLL_INTERVAL_MS,
+} from '../utils/dashboard-helpers';
+
+// ----------------------------------------------------------------------
+
+const CURRENCY_OPTS = { minimumFractionDigits: 2, maximumFractionDigits: 2 };
+
+const formatMinutes = (minutes) =>
+  minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+
+/**
+ * Tenant operations dashboard (branch from context).
+ *
+ * Sales for the picked date range (today by default): total, order count, average ticket, sales by
+ * order type and payment mode, top-selling items. Live panels, refreshed every minute regardless
+ * of the range: occupied tables, orders stuck in a status, low-stock items.
+ */
+export function TenantDashboardView() {
+  const rangePicker = useDateRangePicker(dayjs(), dayjs());
+  const [range, setRange] = useState(() => ({ startDate: dayjs(), endDate: dayjs() }));
+  const [now, setNow] = useState(() => Date.now());
+
+  const summaryParams = useMemo(() => toDateRangeParams(range.startDate, range.endDate), [range]);
+
+  const {
+    data: summaryResponse,
+    isFetching: summaryFetching,
+    isError: summaryIsError,
+    refetch: refetchSummary,
+  } = useGetDashboardSummaryQuery(summaryParams, { skip: !summaryParams });
+
+  const { data: paymentModesDropdown } = useGetPaymentModesDropdownQuery();
+  const paymentModeOptions = useMemo(
+    () => (paymentModesDropdown ?? []).map((mode) => ({ id: mode.key, label: mode.value || mode.key })),
+    [paymentModesDropdown]
+  );
+
+  const summary = useMemo(
+    () => normalizeDashboardSummary(summaryResponse, paymentModeOptions),
+    [summaryResponse, paymentModeOptions]
+  );
+
+  // Live panels: every table, active order and item (read page by page)
+  const liveQueryOptions = { pollingInterval: DASHBOARD_POLL_INTERVAL_MS, refetchOnFocus: true };
+  const {
+    data: tables,
+    isLoading: tablesLoading,
+    isError: tablesIsError,
+    error: tablesError,
+    refetch: refetchTables,
+  } = useGetAllTablePagesQuery(undefined, liveQueryOptions);
+  const {
+    data: activeOrders,
+    isLoading: ordersLoading,
+    isError: ordersIsError,
+    error: ordersError,
+    refetch: refetchOrders,
+  } = useGetOrdersByStatusesQuery({ statuses: ACTIVE_ORDER_STATUSES }, liveQueryOptions);
+  const {
+    data: items,
+    isLoading: itemsLoading,
+    isError: itemsIsError,
+    error: itemsError,
+    refetch: refetchItems,
+  } = useGetAllItemPagesQuery(undefined, liveQueryOptions);
+
+  // Elapsed times move on between polls
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), DASHBOARD_POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  const occupiedTables = useMemo(() => {
+    const ordersByTable = getActiveOrdersByTable(activeOrders);
+    return (tables ?? [])
+      .filter((table) => ordersByTable.has(table.id))
+      .map((table) => ({ table, ...getTableOccupancy(table, ordersByTable.get(table.id), now) }))
+      .sort((a, b) => b.minutes - a.minutes);
+  }, [tables, activeOrders, now]);
+
+  const stuckOrders = useMemo(() => getStuckOrders(activeOrders, now), [activeOrders, now]);
+
+  const lowStockItems = useMemo(() => getLowStockItems(items), [items]);
+
+  const handleApplyRange = useCallback(() => {
+    if (rangePicker.error || !rangePicker.startDate || !rangePicker.endDate) return;
+    setRange({ startDate: rangePicker.startDate, endDate: rangePicker.endDate });
+  }, [rangePicker.error, rangePicker.startDate, rangePicker.endDate]);
+
+  const handleToday = useCallback(() => {
+    const today = dayjs();
+    rangePicker.setStartDate(today);
+    rangePicker.setEndDate(today);
+    setRange({ startDate: today, endDate: today });
+  }, [rangePicker]);
+
+  const isToday = dayjs(range.startDate).isSame(dayjs(), 'day') && dayjs(range.endDate).isSame(dayjs(), 'day');
+  const rangeLabel = isToday ? 'Today' : fDateRangeShortLabel(range.startDate, range.endDate);
+
+  const renderSales = () => {
+    if (summaryIsError) {
+      return (
+        <EmptyContent
+          title="Failed to load sales"
+          action={
+            <Field.Button variant="outlined" onClick={refetchSummary} sx={{ mt: 2 }}>
+              Retry
+            </Field.Button>
+          }
+          sx={{ py: 6 }}
+        />
+      );
+    }
+    return (
+      <Grid container spacing={3}>
+        <Grid size={{ xs: 12, md: 4 }}>
+          <DashboardStatCard
+            title="Sales"
+            value={fCurrency(summary.totalSales, CURRENCY_OPTS)}
+            icon="solar:wad-of-money-bold"
+            loading={summaryFetching}
+          />
+        </Grid>
+        <Grid size={{ xs: 12, md: 4 }}>
+          <DashboardStatCard
+            title="Orders"
+            value={fNumber(summary.orderCount)}
+            icon="solar:bill-list-bold"
+            color="info"
+            loading={summaryFetching}
+          />
+        </Grid>
+        <Grid size={{ xs: 12, md: 4 }}>
+          <DashboardStatCard
+            title="Average ticket"
+            value={fCurrency(summary.averageTicket, CURRENCY_OPTS)}
+            icon="solar:cart-3-bold"
+            color="success"
+            loading={summaryFetching}
+          />
+        </Grid>
+
+        <Grid size={{ xs: 12, md: 6, lg: 3 }}>
+          <DashboardSalesDonut title="Sales by order type" rows={summary.salesByOrderType} loading={summaryFetching} />
+        </Grid>
+        <Grid size={{ xs: 12, md: 6, lg: 3 }}>
+          <DashboardSalesDonut
+            title="Sales by payment mode"
+            rows={summary.salesByPaymentMode}
+            loading={summaryFetching}
+          />
+        </Grid>
+        <Grid size={{ xs: 12, lg: 6 }}>
+          <DashboardTopItemsChart rows={summary.topItems} loading={summaryFetching} />
+        </Grid>
+      </Grid>
+    );
+  };
+
+  return (
+    <Box>
+      <Stack
+        direction={{ xs: 'column', sm: 'row' }}
+        alignItems={{ sm: 'center' }}
+        spacing={1.5}
+        sx={{ mb: 3 }}
+      >
+        <Typography variant="h5" sx={{ flex: 1 }}>
+          Dashboard
+        </Typography>
+        {!isToday && (
+          <Field.Button variant="text" color="inherit" onClick={handleToday}>
+            Today
+          </Field.Button>
+        )}
+        <Field.Button
+          variant="outlined"
+          color="inherit"
+          startIcon="solar:calendar-date-bold"
+          onClick={rangePicker.onOpen}
+          sx={{ minHeight: 44 }}
+        >
+          {rangeLabel}
+        </Field.Button>
+      </Stack>
+
+      {renderSales()}
+
+      <Grid container spacing={3} sx={{ mt: 0.5 }}>
+        <Grid size={{ xs: 12, md: 4 }}>
+          <DashboardListCard
+            title="Occupied tables"
+            count={occupiedTables.length}
+            countColor="info"
+            action={{ label: 'Floor plan', href: paths.tenant.tables.floorPlan }}
+            isLoading={tablesLoading || ordersLoading}
+            isError={tablesIsError || ordersIsError}
+            error={tablesError ?? ordersError}
+            onRetry={() => {
+              refetchTables();
+              refetchOrders();
+            }}
+            emptyMessage="All tables are free"
+          >
+            <List disablePadding dense>
+              {occupiedTables.map(({ table, order, minutes, color }) => (
+                <ListItem key={table.id} secondaryAction={<Label color={color}>{formatMinutes(minutes)}</Label>}>
+                  <ListItemText
+                    primary={`Table ${table.tableNumber}`}
+                    secondary={[
+                      order?.orderNumber ? `#${order.orderNumber}` : null,
+                      fCurrency(order?.totalAmount ?? 0, CURRENCY_OPTS),
+                    ]
+                      .filter(Boolean)
+                      .join(' · ')}
+                  />
+                </ListItem>
+              ))}
+            </List>
+          </DashboardListCard>
+        </Grid>
+
+        <Grid size={{ xs: 12, md: 4 }}>
+          <DashboardListCard
+            title="Stuck orders"
+            count={stuckOrders.length}
+            countColor="error"
+            action={{ label: 'Orders', href: paths.tenant.orders.list }}
+            isLoading={ordersLoading}
+            isError={ordersIsError}
+            error={ordersError}
+            onRetry={refetchOrders}
+            emptyMessage="No orders waiting too long"
+          >
+            <List disablePadding dense>
+              {stuckOrders.map(({ order, statusLabel, minutes, limit }) => (
+                <ListItem
+                  key={order.id}
+                  secondaryAction={
+                    <Label color={minutes >= limit * 2 ? 'error' : 'warning'}>{formatMinutes(minutes)}</Label>
+                  }
+                >
+                  <ListItemText
+                    primary={`#${order.orderNumber ?? order.id?.slice(0, 8) ?? '-'} · ${statusLabel}`}
+                    secondary={[order.orderTypeName, order.tableName ? `Table ${order.tableName}` : null]
+                      .filter(Boolean)
+                      .join(' · ')}
+                  />
+                </ListItem>
+              ))}
+            </List>
+          </DashboardListCard>
+        </Grid>
+
+        <Grid size={{ xs: 12, md: 4 }}>
+          <DashboardListCard
+            title="Low stock"
+            count={lowStockItems.length}
+            countColor="warning"
+            action={{ label: 'Stock', href: paths.tenant.stock.root }}
+            isLoading={itemsLoading}
+            isError={itemsIsError}
+            error={itemsError}
+            onRetry={refetchItems}
+            emptyMessage="No items below their threshold"
+          >
+            <List disablePadding dense>
+              {lowStockItems.map((item) => (
+                <ListItem
+                  key={item.id}
+                  secondaryAction={
+                    <Label color={Number(item.stockQuantity) <= 0 ? 'error' : 'warning'}>
+                      {formatStockQuantity(item.stockQuantity)}
+                    </Label>
+                  }
+                >
+                  <ListItemText primary={item.name} secondary={item.categoryName ?? null} />
+                </ListItem>
+              ))}
+            </List>
+          </DashboardListCard>
+        </Grid>
+      </Grid>
+
+      <CustomDateRangePicker
+        open={rangePicker.open}
+        startDate={rangePicker.startDate}
+        endDate={rangePicker.endDate}
+        onChangeStartDate={rangePicker.onChangeStartDate}
+        onChangeEndDate={rangePicker.onChangeEndDate}
+        onClose={rangePicker.onClose}
+        onSubmit={handleApplyRange}
+        error={rangePicker.error}
+        title="Sales date range"
+      />
+    </Box>
+  );
+}
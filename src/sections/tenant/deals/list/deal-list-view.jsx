@@ -18,6 +18,7 @@ import { getApiErrorMessage } from 'src/utils/api-error-message';
 import { ACTION_PERMISSIONS } from 'src/utils/action-permissions';
 
 import {
+  dealsApi,
   useGetDealsQuery,
   useDeleteDealMutation,
   useToggleDealActiveMutation,
@@ -29,6 +30,7 @@ import { Field } from 'src/components/hook-form';
 import { Iconify } from 'src/components/iconify';
 import { EmptyContent } from 'src/components/empty-content';
 import { ConfirmDialog } from 'src/components/custom-dialog/confirm-dialog';
+import { useListExport, ExportMenuButton } from 'src/components/export-menu';
 import { CustomTable, DEFAULT_PAGINATION } from 'src/components/custom-table';
 
 import { DealFormDialog } from '../form/deal-form-dialog';
@@ -46,6 +48,20 @@ const formatDate = (dateStr) => {
   return formatted === 'Invalid date' ? '-' : formatted;
 };
 
+const toDealRow = (deal) => ({
+  id: deal.id,
+  name: deal.name,
+  description: deal.description ?? '-',
+  price: deal.price,
+  priceFormatted: formatPrice(deal.price),
+  startDate: deal.startDate,
+  startDateFormatted: formatDate(deal.startDate),
+  endDate: deal.endDate,
+  endDateFormatted: formatDate(deal.endDate),
+  isActive: deal.isActive,
+  items: deal.items ?? [],
+});
+
 // ----------------------------------------------------------------------
 
 export function DealListView() {
@@ -219,23 +235,7 @@ export function DealListView() {
     setPageNumber(1);
   }, [searchForm]);
 
-  const rows = useMemo(
-    () =>
-      deals.map((deal) => ({
-        id: deal.id,
-        name: deal.name,
-        description: deal.description ?? '-',
-        price: deal.price,
-        priceFormatted: formatPrice(deal.price),
-        startDate: deal.startDate,
-        startDateFormatted: formatDate(deal.startDate),
-        endDate: deal.endDate,
-        endDateFormatted: formatDate(deal.endDate),
-        isActive: deal.isActive,
-        items: deal.items ?? [],
-      })),
-    [deals]
-  );
+  const rows = useMemo(() => deals.map(toDealRow), [deals]);
 
   const columns = useMemo(
     () => [
@@ -273,6 +273,7 @@ export function DealListView() {
         field: 'isActive',
         headerName: 'Status',
         flex: 1,
+        exportValue: (row) => getActiveStatusLabel(row.isActive),
         renderCell: (params) => (
           <Label color={getActiveStatusColor(params.value)} variant="soft">
             {getActiveStatusLabel(params.value)}
@@ -283,6 +284,15 @@ export function DealListView() {
     []
   );
 
+  const { tableProps: exportTableProps, ...exportMenuProps } = useListExport({
+    endpoint: dealsApi.endpoints.getDeals,
+    queryParams,
+    rows,
+    toRow: toDealRow,
+    columns,
+    filename: 'Deals',
+  });
+
   const actions = useMemo(
     () => [
       {
@@ -369,12 +379,13 @@ export function DealListView() {
               sx={{ maxWidth: { sm: 400 } }}
             />
           </FormProvider>
+          <ExportMenuButton {...exportMenuProps} sx={{ ml: 'auto' }} />
           {can(ACTION_PERMISSIONS.Deals.create) && (
             <Field.Button
               variant="contained"
               startIcon="mingcute:add-line"
               onClick={handleCreate}
-              sx={{ ml: 'auto', minHeight: 44 }}
+              sx={{ minHeight: 44 }}
             >
               Create Deal
             </Field.Button>
@@ -382,6 +393,7 @@ export function DealListView() {
         </Stack>
 
         <CustomTable
+          {...exportTableProps}
           rows={rows}
           columns={columns}
           loading={isLoading}
@@ -3,3 +3,37 @@
 export const getActiveStatusLabel = (isActive) => (isActive ? 'Active' : 'Inactive');
 
 export const getActiveStatusColor = (isActive) => (isActive ? 'success' : 'default');
+
+// ----------------------------------------------------------------------
+
+/**
+ * A deal can be sold when it is active and now falls within its optional start/end dates.
+ * @param {{ isActive?: boolean, startDate?: string|null, endDate?: string|null }} deal
+ * @param {number} [now] - Timestamp (ms)
+ * @returns {boolean}
+ */
+export const isDealAvailable = (deal, now = Date.now()) => {
+  if (!deal || deal.isActive === false) return false;
+  const start = deal.startDate ? new Date(deal.startDate).getTime() : null;
+  const end = deal.endDate ? new Date(deal.endDate).getTime() : null;
+  if (start != null && !Number.isNaN(start) && now < start) return false;
+  if (end != null && !Number.isNaN(end) && now > end) return false;
+  return true;
+};
+
+/**
+ * Component items of a deal (per one deal) with names and kitchens resolved from an item lookup.
+ * @param {{ items?: Array<{ itemId, itemName?, quantity? }> }} deal
+ * @param {Array<{ id, name?, kitchenId? }>} [itemOptions]
+ * @returns {Array<{ itemId: string, name: string, quantity: number, kitchenId: string|null }>}
+ */
+export const getDealComponents = (deal, itemOptions = []) =>
+  (deal?.items ?? []).map((line) => {
+    const opt = itemOptions.find((o) => o.id === line.itemId);
+    return {
+      itemId: line.itemId,
+      name: line.itemName ?? opt?.name ?? '—',
+      quantity: Number(line.quantity) || 1,
+      kitchenId: opt?.kitchenId ?? null,
+    };
+  });
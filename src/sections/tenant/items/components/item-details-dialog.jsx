@@ -82,6 +82,14 @@ export function ItemDetailsDialog({ open, record, onClose }) {
                 </Typography>
                 <Typography variant="body1">{categoryDisplay}</Typography>
               </Box>
+              {(record.kitchenName != null || record.kitchenId) && (
+                <Box>
+                  <Typography variant="caption" color="text.secondary">
+                    Kitchen
+                  </Typography>
+                  <Typography variant="body1">{record.kitchenName ?? record.kitchenId}</Typography>
+                </Box>
+              )}
               <Box>
                 <Typography variant="caption" color="text.secondary">
                   Tenant
@@ -119,6 +127,14 @@ export function ItemDetailsDialog({ open, record, onClose }) {
                 </Typography>
                 <Typography variant="body1">{formatStockQuantity(record.stockQuantity)}</Typography>
               </Box>
+              {record.barcode && (
+                <Box>
+                  <Typography variant="caption" color="text.secondary">
+                    Barcode / SKU
+                  </Typography>
+                  <Typography variant="body1">{record.barcode}</Typography>
+                </Box>
+              )}
             </Stack>
           </Box>
 
@@ -0,0 +1,531 @@
+'use client';
+
+import { useForm } from 'react-hook-form';
+import { useRef, useMemo, useState, useEffect, useCallback } from 'react';
+
+import Box from '@mui/material/Box';
+import Step from '@mui/material/Step';
+import Alert from '@mui/material/Alert';
+import Stack from '@mui/material/Stack';
+import Stepper from '@mui/material/Stepper';
+import MenuItem from '@mui/material/MenuItem';
+import StepLabel from '@mui/material/StepLabel';
+import Typography from '@mui/material/Typography';
+import ToggleButton from '@mui/material/ToggleButton';
+import LinearProgress from '@mui/material/LinearProgress';
+import ToggleButtonGroup from '@mui/material/ToggleButtonGroup';
+
+import { getApiErrorMessage } from 'src/utils/api-error-message';
+import { IMPORT_FILE_ACCEPT, readSpreadsheetFile } from 'src/utils/import-file';
+
+import { useCreateItemMutation } from 'src/store/api/items-api';
+import { useGetKitchensDropdownQuery } from 'src/store/api/kitchens-api';
+import { useCreateCategoryMutation, useGetCategoriesDropdownQuery } from 'src/store/api/categories-api';
+
+import { Label } from 'src/components/label';
+import { Upload } from 'src/components/upload';
+import { toast } from 'src/components/snackbar';
+import { Form, Field } from 'src/components/hook-form';
+import { CustomDialog } from 'src/components/custom-dialog';
+import { CustomTable, DEFAULT_PAGINATION } from 'src/components/custom-table';
+
+import {
+  toNameKey,
+  splitSheetRows,
+  guessColumnMapping,
+  ITEM_IMPORT_FIELDS,
+  validateImportRows,
+  ITEM_IMPORT_STATUS,
+  toCreateItemPayload,
+  ITEM_IMPORT_MAX_ROWS,
+  downloadItemImportTemplate,
+  downloadItemImportErrorReport,
+} from '../utils/item-import';
+
+// ----------------------------------------------------------------------
+
+const STEPS = ['Upload', 'Map columns', 'Review', 'Import'];
+
+const STEP = { upload: 0, map: 1, review: 2, import: 3 };
+
+const STATUS_LABELS = {
+  [ITEM_IMPORT_STATUS.ready]: { label: 'Ready', color: 'info' },
+  [ITEM_IMPORT_STATUS.importing]: { label: 'Importing', color: 'warning' },
+  [ITEM_IMPORT_STATUS.created]: { label: 'Created', color: 'success' },
+  [ITEM_IMPORT_STATUS.failed]: { label: 'Failed', color: 'error' },
+};
+
+const EMPTY_MAPPING = Object.fromEntries(ITEM_IMPORT_FIELDS.map((field) => [field.id, '']));
+
+const isNotImported = (row) =>
+  row.status === ITEM_IMPORT_STATUS.invalid || row.status === ITEM_IMPORT_STATUS.failed;
+
+// ----------------------------------------------------------------------
+
+/**
+ * Item Import Dialog
+ *
+ * Menu import from a CSV or XLSX file in four steps: upload, map the file's columns to item
+ * fields (guessed from the headers), review every row validated with the item schema (errors per
+ * row, categories that will be created) and import. Missing categories are created first, then
+ * the items one by one with progress. Failed rows can be retried; invalid and failed rows can be
+ * downloaded as a CSV with the reason, in the template's columns so it can be fixed and imported.
+ */
+export function ItemImportDialog({ open, onClose }) {
+  const [activeStep, setActiveStep] = useState(STEP.upload);
+  const [sheet, setSheet] = useState({ fileName: '', headers: [], dataRows: [] });
+  const [rows, setRows] = useState([]);
+  const [newCategories, setNewCategories] = useState([]);
+  const [reviewFilter, setReviewFilter] = useState('all');
+  const [isReading, setIsReading] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+  const [progress, setProgress] = useState({ done: 0, total: 0, label: '' });
+
+  const isImportingRef = useRef(false);
+  // Category ids by name key, including categories created by this import (kept across retries)
+  const createdCategoriesRef = useRef(new Map());
+
+  const { data: categoriesDropdown, isFetching: isFetchingCategories } = useGetCategoriesDropdownQuery(
+    {},
+    { skip: !open }
+  );
+  const categoryOptions = useMemo(() => {
+    if (!categoriesDropdown || !Array.isArray(categoriesDropdown)) return [];
+    return categoriesDropdown.map((item) => ({ id: item.key, label: item.value || item.key }));
+  }, [categoriesDropdown]);
+
+  const { data: kitchensDropdown, isFetching: isFetchingKitchens } = useGetKitchensDropdownQuery(undefined, {
+    skip: !open,
+  });
+  const kitchenOptions = useMemo(() => {
+    if (!kitchensDropdown || !Array.isArray(kitchensDropdown)) return [];
+    return kitchensDropdown.map((item) => ({ id: item.key, label: item.value || item.key }));
+  }, [kitchensDropdown]);
+
+  const [createItem] = useCreateItemMutation();
+  const [createCategory] = useCreateCategoryMutation();
+
+  const mappingForm = useForm({ defaultValues: EMPTY_MAPPING });
+  const mapping = mappingForm.watch();
+  const missingRequired = ITEM_IMPORT_FIELDS.filter((field) => field.required && mapping[field.id] === '');
+
+  // Start over whenever the dialog closes
+  useEffect(() => {
+    if (open) return;
+    setActiveStep(STEP.upload);
+    setSheet({ fileName: '', headers: [], dataRows: [] });
+    setRows([]);
+    setNewCategories([]);
+    setReviewFilter('all');
+    setProgress({ done: 0, total: 0, label: '' });
+    createdCategoriesRef.current = new Map();
+    mappingForm.reset(EMPTY_MAPPING);
+  }, [open, mappingForm]);
+
+  const handleDrop = useCallback(
+    async (acceptedFiles) => {
+      const [file] = acceptedFiles;
+      if (!file) return;
+      setIsReading(true);
+      try {
+        const { headers, dataRows } = splitSheetRows(await readSpreadsheetFile(file));
+        if (!dataRows.length) {
+          toast.error('No rows found below the header row');
+          return;
+        }
+        if (dataRows.length > ITEM_IMPORT_MAX_ROWS) {
+          toast.error(`A file can have up to ${ITEM_IMPORT_MAX_ROWS.toLocaleString()} rows; split it and import each part`);
+          return;
+        }
+        setSheet({ fileName: file.name, headers, dataRows });
+        mappingForm.reset(guessColumnMapping(headers));
+        setActiveStep(STEP.map);
+      } catch (err) {
+        toast.error(err?.message || 'Could not read the file');
+      } finally {
+        setIsReading(false);
+      }
+    },
+    [mappingForm]
+  );
+
+  const handleReview = useCallback(() => {
+    const result = validateImportRows(sheet.dataRows, mappingForm.getValues(), {
+      categoryOptions,
+      kitchenOptions,
+    });
+    setRows(result.rows);
+    setNewCategories(result.newCategories);
+    setReviewFilter('all');
+    setActiveStep(STEP.review);
+  }, [sheet.dataRows, mappingForm, categoryOptions, kitchenOptions]);
+
+  const updateRow = useCallback((id, changes) => {
+    setRows((prev) => prev.map((row) => (row.id === id ? { ...row, ...changes } : row)));
+  }, []);
+
+  const runImport = useCallback(
+    async (targetRows) => {
+      if (isImportingRef.current || !targetRows.length) return;
+      isImportingRef.current = true;
+      setIsImporting(true);
+      setActiveStep(STEP.import);
+
+      const categoryIds = createdCategoriesRef.current;
+      const categoryErrors = new Map();
+      const missingCategories = new Map();
+      targetRows.forEach((row) => {
+        const key = toNameKey(row.categoryName);
+        if (!row.categoryId && !categoryIds.has(key)) missingCategories.set(key, row.categoryName);
+      });
+
+      const total = missingCategories.size + targetRows.length;
+      let done = 0;
+      let created = 0;
+
+      for (const [key, name] of missingCategories) {
+        setProgress({ done, total, label: `Creating category "${name}"` });
+        try {
+          const result = await createCategory({ parentId: null, name, description: null, isActive: true }).unwrap();
+          categoryIds.set(key, result?.id ?? result);
+        } catch (err) {
+          const { message } = getApiErrorMessage(err, { defaultMessage: 'Failed to create category' });
+          categoryErrors.set(key, message);
+        }
+        done += 1;
+      }
+
+      for (const row of targetRows) {
+        setProgress({ done, total, label: `Creating "${row.item.name}"` });
+        const key = toNameKey(row.categoryName);
+        const categoryId = row.categoryId ?? categoryIds.get(key);
+
+        if (!categoryId) {
+          updateRow(row.id, {
+            status: ITEM_IMPORT_STATUS.failed,
+            errors: [`Category "${row.categoryName}" could not be created: ${categoryErrors.get(key) ?? 'unknown error'}`],
+          });
+        } else {
+          updateRow(row.id, { status: ITEM_IMPORT_STATUS.importing, errors: [] });
+          try {
+            await createItem(toCreateItemPayload(row, categoryId)).unwrap();
+            updateRow(row.id, { status: ITEM_IMPORT_STATUS.created, errors: [] });
+            created += 1;
+          } catch (err) {
+            const { message } = getApiErrorMessage(err, { defaultMessage: 'Failed to create item' });
+            updateRow(row.id, { status: ITEM_IMPORT_STATUS.failed, errors: [message] });
+          }
+        }
+        done += 1;
+      }
+
+      setProgress({ done, total, label: '' });
+      isImportingRef.current = false;
+      setIsImporting(false);
+
+      const failed = targetRows.length - created;
+      if (failed === 0) {
+        toast.success(`${created} ${created === 1 ? 'item' : 'items'} imported`);
+      } else {
+        toast.warning(`${created} imported, ${failed} failed`);
+      }
+    },
+    [createCategory, createItem, updateRow]
+  );
+
+  const readyRows = useMemo(() => rows.filter((row) => row.status === ITEM_IMPORT_STATUS.ready), [rows]);
+  const failedRows = useMemo(() => rows.filter((row) => row.status === ITEM_IMPORT_STATUS.failed), [rows]);
+  const reportRows = useMemo(() => rows.filter(isNotImported), [rows]);
+  const invalidCount = rows.filter((row) => row.status === ITEM_IMPORT_STATUS.invalid).length;
+  const createdCount = rows.filter((row) => row.status === ITEM_IMPORT_STATUS.created).length;
+
+  const tableRows = useMemo(() => {
+    if (activeStep === STEP.import) return rows.filter((row) => row.status !== ITEM_IMPORT_STATUS.invalid);
+    return reviewFilter === 'errors' ? rows.filter(isNotImported) : rows;
+  }, [activeStep, rows, reviewFilter]);
+
+  const columns = useMemo(
+    () => [
+      { field: 'rowNumber', headerName: 'Row', width: 70 },
+      {
+        field: 'name',
+        headerName: 'Name',
+        flex: 1,
+        minWidth: 140,
+        valueGetter: (value, row) => row.values.name || '-',
+      },
+      {
+        field: 'categoryName',
+        headerName: 'Category',
+        flex: 1,
+        minWidth: 140,
+        renderCell: (params) => (
+          <Stack direction="row" alignItems="center" spacing={1} sx={{ height: 1 }}>
+            <span>{params.value || '-'}</span>
+            {params.row.isNewCategory && (
+              <Label color="info" variant="soft">
+                New
+              </Label>
+            )}
+          </Stack>
+        ),
+      },
+      {
+        field: 'itemType',
+        headerName: 'Item Type',
+        width: 120,
+        valueGetter: (value, row) => row.values.itemType || 'Direct Sale',
+      },
+      { field: 'price', headerName: 'Price', width: 100, valueGetter: (value, row) => row.values.price || '0' },
+      {
+        field: 'status',
+        headerName: 'Status',
+        flex: 1.6,
+        minWidth: 220,
+        renderCell: (params) =>
+          params.row.errors.length ? (
+            <Box sx={{ py: 1 }}>
+              {params.row.errors.map((message) => (
+                <Typography key={message} variant="caption" component="div" color="error.main">
+                  {message}
+                </Typography>
+              ))}
+            </Box>
+          ) : (
+            <Stack direction="row" alignItems="center" sx={{ height: 1 }}>
+              <Label color={STATUS_LABELS[params.value]?.color ?? 'default'} variant="soft">
+                {STATUS_LABELS[params.value]?.label ?? params.value}
+              </Label>
+            </Stack>
+          ),
+      },
+    ],
+    []
+  );
+
+  const renderUpload = () => (
+    <Stack spacing={2}>
+      <Typography variant="body2" color="text.secondary">
+        Upload a .csv or .xlsx file with one item per row and a header row. Only Name and Category are
+        required; missing categories are created. Item Type defaults to Direct Sale and Active to Yes.
+      </Typography>
+      <Upload accept={IMPORT_FILE_ACCEPT} onDrop={handleDrop} disabled={isReading} />
+      {isReading && <LinearProgress />}
+      <Box>
+        <Field.Button variant="text" color="inherit" startIcon="solar:download-bold" onClick={downloadItemImportTemplate}>
+          Download template
+        </Field.Button>
+      </Box>
+    </Stack>
+  );
+
+  const renderMapping = () => (
+    <Form methods={mappingForm}>
+      <Stack spacing={2}>
+        <Typography variant="body2" color="text.secondary">
+          {sheet.fileName}: {sheet.dataRows.length} {sheet.dataRows.length === 1 ? 'row' : 'rows'}. Choose the
+          column for each field.
+        </Typography>
+        <Box
+          sx={{ display: 'grid', gap: 2, gridTemplateColumns: { xs: '1fr', sm: 'repeat(2, 1fr)' } }}
+        >
+          {ITEM_IMPORT_FIELDS.map((field) => {
+            const column = mapping[field.id];
+            const sample = column === '' ? null : sheet.dataRows[0]?.cells[column];
+            return (
+              <Field.Select
+                key={field.id}
+                name={field.id}
+                size="small"
+                label={field.required ? `${field.label} *` : field.label}
+                helperText={sample != null && sample !== '' ? `e.g. ${sample}` : ' '}
+                slotProps={{ select: { sx: { textTransform: 'none' } } }}
+              >
+                <MenuItem value="">
+                  <em>Not in file</em>
+                </MenuItem>
+                {sheet.headers.map((header, index) => (
+                  <MenuItem key={`${header}-${index}`} value={index}>
+                    {header}
+                  </MenuItem>
+                ))}
+              </Field.Select>
+            );
+          })}
+        </Box>
+      </Stack>
+    </Form>
+  );
+
+  const renderTable = () => (
+    <CustomTable
+      rows={tableRows}
+      columns={columns}
+      getRowId={(row) => row.id}
+      getRowHeight={() => 'auto'}
+      pagination={{ ...DEFAULT_PAGINATION, pageSize: 25 }}
+      sx={{ minHeight: 360 }}
+    />
+  );
+
+  const renderReview = () => (
+    <Stack spacing={2}>
+      <Stack direction="row" alignItems="center" flexWrap="wrap" useFlexGap spacing={1}>
+        <Label color="success" variant="soft">
+          {readyRows.length} ready
+        </Label>
+        <Label color={invalidCount ? 'error' : 'default'} variant="soft">
+          {invalidCount} with errors
+        </Label>
+        <ToggleButtonGroup
+          exclusive
+          size="small"
+          value={reviewFilter}
+          onChange={(event, value) => value && setReviewFilter(value)}
+          sx={{ ml: 'auto' }}
+        >
+          <ToggleButton value="all">All rows</ToggleButton>
+          <ToggleButton value="errors">With errors</ToggleButton>
+        </ToggleButtonGroup>
+      </Stack>
+      {newCategories.length > 0 && (
+        <Alert severity="info">
+          {newCategories.length === 1 ? 'New category' : `${newCategories.length} new categories`} will be
+          created: {newCategories.join(', ')}
+        </Alert>
+      )}
+      {invalidCount > 0 && (
+        <Alert severity="warning">
+          Rows with errors are skipped. Fix them in the file and upload again, or import the valid rows and
+          download the error report.
+        </Alert>
+      )}
+      {renderTable()}
+    </Stack>
+  );
+
+  const renderImport = () => {
+    const percent = progress.total ? Math.round((progress.done / progress.total) * 100) : 0;
+    return (
+      <Stack spacing={2}>
+        <Box>
+          <Stack direction="row" justifyContent="space-between" sx={{ mb: 1 }}>
+            <Typography variant="body2">
+              {isImporting
+                ? progress.label
+                : `${createdCount} created, ${failedRows.length} failed, ${invalidCount} skipped`}
+            </Typography>
+            <Typography variant="body2" color="text.secondary">
+              {progress.done} / {progress.total}
+            </Typography>
+          </Stack>
+          <LinearProgress variant="determinate" value={percent} />
+        </Box>
+        {renderTable()}
+      </Stack>
+    );
+  };
+
+  const renderActions = () => {
+    if (activeStep === STEP.map) {
+      return (
+        <>
+          <Field.Button variant="outlined" color="inherit" onClick={() => setActiveStep(STEP.upload)}>
+            Back
+          </Field.Button>
+          <Field.Button
+            variant="contained"
+            onClick={handleReview}
+            disabled={missingRequired.length > 0 || isFetchingCategories || isFetchingKitchens}
+          >
+            {missingRequired.length ? `Map ${missingRequired.map((field) => field.label).join(', ')}` : 'Review'}
+          </Field.Button>
+        </>
+      );
+    }
+
+    if (activeStep === STEP.review) {
+      return (
+        <>
+          <Field.Button variant="outlined" color="inherit" onClick={() => setActiveStep(STEP.map)}>
+            Back
+          </Field.Button>
+          {reportRows.length > 0 && (
+            <Field.Button
+              variant="outlined"
+              color="inherit"
+              startIcon="solar:download-bold"
+              onClick={() => downloadItemImportErrorReport(reportRows)}
+            >
+              Error report
+            </Field.Button>
+          )}
+          <Field.Button
+            variant="contained"
+            startIcon="solar:import-bold"
+            onClick={() => runImport(readyRows)}
+            disabled={!readyRows.length}
+          >
+            Import {readyRows.length} {readyRows.length === 1 ? 'item' : 'items'}
+          </Field.Button>
+        </>
+      );
+    }
+
+    if (activeStep === STEP.import && !isImporting) {
+      return (
+        <>
+          {reportRows.length > 0 && (
+            <Field.Button
+              variant="outlined"
+              color="inherit"
+              startIcon="solar:download-bold"
+              onClick={() => downloadItemImportErrorReport(reportRows)}
+            >
+              Error report
+            </Field.Button>
+          )}
+          {failedRows.length > 0 && (
+            <Field.Button
+              variant="outlined"
+              startIcon="solar:restart-bold"
+              onClick={() => runImport(failedRows)}
+            >
+              Retry {failedRows.length} failed
+            </Field.Button>
+          )}
+          <Field.Button variant="contained" onClick={onClose}>
+            Done
+          </Field.Button>
+        </>
+      );
+    }
+
+    return null;
+  };
+
+  return (
+    <CustomDialog
+      open={open}
+      onClose={onClose}
+      title="Import items"
+      maxWidth="lg"
+      loading={isImporting}
+      disableClose={isImporting || isReading}
+      actions={renderActions()}
+    >
+      <Stepper activeStep={activeStep} alternativeLabel sx={{ mb: 3 }}>
+        {STEPS.map((label) => (
+          <Step key={label}>
+            <StepLabel>{label}</StepLabel>
+          </Step>
+        ))}
+      </Stepper>
+
+      {activeStep === STEP.upload && renderUpload()}
+      {activeStep === STEP.map && renderMapping()}
+      {activeStep === STEP.review && renderReview()}
+      {activeStep === STEP.import && renderImport()}
+    </CustomDialog>
+  );
+}
@@ -0,0 +1,138 @@
+'use client';
+
+import { useMemo, useEffect, useCallback } from 'react';
+import { useWatch, useFieldArray, useFormContext } from 'react-hook-form';
+
+import Box from '@mui/material/Box';
+import Stack from '@mui/material/Stack';
+import MenuItem from '@mui/material/MenuItem';
+import Typography from '@mui/material/Typography';
+import IconButton from '@mui/material/IconButton';
+import InputAdornment from '@mui/material/InputAdornment';
+
+import { getBaseUnit, getItemUnits, STANDARD_UNITS } from 'src/utils/units-of-measure';
+
+import { Iconify } from 'src/components/iconify';
+import { Field } from 'src/components/hook-form';
+
+// ----------------------------------------------------------------------
+
+/**
+ * Item Units Field Component
+ *
+ * Base unit (stock is kept in it), item-specific units as "1 <unit> = <factor> <base unit>" and the
+ * units preselected on stock documents (purchase) and recipe ingredients (recipe). Standard units of
+ * the same kind (g / kg, ml / l, pcs / dozen) convert without being listed.
+ */
+export function ItemUnitsField() {
+  const { control, setValue, getValues } = useFormContext();
+  const { fields, append, remove } = useFieldArray({ control, name: 'unitConversions' });
+
+  const baseUnit = useWatch({ control, name: 'baseUnit' });
+  const unitConversions = useWatch({ control, name: 'unitConversions' });
+
+  const unitOptions = useMemo(
+    () => getItemUnits({ baseUnit, unitConversions }),
+    [baseUnit, unitConversions]
+  );
+  const baseUnitId = getBaseUnit({ baseUnit });
+
+  // Purchase / recipe unit no longer valid (base unit changed, unit removed) → back to the base unit
+  useEffect(() => {
+    ['purchaseUnit', 'recipeUnit'].forEach((fieldName) => {
+      const value = getValues(fieldName);
+      if (value && !unitOptions.some((unit) => unit.id === value)) {
+        setValue(fieldName, baseUnitId, { shouldDirty: true });
+      }
+    });
+  }, [unitOptions, baseUnitId, getValues, setValue]);
+
+  const handleAdd = useCallback(() => append({ unit: '', factor: '' }), [append]);
+
+  const renderUnitSelect = (name, label, helperText) => (
+    <Field.Select
+      name={name}
+      label={label}
+      helperText={helperText}
+      slotProps={{ select: { sx: { textTransform: 'none' } } }}
+      sx={{ flex: 1 }}
+    >
+      {unitOptions.map((unit) => (
+        <MenuItem key={unit.id} value={unit.id}>
+          {unit.label}
+        </MenuItem>
+      ))}
+    </Field.Select>
+  );
+
+  return (
+    <Stack spacing={2}>
+      <Box sx={{ display: 'flex', gap: 2, flexDirection: { xs: 'column', sm: 'row' } }}>
+        <Field.Select
+          name="baseUnit"
+          label="Base Unit"
+          helperText="Stock quantities are kept in this unit"
+          slotProps={{ select: { sx: { textTransform: 'none' } } }}
+          sx={{ flex: 1 }}
+        >
+          {STANDARD_UNITS.map((unit) => (
+            <MenuItem key={unit.id} value={unit.id}>
+              {unit.label}
+            </MenuItem>
+          ))}
+        </Field.Select>
+        {renderUnitSelect('purchaseUnit', 'Purchase Unit', 'Preselected on stock documents')}
+        {renderUnitSelect('recipeUnit', 'Recipe Unit', 'Preselected on recipe ingredients')}
+      </Box>
+
+      <Box>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+          <Typography variant="body2" color="text.secondary">
+            Other units (e.g. 1 crate = 24 {baseUnitId})
+          </Typography>
+          <Field.Button size="small" variant="outlined" startIcon="mingcute:add-line" onClick={handleAdd}>
+            Add Unit
+          </Field.Button>
+        </Box>
+        <Stack spacing={1.5}>
+          {fields.map((field, index) => (
+            <Stack key={field.id} direction="row" spacing={1.5} alignItems="flex-start">
+              <Field.Text
+                name={`unitConversions.${index}.unit`}
+                size="small"
+                placeholder="Unit name, e.g. crate"
+                slotProps={{
+                  input: { startAdornment: <InputAdornment position="start">1</InputAdornment> },
+                }}
+                sx={{ flex: 1 }}
+              />
+              <Field.Text
+                name={`unitConversions.${index}.factor`}
+                size="small"
+                type="number"
+                placeholder="24"
+                slotProps={{
+                  input: {
+                    inputMode: 'decimal',
+                    startAdornment: <InputAdornment position="start">=</InputAdornment>,
+                    endAdornment: <InputAdornment position="end">{baseUnitId}</InputAdornment>,
+                  },
+                  htmlInput: { min: 0, step: 'any' },
+                }}
+                sx={{ flex: 1 }}
+              />
+              <IconButton
+                color="error"
+                onClick={() => remove(index)}
+                aria-label="Remove unit"
+                sx={{ minHeight: 40, minWidth: 40 }}
+              >
+                <Iconify icon="mingcute:delete-line" />
+              </IconButton>
+            </Stack>
+          ))}
+        </Stack>
+      </Box>
+    </Stack>
+  );
+}
@@ -8,11 +8,14 @@ import Box from '@mui/material/Box';
 import Divider from '@mui/material/Divider';
 import Typography from '@mui/material/Typography';
 import { useTheme, useMediaQuery } from '@mui/material';
+import InputAdornment from '@mui/material/InputAdornment';
 
 import { getCurrencySymbol } from 'src/utils/format-number';
 import { getApiErrorMessage } from 'src/utils/api-error-message';
+import { getBaseUnit, DEFAULT_BASE_UNIT } from 'src/utils/units-of-measure';
 
 import { createItemSchema, updateItemSchema } from 'src/schemas';
+import { useGetKitchensDropdownQuery } from 'src/store/api/kitchens-api';
 import { useGetCategoriesDropdownQuery } from 'src/store/api/categories-api';
 import { useCreateItemMutation, useUpdateItemMutation } from 'src/store/api/items-api';
 
@@ -21,6 +24,8 @@ import { Form, Field } from 'src/components/hook-form';
 import { CustomDialog } from 'src/components/custom-dialog';
 import { ConfirmDialog } from 'src/components/custom-dialog/confirm-dialog';
 
+import { ItemUnitsField } from './components/item-units-field';
+
 // ----------------------------------------------------------------------
 
 /**
@@ -30,7 +35,9 @@ import { ConfirmDialog } from 'src/components/custom-dialog/confirm-dialog';
  * Tenant is taken from route/context; no tenant dropdown.
  *
  * Dropdown: categoryId from useGetCategoriesDropdownQuery (tenant from context).
+ * kitchenId from useGetKitchensDropdownQuery (optional; routes the item's KOT lines to that kitchen).
  * itemType: static options (1 Direct Sale, 2 Recipe Based, 3 Add On, 4 Deal).
+ * Units of measure: base unit (stock quantity), purchase / recipe units and item-specific conversions.
  */
 export function ItemFormDialog({ open, mode, record, onClose, onSuccess }) {
   const theme = useTheme();
@@ -48,6 +55,12 @@ export function ItemFormDialog({ open, mode, record, onClose, onSuccess }) {
     return categoriesDropdown.map((item) => ({ id: item.key, label: item.value || item.key }));
   }, [categoriesDropdown]);
 
+  const { data: kitchensDropdown } = useGetKitchensDropdownQuery(undefined, { skip: !open });
+  const kitchenOptions = useMemo(() => {
+    if (!kitchensDropdown || !Array.isArray(kitchensDropdown)) return [];
+    return kitchensDropdown.map((item) => ({ id: item.key, label: item.value || item.key }));
+  }, [kitchensDropdown]);
+
   const [createItem, { isLoading: isCreating }] = useCreateItemMutation();
   const [updateItem, { isLoading: isUpdating }] = useUpdateItemMutation();
 
@@ -70,14 +83,20 @@ export function ItemFormDialog({ open, mode, record, onClose, onSuccess }) {
     defaultValues: useMemo(
       () => ({
         categoryId: null,
+        kitchenId: null,
         name: '',
         description: null,
+        barcode: null,
         itemType: null,
         price: null,
         imageUrl: null,
         isActive: true,
         isAvailable: true,
         stockQuantity: null,
+        baseUnit: DEFAULT_BASE_UNIT,
+        purchaseUnit: DEFAULT_BASE_UNIT,
+        recipeUnit: DEFAULT_BASE_UNIT,
+        unitConversions: [],
       }),
       []
     ),
@@ -86,24 +105,33 @@ export function ItemFormDialog({ open, mode, record, onClose, onSuccess }) {
 
   const {
     reset,
+    watch,
     handleSubmit,
     setValue,
     formState: { isDirty },
   } = methods;
 
+  const baseUnit = getBaseUnit({ baseUnit: watch('baseUnit') });
+
   // Load item data for edit mode from record or reset for create mode
   useEffect(() => {
     if (!open) {
       reset({
         categoryId: null,
+        kitchenId: null,
         name: '',
         description: null,
+        barcode: null,
         itemType: null,
         price: null,
         imageUrl: null,
         isActive: true,
         isAvailable: true,
         stockQuantity: null,
+        baseUnit: DEFAULT_BASE_UNIT,
+        purchaseUnit: DEFAULT_BASE_UNIT,
+        recipeUnit: DEFAULT_BASE_UNIT,
+        unitConversions: [],
       });
       return;
     }
@@ -112,33 +140,50 @@ export function ItemFormDialog({ open, mode, record, onClose, onSuccess }) {
       const matchingCategory = categoryOptions.find((cat) => cat.id === record.categoryId);
       const matchingItemType = itemTypeOptions.find((opt) => opt.id === record.itemType);
       const categoryValue = matchingCategory ?? (record.categoryId ? { id: record.categoryId, label: record.categoryName || record.categoryId } : null);
+      const matchingKitchen = kitchenOptions.find((k) => k.id === record.kitchenId);
+      const kitchenValue = matchingKitchen ?? (record.kitchenId ? { id: record.kitchenId, label: record.kitchenName || record.kitchenId } : null);
 
       reset({
         categoryId: categoryValue,
+        kitchenId: kitchenValue,
         name: record.name || '',
         description: record.description || null,
+        barcode: record.barcode || null,
         itemType: matchingItemType ?? null,
         price: record.price ?? null,
         imageUrl: record.imageUrl || null,
         isActive: record.isActive ?? true,
         isAvailable: record.isAvailable ?? true,
         stockQuantity: record.stockQuantity ?? null,
+        baseUnit: getBaseUnit(record),
+        purchaseUnit: record.purchaseUnit || getBaseUnit(record),
+        recipeUnit: record.recipeUnit || getBaseUnit(record),
+        unitConversions: (record.unitConversions ?? []).map((conversion) => ({
+          unit: conversion.unit ?? '',
+          factor: conversion.factor ?? '',
+        })),
       });
     } else {
       reset({
         categoryId: null,
+        kitchenId: null,
         name: '',
         description: null,
+        barcode: null,
         itemType: null,
         price: null,
         imageUrl: null,
         isActive: true,
         isAvailable: true,
         stockQuantity: null,
+        baseUnit: DEFAULT_BASE_UNIT,
+        purchaseUnit: DEFAULT_BASE_UNIT,
+        recipeUnit: DEFAULT_BASE_UNIT,
+        unitConversions: [],
       });
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [open, mode, record?.id, record?.categoryId, record?.name, record?.description, record?.itemType, record?.price, record?.imageUrl, record?.isActive, record?.isAvailable, record?.stockQuantity, categoryOptions, reset]);
+  }, [open, mode, record?.id, record?.categoryId, record?.name, record?.description, record?.barcode, record?.itemType, record?.price, record?.imageUrl, record?.isActive, record?.isAvailable, record?.stockQuantity, record?.kitchenId, record?.baseUnit, record?.purchaseUnit, record?.recipeUnit, record?.unitConversions, categoryOptions, kitchenOptions, reset]);
 
   // Edit mode: set categoryId when category options load
   useEffect(() => {
@@ -157,9 +202,20 @@ export function ItemFormDialog({ open, mode, record, onClose, onSuccess }) {
 
     try {
       const categoryIdValue = data.categoryId?.id ?? data.categoryId;
+      const kitchenIdValue = data.kitchenId?.id ?? data.kitchenId ?? null;
       const itemTypeValue = Number(data.itemType?.id ?? data.itemType);
       const descriptionValue = data.description === '' ? null : data.description;
       const imageUrlValue = data.imageUrl === '' ? null : data.imageUrl;
+      const barcodeValue = data.barcode?.trim() ? data.barcode.trim() : null;
+      const unitsValue = {
+        baseUnit: data.baseUnit || DEFAULT_BASE_UNIT,
+        purchaseUnit: data.purchaseUnit || data.baseUnit || DEFAULT_BASE_UNIT,
+        recipeUnit: data.recipeUnit || data.baseUnit || DEFAULT_BASE_UNIT,
+        unitConversions: (data.unitConversions ?? []).map((conversion) => ({
+          unit: conversion.unit.trim(),
+          factor: Number(conversion.factor),
+        })),
+      };
 
       // Handle stockQuantity: in edit mode, if empty/null, don't send it (preserves existing)
       let stockQuantityValue = data.stockQuantity;
@@ -172,14 +228,17 @@ export function ItemFormDialog({ open, mode, record, onClose, onSuccess }) {
       if (mode === 'create') {
         const createData = {
           categoryId: categoryIdValue,
+          kitchenId: kitchenIdValue,
           name: data.name,
           description: descriptionValue,
+          barcode: barcodeValue,
           itemType: itemTypeValue,
           price: Number(data.price),
           imageUrl: imageUrlValue,
           isActive: data.isActive ?? true,
           isAvailable: data.isAvailable ?? true,
           stockQuantity: Number(stockQuantityValue) || 0,
+          ...unitsValue,
         };
         const result = await createItem(createData).unwrap();
         if (onSuccess) {
@@ -188,14 +247,17 @@ export function ItemFormDialog({ open, mode, record, onClose, onSuccess }) {
       } else {
         const updateData = {
           categoryId: categoryIdValue,
+          kitchenId: kitchenIdValue,
           name: data.name,
           description: descriptionValue,
+          barcode: barcodeValue,
           itemType: itemTypeValue,
           price: Number(data.price),
           imageUrl: imageUrlValue,
           isActive: data.isActive,
           isAvailable: data.isAvailable,
           stockQuantity: stockQuantityValue === null ? null : Number(stockQuantityValue),
+          ...unitsValue,
         };
         await updateItem({ id: record.id, ...updateData }).unwrap();
         if (onSuccess) {
@@ -349,6 +411,31 @@ export function ItemFormDialog({ open, mode, record, onClose, onSuccess }) {
                     sx={{ flex: 1 }}
                   />
                 </Box>
+                <Field.Autocomplete
+                    name="kitchenId"
+                    label="Kitchen"
+                    options={kitchenOptions}
+                    getOptionLabel={(option) => {
+                      if (!option) return '';
+                      return option.label || option.name || option.id || '';
+                    }}
+                    isOptionEqualToValue={(option, value) => {
+                      if (!option || !value) return option === value;
+                      return option.id === value.id;
+                    }}
+                    slotProps={{
+                      textField: {
+                        placeholder: 'Select kitchen (optional)',
+                        helperText: 'Kitchen order tickets for this item print at this kitchen',
+                      },
+                    }}
+                  />
+                <Field.Text
+                    name="barcode"
+                    label="Barcode / SKU"
+                    placeholder="Scan or enter code (optional)"
+                    helperText="Scanning this code at the POS adds the item to the cart"
+                  />
                 <Field.Text
                     name="description"
                     label="Description"
@@ -394,6 +481,7 @@ export function ItemFormDialog({ open, mode, record, onClose, onSuccess }) {
                       },
                       input: {
                         inputMode: 'decimal',
+                        endAdornment: <InputAdornment position="end">{baseUnit}</InputAdornment>,
                       },
                     }}
                     sx={{ flex: 1 }}
@@ -404,6 +492,16 @@ export function ItemFormDialog({ open, mode, record, onClose, onSuccess }) {
 
               <Divider sx={{ borderStyle: 'dashed' }} />
 
+              {/* Units of Measure Section */}
+              <Box>
+                <Typography variant="subtitle2" sx={{ mb: 2 }}>
+                  Units of Measure
+                </Typography>
+                <ItemUnitsField />
+              </Box>
+
+              <Divider sx={{ borderStyle: 'dashed' }} />
+
               {/* Additional Information Section */}
               <Box>
                 <Typography variant="subtitle2" sx={{ mb: 2 }}>
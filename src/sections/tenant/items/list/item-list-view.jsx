@@ -18,7 +18,7 @@ import { ACTION_PERMISSIONS } from 'src/utils/action-permissions';
 
 import { useGetTenantsDropdownQuery } from 'src/store/api/tenants-api';
 import { useGetCategoriesDropdownQuery } from 'src/store/api/categories-api';
-import { useGetItemsQuery, useDeleteItemMutation, useToggleItemActiveMutation } from 'src/store/api/items-api';
+import { itemsApi, useGetItemsQuery, useDeleteItemMutation, useToggleItemActiveMutation } from 'src/store/api/items-api';
 
 import { Label } from 'src/components/label';
 import { toast } from 'src/components/snackbar';
@@ -26,9 +26,11 @@ import { Field } from 'src/components/hook-form';
 import { Iconify } from 'src/components/iconify';
 import { EmptyContent } from 'src/components/empty-content';
 import { ConfirmDialog } from 'src/components/custom-dialog/confirm-dialog';
+import { useListExport, ExportMenuButton } from 'src/components/export-menu';
 import { CustomTable, DEFAULT_PAGINATION } from 'src/components/custom-table';
 
 import { ItemFormDialog } from '../form/item-form-dialog';
+import { ItemImportDialog } from '../components/item-import-dialog';
 import { ItemDetailsDialog } from '../components/item-details-dialog';
 
 // ----------------------------------------------------------------------
@@ -52,6 +54,26 @@ const formatPrice = (price) =>
 const formatStockQuantity = (quantity) =>
   quantity == null ? '-' : fNumber(quantity, { minimumFractionDigits: 0, maximumFractionDigits: 2 });
 
+// Rows use API response keys (categoryName, tenantName); no lookup from options
+const toItemRow = (item) => ({
+  id: item.id,
+  name: item.name,
+  categoryId: item.categoryId,
+  categoryName: item.categoryName ?? '-',
+  tenantId: item.tenantId,
+  tenantName: item.tenantName ?? '-',
+  itemType: item.itemType,
+  itemTypeLabel: getItemTypeLabel(item.itemType),
+  price: item.price,
+  priceFormatted: formatPrice(item.price),
+  stockQuantity: item.stockQuantity,
+  stockQuantityFormatted: formatStockQuantity(item.stockQuantity),
+  description: item.description || '-',
+  imageUrl: item.imageUrl,
+  isActive: item.isActive,
+  isAvailable: item.isAvailable,
+});
+
 // ----------------------------------------------------------------------
 
 /**
@@ -71,6 +93,8 @@ export function ItemListView() {
   const [detailsDialogOpen, setDetailsDialogOpen] = useState(false);
   const [detailsDialogRecord, setDetailsDialogRecord] = useState(null);
 
+  const [importDialogOpen, setImportDialogOpen] = useState(false);
+
   const [deleteConfirmOpen, setDeleteConfirmOpen] = useState(false);
   const [deleteItemId, setDeleteItemId] = useState(null);
   const [deleteItemName, setDeleteItemName] = useState(null);
@@ -388,25 +412,7 @@ export function ItemListView() {
   }, [searchForm]);
 
 
-  // Rows use API response keys (categoryName, tenantName); no lookup from options
-  const rows = useMemo(() => items.map((item) => ({
-      id: item.id,
-      name: item.name,
-      categoryId: item.categoryId,
-      categoryName: item.categoryName ?? '-',
-      tenantId: item.tenantId,
-      tenantName: item.tenantName ?? '-',
-      itemType: item.itemType,
-      itemTypeLabel: getItemTypeLabel(item.itemType),
-      price: item.price,
-      priceFormatted: formatPrice(item.price),
-      stockQuantity: item.stockQuantity,
-      stockQuantityFormatted: formatStockQuantity(item.stockQuantity),
-      description: item.description || '-',
-      imageUrl: item.imageUrl,
-      isActive: item.isActive,
-      isAvailable: item.isAvailable,
-    })), [items]);
+  const rows = useMemo(() => items.map(toItemRow), [items]);
 
   // Define columns
   const columns = useMemo(
@@ -460,6 +466,7 @@ export function ItemListView() {
         field: 'isAvailable',
         headerName: 'Available',
         flex: 1,
+        exportValue: (row) => (row.isAvailable ? 'Available' : 'Unavailable'),
         renderCell: (params) => (
           <Label color={params.value ? 'success' : 'error'} variant="soft">
             {params.value ? 'Available' : 'Unavailable'}
@@ -470,6 +477,7 @@ export function ItemListView() {
         field: 'isActive',
         headerName: 'Status',
         flex: 1,
+        exportValue: (row) => (row.isActive ? 'Active' : 'Inactive'),
         renderCell: (params) => (
           <Label color={params.value ? 'success' : 'default'} variant="soft">
             {params.value ? 'Active' : 'Inactive'}
@@ -536,6 +544,15 @@ export function ItemListView() {
     [handleView, handleEdit, handleToggleActive, handleDeleteClick, togglingItemId]
   );
 
+  const { tableProps: exportTableProps, ...exportMenuProps } = useListExport({
+    endpoint: itemsApi.endpoints.getItems,
+    queryParams,
+    rows,
+    toRow: toItemRow,
+    columns,
+    filename: 'Items',
+  });
+
   // Check if categoryId is selected (for disabling tenantId filter)
   const isCategorySelected = useMemo(() => categoryId !== null && categoryId !== undefined, [categoryId]);
 
@@ -623,12 +640,24 @@ export function ItemListView() {
               sx={{ minWidth: { sm: 200 } }}
             />
           </FormProvider>
+          <ExportMenuButton {...exportMenuProps} sx={{ ml: 'auto' }} />
+          {can(ACTION_PERMISSIONS.Items.create) && (
+            <Field.Button
+              variant="outlined"
+              color="inherit"
+              startIcon="solar:import-bold"
+              onClick={() => setImportDialogOpen(true)}
+              sx={{ minHeight: 44 }}
+            >
+              Import
+            </Field.Button>
+          )}
           {can(ACTION_PERMISSIONS.Items.create) && (
             <Field.Button
               variant="contained"
               startIcon="mingcute:add-line"
               onClick={handleCreate}
-              sx={{ ml: 'auto', minHeight: 44 }}
+              sx={{ minHeight: 44 }}
             >
               Create Item
             </Field.Button>
@@ -636,6 +665,7 @@ export function ItemListView() {
         </Stack>
 
         <CustomTable
+          {...exportTableProps}
           rows={rows}
           columns={columns}
           loading={isLoading}
@@ -675,6 +705,9 @@ export function ItemListView() {
         onSuccess={handleFormSuccess}
       />
 
+      {/* Import Dialog */}
+      <ItemImportDialog open={importDialogOpen} onClose={() => setImportDialogOpen(false)} />
+
       {/* Details Dialog */}
       <ItemDetailsDialog
         open={detailsDialogOpen}
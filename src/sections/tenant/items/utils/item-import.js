@@ -0,0 +1,308 @@
+import { exportCsv } from 'src/utils/export-file';
+import { isBlankRow } from 'src/utils/import-file';
+
+import { createItemSchema, createCategorySchema } from 'src/schemas';
+
+// ----------------------------------------------------------------------
+
+/**
+ * Item Type options (same ids as the item form)
+ */
+export const ITEM_TYPE_OPTIONS = [
+  { id: 1, label: 'Direct Sale' },
+  { id: 2, label: 'Recipe Based' },
+  { id: 3, label: 'Add On' },
+  { id: 4, label: 'Deal' },
+];
+
+// ----------------------------------------------------------------------
+
+/**
+ * Import fields, in template order. Category and kitchen are given by name; categories that do not
+ * exist yet are created, kitchens must exist. `aliases` are header names recognised when guessing
+ * the column mapping (compared without case, spaces or punctuation).
+ */
+export const ITEM_IMPORT_FIELDS = [
+  { id: 'name', label: 'Name', required: true, aliases: ['item', 'item name', 'product', 'product name'] },
+  {
+    id: 'categoryName',
+    label: 'Category',
+    required: true,
+    aliases: ['category', 'category name', 'menu category', 'group'],
+  },
+  { id: 'itemType', label: 'Item Type', aliases: ['type'] },
+  { id: 'price', label: 'Price', aliases: ['sale price', 'selling price', 'rate'] },
+  { id: 'description', label: 'Description', aliases: ['details'] },
+  { id: 'barcode', label: 'Barcode', aliases: ['sku', 'barcode / sku', 'code', 'item code'] },
+  { id: 'kitchenName', label: 'Kitchen', aliases: ['kitchen', 'kitchen name', 'station'] },
+  { id: 'stockQuantity', label: 'Stock Quantity', aliases: ['stock', 'quantity', 'qty', 'opening stock'] },
+  { id: 'imageUrl', label: 'Image URL', aliases: ['image', 'photo'] },
+  { id: 'isActive', label: 'Active', aliases: ['status', 'is active'] },
+];
+
+// Rows per file; larger menus can be split over several files
+export const ITEM_IMPORT_MAX_ROWS = 2000;
+
+export const ITEM_IMPORT_STATUS = {
+  invalid: 'invalid',
+  ready: 'ready',
+  importing: 'importing',
+  created: 'created',
+  failed: 'failed',
+};
+
+const TRUE_VALUES = ['yes', 'y', 'true', '1', 'active'];
+const FALSE_VALUES = ['no', 'n', 'false', '0', 'inactive'];
+
+// Item fields checked with createItemSchema; category and kitchen are resolved from names instead
+const itemRowSchema = createItemSchema.omit({ tenantId: true, categoryId: true, kitchenId: true });
+const categoryNameSchema = createCategorySchema.pick({ name: true });
+
+const normalizeHeader = (value) =>
+  String(value ?? '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+
+/** Key for matching category / kitchen / item names without case. */
+export const toNameKey = (value) => String(value ?? '').trim().toLowerCase();
+
+/** Cell value as trimmed text ('' for empty cells). */
+const cellText = (value) => (value == null ? '' : String(value).trim());
+
+const getFieldLabel = (fieldId) => ITEM_IMPORT_FIELDS.find((field) => field.id === fieldId)?.label ?? fieldId;
+
+// ----------------------------------------------------------------------
+
+/**
+ * Header row and data rows of a sheet (the header is the first non-blank row).
+ * @param {Array<Array>} sheetRows - From readSpreadsheetFile
+ * @returns {{ headers: string[], dataRows: Array<{ rowNumber: number, cells: Array }> }}
+ */
+export function splitSheetRows(sheetRows) {
+  const headerIndex = sheetRows.findIndex((row) => !isBlankRow(row));
+  if (headerIndex < 0) return { headers: [], dataRows: [] };
+
+  const headers = Array.from(sheetRows[headerIndex], (value, index) => cellText(value) || `Column ${index + 1}`);
+  const dataRows = sheetRows
+    .map((cells, index) => ({ rowNumber: index + 1, cells }))
+    .slice(headerIndex + 1)
+    .filter((row) => !isBlankRow(row.cells));
+  return { headers, dataRows };
+}
+
+/**
+ * Column for each import field from the header names; each column is used once.
+ * @param {string[]} headers
+ * @returns {Object} { [fieldId]: columnIndex | '' }
+ */
+export function guessColumnMapping(headers) {
+  const normalized = headers.map(normalizeHeader);
+  const used = new Set();
+
+  return ITEM_IMPORT_FIELDS.reduce((mapping, field) => {
+    const candidates = [field.id, field.label, ...field.aliases].map(normalizeHeader);
+    const index = normalized.findIndex((header, i) => !used.has(i) && candidates.includes(header));
+    if (index >= 0) used.add(index);
+    return { ...mapping, [field.id]: index >= 0 ? index : '' };
+  }, {});
+}
+
+// ----------------------------------------------------------------------
+
+function parseNumberCell(value) {
+  if (typeof value === 'number') return { value };
+  const text = cellText(value).replace(/[,\s]/g, '');
+  if (!text) return { value: '' };
+  const number = Number(text);
+  return Number.isFinite(number) ? { value: number } : { error: 'Must be a number' };
+}
+
+function parseItemTypeCell(value) {
+  const text = cellText(value);
+  // Blank defaults to Direct Sale, the most common type on a menu
+  if (!text) return { value: ITEM_TYPE_OPTIONS[0].id };
+  const option = ITEM_TYPE_OPTIONS.find(
+    (opt) => String(opt.id) === text || normalizeHeader(opt.label) === normalizeHeader(text)
+  );
+  return option
+    ? { value: option.id }
+    : { error: `"${text}" is not one of ${ITEM_TYPE_OPTIONS.map((opt) => opt.label).join(', ')}` };
+}
+
+function parseBooleanCell(value) {
+  if (typeof value === 'boolean') return { value };
+  const text = cellText(value).toLowerCase();
+  if (!text) return { value: true };
+  if (TRUE_VALUES.includes(text)) return { value: true };
+  if (FALSE_VALUES.includes(text)) return { value: false };
+  return { error: 'Use Yes or No' };
+}
+
+/**
+ * Validate the sheet rows for the review step. Each row gets its original values (by field), the
+ * resolved category / kitchen and either a create payload or a list of errors ("Field: message").
+ *
+ * Categories are matched by name without case; unknown names are marked `isNewCategory` and listed
+ * in `newCategories` (valid rows only). Kitchens must already exist. A name repeated within the same
+ * category is flagged on the later rows.
+ *
+ * @param {Array<{ rowNumber: number, cells: Array }>} dataRows - From splitSheetRows
+ * @param {Object} mapping - From guessColumnMapping (possibly edited)
+ * @param {Object} lookups
+ * @param {Array<{ id: string, label: string }>} lookups.categoryOptions
+ * @param {Array<{ id: string, label: string }>} lookups.kitchenOptions
+ * @returns {{ rows: Array<Object>, newCategories: string[] }}
+ */
+export function validateImportRows(dataRows, mapping, { categoryOptions, kitchenOptions }) {
+  const categoriesByName = new Map(categoryOptions.map((option) => [toNameKey(option.label), option]));
+  const kitchensByName = new Map(kitchenOptions.map((option) => [toNameKey(option.label), option]));
+  const seenNames = new Map();
+  const newCategories = new Map();
+
+  const rows = dataRows.map(({ rowNumber, cells }) => {
+    const raw = Object.fromEntries(
+      ITEM_IMPORT_FIELDS.map((field) => {
+        const column = mapping[field.id];
+        return [field.id, column === '' || column == null ? null : cells[column]];
+      })
+    );
+    const values = Object.fromEntries(Object.entries(raw).map(([fieldId, value]) => [fieldId, cellText(value)]));
+    const fieldErrors = {};
+
+    const parsed = {
+      name: values.name,
+      description: values.description || null,
+      barcode: values.barcode || null,
+      imageUrl: values.imageUrl || null,
+    };
+    [
+      ['itemType', parseItemTypeCell],
+      ['price', parseNumberCell],
+      ['stockQuantity', parseNumberCell],
+      ['isActive', parseBooleanCell],
+    ].forEach(([fieldId, parse]) => {
+      const result = parse(raw[fieldId]);
+      if (result.error) fieldErrors[fieldId] = result.error;
+      else parsed[fieldId] = result.value;
+    });
+
+    const itemResult = itemRowSchema.safeParse(parsed);
+    if (!itemResult.success) {
+      itemResult.error.issues.forEach((issue) => {
+        const [fieldId] = issue.path;
+        if (!fieldErrors[fieldId]) fieldErrors[fieldId] = issue.message;
+      });
+    }
+
+    const categoryResult = categoryNameSchema.safeParse({ name: values.categoryName });
+    if (!categoryResult.success) {
+      fieldErrors.categoryName = categoryResult.error.issues[0]?.message ?? 'Invalid category';
+    }
+    const category = categoriesByName.get(toNameKey(values.categoryName));
+
+    let kitchen = null;
+    if (values.kitchenName) {
+      kitchen = kitchensByName.get(toNameKey(values.kitchenName)) ?? null;
+      if (!kitchen) fieldErrors.kitchenName = `No kitchen named "${values.kitchenName}"`;
+    }
+
+    const errors = Object.entries(fieldErrors).map(([fieldId, message]) => `${getFieldLabel(fieldId)}: ${message}`);
+
+    if (values.name && values.categoryName) {
+      const key = `${toNameKey(values.categoryName)}\u0000${toNameKey(values.name)}`;
+      if (seenNames.has(key)) errors.push(`Duplicate of row ${seenNames.get(key)}`);
+      else seenNames.set(key, rowNumber);
+    }
+
+    const isValid = errors.length === 0;
+    if (isValid && !category) {
+      newCategories.set(toNameKey(values.categoryName), values.categoryName);
+    }
+
+    return {
+      id: rowNumber,
+      rowNumber,
+      values,
+      categoryName: category?.label ?? values.categoryName,
+      categoryId: category?.id ?? null,
+      isNewCategory: !category && categoryResult.success,
+      kitchenId: kitchen?.id ?? null,
+      item: isValid ? itemResult.data : null,
+      errors,
+      status: isValid ? ITEM_IMPORT_STATUS.ready : ITEM_IMPORT_STATUS.invalid,
+    };
+  });
+
+  return { rows, newCategories: Array.from(newCategories.values()) };
+}
+
+/**
+ * Create payload for a validated row (same shape as the item form's create).
+ * @param {Object} row - From validateImportRows
+ * @param {string} categoryId - Existing or newly created category
+ */
+export function toCreateItemPayload(row, categoryId) {
+  const { item } = row;
+  return {
+    categoryId,
+    kitchenId: row.kitchenId,
+    name: item.name,
+    description: item.description || null,
+    barcode: item.barcode || null,
+    itemType: Number(item.itemType),
+    price: Number(item.price),
+    imageUrl: item.imageUrl || null,
+    isActive: item.isActive ?? true,
+    isAvailable: true,
+    stockQuantity: Number(item.stockQuantity) || 0,
+  };
+}
+
+// ----------------------------------------------------------------------
+
+const IMPORT_COLUMNS = ITEM_IMPORT_FIELDS.map((field) => ({
+  field: field.id,
+  headerName: field.label,
+  exportValue: (row) => row.values?.[field.id] ?? '',
+}));
+
+/**
+ * Download an empty template with the import headers and one example row.
+ */
+export function downloadItemImportTemplate() {
+  exportCsv({
+    filename: 'Item import template',
+    columns: ITEM_IMPORT_FIELDS.map((field) => ({ field: field.id, headerName: field.label })),
+    rows: [
+      {
+        name: 'Chicken Burger',
+        categoryName: 'Burgers',
+        itemType: 'Direct Sale',
+        price: 650,
+        description: 'Crispy fillet, lettuce and mayo',
+        barcode: '',
+        kitchenName: '',
+        stockQuantity: 0,
+        imageUrl: '',
+        isActive: 'Yes',
+      },
+    ],
+  });
+}
+
+/**
+ * Download the rows that were not imported (invalid or failed) with the reason. The columns match
+ * the template, so the file can be corrected and imported again.
+ * @param {Array<Object>} rows - Import rows with status invalid / failed
+ */
+export function downloadItemImportErrorReport(rows) {
+  exportCsv({
+    filename: 'Item import errors',
+    columns: [
+      { field: 'rowNumber', headerName: 'Row' },
+      ...IMPORT_COLUMNS,
+      { field: 'errors', headerName: 'Error', exportValue: (row) => row.errors.join('; ') },
+    ],
+    rows,
+  });
+}
@@ -0,0 +1,123 @@
+'use client';
+
+import { varAlpha } from 'minimal-shared/utils';
+
+import Box from '@mui/material/Box';
+import Card from '@mui/material/Card';
+import Stack from '@mui/material/Stack';
+import Typography from '@mui/material/Typography';
+import CardActionArea from '@mui/material/CardActionArea';
+import CircularProgress from '@mui/material/CircularProgress';
+
+import { getElapsedMinutes } from 'src/utils/format-time';
+
+import { Label } from 'src/components/label';
+
+import { getOrderStatusLabel, getOrderStatusColor } from 'src/sections/tenant/orders/utils/order-status';
+
+import { getElapsedColor, getNextKdsStatus } from '../utils/kds-helpers';
+
+// ----------------------------------------------------------------------
+
+/**
+ * Kitchen display ticket. Header colour follows elapsed time (on time / warning / late).
+ * Tapping the card advances the order status (see getNextKdsStatus); the footer names the next step.
+ */
+export function KdsTicketCard({ ticket, now, isUpdating = false, isNew = false, onAdvance }) {
+  const { order, lines } = ticket;
+  const minutes = getElapsedMinutes(order.createdAt, now);
+  const color = getElapsedColor(minutes);
+  const nextStatus = getNextKdsStatus(order.status);
+
+  return (
+    <Card
+      variant="outlined"
+      sx={(theme) => ({
+        borderWidth: 2,
+        borderColor: theme.vars.palette[color].main,
+        ...(isNew && { boxShadow: `0 0 0 4px ${varAlpha(theme.vars.palette.info.mainChannel, 0.48)}` }),
+      })}
+    >
+      <CardActionArea
+        onClick={() => onAdvance?.(ticket)}
+        disabled={isUpdating || nextStatus == null}
+        aria-label={`Order ${order.orderNumber ?? ''}: mark as ${nextStatus ? getOrderStatusLabel(nextStatus) : ''}`}
+        sx={{ height: '100%', display: 'flex', flexDirection: 'column', alignItems: 'stretch' }}
+      >
+        <Stack
+          direction="row"
+          alignItems="center"
+          justifyContent="space-between"
+          sx={(theme) => ({
+            px: 2,
+            py: 1.5,
+            color: theme.vars.palette[color].contrastText,
+            bgcolor: theme.vars.palette[color].main,
+          })}
+        >
+          <Box sx={{ minWidth: 0 }}>
+            <Typography variant="h6" noWrap>
+              #{order.orderNumber ?? order.id?.slice(0, 8) ?? '—'}
+            </Typography>
+            <Typography variant="caption" noWrap component="div">
+              {[order.orderTypeName, order.tableName && `Table ${order.tableName}`].filter(Boolean).join(' · ') || '—'}
+            </Typography>
+          </Box>
+          <Typography variant="h5" sx={{ flexShrink: 0 }}>
+            {minutes}m
+          </Typography>
+        </Stack>
+
+        <Stack spacing={1} sx={{ p: 2, flex: 1 }}>
+          {lines.map((line, index) => (
+            <Box key={`${line.itemId}-${index}`} sx={{ ...(line.group && { pl: 1.5 }) }}>
+              {line.group && line.group !== lines[index - 1]?.group && (
+                <Typography variant="overline" color="text.secondary" sx={{ display: 'block', ml: -1.5 }}>
+                  Deal: {line.group}
+                </Typography>
+              )}
+              <Typography variant="subtitle1">
+                {line.qty} × {line.productName}
+              </Typography>
+              {(line.modifiers ?? []).map((modifier, modifierIndex) => (
+                <Typography key={modifierIndex} variant="body2" sx={{ fontWeight: 600 }}>
+                  {modifier}
+                </Typography>
+              ))}
+              {line.notes && (
+                <Typography variant="body2" color="text.secondary" sx={{ fontStyle: 'italic' }}>
+                  {line.notes}
+                </Typography>
+              )}
+            </Box>
+          ))}
+          {order.notes && (
+            <Typography variant="body2" color="warning.main" sx={{ pt: 1, borderTop: 1, borderColor: 'divider' }}>
+              Note: {order.notes}
+            </Typography>
+          )}
+        </Stack>
+
+        <Stack
+          direction="row"
+          alignItems="center"
+          justifyContent="space-between"
+          sx={{ px: 2, py: 1.5, borderTop: 1, borderColor: 'divider' }}
+        >
+          <Label color={getOrderStatusColor(order.status)} variant="soft">
+            {getOrderStatusLabel(order.status)}
+          </Label>
+          {isUpdating ? (
+            <CircularProgress size={20} />
+          ) : (
+            nextStatus != null && (
+              <Typography variant="subtitle2" color="primary">
+                Tap → {getOrderStatusLabel(nextStatus)}
+              </Typography>
+            )
+          )}
+        </Stack>
+      </CardActionArea>
+    </Card>
+  );
+}
@@ -0,0 +1,53 @@
+'use client';
+
+import { useRef, useCallback } from 'react';
+
+// ----------------------------------------------------------------------
+
+/**
+ * Short two-tone chime generated with the Web Audio API (no audio asset to load).
+ * Browsers only allow audio after a user gesture: call unlock() from a click (e.g. the sound toggle).
+ *
+ * @returns {{ play: () => void, unlock: () => void }}
+ */
+export function useKdsChime() {
+  const contextRef = useRef(null);
+
+  const getContext = useCallback(() => {
+    if (typeof window === 'undefined') return null;
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return null;
+    if (!contextRef.current) {
+      contextRef.current = new AudioContextClass();
+    }
+    return contextRef.current;
+  }, []);
+
+  const unlock = useCallback(() => {
+    const context = getContext();
+    if (context?.state === 'suspended') {
+      context.resume().catch(() => {});
+    }
+  }, [getContext]);
+
+  const play = useCallback(() => {
+    const context = getContext();
+    if (!context || context.state !== 'running') return;
+    [880, 1320].forEach((frequency, index) => {
+      const start = context.currentTime + index * 0.18;
+      const oscillator = context.createOscillator();
+      const gain = context.createGain();
+      oscillator.type = 'sine';
+      oscillator.frequency.value = frequency;
+      gain.gain.setValueAtTime(0.0001, start);
+      gain.gain.exponentialRampToValueAtTime(0.3, start + 0.02);
+      gain.gain.exponentialRampToValueAtTime(0.0001, start + 0.35);
+      oscillator.connect(gain);
+      gain.connect(context.destination);
+      oscillator.start(start);
+      oscillator.stop(start + 0.4);
+    });
+  }, [getContext]);
+
+  return { play, unlock };
+}
@@ -0,0 +1,262 @@
+'use client';
+
+import Link from 'next/link';
+import { useRef, useMemo, useState, useEffect, useCallback } from 'react';
+
+import Box from '@mui/material/Box';
+import Stack from '@mui/material/Stack';
+import Tooltip from '@mui/material/Tooltip';
+import Typography from '@mui/material/Typography';
+import IconButton from '@mui/material/IconButton';
+
+import { paths } from 'src/routes/paths';
+
+import { getApiErrorMessage } from 'src/utils/api-error-message';
+
+import { useGetItemsQuery } from 'src/store/api/items-api';
+import { useGetKitchenByIdQuery } from 'src/store/api/kitchens-api';
+import { useUpdateOrderMutation, useGetOrdersByStatusesQuery } from 'src/store/api/orders-api';
+
+import { Label } from 'src/components/label';
+import { toast } from 'src/components/snackbar';
+import { Iconify } from 'src/components/iconify';
+import { Field } from 'src/components/hook-form';
+import { EmptyContent } from 'src/components/empty-content';
+import { QueryStateContent } from 'src/components/query-state-content';
+
+import { getOrderStatusLabel } from 'src/sections/tenant/orders/utils/order-status';
+
+import { useKdsChime } from './hooks/use-kds-chime';
+import { KdsTicketCard } from '../components/kds-ticket-card';
+import {
+  buildKdsTickets,
+  getNextKdsStatus,
+  KDS_ACTIVE_STATUSES,
+  KDS_POLL_INTERVAL_MS,
+} from '../utils/kds-helpers';
+
+// ----------------------------------------------------------------------
+
+const NEW_TICKET_HIGHLIGHT_MS = 10000;
+
+/**
+ * Kitchen Display System (KDS) for one kitchen.
+ *
+ * Full-screen board of active tickets (Pending … Ready), oldest first, polled every 15s.
+ * Orders are loaded by status (not by kitchenId, which POS orders leave unset) and each ticket
+ * only lists lines routed to this kitchen (item kitchen, else order kitchen).
+ * Tapping a ticket advances its status via updateOrder (staffId/notes are sent unchanged).
+ * New tickets are highlighted and play a chime once sound has been enabled (browser autoplay rules).
+ */
+export function KitchenDisplayView({ kitchenId }) {
+  const [now, setNow] = useState(() => Date.now());
+  const [soundOn, setSoundOn] = useState(false);
+  const [updatingOrderId, setUpdatingOrderId] = useState(null);
+  const [newOrderIds, setNewOrderIds] = useState([]);
+  const seenOrderIdsRef = useRef(null);
+  const highlightTimersRef = useRef([]);
+  const { play: playChime, unlock: unlockChime } = useKdsChime();
+
+  const { data: kitchen } = useGetKitchenByIdQuery(kitchenId, { skip: !kitchenId });
+
+  const {
+    data: orders,
+    isLoading,
+    isError,
+    error,
+    refetch,
+    isFetching,
+  } = useGetOrdersByStatusesQuery(
+    { statuses: KDS_ACTIVE_STATUSES },
+    { skip: !kitchenId, pollingInterval: KDS_POLL_INTERVAL_MS, refetchOnFocus: true }
+  );
+
+  // Item -> kitchen lookup (same page size as the POS grid)
+  const { data: itemsResponse } = useGetItemsQuery({ pageSize: 500 });
+  const itemOptions = useMemo(
+    () =>
+      (itemsResponse?.data ?? []).map((item) => ({
+        id: item.id,
+        name: item.name,
+        kitchenId: item.kitchenId ?? null,
+      })),
+    [itemsResponse]
+  );
+
+  const tickets = useMemo(
+    () => buildKdsTickets(orders ?? [], kitchenId, itemOptions),
+    [orders, kitchenId, itemOptions]
+  );
+
+  const [updateOrder] = useUpdateOrderMutation();
+
+  // Re-render elapsed times
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 30000);
+    return () => clearInterval(timer);
+  }, []);
+
+  useEffect(
+    () => () => {
+      highlightTimersRef.current.forEach(clearTimeout);
+    },
+    []
+  );
+
+  // Detect tickets that arrived since the last poll (the first load only seeds the seen set)
+  useEffect(() => {
+    if (isLoading) return;
+    const ids = tickets.map((ticket) => ticket.order.id);
+    if (seenOrderIdsRef.current === null) {
+      seenOrderIdsRef.current = new Set(ids);
+      return;
+    }
+    const arrived = ids.filter((id) => !seenOrderIdsRef.current.has(id));
+    ids.forEach((id) => seenOrderIdsRef.current.add(id));
+    if (arrived.length === 0) return;
+
+    if (soundOn) playChime();
+    setNewOrderIds((prev) => [...prev, ...arrived]);
+    highlightTimersRef.current.push(
+      setTimeout(() => {
+        setNewOrderIds((prev) => prev.filter((id) => !arrived.includes(id)));
+      }, NEW_TICKET_HIGHLIGHT_MS)
+    );
+  }, [tickets, isLoading, soundOn, playChime]);
+
+  const handleToggleSound = useCallback(() => {
+    unlockChime();
+    setSoundOn((prev) => !prev);
+  }, [unlockChime]);
+
+  const handleAdvance = useCallback(
+    async ({ order }) => {
+      const nextStatus = getNextKdsStatus(order.status);
+      if (nextStatus == null || updatingOrderId) return;
+      setUpdatingOrderId(order.id);
+      try {
+        await updateOrder({
+          id: order.id,
+          staffId: order.staffId ?? null,
+          status: nextStatus,
+          notes: order.notes ?? null,
+        }).unwrap();
+        toast.success(`Order #${order.orderNumber ?? ''} → ${getOrderStatusLabel(nextStatus)}`);
+      } catch (err) {
+        const { message, isRetryable } = getApiErrorMessage(err, {
+          defaultMessage: 'Failed to update order status',
+          notFoundMessage: 'Order not found. It may have been deleted.',
+        });
+        if (isRetryable) {
+          toast.error(message, {
+            action: { label: 'Retry', onClick: () => handleAdvance({ order }) },
+          });
+        } else {
+          toast.error(message);
+        }
+      } finally {
+        setUpdatingOrderId(null);
+      }
+    },
+    [updateOrder, updatingOrderId]
+  );
+
+  const handleFullscreen = useCallback(() => {
+    if (typeof document === 'undefined') return;
+    if (document.fullscreenElement) {
+      document.exitFullscreen?.().catch(() => {});
+    } else {
+      document.documentElement.requestFullscreen?.().catch(() => {});
+    }
+  }, []);
+
+  return (
+    <Box
+      sx={(theme) => ({
+        position: 'fixed',
+        inset: 0,
+        zIndex: theme.zIndex.appBar + 2,
+        display: 'flex',
+        flexDirection: 'column',
+        bgcolor: 'background.default',
+      })}
+    >
+      <Stack
+        direction="row"
+        alignItems="center"
+        spacing={2}
+        sx={{ px: 3, py: 2, borderBottom: 1, borderColor: 'divider', flexShrink: 0 }}
+      >
+        <Box sx={{ flex: 1, minWidth: 0 }}>
+          <Typography variant="h4" noWrap>
+            {kitchen?.name ?? 'Kitchen'}
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            Tap a ticket to move it to the next step
+          </Typography>
+        </Box>
+        <Label color="info" variant="soft">
+          {tickets.length} active
+        </Label>
+        <Tooltip title="Refresh">
+          <span>
+            <IconButton onClick={() => refetch()} disabled={isFetching} aria-label="Refresh tickets">
+              <Iconify icon="solar:restart-bold" />
+            </IconButton>
+          </span>
+        </Tooltip>
+        <Tooltip title={soundOn ? 'Mute new-ticket chime' : 'Enable new-ticket chime'}>
+          <IconButton onClick={handleToggleSound} aria-label="Toggle chime" color={soundOn ? 'primary' : 'default'}>
+            <Iconify icon={soundOn ? 'solar:volume-loud-bold' : 'solar:bell-off-bold'} />
+          </IconButton>
+        </Tooltip>
+        <Tooltip title="Full screen">
+          <IconButton onClick={handleFullscreen} aria-label="Toggle full screen">
+            <Iconify icon="solar:full-screen-square-outline" />
+          </IconButton>
+        </Tooltip>
+        <Field.Button component={Link} href={paths.tenant.kitchens.root} variant="outlined">
+          Exit
+        </Field.Button>
+      </Stack>
+
+      <Box sx={{ flex: 1, minHeight: 0, overflow: 'auto', p: 3 }}>
+        <QueryStateContent
+          isLoading={isLoading}
+          isError={isError}
+          error={error}
+          onRetry={refetch}
+          loadingVariant="spinner"
+          loadingMessage="Loading tickets..."
+          errorTitle="Failed to load tickets"
+          errorMessageOptions={{ defaultMessage: 'Failed to load orders' }}
+          minHeight={400}
+        >
+          {tickets.length === 0 ? (
+            <EmptyContent filled title="No active tickets" description="New orders for this kitchen appear here." sx={{ py: 10 }} />
+          ) : (
+            <Box
+              sx={{
+                display: 'grid',
+                gap: 2,
+                alignItems: 'start',
+                gridTemplateColumns: 'repeat(auto-fill, minmax(280px, 1fr))',
+              }}
+            >
+              {tickets.map((ticket) => (
+                <KdsTicketCard
+                  key={ticket.order.id}
+                  ticket={ticket}
+                  now={now}
+                  isUpdating={updatingOrderId === ticket.order.id}
+                  isNew={newOrderIds.includes(ticket.order.id)}
+                  onAdvance={handleAdvance}
+                />
+              ))}
+            </Box>
+          )}
+        </QueryStateContent>
+      </Box>
+    </Box>
+  );
+}
@@ -11,6 +11,10 @@ import Typography from '@mui/material/Typography';
 import IconButton from '@mui/material/IconButton';
 import InputAdornment from '@mui/material/InputAdornment';
 
+import { paths } from 'src/routes/paths';
+import { useRouter } from 'src/routes/hooks';
+import { routePermissionByPath } from 'src/routes/route-permissions';
+
 import { can } from 'src/utils/permissions';
 import { getApiErrorMessage } from 'src/utils/api-error-message';
 import { ACTION_PERMISSIONS } from 'src/utils/action-permissions';
@@ -18,6 +22,7 @@ import { ACTION_PERMISSIONS } from 'src/utils/action-permissions';
 import { useGetTenantsDropdownQuery } from 'src/store/api/tenants-api';
 import { useGetBranchesDropdownQuery } from 'src/store/api/branches-api';
 import {
+  kitchensApi,
   useGetAllKitchensQuery,
   useDeleteKitchenMutation,
   useToggleKitchenActiveMutation,
@@ -29,6 +34,7 @@ import { Field } from 'src/components/hook-form';
 import { Iconify } from 'src/components/iconify';
 import { EmptyContent } from 'src/components/empty-content';
 import { ConfirmDialog } from 'src/components/custom-dialog/confirm-dialog';
+import { useListExport, ExportMenuButton } from 'src/components/export-menu';
 import { CustomTable, DEFAULT_PAGINATION } from 'src/components/custom-table';
 
 import { KitchenFormDialog } from '../form/kitchen-form-dialog';
@@ -43,6 +49,19 @@ import {
 
 // ----------------------------------------------------------------------
 
+// Table row from a kitchen (API response keys tenantName, branchName)
+const toKitchenRow = (kitchen) => ({
+  id: kitchen.id,
+  name: kitchen.name,
+  tenantName: kitchen.tenantName ?? '-',
+  branchName: kitchen.branchName ?? '-',
+  description: kitchen.description || '-',
+  location: kitchen.location || '-',
+  isActive: kitchen.isActive,
+});
+
+// ----------------------------------------------------------------------
+
 /**
  * Helper function to extract ID from object or string
  */
@@ -66,6 +85,8 @@ const getId = (value) => {
  * P2-001: Role-based visibility for Create/Edit/Delete/Toggle can be applied when backend supports it.
  */
 export function KitchenListView() {
+  const router = useRouter();
+
   // Dialog state management
   const [formDialogOpen, setFormDialogOpen] = useState(false);
   const [formDialogMode, setFormDialogMode] = useState('create');
@@ -307,6 +328,11 @@ export function KitchenListView() {
     setDetailsDialogOpen(true);
   }, [kitchens]);
 
+  // Open the kitchen display (KDS) for this kitchen
+  const handleOpenDisplay = useCallback((row) => {
+    router.push(paths.tenant.kitchens.display(row.id));
+  }, [router]);
+
   // Handle delete confirmation
   const handleDeleteClick = useCallback((kitchen) => {
     setDeleteKitchenId(kitchen.id);
@@ -407,16 +433,8 @@ export function KitchenListView() {
     setPageNumber(1); // Reset to first page when clearing search
   }, [searchForm]);
 
-  // Prepare table rows (use API response keys tenantName, branchName)
-  const rows = useMemo(() => kitchens.map((kitchen) => ({
-      id: kitchen.id,
-      name: kitchen.name,
-      tenantName: kitchen.tenantName ?? '-',
-      branchName: kitchen.branchName ?? '-',
-      description: kitchen.description || '-',
-      location: kitchen.location || '-',
-      isActive: kitchen.isActive,
-    })), [kitchens]);
+  // Prepare table rows
+  const rows = useMemo(() => kitchens.map(toKitchenRow), [kitchens]);
 
   // Define columns
   const columns = useMemo(
@@ -479,6 +497,7 @@ export function KitchenListView() {
         field: 'isActive',
         headerName: 'Status',
         width: 100,
+        exportValue: (row) => getActiveStatusLabel(row.isActive),
         renderCell: (params) => (
           <Label color={getActiveStatusColor(params.value)} variant="soft">
             {getActiveStatusLabel(params.value)}
@@ -489,6 +508,15 @@ export function KitchenListView() {
     []
   );
 
+  const { tableProps: exportTableProps, ...exportMenuProps } = useListExport({
+    endpoint: kitchensApi.endpoints.getAllKitchens,
+    queryParams,
+    rows,
+    toRow: toKitchenRow,
+    columns,
+    filename: 'Kitchens',
+  });
+
   // Define actions
   const actions = useMemo(
     () => [
@@ -544,8 +572,17 @@ export function KitchenListView() {
         visible: (row) => canDelete(row.isActive),
         permission: () => can(ACTION_PERMISSIONS.Kitchens.delete),
       },
+      {
+        id: 'display',
+        label: 'Open Display',
+        icon: 'solar:monitor-bold',
+        onClick: (row) => handleOpenDisplay(row),
+        order: 5,
+        visible: (row) => row.isActive === true,
+        permission: () => can(routePermissionByPath[paths.tenant.kitchens.display(':id')]),
+      },
     ],
-    [handleView, handleEdit, handleToggleActive, handleDeleteClick, togglingKitchenId, isTogglingActive]
+    [handleView, handleEdit, handleToggleActive, handleDeleteClick, handleOpenDisplay, togglingKitchenId, isTogglingActive]
   );
 
   return (
@@ -632,12 +669,13 @@ export function KitchenListView() {
               sx={{ minWidth: { sm: 200 } }}
             />
           </FormProvider>
+          <ExportMenuButton {...exportMenuProps} sx={{ ml: 'auto' }} />
           {can(ACTION_PERMISSIONS.Kitchens.create) && (
             <Field.Button
               variant="contained"
               startIcon="mingcute:add-line"
               onClick={handleCreate}
-              sx={{ ml: 'auto', minHeight: 44 }}
+              sx={{ minHeight: 44 }}
             >
               Create Kitchen
             </Field.Button>
@@ -646,6 +684,7 @@ export function KitchenListView() {
 
         {/* Table - P0-005: show error in table area so filters/Create remain; P0-001: sorting disabled with server pagination */}
         <CustomTable
+          {...exportTableProps}
           rows={rows}
           columns={columns}
           loading={isLoading || isFetching}
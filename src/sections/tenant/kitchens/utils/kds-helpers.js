@@ -0,0 +1,64 @@
+import { toKotLines } from 'src/components/invoice-print';
+
+// ----------------------------------------------------------------------
+
+/**
+ * Order statuses shown on the kitchen display (Pending … Ready).
+ * Ready For Pickup (6) and later leave the board.
+ */
+export const KDS_ACTIVE_STATUSES = [1, 2, 3, 4, 5];
+
+/** Elapsed minutes after which a ticket turns warning / error. */
+export const KDS_WARNING_MINUTES = 10;
+export const KDS_LATE_MINUTES = 20;
+
+export const KDS_POLL_INTERVAL_MS = 15000;
+
+// ----------------------------------------------------------------------
+
+/**
+ * Next status when a cook taps a ticket:
+ * Pending / Confirmed / In Progress → Preparing → Ready → Ready For Pickup.
+ * Returns null when the status is not handled by the kitchen.
+ */
+export const getNextKdsStatus = (statusId) => {
+  if ([1, 2, 3].includes(statusId)) return 4;
+  if (statusId === 4) return 5;
+  if (statusId === 5) return 6;
+  return null;
+};
+
+// ----------------------------------------------------------------------
+
+/**
+ * Ticket colour by elapsed time: success (on time), warning, error (late).
+ */
+export const getElapsedColor = (minutes) => {
+  if (minutes >= KDS_LATE_MINUTES) return 'error';
+  if (minutes >= KDS_WARNING_MINUTES) return 'warning';
+  return 'success';
+};
+
+// ----------------------------------------------------------------------
+
+/**
+ * Build KDS tickets for one kitchen from orders (includeItems).
+ * A line belongs to the kitchen of its item, else the order's kitchen. Orders with no line for
+ * this kitchen are dropped; tickets are sorted oldest first.
+ *
+ * @param {Array<Object>} orders
+ * @param {string} kitchenId
+ * @param {Array<{ id, name, kitchenId }>} itemOptions - Item → kitchen lookup
+ * @returns {Array<{ order: Object, lines: Array<Object> }>}
+ */
+export const buildKdsTickets = (orders, kitchenId, itemOptions = []) =>
+  (orders ?? [])
+    .filter((order) => KDS_ACTIVE_STATUSES.includes(order.status))
+    .map((order) => ({
+      order,
+      lines: toKotLines(order.items, { itemOptions }).filter(
+        (line) => (line.kitchenId ?? order.kitchenId ?? null) === kitchenId
+      ),
+    }))
+    .filter((ticket) => ticket.lines.length > 0)
+    .sort((a, b) => String(a.order.createdAt ?? '').localeCompare(String(b.order.createdAt ?? '')));
@@ -0,0 +1,315 @@
+'use client';
+
+import { useForm, useWatch } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { useRef, useMemo, useEffect, useCallback } from 'react';
+
+import Box from '@mui/material/Box';
+import Stack from '@mui/material/Stack';
+import Alert from '@mui/material/Alert';
+import Typography from '@mui/material/Typography';
+import IconButton from '@mui/material/IconButton';
+import ToggleButton from '@mui/material/ToggleButton';
+import ToggleButtonGroup from '@mui/material/ToggleButtonGroup';
+
+import { fCurrency } from 'src/utils/format-number';
+import { getApiErrorMessage } from 'src/utils/api-error-message';
+import { ACTION_PERMISSIONS } from 'src/utils/action-permissions';
+
+import { CONFIG } from 'src/global-config';
+import { orderAdjustmentSchema } from 'src/schemas';
+import { useVoidOrderMutation, useRefundOrderMutation } from 'src/store/api/orders-api';
+
+import { toast } from 'src/components/snackbar';
+import { Iconify } from 'src/components/iconify';
+import { Form, Field } from 'src/components/hook-form';
+import { CustomDialog } from 'src/components/custom-dialog';
+import { useManagerApproval, ManagerApprovalDialog } from 'src/components/manager-approval';
+
+import { isOrderItemSent } from '../utils/kot-history';
+import { generateIdempotencyKey } from '../utils/offline-order-queue';
+import {
+  ORDER_ADJUSTMENT,
+  getAdjustmentSummary,
+  getRemainingQuantity,
+  requiresManagerApproval,
+  getAdjustmentReasonLabel,
+  getAdjustmentReasonOptions,
+} from '../utils/order-adjustments';
+
+// ----------------------------------------------------------------------
+
+const CURRENCY_OPTS = { minimumFractionDigits: 2, maximumFractionDigits: 2 };
+
+const SCOPE = {
+  order: 'order',
+  items: 'items',
+};
+
+const getDefaultValues = (order, initialItems) => ({
+  scope: initialItems ? SCOPE.items : SCOPE.order,
+  reasonCode: null,
+  notes: '',
+  items: (order?.items ?? []).map((item) => ({ orderItemId: item.id, quantity: initialItems?.[item.id] ?? 0 })),
+});
+
+// ----------------------------------------------------------------------
+
+/**
+ * Void (unpaid) or refund (paid) an order, whole or selected line quantities, with a reason code.
+ * Over CONFIG.managerApprovalAmount, or when the cashier lacks the permission (refund; void for
+ * lines not yet sent, removing a sent item for lines the kitchen already has), a manager approves
+ * with their PIN and the approver is sent with the request as `approvedBy`.
+ *
+ * @param {Object} props
+ * @param {boolean} props.open
+ * @param {Object} props.order - Order record with items
+ * @param {string} props.type - ORDER_ADJUSTMENT value
+ * @param {Object} [props.initialItems] - { [orderItemId]: quantity } preselected, opens on selected items
+ * @param {Function} props.onClose
+ * @param {Function} [props.onSuccess] - ({ type, response, summary, reason }) => void
+ */
+export function OrderAdjustmentDialog({ open, order, type, initialItems, onClose, onSuccess }) {
+  const isRefund = type === ORDER_ADJUSTMENT.refund;
+  const actionLabel = isRefund ? 'Refund' : 'Void';
+  const reasonOptions = getAdjustmentReasonOptions(type);
+
+  const isSubmittingRef = useRef(false);
+  // { key, fingerprint } of the last refund; a retry of the identical refund reuses the key so the
+  // backend never pays back twice, while any change (scope, quantities, reason, amount) gets a new one
+  const idempotencyRef = useRef(null);
+
+  const { requestApproval, approvalDialogProps } = useManagerApproval();
+
+  const [voidOrder, { isLoading: isVoiding }] = useVoidOrderMutation();
+  const [refundOrder, { isLoading: isRefunding }] = useRefundOrderMutation();
+  const isSubmitting = isVoiding || isRefunding;
+
+  const methods = useForm({
+    resolver: zodResolver(orderAdjustmentSchema),
+    defaultValues: getDefaultValues(order),
+  });
+  const { reset, control, setValue, getValues, handleSubmit } = methods;
+
+  const scope = useWatch({ control, name: 'scope' });
+  const watchedItems = useWatch({ control, name: 'items' });
+  const selectedItems = useMemo(() => watchedItems ?? [], [watchedItems]);
+  const itemsErrors = methods.formState.errors.items;
+  const itemsError = itemsErrors?.message ?? itemsErrors?.root?.message;
+
+  useEffect(() => {
+    if (open) {
+      reset(getDefaultValues(order, initialItems));
+      idempotencyRef.current = null;
+    }
+  }, [open, order, initialItems, reset]);
+
+  const summary = useMemo(
+    () => getAdjustmentSummary(order, scope === SCOPE.items ? selectedItems : undefined),
+    [order, scope, selectedItems]
+  );
+  const isOverLimit = requiresManagerApproval(summary.totals.grandTotal);
+
+  const handleQuantityChange = useCallback(
+    (index, delta, max) => {
+      const current = Number(getValues(`items.${index}.quantity`)) || 0;
+      const next = Math.min(Math.max(current + delta, 0), max);
+      setValue(`items.${index}.quantity`, next, { shouldValidate: true, shouldDirty: true });
+    },
+    [getValues, setValue]
+  );
+
+  // A void needs the void permission for lines not yet sent and removeSentItem for lines the
+  // kitchen already has; over the limit the approver needs the over-limit permission on top
+  const getRequiredPermissions = () => {
+    const permissions = [];
+    if (isRefund) {
+      permissions.push(ACTION_PERMISSIONS.Orders.refund);
+    } else {
+      const sent = summary.lines.map((line) =>
+        isOrderItemSent(order.id, order.items?.find((item) => item.id === line.orderItemId))
+      );
+      if (scope === SCOPE.order || sent.includes(false)) permissions.push(ACTION_PERMISSIONS.Orders.void);
+      if (sent.includes(true)) permissions.push(ACTION_PERMISSIONS.Orders.removeSentItem);
+    }
+    if (isOverLimit) permissions.push(ACTION_PERMISSIONS.Orders.approveOverLimit);
+    return permissions;
+  };
+
+  const onSubmit = handleSubmit(async (data) => {
+    if (isSubmittingRef.current || !order?.id) return;
+    isSubmittingRef.current = true;
+    try {
+      const approval = await requestApproval(getRequiredPermissions(), {
+        title: `Approve ${actionLabel.toLowerCase()}`,
+        description: `${actionLabel} of ${fCurrency(summary.totals.grandTotal, CURRENCY_OPTS)} on order #${order.orderNumber ?? order.id}.`,
+      });
+      if (!approval) return;
+      const request = {
+        id: order.id,
+        reasonCode: data.reasonCode,
+        notes: data.notes || null,
+        items: data.scope === SCOPE.items ? data.items.filter((item) => item.quantity > 0) : null,
+        approvedBy: approval.approvedBy,
+      };
+      let response;
+      if (isRefund) {
+        const amount = summary.totals.grandTotal;
+        const fingerprint = JSON.stringify([order.id, data.scope, request.items, data.reasonCode, amount]);
+        if (idempotencyRef.current?.fingerprint !== fingerprint) {
+          idempotencyRef.current = { key: generateIdempotencyKey(), fingerprint };
+        }
+        response = await refundOrder({ ...request, amount, idempotencyKey: idempotencyRef.current.key }).unwrap();
+        idempotencyRef.current = null;
+      } else {
+        response = await voidOrder(request).unwrap();
+      }
+      toast.success(
+        `${isRefund ? 'Refunded' : 'Voided'} ${fCurrency(summary.totals.grandTotal, CURRENCY_OPTS)} on order #${order.orderNumber ?? order.id}`
+      );
+      onSuccess?.({
+        type,
+        response: { approvedByName: approval.approverName, ...response },
+        summary,
+        reason: getAdjustmentReasonLabel(type, data.reasonCode),
+      });
+      onClose();
+    } catch (error) {
+      const { message, isRetryable } = getApiErrorMessage(error, {
+        defaultMessage: `Failed to ${actionLabel.toLowerCase()} order`,
+        notFoundMessage: 'Order not found',
+        forbiddenMessage: `You do not have permission to ${actionLabel.toLowerCase()} orders`,
+        validationMessage: `Could not ${actionLabel.toLowerCase()} the order. Check the selected items.`,
+      });
+      if (isRetryable) {
+        toast.error(message, { action: { label: 'Retry', onClick: () => onSubmit() } });
+      } else {
+        // Rejected by the API, nothing was refunded: a corrected resubmission is a new request
+        idempotencyRef.current = null;
+        toast.error(message);
+      }
+    } finally {
+      isSubmittingRef.current = false;
+    }
+  });
+
+  const renderItems = () => (
+    <Stack spacing={1}>
+      {(order?.items ?? []).map((item, index) => {
+        const max = getRemainingQuantity(item);
+        const quantity = Number(selectedItems[index]?.quantity) || 0;
+        return (
+          <Stack key={item.id ?? index} direction="row" alignItems="center" spacing={1}>
+            <Typography variant="body2" sx={{ flex: 1, minWidth: 0 }} noWrap>
+              {item.itemName || item.dealName || '-'}
+              <Typography component="span" variant="caption" color="text.secondary" sx={{ ml: 1 }}>
+                of {max}
+              </Typography>
+            </Typography>
+            <IconButton
+              size="small"
+              onClick={() => handleQuantityChange(index, -1, max)}
+              disabled={quantity <= 0}
+              aria-label={`${actionLabel} one less ${item.itemName || 'item'}`}
+            >
+              <Iconify icon="mingcute:minimize-line" />
+            </IconButton>
+            <Typography variant="subtitle2" sx={{ width: 24, textAlign: 'center' }}>
+              {quantity}
+            </Typography>
+            <IconButton
+              size="small"
+              onClick={() => handleQuantityChange(index, 1, max)}
+              disabled={quantity >= max}
+              aria-label={`${actionLabel} one more ${item.itemName || 'item'}`}
+            >
+              <Iconify icon="mingcute:add-line" />
+            </IconButton>
+          </Stack>
+        );
+      })}
+      {itemsError && (
+        <Typography variant="caption" color="error">
+          {itemsError}
+        </Typography>
+      )}
+    </Stack>
+  );
+
+  return (
+    <CustomDialog
+      open={open}
+      onClose={onClose}
+      title={`${actionLabel} order #${order?.orderNumber ?? order?.id ?? ''}`}
+      maxWidth="sm"
+      loading={isSubmitting}
+      disableClose={isSubmitting}
+      actions={
+        <Box sx={{ display: 'flex', gap: 1, justifyContent: 'flex-end' }}>
+          <Field.Button variant="outlined" color="inherit" onClick={onClose} disabled={isSubmitting}>
+            Cancel
+          </Field.Button>
+          <Field.Button
+            variant="contained"
+            color="error"
+            onClick={onSubmit}
+            loading={isSubmitting}
+            disabled={isSubmitting || summary.totals.grandTotal <= 0}
+            startIcon={isRefund ? 'solar:reply-bold' : 'solar:close-circle-bold'}
+          >
+            {actionLabel} {fCurrency(summary.totals.grandTotal, CURRENCY_OPTS)}
+          </Field.Button>
+        </Box>
+      }
+    >
+      <Form methods={methods} onSubmit={onSubmit}>
+        <Stack spacing={2.5} sx={{ pt: 1 }}>
+          <Typography variant="body2" color="text.secondary">
+            {isRefund
+              ? 'The order is paid: the refund is paid back and a credit note is printed.'
+              : 'The order is not paid yet: voided items are cancelled and not charged.'}
+          </Typography>
+
+          <ToggleButtonGroup
+            exclusive
+            fullWidth
+            size="small"
+            value={scope}
+            onChange={(event, value) => value && setValue('scope', value, { shouldValidate: true })}
+          >
+            <ToggleButton value={SCOPE.order}>Whole order</ToggleButton>
+            <ToggleButton value={SCOPE.items} disabled={!order?.items?.some((item) => getRemainingQuantity(item) > 0)}>
+              Selected items
+            </ToggleButton>
+          </ToggleButtonGroup>
+
+          {scope === SCOPE.items && renderItems()}
+
+          <Field.Autocomplete
+            name="reasonCode"
+            label="Reason"
+            options={reasonOptions}
+            getOptionLabel={(option) => option?.label ?? ''}
+            isOptionEqualToValue={(option, value) => option?.id === value?.id}
+          />
+
+          <Field.Text name="notes" label="Notes" multiline minRows={2} />
+
+          <Stack direction="row" justifyContent="space-between">
+            <Typography variant="subtitle2">{actionLabel} amount</Typography>
+            <Typography variant="subtitle2">{fCurrency(summary.totals.grandTotal, CURRENCY_OPTS)}</Typography>
+          </Stack>
+
+          {isOverLimit && (
+            <Alert severity="warning">
+              Over {fCurrency(CONFIG.managerApprovalAmount, CURRENCY_OPTS)}: a manager must approve this{' '}
+              {actionLabel.toLowerCase()}.
+            </Alert>
+          )}
+        </Stack>
+      </Form>
+
+      <ManagerApprovalDialog {...approvalDialogProps} />
+    </CustomDialog>
+  );
+}
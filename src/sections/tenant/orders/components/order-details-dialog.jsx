@@ -1,5 +1,7 @@
 'use client';
 
+import { useMemo, useState, useCallback } from 'react';
+
 import Box from '@mui/material/Box';
 import Card from '@mui/material/Card';
 import Stack from '@mui/material/Stack';
@@ -8,12 +10,33 @@ import Typography from '@mui/material/Typography';
 import { useTheme, useMediaQuery } from '@mui/material';
 
 import { fCurrency } from 'src/utils/format-number';
+import { getApiErrorMessage } from 'src/utils/api-error-message';
+import { ACTION_PERMISSIONS } from 'src/utils/action-permissions';
+
+import { useGetItemsQuery } from 'src/store/api/items-api';
+import { useLogInvoiceReprintMutation } from 'src/store/api/orders-api';
+import { useGetKitchensDropdownQuery } from 'src/store/api/kitchens-api';
 
 import { Label } from 'src/components/label';
+import { toast } from 'src/components/snackbar';
+import { Field } from 'src/components/hook-form';
 import { CustomTable } from 'src/components/custom-table';
 import { CustomDialog } from 'src/components/custom-dialog';
+import { useManagerApproval, ManagerApprovalDialog } from 'src/components/manager-approval';
+import {
+  toKotLines,
+  buildKotMeta,
+  KotPrintLayout,
+  useInvoicePrint,
+  InvoicePrintLayout,
+  buildInvoicePayload,
+  buildCreditNotePayload,
+} from 'src/components/invoice-print';
 
+import { OrderAdjustmentDialog } from './order-adjustment-dialog';
+import { recordSentKotLines, buildOrderKotTickets } from '../utils/kot-history';
 import { getOrderStatusLabel, getOrderStatusColor } from '../utils/order-status';
+import { isOrderPaid, ORDER_ADJUSTMENT, getOrderAdjustmentType } from '../utils/order-adjustments';
 
 // ----------------------------------------------------------------------
 
@@ -27,12 +50,137 @@ const formatCurrency = (amount) =>
  *
  * Read-only view of order details. Uses the passed record from the list (no getById).
  * List is requested with includeItems: true so record includes items and full details.
+ *
+ * Print KOT: one ticket per kitchen (item kitchen, else order kitchen). If this terminal already
+ * sent a KOT for the order, only lines added/removed since then are printed (follow-up KOT).
+ *
+ * Void / Refund: an unpaid order can be voided and a paid one refunded (whole or selected lines);
+ * a refund prints a credit note. Reprinting the invoice prints a duplicate copy and is logged.
+ * Both need the matching permission, else a manager PIN (useManagerApproval).
  */
 export function OrderDetailsDialog({ open, record, onClose }) {
   const theme = useTheme();
   const isMobile = useMediaQuery(theme.breakpoints.down('sm'));
 
   const orderData = record;
+  const hasItems = Boolean(orderData?.items?.length);
+
+  const { invoicePrintPayload: kotPrintTickets, triggerPrint: triggerKotPrint } = useInvoicePrint();
+  // Invoice layout payloads: credit note after a refund, duplicate copy on reprint
+  const { invoicePrintPayload, triggerPrint: triggerInvoicePrint } = useInvoicePrint();
+
+  const { requestApproval, approvalDialogProps } = useManagerApproval();
+  const [logInvoiceReprint] = useLogInvoiceReprintMutation();
+
+  const [adjustmentOpen, setAdjustmentOpen] = useState(false);
+  const adjustmentType = getOrderAdjustmentType(orderData);
+
+  // Item -> kitchen lookup for KOT routing (same page size as the POS grid)
+  const { data: itemsResponse, isFetching: itemsFetching } = useGetItemsQuery(
+    { pageSize: 500 },
+    { skip: !open || !hasItems }
+  );
+  const { data: kitchensDropdown } = useGetKitchensDropdownQuery(undefined, { skip: !open || !hasItems });
+
+  const itemOptions = useMemo(
+    () =>
+      (itemsResponse?.data ?? []).map((item) => ({
+        id: item.id,
+        name: item.name,
+        kitchenId: item.kitchenId ?? null,
+      })),
+    [itemsResponse]
+  );
+  const kitchenOptions = useMemo(() => {
+    if (!kitchensDropdown || !Array.isArray(kitchensDropdown)) return [];
+    return kitchensDropdown.map((item) => ({ id: item.key, label: item.value || item.key }));
+  }, [kitchensDropdown]);
+
+  const handlePrintKot = useCallback(() => {
+    if (!orderData?.id || !hasItems) return;
+    const lines = toKotLines(orderData.items, { itemOptions });
+    const { tickets, isFollowUp } = buildOrderKotTickets(orderData.id, lines, {
+      kitchenOptions,
+      defaultKitchenId: orderData.kitchenId ?? null,
+      meta: buildKotMeta({ notes: orderData.notes }, {}, orderData),
+    });
+    recordSentKotLines(orderData.id, lines);
+    triggerKotPrint(tickets);
+    toast.info(isFollowUp ? 'Printing changes since the last KOT.' : 'Printing kitchen ticket.');
+  }, [orderData, hasItems, itemOptions, kitchenOptions, triggerKotPrint]);
+
+  const handleAdjustmentSuccess = useCallback(
+    ({ type, response, summary, reason }) => {
+      if (type !== ORDER_ADJUSTMENT.refund) return;
+      triggerInvoicePrint(
+        buildCreditNotePayload(orderData, { lines: summary.lines, totals: summary.totals, reason, response })
+      );
+    },
+    [orderData, triggerInvoicePrint]
+  );
+
+  const handleReprintInvoice = useCallback(async () => {
+    if (!orderData?.id) return;
+    const approval = await requestApproval(ACTION_PERMISSIONS.Orders.reprintInvoice, {
+      title: 'Approve invoice reprint',
+      description: `Reprint the invoice of order #${orderData.orderNumber ?? orderData.id}.`,
+    });
+    if (!approval) return;
+    const paymentModeId = orderData.paymentModeId ?? orderData.paymentMode?.id ?? null;
+    triggerInvoicePrint(
+      buildInvoicePayload(
+        { paymentModeId: isOrderPaid(orderData) ? paymentModeId : null },
+        { paymentModeOptions: paymentModeId ? [{ id: paymentModeId, label: orderData.paymentMode?.name ?? 'Paid' }] : [] },
+        orderData,
+        { isReprint: true }
+      )
+    );
+    try {
+      await logInvoiceReprint({ id: orderData.id, approvedBy: approval.approvedBy }).unwrap();
+    } catch (error) {
+      // The copy is already printing; only the audit entry failed
+      const { message } = getApiErrorMessage(error, { defaultMessage: 'Failed to log invoice reprint' });
+      toast.warning(message);
+    }
+  }, [orderData, requestApproval, triggerInvoicePrint, logInvoiceReprint]);
+
+  const renderActions = () =>
+    hasItems || adjustmentType ? (
+      <Box sx={{ display: 'flex', gap: 1, justifyContent: 'flex-end', flexWrap: 'wrap' }}>
+        {adjustmentType && (
+          <Field.Button
+            variant="outlined"
+            color="error"
+            onClick={() => setAdjustmentOpen(true)}
+            startIcon={adjustmentType === ORDER_ADJUSTMENT.refund ? 'solar:reply-bold' : 'solar:close-circle-bold'}
+            sx={{ minHeight: 44 }}
+          >
+            {adjustmentType === ORDER_ADJUSTMENT.refund ? 'Refund' : 'Void'}
+          </Field.Button>
+        )}
+        {hasItems && (
+          <Field.Button
+            variant="outlined"
+            onClick={handlePrintKot}
+            disabled={itemsFetching}
+            startIcon="solar:file-text-bold"
+            sx={{ minHeight: 44 }}
+          >
+            Print KOT
+          </Field.Button>
+        )}
+        {hasItems && (
+          <Field.Button
+            variant="outlined"
+            onClick={handleReprintInvoice}
+            startIcon="solar:printer-minimalistic-bold"
+            sx={{ minHeight: 44 }}
+          >
+            Reprint invoice
+          </Field.Button>
+        )}
+      </Box>
+    ) : null;
 
   return (
     <CustomDialog
@@ -42,6 +190,7 @@ export function OrderDetailsDialog({ open, record, onClose }) {
       maxWidth="md"
       fullWidth
       fullScreen={isMobile}
+      actions={renderActions()}
     >
       {orderData ? (
         <Box sx={{ display: 'flex', flexDirection: 'column', gap: 3, pt: 1, pb: 3 }}>
@@ -332,6 +481,41 @@ export function OrderDetailsDialog({ open, record, onClose }) {
           )}
         </Box>
       ) : null}
+
+      {adjustmentType && (
+        <OrderAdjustmentDialog
+          open={adjustmentOpen}
+          order={orderData}
+          type={adjustmentType}
+          onClose={() => setAdjustmentOpen(false)}
+          onSuccess={handleAdjustmentSuccess}
+        />
+      )}
+
+      <ManagerApprovalDialog {...approvalDialogProps} />
+
+      {/* Own print root (the POS view behind this dialog has one too): hidden on screen, visible in @media print */}
+      {(kotPrintTickets || invoicePrintPayload) && (
+        <Box
+          sx={{
+            position: 'absolute',
+            left: -9999,
+            top: 0,
+            width: '80mm',
+            visibility: 'hidden',
+            pointerEvents: 'none',
+            zIndex: -1,
+          }}
+          id="order-details-print-root"
+          className="invoice-print-root"
+        >
+          {kotPrintTickets ? (
+            <KotPrintLayout tickets={kotPrintTickets} widthPreset="80mm" />
+          ) : (
+            <InvoicePrintLayout payload={invoicePrintPayload} widthPreset="80mm" />
+          )}
+        </Box>
+      )}
     </CustomDialog>
   );
 }
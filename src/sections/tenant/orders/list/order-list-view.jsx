@@ -21,7 +21,7 @@ import { ACTION_PERMISSIONS } from 'src/utils/action-permissions';
 
 import { useGetStaffDropdownQuery } from 'src/store/api/staff-api';
 import { useGetBranchesDropdownQuery } from 'src/store/api/branches-api';
-import { useGetOrdersQuery, useDeleteOrderMutation } from 'src/store/api/orders-api';
+import { ordersApi, useGetOrdersQuery, useDeleteOrderMutation } from 'src/store/api/orders-api';
 
 import { Label } from 'src/components/label';
 import { toast } from 'src/components/snackbar';
@@ -29,6 +29,7 @@ import { Field } from 'src/components/hook-form';
 import { Iconify } from 'src/components/iconify';
 import { EmptyContent } from 'src/components/empty-content';
 import { ConfirmDialog } from 'src/components/custom-dialog/confirm-dialog';
+import { useListExport, ExportMenuButton } from 'src/components/export-menu';
 import { CustomTable, DEFAULT_PAGINATION } from 'src/components/custom-table';
 
 import { OrderFormDialog } from '../form/order-form-dialog';
@@ -41,6 +42,32 @@ import { getOrderStatusLabel, getOrderStatusColor, ORDER_STATUS_OPTIONS } from '
 const formatCurrency = (amount) =>
   amount == null ? '-' : fCurrency(amount, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
 
+// Table row from an order (API response keys: branchName, orderTypeName, paymentMode, staffName, tableName, etc.)
+const toOrderRow = (order) => ({
+  id: order.id,
+  branchId: order.branchId,
+  branchName: order.branchName ?? '-',
+  orderTypeId: order.orderTypeId,
+  orderTypeName: order.orderTypeName ?? '-',
+  paymentModeName: order.paymentMode?.name ?? order.paymentModeName ?? '-',
+  status: order.status,
+  statusLabel: getOrderStatusLabel(order.status),
+  totalAmount: order.totalAmount,
+  totalAmountFormatted: formatCurrency(order.totalAmount),
+  subTotal: order.subTotal,
+  taxAmount: order.taxAmount,
+  discountAmount: order.discountAmount,
+  staffId: order.staffId,
+  staffName: order.staffName ?? '-',
+  tableId: order.tableId,
+  tableName: order.tableName ?? '-',
+  customerId: order.customerId,
+  customerName: order.customerName ?? '-',
+  kitchenId: order.kitchenId,
+  kitchenName: order.kitchenName ?? '-',
+  notes: order.notes || '-',
+});
+
 // ----------------------------------------------------------------------
 
 /**
@@ -439,31 +466,8 @@ export function OrderListView() {
     setPageNumber(1); // Reset to first page when clearing search
   }, [searchForm]);
 
-  // Prepare table rows (use API response keys: branchName, orderTypeName, paymentMode, staffName, tableName, etc.)
-  const rows = useMemo(() => orders.map((order) => ({
-      id: order.id,
-      branchId: order.branchId,
-      branchName: order.branchName ?? '-',
-      orderTypeId: order.orderTypeId,
-      orderTypeName: order.orderTypeName ?? '-',
-      paymentModeName: order.paymentMode?.name ?? order.orderTypeName ?? '-',
-      status: order.status,
-      statusLabel: getOrderStatusLabel(order.status),
-      totalAmount: order.totalAmount,
-      totalAmountFormatted: formatCurrency(order.totalAmount),
-      subTotal: order.subTotal,
-      taxAmount: order.taxAmount,
-      discountAmount: order.discountAmount,
-      staffId: order.staffId,
-      staffName: order.staffName ?? '-',
-      tableId: order.tableId,
-      tableName: order.tableName ?? '-',
-      customerId: order.customerId,
-      customerName: order.customerName ?? '-',
-      kitchenId: order.kitchenId,
-      kitchenName: order.kitchenName ?? '-',
-      notes: order.notes || '-',
-    })), [orders]);
+  // Prepare table rows
+  const rows = useMemo(() => orders.map(toOrderRow), [orders]);
 
   // Define columns
   const columns = useMemo(
@@ -472,6 +476,7 @@ export function OrderListView() {
         field: 'id',
         headerName: 'Order ID',
         flex: 1,
+        exportValue: (row) => row.id,
         renderCell: (params) => (
           <Typography variant="body2" sx={{ fontFamily: 'monospace', fontSize: '0.875rem' }}>
             {params.value?.substring(0, 8) + '...' || '-'}
@@ -557,6 +562,15 @@ export function OrderListView() {
     [handleView, handleUpdate, handleDeleteClick]
   );
 
+  const { tableProps: exportTableProps, ...exportMenuProps } = useListExport({
+    endpoint: ordersApi.endpoints.getOrders,
+    queryParams,
+    rows,
+    toRow: toOrderRow,
+    columns,
+    filename: 'Orders',
+  });
+
   // Check if branchId is selected (for disabling staffId and customerId filters)
   const isBranchSelected = useMemo(() => branchId !== null && branchId !== undefined, [branchId]);
 
@@ -699,12 +713,13 @@ export function OrderListView() {
               sx={{ minWidth: { sm: 200 } }}
             />
           </FormProvider>
+          <ExportMenuButton {...exportMenuProps} sx={{ ml: 'auto', flexShrink: 0 }} />
           <Button
             component={Link}
             href={paths.tenant.orders.root}
             variant="contained"
             startIcon={<Iconify icon="solar:cart-large-2-bold" />}
-            sx={{ ml: 'auto', flexShrink: 0 }}
+            sx={{ flexShrink: 0 }}
           >
             POS
           </Button>
@@ -712,6 +727,7 @@ export function OrderListView() {
 
       {/* Data Grid - P0-005: show error in table area so filters/Create remain; P0-001: sorting disabled with server pagination; P1-005: no initialState */}
       <CustomTable
+        {...exportTableProps}
         rows={rows}
         columns={columns}
         actions={actions}
@@ -0,0 +1,221 @@
+'use client';
+
+import { useWatch, useFormContext } from 'react-hook-form';
+import { useMemo, useState, useEffect, useCallback } from 'react';
+
+import Box from '@mui/material/Box';
+import Chip from '@mui/material/Chip';
+import Stack from '@mui/material/Stack';
+import TextField from '@mui/material/TextField';
+import Typography from '@mui/material/Typography';
+import Autocomplete from '@mui/material/Autocomplete';
+import ToggleButton from '@mui/material/ToggleButton';
+import ToggleButtonGroup from '@mui/material/ToggleButtonGroup';
+
+import { fCurrency } from 'src/utils/format-number';
+
+import { Field } from 'src/components/hook-form';
+import { CustomDialog } from 'src/components/custom-dialog';
+import { getLineTotals } from 'src/components/invoice-print';
+
+// ----------------------------------------------------------------------
+
+const CURRENCY_OPTS = { minimumFractionDigits: 2, maximumFractionDigits: 2 };
+
+const DISCOUNT_MODE = {
+  percentage: 'percentage',
+  amount: 'amount',
+};
+
+/**
+ * Edit one cart line: add-ons (Add On items), free-text modifiers, line discount (% or amount) and notes.
+ * Writes straight into the form row (items.{index}) so the cart and totals recalculate live.
+ */
+export function PosCartLineDialog({ open, onClose, name = 'items', index, itemName, addOnOptions = [] }) {
+  const { control, getValues, setValue } = useFormContext();
+  const rowName = `${name}.${index}`;
+  const row = useWatch({ control, name: rowName });
+  const [discountMode, setDiscountMode] = useState(DISCOUNT_MODE.percentage);
+
+  useEffect(() => {
+    if (open && index != null) {
+      const amount = Number(getValues(`${rowName}.discountAmount`)) || 0;
+      setDiscountMode(amount > 0 ? DISCOUNT_MODE.amount : DISCOUNT_MODE.percentage);
+    }
+  }, [open, index, rowName, getValues]);
+
+  const { rate, gross, discount, total } = useMemo(() => getLineTotals(row), [row]);
+
+  const selectedAddOns = useMemo(
+    () =>
+      (row?.addOns ?? []).map(
+        (addOn) =>
+          addOnOptions.find((opt) => opt.id === addOn.itemId) ?? {
+            id: addOn.itemId,
+            name: addOn.name || 'Add-on',
+            price: addOn.unitPrice,
+          }
+      ),
+    [row?.addOns, addOnOptions]
+  );
+
+  const handleAddOnsChange = useCallback(
+    (event, options) => {
+      const current = getValues(`${rowName}.addOns`) ?? [];
+      setValue(
+        `${rowName}.addOns`,
+        options.map(
+          (opt) =>
+            current.find((addOn) => addOn.itemId === opt.id) ?? {
+              itemId: opt.id,
+              name: opt.name,
+              quantity: 1,
+              unitPrice: opt.price ?? 0,
+            }
+        ),
+        { shouldValidate: true, shouldDirty: true }
+      );
+    },
+    [getValues, rowName, setValue]
+  );
+
+  const handleModifiersChange = useCallback(
+    (event, values) => {
+      const modifiers = values.map((value) => String(value).trim()).filter(Boolean);
+      setValue(`${rowName}.modifiers`, [...new Set(modifiers)], { shouldValidate: true, shouldDirty: true });
+    },
+    [rowName, setValue]
+  );
+
+  const handleDiscountModeChange = useCallback(
+    (event, mode) => {
+      if (!mode) return;
+      setDiscountMode(mode);
+      // Only one kind of line discount at a time
+      setValue(`${rowName}.discountPercentage`, null, { shouldValidate: true, shouldDirty: true });
+      setValue(`${rowName}.discountAmount`, null, { shouldValidate: true, shouldDirty: true });
+    },
+    [rowName, setValue]
+  );
+
+  if (index == null || !row) return null;
+
+  return (
+    <CustomDialog
+      open={open}
+      onClose={onClose}
+      title={itemName || 'Edit item'}
+      maxWidth="xs"
+      actions={
+        <Field.Button variant="contained" onClick={onClose}>
+          Done
+        </Field.Button>
+      }
+    >
+      <Stack spacing={2.5} sx={{ pt: 1 }}>
+        <Autocomplete
+          multiple
+          options={addOnOptions}
+          value={selectedAddOns}
+          onChange={handleAddOnsChange}
+          getOptionLabel={(opt) => opt?.name ?? ''}
+          isOptionEqualToValue={(a, b) => a.id === b.id}
+          noOptionsText="No add-on items"
+          renderOption={({ key, ...props }, opt) => (
+            <li key={key} {...props}>
+              <Box sx={{ flex: 1 }}>{opt.name}</Box>
+              <Typography variant="caption" color="text.secondary">
+                +{fCurrency(opt.price ?? 0, CURRENCY_OPTS)}
+              </Typography>
+            </li>
+          )}
+          renderInput={(params) => <TextField {...params} label="Add-ons" size="small" />}
+        />
+
+        <Autocomplete
+          multiple
+          freeSolo
+          options={[]}
+          value={row.modifiers ?? []}
+          onChange={handleModifiersChange}
+          renderValue={(values, getItemProps) =>
+            values.map((value, valueIndex) => (
+              <Chip {...getItemProps({ index: valueIndex })} key={value} label={value} size="small" variant="soft" />
+            ))
+          }
+          renderInput={(params) => (
+            <TextField
+              {...params}
+              label="Modifiers"
+              size="small"
+              placeholder="e.g. No onions, then Enter"
+            />
+          )}
+        />
+
+        <Stack direction="row" spacing={1} alignItems="flex-start">
+          <ToggleButtonGroup
+            exclusive
+            size="small"
+            value={discountMode}
+            onChange={handleDiscountModeChange}
+            sx={{ flexShrink: 0 }}
+          >
+            <ToggleButton value={DISCOUNT_MODE.percentage} aria-label="Discount percentage">
+              %
+            </ToggleButton>
+            <ToggleButton value={DISCOUNT_MODE.amount} aria-label="Discount amount">
+              Amt
+            </ToggleButton>
+          </ToggleButtonGroup>
+          {discountMode === DISCOUNT_MODE.percentage ? (
+            <Field.Text
+              key="discountPercentage"
+              name={`${rowName}.discountPercentage`}
+              label="Line discount %"
+              type="number"
+              size="small"
+              slotProps={{ input: { inputProps: { min: 0, max: 100, step: 0.5 } } }}
+            />
+          ) : (
+            <Field.Text
+              key="discountAmount"
+              name={`${rowName}.discountAmount`}
+              label="Line discount"
+              type="number"
+              size="small"
+              slotProps={{ input: { inputProps: { min: 0, step: 0.01 } } }}
+            />
+          )}
+        </Stack>
+
+        <Field.Text name={`${rowName}.notes`} label="Notes" size="small" multiline minRows={2} />
+
+        <Box sx={{ borderTop: 1, borderColor: 'divider', pt: 1.5 }}>
+          <Stack spacing={0.5}>
+            <Stack direction="row" justifyContent="space-between">
+              <Typography variant="body2" color="text.secondary">
+                {row.quantity} × {fCurrency(rate, CURRENCY_OPTS)}
+              </Typography>
+              <Typography variant="body2">{fCurrency(gross, CURRENCY_OPTS)}</Typography>
+            </Stack>
+            {discount > 0 && (
+              <Stack direction="row" justifyContent="space-between">
+                <Typography variant="body2" color="text.secondary">
+                  Discount
+                </Typography>
+                <Typography variant="body2">-{fCurrency(discount, CURRENCY_OPTS)}</Typography>
+              </Stack>
+            )}
+            <Stack direction="row" justifyContent="space-between">
+              <Typography variant="subtitle2">Line total</Typography>
+              <Typography variant="subtitle2" color="primary">
+                {fCurrency(total, CURRENCY_OPTS)}
+              </Typography>
+            </Stack>
+          </Stack>
+        </Box>
+      </Stack>
+    </CustomDialog>
+  );
+}
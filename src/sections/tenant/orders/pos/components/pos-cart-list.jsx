@@ -6,13 +6,20 @@ import { useRef, useMemo, useState, useEffect, useCallback } from 'react';
 
 import Box from '@mui/material/Box';
 import Stack from '@mui/material/Stack';
+import Popover from '@mui/material/Popover';
 import Tooltip from '@mui/material/Tooltip';
+import ButtonBase from '@mui/material/ButtonBase';
 import Typography from '@mui/material/Typography';
 import IconButton from '@mui/material/IconButton';
 
 import { fCurrency } from 'src/utils/format-number';
 
 import { Iconify } from 'src/components/iconify';
+import { getLineTotals } from 'src/components/invoice-print';
+
+import { PosNumericKeypad } from './pos-numeric-keypad';
+import { PosCartLineDialog } from './pos-cart-line-dialog';
+import { eventToHotkey, findHotkeyAction, DEFAULT_POS_HOTKEYS } from '../../utils/pos-hotkeys';
 
 // ----------------------------------------------------------------------
 
@@ -50,10 +57,73 @@ function CartItemName({ name }) {
 
 // ----------------------------------------------------------------------
 
+/**
+ * Deal components, add-ons and modifiers of a line as one caption ("1 × Burger, + Cheese, No onions").
+ */
+function getLineExtrasLabel(row) {
+  return [
+    ...(row?.dealItems ?? []).map((component) => `${component.quantity} × ${component.name || 'Item'}`),
+    ...(row?.addOns ?? []).map((addOn) => `+ ${addOn.name || 'Add-on'}`),
+    ...(row?.modifiers ?? []),
+  ].join(', ');
+}
+
+// ----------------------------------------------------------------------
+
+/**
+ * Keypad popover to type a line quantity directly (whole units, at least 1).
+ */
+function QuantityKeypad({ anchorEl, quantity, onClose, onSubmit }) {
+  const [entry, setEntry] = useState('');
+
+  useEffect(() => {
+    if (anchorEl) setEntry('');
+  }, [anchorEl]);
+
+  const handleEnter = () => {
+    const next = Number(entry);
+    if (Number.isInteger(next) && next >= 1) onSubmit(next);
+    onClose();
+  };
+
+  return (
+    <Popover
+      open={!!anchorEl}
+      anchorEl={anchorEl}
+      onClose={onClose}
+      anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+      transformOrigin={{ vertical: 'top', horizontal: 'center' }}
+      slotProps={{ paper: { sx: { p: 1.5, width: 260 } } }}
+    >
+      <Typography variant="caption" color="text.secondary">
+        Quantity
+      </Typography>
+      <Typography variant="h4" sx={{ textAlign: 'right', mb: 1 }}>
+        {entry || quantity}
+      </Typography>
+      <PosNumericKeypad value={entry} onChange={setEntry} onEnter={handleEnter} allowDecimal={false} maxLength={4} />
+    </Popover>
+  );
+}
+
+// ----------------------------------------------------------------------
+
 /**
  * Lightweight cart list (no DataGrid). Inline qty +/- and remove. 44px targets.
+ * The edit button opens the line editor (add-ons, modifiers, line discount, notes).
+ * Tapping the quantity opens a keypad to type it directly.
+ * Lines are focusable ([data-cart-line]): ↑/↓ move between them and the cart line shortcuts in
+ * `hotkeys` (quantity +/-, remove, edit) apply to the focused line.
  */
-export function PosCartList({ name = 'items', itemOptions = [] }) {
+export function PosCartList({
+  name = 'items',
+  itemOptions = [],
+  addOnOptions = [],
+  hotkeys = DEFAULT_POS_HOTKEYS,
+}) {
+  const listRef = useRef(null);
+  const [editingIndex, setEditingIndex] = useState(null);
+  const [quantityKeypad, setQuantityKeypad] = useState(null); // { anchorEl, index }
   const { control, watch, setValue } = useFormContext();
   const { fields, append: _append, remove } = useFieldArray({ control, name });
   const watchedItems = watch(name);
@@ -81,6 +151,46 @@ export function PosCartList({ name = 'items', itemOptions = [] }) {
     [items, name, setValue]
   );
 
+  const focusLine = useCallback((index) => {
+    // After a remove the list re-renders first
+    requestAnimationFrame(() => {
+      const lines = listRef.current?.querySelectorAll('[data-cart-line]') ?? [];
+      lines[Math.min(index, lines.length - 1)]?.focus();
+    });
+  }, []);
+
+  const handleLineKeyDown = useCallback(
+    (event, index) => {
+      // Keys on the line's own buttons keep their default behaviour
+      if (event.target !== event.currentTarget) return;
+      if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+        event.preventDefault();
+        focusLine(Math.max(0, index + (event.key === 'ArrowDown' ? 1 : -1)));
+        return;
+      }
+      switch (findHotkeyAction(hotkeys, eventToHotkey(event))) {
+        case 'increaseQuantity':
+          handleQty(index, 1);
+          break;
+        case 'decreaseQuantity':
+          handleQty(index, -1);
+          break;
+        case 'removeLine':
+          setEditingIndex(null);
+          remove(index);
+          focusLine(index);
+          break;
+        case 'editLine':
+          setEditingIndex(index);
+          break;
+        default:
+          return;
+      }
+      event.preventDefault();
+    },
+    [hotkeys, handleQty, remove, focusLine]
+  );
+
   if (fields.length === 0) {
     return (
       <Box sx={{ py: 3, textAlign: 'center' }}>
@@ -92,16 +202,20 @@ export function PosCartList({ name = 'items', itemOptions = [] }) {
   }
 
   return (
-    <Stack spacing={1}>
+    <Stack ref={listRef} spacing={1}>
       {fields.map((field, index) => {
         const item = items[index];
         const quantity = Number(item?.quantity) || 1;
-        const unitPrice = Number(item?.unitPrice) || 0;
-        const lineTotal = quantity * unitPrice;
-        const itemName = getItemName(item?.itemId);
+        const { rate, discount, total: lineTotal } = getLineTotals(item);
+        const itemName = item?.dealName || getItemName(item?.itemId);
+        const extrasLabel = getLineExtrasLabel(item);
         return (
           <Box
             key={field.id}
+            data-cart-line
+            tabIndex={0}
+            onKeyDown={(event) => handleLineKeyDown(event, index)}
+            aria-label={`${itemName}, quantity ${quantity}`}
             sx={{
               display: 'flex',
               alignItems: 'center',
@@ -113,14 +227,22 @@ export function PosCartList({ name = 'items', itemOptions = [] }) {
               borderColor: 'divider',
               bgcolor: (theme) =>
                 varAlpha(theme.vars.palette.primary.mainChannel, 0.08),
+              '&:focus-visible': { outline: 2, outlineColor: 'primary.main', outlineOffset: -2 },
             }}
           >
             <Box sx={{ flex: 1, minWidth: 0 }}>
               <CartItemName name={itemName} />
               <Typography variant="caption" color="text.secondary">
-                {fCurrency(unitPrice, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}{' '}
+                {fCurrency(rate, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}{' '}
                 each
+                {discount > 0 &&
+                  ` · disc -${fCurrency(discount, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`}
               </Typography>
+              {extrasLabel && (
+                <Typography variant="caption" color="text.secondary" noWrap component="div">
+                  {extrasLabel}
+                </Typography>
+              )}
             </Box>
             <Stack direction="row" alignItems="center" spacing={0.5}>
               <IconButton
@@ -131,9 +253,13 @@ export function PosCartList({ name = 'items', itemOptions = [] }) {
               >
                 <Iconify icon="mingcute:minimize-line" />
               </IconButton>
-              <Typography variant="body2" sx={{ minWidth: 24, textAlign: 'center' }}>
+              <ButtonBase
+                onClick={(event) => setQuantityKeypad({ anchorEl: event.currentTarget, index })}
+                aria-label="Enter quantity"
+                sx={{ minWidth: 32, minHeight: MIN_TOUCH, borderRadius: 1, typography: 'body2' }}
+              >
                 {quantity}
-              </Typography>
+              </ButtonBase>
               <IconButton
                 size="small"
                 onClick={() => handleQty(index, 1)}
@@ -146,10 +272,21 @@ export function PosCartList({ name = 'items', itemOptions = [] }) {
             <Typography variant="subtitle2" sx={{ minWidth: 56, textAlign: 'right' }}>
               {fCurrency(lineTotal, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
             </Typography>
+            <IconButton
+              size="small"
+              onClick={() => setEditingIndex(index)}
+              sx={{ minWidth: MIN_TOUCH, minHeight: MIN_TOUCH }}
+              aria-label="Edit item"
+            >
+              <Iconify icon="solar:pen-bold" />
+            </IconButton>
             <IconButton
               size="small"
               color="error"
-              onClick={() => remove(index)}
+              onClick={() => {
+                setEditingIndex(null);
+                remove(index);
+              }}
               sx={{ minWidth: MIN_TOUCH, minHeight: MIN_TOUCH }}
               aria-label="Remove item"
             >
@@ -158,6 +295,28 @@ export function PosCartList({ name = 'items', itemOptions = [] }) {
           </Box>
         );
       })}
+
+      <QuantityKeypad
+        anchorEl={quantityKeypad?.anchorEl ?? null}
+        quantity={quantityKeypad ? Number(items[quantityKeypad.index]?.quantity) || 1 : 1}
+        onClose={() => setQuantityKeypad(null)}
+        onSubmit={(next) =>
+          setValue(`${name}.${quantityKeypad.index}.quantity`, next, { shouldValidate: true })
+        }
+      />
+
+      <PosCartLineDialog
+        open={editingIndex != null && editingIndex < fields.length}
+        onClose={() => setEditingIndex(null)}
+        name={name}
+        index={editingIndex}
+        itemName={
+          editingIndex != null
+            ? items[editingIndex]?.dealName || getItemName(items[editingIndex]?.itemId)
+            : ''
+        }
+        addOnOptions={addOnOptions}
+      />
     </Stack>
   );
 }
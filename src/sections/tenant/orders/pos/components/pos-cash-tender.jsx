@@ -0,0 +1,122 @@
+'use client';
+
+import { useWatch, useFormContext } from 'react-hook-form';
+import { useMemo, useState, useEffect, useCallback } from 'react';
+
+import Box from '@mui/material/Box';
+import Stack from '@mui/material/Stack';
+import Button from '@mui/material/Button';
+import Collapse from '@mui/material/Collapse';
+import Typography from '@mui/material/Typography';
+
+import { fCurrency } from 'src/utils/format-number';
+
+import { Field } from 'src/components/hook-form';
+
+import { PosNumericKeypad } from './pos-numeric-keypad';
+import { summarizeTenders } from '../../utils/split-payment';
+import { getQuickCashAmounts } from '../../utils/cash-denominations';
+
+// ----------------------------------------------------------------------
+
+const CURRENCY_OPTS = { minimumFractionDigits: 2, maximumFractionDigits: 2 };
+
+const toEntry = (value) => (value == null || value === '' ? '' : String(value));
+
+/**
+ * Cash tendered for a single payment: quick-cash buttons (exact amount and the next round notes of
+ * the configured currency), an on-screen keypad and the cash back due. Writes form field `name`
+ * (a number, or null when empty); hidden while a split payment is in use.
+ */
+export function PosCashTender({ name = 'tenderedAmount', grandTotal = 0 }) {
+  const { control, setValue } = useFormContext();
+  const tendered = useWatch({ control, name });
+  const [keypadOpen, setKeypadOpen] = useState(false);
+  const [entry, setEntry] = useState(() => toEntry(tendered));
+
+  // Follow outside changes (quick cash, cart reset, draft restore) without losing a typed "12."
+  useEffect(() => {
+    setEntry((prev) => (prev !== '' && Number(prev) === Number(tendered) ? prev : toEntry(tendered)));
+  }, [tendered]);
+
+  const quickAmounts = useMemo(() => getQuickCashAmounts(grandTotal), [grandTotal]);
+
+  const tenderedValue = Number(tendered) || 0;
+  const { remaining, change } = useMemo(
+    () => summarizeTenders(tenderedValue > 0 ? [{ amount: tenderedValue }] : [], grandTotal),
+    [tenderedValue, grandTotal]
+  );
+
+  const setTendered = useCallback(
+    (value) => {
+      setValue(name, value, { shouldValidate: true, shouldDirty: true });
+    },
+    [name, setValue]
+  );
+
+  const handleEntryChange = useCallback(
+    (next) => {
+      setEntry(next);
+      setTendered(next === '' ? null : Number(next));
+    },
+    [setTendered]
+  );
+
+  const renderQuickCash = (amount, label) => (
+    <Button
+      key={label}
+      size="small"
+      variant={tenderedValue === amount ? 'contained' : 'outlined'}
+      color="inherit"
+      onClick={() => setTendered(amount)}
+      sx={{ minHeight: 40, flex: '1 1 0', minWidth: 0, px: 0.5 }}
+    >
+      {label}
+    </Button>
+  );
+
+  if (grandTotal <= 0) return null;
+
+  return (
+    <Box>
+      <Stack direction="row" alignItems="center" justifyContent="space-between" sx={{ mb: 1 }}>
+        <Typography variant="subtitle2" color="text.secondary">
+          Cash tendered
+        </Typography>
+        <Stack direction="row" alignItems="center" spacing={1}>
+          <Typography variant="subtitle1">
+            {tenderedValue > 0 ? fCurrency(tenderedValue, CURRENCY_OPTS) : '—'}
+          </Typography>
+          <Field.Button size="small" variant="text" onClick={() => setKeypadOpen((prev) => !prev)}>
+            {keypadOpen ? 'Hide keypad' : 'Keypad'}
+          </Field.Button>
+        </Stack>
+      </Stack>
+
+      <Stack direction="row" spacing={0.75}>
+        {renderQuickCash(Math.round(grandTotal * 100) / 100, 'Exact')}
+        {quickAmounts.map((amount) => renderQuickCash(amount, fCurrency(amount)))}
+      </Stack>
+
+      <Collapse in={keypadOpen} unmountOnExit>
+        <PosNumericKeypad
+          value={entry}
+          onChange={handleEntryChange}
+          onEnter={() => setKeypadOpen(false)}
+          sx={{ mt: 1.5 }}
+        />
+      </Collapse>
+
+      {tenderedValue > 0 && (
+        <Stack direction="row" justifyContent="space-between" sx={{ mt: 1.5 }}>
+          <Typography variant="subtitle2" color={remaining > 0 ? 'error.main' : 'success.main'}>
+            {remaining > 0 ? 'Short by' : 'Cash back'}
+          </Typography>
+          <Typography variant="subtitle2" color={remaining > 0 ? 'error.main' : 'success.main'}>
+            {fCurrency(remaining > 0 ? remaining : change, CURRENCY_OPTS)}
+          </Typography>
+        </Stack>
+      )}
+    </Box>
+  );
+}
@@ -0,0 +1,249 @@
+'use client';
+
+import { useMemo, useState, useEffect, useCallback } from 'react';
+
+import Box from '@mui/material/Box';
+import Tab from '@mui/material/Tab';
+import Tabs from '@mui/material/Tabs';
+import Stack from '@mui/material/Stack';
+import Typography from '@mui/material/Typography';
+import ToggleButton from '@mui/material/ToggleButton';
+import CircularProgress from '@mui/material/CircularProgress';
+import ToggleButtonGroup from '@mui/material/ToggleButtonGroup';
+
+import { can } from 'src/utils/permissions';
+import { ACTION_PERMISSIONS } from 'src/utils/action-permissions';
+
+import { useGetAllTablePagesQuery } from 'src/store/api/tables-api';
+import { useGetOrdersByStatusesQuery } from 'src/store/api/orders-api';
+
+import { Label } from 'src/components/label';
+import { toast } from 'src/components/snackbar';
+import { Field } from 'src/components/hook-form';
+import { CustomDialog } from 'src/components/custom-dialog';
+import { EmptyContent } from 'src/components/empty-content';
+
+import { FloorPlanTable, FloorPlanCanvas } from 'src/sections/tenant/tables/components/floor-plan-canvas';
+import { TableOrderActionsDialog } from 'src/sections/tenant/tables/components/table-order-actions-dialog';
+import {
+  TABLE_OCCUPANCY,
+  getTableOccupancy,
+  buildFloorSections,
+  TABLE_LATE_MINUTES,
+  TABLE_WARNING_MINUTES,
+  FLOOR_POLL_INTERVAL_MS,
+  getActiveOrdersByTable,
+} from 'src/sections/tenant/tables/utils/floor-plan';
+
+import { ACTIVE_ORDER_STATUSES } from '../../utils/order-status';
+
+// ----------------------------------------------------------------------
+
+const LEGEND = [
+  { color: 'success', label: 'Free' },
+  { color: 'info', label: `Occupied < ${TABLE_WARNING_MINUTES} min` },
+  { color: 'warning', label: `Occupied ${TABLE_WARNING_MINUTES}-${TABLE_LATE_MINUTES} min` },
+  { color: 'error', label: `Occupied > ${TABLE_LATE_MINUTES} min` },
+  { color: 'default', label: 'Unavailable' },
+];
+
+// What tapping an occupied table does
+const TAP_MODE = {
+  open: 'open',
+  move: 'move',
+};
+
+const canMoveOrders = () =>
+  [ACTION_PERMISSIONS.Tables.transfer, ACTION_PERMISSIONS.Tables.merge, ACTION_PERMISSIONS.Tables.split].some(
+    (permission) => can(permission)
+  );
+
+const formatMinutes = (minutes) =>
+  minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+
+/**
+ * POS table picker: the floor plan of active tables coloured by live occupancy (refreshed while
+ * open). Tapping an occupied table opens its running order as a tab (or, in Move mode, offers
+ * transfer / merge / split); a free table starts a Dine In order on it.
+ *
+ * @param {Object} props
+ * @param {boolean} props.open
+ * @param {Function} props.onClose
+ * @param {Function} props.onSelectTable - (table) => void, for a free table
+ * @param {Function} props.onOpenOrder - (order) => void, for an occupied table
+ */
+export function PosFloorPlanDialog({ open, onClose, onSelectTable, onOpenOrder }) {
+  const [sectionName, setSectionName] = useState(null);
+  const [now, setNow] = useState(() => Date.now());
+  const [tapMode, setTapMode] = useState(TAP_MODE.open);
+  const [moveTable, setMoveTable] = useState(null);
+
+  const {
+    data: tables,
+    isLoading: tablesLoading,
+    error: tablesError,
+    refetch: refetchTables,
+  } = useGetAllTablePagesQuery(undefined, { skip: !open });
+  // Every active order, not a first page of all orders: a table with an open tab must not show as free
+  const { data: activeOrders, isLoading: ordersLoading } = useGetOrdersByStatusesQuery(
+    { statuses: ACTIVE_ORDER_STATUSES },
+    { skip: !open, pollingInterval: FLOOR_POLL_INTERVAL_MS }
+  );
+
+  // Open-time colours move on even when no order changes
+  useEffect(() => {
+    if (!open) return undefined;
+    setNow(Date.now());
+    const timer = setInterval(() => setNow(Date.now()), FLOOR_POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [open]);
+
+  const sections = useMemo(
+    () => buildFloorSections((tables ?? []).filter((table) => table.isActive !== false)),
+    [tables]
+  );
+
+  const ordersByTable = useMemo(() => getActiveOrdersByTable(activeOrders), [activeOrders]);
+
+  const activeSection = sections.find((section) => section.name === sectionName) ?? sections[0] ?? null;
+
+  const handleTableClick = useCallback(
+    (table, occupancy) => {
+      if (occupancy.status === TABLE_OCCUPANCY.occupied) {
+        if (tapMode === TAP_MODE.move) {
+          setMoveTable(table);
+          return;
+        }
+        onOpenOrder?.(occupancy.order);
+        return;
+      }
+      if (tapMode === TAP_MODE.move) {
+        toast.info('Pick an occupied table to move its order');
+        return;
+      }
+      if (occupancy.status === TABLE_OCCUPANCY.unavailable) {
+        toast.warning(`Table ${table.tableNumber} is not available`);
+        return;
+      }
+      onSelectTable?.(table);
+    },
+    [tapMode, onOpenOrder, onSelectTable]
+  );
+
+  const renderTable = ({ table, layout }) => {
+    const occupancy = getTableOccupancy(table, ordersByTable.get(table.id), now);
+    const caption =
+      occupancy.status === TABLE_OCCUPANCY.occupied
+        ? formatMinutes(occupancy.minutes)
+        : `${table.capacity ?? '-'} seats`;
+    return (
+      <FloorPlanTable
+        table={table}
+        layout={layout}
+        color={occupancy.color}
+        caption={caption}
+        role="button"
+        tabIndex={0}
+        aria-label={`Table ${table.tableNumber}, ${occupancy.status}`}
+        onClick={() => handleTableClick(table, occupancy)}
+        onKeyDown={(event) => {
+          if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            handleTableClick(table, occupancy);
+          }
+        }}
+        sx={{ cursor: 'pointer' }}
+      />
+    );
+  };
+
+  const renderBody = () => {
+    if (tablesLoading || ordersLoading) {
+      return (
+        <Box sx={{ py: 10, display: 'flex', justifyContent: 'center' }}>
+          <CircularProgress />
+        </Box>
+      );
+    }
+    if (tablesError) {
+      return (
+        <EmptyContent
+          title="Failed to load tables"
+          action={
+            <Field.Button variant="outlined" onClick={refetchTables} sx={{ mt: 2 }}>
+              Retry
+            </Field.Button>
+          }
+        />
+      );
+    }
+    if (!activeSection) {
+      return <EmptyContent title="No tables found" />;
+    }
+    return (
+      <>
+        {canMoveOrders() && (
+          <ToggleButtonGroup
+            exclusive
+            size="small"
+            value={tapMode}
+            onChange={(event, value) => value && setTapMode(value)}
+            sx={{ mb: 2 }}
+          >
+            <ToggleButton value={TAP_MODE.open}>Open order</ToggleButton>
+            <ToggleButton value={TAP_MODE.move}>Move / merge / split</ToggleButton>
+          </ToggleButtonGroup>
+        )}
+        {sections.length > 1 && (
+          <Tabs
+            value={activeSection.name}
+            onChange={(event, value) => setSectionName(value)}
+            variant="scrollable"
+            sx={{ mb: 2 }}
+          >
+            {sections.map((section) => (
+              <Tab key={section.name} value={section.name} label={`${section.name} (${section.tables.length})`} />
+            ))}
+          </Tabs>
+        )}
+        <FloorPlanCanvas
+          key={activeSection.name}
+          section={activeSection.name}
+          tables={activeSection.tables}
+          renderTable={renderTable}
+          fitWidth
+        />
+      </>
+    );
+  };
+
+  return (
+    <CustomDialog
+      open={open}
+      onClose={onClose}
+      title="Tables"
+      maxWidth="lg"
+      actions={
+        <Field.Button variant="outlined" onClick={onClose}>
+          Close
+        </Field.Button>
+      }
+    >
+      {renderBody()}
+      <Stack direction="row" flexWrap="wrap" useFlexGap spacing={1} sx={{ mt: 2 }}>
+        {LEGEND.map((entry) => (
+          <Label key={entry.color} color={entry.color} variant="soft">
+            {entry.label}
+          </Label>
+        ))}
+      </Stack>
+      <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
+        {tapMode === TAP_MODE.move
+          ? 'Tap an occupied table to transfer, merge or split its order.'
+          : 'Tap an occupied table to add items to its order, or a free table to start a Dine In order.'}
+      </Typography>
+
+      <TableOrderActionsDialog open={!!moveTable} table={moveTable} onClose={() => setMoveTable(null)} />
+    </CustomDialog>
+  );
+}
@@ -0,0 +1,182 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+
+import Box from '@mui/material/Box';
+import Stack from '@mui/material/Stack';
+import Button from '@mui/material/Button';
+import Typography from '@mui/material/Typography';
+
+import { toast } from 'src/components/snackbar';
+import { Field } from 'src/components/hook-form';
+import { CustomDialog } from 'src/components/custom-dialog';
+
+import {
+  formatHotkey,
+  eventToHotkey,
+  POS_HOTKEY_GROUP,
+  POS_FIXED_HOTKEYS,
+  POS_HOTKEY_ACTIONS,
+} from '../../utils/pos-hotkeys';
+
+// ----------------------------------------------------------------------
+
+// Keys with a built-in meaning (navigation, dialogs, product select) cannot be bound
+const RESERVED_HOTKEYS = ['Enter', ' ', 'Tab', 'Shift+Tab', 'Escape', 'Backspace', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'];
+
+function KeyCap({ children }) {
+  return (
+    <Box
+      component="kbd"
+      sx={{
+        px: 0.75,
+        py: 0.25,
+        minWidth: 28,
+        borderRadius: 0.75,
+        border: 1,
+        borderColor: 'divider',
+        bgcolor: 'background.neutral',
+        typography: 'caption',
+        fontFamily: 'monospace',
+        textAlign: 'center',
+        whiteSpace: 'nowrap',
+      }}
+    >
+      {children}
+    </Box>
+  );
+}
+
+/**
+ * Keyboard shortcut cheat sheet with per-action rebinding.
+ * Click a key, then press the new key (Esc cancels, Backspace unbinds). A key already bound to
+ * another action moves to the new one.
+ *
+ * @param {Object} props
+ * @param {Object} props.bindings - action id → binding
+ * @param {Function} props.onChange - (bindings) => void
+ * @param {Function} props.onReset - restore defaults
+ * @param {Object<string, string>} [props.targetLabels] - action id → what the slot points at now
+ *   (e.g. orderType1 → "Dine In")
+ */
+export function PosHotkeysDialog({ open, onClose, bindings, onChange, onReset, targetLabels = {} }) {
+  const [recordingId, setRecordingId] = useState(null);
+
+  useEffect(() => {
+    if (!open) setRecordingId(null);
+  }, [open]);
+
+  const handleRecordKeyDown = useCallback(
+    (event, actionId) => {
+      if (recordingId !== actionId) return;
+      event.preventDefault();
+      event.stopPropagation();
+      if (event.key === 'Escape') {
+        setRecordingId(null);
+        return;
+      }
+      if (event.key === 'Backspace') {
+        onChange({ ...bindings, [actionId]: null });
+        setRecordingId(null);
+        return;
+      }
+      const hotkey = eventToHotkey(event);
+      if (!hotkey) return;
+      if (RESERVED_HOTKEYS.includes(hotkey)) {
+        toast.error(`${formatHotkey(hotkey)} is reserved. Choose another key.`);
+        return;
+      }
+      const previous = POS_HOTKEY_ACTIONS.find(
+        (action) => action.id !== actionId && bindings[action.id] === hotkey
+      );
+      onChange({
+        ...bindings,
+        ...(previous && { [previous.id]: null }),
+        [actionId]: hotkey,
+      });
+      if (previous) toast.info(`${formatHotkey(hotkey)} moved from "${previous.label}"`);
+      setRecordingId(null);
+    },
+    [recordingId, bindings, onChange]
+  );
+
+  return (
+    <CustomDialog
+      open={open}
+      onClose={onClose}
+      title="Keyboard shortcuts"
+      maxWidth="md"
+      actions={
+        <>
+          <Field.Button variant="outlined" color="inherit" startIcon="solar:restart-bold" onClick={onReset}>
+            Reset to defaults
+          </Field.Button>
+          <Field.Button variant="contained" onClick={onClose}>
+            Done
+          </Field.Button>
+        </>
+      }
+    >
+      <Box
+        sx={{
+          pt: 1,
+          gap: 3,
+          display: 'grid',
+          gridTemplateColumns: { xs: '1fr', sm: 'repeat(2, 1fr)' },
+        }}
+      >
+        {Object.values(POS_HOTKEY_GROUP).map((group) => (
+          <Box key={group}>
+            <Typography variant="subtitle2" sx={{ mb: 1 }}>
+              {group}
+            </Typography>
+            <Stack spacing={0.75}>
+              {POS_HOTKEY_ACTIONS.filter((action) => action.group === group).map((action) => {
+                const isRecording = recordingId === action.id;
+                return (
+                  <Stack key={action.id} direction="row" alignItems="center" spacing={1}>
+                    <Typography variant="body2" sx={{ flex: 1, minWidth: 0 }} noWrap>
+                      {action.label}
+                      {targetLabels[action.id] && (
+                        <Typography component="span" variant="body2" color="text.secondary">
+                          {` · ${targetLabels[action.id]}`}
+                        </Typography>
+                      )}
+                    </Typography>
+                    <Button
+                      size="small"
+                      variant={isRecording ? 'contained' : 'outlined'}
+                      color={isRecording ? 'primary' : 'inherit'}
+                      onClick={() => setRecordingId(isRecording ? null : action.id)}
+                      onKeyDown={(event) => handleRecordKeyDown(event, action.id)}
+                      onBlur={() => isRecording && setRecordingId(null)}
+                      aria-label={`Change shortcut for ${action.label}`}
+                      sx={{ minWidth: 96, flexShrink: 0 }}
+                    >
+                      {isRecording ? 'Press a key…' : formatHotkey(bindings[action.id])}
+                    </Button>
+                  </Stack>
+                );
+              })}
+              {POS_FIXED_HOTKEYS.filter((fixed) => fixed.group === group).map((fixed) => (
+                <Stack key={fixed.label} direction="row" alignItems="center" spacing={1}>
+                  <Typography variant="body2" color="text.secondary" sx={{ flex: 1, minWidth: 0 }} noWrap>
+                    {fixed.label}
+                  </Typography>
+                  <Box sx={{ minWidth: 96, display: 'flex', justifyContent: 'center' }}>
+                    <KeyCap>{fixed.keys}</KeyCap>
+                  </Box>
+                </Stack>
+              ))}
+            </Stack>
+          </Box>
+        ))}
+      </Box>
+      <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 3 }}>
+        Click a shortcut and press the new key (Esc cancels, Backspace clears). Shortcuts are saved for
+        your user on this device. Plain keys are ignored while typing in a field; function keys work
+        everywhere.
+      </Typography>
+    </CustomDialog>
+  );
+}
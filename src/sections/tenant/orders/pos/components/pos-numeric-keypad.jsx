@@ -0,0 +1,101 @@
+'use client';
+
+import { useCallback } from 'react';
+
+import Box from '@mui/material/Box';
+import Button from '@mui/material/Button';
+
+// ----------------------------------------------------------------------
+
+const MIN_TOUCH = 48;
+
+const DIGIT_ROWS = [
+  ['7', '8', '9'],
+  ['4', '5', '6'],
+  ['1', '2', '3'],
+];
+
+const MAX_DECIMALS = 2;
+
+/**
+ * Next keypad entry after a key press. Entries are strings so "12." survives while typing.
+ */
+function applyKey(entry, key, { allowDecimal, maxLength }) {
+  if (key === 'clear') return '';
+  if (key === 'backspace') return entry.slice(0, -1);
+  if (key === '.') {
+    if (!allowDecimal || entry.includes('.')) return entry;
+    return entry === '' ? '0.' : `${entry}.`;
+  }
+  const [, decimals] = entry.split('.');
+  if (decimals != null && decimals.length + key.length > MAX_DECIMALS) return entry;
+  // No leading zeros: "0" then "5" is "5", "00" on an empty entry is "0"
+  const next = entry === '' || entry === '0' ? key.replace(/^0+/, '') || '0' : entry + key;
+  return next.length > maxLength ? entry : next;
+}
+
+/**
+ * On-screen numeric keypad for touch terminals (no soft keyboard).
+ *
+ * 7 8 9 ⌫
+ * 4 5 6 C
+ * 1 2 3 OK
+ * 00 0 .
+ *
+ * @param {Object} props
+ * @param {string} props.value - Current entry
+ * @param {Function} props.onChange - (nextEntry: string) => void
+ * @param {Function} [props.onEnter] - Shows the OK key
+ * @param {boolean} [props.allowDecimal=true] - Decimal point (2 places); quantities pass false
+ * @param {number} [props.maxLength=9]
+ */
+export function PosNumericKeypad({ value = '', onChange, onEnter, allowDecimal = true, maxLength = 9, sx }) {
+  const press = useCallback(
+    (key) => onChange?.(applyKey(value, key, { allowDecimal, maxLength })),
+    [value, onChange, allowDecimal, maxLength]
+  );
+
+  const renderKey = (key, label = key, ariaLabel = undefined) => (
+    <Button
+      key={key}
+      variant="outlined"
+      color="inherit"
+      onClick={() => press(key)}
+      aria-label={ariaLabel}
+      sx={{ minHeight: MIN_TOUCH, typography: 'h6' }}
+    >
+      {label}
+    </Button>
+  );
+
+  return (
+    <Box
+      sx={[
+        { display: 'grid', gap: 1, gridTemplateColumns: 'repeat(4, 1fr)' },
+        ...(Array.isArray(sx) ? sx : [sx]),
+      ]}
+    >
+      {DIGIT_ROWS.map((row, rowIndex) => [
+        ...row.map((key) => renderKey(key)),
+        rowIndex === 0 && renderKey('backspace', '⌫', 'Backspace'),
+        rowIndex === 1 && renderKey('clear', 'C', 'Clear'),
+        rowIndex === 2 &&
+          (onEnter ? (
+            <Button
+              key="enter"
+              variant="contained"
+              onClick={onEnter}
+              sx={{ minHeight: MIN_TOUCH, gridRow: 'span 2' }}
+            >
+              OK
+            </Button>
+          ) : (
+            <Box key="enter" sx={{ gridRow: 'span 2' }} />
+          )),
+      ])}
+      {renderKey('00')}
+      {renderKey('0')}
+      {allowDecimal ? renderKey('.') : <Box />}
+    </Box>
+  );
+}
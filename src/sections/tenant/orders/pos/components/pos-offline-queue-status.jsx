@@ -0,0 +1,171 @@
+'use client';
+
+import { usePopover } from 'minimal-shared/hooks';
+
+import Box from '@mui/material/Box';
+import Stack from '@mui/material/Stack';
+import Divider from '@mui/material/Divider';
+import Tooltip from '@mui/material/Tooltip';
+import Typography from '@mui/material/Typography';
+import ButtonBase from '@mui/material/ButtonBase';
+import IconButton from '@mui/material/IconButton';
+
+import { fDateTime } from 'src/utils/format-time';
+import { fCurrency } from 'src/utils/format-number';
+
+import { Label } from 'src/components/label';
+import { Iconify } from 'src/components/iconify';
+import { Field } from 'src/components/hook-form';
+import { CustomPopover } from 'src/components/custom-popover';
+
+import { QUEUED_ORDER_STATUS } from '../../utils/offline-order-queue';
+
+// ----------------------------------------------------------------------
+
+const MIN_TOUCH = 44;
+
+/**
+ * POS header indicator for the offline order queue.
+ * Shows connectivity plus pending/failed counts; opens a popover listing queued orders with
+ * Sync now, and Retry / Discard per failed order. Renders nothing when online with an empty queue.
+ */
+export function PosOfflineQueueStatus({
+  entries = [],
+  pendingCount = 0,
+  failedCount = 0,
+  isOnline = true,
+  isSyncing = false,
+  onSyncNow,
+  onRetry,
+  onDiscard,
+}) {
+  const popover = usePopover();
+
+  if (isOnline && entries.length === 0) return null;
+
+  return (
+    <>
+      <ButtonBase
+        onClick={popover.onOpen}
+        aria-label="Offline order queue"
+        sx={{ minHeight: MIN_TOUCH, px: 1, borderRadius: 1, gap: 1 }}
+      >
+        {!isOnline && (
+          <Label color="error" variant="soft" startIcon={<Iconify icon="solar:danger-triangle-bold" />}>
+            Offline
+          </Label>
+        )}
+        {pendingCount > 0 && (
+          <Label color="warning" variant="soft">
+            {pendingCount} pending
+          </Label>
+        )}
+        {failedCount > 0 && (
+          <Label color="error" variant="filled">
+            {failedCount} failed
+          </Label>
+        )}
+      </ButtonBase>
+
+      <CustomPopover
+        open={popover.open}
+        anchorEl={popover.anchorEl}
+        onClose={popover.onClose}
+        slotProps={{ paper: { sx: { width: 360, maxHeight: 480 } } }}
+      >
+        <Stack direction="row" alignItems="center" justifyContent="space-between" sx={{ p: 2 }}>
+          <Box>
+            <Typography variant="subtitle2">Offline orders</Typography>
+            <Typography variant="caption" color="text.secondary">
+              {isOnline ? 'Orders sync automatically.' : 'Orders will sync when back online.'}
+            </Typography>
+          </Box>
+          <Field.Button
+            size="small"
+            variant="outlined"
+            onClick={() => onSyncNow?.()}
+            loading={isSyncing}
+            disabled={isSyncing || !isOnline || pendingCount === 0}
+            startIcon="solar:restart-bold"
+            sx={{ minHeight: MIN_TOUCH }}
+          >
+            Sync now
+          </Field.Button>
+        </Stack>
+        <Divider />
+        <Box sx={{ overflow: 'auto', maxHeight: 380 }}>
+          {entries.length === 0 ? (
+            <Typography variant="body2" color="text.secondary" sx={{ p: 2, textAlign: 'center' }}>
+              No queued orders.
+            </Typography>
+          ) : (
+            entries.map((entry) => {
+              const isFailed = entry.status === QUEUED_ORDER_STATUS.failed;
+              return (
+                <Stack
+                  key={entry.idempotencyKey}
+                  direction="row"
+                  alignItems="center"
+                  spacing={1}
+                  sx={{ px: 2, py: 1, borderBottom: 1, borderColor: 'divider' }}
+                >
+                  <Box sx={{ flex: 1, minWidth: 0 }}>
+                    <Typography variant="body2" noWrap>
+                      {entry.summary?.itemCount ?? '-'} items ·{' '}
+                      {entry.summary?.grandTotal == null
+                        ? '-'
+                        : fCurrency(entry.summary.grandTotal, {
+                            minimumFractionDigits: 2,
+                            maximumFractionDigits: 2,
+                          })}
+                    </Typography>
+                    <Typography variant="caption" color="text.secondary" component="div" noWrap>
+                      {fDateTime(entry.createdAt)}
+                    </Typography>
+                    {isFailed && entry.lastError && (
+                      <Typography variant="caption" color="error" component="div">
+                        {entry.lastError}
+                      </Typography>
+                    )}
+                  </Box>
+                  <Label color={isFailed ? 'error' : 'warning'} variant="soft">
+                    {isFailed ? 'Failed' : 'Pending'}
+                  </Label>
+                  {isFailed && (
+                    <>
+                      <Tooltip title="Retry">
+                        <span>
+                          <IconButton
+                            size="small"
+                            onClick={() => onRetry?.(entry.idempotencyKey)}
+                            disabled={isSyncing || !isOnline}
+                            sx={{ minWidth: MIN_TOUCH, minHeight: MIN_TOUCH }}
+                            aria-label="Retry order"
+                          >
+                            <Iconify icon="solar:restart-bold" />
+                          </IconButton>
+                        </span>
+                      </Tooltip>
+                      <Tooltip title="Discard">
+                        <IconButton
+                          size="small"
+                          color="error"
+                          onClick={() => onDiscard?.(entry.idempotencyKey)}
+                          disabled={isSyncing}
+                          sx={{ minWidth: MIN_TOUCH, minHeight: MIN_TOUCH }}
+                          aria-label="Discard order"
+                        >
+                          <Iconify icon="solar:trash-bin-trash-bold" />
+                        </IconButton>
+                      </Tooltip>
+                    </>
+                  )}
+                </Stack>
+              );
+            })
+          )}
+        </Box>
+      </CustomPopover>
+    </>
+  );
+}
@@ -0,0 +1,122 @@
+'use client';
+
+import { useMemo } from 'react';
+
+import Box from '@mui/material/Box';
+import Stack from '@mui/material/Stack';
+import Typography from '@mui/material/Typography';
+import IconButton from '@mui/material/IconButton';
+
+import { fCurrency } from 'src/utils/format-number';
+import { fTime, fDateTime } from 'src/utils/format-time';
+
+import { Label } from 'src/components/label';
+import { Iconify } from 'src/components/iconify';
+import { Field } from 'src/components/hook-form';
+
+import { getOrderRounds } from '../../utils/order-rounds';
+import { getRemainingQuantity } from '../../utils/order-adjustments';
+
+// ----------------------------------------------------------------------
+
+const CURRENCY_OPTS = { minimumFractionDigits: 2, maximumFractionDigits: 2 };
+
+/**
+ * Open tab header for the POS cart: the order being added to and its earlier rounds, with the time
+ * each round was sent. The cart below holds the next round only; a sent line is only removed
+ * through onRemoveItem (a void that goes through manager approval).
+ *
+ * @param {Object} props
+ * @param {Object} props.order - Open order (with items)
+ * @param {Function} [props.onViewOrder]
+ * @param {Function} [props.onRemoveItem] - (orderItem) => void
+ * @param {Function} props.onClose - Leave the tab and go back to a new order
+ */
+export function PosOpenTab({ order, onViewOrder, onRemoveItem, onClose }) {
+  const rounds = useMemo(() => getOrderRounds(order), [order]);
+
+  return (
+    <Box
+      sx={{
+        p: 1.5,
+        borderRadius: 1.5,
+        border: 1,
+        borderColor: 'info.main',
+        bgcolor: 'background.neutral',
+      }}
+    >
+      <Stack direction="row" alignItems="flex-start" spacing={1}>
+        <Box sx={{ flex: 1, minWidth: 0 }}>
+          <Typography variant="subtitle2" noWrap>
+            Adding to order #{order.orderNumber ?? order.id}
+          </Typography>
+          <Typography variant="caption" color="text.secondary" component="div" noWrap>
+            {[order.tableName && `Table ${order.tableName}`, order.staffName, `opened ${fDateTime(order.createdAt)}`]
+              .filter(Boolean)
+              .join(' · ')}
+          </Typography>
+        </Box>
+        {onViewOrder && (
+          <Field.Button size="small" variant="text" onClick={onViewOrder}>
+            View
+          </Field.Button>
+        )}
+        <IconButton size="small" onClick={onClose} aria-label="Leave open order">
+          <Iconify icon="mingcute:close-line" />
+        </IconButton>
+      </Stack>
+
+      <Stack spacing={1} sx={{ mt: 1, maxHeight: 180, overflow: 'auto' }}>
+        {rounds.map((round) => (
+          <Box key={round.round}>
+            <Stack direction="row" alignItems="center" spacing={1} sx={{ mb: 0.5 }}>
+              <Label variant="soft" color="default">
+                Round {round.round}
+              </Label>
+              <Typography variant="caption" color="text.secondary">
+                {round.sentAt ? `Sent ${fTime(round.sentAt)}` : 'Sent'}
+              </Typography>
+            </Stack>
+            {round.items.map((item, index) => (
+              <Stack
+                key={item.id ?? index}
+                direction="row"
+                justifyContent="space-between"
+                spacing={1}
+                sx={{ pl: 1, color: 'text.secondary' }}
+              >
+                <Typography variant="body2" noWrap sx={{ flex: 1, minWidth: 0 }}>
+                  {item.quantity} × {item.itemName || item.dealName || '-'}
+                </Typography>
+                {item.subTotal != null && (
+                  <Typography variant="body2" sx={{ flexShrink: 0 }}>
+                    {fCurrency(item.subTotal, CURRENCY_OPTS)}
+                  </Typography>
+                )}
+                {onRemoveItem && getRemainingQuantity(item) > 0 && (
+                  <IconButton
+                    size="small"
+                    onClick={() => onRemoveItem(item)}
+                    aria-label={`Remove ${item.itemName || item.dealName || 'item'}`}
+                    sx={{ p: 0.25 }}
+                  >
+                    <Iconify icon="mingcute:delete-line" width={16} />
+                  </IconButton>
+                )}
+              </Stack>
+            ))}
+          </Box>
+        ))}
+      </Stack>
+
+      {order.totalAmount != null && (
+        <Stack direction="row" justifyContent="space-between" sx={{ mt: 1, pt: 1, borderTop: 1, borderColor: 'divider' }}>
+          <Typography variant="body2" color="text.secondary">
+            Sent so far
+          </Typography>
+          <Typography variant="subtitle2">{fCurrency(order.totalAmount, CURRENCY_OPTS)}</Typography>
+        </Stack>
+      )}
+    </Box>
+  );
+}
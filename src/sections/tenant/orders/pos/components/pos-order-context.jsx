@@ -9,6 +9,7 @@ import { Field } from 'src/components/hook-form';
 /**
  * Order context: order type, table, staff, payment mode.
  * Compact for POS right pane. All from Form context. Branch comes from route/context.
+ * The payment mode field is hidden while a split payment (several tenders) is in use.
  */
 export function PosOrderContext({
   orderTypeOptions = [],
@@ -17,6 +18,7 @@ export function PosOrderContext({
   staffOptions = [],
   paymentModeOptions = [],
   showTableField = true,
+  showPaymentModeField = true,
 }) {
   return (
     <Stack spacing={2}>
@@ -57,7 +59,7 @@ export function PosOrderContext({
           },
         }}
       />
-      {paymentModeOptions.length > 0 && (
+      {showPaymentModeField && paymentModeOptions.length > 0 && (
         <Field.Autocomplete
           name="paymentModeId"
           label="Payment mode"
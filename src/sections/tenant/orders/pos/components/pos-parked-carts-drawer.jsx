@@ -0,0 +1,189 @@
+'use client';
+
+import { useState, useCallback } from 'react';
+
+import Box from '@mui/material/Box';
+import Stack from '@mui/material/Stack';
+import Drawer from '@mui/material/Drawer';
+import Tooltip from '@mui/material/Tooltip';
+import TextField from '@mui/material/TextField';
+import Typography from '@mui/material/Typography';
+import IconButton from '@mui/material/IconButton';
+
+import { fDateTime } from 'src/utils/format-time';
+import { fCurrency } from 'src/utils/format-number';
+
+import { Iconify } from 'src/components/iconify';
+import { Field } from 'src/components/hook-form';
+import { ConfirmDialog } from 'src/components/custom-dialog/confirm-dialog';
+
+// ----------------------------------------------------------------------
+
+const DRAWER_WIDTH = 400;
+const MIN_TOUCH = 44;
+
+/**
+ * Parked carts drawer.
+ * Top: optional label + "Park current cart". Below: parked carts (newest first) with Recall and Discard.
+ * Discard asks for confirmation; recalling while the cart has items parks the current cart first.
+ */
+export function PosParkedCartsDrawer({
+  open,
+  onClose,
+  parked = [],
+  canPark = false,
+  onPark,
+  onRecall,
+  onDiscard,
+}) {
+  const [label, setLabel] = useState('');
+  const [discardTarget, setDiscardTarget] = useState(null);
+
+  const handlePark = useCallback(() => {
+    onPark?.(label);
+    setLabel('');
+  }, [label, onPark]);
+
+  const handleDiscardConfirm = useCallback(() => {
+    if (discardTarget) onDiscard?.(discardTarget.id);
+    setDiscardTarget(null);
+  }, [discardTarget, onDiscard]);
+
+  return (
+    <>
+      <Drawer
+        anchor="right"
+        open={open}
+        onClose={onClose}
+        sx={{
+          '& .MuiDrawer-paper': {
+            width: { xs: '100%', sm: DRAWER_WIDTH },
+            boxSizing: 'border-box',
+            display: 'flex',
+            flexDirection: 'column',
+          },
+        }}
+      >
+        <Box
+          sx={{
+            py: 2,
+            px: 2,
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'space-between',
+            borderBottom: 1,
+            borderColor: 'divider',
+          }}
+        >
+          <Typography variant="h6">Parked orders ({parked.length})</Typography>
+          <IconButton onClick={onClose} aria-label="Close drawer" edge="end">
+            <Iconify icon="eva:close-fill" />
+          </IconButton>
+        </Box>
+
+        <Stack direction="row" spacing={1} sx={{ p: 2, borderBottom: 1, borderColor: 'divider' }}>
+          <TextField
+            size="small"
+            fullWidth
+            value={label}
+            onChange={(e) => setLabel(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter' && canPark) {
+                e.preventDefault();
+                handlePark();
+              }
+            }}
+            placeholder="Label (e.g. customer name)"
+            disabled={!canPark}
+            slotProps={{ htmlInput: { maxLength: 60 } }}
+          />
+          <Field.Button
+            variant="contained"
+            onClick={handlePark}
+            disabled={!canPark}
+            startIcon="solar:cart-plus-bold"
+            sx={{ flexShrink: 0, minHeight: MIN_TOUCH }}
+          >
+            Park
+          </Field.Button>
+        </Stack>
+
+        <Box sx={{ flex: 1, overflow: 'auto' }}>
+          {parked.length === 0 ? (
+            <Typography variant="body2" color="text.secondary" sx={{ p: 3, textAlign: 'center' }}>
+              No parked orders.
+            </Typography>
+          ) : (
+            parked.map((entry) => {
+              const { summary } = entry;
+              const openTabLabel = entry.openTab && `Order #${entry.openTab.orderNumber ?? entry.openTab.id}`;
+              const context = [openTabLabel, summary?.orderTypeLabel, summary?.tableLabel]
+                .filter(Boolean)
+                .join(' · ');
+              return (
+                <Stack
+                  key={entry.id}
+                  direction="row"
+                  alignItems="center"
+                  spacing={1}
+                  sx={{ px: 2, py: 1.5, borderBottom: 1, borderColor: 'divider' }}
+                >
+                  <Box sx={{ flex: 1, minWidth: 0 }}>
+                    <Typography variant="subtitle2" noWrap>
+                      {entry.label || `${summary?.itemCount ?? 0} items`}
+                    </Typography>
+                    {summary?.itemNames?.length > 0 && (
+                      <Typography variant="body2" color="text.secondary" noWrap>
+                        {summary.itemNames.join(', ')}
+                      </Typography>
+                    )}
+                    <Typography variant="caption" color="text.secondary" component="div" noWrap>
+                      {[context, fDateTime(entry.parkedAt)].filter(Boolean).join(' · ')}
+                    </Typography>
+                  </Box>
+                  <Typography variant="subtitle2" sx={{ flexShrink: 0 }}>
+                    {fCurrency(summary?.subtotal ?? 0, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                  </Typography>
+                  <Tooltip title="Recall">
+                    <IconButton
+                      size="small"
+                      color="primary"
+                      onClick={() => onRecall?.(entry.id)}
+                      sx={{ minWidth: MIN_TOUCH, minHeight: MIN_TOUCH }}
+                      aria-label="Recall parked order"
+                    >
+                      <Iconify icon="solar:restart-bold" />
+                    </IconButton>
+                  </Tooltip>
+                  <Tooltip title="Discard">
+                    <IconButton
+                      size="small"
+                      color="error"
+                      onClick={() => setDiscardTarget(entry)}
+                      sx={{ minWidth: MIN_TOUCH, minHeight: MIN_TOUCH }}
+                      aria-label="Discard parked order"
+                    >
+                      <Iconify icon="solar:trash-bin-trash-bold" />
+                    </IconButton>
+                  </Tooltip>
+                </Stack>
+              );
+            })
+          )}
+        </Box>
+      </Drawer>
+
+      <ConfirmDialog
+        open={!!discardTarget}
+        onClose={() => setDiscardTarget(null)}
+        title="Discard parked order?"
+        content={`The parked cart${discardTarget?.label ? ` "${discardTarget.label}"` : ''} will be removed from this terminal. This action cannot be undone.`}
+        action={
+          <Field.Button variant="contained" color="error" onClick={handleDiscardConfirm}>
+            Discard
+          </Field.Button>
+        }
+      />
+    </>
+  );
+}
@@ -11,15 +11,32 @@ import Typography from '@mui/material/Typography';
 import { fCurrency } from 'src/utils/format-number';
 import { getResolvedImageSrc } from 'src/utils/resolve-image-url';
 
+import { Label } from 'src/components/label';
 import { Iconify } from 'src/components/iconify';
 
 // ----------------------------------------------------------------------
 
 const MIN_TOUCH_SIZE = 44;
 
+/**
+ * Arrow keys move focus between product cards; up/down jump a row (columns read from the layout).
+ */
+function handleGridKeyDown(event) {
+  if (!event.key.startsWith('Arrow')) return;
+  const cards = [...event.currentTarget.querySelectorAll('[data-pos-product]')];
+  const index = cards.indexOf(document.activeElement);
+  if (index < 0) return;
+  const columns = Math.max(1, cards.filter((card) => card.offsetTop === cards[0].offsetTop).length);
+  const step = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -columns, ArrowDown: columns }[event.key];
+  if (!step) return;
+  event.preventDefault();
+  cards[index + step]?.focus();
+}
+
 /**
  * Product grid for POS. Tap to add item (once per product); tap again to remove. Multiple different items allowed.
- * Cards show selected (in cart) vs unselected state. Min 44px touch target.
+ * Cards show selected (in cart) vs unselected state. Min 44px touch target. Deals (isDeal) carry a "Deal" badge.
+ * Keyboard: cards are focusable ([data-pos-product]), arrow keys move between them, Enter/Space toggles.
  */
 export function PosProductGrid({ items = [], loading, onSelectItem, searchTerm, selectedItemIds = [] }) {
   const [failedImageUrls, setFailedImageUrls] = useState(() => new Set());
@@ -62,6 +79,7 @@ export function PosProductGrid({ items = [], loading, onSelectItem, searchTerm,
 
   return (
     <Box
+      onKeyDown={handleGridKeyDown}
       sx={{
         display: 'grid',
         gridTemplateColumns: 'repeat(auto-fill, minmax(140px, 1fr))',
@@ -79,6 +97,7 @@ export function PosProductGrid({ items = [], loading, onSelectItem, searchTerm,
         return (
           <Card
             key={item.id}
+            data-pos-product
             variant="outlined"
             sx={{
               p: 1.5,
@@ -101,6 +120,7 @@ export function PosProductGrid({ items = [], loading, onSelectItem, searchTerm,
                   ? (theme) => varAlpha(theme.vars.palette.primary.mainChannel, 0.16)
                   : 'action.selected',
               },
+              '&:focus-visible': { outline: 2, outlineColor: 'primary.main', outlineOffset: 2 },
             }}
             onClick={() => onSelectItem && onSelectItem(item)}
             role="button"
@@ -114,6 +134,11 @@ export function PosProductGrid({ items = [], loading, onSelectItem, searchTerm,
             aria-label={isSelected ? `${name} in cart, tap to remove` : `Add ${name}, ${price}`}
             aria-pressed={isSelected}
           >
+            {item.isDeal && (
+              <Label color="warning" variant="filled" sx={{ position: 'absolute', top: 8, left: 8, zIndex: 1 }}>
+                Deal
+              </Label>
+            )}
             {isSelected && (
               <Box
                 sx={{
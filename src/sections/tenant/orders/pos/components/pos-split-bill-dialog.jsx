@@ -0,0 +1,215 @@
+'use client';
+
+import { useMemo, useState, useEffect, useCallback } from 'react';
+
+import Box from '@mui/material/Box';
+import Stack from '@mui/material/Stack';
+import Typography from '@mui/material/Typography';
+import IconButton from '@mui/material/IconButton';
+import ToggleButton from '@mui/material/ToggleButton';
+import ToggleButtonGroup from '@mui/material/ToggleButtonGroup';
+
+import { fCurrency } from 'src/utils/format-number';
+
+import { Iconify } from 'src/components/iconify';
+import { Field } from 'src/components/hook-form';
+import { CustomDialog } from 'src/components/custom-dialog';
+import { getLinesSubtotal } from 'src/components/invoice-print';
+
+import {
+  allocateAmount,
+  SPLIT_BILL_MODE,
+  expandCartUnits,
+  MIN_SPLIT_GUESTS,
+  MAX_SPLIT_GUESTS,
+  splitItemsByGuest,
+} from '../../utils/split-bill';
+
+// ----------------------------------------------------------------------
+
+const CURRENCY_OPTS = { minimumFractionDigits: 2, maximumFractionDigits: 2 };
+
+/**
+ * Split bill setup: evenly by N guests, or by assigning each unit in the cart to a guest.
+ * Confirming saves the order once and prints one invoice per guest.
+ */
+export function PosSplitBillDialog({
+  open,
+  onClose,
+  items = [],
+  itemOptions = [],
+  grandTotal = 0,
+  isSubmitting = false,
+  onConfirm,
+}) {
+  const [mode, setMode] = useState(SPLIT_BILL_MODE.even);
+  const [guestCount, setGuestCount] = useState(MIN_SPLIT_GUESTS);
+  const [assignments, setAssignments] = useState({});
+
+  useEffect(() => {
+    if (open) {
+      setMode(SPLIT_BILL_MODE.even);
+      setGuestCount(MIN_SPLIT_GUESTS);
+      setAssignments({});
+    }
+  }, [open]);
+
+  const getItemName = useCallback(
+    (itemId) => {
+      const id = typeof itemId === 'object' && itemId !== null ? itemId.id : itemId;
+      const opt = itemOptions.find((o) => o.id === id);
+      return opt?.name || opt?.label || 'Unknown';
+    },
+    [itemOptions]
+  );
+
+  const units = useMemo(() => expandCartUnits(items), [items]);
+
+  const evenShares = useMemo(
+    () => allocateAmount(grandTotal, Array(guestCount).fill(1)),
+    [grandTotal, guestCount]
+  );
+
+  const guestLines = useMemo(
+    () => splitItemsByGuest(items, assignments, guestCount),
+    [items, assignments, guestCount]
+  );
+
+  const guestSubtotals = useMemo(
+    () =>
+      guestLines.map(getLinesSubtotal),
+    [guestLines]
+  );
+
+  const billCount =
+    mode === SPLIT_BILL_MODE.even ? guestCount : guestLines.filter((lines) => lines.length > 0).length;
+
+  const handleAssign = useCallback((key, guest) => {
+    if (guest == null) return;
+    setAssignments((prev) => ({ ...prev, [key]: guest }));
+  }, []);
+
+  const handleConfirm = useCallback(() => {
+    onConfirm?.({ mode, guestCount, assignments });
+  }, [onConfirm, mode, guestCount, assignments]);
+
+  return (
+    <CustomDialog
+      open={open}
+      onClose={onClose}
+      title="Split bill"
+      maxWidth="sm"
+      loading={isSubmitting}
+      actions={
+        <>
+          <Field.Button variant="outlined" onClick={onClose} disabled={isSubmitting}>
+            Cancel
+          </Field.Button>
+          <Field.Button
+            variant="contained"
+            startIcon="solar:printer-minimalistic-bold"
+            onClick={handleConfirm}
+            loading={isSubmitting}
+            disabled={isSubmitting || billCount < MIN_SPLIT_GUESTS}
+          >
+            Save & print {billCount} bills
+          </Field.Button>
+        </>
+      }
+    >
+      <Stack spacing={2.5} sx={{ pt: 1 }}>
+        <ToggleButtonGroup
+          exclusive
+          fullWidth
+          size="small"
+          value={mode}
+          onChange={(event, value) => value && setMode(value)}
+        >
+          <ToggleButton value={SPLIT_BILL_MODE.even}>Evenly</ToggleButton>
+          <ToggleButton value={SPLIT_BILL_MODE.items}>By items</ToggleButton>
+        </ToggleButtonGroup>
+
+        <Stack direction="row" alignItems="center" justifyContent="space-between">
+          <Typography variant="subtitle2">Guests</Typography>
+          <Stack direction="row" alignItems="center" spacing={1}>
+            <IconButton
+              onClick={() => setGuestCount((prev) => Math.max(MIN_SPLIT_GUESTS, prev - 1))}
+              disabled={guestCount <= MIN_SPLIT_GUESTS}
+              aria-label="Fewer guests"
+            >
+              <Iconify icon="mingcute:minimize-line" />
+            </IconButton>
+            <Typography variant="h6" sx={{ minWidth: 32, textAlign: 'center' }}>
+              {guestCount}
+            </Typography>
+            <IconButton
+              onClick={() => setGuestCount((prev) => Math.min(MAX_SPLIT_GUESTS, prev + 1))}
+              disabled={guestCount >= MAX_SPLIT_GUESTS}
+              aria-label="More guests"
+            >
+              <Iconify icon="mingcute:add-line" />
+            </IconButton>
+          </Stack>
+        </Stack>
+
+        {mode === SPLIT_BILL_MODE.even ? (
+          <Stack spacing={0.5}>
+            {evenShares.map((share, index) => (
+              <Stack key={index} direction="row" justifyContent="space-between">
+                <Typography variant="body2" color="text.secondary">
+                  Guest {index + 1}
+                </Typography>
+                <Typography variant="body2">{fCurrency(share, CURRENCY_OPTS)}</Typography>
+              </Stack>
+            ))}
+          </Stack>
+        ) : (
+          <>
+            <Stack spacing={1} sx={{ maxHeight: 320, overflow: 'auto' }}>
+              {units.map((unit) => {
+                const row = items[unit.lineIndex];
+                const quantity = Number(row.quantity) || 0;
+                return (
+                  <Stack key={unit.key} direction="row" alignItems="center" spacing={1}>
+                    <Typography variant="body2" noWrap sx={{ flex: 1, minWidth: 0 }}>
+                      {getItemName(row.itemId)}
+                      {quantity > 1 ? ` (${unit.unit + 1}/${quantity})` : ''}
+                    </Typography>
+                    <ToggleButtonGroup
+                      exclusive
+                      size="small"
+                      value={Math.min(assignments[unit.key] ?? 0, guestCount - 1)}
+                      onChange={(event, value) => handleAssign(unit.key, value)}
+                      sx={{ flexShrink: 0, maxWidth: '60%', overflowX: 'auto' }}
+                    >
+                      {Array.from({ length: guestCount }, (_, guest) => (
+                        <ToggleButton key={guest} value={guest} sx={{ minWidth: 36 }}>
+                          {guest + 1}
+                        </ToggleButton>
+                      ))}
+                    </ToggleButtonGroup>
+                  </Stack>
+                );
+              })}
+            </Stack>
+            <Box sx={{ borderTop: 1, borderColor: 'divider', pt: 1.5 }}>
+              <Stack spacing={0.5}>
+                {guestSubtotals.map((subtotal, index) => (
+                  <Stack key={index} direction="row" justifyContent="space-between">
+                    <Typography variant="body2" color="text.secondary">
+                      Guest {index + 1} subtotal
+                    </Typography>
+                    <Typography variant="body2">{fCurrency(subtotal, CURRENCY_OPTS)}</Typography>
+                  </Stack>
+                ))}
+              </Stack>
+              <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
+                Tax and discount are applied to each guest&apos;s bill. Guests without items get no bill.
+              </Typography>
+            </Box>
+          </>
+        )}
+      </Stack>
+    </CustomDialog>
+  );
+}
@@ -0,0 +1,146 @@
+'use client';
+
+import { useMemo, useCallback } from 'react';
+import { useWatch, useFieldArray, useFormContext } from 'react-hook-form';
+
+import Box from '@mui/material/Box';
+import Stack from '@mui/material/Stack';
+import Typography from '@mui/material/Typography';
+import IconButton from '@mui/material/IconButton';
+
+import { fCurrency } from 'src/utils/format-number';
+
+import { Iconify } from 'src/components/iconify';
+import { Field } from 'src/components/hook-form';
+
+import { summarizeTenders } from '../../utils/split-payment';
+
+// ----------------------------------------------------------------------
+
+const CURRENCY_OPTS = { minimumFractionDigits: 2, maximumFractionDigits: 2 };
+
+/**
+ * Split payment: several tenders (payment mode + amount) with running remaining balance and change.
+ * Empty by default (the single "Payment mode" field applies); "Split payment" starts with the current
+ * mode covering the full amount so the cashier only adjusts it and adds the next tender.
+ */
+export function PosSplitPayment({ name = 'payments', paymentModeOptions = [], grandTotal = 0 }) {
+  const { control, getValues, setValue } = useFormContext();
+  const { fields, append, remove } = useFieldArray({ control, name });
+  const watchedPayments = useWatch({ control, name, defaultValue: [] });
+
+  const { paid, remaining, change } = useMemo(
+    () => summarizeTenders(watchedPayments, grandTotal),
+    [watchedPayments, grandTotal]
+  );
+
+  // The first tender takes over the single payment mode and any cash already tendered
+  const handleStart = useCallback(() => {
+    const tendered = Number(getValues('tenderedAmount')) || 0;
+    append({
+      paymentModeId: getValues('paymentModeId') ?? null,
+      amount: tendered > 0 ? tendered : grandTotal > 0 ? grandTotal : null,
+    });
+    setValue('tenderedAmount', null);
+  }, [append, getValues, setValue, grandTotal]);
+
+  const handleAddTender = useCallback(() => {
+    append({ paymentModeId: null, amount: remaining > 0 ? remaining : null });
+  }, [append, remaining]);
+
+  const handleRemove = useCallback(
+    (index) => {
+      // Back to a single payment mode: keep the first tender's mode
+      if (fields.length === 1) {
+        setValue('paymentModeId', getValues(`${name}.0.paymentModeId`) ?? null);
+      }
+      remove(index);
+    },
+    [fields.length, getValues, name, remove, setValue]
+  );
+
+  if (paymentModeOptions.length === 0) return null;
+
+  if (fields.length === 0) {
+    return (
+      <Field.Button
+        size="small"
+        variant="text"
+        startIcon="solar:wad-of-money-bold"
+        onClick={handleStart}
+        disabled={grandTotal <= 0}
+        sx={{ alignSelf: 'flex-start' }}
+      >
+        Split payment
+      </Field.Button>
+    );
+  }
+
+  return (
+    <Box>
+      <Stack direction="row" alignItems="center" justifyContent="space-between" sx={{ mb: 1 }}>
+        <Typography variant="subtitle2" color="text.secondary">
+          Payments ({fields.length})
+        </Typography>
+        <Field.Button size="small" variant="text" startIcon="solar:add-circle-bold" onClick={handleAddTender}>
+          Add tender
+        </Field.Button>
+      </Stack>
+
+      <Stack spacing={1}>
+        {fields.map((field, index) => (
+          <Stack key={field.id} direction="row" spacing={1} alignItems="flex-start">
+            <Field.Autocomplete
+              name={`${name}.${index}.paymentModeId`}
+              label="Mode"
+              options={paymentModeOptions}
+              getOptionLabel={(opt) => (opt?.label ?? opt?.name ?? opt?.id ?? '')}
+              isOptionEqualToValue={(a, b) => (a?.id ?? a) === (b?.id ?? b)}
+              slotProps={{ textField: { size: 'small' } }}
+              sx={{ flex: 1, minWidth: 0 }}
+            />
+            <Field.Text
+              name={`${name}.${index}.amount`}
+              label="Amount"
+              type="number"
+              size="small"
+              slotProps={{ input: { inputProps: { min: 0, step: 0.01 } } }}
+              sx={{ width: 120, flexShrink: 0 }}
+            />
+            <IconButton onClick={() => handleRemove(index)} aria-label="Remove tender" sx={{ mt: 0.25 }}>
+              <Iconify icon="solar:trash-bin-trash-bold" />
+            </IconButton>
+          </Stack>
+        ))}
+      </Stack>
+
+      <Stack spacing={0.5} sx={{ mt: 1.5 }}>
+        <Stack direction="row" justifyContent="space-between">
+          <Typography variant="body2" color="text.secondary">
+            Tendered
+          </Typography>
+          <Typography variant="body2">{fCurrency(paid, CURRENCY_OPTS)}</Typography>
+        </Stack>
+        {change > 0 ? (
+          <Stack direction="row" justifyContent="space-between">
+            <Typography variant="subtitle2" color="success.main">
+              Change due
+            </Typography>
+            <Typography variant="subtitle2" color="success.main">
+              {fCurrency(change, CURRENCY_OPTS)}
+            </Typography>
+          </Stack>
+        ) : (
+          <Stack direction="row" justifyContent="space-between">
+            <Typography variant="subtitle2" color={remaining > 0 ? 'error.main' : 'text.secondary'}>
+              Remaining
+            </Typography>
+            <Typography variant="subtitle2" color={remaining > 0 ? 'error.main' : 'text.secondary'}>
+              {fCurrency(remaining, CURRENCY_OPTS)}
+            </Typography>
+          </Stack>
+        )}
+      </Stack>
+    </Box>
+  );
+}
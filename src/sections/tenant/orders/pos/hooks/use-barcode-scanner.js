@@ -0,0 +1,68 @@
+'use client';
+
+import { useRef, useEffect } from 'react';
+
+import { isEditableTarget } from '../../utils/pos-hotkeys';
+
+// ----------------------------------------------------------------------
+
+// Keyboard-wedge scanners type a whole code within a few ms per key; people rarely go under ~80ms
+const MAX_KEY_INTERVAL_MS = 50;
+const MIN_CODE_LENGTH = 3;
+
+/**
+ * Keyboard-wedge barcode scanner detection for the POS.
+ *
+ * Buffers printable keystrokes that arrive within MAX_KEY_INTERVAL_MS of each other; an Enter that
+ * closes such a burst (of at least MIN_CODE_LENGTH characters) is a scan: its default action is
+ * prevented (no form submit) and onScan receives the code. Scans are ignored while the cashier types
+ * in an input, unless that input opts in with data-barcode-scan="true" (e.g. the product search).
+ *
+ * @param {{ onScan: (code: string, target: EventTarget) => void, enabled?: boolean }} options
+ */
+export function useBarcodeScanner({ onScan, enabled = true }) {
+  const onScanRef = useRef(onScan);
+
+  useEffect(() => {
+    onScanRef.current = onScan;
+  }, [onScan]);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    let buffer = '';
+    let lastKeyAt = 0;
+
+    const handleKeyDown = (event) => {
+      if (event.ctrlKey || event.altKey || event.metaKey) {
+        buffer = '';
+        return;
+      }
+      const isEnter = event.key === 'Enter';
+      // Shift and other non-printable keys neither extend nor break a burst
+      if (!isEnter && event.key.length !== 1) return;
+
+      const isFast = event.timeStamp - lastKeyAt <= MAX_KEY_INTERVAL_MS;
+      lastKeyAt = event.timeStamp;
+
+      if (!isEnter) {
+        buffer = isFast ? buffer + event.key : event.key;
+        return;
+      }
+
+      const code = buffer.trim();
+      buffer = '';
+      if (!isFast || code.length < MIN_CODE_LENGTH) return;
+      const { target } = event;
+      if (isEditableTarget(target) && target.dataset?.barcodeScan !== 'true') return;
+
+      event.preventDefault();
+      event.stopPropagation();
+      onScanRef.current?.(code, target);
+    };
+
+    // Capture phase: runs before the focused field or form sees the Enter
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  }, [enabled]);
+}
@@ -0,0 +1,173 @@
+'use client';
+
+import { useRef, useState, useEffect, useCallback } from 'react';
+
+import { isNetworkError, getApiErrorMessage } from 'src/utils/api-error-message';
+
+import { useCreateOrderMutation } from 'src/store/api/orders-api';
+
+import {
+  getQueuedOrders,
+  removeQueuedOrder,
+  updateQueuedOrder,
+  enqueueOfflineOrder,
+  QUEUED_ORDER_STATUS,
+} from '../../utils/offline-order-queue';
+
+// ----------------------------------------------------------------------
+
+const SYNC_INTERVAL_MS = 30000;
+
+/**
+ * Offline order queue for the POS.
+ *
+ * - queueOrder: persist a createOrder payload (with its idempotency key) to IndexedDB.
+ * - syncNow: replay pending orders oldest-first; stops at the first network failure so order
+ *   sequence is preserved. Non-network API errors (e.g. 400) mark the entry as failed so the
+ *   cashier can retry or discard it; they never block the rest of the queue.
+ * - Sync runs automatically on the browser "online" event and on a 30s interval while entries exist.
+ *
+ * @param {{ onSynced?: (count: number) => void }} [options]
+ */
+export function useOfflineOrderQueue({ onSynced } = {}) {
+  const [createOrder] = useCreateOrderMutation();
+
+  const [entries, setEntries] = useState([]);
+  const [isOnline, setIsOnline] = useState(true);
+  const [isSyncing, setIsSyncing] = useState(false);
+  const syncingRef = useRef(false);
+  const onSyncedRef = useRef(onSynced);
+
+  useEffect(() => {
+    onSyncedRef.current = onSynced;
+  }, [onSynced]);
+
+  const refresh = useCallback(async () => {
+    try {
+      setEntries(await getQueuedOrders());
+    } catch {
+      setEntries([]);
+    }
+  }, []);
+
+  const queueOrder = useCallback(
+    async (idempotencyKey, payload, summary = null) => {
+      await enqueueOfflineOrder({ idempotencyKey, payload, summary });
+      await refresh();
+    },
+    [refresh]
+  );
+
+  const syncNow = useCallback(
+    async ({ includeFailed = false } = {}) => {
+      if (syncingRef.current) return 0;
+      syncingRef.current = true;
+      setIsSyncing(true);
+      let syncedCount = 0;
+      try {
+        const queued = await getQueuedOrders();
+        const toReplay = queued.filter(
+          (entry) => includeFailed || entry.status === QUEUED_ORDER_STATUS.pending
+        );
+        for (const entry of toReplay) {
+          try {
+            await createOrder({ ...entry.payload, idempotencyKey: entry.idempotencyKey }).unwrap();
+            await removeQueuedOrder(entry.idempotencyKey);
+            syncedCount += 1;
+          } catch (err) {
+            if (isNetworkError(err)) {
+              await updateQueuedOrder(entry.idempotencyKey, {
+                status: QUEUED_ORDER_STATUS.pending,
+                attempts: (entry.attempts ?? 0) + 1,
+              });
+              break;
+            }
+            const { message } = getApiErrorMessage(err, { defaultMessage: 'Failed to sync order' });
+            await updateQueuedOrder(entry.idempotencyKey, {
+              status: QUEUED_ORDER_STATUS.failed,
+              attempts: (entry.attempts ?? 0) + 1,
+              lastError: message,
+            });
+          }
+        }
+      } catch {
+        // IndexedDB unavailable: nothing can be replayed from this device
+      } finally {
+        syncingRef.current = false;
+        setIsSyncing(false);
+        await refresh();
+      }
+      if (syncedCount > 0) {
+        onSyncedRef.current?.(syncedCount);
+      }
+      return syncedCount;
+    },
+    [createOrder, refresh]
+  );
+
+  const retryOrder = useCallback(
+    async (idempotencyKey) => {
+      await updateQueuedOrder(idempotencyKey, { status: QUEUED_ORDER_STATUS.pending, lastError: null });
+      return syncNow();
+    },
+    [syncNow]
+  );
+
+  const discardOrder = useCallback(
+    async (idempotencyKey) => {
+      await removeQueuedOrder(idempotencyKey);
+      await refresh();
+    },
+    [refresh]
+  );
+
+  // Initial load + connectivity listeners
+  useEffect(() => {
+    const online = typeof navigator === 'undefined' ? true : navigator.onLine;
+    setIsOnline(online);
+    if (online) {
+      syncNow();
+    } else {
+      refresh();
+    }
+
+    const handleOnline = () => {
+      setIsOnline(true);
+      syncNow();
+    };
+    const handleOffline = () => setIsOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [refresh, syncNow]);
+
+  const pendingCount = entries.filter((e) => e.status === QUEUED_ORDER_STATUS.pending).length;
+  const failedCount = entries.filter((e) => e.status === QUEUED_ORDER_STATUS.failed).length;
+
+  // Periodic replay while there is pending work (covers "online" events that never fire)
+  useEffect(() => {
+    if (pendingCount === 0) return undefined;
+    const timer = setInterval(() => {
+      if (typeof navigator === 'undefined' || navigator.onLine) {
+        syncNow();
+      }
+    }, SYNC_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [pendingCount, syncNow]);
+
+  return {
+    entries,
+    pendingCount,
+    failedCount,
+    isOnline,
+    isSyncing,
+    queueOrder,
+    syncNow,
+    retryOrder,
+    discardOrder,
+  };
+}
@@ -0,0 +1,140 @@
+'use client';
+
+import { useRef, useState, useEffect, useCallback } from 'react';
+
+import {
+  parkCart,
+  hasDraftContent,
+  saveCurrentDraft,
+  removeParkedCart,
+  getPosCartDrafts,
+  clearCurrentDraft,
+} from '../../utils/pos-cart-drafts';
+
+// ----------------------------------------------------------------------
+
+const AUTOSAVE_DELAY_MS = 500;
+
+/**
+ * Cart drafts for the POS form.
+ *
+ * - Restores the auto-saved current draft once on mount, then auto-saves every change (debounced).
+ * - parkCurrent: store the current cart as a parked order and start a fresh cart; null (cart kept)
+ *   when the cart is empty or MAX_PARKED_CARTS are already parked.
+ * - recallParked: load a parked cart; a non-empty current cart takes its place in the parked list
+ *   so nothing is lost.
+ * - saveDraft: save the current draft right away (e.g. after the open tab changed).
+ * - clearDraft: drop the auto-saved draft (call after the order is saved).
+ *
+ * The open tab (if any) is stored with the draft and with parked carts; onRestored receives it
+ * when the draft is restored and recallParked returns it on the recalled entry.
+ *
+ * @param {{ methods: Object, defaultValues: Object, getOpenTab?: () => Object|null, onRestored?: (openTab: Object|null) => void }} options
+ *   methods - react-hook-form methods of the POS form
+ *   getOpenTab - open order the cart is currently a new round for
+ */
+export function usePosCartDrafts({ methods, defaultValues, getOpenTab, onRestored }) {
+  const { watch, reset, getValues } = methods;
+
+  const [parked, setParked] = useState([]);
+  const timerRef = useRef(null);
+  const restoredRef = useRef(false);
+
+  const refresh = useCallback(() => {
+    setParked(getPosCartDrafts().parked);
+  }, []);
+
+  const cancelPendingSave = useCallback(() => {
+    if (timerRef.current) {
+      clearTimeout(timerRef.current);
+      timerRef.current = null;
+    }
+  }, []);
+
+  // Restore once, before auto-save starts listening
+  useEffect(() => {
+    if (restoredRef.current) return;
+    restoredRef.current = true;
+    const { current } = getPosCartDrafts();
+    if (current?.values && hasDraftContent(current.values)) {
+      reset({ ...defaultValues, ...current.values });
+      onRestored?.(current.openTab ?? null);
+    }
+    refresh();
+  }, [defaultValues, onRestored, refresh, reset]);
+
+  useEffect(() => {
+    const subscription = watch((values, { name }) => {
+      if (name === 'searchTerm') return;
+      cancelPendingSave();
+      timerRef.current = setTimeout(() => {
+        timerRef.current = null;
+        saveCurrentDraft(values, getOpenTab?.());
+      }, AUTOSAVE_DELAY_MS);
+    });
+    return () => {
+      subscription.unsubscribe();
+      cancelPendingSave();
+    };
+  }, [watch, cancelPendingSave, getOpenTab]);
+
+  const saveDraft = useCallback(() => {
+    cancelPendingSave();
+    saveCurrentDraft(getValues(), getOpenTab?.());
+  }, [cancelPendingSave, getOpenTab, getValues]);
+
+  const clearDraft = useCallback(() => {
+    cancelPendingSave();
+    clearCurrentDraft();
+  }, [cancelPendingSave]);
+
+  const parkCurrent = useCallback(
+    (label, summary = null) => {
+      const values = getValues();
+      if (!hasDraftContent(values)) return null;
+      const entry = parkCart({ values, label, summary, openTab: getOpenTab?.() });
+      if (!entry) return null;
+      clearDraft();
+      reset(defaultValues);
+      refresh();
+      return entry;
+    },
+    [clearDraft, defaultValues, getOpenTab, getValues, refresh, reset]
+  );
+
+  const recallParked = useCallback(
+    (id, currentSummary = null) => {
+      const entry = getPosCartDrafts().parked.find((p) => p.id === id);
+      if (!entry) return { recalled: null, parkedCurrent: null };
+      const values = getValues();
+      // Removed first so the current cart always fits in its place
+      removeParkedCart(id);
+      const parkedCurrent = hasDraftContent(values)
+        ? parkCart({ values, summary: currentSummary, openTab: getOpenTab?.() })
+        : null;
+      cancelPendingSave();
+      reset({ ...defaultValues, ...entry.values });
+      saveCurrentDraft(entry.values, entry.openTab ?? null);
+      refresh();
+      return { recalled: entry, parkedCurrent };
+    },
+    [cancelPendingSave, defaultValues, getOpenTab, getValues, refresh, reset]
+  );
+
+  const discardParked = useCallback(
+    (id) => {
+      removeParkedCart(id);
+      refresh();
+    },
+    [refresh]
+  );
+
+  return {
+    parked,
+    parkCurrent,
+    recallParked,
+    discardParked,
+    saveDraft,
+    clearDraft,
+  };
+}
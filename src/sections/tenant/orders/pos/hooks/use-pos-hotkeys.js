@@ -0,0 +1,98 @@
+'use client';
+
+import { useRef, useState, useEffect, useCallback } from 'react';
+
+import {
+  eventToHotkey,
+  getPosHotkeys,
+  savePosHotkeys,
+  isEditableTarget,
+  worksWhileTyping,
+  findHotkeyAction,
+  DEFAULT_POS_HOTKEYS,
+  CART_LINE_HOTKEY_ACTIONS,
+} from '../../utils/pos-hotkeys';
+
+// ----------------------------------------------------------------------
+
+// Longer than the barcode scanner's key interval: a plain-key shortcut that is followed this fast
+// by another key is part of a scan burst and is dropped
+const PLAIN_KEY_DELAY_MS = 60;
+
+/**
+ * The signed-in user's POS shortcut bindings, loaded from localStorage after mount.
+ * updateBindings / resetBindings persist immediately.
+ */
+export function usePosHotkeyBindings() {
+  const [bindings, setBindings] = useState(DEFAULT_POS_HOTKEYS);
+
+  useEffect(() => {
+    setBindings(getPosHotkeys());
+  }, []);
+
+  const updateBindings = useCallback((next) => {
+    setBindings(next);
+    savePosHotkeys(next);
+  }, []);
+
+  const resetBindings = useCallback(() => {
+    updateBindings({ ...DEFAULT_POS_HOTKEYS });
+  }, [updateBindings]);
+
+  return { bindings, updateBindings, resetBindings };
+}
+
+/**
+ * Global POS shortcuts.
+ *
+ * - Runs handlers[actionId] for the bound key; actions without a handler are ignored.
+ * - Cart line actions are left to the focused cart line; dialogs and drawers keep their own keys.
+ * - While typing in a field only function keys and Ctrl/Alt combinations fire.
+ * - Plain-key shortcuts wait PLAIN_KEY_DELAY_MS so a barcode scan burst never triggers them.
+ *
+ * @param {{ bindings: Object, handlers: Object<string, Function>, enabled?: boolean }} options
+ */
+export function usePosHotkeys({ bindings, handlers, enabled = true }) {
+  const handlersRef = useRef(handlers);
+
+  useEffect(() => {
+    handlersRef.current = handlers;
+  }, [handlers]);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    let pendingTimer = null;
+
+    const handleKeyDown = (event) => {
+      clearTimeout(pendingTimer);
+      if (event.repeat) return;
+
+      const hotkey = eventToHotkey(event);
+      const actionId = findHotkeyAction(bindings, hotkey);
+      if (!actionId || CART_LINE_HOTKEY_ACTIONS.includes(actionId)) return;
+      const handler = handlersRef.current?.[actionId];
+      if (!handler) return;
+
+      const { target } = event;
+      if (target?.closest?.('.MuiModal-root')) return;
+      const isPlainKey = !worksWhileTyping(hotkey);
+      if (isPlainKey && isEditableTarget(target)) return;
+
+      event.preventDefault();
+      if (isPlainKey) {
+        pendingTimer = setTimeout(() => handlersRef.current?.[actionId]?.(), PLAIN_KEY_DELAY_MS);
+      } else {
+        handler();
+      }
+    };
+
+    // Capture phase, next to the barcode scanner: every key (including a scan's Enter) cancels a
+    // pending plain-key shortcut
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => {
+      clearTimeout(pendingTimer);
+      window.removeEventListener('keydown', handleKeyDown, true);
+    };
+  }, [bindings, enabled]);
+}
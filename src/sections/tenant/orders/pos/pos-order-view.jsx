@@ -15,34 +15,72 @@ import InputAdornment from '@mui/material/InputAdornment';
 import { paths } from 'src/routes/paths';
 
 import { fCurrency } from 'src/utils/format-number';
-import { getApiErrorMessage } from 'src/utils/api-error-message';
 import { fDateTime, formatPatterns } from 'src/utils/format-time';
+import { ACTION_PERMISSIONS } from 'src/utils/action-permissions';
+import { isNetworkError, getApiErrorMessage } from 'src/utils/api-error-message';
 
 import { CONFIG } from 'src/global-config';
-import { createOrderSchema } from 'src/schemas';
 import { useGetItemsQuery } from 'src/store/api/items-api';
-import { useCreateOrderMutation } from 'src/store/api/orders-api';
+import { useGetDealsQuery } from 'src/store/api/deals-api';
 import { useGetStaffDropdownQuery } from 'src/store/api/staff-api';
+import { createOrderSchema, addOrderItemsSchema } from 'src/schemas';
 import { useGetTablesDropdownQuery } from 'src/store/api/tables-api';
+import { useGetKitchensDropdownQuery } from 'src/store/api/kitchens-api';
+import { useOpenCashDrawerMutation } from 'src/store/api/cash-drawer-api';
 import { useGetCategoriesDropdownQuery } from 'src/store/api/categories-api';
 import { useGetOrderTypesDropdownQuery } from 'src/store/api/order-types-api';
 import { useGetPaymentModesDropdownQuery } from 'src/store/api/payment-modes-api';
+import {
+  useCreateOrderMutation,
+  useAddOrderItemsMutation,
+  useLazyGetOrderByIdQuery,
+} from 'src/store/api/orders-api';
 
 import { toast } from 'src/components/snackbar';
 import { Iconify } from 'src/components/iconify';
 import { Form, Field } from 'src/components/hook-form';
 import { CustomDialog } from 'src/components/custom-dialog';
+import { useManagerApproval, ManagerApprovalDialog } from 'src/components/manager-approval';
 import {
+  toKotLines,
+  buildKotMeta,
+  getLineTotals,
+  KotPrintLayout,
   useInvoicePrint,
+  buildKotTickets,
+  getLinesSubtotal,
   InvoicePrintLayout,
   buildInvoicePayload,
 } from 'src/components/invoice-print';
 
+import { isDealAvailable, getDealComponents } from 'src/sections/tenant/deals/utils/deal-helpers';
+
+import { PosOpenTab } from './components/pos-open-tab';
 import { PosCartList } from './components/pos-cart-list';
+import { PosCashTender } from './components/pos-cash-tender';
 import { PosProductGrid } from './components/pos-product-grid';
+import { usePosCartDrafts } from './hooks/use-pos-cart-drafts';
+import { useBarcodeScanner } from './hooks/use-barcode-scanner';
+import { buildSplitInvoicePayloads } from '../utils/split-bill';
+import { PosSplitPayment } from './components/pos-split-payment';
 import { PosOrderContext } from './components/pos-order-context';
+import { PosHotkeysDialog } from './components/pos-hotkeys-dialog';
 import { PosCategoryStrip } from './components/pos-category-strip';
+import { generateIdempotencyKey } from '../utils/offline-order-queue';
+import { useOfflineOrderQueue } from './hooks/use-offline-order-queue';
 import { PosDeliveryDetails } from './components/pos-delivery-details';
+import { OrderDetailsDialog } from '../components/order-details-dialog';
+import { PosFloorPlanDialog } from './components/pos-floor-plan-dialog';
+import { PosSplitBillDialog } from './components/pos-split-bill-dialog';
+import { getSentKotLines, recordSentKotLines } from '../utils/kot-history';
+import { PosParkedCartsDrawer } from './components/pos-parked-carts-drawer';
+import { summarizeTenders, toPaymentRequests } from '../utils/split-payment';
+import { OrderAdjustmentDialog } from '../components/order-adjustment-dialog';
+import { usePosHotkeys, usePosHotkeyBindings } from './hooks/use-pos-hotkeys';
+import { PosOfflineQueueStatus } from './components/pos-offline-queue-status';
+import { ORDER_ADJUSTMENT, getRemainingQuantity } from '../utils/order-adjustments';
+import { toDraftValues, buildCartSummary, MAX_PARKED_CARTS } from '../utils/pos-cart-drafts';
+import { formatHotkey, MAX_CATEGORY_HOTKEYS, MAX_ORDER_TYPE_HOTKEYS } from '../utils/pos-hotkeys';
 
 // ----------------------------------------------------------------------
 
@@ -50,6 +88,8 @@ const defaultValues = {
   searchTerm: '',
   orderTypeId: null,
   paymentModeId: null,
+  payments: [],
+  tenderedAmount: null,
   staffId: null,
   tableId: null,
   kitchenId: null,
@@ -70,6 +110,9 @@ const defaultValues = {
   notes: null,
 };
 
+// Virtual category listing active deals in the product grid
+const DEALS_CATEGORY_ID = 'deals';
+
 const defaultDeliveryDetails = {
   contactName: null,
   phone: null,
@@ -80,6 +123,69 @@ const defaultDeliveryDetails = {
   instructions: null,
 };
 
+const resolveItemId = (id) => (typeof id === 'object' && id !== null ? id.id : id);
+
+const createItemLine = (product) => ({
+  itemId: product.id,
+  quantity: 1,
+  unitPrice: product.price ?? null,
+  notes: null,
+  addOns: [],
+  modifiers: [],
+  discountPercentage: null,
+  discountAmount: null,
+});
+
+// A deal is one cart line on the deal's item at the deal price, carrying its component items
+const createDealLine = (deal, itemOptions) => ({
+  itemId: deal.itemId,
+  quantity: 1,
+  unitPrice: deal.price ?? 0,
+  notes: null,
+  addOns: [],
+  modifiers: [],
+  discountPercentage: null,
+  discountAmount: null,
+  dealId: deal.id,
+  dealName: deal.name,
+  dealItems: getDealComponents(deal, itemOptions),
+});
+
+// Cart lines as order item requests (create order and open-tab rounds)
+const toOrderItemRequests = (items) =>
+  (items ?? []).map((item) => {
+    const lineTotals = getLineTotals(item);
+    const discountPct = item.discountPercentage != null ? Number(item.discountPercentage) : null;
+    return {
+      itemId: resolveItemId(item.itemId),
+      quantity: Number(item.quantity),
+      unitPrice: Number(item.unitPrice),
+      notes: item.notes === '' ? null : item.notes,
+      addOns: (item.addOns ?? []).map((addOn) => ({
+        itemId: addOn.itemId,
+        quantity: Number(addOn.quantity) || 1,
+        unitPrice: Number(addOn.unitPrice) || 0,
+      })),
+      modifiers: item.modifiers ?? [],
+      discountPercentage: discountPct != null && discountPct > 0 ? discountPct : null,
+      discountAmount: lineTotals.discount,
+      dealId: item.dealId ?? null,
+    };
+  });
+
+// Largest discount on the order or any line, as a percentage of what it applies to
+const getHighestDiscountPercent = (items, subtotal, orderDiscount) => {
+  const orderPercent = subtotal > 0 ? (orderDiscount / subtotal) * 100 : 0;
+  return (items ?? []).reduce((highest, item) => {
+    const { gross, discount } = getLineTotals(item);
+    return gross > 0 ? Math.max(highest, (discount / gross) * 100) : highest;
+  }, orderPercent);
+};
+
+// While a tab is open only the new round's items are validated (order type, payment etc. are the order's)
+const createOrderResolver = zodResolver(createOrderSchema);
+const addOrderItemsResolver = zodResolver(addOrderItemsSchema);
+
 // TESTING: Dummy invoice payload for print flow test. Remove when done. Printer: CONFIG.invoicePrinterName
 function getDummyInvoicePayload() {
   const dateTime = fDateTime(new Date(), formatPatterns.paramCase.dateTime);
@@ -128,11 +234,25 @@ function PosOrderContent({
   hasCartItems = false,
   isCreating = false,
   onSaveAndPrintClick,
+  onSaveAndKotClick,
   onPreviewInvoiceClick,
+  onSplitBillConfirm,
+  onHotkeySave,
+  hotkeys,
+  shortcutsOpen = false,
+  onShortcutsOpenChange,
+  searchInputRef,
+  openTab = null,
+  onViewOpenTab,
+  onRemoveOpenTabItem,
+  onLeaveTab,
   optionsRef,
 }) {
-  const { control, watch, setValue } = useFormContext();
+  const { control, watch, setValue, getValues } = useFormContext();
+  const productsRef = useRef(null);
+  const cartRef = useRef(null);
   const [categoryId, setCategoryId] = useState(null);
+  const [splitBillOpen, setSplitBillOpen] = useState(false);
   const [debouncedSearch, setDebouncedSearch] = useState('');
 
   const orderTypeId = watch('orderTypeId');
@@ -142,6 +262,8 @@ function PosOrderContent({
     () => (watchedItems && Array.isArray(watchedItems) ? watchedItems : []),
     [watchedItems]
   );
+  const watchedPayments = useWatch({ control, name: 'payments', defaultValue: [] });
+  const hasSplitPayment = (watchedPayments?.length ?? 0) > 0;
   const taxAmount = watch('taxAmount') ?? 0;
   const taxPercentage = watch('taxPercentage');
   const discountAmount = watch('discountAmount') ?? 0;
@@ -168,35 +290,90 @@ function PosOrderContent({
   }, [searchTerm]);
 
   const { data: categoriesDropdown, isLoading: categoriesLoading } = useGetCategoriesDropdownQuery(undefined);
+  const isDealsCategory = categoryId === DEALS_CATEGORY_ID;
+
+  const { data: dealsResponse, isLoading: dealsLoading, isFetching: dealsFetching } = useGetDealsQuery({
+    pageSize: 200,
+    includeItems: true,
+  });
+  const availableDeals = useMemo(
+    () => (dealsResponse?.data ?? []).filter((deal) => isDealAvailable(deal)),
+    [dealsResponse]
+  );
+
   const categories = useMemo(() => {
-    if (!categoriesDropdown || !Array.isArray(categoriesDropdown)) return [];
-    return categoriesDropdown.map((item) => ({
-      id: item.id ?? item.key,
-      name: item.name ?? item.value ?? item.key,
-    }));
-  }, [categoriesDropdown]);
+    const dealsCategory = availableDeals.length > 0 ? [{ id: DEALS_CATEGORY_ID, name: 'Deals' }] : [];
+    if (!categoriesDropdown || !Array.isArray(categoriesDropdown)) return dealsCategory;
+    return [
+      ...dealsCategory,
+      ...categoriesDropdown.map((item) => ({
+        id: item.id ?? item.key,
+        name: item.name ?? item.value ?? item.key,
+      })),
+    ];
+  }, [categoriesDropdown, availableDeals]);
 
+  // On the Deals tab all items are loaded: cart names and deal component kitchens resolve from them
   const itemsQueryParams = useMemo(
     () => ({
-      categoryId: categoryId || undefined,
+      categoryId: (!isDealsCategory && categoryId) || undefined,
       pageSize: 500,
-      searchTerm: debouncedSearch.trim() || undefined,
+      searchTerm: (!isDealsCategory && debouncedSearch.trim()) || undefined,
     }),
-    [categoryId, debouncedSearch]
+    [categoryId, isDealsCategory, debouncedSearch]
   );
   const { data: itemsResponse, isLoading: itemsLoading, isFetching: itemsFetching } = useGetItemsQuery(itemsQueryParams);
   const products = useMemo(() => itemsResponse?.data ?? [], [itemsResponse]);
+
+  // Deal items (itemType 4) are sold through the Deals tab only, so they carry their components
+  const gridProducts = useMemo(() => {
+    if (!isDealsCategory) return products.filter((item) => item.itemType !== 4);
+    const search = debouncedSearch.trim().toLowerCase();
+    return availableDeals
+      .filter((deal) => !search || (deal.name ?? '').toLowerCase().includes(search))
+      .map((deal) => ({
+        id: deal.id,
+        name: deal.name,
+        price: deal.price ?? 0,
+        imageUrl: deal.imageUrl,
+        isDeal: true,
+      }));
+  }, [isDealsCategory, products, availableDeals, debouncedSearch]);
+  // Full catalogue: barcode lookup, and cart names/kitchens for items outside the current category
+  const { data: catalogResponse } = useGetItemsQuery({ pageSize: 500 });
+  const catalogItems = useMemo(() => catalogResponse?.data ?? [], [catalogResponse]);
+
+  const barcodeIndex = useMemo(() => {
+    const index = new Map();
+    catalogItems.forEach((item) => {
+      const code = item.barcode?.trim().toLowerCase();
+      if (code && !index.has(code)) index.set(code, item);
+    });
+    return index;
+  }, [catalogItems]);
+
   const itemOptions = useMemo(
     () =>
-      products.map((item) => ({
+      [...new Map([...catalogItems, ...products].map((item) => [item.id, item])).values()].map((item) => ({
         id: item.id,
         name: item.name || item.id,
         price: item.price ?? 0,
         isActive: item.isActive ?? true,
         isAvailable: item.isAvailable ?? true,
         imageUrl: item.imageUrl,
+        kitchenId: item.kitchenId ?? null,
       })),
-    [products]
+    [catalogItems, products]
+  );
+
+  // Add On items (itemType 3) for the cart line editor; filtered again in case the API ignores itemType
+  const { data: addOnItemsResponse } = useGetItemsQuery({ itemType: 3, pageSize: 500 });
+  const addOnOptions = useMemo(
+    () =>
+      (addOnItemsResponse?.data ?? [])
+        .filter((item) => item.itemType === 3 && (item.isActive ?? true) && (item.isAvailable ?? true))
+        .map((item) => ({ id: item.id, name: item.name || item.id, price: item.price ?? 0 })),
+    [addOnItemsResponse]
   );
 
   const { data: tablesDropdown } = useGetTablesDropdownQuery();
@@ -223,14 +400,8 @@ function PosOrderContent({
     }
   }, [optionsRef, orderTypeOptions, staffOptions, tableOptions, paymentModeOptions, itemOptions]);
 
-  const subtotal = useMemo(() => {
-    if (!items.length) return 0;
-    return items.reduce((sum, row) => {
-      const q = Number(row.quantity) || 0;
-      const p = Number(row.unitPrice) || 0;
-      return sum + q * p;
-    }, 0);
-  }, [items]);
+  // Line totals include add-ons and line discounts
+  const subtotal = useMemo(() => getLinesSubtotal(items), [items]);
 
   const calculatedTax = useMemo(() => {
     if (taxPercentage != null && taxPercentage > 0) {
@@ -253,37 +424,138 @@ function PosOrderContent({
     () =>
       items
         .map((row) => {
+          if (isDealsCategory) return row?.dealId;
+          if (row?.dealId) return null;
           const id = row?.itemId;
           return typeof id === 'object' && id !== null ? id.id : id;
         })
         .filter(Boolean),
-    [items]
+    [items, isDealsCategory]
   );
 
   const addOrToggleItem = useCallback(
     (product) => {
       const productId = product.id;
-      const alreadyInCart = items.some((row) => {
-        const id = row?.itemId;
-        const resolved = typeof id === 'object' && id !== null ? id.id : id;
-        return resolved === productId;
-      });
+      const alreadyInCart = items.some((row) => !row?.dealId && resolveItemId(row?.itemId) === productId);
       if (alreadyInCart) {
-        const nextItems = items.filter((row) => {
-          const id = row?.itemId;
-          const resolved = typeof id === 'object' && id !== null ? id.id : id;
-          return resolved !== productId;
-        });
+        const nextItems = items.filter((row) => row?.dealId || resolveItemId(row?.itemId) !== productId);
         setValue('items', nextItems, { shouldValidate: true, shouldDirty: true });
       } else {
+        setValue('items', [...items, createItemLine(product)], { shouldValidate: true, shouldDirty: true });
+      }
+    },
+    [items, setValue]
+  );
+
+  const addOrToggleDeal = useCallback(
+    (product) => {
+      if (items.some((row) => row?.dealId === product.id)) {
         setValue(
           'items',
-          [...items, { itemId: product.id, quantity: 1, unitPrice: product.price ?? null, notes: null }],
+          items.filter((row) => row?.dealId !== product.id),
           { shouldValidate: true, shouldDirty: true }
         );
+        return;
+      }
+      const deal = availableDeals.find((d) => d.id === product.id);
+      if (!deal || !isDealAvailable(deal)) {
+        toast.error('This deal is no longer available');
+        return;
       }
+      setValue('items', [...items, createDealLine(deal, itemOptions)], {
+        shouldValidate: true,
+        shouldDirty: true,
+      });
     },
-    [items, setValue]
+    [items, availableDeals, itemOptions, setValue]
+  );
+
+  // A scan adds one unit: +1 on the matching cart line, else a new line (deal items add their deal)
+  const handleBarcodeScan = useCallback(
+    (code) => {
+      // The burst was typed into the search field when it had focus
+      const currentSearch = getValues('searchTerm') ?? '';
+      if (currentSearch.endsWith(code)) setValue('searchTerm', currentSearch.slice(0, -code.length));
+
+      const item = barcodeIndex.get(code.toLowerCase());
+      if (!item) {
+        toast.error(`No item found for barcode "${code}"`);
+        return;
+      }
+      if (!(item.isActive ?? true) || !(item.isAvailable ?? true)) {
+        toast.warning(`${item.name} is not available`);
+        return;
+      }
+
+      const deal = item.itemType === 4 ? availableDeals.find((d) => d.itemId === item.id) : null;
+      if (item.itemType === 4 && !deal) {
+        toast.error(`${item.name} is not an active deal`);
+        return;
+      }
+
+      const index = items.findIndex((row) =>
+        deal ? row?.dealId === deal.id : !row?.dealId && resolveItemId(row?.itemId) === item.id
+      );
+      if (index >= 0) {
+        setValue(`items.${index}.quantity`, (Number(items[index].quantity) || 0) + 1, {
+          shouldValidate: true,
+          shouldDirty: true,
+        });
+        return;
+      }
+      const line = deal ? createDealLine(deal, itemOptions) : createItemLine(item);
+      setValue('items', [...items, line], { shouldValidate: true, shouldDirty: true });
+    },
+    [getValues, setValue, barcodeIndex, availableDeals, items, itemOptions]
+  );
+
+  useBarcodeScanner({ onScan: handleBarcodeScan, enabled: !splitBillOpen });
+
+  // Numbered shortcut slots follow the order of the order type and category strips
+  const hotkeyHandlers = useMemo(() => {
+    const handlers = {
+      save: () => onHotkeySave?.('save'),
+      saveAndPrint: () => onHotkeySave?.('print'),
+      saveAndKot: () => onHotkeySave?.('kot'),
+      allCategories: () => setCategoryId(null),
+      focusSearch: () => {
+        searchInputRef?.current?.focus();
+        searchInputRef?.current?.select();
+      },
+      focusProducts: () => productsRef.current?.querySelector('[data-pos-product]')?.focus(),
+      focusCart: () => cartRef.current?.querySelector('[data-cart-line]')?.focus(),
+      showShortcuts: () => onShortcutsOpenChange?.(true),
+    };
+    orderTypeOptions.slice(0, MAX_ORDER_TYPE_HOTKEYS).forEach((opt, index) => {
+      handlers[`orderType${index + 1}`] = () =>
+        setValue('orderTypeId', opt.id, { shouldValidate: true, shouldDirty: true });
+    });
+    categories.slice(0, MAX_CATEGORY_HOTKEYS).forEach((category, index) => {
+      handlers[`category${index + 1}`] = () => setCategoryId(category.id);
+    });
+    return handlers;
+  }, [orderTypeOptions, categories, onHotkeySave, onShortcutsOpenChange, searchInputRef, setValue]);
+
+  const hotkeyTargetLabels = useMemo(
+    () => ({
+      ...Object.fromEntries(
+        orderTypeOptions.slice(0, MAX_ORDER_TYPE_HOTKEYS).map((opt, index) => [`orderType${index + 1}`, opt.label])
+      ),
+      ...Object.fromEntries(
+        categories.slice(0, MAX_CATEGORY_HOTKEYS).map((category, index) => [`category${index + 1}`, category.name])
+      ),
+    }),
+    [orderTypeOptions, categories]
+  );
+
+  usePosHotkeys({ bindings: hotkeys.bindings, handlers: hotkeyHandlers });
+
+  const handleSplitBillConfirm = useCallback(
+    async (split) => {
+      await onSplitBillConfirm?.(split);
+      setSplitBillOpen(false);
+    },
+    [onSplitBillConfirm]
   );
 
   return (
@@ -317,6 +589,7 @@ function PosOrderContent({
             />
           </Box>
           <Box
+            ref={productsRef}
             sx={{
               flex: 1,
               minHeight: 200,
@@ -329,9 +602,9 @@ function PosOrderContent({
             }}
           >
             <PosProductGrid
-              items={products}
-              loading={itemsLoading || itemsFetching}
-              onSelectItem={addOrToggleItem}
+              items={gridProducts}
+              loading={isDealsCategory ? dealsLoading || dealsFetching : itemsLoading || itemsFetching}
+              onSelectItem={isDealsCategory ? addOrToggleDeal : addOrToggleItem}
               searchTerm={debouncedSearch}
               selectedItemIds={selectedItemIds}
             />
@@ -349,102 +622,154 @@ function PosOrderContent({
           }}
         >
           <Stack spacing={2} sx={{ p: 2, overflow: 'auto', flex: 1, minHeight: 0 }}>
-            <PosOrderContext
-              orderTypeOptions={orderTypeOptions}
-              orderTypeOptionsLoading={orderTypeOptionsLoading}
-              tableOptions={tableOptions}
-              staffOptions={staffOptions}
-              paymentModeOptions={paymentModeOptions}
-              showTableField={isDineInOrderType}
-            />
-            <PosDeliveryDetails open={isDeliveryOrderType} defaultExpanded={isDeliveryOrderType} />
-            <Box sx={{ borderTop: 1, borderColor: 'divider', pt: 2, mt: 0 }}>
-              <Typography variant="subtitle2" color="text.secondary" sx={{ mb: 1 }}>
-                Cart ({itemCount})
-              </Typography>
-              <Box
-                sx={{
-                  maxHeight: 280,
-                  overflow: 'auto',
-                  '&::-webkit-scrollbar': { width: 8 },
-                  '&::-webkit-scrollbar-thumb': { borderRadius: 4, bgcolor: 'action.hover' },
-                }}
-              >
-                <PosCartList name="items" itemOptions={itemOptions} />
-              </Box>
-            </Box>
-            <Stack direction="row" spacing={1}>
-              <Field.Text
-                name="taxPercentage"
-                label="Tax %"
-                type="number"
-                slotProps={{
-                  input: { inputProps: { min: 0, max: 100, step: 0.5 } },
-                }}
-                size="small"
+            {openTab ? (
+              <PosOpenTab
+                order={openTab}
+                onViewOrder={onViewOpenTab}
+                onRemoveItem={onRemoveOpenTabItem}
+                onClose={onLeaveTab}
               />
-              <Field.Text
-                name="discountPercentage"
-                label="Disc %"
-                type="number"
-                slotProps={{
-                  input: { inputProps: { min: 0, max: 100, step: 0.5 } },
-                }}
-                size="small"
-              />
-            </Stack>
-            <Box sx={{ borderTop: 1, borderColor: 'divider', pt: 2 }}>
-              <Stack spacing={0.5}>
-                <Stack direction="row" justifyContent="space-between">
-                  <Typography variant="body2" color="text.secondary">
-                    Subtotal
-                  </Typography>
-                  <Typography variant="body2">
-                    {fCurrency(subtotal, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+            ) : (
+              <>
+                  <PosOrderContext
+                    orderTypeOptions={orderTypeOptions}
+                    orderTypeOptionsLoading={orderTypeOptionsLoading}
+                    tableOptions={tableOptions}
+                    staffOptions={staffOptions}
+                    paymentModeOptions={paymentModeOptions}
+                    showTableField={isDineInOrderType}
+                    showPaymentModeField={!hasSplitPayment}
+                  />
+                  <PosDeliveryDetails open={isDeliveryOrderType} defaultExpanded={isDeliveryOrderType} />
+                </>
+              )}
+              <Box sx={{ borderTop: 1, borderColor: 'divider', pt: 2, mt: 0 }}>
+                <Stack direction="row" alignItems="center" justifyContent="space-between" sx={{ mb: 1 }}>
+                  <Typography variant="subtitle2" color="text.secondary">
+                    {openTab ? `New round (${itemCount})` : `Cart (${itemCount})`}
                   </Typography>
+                  {!openTab && (
+                    <Field.Button
+                      size="small"
+                      variant="text"
+                      startIcon="solar:users-group-rounded-bold"
+                      onClick={() => setSplitBillOpen(true)}
+                      disabled={isCreating || !hasCartItems}
+                    >
+                      Split bill
+                    </Field.Button>
+                  )}
                 </Stack>
-                {(calculatedTax > 0 || taxPercentage) && (
-                  <Stack direction="row" justifyContent="space-between">
-                    <Typography variant="body2" color="text.secondary">
-                      Tax {taxPercentage != null ? `${taxPercentage}%` : ''}
-                    </Typography>
-                    <Typography variant="body2">
-                      {fCurrency(calculatedTax, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
-                    </Typography>
-                  </Stack>
-                )}
-                {(calculatedDiscount > 0 || discountPercentage) && (
-                  <Stack direction="row" justifyContent="space-between">
-                    <Typography variant="body2" color="text.secondary">
-                      Discount {discountPercentage != null ? `${discountPercentage}%` : ''}
-                    </Typography>
-                    <Typography variant="body2">
-                      -{fCurrency(calculatedDiscount, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
-                    </Typography>
-                  </Stack>
-                )}
-                <Stack direction="row" justifyContent="space-between" sx={{ mt: 1, pt: 1, borderTop: 1, borderColor: 'divider' }}>
+                <Box
+                  ref={cartRef}
+                  sx={{
+                    maxHeight: 280,
+                    overflow: 'auto',
+                    '&::-webkit-scrollbar': { width: 8 },
+                    '&::-webkit-scrollbar-thumb': { borderRadius: 4, bgcolor: 'action.hover' },
+                  }}
+                >
+                  <PosCartList
+                    name="items"
+                    itemOptions={itemOptions}
+                    addOnOptions={addOnOptions}
+                    hotkeys={hotkeys.bindings}
+                  />
+                </Box>
+              </Box>
+              {openTab ? (
+                <Stack direction="row" justifyContent="space-between" sx={{ borderTop: 1, borderColor: 'divider', pt: 2 }}>
                   <Typography variant="subtitle1" fontWeight={700}>
-                    Grand total
+                    This round
                   </Typography>
                   <Typography variant="subtitle1" fontWeight={700} color="primary">
-                    {fCurrency(grandTotal, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                    {fCurrency(subtotal, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
                   </Typography>
                 </Stack>
-              </Stack>
-            </Box>
+              ) : (
+                <>
+                <Stack direction="row" spacing={1}>
+                  <Field.Text
+                    name="taxPercentage"
+                    label="Tax %"
+                    type="number"
+                    slotProps={{
+                      input: { inputProps: { min: 0, max: 100, step: 0.5 } },
+                    }}
+                    size="small"
+                  />
+                  <Field.Text
+                    name="discountPercentage"
+                    label="Disc %"
+                    type="number"
+                    slotProps={{
+                      input: { inputProps: { min: 0, max: 100, step: 0.5 } },
+                    }}
+                    size="small"
+                  />
+                </Stack>
+                <Box sx={{ borderTop: 1, borderColor: 'divider', pt: 2 }}>
+                  <Stack spacing={0.5}>
+                    <Stack direction="row" justifyContent="space-between">
+                      <Typography variant="body2" color="text.secondary">
+                        Subtotal
+                      </Typography>
+                      <Typography variant="body2">
+                        {fCurrency(subtotal, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                      </Typography>
+                    </Stack>
+                    {(calculatedTax > 0 || taxPercentage) && (
+                      <Stack direction="row" justifyContent="space-between">
+                        <Typography variant="body2" color="text.secondary">
+                          Tax {taxPercentage != null ? `${taxPercentage}%` : ''}
+                        </Typography>
+                        <Typography variant="body2">
+                          {fCurrency(calculatedTax, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                        </Typography>
+                      </Stack>
+                    )}
+                    {(calculatedDiscount > 0 || discountPercentage) && (
+                      <Stack direction="row" justifyContent="space-between">
+                        <Typography variant="body2" color="text.secondary">
+                          Discount {discountPercentage != null ? `${discountPercentage}%` : ''}
+                        </Typography>
+                        <Typography variant="body2">
+                          -{fCurrency(calculatedDiscount, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                        </Typography>
+                      </Stack>
+                    )}
+                    <Stack direction="row" justifyContent="space-between" sx={{ mt: 1, pt: 1, borderTop: 1, borderColor: 'divider' }}>
+                      <Typography variant="subtitle1" fontWeight={700}>
+                        Grand total
+                      </Typography>
+                      <Typography variant="subtitle1" fontWeight={700} color="primary">
+                        {fCurrency(grandTotal, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                      </Typography>
+                    </Stack>
+                  </Stack>
+                </Box>
+                {!hasSplitPayment && <PosCashTender grandTotal={grandTotal} />}
+                <PosSplitPayment paymentModeOptions={paymentModeOptions} grandTotal={grandTotal} />
          
-            <Field.Text
-              name="notes"
-              placeholder="Order notes (optional)"
-              size="small"
-              slotProps={{ textField: { fullWidth: true } }}
-            />
+                <Field.Text
+                  name="notes"
+                  placeholder="Order notes (optional)"
+                  size="small"
+                  slotProps={{ textField: { fullWidth: true } }}
+                />
+              </>
+            )}
           </Stack>
-            <Stack
-              direction="row"
-              spacing={1}
-              sx={{ p: 2, flexShrink: 0, borderTop: 1, borderColor: 'divider' }}
+            <Box
+              sx={{
+                p: 2,
+                gap: 1,
+                flexShrink: 0,
+                display: 'grid',
+                gridTemplateColumns: 'repeat(2, 1fr)',
+                borderTop: 1,
+                borderColor: 'divider',
+              }}
             >
               <Field.Button
                 type="submit"
@@ -456,8 +781,23 @@ function PosOrderContent({
                 startIcon="solar:check-circle-bold"
                 sx={{ flex: 1, minHeight: 44 }}
               >
-                Save order
+                {openTab ? 'Add to order' : 'Save order'}
               </Field.Button>
+              {!openTab && (
+                <Field.Button
+                  type="submit"
+                  variant="outlined"
+                  size="medium"
+                  fullWidth
+                  loading={isCreating}
+                  disabled={isCreating || !hasCartItems}
+                  startIcon="solar:printer-minimalistic-bold"
+                  onClick={onSaveAndPrintClick}
+                  sx={{ flex: 1, minHeight: 44 }}
+                >
+                  Save & print
+                </Field.Button>
+              )}
               <Field.Button
                 type="submit"
                 variant="outlined"
@@ -465,25 +805,46 @@ function PosOrderContent({
                 fullWidth
                 loading={isCreating}
                 disabled={isCreating || !hasCartItems}
-                startIcon="solar:printer-minimalistic-bold"
-                onClick={onSaveAndPrintClick}
+                startIcon="solar:file-text-bold"
+                onClick={onSaveAndKotClick}
                 sx={{ flex: 1, minHeight: 44 }}
               >
-                Save & print
+                {openTab ? 'Add & send KOT' : 'Save & KOT'}
               </Field.Button>
-              <Field.Button
-                type="button"
-                variant="outlined"
-                size="medium"
-                fullWidth
-                startIcon="solar:document-text-bold"
-                onClick={onPreviewInvoiceClick}
-                sx={{ flex: 1, minHeight: 44 }}
-              >
-                Preview invoice
-              </Field.Button>
-            </Stack>
+              {!openTab && (
+                <Field.Button
+                  type="button"
+                  variant="outlined"
+                  size="medium"
+                  fullWidth
+                  startIcon="solar:document-text-bold"
+                  onClick={onPreviewInvoiceClick}
+                  sx={{ flex: 1, minHeight: 44 }}
+                >
+                  Preview invoice
+                </Field.Button>
+              )}
+            </Box>
         </Card>
+
+        <PosSplitBillDialog
+          open={splitBillOpen}
+          onClose={() => setSplitBillOpen(false)}
+          items={items}
+          itemOptions={itemOptions}
+          grandTotal={grandTotal}
+          isSubmitting={isCreating}
+          onConfirm={handleSplitBillConfirm}
+        />
+
+        <PosHotkeysDialog
+          open={shortcutsOpen}
+          onClose={() => onShortcutsOpenChange?.(false)}
+          bindings={hotkeys.bindings}
+          onChange={hotkeys.updateBindings}
+          onReset={hotkeys.resetBindings}
+          targetLabels={hotkeyTargetLabels}
+        />
       </Box>
   );
 }
@@ -491,17 +852,34 @@ function PosOrderContent({
 // ----------------------------------------------------------------------
 
 export function PosOrderView() {
-  const [createOrder, { isLoading: isCreating }] = useCreateOrderMutation();
+  const [createOrder, { isLoading: isCreatingOrder }] = useCreateOrderMutation();
+  const [addOrderItems, { isLoading: isAddingItems }] = useAddOrderItemsMutation();
+  const isCreating = isCreatingOrder || isAddingItems;
   const isSubmittingRef = useRef(false);
   const printAfterRef = useRef(false);
+  const kotAfterRef = useRef(false);
+  // Split bill config ({ mode, guestCount, assignments }) while a split-bill save is in flight
+  const splitBillRef = useRef(null);
   const optionsRef = useRef({});
+  // { key, fingerprint } of the last submission; a retry of the identical cart reuses the key so the
+  // backend never creates the order twice, while any edit (items, totals, payment, order type…) gets a new one
+  const idempotencyRef = useRef(null);
+
+  const handleOfflineOrdersSynced = useCallback((count) => {
+    toast.success(count === 1 ? '1 offline order synced' : `${count} offline orders synced`);
+  }, []);
+
+  const offlineQueue = useOfflineOrderQueue({ onSynced: handleOfflineOrdersSynced });
 
   const { invoicePrintPayload, triggerPrint } = useInvoicePrint();
+  // Same print root as the invoice; holds KOT tickets (one per kitchen) while printing
+  const { invoicePrintPayload: kotPrintTickets, triggerPrint: triggerKotPrint } = useInvoicePrint();
   const [previewOpen, setPreviewOpen] = useState(false);
   const [previewPayload, _setPreviewPayload] = useState(null);
 
   const { data: staffDropdown } = useGetStaffDropdownQuery();
   const { data: orderTypesDropdown, isLoading: orderTypesLoading } = useGetOrderTypesDropdownQuery();
+  const { data: kitchensDropdown } = useGetKitchensDropdownQuery();
 
   const staffOptions = useMemo(() => {
     if (!staffDropdown || !Array.isArray(staffDropdown)) return [];
@@ -513,8 +891,20 @@ export function PosOrderView() {
     return orderTypesDropdown.map((item) => ({ id: item.key, label: item.value || item.key }));
   }, [orderTypesDropdown]);
 
+  const kitchenOptions = useMemo(() => {
+    if (!kitchensDropdown || !Array.isArray(kitchensDropdown)) return [];
+    return kitchensDropdown.map((item) => ({ id: item.key, label: item.value || item.key }));
+  }, [kitchensDropdown]);
+
+  // Open tab: existing order the cart is added to as a new round (null for a new order)
+  const [openTab, setOpenTab] = useState(null);
+  const openTabRef = useRef(null);
+  // { [orderItemId]: quantity } of an open tab's sent line being voided
+  const [removedTabItems, setRemovedTabItems] = useState(null);
+
   const methods = useForm({
-    resolver: zodResolver(createOrderSchema),
+    resolver: (values, context, options) =>
+      (openTabRef.current ? addOrderItemsResolver : createOrderResolver)(values, context, options),
     defaultValues,
     mode: 'onChange',
   });
@@ -522,19 +912,228 @@ export function PosOrderView() {
   const watchedItemsForSubmit = useWatch({ control: methods.control, name: 'items', defaultValue: [] });
   const hasCartItems = (watchedItemsForSubmit?.length ?? 0) > 0;
 
+  const [parkedOpen, setParkedOpen] = useState(false);
+  const [shortcutsOpen, setShortcutsOpen] = useState(false);
+  const [floorPlanOpen, setFloorPlanOpen] = useState(false);
+
+  // Manager PIN override for over-limit discounts and opening the cash drawer
+  const { requestApproval, approvalDialogProps } = useManagerApproval();
+  const [openCashDrawer, { isLoading: isOpeningDrawer }] = useOpenCashDrawerMutation();
+  const [runningOrder, setRunningOrder] = useState(null);
+  const searchInputRef = useRef(null);
+  const hotkeys = usePosHotkeyBindings();
+
+  // Points the cart at an open order (null: back to a new order)
+  const applyOpenTab = useCallback((order) => {
+    openTabRef.current = order ?? null;
+    setOpenTab(order ?? null);
+    setRemovedTabItems(null);
+    idempotencyRef.current = null;
+  }, []);
+
+  const getOpenTab = useCallback(() => openTabRef.current, []);
+
+  const handleDraftRestored = useCallback(
+    (order) => {
+      applyOpenTab(order);
+      toast.info(order ? `Unsaved round for order #${order.orderNumber ?? order.id} restored` : 'Unsaved cart restored');
+    },
+    [applyOpenTab]
+  );
+
+  const { parked, parkCurrent, recallParked, discardParked, saveDraft, clearDraft } = usePosCartDrafts({
+    methods,
+    defaultValues,
+    getOpenTab,
+    onRestored: handleDraftRestored,
+  });
+
+  const [getOrderById] = useLazyGetOrderByIdQuery();
+
+  // A line of an earlier round is already with the kitchen: it is only taken off through a void,
+  // which asks for a manager PIN when the cashier may not remove sent items
+  const handleRemoveOpenTabItem = useCallback((orderItem) => {
+    setRemovedTabItems({ [orderItem.id]: getRemainingQuantity(orderItem) });
+  }, []);
+
+  const handleOpenTabItemRemoved = useCallback(async () => {
+    const order = openTabRef.current;
+    if (!order?.id) return;
+    try {
+      applyOpenTab(await getOrderById({ id: order.id }).unwrap());
+      saveDraft();
+    } catch {
+      toast.warning(`Could not reload order #${order.orderNumber ?? order.id}`);
+    }
+  }, [getOrderById, applyOpenTab, saveDraft]);
+
+  const handleLeaveTab = useCallback(() => {
+    applyOpenTab(null);
+    saveDraft();
+  }, [applyOpenTab, saveDraft]);
+
+  // Free table picked on the floor plan: Dine In on that table
+  const handleSelectTable = useCallback(
+    (table) => {
+      const dineIn = orderTypeOptions.find((opt) => (opt.label ?? '').trim().toLowerCase() === 'dine in');
+      if (!dineIn) {
+        toast.error('Dine In order type is not configured');
+        return;
+      }
+      methods.setValue('orderTypeId', dineIn.id, { shouldValidate: true, shouldDirty: true });
+      methods.setValue('tableId', { id: table.id, label: table.tableNumber }, { shouldValidate: true, shouldDirty: true });
+      handleLeaveTab();
+      setFloorPlanOpen(false);
+      toast.info(`Dine In at table ${table.tableNumber}`);
+    },
+    [orderTypeOptions, methods, handleLeaveTab]
+  );
+
+  // Occupied table picked on the floor plan: the cart becomes the next round of its order
+  const handleOpenTab = useCallback(
+    (order) => {
+      setFloorPlanOpen(false);
+      if (!order?.id) return;
+      // A round is a different request from the cart's new order (applyOpenTab drops the key)
+      applyOpenTab(order);
+      methods.setValue('payments', []);
+      methods.setValue('tenderedAmount', null);
+      saveDraft();
+      toast.info(`Adding to order #${order.orderNumber ?? order.id}`);
+    },
+    [methods, applyOpenTab, saveDraft]
+  );
+
+  // Discounts over CONFIG.managerDiscountPercent need a manager; resolves null when cancelled
+  const requestDiscountApproval = (items, subtotal, orderDiscount) => {
+    const discountPercent = getHighestDiscountPercent(items, subtotal, orderDiscount);
+    if (discountPercent <= CONFIG.managerDiscountPercent) return Promise.resolve({ approvedBy: null });
+    return requestApproval(ACTION_PERMISSIONS.Orders.approveDiscount, {
+      title: 'Approve discount',
+      description: `Discount of ${Math.round(discountPercent * 100) / 100}% is over the ${CONFIG.managerDiscountPercent}% limit.`,
+    });
+  };
+
+  // Print / KOT choice of this save. The refs are cleared up front so a save that stops early
+  // (validation, short payment, cancelled approval, error) never carries them into the next one.
+  const takeAfterSaveActions = () => {
+    const actions = { print: printAfterRef.current, kot: kotAfterRef.current };
+    printAfterRef.current = false;
+    kotAfterRef.current = false;
+    return actions;
+  };
+
+  // Open tab: only the new round goes to the order and (with KOT) to the kitchen
+  const submitTabRound = async (order, data, idempotencyKey, sendKot) => {
+    try {
+      const approval = await requestDiscountApproval(data.items, getLinesSubtotal(data.items), 0);
+      if (!approval) return;
+      await addOrderItems({
+        id: order.id,
+        items: toOrderItemRequests(data.items),
+        approvedBy: approval.approvedBy,
+        idempotencyKey,
+      }).unwrap();
+      idempotencyRef.current = null;
+      toast.success(`Items added to order #${order.orderNumber ?? order.id}`);
+      if (sendKot) {
+        const options = optionsRef.current || {};
+        const lines = toKotLines(data.items, { itemOptions: options.itemOptions });
+        const tickets = buildKotTickets(lines, {
+          kitchenOptions,
+          defaultKitchenId: order.kitchenId,
+          meta: buildKotMeta(data, options, order),
+          isFollowUp: true,
+        });
+        // The kitchen now has every earlier round plus this one
+        const sentBefore = getSentKotLines(order.id) ?? toKotLines(order.items, { itemOptions: options.itemOptions });
+        recordSentKotLines(order.id, [...sentBefore, ...lines]);
+        triggerKotPrint(tickets);
+        toast.info(
+          tickets.length > 1
+            ? `Printing ${tickets.length} kitchen tickets (one per kitchen).`
+            : 'Printing kitchen ticket.'
+        );
+      }
+      applyOpenTab(null);
+      methods.reset(defaultValues);
+      clearDraft();
+    } catch (err) {
+      if (typeof err?.status === 'number' && err.status >= 400 && err.status < 500) {
+        idempotencyRef.current = null;
+      }
+      const { message, isRetryable } = getApiErrorMessage(err, {
+        defaultMessage: 'Failed to add items to the order',
+        notFoundMessage: 'Order not found',
+      });
+      if (isRetryable) {
+        toast.error(message, {
+          action: {
+            label: 'Retry',
+            onClick: () => {
+              kotAfterRef.current = sendKot;
+              onSubmit();
+            },
+          },
+        });
+      } else {
+        toast.error(message);
+      }
+    }
+  };
+
   const onSubmit = methods.handleSubmit(async (data) => {
+    const afterSave = takeAfterSaveActions();
     if (isSubmittingRef.current) return;
     if (!data.items || data.items.length === 0) {
       toast.error('Add at least one item to the order');
       return;
     }
     isSubmittingRef.current = true;
+    const fingerprint = JSON.stringify([openTabRef.current?.id ?? null, toDraftValues(data)]);
+    if (idempotencyRef.current?.fingerprint !== fingerprint) {
+      idempotencyRef.current = { key: generateIdempotencyKey(), fingerprint };
+    }
+    const idempotencyKey = idempotencyRef.current.key;
+    if (openTabRef.current) {
+      await submitTabRound(openTabRef.current, data, idempotencyKey, afterSave.kot);
+      isSubmittingRef.current = false;
+      return;
+    }
+    let createData = null;
+    let grandTotal = 0;
+    const printIfRequested = (result) => {
+      if (splitBillRef.current) {
+        const payloads = buildSplitInvoicePayloads(data, optionsRef.current || {}, result, splitBillRef.current);
+        splitBillRef.current = null;
+        triggerPrint(payloads);
+        toast.info(`Printing ${payloads.length} bills. Select "${CONFIG.invoicePrinterName}" to print.`);
+        return;
+      }
+      if (afterSave.kot) {
+        const options = optionsRef.current || {};
+        const lines = toKotLines(data.items, { itemOptions: options.itemOptions });
+        const tickets = buildKotTickets(lines, {
+          kitchenOptions,
+          defaultKitchenId: data.kitchenId,
+          meta: buildKotMeta(data, options, result),
+        });
+        if (result?.id) recordSentKotLines(result.id, lines);
+        triggerKotPrint(tickets);
+        toast.info(
+          tickets.length > 1
+            ? `Printing ${tickets.length} kitchen tickets (one per kitchen).`
+            : 'Printing kitchen ticket.'
+        );
+        return;
+      }
+      if (!afterSave.print) return;
+      const payload = buildInvoicePayload(data, optionsRef.current || {}, result);
+      triggerPrint(payload);
+      toast.info(`Print dialog opened. Select "${CONFIG.invoicePrinterName}" to print.`);
+    };
     try {
-      const subtotal = data.items.reduce((sum, item) => {
-        const q = Number(item.quantity) || 0;
-        const p = Number(item.unitPrice) || 0;
-        return sum + q * p;
-      }, 0);
+      const subtotal = getLinesSubtotal(data.items);
       const taxPct = data.taxPercentage != null ? Number(data.taxPercentage) : null;
       const discPct = data.discountPercentage != null ? Number(data.discountPercentage) : null;
       const calculatedTax = taxPct != null && taxPct > 0 
@@ -544,12 +1143,7 @@ export function PosOrderView() {
         ? Math.round(subtotal * (discPct / 100) * 100) / 100 
         : Number(data.discountAmount) || 0;
 
-      const transformedItems = data.items.map((item) => ({
-        itemId: typeof item.itemId === 'object' && item.itemId !== null ? item.itemId.id : item.itemId,
-        quantity: Number(item.quantity),
-        unitPrice: Number(item.unitPrice),
-        notes: item.notes === '' ? null : item.notes,
-      }));
+      const transformedItems = toOrderItemRequests(data.items);
 
       const orderTypeIdResolved =
         typeof data.orderTypeId === 'object' && data.orderTypeId !== null ? data.orderTypeId.id : data.orderTypeId;
@@ -585,10 +1179,35 @@ export function PosOrderView() {
           })()
         : null;
 
-      const createData = {
+      grandTotal = subtotal + calculatedTax - calculatedDiscount;
+
+      const tenders = data.payments ?? [];
+      // Without a split payment, the cash keypad amount (if any) is the only tender
+      const tenderedAmount = Number(data.tenderedAmount) || 0;
+      const handedOver =
+        tenders.length > 0 ? tenders : tenderedAmount > 0 ? [{ amount: tenderedAmount }] : [];
+      const { remaining, change } = summarizeTenders(handedOver, grandTotal);
+      if (handedOver.length > 0 && remaining > 0) {
+        toast.error(
+          tenders.length > 0
+            ? `Payments are short by ${fCurrency(remaining, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}. Add a tender or adjust the amounts.`
+            : `Cash tendered is short by ${fCurrency(remaining, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}.`
+        );
+        return;
+      }
+      const payments = tenders.length > 0 ? toPaymentRequests(tenders, grandTotal) : null;
+
+      const approval = await requestDiscountApproval(data.items, subtotal, calculatedDiscount);
+      if (!approval) return;
+
+      createData = {
         orderTypeId: orderTypeIdResolved,
-        paymentModeId:
-          typeof data.paymentModeId === 'object' && data.paymentModeId !== null ? data.paymentModeId.id : data.paymentModeId ?? null,
+        paymentModeId: payments
+          ? payments[0]?.paymentModeId ?? null
+          : typeof data.paymentModeId === 'object' && data.paymentModeId !== null
+            ? data.paymentModeId.id
+            : data.paymentModeId ?? null,
+        payments,
         staffId: typeof data.staffId === 'object' && data.staffId !== null ? data.staffId.id : data.staffId ?? null,
         tableId: isDineInOrder
           ? (typeof data.tableId === 'object' && data.tableId !== null ? data.tableId.id : data.tableId ?? null)
@@ -601,21 +1220,48 @@ export function PosOrderView() {
         discountAmount: calculatedDiscount,
         discountPercentage: discPct ?? null,
         notes: data.notes === '' ? null : data.notes,
+        approvedBy: approval.approvedBy,
       };
-      const result = await createOrder(createData).unwrap();
-      toast.success('Order saved');
+      const result = await createOrder({ ...createData, idempotencyKey }).unwrap();
+      idempotencyRef.current = null;
+      toast.success(
+        change > 0
+          ? `Order saved. Change due: ${fCurrency(change, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+          : 'Order saved'
+      );
       methods.reset(defaultValues);
-      if (printAfterRef.current) {
-        printAfterRef.current = false;
-        const payload = buildInvoicePayload(data, optionsRef.current || {}, result);
-        triggerPrint(payload);
-        toast.info(`Print dialog opened. Select "${CONFIG.invoicePrinterName}" to print.`);
-      }
+      clearDraft();
+      printIfRequested(result);
     } catch (err) {
+      if (createData && isNetworkError(err)) {
+        try {
+          const itemCount = createData.items.reduce((acc, row) => acc + (Number(row.quantity) || 0), 0);
+          await offlineQueue.queueOrder(idempotencyKey, createData, { itemCount, grandTotal });
+          idempotencyRef.current = null;
+          toast.warning('Connection lost. Order saved on this device and will sync automatically.');
+          methods.reset(defaultValues);
+          clearDraft();
+          printIfRequested(null);
+          return;
+        } catch {
+          // Local queue unavailable (e.g. private mode): fall through to the normal error toast
+        }
+      }
+      if (typeof err?.status === 'number' && err.status >= 400 && err.status < 500) {
+        // Rejected by the API, nothing was created: a corrected resubmission is a new request
+        idempotencyRef.current = null;
+      }
       const { message, isRetryable } = getApiErrorMessage(err, { defaultMessage: 'Failed to save order' });
       if (isRetryable) {
         toast.error(message, {
-          action: { label: 'Retry', onClick: () => onSubmit() },
+          action: {
+            label: 'Retry',
+            onClick: () => {
+              printAfterRef.current = afterSave.print;
+              kotAfterRef.current = afterSave.kot;
+              onSubmit();
+            },
+          },
         });
       } else {
         toast.error(message);
@@ -623,7 +1269,22 @@ export function PosOrderView() {
     } finally {
       isSubmittingRef.current = false;
     }
-  });
+  }, takeAfterSaveActions);
+
+  const handleOpenCashDrawer = useCallback(async () => {
+    const approval = await requestApproval(ACTION_PERMISSIONS.CashDrawer.open, {
+      title: 'Approve opening the drawer',
+      description: 'Open the cash drawer without a sale.',
+    });
+    if (!approval) return;
+    try {
+      await openCashDrawer({ approvedBy: approval.approvedBy }).unwrap();
+      toast.success('Cash drawer opened');
+    } catch (err) {
+      const { message } = getApiErrorMessage(err, { defaultMessage: 'Failed to open the cash drawer' });
+      toast.error(message);
+    }
+  }, [requestApproval, openCashDrawer]);
 
   const handleSearchClear = useCallback(() => {
     methods.setValue('searchTerm', '');
@@ -633,6 +1294,59 @@ export function PosOrderView() {
     printAfterRef.current = true;
   }, []);
 
+  const handleSaveAndKotClick = useCallback(() => {
+    kotAfterRef.current = true;
+  }, []);
+
+  const handleHotkeySave = (mode) => {
+    if (isCreating || !hasCartItems) return;
+    // No bill is printed while adding a round to an open tab
+    if (openTab && mode === 'print') return;
+    printAfterRef.current = mode === 'print';
+    kotAfterRef.current = mode === 'kot';
+    onSubmit();
+  };
+
+  const handleSplitBillConfirm = async (split) => {
+    splitBillRef.current = split;
+    try {
+      await onSubmit();
+    } finally {
+      splitBillRef.current = null;
+    }
+  };
+
+  const handleParkCart = useCallback(
+    (label) => {
+      if (parked.length >= MAX_PARKED_CARTS) {
+        toast.error(`You can park up to ${MAX_PARKED_CARTS} orders. Recall or discard one first.`);
+        return;
+      }
+      const summary = buildCartSummary(methods.getValues(), optionsRef.current || {});
+      const entry = parkCurrent(label, summary);
+      if (!entry) return;
+      // The open tab is parked with the cart; a recalled cart is a new submission (new key)
+      applyOpenTab(null);
+      setParkedOpen(false);
+      toast.success(entry.label ? `Order "${entry.label}" parked` : 'Order parked');
+    },
+    [methods, parked.length, parkCurrent, applyOpenTab]
+  );
+
+  const handleRecallCart = useCallback(
+    (id) => {
+      const currentSummary = buildCartSummary(methods.getValues(), optionsRef.current || {});
+      const { recalled, parkedCurrent } = recallParked(id, currentSummary);
+      if (!recalled) return;
+      applyOpenTab(recalled.openTab ?? null);
+      setParkedOpen(false);
+      toast.success(
+        parkedCurrent ? 'Parked order recalled. The previous cart was parked.' : 'Parked order recalled'
+      );
+    },
+    [methods, recallParked, applyOpenTab]
+  );
+
   const handlePreviewInvoiceClick = useCallback(() => {
     // TESTING: Use dummy payload to test print flow. Remove when done; restore buildInvoicePayload + setPreviewPayload + setPreviewOpen(true).
     const payload = getDummyInvoicePayload();
@@ -661,8 +1375,10 @@ export function PosOrderView() {
             <Field.Text
               name="searchTerm"
               size="small"
-              placeholder="Search product"
+              placeholder="Search or scan product"
+              inputRef={searchInputRef}
               slotProps={{
+                htmlInput: { 'data-barcode-scan': 'true' },
                 input: {
                   startAdornment: (
                     <InputAdornment position="start">
@@ -686,14 +1402,59 @@ export function PosOrderView() {
               }}
               sx={{ minWidth: 220, flex: 1, maxWidth: 400 }}
             />
-            <Field.Button
-              component={Link}
-              href={paths.tenant.orders.list}
-              variant="outlined"
-              sx={{ ml: 'auto', flexShrink: 0 }}
-            >
-              Order list
-            </Field.Button>
+            <Box sx={{ ml: 'auto', display: 'flex', alignItems: 'center', gap: 1, flexShrink: 0 }}>
+              <PosOfflineQueueStatus
+                entries={offlineQueue.entries}
+                pendingCount={offlineQueue.pendingCount}
+                failedCount={offlineQueue.failedCount}
+                isOnline={offlineQueue.isOnline}
+                isSyncing={offlineQueue.isSyncing}
+                onSyncNow={offlineQueue.syncNow}
+                onRetry={offlineQueue.retryOrder}
+                onDiscard={offlineQueue.discardOrder}
+              />
+              <Field.Button
+                variant="outlined"
+                startIcon="solar:bill-list-bold"
+                onClick={() => setParkedOpen(true)}
+                sx={{ flexShrink: 0 }}
+              >
+                Parked ({parked.length})
+              </Field.Button>
+              <Field.Button
+                variant="outlined"
+                startIcon="solar:users-group-rounded-bold"
+                onClick={() => setFloorPlanOpen(true)}
+                sx={{ flexShrink: 0 }}
+              >
+                Tables
+              </Field.Button>
+              <Field.Button
+                variant="outlined"
+                startIcon="solar:wad-of-money-bold"
+                onClick={handleOpenCashDrawer}
+                loading={isOpeningDrawer}
+                sx={{ flexShrink: 0 }}
+              >
+                Open drawer
+              </Field.Button>
+              <Field.Button
+                variant="outlined"
+                onClick={() => setShortcutsOpen(true)}
+                aria-label="Keyboard shortcuts"
+                sx={{ flexShrink: 0 }}
+              >
+                Shortcuts ({formatHotkey(hotkeys.bindings.showShortcuts)})
+              </Field.Button>
+              <Field.Button
+                component={Link}
+                href={paths.tenant.orders.list}
+                variant="outlined"
+                sx={{ flexShrink: 0 }}
+              >
+                Order list
+              </Field.Button>
+            </Box>
           </Stack>
         </Card>
 
@@ -705,13 +1466,24 @@ export function PosOrderView() {
             hasCartItems={hasCartItems}
             isCreating={isCreating}
             onSaveAndPrintClick={handleSaveAndPrintClick}
+            onSaveAndKotClick={handleSaveAndKotClick}
             onPreviewInvoiceClick={handlePreviewInvoiceClick}
+            onSplitBillConfirm={handleSplitBillConfirm}
+            onHotkeySave={handleHotkeySave}
+            hotkeys={hotkeys}
+            shortcutsOpen={shortcutsOpen}
+            onShortcutsOpenChange={setShortcutsOpen}
+            searchInputRef={searchInputRef}
+            openTab={openTab}
+            onViewOpenTab={() => setRunningOrder(openTab)}
+            onRemoveOpenTabItem={handleRemoveOpenTabItem}
+            onLeaveTab={handleLeaveTab}
             optionsRef={optionsRef}
           />
         </Form>
 
         {/* Print root: hidden on screen, visible in @media print */}
-        {invoicePrintPayload && (
+        {(invoicePrintPayload || kotPrintTickets) && (
           <Box
             sx={{
               position: 'absolute',
@@ -725,10 +1497,68 @@ export function PosOrderView() {
             id="invoice-print-root"
             className="invoice-print-root"
           >
-            <InvoicePrintLayout payload={invoicePrintPayload} widthPreset="80mm" />
+            {kotPrintTickets ? (
+              <KotPrintLayout tickets={kotPrintTickets} widthPreset="80mm" />
+            ) : Array.isArray(invoicePrintPayload) ? (
+              // Split bill: one invoice per guest, page break between them
+              invoicePrintPayload.map((payload, idx) => (
+                <Box
+                  key={idx}
+                  sx={{
+                    ...(idx < invoicePrintPayload.length - 1 && {
+                      breakAfter: 'page',
+                      pb: 2,
+                      mb: 2,
+                      borderBottom: '1px dashed',
+                      borderColor: 'text.primary',
+                    }),
+                  }}
+                >
+                  <InvoicePrintLayout payload={payload} widthPreset="80mm" />
+                </Box>
+              ))
+            ) : (
+              <InvoicePrintLayout payload={invoicePrintPayload} widthPreset="80mm" />
+            )}
           </Box>
         )}
 
+        <PosParkedCartsDrawer
+          open={parkedOpen}
+          onClose={() => setParkedOpen(false)}
+          parked={parked}
+          canPark={hasCartItems}
+          onPark={handleParkCart}
+          onRecall={handleRecallCart}
+          onDiscard={discardParked}
+        />
+
+        <PosFloorPlanDialog
+          open={floorPlanOpen}
+          onClose={() => setFloorPlanOpen(false)}
+          onSelectTable={handleSelectTable}
+          onOpenOrder={handleOpenTab}
+        />
+
+        <OrderDetailsDialog
+          open={!!runningOrder}
+          record={runningOrder}
+          onClose={() => setRunningOrder(null)}
+        />
+
+        {openTab && (
+          <OrderAdjustmentDialog
+            open={!!removedTabItems}
+            order={openTab}
+            type={ORDER_ADJUSTMENT.void}
+            initialItems={removedTabItems}
+            onClose={() => setRemovedTabItems(null)}
+            onSuccess={handleOpenTabItemRemoved}
+          />
+        )}
+
+        <ManagerApprovalDialog {...approvalDialogProps} />
+
         <CustomDialog
           open={previewOpen}
           onClose={() => setPreviewOpen(false)}
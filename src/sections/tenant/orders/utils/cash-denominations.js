@@ -0,0 +1,49 @@
+import { formatNumberLocale } from 'src/locales';
+
+// ----------------------------------------------------------------------
+
+/**
+ * Banknotes per currency (ascending), used for quick-cash suggestions on the POS cash keypad.
+ * Keyed by the currency of the number-format locale (src/locales/locales-config.js).
+ */
+const CASH_DENOMINATIONS = {
+  PKR: [10, 20, 50, 100, 500, 1000, 5000],
+  EUR: [5, 10, 20, 50, 100, 200],
+  VND: [10000, 20000, 50000, 100000, 200000, 500000],
+  CNY: [1, 5, 10, 20, 50, 100],
+  SAR: [5, 10, 50, 100, 200, 500],
+  USD: [1, 5, 10, 20, 50, 100],
+};
+
+const DEFAULT_CURRENCY = 'PKR';
+
+export const MAX_QUICK_CASH_AMOUNTS = 4;
+
+// ----------------------------------------------------------------------
+
+/**
+ * Banknotes of the configured currency.
+ * @returns {Array<number>}
+ */
+export function getCashDenominations() {
+  const currency = formatNumberLocale()?.currency ?? DEFAULT_CURRENCY;
+  return CASH_DENOMINATIONS[currency] ?? CASH_DENOMINATIONS[DEFAULT_CURRENCY];
+}
+
+/**
+ * Likely cash amounts for a bill: the total rounded up to each banknote (e.g. 1,240 → 1,250, 1,300,
+ * 1,500, 2,000), then single notes above the total, without duplicates and excluding the exact amount.
+ *
+ * @param {number} total
+ * @param {Array<number>} [denominations]
+ * @returns {Array<number>}
+ */
+export function getQuickCashAmounts(total, denominations = getCashDenominations()) {
+  const amount = Number(total) || 0;
+  if (amount <= 0) return [];
+  const roundedUp = denominations.map((note) => Math.ceil(amount / note) * note);
+  return [...new Set([...roundedUp, ...denominations])]
+    .filter((value) => value > amount)
+    .sort((a, b) => a - b)
+    .slice(0, MAX_QUICK_CASH_AMOUNTS);
+}
@@ -0,0 +1,108 @@
+import { getStorage, setStorage } from 'minimal-shared/utils';
+
+import { toKotLines, diffKotLines, buildKotTickets } from 'src/components/invoice-print';
+
+// ----------------------------------------------------------------------
+
+/**
+ * Lines last sent to the kitchen per order (localStorage).
+ *
+ * A KOT printed for an order that already has a snapshot is a follow-up: only the difference
+ * (diffKotLines) is printed. Kept on this terminal only; the oldest orders are pruned.
+ */
+
+const STORAGE_KEY = 'pos_kot_history';
+const MAX_ORDERS = 200;
+
+function readHistory() {
+  const stored = getStorage(STORAGE_KEY);
+  return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+}
+
+// ----------------------------------------------------------------------
+
+/**
+ * KOT lines last sent for an order, or null when no KOT was printed for it on this terminal.
+ * @param {string} orderId
+ * @returns {Array<Object>|null}
+ */
+export function getSentKotLines(orderId) {
+  if (!orderId || typeof window === 'undefined') return null;
+  return readHistory()[orderId]?.lines ?? null;
+}
+
+/**
+ * Whether an order line has gone to the kitchen: the API's flag when present, else a KOT printed
+ * on this terminal for the line's item (or its deal's components).
+ * @param {string} orderId
+ * @param {Object} orderItem - Order record line
+ * @returns {boolean}
+ */
+export function isOrderItemSent(orderId, orderItem) {
+  if (orderItem?.isSentToKitchen != null) return Boolean(orderItem.isSentToKitchen);
+  const sentItemIds = new Set((getSentKotLines(orderId) ?? []).map((line) => line.itemId));
+  return toKotLines([orderItem]).some((line) => line.itemId != null && sentItemIds.has(line.itemId));
+}
+
+/**
+ * Record the full set of lines the kitchen now has for an order.
+ * @param {string} orderId
+ * @param {Array<Object>} lines - toKotLines shape
+ */
+export function recordSentKotLines(orderId, lines) {
+  if (!orderId || typeof window === 'undefined') return;
+  const history = readHistory();
+  history[orderId] = {
+    lines: (lines ?? []).map(({ itemId, productName, qty, notes, modifiers, kitchenId, group }) => ({
+      itemId,
+      productName,
+      qty,
+      notes,
+      modifiers,
+      kitchenId,
+      group,
+    })),
+    sentAt: new Date().toISOString(),
+  };
+  const orderIds = Object.keys(history);
+  if (orderIds.length > MAX_ORDERS) {
+    orderIds
+      .sort((a, b) => String(history[a].sentAt).localeCompare(String(history[b].sentAt)))
+      .slice(0, orderIds.length - MAX_ORDERS)
+      .forEach((id) => delete history[id]);
+  }
+  setStorage(STORAGE_KEY, history);
+}
+
+/**
+ * KOT tickets for an existing order, resolved against what this terminal already sent:
+ * - nothing sent yet: full ticket per kitchen
+ * - lines changed since the last KOT: follow-up tickets with only the added/removed lines
+ * - unchanged: full tickets marked as duplicate
+ *
+ * Call recordSentKotLines(orderId, lines) once the tickets are printed.
+ *
+ * @param {string} orderId
+ * @param {Array<Object>} lines - Current order lines (toKotLines shape)
+ * @param {Object} options - buildKotTickets options (kitchenOptions, defaultKitchenId, meta)
+ * @returns {{ tickets: Array<Object>, isFollowUp: boolean, isReprint: boolean }}
+ */
+export function buildOrderKotTickets(orderId, lines, options = {}) {
+  const previous = getSentKotLines(orderId);
+  if (!previous) {
+    return { tickets: buildKotTickets(lines, options), isFollowUp: false, isReprint: false };
+  }
+  const changed = diffKotLines(previous, lines);
+  if (changed.length > 0) {
+    return {
+      tickets: buildKotTickets(changed, { ...options, isFollowUp: true }),
+      isFollowUp: true,
+      isReprint: false,
+    };
+  }
+  return {
+    tickets: buildKotTickets(lines, { ...options, isReprint: true }),
+    isFollowUp: false,
+    isReprint: true,
+  };
+}
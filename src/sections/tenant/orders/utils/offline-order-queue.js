@@ -0,0 +1,144 @@
+import { getStoredUser } from 'src/auth/context/jwt/utils';
+
+// ----------------------------------------------------------------------
+
+/**
+ * Offline POS order queue (IndexedDB).
+ *
+ * Orders that could not reach the API are stored here with the exact create payload and a
+ * client-generated idempotency key, then replayed against POST /api/orders when connectivity
+ * returns. Entries are scoped to the signed-in user so a shared terminal never replays another
+ * user's (or another tenant's) orders under the current session.
+ */
+
+const DB_NAME = 'cloud-mate-pos';
+const DB_VERSION = 1;
+const STORE_NAME = 'offlineOrders';
+
+export const QUEUED_ORDER_STATUS = {
+  pending: 'pending',
+  failed: 'failed',
+};
+
+let dbPromise = null;
+
+function isSupported() {
+  return typeof window !== 'undefined' && typeof window.indexedDB !== 'undefined';
+}
+
+function openDb() {
+  if (!isSupported()) {
+    return Promise.reject(new Error('IndexedDB is not available in this browser'));
+  }
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        const store = db.createObjectStore(STORE_NAME, { keyPath: 'idempotencyKey' });
+        store.createIndex('userId', 'userId', { unique: false });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+}
+
+function runTransaction(mode, work) {
+  return openDb().then(
+    (db) =>
+      new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE_NAME, mode);
+        const store = tx.objectStore(STORE_NAME);
+        const request = work(store);
+        tx.oncomplete = () => resolve(request?.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+      })
+  );
+}
+
+function getCurrentUserId() {
+  return getStoredUser()?.id ?? null;
+}
+
+// ----------------------------------------------------------------------
+
+/**
+ * Generate a client idempotency key (UUID v4) for one order submission.
+ * Reuse the same key for every retry of the same cart.
+ */
+export function generateIdempotencyKey() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
+    const r = Math.floor(Math.random() * 16);
+    const v = c === 'x' ? r : (r % 4) + 8;
+    return v.toString(16);
+  });
+}
+
+/**
+ * Store an order for later replay. Re-queuing the same idempotencyKey overwrites the entry.
+ *
+ * @param {{ idempotencyKey: string, payload: Object, summary?: Object }} entry
+ *   payload - exact createOrder body; summary - display-only info (e.g. { itemCount, grandTotal })
+ * @returns {Promise<Object>} Stored entry
+ */
+export async function enqueueOfflineOrder({ idempotencyKey, payload, summary = null }) {
+  const entry = {
+    idempotencyKey,
+    userId: getCurrentUserId(),
+    payload,
+    summary,
+    status: QUEUED_ORDER_STATUS.pending,
+    attempts: 0,
+    lastError: null,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+  };
+  await runTransaction('readwrite', (store) => store.put(entry));
+  return entry;
+}
+
+/**
+ * List queued orders for the current user, oldest first.
+ * @returns {Promise<Object[]>}
+ */
+export async function getQueuedOrders() {
+  if (!isSupported()) return [];
+  const userId = getCurrentUserId();
+  const all = await runTransaction('readonly', (store) => store.getAll());
+  return (all ?? [])
+    .filter((entry) => entry.userId === userId)
+    .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+}
+
+/**
+ * Patch a queued order (status, attempts, lastError).
+ * @param {string} idempotencyKey
+ * @param {Object} patch
+ */
+export async function updateQueuedOrder(idempotencyKey, patch) {
+  const existing = await runTransaction('readonly', (store) => store.get(idempotencyKey));
+  if (!existing) return null;
+  const next = { ...existing, ...patch, updatedAt: new Date().toISOString() };
+  await runTransaction('readwrite', (store) => store.put(next));
+  return next;
+}
+
+/**
+ * Remove a queued order (after successful sync or when the cashier discards it).
+ * @param {string} idempotencyKey
+ */
+export async function removeQueuedOrder(idempotencyKey) {
+  await runTransaction('readwrite', (store) => store.delete(idempotencyKey));
+}
@@ -0,0 +1,163 @@
+import { CONFIG } from 'src/global-config';
+
+// ----------------------------------------------------------------------
+
+/**
+ * Void and refund (order adjustments).
+ * - Void: an unpaid order, or some of its lines, is cancelled before payment
+ * - Refund: a paid order, or some of its lines, is paid back and a credit note is printed
+ * Both need a reason code; above CONFIG.managerApprovalAmount a manager PIN as well.
+ */
+
+export const ORDER_ADJUSTMENT = {
+  void: 'void',
+  refund: 'refund',
+};
+
+export const VOID_REASON_OPTIONS = [
+  { id: 'CUSTOMER_CANCELLED', label: 'Customer cancelled' },
+  { id: 'ORDER_ERROR', label: 'Wrong item punched' },
+  { id: 'DUPLICATE_ORDER', label: 'Duplicate order' },
+  { id: 'ITEM_UNAVAILABLE', label: 'Item unavailable' },
+  { id: 'LONG_WAIT', label: 'Long wait time' },
+  { id: 'OTHER', label: 'Other' },
+];
+
+export const REFUND_REASON_OPTIONS = [
+  { id: 'QUALITY_ISSUE', label: 'Food quality issue' },
+  { id: 'WRONG_ITEM_SERVED', label: 'Wrong item served' },
+  { id: 'OVERCHARGED', label: 'Overcharged' },
+  { id: 'ITEM_NOT_SERVED', label: 'Item not served' },
+  { id: 'CUSTOMER_COMPLAINT', label: 'Customer complaint' },
+  { id: 'OTHER', label: 'Other' },
+];
+
+const COMPLETED_STATUS = 11;
+const CANCELLED_STATUS = 12;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// ----------------------------------------------------------------------
+
+/**
+ * Paid: the API flag or payment status when present, else money taken (paid amount or tendered
+ * payments), else a completed (settled) order. The payment mode alone is only the intended method,
+ * set on unpaid orders too.
+ */
+export const isOrderPaid = (order) => {
+  if (!order) return false;
+  if (order.isPaid != null) return Boolean(order.isPaid);
+  if (order.paymentStatus) return String(order.paymentStatus).toLowerCase() === 'paid';
+  const paidAmount =
+    order.paidAmount != null
+      ? Number(order.paidAmount) || 0
+      : (order.payments ?? []).reduce((acc, payment) => acc + (Number(payment.amount) || 0), 0);
+  if (paidAmount > 0) return true;
+  return order.status === COMPLETED_STATUS;
+};
+
+/**
+ * Quantity of a line not yet refunded or voided.
+ */
+export const getRemainingQuantity = (orderItem) =>
+  Math.max(
+    (Number(orderItem?.quantity) || 0) -
+      (Number(orderItem?.refundedQuantity) || 0) -
+      (Number(orderItem?.voidedQuantity) || 0),
+    0
+  );
+
+/**
+ * Order total not yet refunded or voided.
+ */
+export const getRemainingAmount = (order) =>
+  Math.max(
+    round2(
+      (Number(order?.totalAmount) || 0) - (Number(order?.refundedAmount) || 0) - (Number(order?.voidedAmount) || 0)
+    ),
+    0
+  );
+
+/**
+ * Adjustment available for the order: refund once paid, void before; none when cancelled or
+ * nothing is left to refund / void.
+ */
+export const getOrderAdjustmentType = (order) => {
+  if (!order?.id || order.status === CANCELLED_STATUS || getRemainingAmount(order) <= 0) return null;
+  return isOrderPaid(order) ? ORDER_ADJUSTMENT.refund : ORDER_ADJUSTMENT.void;
+};
+
+export const getAdjustmentReasonOptions = (type) =>
+  type === ORDER_ADJUSTMENT.refund ? REFUND_REASON_OPTIONS : VOID_REASON_OPTIONS;
+
+export const getAdjustmentReasonLabel = (type, reasonCode) =>
+  getAdjustmentReasonOptions(type).find((option) => option.id === reasonCode)?.label ?? reasonCode ?? '';
+
+export const requiresManagerApproval = (amount) => amount > (Number(CONFIG.managerApprovalAmount) || 0);
+
+/**
+ * Lines and totals of an adjustment, over what is not yet refunded or voided. Whole order (no
+ * items) takes every remaining quantity and the remaining balance; selected lines take their share
+ * of the line subtotal, and tax/discount in proportion to the order subtotal, capped at the balance.
+ *
+ * @param {Object} order - Order record with items
+ * @param {Array<{ orderItemId: string, quantity: number }>} [items] - Selected quantities, omit for whole order
+ * @returns {{ lines: Array<Object>, totals: Object }}
+ */
+export function getAdjustmentSummary(order, items) {
+  const orderItems = order?.items ?? [];
+  const wholeOrder = !items;
+  const remainingAmount = getRemainingAmount(order);
+
+  const lines = orderItems
+    .map((orderItem) => {
+      const orderQty = Number(orderItem.quantity) || 0;
+      const remainingQty = getRemainingQuantity(orderItem);
+      const qty = wholeOrder
+        ? remainingQty
+        : Math.min(Number(items.find((item) => item.orderItemId === orderItem.id)?.quantity) || 0, remainingQty);
+      const lineTotal = Number(orderItem.subTotal) || (Number(orderItem.unitPrice) || 0) * orderQty;
+      return {
+        orderItemId: orderItem.id,
+        productName: orderItem.itemName || orderItem.dealName || '-',
+        qty,
+        rate: Number(orderItem.unitPrice) || 0,
+        total: orderQty > 0 ? round2((lineTotal / orderQty) * qty) : 0,
+      };
+    })
+    .filter((line) => line.qty > 0);
+
+  if (wholeOrder) {
+    const orderTotal = Number(order?.totalAmount) || 0;
+    const share = orderTotal > 0 ? remainingAmount / orderTotal : 0;
+    return {
+      lines,
+      totals: {
+        subtotal: round2((Number(order?.subTotal) || 0) * share),
+        taxAmount: round2((Number(order?.taxAmount) || 0) * share),
+        taxPercentage: order?.taxPercentage ?? null,
+        discountAmount: round2((Number(order?.discountAmount) || 0) * share),
+        discountPercentage: order?.discountPercentage ?? null,
+        grandTotal: remainingAmount,
+      },
+    };
+  }
+
+  const subtotal = round2(lines.reduce((sum, line) => sum + line.total, 0));
+  const orderSubtotal = Number(order?.subTotal) || 0;
+  const share = orderSubtotal > 0 ? subtotal / orderSubtotal : 0;
+  const taxAmount = round2((Number(order?.taxAmount) || 0) * share);
+  const discountAmount = round2((Number(order?.discountAmount) || 0) * share);
+
+  return {
+    lines,
+    totals: {
+      subtotal,
+      taxAmount,
+      taxPercentage: order?.taxPercentage ?? null,
+      discountAmount,
+      discountPercentage: order?.discountPercentage ?? null,
+      grandTotal: Math.min(round2(subtotal + taxAmount - discountAmount), remainingAmount),
+    },
+  };
+}
@@ -0,0 +1,37 @@
+// ----------------------------------------------------------------------
+
+/**
+ * Rounds of an open dine-in order (tab): each POS append is one round, sent to the kitchen
+ * together. Items carry the round number when the API provides it; otherwise items are grouped by
+ * the minute they were added, and items without any timestamp belong to the first round.
+ */
+
+const toMinuteKey = (value) => {
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : Math.floor(time / 60000);
+};
+
+/**
+ * @param {Object} order - Order record with items (list/getById with includeItems)
+ * @returns {Array<{ round: number, sentAt: string|null, items: Array<Object> }>}
+ */
+export function getOrderRounds(order) {
+  const items = order?.items ?? [];
+  if (items.length === 0) return [];
+
+  const hasRoundNumbers = items.some((item) => item?.round != null);
+  const groups = new Map();
+  items.forEach((item) => {
+    const sentAt = item?.sentAt ?? item?.createdAt ?? order.createdAt ?? null;
+    const key = hasRoundNumbers ? Number(item.round) || 1 : (toMinuteKey(sentAt) ?? 0);
+    if (!groups.has(key)) groups.set(key, { key, sentAt, items: [] });
+    const group = groups.get(key);
+    group.items.push(item);
+    // Earliest timestamp of the round
+    if (sentAt && (!group.sentAt || new Date(sentAt) < new Date(group.sentAt))) group.sentAt = sentAt;
+  });
+
+  return [...groups.values()]
+    .sort((a, b) => a.key - b.key)
+    .map((group, index) => ({ round: index + 1, sentAt: group.sentAt, items: group.items }));
+}
@@ -68,3 +68,9 @@ export const isCompletionStatus = (statusId) =>
  */
 export const isActiveStatus = (statusId) => !isCompletionStatus(statusId);
 
+// ----------------------------------------------------------------------
+
+/**
+ * Active OrderStatus ids (everything but the completion statuses)
+ */
+export const ACTIVE_ORDER_STATUSES = ORDER_STATUS_OPTIONS.map((opt) => opt.id).filter(isActiveStatus);
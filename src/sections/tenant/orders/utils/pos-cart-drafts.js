@@ -0,0 +1,206 @@
+import { uuidv4, getStorage, setStorage, removeStorage } from 'minimal-shared/utils';
+
+import { getLinesSubtotal } from 'src/components/invoice-print';
+
+import { JWT_STORAGE_KEY } from 'src/auth/context/jwt/constant';
+import { jwtDecode, getStoredUser } from 'src/auth/context/jwt/utils';
+
+// ----------------------------------------------------------------------
+
+/**
+ * POS cart drafts (localStorage).
+ *
+ * Holds the auto-saved current cart plus any parked carts. Storage is scoped per user, branch
+ * (when the access token carries a branch claim) and terminal, so two tills on the same branch
+ * or two cashiers on the same till never see each other's carts.
+ *
+ * A cart that is a new round for an open tab keeps that order (openTab, with its items as the
+ * already-sent baseline) so restoring or recalling it adds to the same order instead of
+ * creating a new one.
+ */
+
+const TERMINAL_ID_STORAGE_KEY = 'pos_terminal_id';
+const DRAFTS_STORAGE_PREFIX = 'pos_cart_drafts';
+
+export const MAX_PARKED_CARTS = 20;
+
+/** Form fields persisted with a draft. searchTerm is UI state and is never stored. */
+const DRAFT_FIELDS = [
+  'orderTypeId',
+  'paymentModeId',
+  'payments',
+  'tenderedAmount',
+  'staffId',
+  'tableId',
+  'kitchenId',
+  'items',
+  'deliveryDetails',
+  'taxAmount',
+  'taxPercentage',
+  'discountAmount',
+  'discountPercentage',
+  'notes',
+];
+
+const emptyState = { current: null, parked: [] };
+
+function getBranchClaim() {
+  if (typeof window === 'undefined') return null;
+  try {
+    const decoded = jwtDecode(sessionStorage.getItem(JWT_STORAGE_KEY));
+    return decoded?.branchId ?? decoded?.branch_id ?? null;
+  } catch {
+    return null;
+  }
+}
+
+function getStorageKey() {
+  const userId = getStoredUser()?.id ?? 'anonymous';
+  const branchId = getBranchClaim() ?? 'default';
+  return `${DRAFTS_STORAGE_PREFIX}:${userId}:${branchId}:${getPosTerminalId()}`;
+}
+
+function readState() {
+  const stored = getStorage(getStorageKey());
+  if (!stored || typeof stored !== 'object') return emptyState;
+  return {
+    current: stored.current ?? null,
+    parked: Array.isArray(stored.parked) ? stored.parked : [],
+  };
+}
+
+function writeState(state) {
+  const key = getStorageKey();
+  if (!state.current && state.parked.length === 0) {
+    removeStorage(key);
+    return;
+  }
+  setStorage(key, state);
+}
+
+// ----------------------------------------------------------------------
+
+/**
+ * Stable id for this browser/device. Generated once and kept in localStorage.
+ * @returns {string}
+ */
+export function getPosTerminalId() {
+  if (typeof window === 'undefined') return 'server';
+  let terminalId = getStorage(TERMINAL_ID_STORAGE_KEY);
+  if (!terminalId || typeof terminalId !== 'string') {
+    terminalId = uuidv4();
+    setStorage(TERMINAL_ID_STORAGE_KEY, terminalId);
+  }
+  return terminalId;
+}
+
+/**
+ * Pick the persisted fields from POS form values.
+ * @param {Object} values - Form values
+ * @returns {Object}
+ */
+export function toDraftValues(values) {
+  return DRAFT_FIELDS.reduce((acc, field) => {
+    if (values?.[field] !== undefined) acc[field] = values[field];
+    return acc;
+  }, {});
+}
+
+/**
+ * True when a cart is worth keeping (at least one line).
+ * @param {Object} values - Form values
+ */
+export function hasDraftContent(values) {
+  return Array.isArray(values?.items) && values.items.length > 0;
+}
+
+/**
+ * Display summary for a parked cart, resolved against the POS dropdown options at park time
+ * (the product grid may be filtered to another category when the cart is recalled).
+ *
+ * @param {Object} values - Form values
+ * @param {{ itemOptions?: Object[], orderTypeOptions?: Object[], tableOptions?: Object[] }} [options]
+ * @returns {{ itemCount: number, subtotal: number, itemNames: string[], orderTypeLabel: string|null, tableLabel: string|null }}
+ */
+export function buildCartSummary(values, options = {}) {
+  const resolveId = (v) => (typeof v === 'object' && v !== null ? v.id : v);
+  const findLabel = (list, id) => {
+    if (id == null) return null;
+    const opt = (list ?? []).find((o) => (o?.id ?? o) === id);
+    return opt?.label ?? opt?.name ?? null;
+  };
+  const items = Array.isArray(values?.items) ? values.items : [];
+  return {
+    itemCount: items.reduce((acc, row) => acc + (Number(row.quantity) || 0), 0),
+    subtotal: getLinesSubtotal(items),
+    itemNames: items.map((row) => row.dealName ?? findLabel(options.itemOptions, resolveId(row.itemId)) ?? 'Item'),
+    orderTypeLabel: findLabel(options.orderTypeOptions, resolveId(values?.orderTypeId)),
+    tableLabel: findLabel(options.tableOptions, resolveId(values?.tableId)),
+  };
+}
+
+/**
+ * Read the current draft and parked carts for this user/branch/terminal.
+ * @returns {{ current: Object|null, parked: Object[] }}
+ */
+export function getPosCartDrafts() {
+  if (typeof window === 'undefined') return emptyState;
+  return readState();
+}
+
+/**
+ * Save (or clear, when the cart is empty) the auto-saved current draft.
+ * @param {Object} values - Form values
+ * @param {Object|null} [openTab] - Open order the cart is a new round for
+ */
+export function saveCurrentDraft(values, openTab = null) {
+  const state = readState();
+  writeState({
+    ...state,
+    current: hasDraftContent(values)
+      ? { values: toDraftValues(values), openTab: openTab ?? null, updatedAt: new Date().toISOString() }
+      : null,
+  });
+}
+
+/**
+ * Clear the auto-saved current draft (after the order is saved or the cart is parked).
+ */
+export function clearCurrentDraft() {
+  const state = readState();
+  if (!state.current) return;
+  writeState({ ...state, current: null });
+}
+
+/**
+ * Park a cart, newest first. Nothing is parked (null) once MAX_PARKED_CARTS are parked; parked
+ * carts are never dropped to make room.
+ *
+ * @param {{ values: Object, label?: string, summary?: Object, openTab?: Object }} cart
+ *   summary - display-only info (e.g. { itemCount, subtotal, itemNames, orderTypeLabel, tableLabel })
+ *   openTab - open order the cart is a new round for
+ * @returns {Object|null} Parked entry, null when the limit is reached
+ */
+export function parkCart({ values, label = null, summary = null, openTab = null }) {
+  const state = readState();
+  if (state.parked.length >= MAX_PARKED_CARTS) return null;
+  const entry = {
+    id: uuidv4(),
+    label: label?.trim() || null,
+    values: toDraftValues(values),
+    summary,
+    openTab: openTab ?? null,
+    parkedAt: new Date().toISOString(),
+  };
+  writeState({ ...state, parked: [entry, ...state.parked] });
+  return entry;
+}
+
+/**
+ * Remove a parked cart (when recalled or discarded).
+ * @param {string} id
+ */
+export function removeParkedCart(id) {
+  const state = readState();
+  writeState({ ...state, parked: state.parked.filter((entry) => entry.id !== id) });
+}
@@ -0,0 +1,175 @@
+import { getStorage, setStorage, removeStorage } from 'minimal-shared/utils';
+
+import { getStoredUser } from 'src/auth/context/jwt/utils';
+
+// ----------------------------------------------------------------------
+
+/**
+ * POS keyboard shortcuts.
+ *
+ * A binding is the key as KeyboardEvent.key reports it ("F9", "+", "/", "Delete"), upper-cased for
+ * letters, prefixed with "Ctrl+", "Alt+" or "Shift+" when held ("Ctrl+S", "Shift+ArrowUp"). Shift is
+ * only recorded for non-printable keys: printable keys already carry it ("?" rather than "Shift+/").
+ * Bindings are stored per user in localStorage; actions without a stored binding use the default.
+ */
+
+const HOTKEYS_STORAGE_PREFIX = 'pos_hotkeys';
+
+export const POS_HOTKEY_GROUP = {
+  order: 'Order',
+  catalog: 'Products',
+  cart: 'Cart',
+  general: 'General',
+};
+
+export const MAX_ORDER_TYPE_HOTKEYS = 4;
+export const MAX_CATEGORY_HOTKEYS = 9;
+
+/** Actions that only apply to the focused cart line (handled by the cart list, not globally). */
+export const CART_LINE_HOTKEY_ACTIONS = ['increaseQuantity', 'decreaseQuantity', 'removeLine', 'editLine'];
+
+export const POS_HOTKEY_ACTIONS = [
+  ...Array.from({ length: MAX_ORDER_TYPE_HOTKEYS }, (_, index) => ({
+    id: `orderType${index + 1}`,
+    label: `Order type ${index + 1}`,
+    group: POS_HOTKEY_GROUP.order,
+    defaultKey: `F${index + 1}`,
+  })),
+  { id: 'save', label: 'Save order', group: POS_HOTKEY_GROUP.order, defaultKey: 'F9' },
+  { id: 'saveAndPrint', label: 'Save & print', group: POS_HOTKEY_GROUP.order, defaultKey: 'F10' },
+  { id: 'saveAndKot', label: 'Save & KOT', group: POS_HOTKEY_GROUP.order, defaultKey: 'F8' },
+  { id: 'allCategories', label: 'All products', group: POS_HOTKEY_GROUP.catalog, defaultKey: '0' },
+  ...Array.from({ length: MAX_CATEGORY_HOTKEYS }, (_, index) => ({
+    id: `category${index + 1}`,
+    label: `Category ${index + 1}`,
+    group: POS_HOTKEY_GROUP.catalog,
+    defaultKey: String(index + 1),
+  })),
+  { id: 'focusSearch', label: 'Search / scan', group: POS_HOTKEY_GROUP.catalog, defaultKey: '/' },
+  { id: 'focusProducts', label: 'Go to products', group: POS_HOTKEY_GROUP.catalog, defaultKey: 'P' },
+  { id: 'focusCart', label: 'Go to cart', group: POS_HOTKEY_GROUP.cart, defaultKey: 'C' },
+  { id: 'increaseQuantity', label: 'Quantity +1 (focused line)', group: POS_HOTKEY_GROUP.cart, defaultKey: '+' },
+  { id: 'decreaseQuantity', label: 'Quantity -1 (focused line)', group: POS_HOTKEY_GROUP.cart, defaultKey: '-' },
+  { id: 'removeLine', label: 'Remove focused line', group: POS_HOTKEY_GROUP.cart, defaultKey: 'Delete' },
+  { id: 'editLine', label: 'Edit focused line', group: POS_HOTKEY_GROUP.cart, defaultKey: 'E' },
+  { id: 'showShortcuts', label: 'Keyboard shortcuts', group: POS_HOTKEY_GROUP.general, defaultKey: '?' },
+];
+
+/** Keys with built-in meaning that cannot be rebound (listed on the cheat sheet). */
+export const POS_FIXED_HOTKEYS = [
+  { keys: '← ↑ → ↓', label: 'Move between products', group: POS_HOTKEY_GROUP.catalog },
+  { keys: 'Enter / Space', label: 'Add or remove the focused product', group: POS_HOTKEY_GROUP.catalog },
+  { keys: '↑ ↓', label: 'Move between cart lines', group: POS_HOTKEY_GROUP.cart },
+  { keys: 'Esc', label: 'Close a dialog', group: POS_HOTKEY_GROUP.general },
+];
+
+export const DEFAULT_POS_HOTKEYS = Object.fromEntries(
+  POS_HOTKEY_ACTIONS.map((action) => [action.id, action.defaultKey])
+);
+
+const MODIFIER_KEYS = ['Control', 'Alt', 'Shift', 'Meta', 'CapsLock'];
+
+const KEY_LABELS = {
+  ' ': 'Space',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  Escape: 'Esc',
+  Delete: 'Del',
+};
+
+// ----------------------------------------------------------------------
+
+export const isEditableTarget = (target) =>
+  !!target &&
+  (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+
+/**
+ * Binding string for a keydown event, or null for a bare modifier key.
+ * @param {KeyboardEvent} event
+ * @returns {string|null}
+ */
+export function eventToHotkey(event) {
+  const { key } = event;
+  if (!key || MODIFIER_KEYS.includes(key)) return null;
+  const isPrintable = key.length === 1;
+  const parts = [];
+  if (event.ctrlKey || event.metaKey) parts.push('Ctrl');
+  if (event.altKey) parts.push('Alt');
+  if (event.shiftKey && !isPrintable) parts.push('Shift');
+  parts.push(isPrintable ? key.toUpperCase() : key);
+  return parts.join('+');
+}
+
+/**
+ * Whether a binding is safe to fire while the cashier is typing in a field: function keys and
+ * Ctrl/Alt combinations are; plain characters, arrows, Delete etc. belong to the field.
+ * @param {string} hotkey
+ * @returns {boolean}
+ */
+export function worksWhileTyping(hotkey) {
+  return /^F\d{1,2}$/.test(hotkey) || hotkey.startsWith('Ctrl+') || hotkey.startsWith('Alt+');
+}
+
+/**
+ * Display label for a binding ("ArrowUp" → "↑", " " → "Space").
+ * @param {string|null} hotkey
+ * @returns {string}
+ */
+export function formatHotkey(hotkey) {
+  if (!hotkey) return '—';
+  return hotkey
+    .split('+')
+    .map((part, index, parts) => (part === '' && index === parts.length - 1 ? '+' : KEY_LABELS[part] ?? part))
+    .filter(Boolean)
+    .join(' + ');
+}
+
+/**
+ * Action id bound to a hotkey.
+ * @param {Object} bindings - action id → binding
+ * @param {string|null} hotkey
+ * @returns {string|null}
+ */
+export function findHotkeyAction(bindings, hotkey) {
+  if (!hotkey) return null;
+  return Object.keys(bindings).find((actionId) => bindings[actionId] === hotkey) ?? null;
+}
+
+// ----------------------------------------------------------------------
+
+function getStorageKey() {
+  return `${HOTKEYS_STORAGE_PREFIX}:${getStoredUser()?.id ?? 'anonymous'}`;
+}
+
+/**
+ * The current user's bindings (defaults merged with stored overrides; null means unbound).
+ * @returns {Object} action id → binding
+ */
+export function getPosHotkeys() {
+  const stored = getStorage(getStorageKey());
+  if (!stored || typeof stored !== 'object') return { ...DEFAULT_POS_HOTKEYS };
+  const merged = { ...DEFAULT_POS_HOTKEYS };
+  Object.keys(merged).forEach((actionId) => {
+    if (actionId in stored && (stored[actionId] === null || typeof stored[actionId] === 'string')) {
+      merged[actionId] = stored[actionId];
+    }
+  });
+  return merged;
+}
+
+/**
+ * Persist the current user's bindings; only the ones that differ from the defaults are stored.
+ * @param {Object} bindings - action id → binding
+ */
+export function savePosHotkeys(bindings) {
+  const overrides = Object.fromEntries(
+    Object.entries(bindings).filter(([actionId, hotkey]) => DEFAULT_POS_HOTKEYS[actionId] !== hotkey)
+  );
+  if (Object.keys(overrides).length === 0) {
+    removeStorage(getStorageKey());
+    return;
+  }
+  setStorage(getStorageKey(), overrides);
+}
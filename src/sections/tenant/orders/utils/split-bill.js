@@ -0,0 +1,138 @@
+import { getLinesSubtotal, buildInvoicePayload } from 'src/components/invoice-print';
+
+// ----------------------------------------------------------------------
+
+/**
+ * Split bill: one saved order, one invoice per guest.
+ * - even: every guest gets the full bill with their share of the grand total
+ * - items: every unit in the cart is assigned to a guest; each guest's invoice lists their units,
+ *   percentage tax/discount apply as-is and fixed amounts are prorated by subtotal
+ */
+
+export const SPLIT_BILL_MODE = {
+  even: 'even',
+  items: 'items',
+};
+
+export const MIN_SPLIT_GUESTS = 2;
+export const MAX_SPLIT_GUESTS = 20;
+
+const toCents = (value) => Math.round((Number(value) || 0) * 100);
+
+/**
+ * Allocate an amount across weights in whole cents; rounding leftovers go to the last weighted share.
+ * @param {number} total
+ * @param {Array<number>} weights
+ * @returns {Array<number>}
+ */
+export function allocateAmount(total, weights) {
+  const totalCents = toCents(total);
+  const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+  if (weightSum <= 0) return weights.map(() => 0);
+  const cents = weights.map((weight) => Math.floor((totalCents * weight) / weightSum));
+  const lastWeighted = weights.findLastIndex((weight) => weight > 0);
+  cents[lastWeighted] += totalCents - cents.reduce((sum, value) => sum + value, 0);
+  return cents.map((value) => value / 100);
+}
+
+/**
+ * One entry per unit in the cart (a line with quantity 3 gives three units) for per-item assignment.
+ * @param {Array<{ itemId, quantity }>} items
+ * @returns {Array<{ key: string, lineIndex: number, unit: number }>}
+ */
+export function expandCartUnits(items) {
+  return (items ?? []).flatMap((row, lineIndex) =>
+    Array.from({ length: Math.max(0, Number(row.quantity) || 0) }, (_, unit) => ({
+      key: `${lineIndex}-${unit}`,
+      lineIndex,
+      unit,
+    }))
+  );
+}
+
+/**
+ * Cart lines per guest from unit assignments (unit key → guest index). Unassigned units go to guest 0.
+ * A fixed line discount is shared by the guests in proportion to their units of that line.
+ * @returns {Array<Array<Object>>} guestCount arrays of cart lines
+ */
+export function splitItemsByGuest(items, assignments, guestCount) {
+  const guests = Array.from({ length: guestCount }, () => new Map());
+  expandCartUnits(items).forEach(({ key, lineIndex }) => {
+    const guest = Math.min(assignments?.[key] ?? 0, guestCount - 1);
+    const lines = guests[guest];
+    const line = lines.get(lineIndex) ?? { ...items[lineIndex], quantity: 0 };
+    line.quantity += 1;
+    lines.set(lineIndex, line);
+  });
+  (items ?? []).forEach((row, lineIndex) => {
+    if (!(Number(row.discountAmount) > 0)) return;
+    const shares = allocateAmount(
+      row.discountAmount,
+      guests.map((lines) => lines.get(lineIndex)?.quantity ?? 0)
+    );
+    guests.forEach((lines, guest) => {
+      if (lines.has(lineIndex)) lines.get(lineIndex).discountAmount = shares[guest];
+    });
+  });
+  return guests.map((lines) => [...lines.values()]);
+}
+
+/**
+ * Order header fields only: split invoices recompute lines and totals from the form.
+ */
+const pickOrderHeader = (orderResponse) =>
+  orderResponse && typeof orderResponse === 'object'
+    ? {
+        id: orderResponse.id,
+        invoiceNumber: orderResponse.invoiceNumber,
+        orderNumber: orderResponse.orderNumber,
+        createdAt: orderResponse.createdAt,
+        branchName: orderResponse.branchName,
+        branchAddress: orderResponse.branchAddress,
+        ntn: orderResponse.ntn,
+        contact: orderResponse.contact,
+        staffName: orderResponse.staffName,
+        orderTypeName: orderResponse.orderTypeName,
+        tableName: orderResponse.tableName,
+      }
+    : null;
+
+// ----------------------------------------------------------------------
+
+/**
+ * Invoice payloads (buildInvoicePayload) for a split bill, one per guest with at least one line.
+ *
+ * @param {Object} formValues - Submitted POS form values
+ * @param {Object} options - buildInvoicePayload options
+ * @param {Object|null} orderResponse - createOrder response (null when queued offline)
+ * @param {{ mode: string, guestCount: number, assignments?: Object }} split
+ * @returns {Array<Object>}
+ */
+export function buildSplitInvoicePayloads(formValues, options, orderResponse, split) {
+  const { mode, guestCount, assignments } = split;
+  const header = pickOrderHeader(orderResponse);
+  const values = { ...formValues, payments: [], tenderedAmount: null };
+
+  if (mode === SPLIT_BILL_MODE.even) {
+    const full = buildInvoicePayload(values, options, header);
+    const shares = allocateAmount(full.totals.grandTotal, Array(guestCount).fill(1));
+    return shares.map((shareAmount, index) =>
+      buildInvoicePayload(values, options, header, { split: { index, count: guestCount, shareAmount } })
+    );
+  }
+
+  const guestItems = splitItemsByGuest(values.items, assignments, guestCount).filter(
+    (items) => items.length > 0
+  );
+  const weights = guestItems.map(getLinesSubtotal);
+  const taxShares = allocateAmount(values.taxAmount, weights);
+  const discountShares = allocateAmount(values.discountAmount, weights);
+  return guestItems.map((items, index) =>
+    buildInvoicePayload(
+      { ...values, items, taxAmount: taxShares[index], discountAmount: discountShares[index] },
+      options,
+      header,
+      { split: { index, count: guestItems.length } }
+    )
+  );
+}
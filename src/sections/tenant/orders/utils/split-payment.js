@@ -0,0 +1,50 @@
+/**
+ * Split payment: an order paid with several tenders (payment mode + amount).
+ *
+ * Tenders are entered as handed over by the guest, so they may exceed the grand total;
+ * the excess is the change due. The order request only carries the applied amounts
+ * (tendered minus change, taken from the last tenders first) so they sum to the grand total.
+ */
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const resolveId = (value) => (typeof value === 'object' && value !== null ? value.id : value);
+
+// ----------------------------------------------------------------------
+
+/**
+ * @param {Array<{ paymentModeId, amount }>} payments - Form tenders
+ * @param {number} grandTotal
+ * @returns {{ paid: number, remaining: number, change: number }}
+ */
+export function summarizeTenders(payments, grandTotal) {
+  const paid = round2((payments ?? []).reduce((sum, row) => sum + (Number(row?.amount) || 0), 0));
+  const total = round2(Number(grandTotal) || 0);
+  return {
+    paid,
+    remaining: Math.max(0, round2(total - paid)),
+    change: Math.max(0, round2(paid - total)),
+  };
+}
+
+/**
+ * Tenders as sent with the order: resolved payment mode ids and applied amounts.
+ * Tenders fully absorbed by the change are dropped.
+ *
+ * @param {Array<{ paymentModeId, amount }>} payments
+ * @param {number} grandTotal
+ * @returns {Array<{ paymentModeId: string, amount: number }>}
+ */
+export function toPaymentRequests(payments, grandTotal) {
+  let change = summarizeTenders(payments, grandTotal).change;
+  return (payments ?? [])
+    .map((row) => ({ paymentModeId: resolveId(row.paymentModeId), amount: Number(row.amount) || 0 }))
+    .reverse()
+    .map((row) => {
+      const deducted = Math.min(change, row.amount);
+      change = round2(change - deducted);
+      return { ...row, amount: round2(row.amount - deducted) };
+    })
+    .reverse()
+    .filter((row) => row.amount > 0);
+}
@@ -16,6 +16,7 @@ import { ACTION_PERMISSIONS } from 'src/utils/action-permissions';
 
 import { useGetTenantsDropdownQuery } from 'src/store/api/tenants-api';
 import {
+  paymentModesApi,
   useGetPaymentModesQuery,
   useDeletePaymentModeMutation,
   useTogglePaymentModeActiveMutation,
@@ -27,6 +28,7 @@ import { Field } from 'src/components/hook-form';
 import { Iconify } from 'src/components/iconify';
 import { EmptyContent } from 'src/components/empty-content';
 import { ConfirmDialog } from 'src/components/custom-dialog/confirm-dialog';
+import { useListExport, ExportMenuButton } from 'src/components/export-menu';
 import { CustomTable, DEFAULT_PAGINATION } from 'src/components/custom-table';
 
 import { PaymentModeFormDialog } from '../form/payment-mode-form-dialog';
@@ -40,6 +42,13 @@ const getTenantId = (tenant) => {
   return tenant;
 };
 
+const toPaymentModeRow = (pm) => ({
+  id: pm.id,
+  name: pm.name,
+  description: pm.description ?? '-',
+  isActive: pm.isActive,
+});
+
 // ----------------------------------------------------------------------
 
 /**
@@ -260,16 +269,7 @@ export function PaymentModeListView() {
     setPageNumber(1); // Reset to first page when clearing search
   }, [searchForm]);
 
-  const rows = useMemo(
-    () =>
-      paymentModes.map((pm) => ({
-        id: pm.id,
-        name: pm.name,
-        description: pm.description ?? '-',
-        isActive: pm.isActive,
-      })),
-    [paymentModes]
-  );
+  const rows = useMemo(() => paymentModes.map(toPaymentModeRow), [paymentModes]);
 
   const columns = useMemo(
     () => [
@@ -288,6 +288,7 @@ export function PaymentModeListView() {
         field: 'isActive',
         headerName: 'Status',
         flex: 1,
+        exportValue: (row) => (row.isActive ? 'Active' : 'Inactive'),
         renderCell: (params) => (
           <Label color={params.value ? 'success' : 'default'} variant="soft">
             {params.value ? 'Active' : 'Inactive'}
@@ -298,6 +299,15 @@ export function PaymentModeListView() {
     []
   );
 
+  const { tableProps: exportTableProps, ...exportMenuProps } = useListExport({
+    endpoint: paymentModesApi.endpoints.getPaymentModes,
+    queryParams,
+    rows,
+    toRow: toPaymentModeRow,
+    columns,
+    filename: 'Payment Modes',
+  });
+
   const actions = useMemo(
     () => [
       { id: 'view', label: 'View', icon: 'solar:eye-bold', onClick: (row) => handleView(row), order: 1 },
@@ -376,12 +386,13 @@ export function PaymentModeListView() {
               sx={{ minWidth: { sm: 200 } }}
             />
           </FormProvider>
+          <ExportMenuButton {...exportMenuProps} sx={{ ml: 'auto' }} />
           {can(ACTION_PERMISSIONS.PaymentModes.create) && (
             <Field.Button
               variant="contained"
               startIcon="mingcute:add-line"
               onClick={handleCreate}
-              sx={{ ml: 'auto', minHeight: 44 }}
+              sx={{ minHeight: 44 }}
             >
               Create Payment Mode
             </Field.Button>
@@ -389,6 +400,7 @@ export function PaymentModeListView() {
         </Stack>
 
         <CustomTable
+          {...exportTableProps}
           rows={rows}
           columns={columns}
           loading={isLoading}
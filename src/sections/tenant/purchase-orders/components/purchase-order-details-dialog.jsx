@@ -0,0 +1,467 @@
+'use client';
+
+import { useMemo, useState, useCallback } from 'react';
+
+import Box from '@mui/material/Box';
+import Card from '@mui/material/Card';
+import Stack from '@mui/material/Stack';
+import Divider from '@mui/material/Divider';
+import Typography from '@mui/material/Typography';
+import { useTheme, useMediaQuery } from '@mui/material';
+
+import { paths } from 'src/routes/paths';
+import { RouterLink } from 'src/routes/components';
+
+import { fDate, fDateTime } from 'src/utils/format-time';
+import { fPercent, fCurrency } from 'src/utils/format-number';
+import { getApiErrorMessage } from 'src/utils/api-error-message';
+import { getLineUnitFactor, formatLineQuantity } from 'src/utils/units-of-measure';
+
+import {
+  useGetPurchaseOrderByIdQuery,
+  useReversePurchaseOrderReceiptMutation,
+} from 'src/store/api/purchase-orders-api';
+
+import { Label } from 'src/components/label';
+import { toast } from 'src/components/snackbar';
+import { Field } from 'src/components/hook-form';
+import { CustomTable } from 'src/components/custom-table';
+import { CustomDialog } from 'src/components/custom-dialog';
+import { QueryStateContent } from 'src/components/query-state-content';
+import { ConfirmDialog } from 'src/components/custom-dialog/confirm-dialog';
+
+import {
+  getStatusLabel as getStockDocumentStatusLabel,
+  getStatusColor as getStockDocumentStatusColor,
+} from 'src/sections/tenant/stock-documents/utils/stock-document-helpers';
+
+import {
+  canEdit,
+  canSend,
+  canDelete,
+  canReceive,
+  getOrderTotal,
+  getStatusLabel,
+  getStatusColor,
+  formatInLineUnit,
+  canReverseReceipt,
+  getOrderLineProgress,
+} from '../utils/purchase-order-helpers';
+
+// ----------------------------------------------------------------------
+
+const formatCurrency = (amount) =>
+  amount == null ? '-' : fCurrency(amount, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const formatDate = (dateString) => {
+  if (!dateString) return '-';
+  const formatted = fDateTime(dateString);
+  return formatted === 'Invalid date' ? '-' : formatted;
+};
+
+// Price per the line's unit (prices are stored per base unit)
+const formatLinePrice = (line, basePrice) =>
+  basePrice == null ? '-' : formatCurrency(basePrice * getLineUnitFactor(line));
+
+const renderVarianceCell = (progress) => {
+  if (progress.received === 0) return <Typography variant="body2">-</Typography>;
+  return (
+    <Stack spacing={0.25} alignItems="flex-start">
+      {progress.quantityVariance !== 0 && (
+        <Label color={progress.quantityVariance < 0 ? 'warning' : 'info'} variant="soft">
+          {progress.quantityVariance < 0 ? 'Short' : 'Over'}{' '}
+          {formatInLineUnit(progress.line, Math.abs(progress.quantityVariance))}
+        </Label>
+      )}
+      {!!progress.priceVariancePercent && (
+        <Typography
+          variant="caption"
+          color={progress.priceVariancePercent > 0 ? 'error.main' : 'success.main'}
+        >
+          Price {progress.priceVariancePercent > 0 ? '+' : ''}
+          {fPercent(progress.priceVariancePercent)}
+        </Typography>
+      )}
+      {progress.quantityVariance === 0 && !progress.priceVariancePercent && (
+        <Label color="success" variant="soft">
+          As ordered
+        </Label>
+      )}
+    </Stack>
+  );
+};
+
+// ----------------------------------------------------------------------
+
+/**
+ * Purchase Order Details Dialog Component
+ *
+ * Loads the order by id (the list rows carry no receipts). Shows ordered vs received vs
+ * outstanding per line with quantity and price variances, and the goods-received notes with the
+ * Purchase stock document each one posted. A posted receipt can be reversed here (reverses its
+ * stock document and puts the quantity back to outstanding). Status-based actions pass the order
+ * to callbacks.
+ *
+ * @param {Object} props
+ * @param {boolean} props.open - Whether the dialog is open
+ * @param {Object|null} props.record - Purchase order from list
+ * @param {Function} props.onClose - Callback when dialog closes
+ * @param {Function} props.onEdit - Callback when Edit is clicked (receives order)
+ * @param {Function} props.onSend - Callback when Send is clicked (receives order)
+ * @param {Function} props.onReceive - Callback when Receive is clicked (receives order)
+ * @param {Function} props.onDelete - Callback when Delete is clicked (receives order)
+ * @param {Object} [props.permissions] - { edit, send, receive, delete, reverseReceipt } booleans
+ */
+export function PurchaseOrderDetailsDialog({
+  open,
+  record,
+  onClose,
+  onEdit,
+  onSend,
+  onReceive,
+  onDelete,
+  permissions = {},
+}) {
+  const theme = useTheme();
+  const isMobile = useMediaQuery(theme.breakpoints.down('sm'));
+
+  const [receiptToReverse, setReceiptToReverse] = useState(null);
+
+  const {
+    data: orderData,
+    isLoading,
+    isError,
+    error,
+    refetch,
+  } = useGetPurchaseOrderByIdQuery(record?.id, { skip: !open || !record?.id });
+  const order = orderData ?? null;
+
+  const [reverseReceipt, { isLoading: isReversing }] = useReversePurchaseOrderReceiptMutation();
+
+  const lineProgress = useMemo(() => getOrderLineProgress(order), [order]);
+  const receipts = useMemo(
+    () =>
+      [...(order?.receipts ?? [])].sort(
+        (a, b) => new Date(b.receivedDate ?? b.createDate ?? 0) - new Date(a.receivedDate ?? a.createDate ?? 0)
+      ),
+    [order?.receipts]
+  );
+
+  const handleConfirmReverse = useCallback(async () => {
+    if (!receiptToReverse || !order?.id) return;
+    try {
+      await reverseReceipt({ id: order.id, receiptId: receiptToReverse.id }).unwrap();
+      toast.success('Receipt reversed; its stock document was reversed');
+      setReceiptToReverse(null);
+    } catch (err) {
+      const { message } = getApiErrorMessage(err, {
+        defaultMessage: 'Failed to reverse receipt',
+        validationMessage: 'Only posted receipts can be reversed.',
+      });
+      toast.error(message);
+    }
+  }, [receiptToReverse, order?.id, reverseReceipt]);
+
+  const status = order?.status ?? record?.status;
+  const actions = [
+    canEdit(status) && permissions.edit && (
+      <Field.Button
+        key="edit"
+        variant="outlined"
+        color="primary"
+        startIcon="solar:pen-bold"
+        onClick={() => onEdit?.(order ?? record)}
+        sx={{ minHeight: 44 }}
+      >
+        Edit
+      </Field.Button>
+    ),
+    canSend(status) && permissions.send && (
+      <Field.Button
+        key="send"
+        variant="contained"
+        color="info"
+        startIcon="solar:letter-bold"
+        onClick={() => onSend?.(order ?? record)}
+        sx={{ minHeight: 44 }}
+      >
+        Send
+      </Field.Button>
+    ),
+    canReceive(status) && permissions.receive && (
+      <Field.Button
+        key="receive"
+        variant="contained"
+        color="success"
+        startIcon="solar:inbox-in-bold"
+        onClick={() => onReceive?.(order ?? record)}
+        sx={{ minHeight: 44 }}
+      >
+        Receive Goods
+      </Field.Button>
+    ),
+    canDelete(status) && permissions.delete && (
+      <Field.Button
+        key="delete"
+        variant="outlined"
+        color="error"
+        startIcon="solar:trash-bin-trash-bold"
+        onClick={() => onDelete?.(order ?? record)}
+        sx={{ minHeight: 44 }}
+      >
+        Delete
+      </Field.Button>
+    ),
+  ].filter(Boolean);
+
+  const renderInfo = (label, value) => (
+    <Box>
+      <Typography variant="caption" color="text.secondary">
+        {label}
+      </Typography>
+      {typeof value === 'string' || value == null ? (
+        <Typography variant="body1">{value || '-'}</Typography>
+      ) : (
+        <Box sx={{ mt: 0.5 }}>{value}</Box>
+      )}
+    </Box>
+  );
+
+  const renderLines = () => (
+    <Box>
+      <Typography variant="subtitle2" sx={{ mb: 2 }}>
+        Order Items ({lineProgress.length})
+      </Typography>
+      <Card>
+        <CustomTable
+          rows={lineProgress.map((progress, index) => ({ id: index, ...progress }))}
+          columns={[
+            {
+              field: 'itemName',
+              headerName: 'Item',
+              flex: 1,
+              minWidth: 140,
+              valueGetter: (value, row) => row.line.itemName || '-',
+            },
+            {
+              field: 'ordered',
+              headerName: 'Ordered',
+              width: 130,
+              valueGetter: (value, row) => formatLineQuantity(row.line),
+            },
+            {
+              field: 'received',
+              headerName: 'Received',
+              width: 120,
+              valueGetter: (value, row) => formatInLineUnit(row.line, row.received),
+            },
+            {
+              field: 'outstanding',
+              headerName: 'Outstanding',
+              width: 120,
+              valueGetter: (value, row) => formatInLineUnit(row.line, row.outstanding),
+            },
+            {
+              field: 'unitPrice',
+              headerName: 'Ordered Price',
+              width: 120,
+              valueGetter: (value, row) => formatLinePrice(row.line, row.line.unitPrice),
+            },
+            {
+              field: 'receivedUnitPrice',
+              headerName: 'Received Price',
+              width: 120,
+              valueGetter: (value, row) => formatLinePrice(row.line, row.receivedUnitPrice),
+            },
+            {
+              field: 'variance',
+              headerName: 'Variance',
+              width: 150,
+              sortable: false,
+              renderCell: (params) => renderVarianceCell(params.row),
+            },
+          ]}
+          pagination={false}
+          toolbar={false}
+          hideFooter
+          getRowId={(row) => row.id}
+        />
+      </Card>
+    </Box>
+  );
+
+  const renderReceipts = () => (
+    <Box>
+      <Typography variant="subtitle2" sx={{ mb: 2 }}>
+        Goods Received ({receipts.length})
+      </Typography>
+      {receipts.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          Nothing received yet.
+        </Typography>
+      ) : (
+        <Card>
+          <CustomTable
+            rows={receipts}
+            columns={[
+              {
+                field: 'receivedDate',
+                headerName: 'Received',
+                width: 170,
+                valueGetter: (value, row) => formatDate(value ?? row.createDate),
+              },
+              {
+                field: 'stockDocumentId',
+                headerName: 'Stock Document',
+                flex: 1,
+                minWidth: 140,
+                renderCell: (params) => (
+                  <Typography variant="body2" sx={{ fontFamily: 'monospace', fontSize: '0.8125rem' }}>
+                    {params.value || '-'}
+                  </Typography>
+                ),
+              },
+              {
+                field: 'status',
+                headerName: 'Status',
+                width: 110,
+                renderCell: (params) => (
+                  <Label color={getStockDocumentStatusColor(params.value)} variant="soft">
+                    {getStockDocumentStatusLabel(params.value)}
+                  </Label>
+                ),
+              },
+              {
+                field: 'items',
+                headerName: 'Items',
+                width: 80,
+                valueGetter: (value) => (value ?? []).length,
+              },
+              {
+                field: 'total',
+                headerName: 'Total',
+                width: 120,
+                valueGetter: (value, row) => formatCurrency(value ?? getOrderTotal(row.items)),
+              },
+              {
+                field: 'actions',
+                headerName: '',
+                width: 110,
+                sortable: false,
+                renderCell: (params) =>
+                  canReverseReceipt(params.row) && permissions.reverseReceipt ? (
+                    <Field.Button
+                      size="small"
+                      variant="outlined"
+                      color="error"
+                      onClick={() => setReceiptToReverse(params.row)}
+                    >
+                      Reverse
+                    </Field.Button>
+                  ) : null,
+              },
+            ]}
+            pagination={false}
+            toolbar={false}
+            hideFooter
+            getRowId={(row) => row.id}
+          />
+        </Card>
+      )}
+    </Box>
+  );
+
+  return (
+    <>
+      <CustomDialog
+        open={open}
+        onClose={onClose}
+        title="Purchase Order Details"
+        maxWidth="lg"
+        fullWidth
+        fullScreen={isMobile}
+        actions={
+          actions.length > 0 ? (
+            <Box sx={{ display: 'flex', gap: 1, justifyContent: 'flex-end', flexWrap: 'wrap' }}>{actions}</Box>
+          ) : null
+        }
+      >
+        <QueryStateContent
+          isLoading={isLoading}
+          isError={isError}
+          error={error}
+          onRetry={refetch}
+          errorTitle="Failed to load purchase order"
+          errorMessageOptions={{
+            defaultMessage: 'Failed to load purchase order',
+            notFoundMessage: 'Purchase order not found',
+          }}
+          minHeight={300}
+        >
+          {order && (
+            <Box sx={{ display: 'flex', flexDirection: 'column', gap: 3, pt: 1, pb: 3 }}>
+              <Box
+                sx={{
+                  display: 'grid',
+                  gap: 2,
+                  gridTemplateColumns: { xs: '1fr', sm: 'repeat(2, 1fr)', md: 'repeat(3, 1fr)' },
+                }}
+              >
+                {renderInfo(
+                  'Supplier',
+                  order.supplierId ? (
+                    <Typography
+                      variant="body1"
+                      component={RouterLink}
+                      href={paths.tenant.suppliers.details(order.supplierId)}
+                      sx={{ color: 'primary.main' }}
+                    >
+                      {order.supplierName || order.supplierId}
+                    </Typography>
+                  ) : (
+                    order.supplierName
+                  )
+                )}
+                {renderInfo(
+                  'Status',
+                  <Label color={getStatusColor(order.status)} variant="soft">
+                    {getStatusLabel(order.status)}
+                  </Label>
+                )}
+                {renderInfo('Expected Delivery', order.expectedDate ? fDate(order.expectedDate) : null)}
+                {renderInfo('Order Total', formatCurrency(getOrderTotal(order.items)))}
+                {renderInfo('Sent At', order.sentDate ? formatDate(order.sentDate) : null)}
+                {renderInfo('Created At', formatDate(order.createDate))}
+                {order.remarks && renderInfo('Remarks', order.remarks)}
+              </Box>
+
+              <Divider sx={{ borderStyle: 'dashed' }} />
+
+              {renderLines()}
+
+              {renderReceipts()}
+            </Box>
+          )}
+        </QueryStateContent>
+      </CustomDialog>
+
+      <ConfirmDialog
+        open={!!receiptToReverse}
+        title="Reverse Receipt?"
+        content="The Purchase stock document posted by this receipt will be reversed and its quantities become outstanding on the order again."
+        action={
+          <Field.Button
+            variant="contained"
+            color="error"
+            onClick={handleConfirmReverse}
+            loading={isReversing}
+            disabled={isReversing}
+          >
+            Reverse
+          </Field.Button>
+        }
+        onClose={() => !isReversing && setReceiptToReverse(null)}
+      />
+    </>
+  );
+}
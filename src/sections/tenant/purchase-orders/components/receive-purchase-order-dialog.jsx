@@ -0,0 +1,385 @@
+'use client';
+
+import { useForm, useWatch } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { useRef, useMemo, useState, useEffect, useCallback } from 'react';
+
+import Box from '@mui/material/Box';
+import Alert from '@mui/material/Alert';
+import Stack from '@mui/material/Stack';
+import Divider from '@mui/material/Divider';
+import Typography from '@mui/material/Typography';
+import { useTheme, useMediaQuery } from '@mui/material';
+
+import { fPercent } from 'src/utils/format-number';
+import { getApiErrorMessage } from 'src/utils/api-error-message';
+
+import { receivePurchaseOrderSchema } from 'src/schemas';
+import { useGetItemsQuery } from 'src/store/api/items-api';
+import {
+  useGetPurchaseOrderByIdQuery,
+  useReceivePurchaseOrderMutation,
+} from 'src/store/api/purchase-orders-api';
+
+import { Label } from 'src/components/label';
+import { toast } from 'src/components/snackbar';
+import { Form, Field } from 'src/components/hook-form';
+import { CustomDialog } from 'src/components/custom-dialog';
+import { ConfirmDialog } from 'src/components/custom-dialog/confirm-dialog';
+
+import { generateIdempotencyKey } from 'src/sections/tenant/orders/utils/offline-order-queue';
+import { StockDocumentItemsField } from 'src/sections/tenant/stock-documents/form/components/stock-document-items-field';
+import {
+  toItemOption,
+  toBaseUnitLine,
+  toItemsFieldLine,
+  withLineItemOptions,
+} from 'src/sections/tenant/stock-documents/utils/stock-document-helpers';
+
+import {
+  formatInLineUnit,
+  getReceiptVariances,
+  getOrderLineProgress,
+  getReceiptOrderLineId,
+  getPriceVariancePercent,
+} from '../utils/purchase-order-helpers';
+
+// ----------------------------------------------------------------------
+
+const EMPTY_VALUES = { remarks: null, items: [] };
+
+// Outstanding quantity of each order line, in the unit it was ordered in, at the ordered price. Each
+// row carries the order line it is received against.
+const toOutstandingLines = (order, itemOptions) =>
+  getOrderLineProgress(order)
+    .filter((progress) => progress.outstanding > 0)
+    .map((progress) => {
+      const factor = progress.line.unitQuantity > 0 ? progress.line.quantity / progress.line.unitQuantity : 1;
+      return {
+        ...toItemsFieldLine(
+          { ...progress.line, quantity: progress.outstanding, unitQuantity: progress.outstanding / factor, remarks: null },
+          itemOptions
+        ),
+        purchaseOrderItemId: progress.line.id ?? null,
+      };
+    });
+
+// Form row → base unit receipt line, keeping the order line it is received against (null until an
+// item is picked)
+const toReceiptLine = (row, itemOptions) =>
+  row?.itemId ? { ...toBaseUnitLine(row, itemOptions), purchaseOrderItemId: row.purchaseOrderItemId ?? null } : null;
+
+// ----------------------------------------------------------------------
+
+/**
+ * Receive Purchase Order Dialog (goods-received note)
+ *
+ * Prefilled with what is still outstanding on the order, in the ordered units and prices. Lines
+ * are edited with the stock document line entry to match what actually arrived; quantities above
+ * or below the outstanding quantity, prices different from the ordered price and items that were
+ * not ordered are highlighted. Saving records the GRN, which creates and posts the corresponding
+ * Purchase stock document (stock is updated immediately).
+ *
+ * @param {Object} props
+ * @param {boolean} props.open
+ * @param {Object|null} props.record - Purchase order from the list (reloaded by id for receipts)
+ * @param {Function} props.onClose
+ * @param {Function} props.onSuccess - Receives the created receipt ({ id, stockDocumentId })
+ */
+export function ReceivePurchaseOrderDialog({ open, record, onClose, onSuccess }) {
+  const theme = useTheme();
+  const isMobile = useMediaQuery(theme.breakpoints.down('sm'));
+
+  const [unsavedChangesDialogOpen, setUnsavedChangesDialogOpen] = useState(false);
+  const isSubmittingRef = useRef(false);
+  // { key, fingerprint } of the last receipt; a retry of the identical receipt reuses the key so the
+  // backend never posts the stock twice, while any edit gets a new one
+  const idempotencyRef = useRef(null);
+
+  const [receivePurchaseOrder, { isLoading: isSubmitting }] = useReceivePurchaseOrderMutation();
+
+  const { data: orderData, isLoading: isLoadingOrder } = useGetPurchaseOrderByIdQuery(record?.id, {
+    skip: !open || !record?.id,
+  });
+  const order = orderData ?? record;
+
+  const { data: itemsQueryData, isLoading: isLoadingItems } = useGetItemsQuery({ pageSize: 200 }, { skip: !open });
+  const itemOptions = useMemo(
+    () => withLineItemOptions((itemsQueryData?.data ?? []).map(toItemOption), order?.items),
+    [itemsQueryData, order?.items]
+  );
+
+  const methods = useForm({
+    resolver: zodResolver(receivePurchaseOrderSchema),
+    defaultValues: useMemo(() => EMPTY_VALUES, []),
+    mode: 'onChange',
+  });
+
+  const {
+    reset,
+    control,
+    handleSubmit,
+    formState: { isDirty },
+  } = methods;
+
+  // Seed the form once per open (and order), when the order (with its receipts) and the items are
+  // loaded: a later refetch must not wipe what the user has entered.
+  const seededKeyRef = useRef(null);
+  useEffect(() => {
+    if (!open) {
+      seededKeyRef.current = null;
+      idempotencyRef.current = null;
+      reset(EMPTY_VALUES);
+      return;
+    }
+    if (!order || isLoadingOrder || isLoadingItems || seededKeyRef.current === order.id) return;
+    reset({ remarks: null, items: toOutstandingLines(order, itemOptions) });
+    seededKeyRef.current = order.id;
+  }, [open, order, isLoadingOrder, isLoadingItems, itemOptions, reset]);
+
+  const watchedItems = useWatch({ control, name: 'items' });
+  const receiptLines = useMemo(
+    () => (watchedItems ?? []).map((row) => toReceiptLine(row, itemOptions)),
+    [watchedItems, itemOptions]
+  );
+  const variances = useMemo(
+    () => getReceiptVariances(order, receiptLines.filter(Boolean)),
+    [order, receiptLines]
+  );
+
+  // Variance of one receipt line: its order line's, or null when it is not on the order
+  const getLineVariance = useCallback(
+    (line) => {
+      const lineId = line ? getReceiptOrderLineId(order, line) : null;
+      return lineId ? variances.get(lineId) : null;
+    },
+    [order, variances]
+  );
+
+  const varianceSummary = useMemo(() => {
+    const summary = { short: 0, over: 0, notOrdered: 0, priceChanged: 0 };
+    variances.forEach((variance) => {
+      if (variance.quantityVariance < 0) summary.short += 1;
+      else if (variance.quantityVariance > 0) summary.over += 1;
+    });
+    receiptLines.forEach((line) => {
+      if (!line) return;
+      const variance = getLineVariance(line);
+      if (!variance) summary.notOrdered += 1;
+      else if (getPriceVariancePercent(variance.orderedUnitPrice, line.unitPrice)) summary.priceChanged += 1;
+    });
+    return summary;
+  }, [variances, receiptLines, getLineVariance]);
+
+  const hasVariances = Object.values(varianceSummary).some((count) => count > 0);
+
+  const varianceColumn = useMemo(
+    () => ({
+      field: 'variance',
+      headerName: 'vs Order',
+      width: 150,
+      sortable: false,
+      renderCell: (params) => {
+        const line = receiptLines[params.row.index];
+        if (!line) return null;
+        const variance = getLineVariance(line);
+        if (!variance) {
+          return (
+            <Label color="warning" variant="soft">
+              Not ordered
+            </Label>
+          );
+        }
+        const pricePercent = getPriceVariancePercent(variance.orderedUnitPrice, line.unitPrice);
+        return (
+          <Stack spacing={0.25} alignItems="flex-start">
+            {variance.quantityVariance === 0 ? (
+              <Label color="success" variant="soft">
+                As ordered
+              </Label>
+            ) : (
+              <Label color={variance.quantityVariance < 0 ? 'warning' : 'info'} variant="soft">
+                {variance.quantityVariance < 0 ? 'Short' : 'Over'}{' '}
+                {formatInLineUnit(variance.line, Math.abs(variance.quantityVariance))}
+              </Label>
+            )}
+            {!!pricePercent && (
+              <Typography variant="caption" color={pricePercent > 0 ? 'error.main' : 'success.main'}>
+                Price {pricePercent > 0 ? '+' : ''}
+                {fPercent(pricePercent)}
+              </Typography>
+            )}
+          </Stack>
+        );
+      },
+    }),
+    [receiptLines, getLineVariance]
+  );
+
+  const onSubmit = handleSubmit(async (data) => {
+    if (isSubmittingRef.current || isSubmitting || !order?.id) return;
+    isSubmittingRef.current = true;
+
+    // Booked against the order line a row was prefilled from; rows added by hand (or whose item was
+    // changed) are not booked against any line
+    const items = data.items.map((row) => {
+      const line = toReceiptLine(row, itemOptions);
+      return { ...line, purchaseOrderItemId: getReceiptOrderLineId(order, line) };
+    });
+
+    const body = { remarks: data.remarks?.trim() || null, items };
+    const fingerprint = JSON.stringify([order.id, body]);
+    if (idempotencyRef.current?.fingerprint !== fingerprint) {
+      idempotencyRef.current = { key: generateIdempotencyKey(), fingerprint };
+    }
+
+    try {
+      const result = await receivePurchaseOrder({
+        id: order.id,
+        body,
+        idempotencyKey: idempotencyRef.current.key,
+      }).unwrap();
+      idempotencyRef.current = null;
+      onSuccess?.(result);
+      reset();
+      onClose();
+    } catch (err) {
+      const { message, isRetryable } = getApiErrorMessage(err, {
+        defaultMessage: 'Failed to receive goods',
+        validationMessage: 'Validation failed. Goods can only be received on sent purchase orders.',
+      });
+      if (isRetryable) {
+        toast.error(message, {
+          action: {
+            label: 'Retry',
+            onClick: () => {
+              setTimeout(() => onSubmit({ preventDefault: () => {}, target: { checkValidity: () => true } }), 100);
+            },
+          },
+        });
+      } else {
+        // Rejected by the API, nothing was posted: a corrected resubmission is a new request
+        idempotencyRef.current = null;
+        toast.error(message);
+      }
+    } finally {
+      isSubmittingRef.current = false;
+    }
+  });
+
+  const handleClose = useCallback(() => {
+    if (isSubmitting) return;
+    if (isDirty) {
+      setUnsavedChangesDialogOpen(true);
+      return;
+    }
+    reset();
+    onClose();
+  }, [isSubmitting, isDirty, reset, onClose]);
+
+  const handleConfirmDiscard = useCallback(() => {
+    setUnsavedChangesDialogOpen(false);
+    reset();
+    onClose();
+  }, [reset, onClose]);
+
+  const handleCancelDiscard = useCallback(() => {
+    setUnsavedChangesDialogOpen(false);
+  }, []);
+
+  const renderActions = () => (
+    <Box sx={{ display: 'flex', gap: 1, justifyContent: 'flex-end' }}>
+      <Field.Button
+        variant="outlined"
+        color="inherit"
+        onClick={handleClose}
+        disabled={isSubmitting}
+        sx={{ minHeight: 44 }}
+      >
+        Cancel
+      </Field.Button>
+      <Field.Button
+        variant="contained"
+        color="success"
+        type="submit"
+        onClick={onSubmit}
+        loading={isSubmitting}
+        disabled={isSubmitting || isLoadingOrder || receiptLines.length === 0}
+        startIcon="solar:check-circle-bold"
+        sx={{ minHeight: 44 }}
+      >
+        Receive &amp; Post
+      </Field.Button>
+    </Box>
+  );
+
+  const varianceMessages = [
+    varianceSummary.short && `${varianceSummary.short} short`,
+    varianceSummary.over && `${varianceSummary.over} over`,
+    varianceSummary.notOrdered && `${varianceSummary.notOrdered} not ordered`,
+    varianceSummary.priceChanged && `${varianceSummary.priceChanged} with a price different from the order`,
+  ].filter(Boolean);
+
+  return (
+    <>
+      <CustomDialog
+        open={open}
+        onClose={handleClose}
+        title={`Receive Goods${order?.supplierName ? ` · ${order.supplierName}` : ''}`}
+        maxWidth="lg"
+        fullWidth
+        fullScreen={isMobile}
+        loading={isSubmitting || isLoadingOrder}
+        disableClose={isSubmitting}
+        actions={renderActions()}
+      >
+        <Form methods={methods} onSubmit={onSubmit}>
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 3, pt: 1 }}>
+            <Stack spacing={2}>
+              <Alert severity="warning">
+                Receiving creates and posts a Purchase stock document. Stock balances are updated
+                immediately; a receipt can only be undone by reversing it.
+              </Alert>
+              {hasVariances && (
+                <Alert severity="info">Differences from the order: {varianceMessages.join(', ')}.</Alert>
+              )}
+            </Stack>
+
+            <Field.Text
+              name="remarks"
+              label="Remarks"
+              placeholder="Delivery note number, condition of goods… (optional)"
+            />
+
+            <Divider sx={{ borderStyle: 'dashed' }} />
+
+            <Box>
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                Enter what arrived and the price charged. Remove lines that were not delivered; they stay
+                outstanding on the order.
+              </Typography>
+              <StockDocumentItemsField
+                name="items"
+                itemOptions={itemOptions}
+                title="Received Items"
+                extraColumns={[varianceColumn]}
+              />
+            </Box>
+          </Box>
+        </Form>
+      </CustomDialog>
+
+      <ConfirmDialog
+        open={unsavedChangesDialogOpen}
+        title="Discard Changes?"
+        content="You have unsaved changes. Are you sure you want to close without saving?"
+        action={
+          <Field.Button variant="contained" color="error" onClick={handleConfirmDiscard}>
+            Discard
+          </Field.Button>
+        }
+        onClose={handleCancelDiscard}
+      />
+    </>
+  );
+}
@@ -0,0 +1,282 @@
+'use client';
+
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { useRef, useMemo, useState, useEffect, useCallback } from 'react';
+
+import Box from '@mui/material/Box';
+import Divider from '@mui/material/Divider';
+import Typography from '@mui/material/Typography';
+import { useTheme, useMediaQuery } from '@mui/material';
+
+import { getApiErrorMessage } from 'src/utils/api-error-message';
+
+import { useGetItemsQuery } from 'src/store/api/items-api';
+import { useGetSuppliersDropdownQuery } from 'src/store/api/suppliers-api';
+import { createPurchaseOrderSchema, updatePurchaseOrderSchema } from 'src/schemas';
+import {
+  useCreatePurchaseOrderMutation,
+  useUpdatePurchaseOrderMutation,
+} from 'src/store/api/purchase-orders-api';
+
+import { toast } from 'src/components/snackbar';
+import { Form, Field } from 'src/components/hook-form';
+import { CustomDialog } from 'src/components/custom-dialog';
+import { ConfirmDialog } from 'src/components/custom-dialog/confirm-dialog';
+
+import { StockDocumentItemsField } from 'src/sections/tenant/stock-documents/form/components/stock-document-items-field';
+import {
+  toItemOption,
+  toBaseUnitLine,
+  toItemsFieldLine,
+  withLineItemOptions,
+} from 'src/sections/tenant/stock-documents/utils/stock-document-helpers';
+
+// ----------------------------------------------------------------------
+
+const EMPTY_LINE = { itemId: null, quantity: 1, unit: '', unitPrice: null, remarks: null };
+
+const EMPTY_VALUES = {
+  supplierId: null,
+  expectedDate: null,
+  remarks: null,
+  items: [EMPTY_LINE],
+};
+
+// ----------------------------------------------------------------------
+
+/**
+ * Purchase Order Form Dialog
+ *
+ * Single dialog for create and edit (drafts only). Edit mode uses record from list (no getById).
+ * Tenant and branch are resolved from user context (JWT).
+ * supplierId: from useGetSuppliersDropdownQuery. Lines use the stock document line entry
+ * (StockDocumentItemsField): entered in any unit of the item, sent in the base unit with the entered
+ * unit and quantity.
+ */
+export function PurchaseOrderFormDialog({ open, mode, record, onClose, onSuccess }) {
+  const theme = useTheme();
+  const isMobile = useMediaQuery(theme.breakpoints.down('sm'));
+
+  const [unsavedChangesDialogOpen, setUnsavedChangesDialogOpen] = useState(false);
+  const isSubmittingRef = useRef(false);
+
+  const [createPurchaseOrder, { isLoading: isCreating }] = useCreatePurchaseOrderMutation();
+  const [updatePurchaseOrder, { isLoading: isUpdating }] = useUpdatePurchaseOrderMutation();
+
+  const isSubmitting = isCreating || isUpdating;
+  const schema = mode === 'create' ? createPurchaseOrderSchema : updatePurchaseOrderSchema;
+
+  const methods = useForm({
+    resolver: zodResolver(schema),
+    defaultValues: useMemo(() => EMPTY_VALUES, []),
+    mode: 'onChange',
+  });
+
+  const {
+    reset,
+    handleSubmit,
+    formState: { isDirty },
+  } = methods;
+
+  const { data: itemsQueryData, isLoading: isLoadingItems } = useGetItemsQuery({ pageSize: 200 }, { skip: !open });
+  const itemOptions = useMemo(() => (itemsQueryData?.data ?? []).map(toItemOption), [itemsQueryData]);
+
+  // Effective item options: include the record's items not yet in itemOptions (edit mode)
+  const effectiveItemOptions = useMemo(
+    () => (mode === 'edit' ? withLineItemOptions(itemOptions, record?.items) : itemOptions),
+    [mode, record?.items, itemOptions]
+  );
+
+  const { data: suppliersDropdown } = useGetSuppliersDropdownQuery(undefined, { skip: !open });
+  const supplierOptions = useMemo(
+    () =>
+      Array.isArray(suppliersDropdown)
+        ? suppliersDropdown.map((supplier) => ({ id: supplier.key, label: supplier.value || supplier.key }))
+        : [],
+    [suppliersDropdown]
+  );
+
+  // Seed the form once per open (and record): a later refetch of the items or the order must not
+  // wipe what the user has typed. Edit mode waits for the items so lines get their full unit options.
+  const seededKeyRef = useRef(null);
+  useEffect(() => {
+    if (!open) {
+      seededKeyRef.current = null;
+      reset(EMPTY_VALUES);
+      return;
+    }
+    const seedKey = mode === 'edit' ? record?.id : 'create';
+    if (seededKeyRef.current === seedKey) return;
+    if (mode === 'edit') {
+      if (!record || isLoadingItems) return;
+      reset({
+        supplierId: record.supplierId ? { id: record.supplierId, label: record.supplierName || record.supplierId } : null,
+        expectedDate: record.expectedDate ?? null,
+        remarks: record.remarks || null,
+        items: record.items?.length
+          ? record.items.map((item) => toItemsFieldLine(item, effectiveItemOptions))
+          : [EMPTY_LINE],
+      });
+    } else {
+      reset(EMPTY_VALUES);
+    }
+    seededKeyRef.current = seedKey;
+  }, [open, mode, record, isLoadingItems, effectiveItemOptions, reset]);
+
+  const onSubmit = handleSubmit(async (data) => {
+    if (isSubmittingRef.current || isSubmitting) return;
+    isSubmittingRef.current = true;
+
+    const body = {
+      supplierId: data.supplierId,
+      expectedDate: data.expectedDate instanceof Date ? data.expectedDate.toISOString() : null,
+      remarks: data.remarks?.trim() || null,
+      items: data.items.map((line) => toBaseUnitLine(line, effectiveItemOptions)),
+    };
+
+    try {
+      if (mode === 'create') {
+        const result = await createPurchaseOrder(body).unwrap();
+        onSuccess?.(result, 'created');
+      } else {
+        await updatePurchaseOrder({ id: record.id, body }).unwrap();
+        onSuccess?.(record.id, 'updated');
+      }
+      reset();
+      onClose();
+    } catch (err) {
+      const { message, isRetryable } = getApiErrorMessage(err, {
+        defaultMessage: `Failed to ${mode === 'create' ? 'create' : 'update'} purchase order`,
+        validationMessage: 'Validation failed. Only draft purchase orders can be edited.',
+      });
+      if (isRetryable) {
+        toast.error(message, {
+          action: {
+            label: 'Retry',
+            onClick: () => {
+              setTimeout(() => onSubmit({ preventDefault: () => {}, target: { checkValidity: () => true } }), 100);
+            },
+          },
+        });
+      } else {
+        toast.error(message);
+      }
+    } finally {
+      isSubmittingRef.current = false;
+    }
+  });
+
+  const handleClose = useCallback(() => {
+    if (isSubmitting) return;
+    if (isDirty) {
+      setUnsavedChangesDialogOpen(true);
+      return;
+    }
+    reset();
+    onClose();
+  }, [isSubmitting, isDirty, reset, onClose]);
+
+  const handleConfirmDiscard = useCallback(() => {
+    setUnsavedChangesDialogOpen(false);
+    reset();
+    onClose();
+  }, [reset, onClose]);
+
+  const handleCancelDiscard = useCallback(() => {
+    setUnsavedChangesDialogOpen(false);
+  }, []);
+
+  const renderActions = () => (
+    <Box sx={{ display: 'flex', gap: 1, justifyContent: 'flex-end' }}>
+      <Field.Button
+        variant="outlined"
+        color="inherit"
+        onClick={handleClose}
+        disabled={isSubmitting}
+      >
+        Cancel
+      </Field.Button>
+      <Field.Button
+        variant="contained"
+        type="submit"
+        onClick={onSubmit}
+        loading={isSubmitting}
+        disabled={isSubmitting}
+        startIcon="solar:check-circle-bold"
+        sx={{ minHeight: 44 }}
+      >
+        {mode === 'create' ? 'Save Draft' : 'Update'}
+      </Field.Button>
+    </Box>
+  );
+
+  return (
+    <>
+      <CustomDialog
+        open={open}
+        onClose={handleClose}
+        title={mode === 'create' ? 'Create Purchase Order' : 'Edit Purchase Order'}
+        maxWidth="lg"
+        fullWidth
+        fullScreen={isMobile}
+        loading={isSubmitting}
+        disableClose={isSubmitting}
+        actions={renderActions()}
+      >
+        <Form methods={methods} onSubmit={onSubmit}>
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 3, pt: 1 }}>
+            <Box>
+              <Typography variant="subtitle2" sx={{ mb: 2 }}>
+                Order Information
+              </Typography>
+              <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+                <Box sx={{ display: 'flex', gap: 2, flexDirection: { xs: 'column', sm: 'row' } }}>
+                  <Field.Autocomplete
+                    name="supplierId"
+                    label="Supplier"
+                    options={supplierOptions}
+                    getOptionLabel={(opt) => opt?.label ?? ''}
+                    isOptionEqualToValue={(opt, val) => opt?.id === val?.id}
+                    required
+                    slotProps={{ textField: { placeholder: 'Select supplier' } }}
+                    sx={{ flex: 1 }}
+                  />
+                  <Field.DatePicker
+                    name="expectedDate"
+                    label="Expected Delivery"
+                    slotProps={{ textField: { placeholder: 'Optional' } }}
+                    sx={{ flex: 1 }}
+                  />
+                </Box>
+                <Field.Text
+                  name="remarks"
+                  label="Remarks"
+                  placeholder="Enter remarks (optional)"
+                  multiline
+                  rows={2}
+                />
+              </Box>
+            </Box>
+
+            <Divider sx={{ borderStyle: 'dashed' }} />
+
+            <StockDocumentItemsField name="items" itemOptions={effectiveItemOptions} title="Order Items" />
+          </Box>
+        </Form>
+      </CustomDialog>
+
+      <ConfirmDialog
+        open={unsavedChangesDialogOpen}
+        title="Discard Changes?"
+        content="You have unsaved changes. Are you sure you want to close without saving?"
+        action={
+          <Field.Button variant="contained" color="error" onClick={handleConfirmDiscard}>
+            Discard
+          </Field.Button>
+        }
+        onClose={handleCancelDiscard}
+      />
+    </>
+  );
+}
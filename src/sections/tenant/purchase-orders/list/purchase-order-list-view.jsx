@@ -0,0 +1,489 @@
+'use client';
+
+import { useForm, FormProvider } from 'react-hook-form';
+import { useMemo, useState, useEffect, useCallback } from 'react';
+
+import Box from '@mui/material/Box';
+import Card from '@mui/material/Card';
+import Stack from '@mui/material/Stack';
+import IconButton from '@mui/material/IconButton';
+import InputAdornment from '@mui/material/InputAdornment';
+
+import { can } from 'src/utils/permissions';
+import { fCurrency } from 'src/utils/format-number';
+import { fDate, fDateTime } from 'src/utils/format-time';
+import { getApiErrorMessage } from 'src/utils/api-error-message';
+import { ACTION_PERMISSIONS } from 'src/utils/action-permissions';
+
+import {
+  purchaseOrdersApi,
+  useGetPurchaseOrdersQuery,
+  useSendPurchaseOrderMutation,
+  useDeletePurchaseOrderMutation,
+} from 'src/store/api/purchase-orders-api';
+
+import { Label } from 'src/components/label';
+import { toast } from 'src/components/snackbar';
+import { Field } from 'src/components/hook-form';
+import { Iconify } from 'src/components/iconify';
+import { EmptyContent } from 'src/components/empty-content';
+import { ConfirmDialog } from 'src/components/custom-dialog/confirm-dialog';
+import { useListExport, ExportMenuButton } from 'src/components/export-menu';
+import { CustomTable, DEFAULT_PAGINATION } from 'src/components/custom-table';
+
+import { PurchaseOrderFormDialog } from '../form/purchase-order-form-dialog';
+import { ReceivePurchaseOrderDialog } from '../components/receive-purchase-order-dialog';
+import { PurchaseOrderDetailsDialog } from '../components/purchase-order-details-dialog';
+import {
+  canEdit,
+  canSend,
+  canDelete,
+  canReceive,
+  getOrderTotal,
+  STATUS_OPTIONS,
+  getStatusLabel,
+  getStatusColor,
+} from '../utils/purchase-order-helpers';
+
+// ----------------------------------------------------------------------
+
+const formatDate = (dateString) => {
+  if (!dateString) return '-';
+  const formatted = fDateTime(dateString);
+  return formatted === 'Invalid date' ? '-' : formatted;
+};
+
+const toPurchaseOrderRow = (order) => ({
+  id: order.id,
+  supplierName: order.supplierName || '-',
+  status: order.status,
+  expectedDate: order.expectedDate,
+  itemsCount: order.items?.length || 0,
+  total: getOrderTotal(order.items),
+  createDate: order.createDate,
+});
+
+// ----------------------------------------------------------------------
+
+/**
+ * Purchase Order List View
+ *
+ * Tenant and branch are resolved from user context (JWT). Drafts can be edited, deleted and sent
+ * to the supplier; sent and partially received orders can be received (goods-received note, which
+ * posts a Purchase stock document). View opens the order with its receipts and variances.
+ */
+export function PurchaseOrderListView() {
+  const [formDialogOpen, setFormDialogOpen] = useState(false);
+  const [formDialogMode, setFormDialogMode] = useState('create');
+  const [formDialogRecord, setFormDialogRecord] = useState(null);
+
+  const [detailsRecord, setDetailsRecord] = useState(null);
+  const [receiveRecord, setReceiveRecord] = useState(null);
+  const [sendRecord, setSendRecord] = useState(null);
+  const [deleteRecord, setDeleteRecord] = useState(null);
+
+  const [pageNumber, setPageNumber] = useState(1);
+  const [pageSize, setPageSize] = useState(DEFAULT_PAGINATION.pageSize);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [debouncedSearchTerm, setDebouncedSearchTerm] = useState('');
+
+  const filterForm = useForm({ defaultValues: { searchTerm: '', status: null } });
+
+  const watchedSearchTerm = filterForm.watch('searchTerm');
+  useEffect(() => {
+    setSearchTerm(watchedSearchTerm || '');
+  }, [watchedSearchTerm]);
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setDebouncedSearchTerm(searchTerm);
+      setPageNumber(1);
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
+
+  const statusId = filterForm.watch('status')?.id ?? null;
+  useEffect(() => {
+    setPageNumber(1);
+  }, [statusId]);
+
+  const queryParams = useMemo(
+    () => ({
+      pageNumber,
+      pageSize,
+      searchTerm: debouncedSearchTerm.trim() || undefined,
+      status: statusId || undefined,
+    }),
+    [pageNumber, pageSize, debouncedSearchTerm, statusId]
+  );
+
+  const { data: response, isLoading, error, refetch } = useGetPurchaseOrdersQuery(queryParams);
+
+  const orders = useMemo(() => response?.data ?? [], [response]);
+
+  const paginationMeta = useMemo(
+    () => ({
+      totalCount: response?.totalCount ?? 0,
+      totalPages: response?.totalPages ?? 0,
+      hasPreviousPage: response?.hasPreviousPage ?? false,
+      hasNextPage: response?.hasNextPage ?? false,
+    }),
+    [response]
+  );
+
+  const [deletePurchaseOrder, { isLoading: isDeleting }] = useDeletePurchaseOrderMutation();
+  const [sendPurchaseOrder, { isLoading: isSending }] = useSendPurchaseOrderMutation();
+
+  const findRecord = useCallback((row) => orders.find((order) => order.id === row.id) ?? null, [orders]);
+
+  const handleCreate = useCallback(() => {
+    setFormDialogMode('create');
+    setFormDialogRecord(null);
+    setFormDialogOpen(true);
+  }, []);
+
+  const handleEdit = useCallback(
+    (row) => {
+      const record = findRecord(row) ?? row;
+      setDetailsRecord(null);
+      setFormDialogMode('edit');
+      setFormDialogRecord(record);
+      setFormDialogOpen(true);
+    },
+    [findRecord]
+  );
+
+  const handleView = useCallback((row) => setDetailsRecord(findRecord(row) ?? row), [findRecord]);
+
+  const handleReceive = useCallback(
+    (row) => {
+      setDetailsRecord(null);
+      setReceiveRecord(findRecord(row) ?? row);
+    },
+    [findRecord]
+  );
+
+  const handleSendClick = useCallback((row) => setSendRecord(findRecord(row) ?? row), [findRecord]);
+
+  const handleDeleteClick = useCallback((row) => setDeleteRecord(findRecord(row) ?? row), [findRecord]);
+
+  const handleSendConfirm = useCallback(async () => {
+    if (!sendRecord || isSending) return;
+    try {
+      await sendPurchaseOrder(sendRecord.id).unwrap();
+      toast.success('Purchase order sent');
+      setSendRecord(null);
+      setDetailsRecord(null);
+    } catch (err) {
+      const { message, isRetryable } = getApiErrorMessage(err, {
+        defaultMessage: 'Failed to send purchase order',
+        validationMessage: 'Only draft purchase orders can be sent.',
+      });
+      if (isRetryable) {
+        toast.error(message, {
+          action: {
+            label: 'Retry',
+            onClick: () => handleSendConfirm(),
+          },
+        });
+      } else {
+        toast.error(message);
+      }
+    }
+  }, [sendRecord, isSending, sendPurchaseOrder]);
+
+  const handleDeleteConfirm = useCallback(async () => {
+    if (!deleteRecord || isDeleting) return;
+    try {
+      await deletePurchaseOrder(deleteRecord.id).unwrap();
+      toast.success('Purchase order deleted successfully');
+      setDeleteRecord(null);
+      setDetailsRecord(null);
+      refetch();
+      if (orders.length === 1 && pageNumber > 1) {
+        setPageNumber((p) => p - 1);
+      }
+    } catch (err) {
+      const { message, isRetryable } = getApiErrorMessage(err, {
+        defaultMessage: 'Failed to delete purchase order',
+        notFoundMessage: 'Purchase order not found or already deleted',
+      });
+      if (isRetryable) {
+        toast.error(message, {
+          action: {
+            label: 'Retry',
+            onClick: () => handleDeleteConfirm(),
+          },
+        });
+      } else {
+        toast.error(message);
+      }
+    }
+  }, [deleteRecord, isDeleting, deletePurchaseOrder, refetch, orders.length, pageNumber]);
+
+  const handleFormSuccess = useCallback(
+    (id, action) => {
+      setFormDialogOpen(false);
+      setFormDialogMode('create');
+      setFormDialogRecord(null);
+      toast.success(`Purchase order ${action} successfully`);
+      refetch();
+    },
+    [refetch]
+  );
+
+  const handleFormClose = useCallback(() => {
+    setFormDialogOpen(false);
+    setFormDialogMode('create');
+    setFormDialogRecord(null);
+  }, []);
+
+  const handleReceiveSuccess = useCallback(() => {
+    setReceiveRecord(null);
+    toast.success('Goods received and purchase stock document posted');
+    refetch();
+  }, [refetch]);
+
+  const handlePageChange = useCallback((newPage) => setPageNumber(newPage + 1), []);
+  const handlePageSizeChange = useCallback((newPageSize) => {
+    setPageSize(newPageSize);
+    setPageNumber(1);
+  }, []);
+  const handleSearchClear = useCallback(() => {
+    filterForm.setValue('searchTerm', '');
+    setSearchTerm('');
+    setPageNumber(1); // Reset to first page when clearing search
+  }, [filterForm]);
+
+  const rows = useMemo(() => orders.map(toPurchaseOrderRow), [orders]);
+
+  const columns = useMemo(
+    () => [
+      { field: 'supplierName', headerName: 'Supplier', flex: 1, minWidth: 160 },
+      {
+        field: 'status',
+        headerName: 'Status',
+        flex: 1,
+        exportValue: (row) => getStatusLabel(row.status),
+        renderCell: (params) => (
+          <Label color={getStatusColor(params.value)} variant="soft">
+            {getStatusLabel(params.value)}
+          </Label>
+        ),
+      },
+      {
+        field: 'expectedDate',
+        headerName: 'Expected',
+        flex: 1,
+        valueFormatter: (value) => (value ? fDate(value) : '-'),
+      },
+      { field: 'itemsCount', headerName: 'Items', flex: 0.5, type: 'number' },
+      {
+        field: 'total',
+        headerName: 'Total',
+        flex: 1,
+        type: 'number',
+        valueFormatter: (value) => fCurrency(value, { minimumFractionDigits: 2, maximumFractionDigits: 2 }),
+      },
+      { field: 'createDate', headerName: 'Created', flex: 1, valueFormatter: (value) => formatDate(value) },
+    ],
+    []
+  );
+
+  const { tableProps: exportTableProps, ...exportMenuProps } = useListExport({
+    endpoint: purchaseOrdersApi.endpoints.getPurchaseOrders,
+    queryParams,
+    rows,
+    toRow: toPurchaseOrderRow,
+    columns,
+    filename: 'Purchase Orders',
+  });
+
+  const permissions = useMemo(
+    () => ({
+      edit: can(ACTION_PERMISSIONS.PurchaseOrders.update),
+      send: can(ACTION_PERMISSIONS.PurchaseOrders.send),
+      receive: can(ACTION_PERMISSIONS.PurchaseOrders.receive),
+      delete: can(ACTION_PERMISSIONS.PurchaseOrders.delete),
+      reverseReceipt: can(ACTION_PERMISSIONS.PurchaseOrders.reverseReceipt),
+    }),
+    []
+  );
+
+  const actions = useMemo(
+    () => [
+      { id: 'view', label: 'View', icon: 'solar:eye-bold', onClick: (row) => handleView(row), order: 1 },
+      {
+        id: 'edit',
+        label: 'Edit',
+        icon: 'solar:pen-bold',
+        onClick: (row) => handleEdit(row),
+        order: 2,
+        visible: (row) => canEdit(row.status),
+        permission: () => permissions.edit,
+      },
+      {
+        id: 'send',
+        label: 'Send',
+        icon: 'solar:letter-bold',
+        onClick: (row) => handleSendClick(row),
+        order: 3,
+        visible: (row) => canSend(row.status),
+        permission: () => permissions.send,
+      },
+      {
+        id: 'receive',
+        label: 'Receive Goods',
+        icon: 'solar:inbox-in-bold',
+        onClick: (row) => handleReceive(row),
+        order: 4,
+        visible: (row) => canReceive(row.status),
+        permission: () => permissions.receive,
+      },
+      {
+        id: 'delete',
+        label: 'Delete',
+        icon: 'solar:trash-bin-trash-bold',
+        onClick: (row) => handleDeleteClick(row),
+        order: 5,
+        visible: (row) => canDelete(row.status),
+        permission: () => permissions.delete,
+      },
+    ],
+    [handleView, handleEdit, handleSendClick, handleReceive, handleDeleteClick, permissions]
+  );
+
+  const emptyMessage =
+    searchTerm || debouncedSearchTerm || statusId
+      ? 'No purchase orders match your filters'
+      : 'Get started by creating a purchase order';
+
+  return (
+    <Box>
+      <Card variant="outlined" sx={{ p: 2 }}>
+        <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2} sx={{ mb: 3 }}>
+          <FormProvider {...filterForm}>
+            <Field.Text
+              name="searchTerm"
+              size="small"
+              placeholder="Search by supplier or remarks..."
+              slotProps={{
+                input: {
+                  startAdornment: (
+                    <InputAdornment position="start">
+                      <Iconify icon="eva:search-fill" sx={{ color: 'text.disabled' }} />
+                    </InputAdornment>
+                  ),
+                  endAdornment: searchTerm && (
+                    <InputAdornment position="end">
+                      <IconButton size="small" onClick={handleSearchClear} sx={{ minWidth: 'auto', minHeight: 'auto', p: 0.5 }} aria-label="Clear search">
+                        <Iconify icon="eva:close-fill" />
+                      </IconButton>
+                    </InputAdornment>
+                  ),
+                },
+              }}
+              sx={{ maxWidth: { sm: 400 } }}
+            />
+            <Field.Autocomplete
+              name="status"
+              label="Status"
+              size="small"
+              options={STATUS_OPTIONS}
+              getOptionLabel={(option) => option?.label ?? ''}
+              isOptionEqualToValue={(option, value) => option?.id === value?.id}
+              sx={{ minWidth: { sm: 220 } }}
+            />
+          </FormProvider>
+          <ExportMenuButton {...exportMenuProps} sx={{ ml: 'auto' }} />
+          {can(ACTION_PERMISSIONS.PurchaseOrders.create) && (
+            <Field.Button
+              variant="contained"
+              startIcon="mingcute:add-line"
+              onClick={handleCreate}
+              sx={{ minHeight: 44 }}
+            >
+              Create Purchase Order
+            </Field.Button>
+          )}
+        </Stack>
+
+        <CustomTable
+          {...exportTableProps}
+          rows={rows}
+          columns={columns}
+          loading={isLoading}
+          actions={actions}
+          error={error}
+          onRetry={refetch}
+          errorEntityLabel="purchase orders"
+          pagination={{
+            ...DEFAULT_PAGINATION,
+            mode: 'server',
+            page: pageNumber - 1,
+            pageSize,
+            rowCount: paginationMeta.totalCount,
+            onPageChange: handlePageChange,
+            onPageSizeChange: handlePageSizeChange,
+          }}
+          getRowId={(row) => row.id}
+          emptyContent={<EmptyContent title="No purchase orders found" description={emptyMessage} />}
+        />
+      </Card>
+
+      <PurchaseOrderFormDialog
+        open={formDialogOpen}
+        mode={formDialogMode}
+        record={formDialogRecord}
+        onClose={handleFormClose}
+        onSuccess={handleFormSuccess}
+      />
+
+      <PurchaseOrderDetailsDialog
+        open={!!detailsRecord}
+        record={detailsRecord}
+        onClose={() => setDetailsRecord(null)}
+        onEdit={handleEdit}
+        onSend={handleSendClick}
+        onReceive={handleReceive}
+        onDelete={handleDeleteClick}
+        permissions={permissions}
+      />
+
+      <ReceivePurchaseOrderDialog
+        open={!!receiveRecord}
+        record={receiveRecord}
+        onClose={() => setReceiveRecord(null)}
+        onSuccess={handleReceiveSuccess}
+      />
+
+      <ConfirmDialog
+        open={!!sendRecord}
+        title="Send Purchase Order"
+        content={`Send this order to ${sendRecord?.supplierName || 'the supplier'}? It can no longer be edited or deleted once sent.`}
+        action={
+          <Field.Button variant="contained" color="info" onClick={handleSendConfirm} disabled={isSending} loading={isSending}>
+            Send
+          </Field.Button>
+        }
+        onClose={() => setSendRecord(null)}
+        loading={isSending}
+        disableClose={isSending}
+      />
+
+      <ConfirmDialog
+        open={!!deleteRecord}
+        title="Delete Purchase Order"
+        content="Are you sure you want to delete this draft purchase order? This action cannot be undone."
+        action={
+          <Field.Button variant="contained" color="error" onClick={handleDeleteConfirm} disabled={isDeleting} loading={isDeleting}>
+            Delete
+          </Field.Button>
+        }
+        onClose={() => setDeleteRecord(null)}
+        loading={isDeleting}
+        disableClose={isDeleting}
+      />
+    </Box>
+  );
+}
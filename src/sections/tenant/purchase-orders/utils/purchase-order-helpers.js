@@ -0,0 +1,211 @@
+import { fNumber } from 'src/utils/format-number';
+import { getLineUnitFactor } from 'src/utils/units-of-measure';
+
+// ----------------------------------------------------------------------
+
+/**
+ * Purchase order statuses (Draft → Sent → Partially Received → Received)
+ */
+export const PURCHASE_ORDER_STATUS = {
+  draft: 1,
+  sent: 2,
+  partiallyReceived: 3,
+  received: 4,
+};
+
+/**
+ * Status options
+ */
+export const STATUS_OPTIONS = [
+  { id: PURCHASE_ORDER_STATUS.draft, label: 'Draft', color: 'warning' },
+  { id: PURCHASE_ORDER_STATUS.sent, label: 'Sent', color: 'info' },
+  { id: PURCHASE_ORDER_STATUS.partiallyReceived, label: 'Partially Received', color: 'secondary' },
+  { id: PURCHASE_ORDER_STATUS.received, label: 'Received', color: 'success' },
+];
+
+// ----------------------------------------------------------------------
+
+/**
+ * Get status label
+ */
+export const getStatusLabel = (statusId) => {
+  const status = STATUS_OPTIONS.find((option) => option.id === statusId);
+  return status ? status.label : `Unknown (${statusId})`;
+};
+
+/**
+ * Get status color
+ */
+export const getStatusColor = (statusId) => {
+  const status = STATUS_OPTIONS.find((option) => option.id === statusId);
+  return status ? status.color : 'default';
+};
+
+// ----------------------------------------------------------------------
+
+/** Only drafts can be edited, deleted or sent */
+export const canEdit = (status) => status === PURCHASE_ORDER_STATUS.draft;
+
+export const canDelete = (status) => status === PURCHASE_ORDER_STATUS.draft;
+
+export const canSend = (status) => status === PURCHASE_ORDER_STATUS.draft;
+
+/** Goods can be received once the order is sent, until it is fully received */
+export const canReceive = (status) =>
+  status === PURCHASE_ORDER_STATUS.sent || status === PURCHASE_ORDER_STATUS.partiallyReceived;
+
+/** A receipt (GRN) can be reversed while its stock document is posted */
+export const canReverseReceipt = (receipt) => receipt?.status === 2; // Posted stock document
+
+// ----------------------------------------------------------------------
+
+// Percent differences smaller than this are rounding, not a variance
+const VARIANCE_EPSILON_PERCENT = 0.01;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Price charged against the ordered price, in percent (null when either is missing).
+ * Both prices per base unit.
+ */
+export const getPriceVariancePercent = (orderedUnitPrice, unitPrice) => {
+  if (orderedUnitPrice == null || unitPrice == null || !(Number(orderedUnitPrice) > 0)) return null;
+  const percent = ((Number(unitPrice) - Number(orderedUnitPrice)) / Number(orderedUnitPrice)) * 100;
+  return Math.abs(percent) < VARIANCE_EPSILON_PERCENT ? 0 : percent;
+};
+
+/**
+ * Base quantity expressed in the unit an order line was entered in, e.g. "1.5 crate".
+ */
+export const formatInLineUnit = (line, baseQuantity) => {
+  const factor = getLineUnitFactor(line);
+  const value = fNumber((Number(baseQuantity) || 0) / factor, { maximumFractionDigits: 3 });
+  return line?.unit ? `${value} ${line.unit}` : value;
+};
+
+// ----------------------------------------------------------------------
+
+/**
+ * Ordered vs received per order line, in base units. Received quantity and price come from the
+ * order's posted receipts (reversed ones are ignored): receipt lines booked against an order line
+ * (purchaseOrderItemId) count for that line; lines without one fill the order's lines for the same
+ * item in order. The line's receivedQuantity is used when the order has no receipts loaded (list
+ * rows). Price variance compares the average price received with the ordered price.
+ *
+ * @param {Object} order - Purchase order with items and (optionally) receipts
+ * @returns {Array<Object>} one row per order line
+ */
+export function getOrderLineProgress(order) {
+  const lines = order?.items ?? [];
+  const hasReceipts = Array.isArray(order?.receipts);
+  const receiptLines = (order?.receipts ?? [])
+    .filter((receipt) => canReverseReceipt(receipt))
+    .flatMap((receipt) => receipt.items ?? []);
+
+  const lineIds = new Set(lines.map((line) => line.id).filter(Boolean));
+  const totals = new Map(lines.map((line, index) => [index, { quantity: 0, value: 0, pricedQuantity: 0 }]));
+  const addTo = (index, quantity, unitPrice) => {
+    const current = totals.get(index);
+    current.quantity += quantity;
+    if (unitPrice != null) {
+      current.value += quantity * Number(unitPrice);
+      current.pricedQuantity += quantity;
+    }
+  };
+
+  // Booked against a line
+  const unbooked = [];
+  receiptLines.forEach((receiptLine) => {
+    const index = lineIds.has(receiptLine.purchaseOrderItemId)
+      ? lines.findIndex((line) => line.id === receiptLine.purchaseOrderItemId)
+      : -1;
+    if (index >= 0) addTo(index, Number(receiptLine.quantity) || 0, receiptLine.unitPrice);
+    else unbooked.push(receiptLine);
+  });
+
+  // Not booked against a line: fill the item's lines in order, the last one takes any excess
+  unbooked.forEach((receiptLine) => {
+    let remaining = Number(receiptLine.quantity) || 0;
+    const indexes = lines.map((line, index) => (line.itemId === receiptLine.itemId ? index : -1)).filter((i) => i >= 0);
+    indexes.forEach((index, position) => {
+      if (remaining <= 0) return;
+      const room = Math.max(0, (Number(lines[index].quantity) || 0) - totals.get(index).quantity);
+      const quantity = position === indexes.length - 1 ? remaining : Math.min(remaining, room);
+      if (quantity > 0) addTo(index, quantity, receiptLine.unitPrice);
+      remaining -= quantity;
+    });
+  });
+
+  return lines.map((line, index) => {
+    const ordered = Number(line.quantity) || 0;
+    const lineTotals = totals.get(index);
+    const received = hasReceipts ? lineTotals.quantity : Number(line.receivedQuantity) || 0;
+    const receivedUnitPrice = lineTotals.pricedQuantity > 0 ? lineTotals.value / lineTotals.pricedQuantity : null;
+
+    return {
+      line,
+      ordered,
+      received: round(received),
+      outstanding: round(Math.max(0, ordered - received)),
+      quantityVariance: round(received - ordered),
+      receivedUnitPrice,
+      priceVariancePercent: getPriceVariancePercent(line.unitPrice, receivedUnitPrice),
+    };
+  });
+}
+
+/**
+ * Order line a receipt line is booked against: its purchaseOrderItemId when that line is on the
+ * order for the same item (the item may have been changed on the row), else null.
+ */
+export const getReceiptOrderLineId = (order, receiptLine) => {
+  const orderLine = (order?.items ?? []).find((line) => line.id && line.id === receiptLine?.purchaseOrderItemId);
+  return orderLine && orderLine.itemId === receiptLine.itemId ? orderLine.id : null;
+};
+
+// ----------------------------------------------------------------------
+
+/**
+ * Variances of a goods-received note against what is still outstanding, per order line: quantity
+ * received here minus outstanding (base units) and the ordered unit price to compare the charged
+ * price with. Receipt lines not booked against an order line (getReceiptOrderLineId) are not ordered
+ * and are left out.
+ *
+ * @param {Object} order - Purchase order
+ * @param {Array<{ itemId: string, quantity: number, purchaseOrderItemId?: string }>} receiptLines -
+ *   GRN lines in base units
+ * @returns {Map<string, { line: Object, outstanding: number, received: number,
+ *   quantityVariance: number, orderedUnitPrice: number|null }>} keyed by order line id
+ */
+export function getReceiptVariances(order, receiptLines) {
+  const progressByLineId = new Map(
+    getOrderLineProgress(order)
+      .filter((progress) => progress.line.id)
+      .map((progress) => [progress.line.id, progress])
+  );
+
+  const variances = new Map();
+  (receiptLines ?? []).forEach((receiptLine) => {
+    const lineId = getReceiptOrderLineId(order, receiptLine);
+    const progress = lineId ? progressByLineId.get(lineId) : null;
+    if (!progress) return;
+    const current = variances.get(lineId) ?? {
+      line: progress.line,
+      outstanding: progress.outstanding,
+      received: 0,
+      orderedUnitPrice: progress.line.unitPrice ?? null,
+    };
+    current.received += Number(receiptLine.quantity) || 0;
+    current.quantityVariance = round(current.received - current.outstanding);
+    variances.set(lineId, current);
+  });
+  return variances;
+}
+
+// ----------------------------------------------------------------------
+
+/**
+ * Order total from its lines (base quantity × base unit price; unpriced lines count as zero)
+ */
+export const getOrderTotal = (lines) =>
+  (lines ?? []).reduce((sum, line) => sum + (Number(line.quantity) || 0) * (Number(line.unitPrice) || 0), 0);
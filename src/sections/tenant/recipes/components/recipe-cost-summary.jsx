@@ -0,0 +1,236 @@
+'use client';
+
+import { useMemo, useState, useCallback } from 'react';
+
+import Box from '@mui/material/Box';
+import Card from '@mui/material/Card';
+import Alert from '@mui/material/Alert';
+import Stack from '@mui/material/Stack';
+import Skeleton from '@mui/material/Skeleton';
+import TextField from '@mui/material/TextField';
+import Typography from '@mui/material/Typography';
+import InputAdornment from '@mui/material/InputAdornment';
+
+import { fDate } from 'src/utils/format-time';
+import { getApiErrorMessage } from 'src/utils/api-error-message';
+import { fNumber, fPercent, fCurrency } from 'src/utils/format-number';
+
+import { useGetLatestPurchasePricesQuery } from 'src/store/api/stock-documents-api';
+import { useGetBranchesDropdownCurrentTenantQuery } from 'src/store/api/branches-api';
+
+import { Label } from 'src/components/label';
+import { Field } from 'src/components/hook-form';
+import { CustomTable } from 'src/components/custom-table';
+
+import { computeRecipeCost, getTargetMarginPercent, setTargetMarginPercent } from '../utils/recipe-costing';
+
+// ----------------------------------------------------------------------
+
+const formatMoney = (value) =>
+  value == null ? '-' : fCurrency(value, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const COLUMNS = [
+  { field: 'itemName', headerName: 'Ingredient', flex: 2, minWidth: 140 },
+  {
+    field: 'quantity',
+    headerName: 'Quantity',
+    flex: 1,
+    type: 'number',
+    valueFormatter: (value) => fNumber(value, { maximumFractionDigits: 3 }),
+  },
+  {
+    field: 'unitPrice',
+    headerName: 'Unit Cost',
+    flex: 1,
+    type: 'number',
+    renderCell: (params) =>
+      params.value == null ? (
+        <Typography variant="body2" color="warning.main">
+          No purchase
+        </Typography>
+      ) : (
+        <Box>
+          {formatMoney(params.value)}
+          {params.row.date && (
+            <Typography variant="caption" color="text.secondary" component="div" sx={{ lineHeight: 1 }}>
+              {fDate(params.row.date)}
+            </Typography>
+          )}
+        </Box>
+      ),
+  },
+  { field: 'cost', headerName: 'Cost', flex: 1, type: 'number', valueFormatter: (value) => formatMoney(value) },
+];
+
+// ----------------------------------------------------------------------
+
+/**
+ * Recipe Cost Summary
+ *
+ * Food cost of a recipe from each ingredient's latest purchase unit price (posted purchase
+ * documents with those items across the tenant's branches): cost per ingredient, cost per serving, food cost % of
+ * the selling price and margin, flagged when the margin is below the target. The target margin
+ * can be changed here and is remembered in this browser.
+ *
+ * @param {Object} props
+ * @param {Array<{ itemId: string, itemName?: string, quantity: number|string }>} props.ingredients
+ * @param {number|string} props.servings
+ * @param {number|null} props.sellingPrice - Price of the recipe's item
+ * @param {boolean} [props.enabled] - Fetch prices only while the parent dialog is open
+ */
+export function RecipeCostSummary({ ingredients, servings, sellingPrice, enabled = true }) {
+  const [targetMargin, setTargetMargin] = useState(getTargetMarginPercent);
+
+  const { data: branchesDropdown, isLoading: isLoadingBranches } = useGetBranchesDropdownCurrentTenantQuery(
+    undefined,
+    { skip: !enabled }
+  );
+  const branchIds = useMemo(
+    () => (Array.isArray(branchesDropdown) ? branchesDropdown.map((branch) => branch.key).sort() : []),
+    [branchesDropdown]
+  );
+
+  // Sorted so the query is only re-run when the set of ingredient items changes
+  const itemIdsKey = useMemo(
+    () => [...new Set(ingredients.map((ingredient) => ingredient.itemId).filter(Boolean))].sort().join(','),
+    [ingredients]
+  );
+  const itemIds = useMemo(() => (itemIdsKey ? itemIdsKey.split(',') : []), [itemIdsKey]);
+
+  const {
+    data: priceData,
+    isFetching,
+    error,
+    refetch,
+  } = useGetLatestPurchasePricesQuery(
+    { branchIds, itemIds },
+    { skip: !enabled || branchIds.length === 0 || itemIds.length === 0 }
+  );
+  const unitPrices = priceData?.prices;
+
+  const cost = useMemo(
+    () =>
+      computeRecipeCost({
+        ingredients,
+        servings,
+        sellingPrice,
+        unitPrices,
+        targetMarginPercent: targetMargin,
+      }),
+    [ingredients, servings, sellingPrice, unitPrices, targetMargin]
+  );
+
+  const handleTargetChange = useCallback((event) => {
+    const value = event.target.value === '' ? 0 : Math.min(100, Math.max(0, Number(event.target.value)));
+    if (Number.isNaN(value)) return;
+    setTargetMargin(value);
+    setTargetMarginPercent(value);
+  }, []);
+
+  const isLoading = isLoadingBranches || isFetching;
+
+  const renderStat = (label, value, color) => (
+    <Box sx={{ minWidth: 120 }}>
+      <Typography variant="caption" color="text.secondary">
+        {label}
+      </Typography>
+      <Typography variant="subtitle1" color={color}>
+        {value}
+      </Typography>
+    </Box>
+  );
+
+  const renderStatus = () => {
+    if (isLoading || error || cost.foodCostPercent == null) return null;
+    return cost.isBelowTarget ? (
+      <Label color="error" variant="soft">
+        Below target margin
+      </Label>
+    ) : (
+      <Label color="success" variant="soft">
+        On target
+      </Label>
+    );
+  };
+
+  return (
+    <Card variant="outlined" sx={{ p: 2 }}>
+      <Stack direction="row" alignItems="center" spacing={2} sx={{ mb: 2 }}>
+        <Typography variant="subtitle2" sx={{ flex: 1 }}>
+          Food Cost
+        </Typography>
+        {renderStatus()}
+        <TextField
+          size="small"
+          type="number"
+          label="Target margin"
+          value={targetMargin}
+          onChange={handleTargetChange}
+          slotProps={{
+            htmlInput: { min: 0, max: 100, step: 1 },
+            input: { endAdornment: <InputAdornment position="end">%</InputAdornment> },
+          }}
+          sx={{ width: 140 }}
+        />
+      </Stack>
+
+      {error ? (
+        <Alert
+          severity="error"
+          action={
+            <Field.Button size="small" color="inherit" onClick={refetch}>
+              Retry
+            </Field.Button>
+          }
+        >
+          {getApiErrorMessage(error, { defaultMessage: 'Failed to load purchase prices' }).message}
+        </Alert>
+      ) : (
+        <Stack spacing={2}>
+          {isLoading ? (
+            <Skeleton variant="rounded" height={120} />
+          ) : (
+            cost.lines.length > 0 && (
+              <CustomTable
+                rows={cost.lines.map((line, index) => ({ ...line, id: `${line.itemId}-${index}` }))}
+                columns={COLUMNS}
+                pagination={false}
+                toolbar={false}
+                hideFooter
+                getRowId={(row) => row.id}
+              />
+            )
+          )}
+
+          <Stack direction="row" flexWrap="wrap" useFlexGap spacing={3}>
+            {renderStat('Recipe cost', isLoading ? '…' : formatMoney(cost.totalCost))}
+            {renderStat('Cost per serving', isLoading ? '…' : formatMoney(cost.costPerServing))}
+            {renderStat('Selling price', formatMoney(sellingPrice))}
+            {renderStat(
+              'Food cost',
+              isLoading || cost.foodCostPercent == null ? '-' : fPercent(cost.foodCostPercent),
+              cost.isBelowTarget ? 'error.main' : undefined
+            )}
+            {renderStat('Margin', isLoading || cost.marginPercent == null ? '-' : fPercent(cost.marginPercent))}
+          </Stack>
+
+          {!isLoading && cost.missingPriceCount > 0 && (
+            <Alert severity="warning">
+              {cost.missingPriceCount === 1
+                ? '1 ingredient has no posted purchase price and counts as zero.'
+                : `${cost.missingPriceCount} ingredients have no posted purchase price and count as zero.`}
+            </Alert>
+          )}
+          {!isLoading && priceData?.isIncomplete && (
+            <Alert severity="warning">
+              Only the most recent purchase documents were read; some prices may be missing or out of date.
+            </Alert>
+          )}
+          {!(Number(sellingPrice) > 0) && (
+            <Alert severity="info">Set a selling price on the item to see food cost % and margin.</Alert>
+          )}
+        </Stack>
+      )}
+    </Card>
+  );
+}
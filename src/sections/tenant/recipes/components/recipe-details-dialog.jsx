@@ -1,15 +1,22 @@
 'use client';
 
+import { useMemo } from 'react';
+
 import Box from '@mui/material/Box';
 import Stack from '@mui/material/Stack';
 import Divider from '@mui/material/Divider';
 import Typography from '@mui/material/Typography';
 import { useTheme, useMediaQuery } from '@mui/material';
 
+import { formatLineQuantity } from 'src/utils/units-of-measure';
+
+import { useGetItemsQuery } from 'src/store/api/items-api';
+
 import { Label } from 'src/components/label';
 import { CustomTable } from 'src/components/custom-table';
 import { CustomDialog } from 'src/components/custom-dialog';
 
+import { RecipeCostSummary } from './recipe-cost-summary';
 import { formatTimeMinutes, getActiveStatusColor, getActiveStatusLabel } from '../utils/recipe-helpers';
 
 // ----------------------------------------------------------------------
@@ -18,7 +25,8 @@ import { formatTimeMinutes, getActiveStatusColor, getActiveStatusLabel } from '.
  * Recipe Details Dialog Component
  *
  * Read-only view of recipe details. Uses the full row object passed from the list
- * (no getById or extra API call).
+ * (no getById). The food cost section reads the item's selling price from the items list (same
+ * query as the list view, so usually cached) and the latest purchase prices.
  *
  * @param {Object} props
  * @param {boolean} props.open - Whether the dialog is open
@@ -29,6 +37,12 @@ export function RecipeDetailsDialog({ open, record, onClose }) {
   const theme = useTheme();
   const isMobile = useMediaQuery(theme.breakpoints.down('sm'));
 
+  const { data: itemsResponse } = useGetItemsQuery({ pageSize: 200 }, { skip: !open || !record });
+  const sellingPrice = useMemo(
+    () => (itemsResponse?.data || []).find((item) => item.id === record?.itemId)?.price ?? null,
+    [itemsResponse, record?.itemId]
+  );
+
   return (
     <CustomDialog
       open={open}
@@ -116,7 +130,7 @@ export function RecipeDetailsDialog({ open, record, onClose }) {
                 rows={record.ingredients.map((ingredient, index) => ({
                   id: index,
                   itemName: ingredient.itemName || '-',
-                  quantity: ingredient.quantity ?? '0',
+                  quantity: formatLineQuantity(ingredient),
                   notes: ingredient.notes || '-',
                 }))}
                 columns={[
@@ -153,6 +167,13 @@ export function RecipeDetailsDialog({ open, record, onClose }) {
             )}
           </Box>
 
+          <RecipeCostSummary
+            ingredients={record.ingredients ?? []}
+            servings={record.servings}
+            sellingPrice={sellingPrice}
+            enabled={open}
+          />
+
           <Divider />
 
           {/* Status */}
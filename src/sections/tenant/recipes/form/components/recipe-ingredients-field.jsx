@@ -5,9 +5,13 @@ import { useFieldArray, useFormContext } from 'react-hook-form';
 
 import Box from '@mui/material/Box';
 import Card from '@mui/material/Card';
+import MenuItem from '@mui/material/MenuItem';
 import Typography from '@mui/material/Typography';
 import IconButton from '@mui/material/IconButton';
 
+import { fNumber } from 'src/utils/format-number';
+import { UNIT_USAGE, getBaseUnit, getItemUnits, getUnitFactor, getDefaultUnit } from 'src/utils/units-of-measure';
+
 import { Iconify } from 'src/components/iconify';
 import { Field } from 'src/components/hook-form';
 import { CustomTable } from 'src/components/custom-table';
@@ -18,7 +22,8 @@ import { CustomTable } from 'src/components/custom-table';
  * Recipe Ingredients Field Component
  * 
  * Manages an array of recipe ingredients with add/remove, validation.
- * Each ingredient has: itemId, quantity, and optional notes.
+ * Each ingredient has: itemId, quantity, unit (defaults to the item's recipe unit), and optional notes.
+ * The form dialog converts the quantity to the item's base unit on submit.
  */
 export function RecipeIngredientsField({ name = 'ingredients', itemOptions = [], mode = 'create' }) {
   const { control, watch, setValue } = useFormContext();
@@ -34,6 +39,7 @@ export function RecipeIngredientsField({ name = 'ingredients', itemOptions = [],
     const newIngredient = {
       itemId: null,
       quantity: 1,
+      unit: '',
       notes: null,
     };
     append(newIngredient);
@@ -89,6 +95,7 @@ export function RecipeIngredientsField({ name = 'ingredients', itemOptions = [],
               index,
               itemId: ingredients[index]?.itemId || null,
               quantity: ingredients[index]?.quantity || 1,
+              unit: ingredients[index]?.unit || '',
               notes: ingredients[index]?.notes || null,
             }))}
             columns={[
@@ -116,6 +123,10 @@ export function RecipeIngredientsField({ name = 'ingredients', itemOptions = [],
                     }}
                     onChange={(event, newValue) => {
                       setValue(`${name}.${params.row.index}.itemId`, newValue, { shouldValidate: true });
+                      setValue(
+                        `${name}.${params.row.index}.unit`,
+                        newValue ? getDefaultUnit(newValue, UNIT_USAGE.recipe) : ''
+                      );
                     }}
                     slotProps={{
                       textField: {
@@ -149,6 +160,37 @@ export function RecipeIngredientsField({ name = 'ingredients', itemOptions = [],
                   />
                 ),
               },
+              {
+                field: 'unit',
+                headerName: 'Unit',
+                width: 130,
+                renderCell: (params) => {
+                  const item = typeof params.row.itemId === 'object' ? params.row.itemId : null;
+                  const factor = item ? getUnitFactor(item, params.row.unit) : 1;
+                  return (
+                    <Box sx={{ width: '100%' }}>
+                      <Field.Select
+                        name={`${name}.${params.row.index}.unit`}
+                        size="small"
+                        disabled={!item}
+                        slotProps={{ select: { sx: { textTransform: 'none' } } }}
+                      >
+                        {(item ? getItemUnits(item) : []).map((unit) => (
+                          <MenuItem key={unit.id} value={unit.id}>
+                            {unit.label}
+                          </MenuItem>
+                        ))}
+                      </Field.Select>
+                      {factor !== 1 && (
+                        <Typography variant="caption" color="text.secondary">
+                          = {fNumber((Number(params.row.quantity) || 0) * factor, { maximumFractionDigits: 3 })}{' '}
+                          {getBaseUnit(item)}
+                        </Typography>
+                      )}
+                    </Box>
+                  );
+                },
+              },
               {
                 field: 'notes',
                 headerName: 'Notes',
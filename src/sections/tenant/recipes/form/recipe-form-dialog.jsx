@@ -11,6 +11,7 @@ import Typography from '@mui/material/Typography';
 import { useTheme, useMediaQuery } from '@mui/material';
 
 import { getApiErrorMessage } from 'src/utils/api-error-message';
+import { getBaseUnit, getItemUnits, toBaseQuantity, getLineUnitFactor } from 'src/utils/units-of-measure';
 
 import { useGetItemsQuery } from 'src/store/api/items-api';
 import { createRecipeSchema, updateRecipeSchema } from 'src/schemas';
@@ -21,6 +22,7 @@ import { Form, Field } from 'src/components/hook-form';
 import { CustomDialog } from 'src/components/custom-dialog';
 import { ConfirmDialog } from 'src/components/custom-dialog/confirm-dialog';
 
+import { RecipeCostSummary } from '../components/recipe-cost-summary';
 import { RecipeIngredientsField } from './components/recipe-ingredients-field';
 
 // ----------------------------------------------------------------------
@@ -36,6 +38,11 @@ const _getId = (value) => {
   return value;
 };
 
+/**
+ * Helper function to get the item (units) from an autocomplete value; null for a bare ID
+ */
+const _getItem = (value) => (typeof value === 'object' ? value : null);
+
 // ----------------------------------------------------------------------
 
 /**
@@ -111,6 +118,8 @@ export function RecipeFormDialog({ open, mode, record, onClose, onSuccess }) {
       .map((ing) => ({
         id: ing.itemId,
         name: ing.itemName || ing.itemId,
+        unitConversions:
+          getLineUnitFactor(ing) !== 1 ? [{ unit: ing.unit, factor: getLineUnitFactor(ing) }] : [],
         isActive: true,
         isAvailable: true,
       }));
@@ -162,6 +171,21 @@ export function RecipeFormDialog({ open, mode, record, onClose, onSuccess }) {
   const watchedDescription = watch('description');
   const watchedInstructions = watch('instructions');
 
+  // Food cost preview: ingredients and servings as entered, selling price of the recipe's item
+  const watchedItemId = watch('itemId');
+  const watchedServings = watch('servings');
+  const watchedIngredients = watch('ingredients');
+  // Not memoized: nested edits (quantity) keep the same watched array reference. Costed in base units.
+  const costIngredients = (watchedIngredients || []).map((ingredient) => ({
+    itemId: _getId(ingredient.itemId),
+    itemName: ingredient.itemId?.name,
+    quantity: toBaseQuantity(ingredient.quantity, ingredient.unit, _getItem(ingredient.itemId)),
+  }));
+  const sellingPrice = useMemo(() => {
+    const itemIdValue = _getId(watchedItemId) ?? record?.itemId;
+    return (itemsResponse?.data || []).find((item) => item.id === itemIdValue)?.price ?? null;
+  }, [watchedItemId, record?.itemId, itemsResponse]);
+
   // Load recipe data for edit mode from record or reset for create/close
   useEffect(() => {
     if (!open) {
@@ -187,14 +211,20 @@ export function RecipeFormDialog({ open, mode, record, onClose, onSuccess }) {
 
       const formIngredients = (record.ingredients || []).map((ingredient) => {
         const matching = effectiveAllItemOptions.find((opt) => opt.id === ingredient.itemId);
-        const itemValue =
+        const factor = getLineUnitFactor(ingredient);
+        let itemValue =
           matching ||
           (ingredient.itemId
             ? { id: ingredient.itemId, name: ingredient.itemName || ingredient.itemId, isActive: true, isAvailable: true }
             : null);
+        // Unit since removed from the item: keep the ingredient's own factor so it converts back the same
+        if (itemValue && factor !== 1 && !getItemUnits(itemValue).some((unit) => unit.id === ingredient.unit)) {
+          itemValue = { ...itemValue, unitConversions: [...(itemValue.unitConversions ?? []), { unit: ingredient.unit, factor }] };
+        }
         return {
           itemId: itemValue,
-          quantity: ingredient.quantity || 1,
+          quantity: (factor !== 1 ? ingredient.unitQuantity : ingredient.quantity) || 1,
+          unit: factor !== 1 ? ingredient.unit : getBaseUnit(itemValue),
           notes: ingredient.notes || null,
         };
       });
@@ -250,8 +280,8 @@ export function RecipeFormDialog({ open, mode, record, onClose, onSuccess }) {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [open, mode, record?.itemId, itemOptions.length]);
 
-  // Handle form submit (P0-002: ref guard blocks rapid double-submit)
-  const onSubmit = handleSubmit(async (data) => {
+  // Perform actual submit (P0-002: ref guard blocks rapid double-submit)
+  const performSubmit = async (data, ingredientRows) => {
     if (isSubmittingRef.current) return;
     isSubmittingRef.current = true;
     try {
@@ -261,14 +291,19 @@ export function RecipeFormDialog({ open, mode, record, onClose, onSuccess }) {
         : data.itemId;
 
       // Transform ingredients from form format to API format
-      const apiIngredients = (data.ingredients || []).map((ingredient) => {
+      const apiIngredients = (ingredientRows || []).map((ingredient) => {
         const ingredientItemId = typeof ingredient.itemId === 'object' && ingredient.itemId !== null
           ? ingredient.itemId.id
           : ingredient.itemId;
 
+        const ingredientItem = _getItem(ingredient.itemId);
+        const unit = ingredient.unit || getBaseUnit(ingredientItem);
+
         return {
           itemId: ingredientItemId,
-          quantity: ingredient.quantity,
+          quantity: toBaseQuantity(ingredient.quantity, unit, ingredientItem),
+          unit,
+          unitQuantity: Number(ingredient.quantity),
           notes: ingredient.notes || null,
         };
       });
@@ -308,7 +343,7 @@ export function RecipeFormDialog({ open, mode, record, onClose, onSuccess }) {
           action: {
             label: 'Retry',
             onClick: () => {
-              setTimeout(() => onSubmit({ preventDefault: () => {}, target: { checkValidity: () => true } }), 100);
+              setTimeout(() => performSubmit(data, ingredientRows), 100);
             },
           },
         });
@@ -318,7 +353,12 @@ export function RecipeFormDialog({ open, mode, record, onClose, onSuccess }) {
     } finally {
       isSubmittingRef.current = false;
     }
-  });
+  };
+
+  // Handle form submit. Raw ingredient rows are snapshotted now: the parsed data only has item ids
+  // (the unit conversion needs the selected item options) and a later Retry must not read a form that
+  // was reset on close.
+  const onSubmit = handleSubmit((data) => performSubmit(data, getValues('ingredients')));
 
   // Handle dialog close
   const handleClose = useCallback(() => {
@@ -568,6 +608,13 @@ export function RecipeFormDialog({ open, mode, record, onClose, onSuccess }) {
                   mode={mode}
                 />
               </Box>
+
+              <RecipeCostSummary
+                ingredients={costIngredients}
+                servings={watchedServings}
+                sellingPrice={sellingPrice}
+                enabled={open}
+              />
             </Box>
           </Form>
       </CustomDialog>
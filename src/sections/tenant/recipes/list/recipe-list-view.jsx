@@ -17,6 +17,7 @@ import { ACTION_PERMISSIONS } from 'src/utils/action-permissions';
 
 import { useGetItemsQuery } from 'src/store/api/items-api';
 import {
+  recipesApi,
   useGetAllRecipesQuery,
   useDeleteRecipeMutation,
   useToggleRecipeActiveMutation,
@@ -28,6 +29,7 @@ import { Field } from 'src/components/hook-form';
 import { Iconify } from 'src/components/iconify';
 import { EmptyContent } from 'src/components/empty-content';
 import { ConfirmDialog } from 'src/components/custom-dialog/confirm-dialog';
+import { useListExport, ExportMenuButton } from 'src/components/export-menu';
 import { CustomTable, DEFAULT_PAGINATION } from 'src/components/custom-table';
 
 import { RecipeFormDialog } from '../form/recipe-form-dialog';
@@ -95,16 +97,21 @@ export function RecipeListView() {
   }, [watchedSearchTerm]);
 
   // Query recipes with pagination and search
+  const queryParams = useMemo(
+    () => ({
+      pageNumber,
+      pageSize,
+      searchTerm: debouncedSearchTerm || undefined,
+    }),
+    [pageNumber, pageSize, debouncedSearchTerm]
+  );
+
   const {
     data: recipesResponse,
     isLoading,
     error,
     refetch,
-  } = useGetAllRecipesQuery({
-    pageNumber,
-    pageSize,
-    searchTerm: debouncedSearchTerm || undefined,
-  });
+  } = useGetAllRecipesQuery(queryParams);
 
   // Extract recipes and pagination metadata
   const recipes = useMemo(() => {
@@ -272,24 +279,26 @@ export function RecipeListView() {
   }, [searchForm]);
 
   // Prepare table rows
-  const rows = useMemo(() => {
-    const items = itemsResponse?.data || [];
-    const itemsMap = new Map(items.map((item) => [item.id, item]));
+  const itemsMap = useMemo(
+    () => new Map((itemsResponse?.data || []).map((item) => [item.id, item])),
+    [itemsResponse]
+  );
 
-    return recipes.map((recipe) => {
-      const item = itemsMap.get(recipe.itemId);
-      return {
-        id: recipe.id,
-        name: recipe.name,
-        itemName: item?.itemName || '-',
-        servings: recipe.servings,
-        preparationTimeMinutes: recipe.preparationTimeMinutes,
-        cookingTimeMinutes: recipe.cookingTimeMinutes,
-        ingredientsCount: recipe.ingredients?.length || 0,
-        isActive: recipe.isActive,
-      };
-    });
-  }, [recipes, itemsResponse]);
+  const toRecipeRow = useCallback(
+    (recipe) => ({
+      id: recipe.id,
+      name: recipe.name,
+      itemName: itemsMap.get(recipe.itemId)?.itemName || '-',
+      servings: recipe.servings,
+      preparationTimeMinutes: recipe.preparationTimeMinutes,
+      cookingTimeMinutes: recipe.cookingTimeMinutes,
+      ingredientsCount: recipe.ingredients?.length || 0,
+      isActive: recipe.isActive,
+    }),
+    [itemsMap]
+  );
+
+  const rows = useMemo(() => recipes.map(toRecipeRow), [recipes, toRecipeRow]);
 
   // Define columns
   const columns = useMemo(
@@ -323,6 +332,7 @@ export function RecipeListView() {
         field: 'preparationTimeMinutes',
         headerName: 'Prep Time',
         flex: 1,
+        exportValue: (row) => formatTimeMinutes(row.preparationTimeMinutes),
         renderCell: (params) => (
           <Typography variant="body2">
             {formatTimeMinutes(params.value)}
@@ -333,6 +343,7 @@ export function RecipeListView() {
         field: 'cookingTimeMinutes',
         headerName: 'Cook Time',
         flex: 1,
+        exportValue: (row) => formatTimeMinutes(row.cookingTimeMinutes),
         renderCell: (params) => (
           <Typography variant="body2">
             {formatTimeMinutes(params.value)}
@@ -353,6 +364,7 @@ export function RecipeListView() {
         field: 'isActive',
         headerName: 'Status',
         flex: 1,
+        exportValue: (row) => getActiveStatusLabel(row.isActive),
         renderCell: (params) => (
           <Label color={getActiveStatusColor(params.value)} variant="soft">
             {getActiveStatusLabel(params.value)}
@@ -363,6 +375,15 @@ export function RecipeListView() {
     []
   );
 
+  const { tableProps: exportTableProps, ...exportMenuProps } = useListExport({
+    endpoint: recipesApi.endpoints.getAllRecipes,
+    queryParams,
+    rows,
+    toRow: toRecipeRow,
+    columns,
+    filename: 'Recipes',
+  });
+
   // Define actions
   const actions = useMemo(
     () => [
@@ -459,12 +480,13 @@ export function RecipeListView() {
               sx={{ maxWidth: { sm: 400 } }}
             />
           </FormProvider>
+          <ExportMenuButton {...exportMenuProps} sx={{ ml: 'auto' }} />
           {can(ACTION_PERMISSIONS.Recipes.create) && (
             <Field.Button
               variant="contained"
               startIcon="mingcute:add-line"
               onClick={handleCreate}
-              sx={{ ml: 'auto', minHeight: 44 }}
+              sx={{ minHeight: 44 }}
             >
               Create Recipe
             </Field.Button>
@@ -473,6 +495,7 @@ export function RecipeListView() {
 
         {/* Table - P0-005: show error in table area so search/Create remain; P0-001: sorting disabled with server pagination */}
         <CustomTable
+          {...exportTableProps}
           rows={rows}
           columns={columns}
           loading={isLoading}
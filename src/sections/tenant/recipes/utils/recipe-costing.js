@@ -0,0 +1,83 @@
+import { getStorage, setStorage } from 'minimal-shared/utils';
+
+import { CONFIG } from 'src/global-config';
+
+// ----------------------------------------------------------------------
+
+/**
+ * Recipe food cost.
+ *
+ * An ingredient costs its quantity times the item's latest purchase unit price (posted purchase
+ * documents). Cost per serving is the recipe's total over `servings`; food cost % is that against
+ * the item's selling price. A recipe is flagged when its margin (100 - food cost %) is below the
+ * target margin, kept per browser in localStorage (default CONFIG.recipeTargetMarginPercent).
+ */
+
+const TARGET_MARGIN_STORAGE_KEY = 'recipe_target_margin_percent';
+
+const clampPercent = (value) => Math.min(100, Math.max(0, value));
+
+/** Target gross margin in percent (0-100). */
+export function getTargetMarginPercent() {
+  const stored = getStorage(TARGET_MARGIN_STORAGE_KEY);
+  const value = stored == null ? CONFIG.recipeTargetMarginPercent : Number(stored);
+  return clampPercent(Number.isFinite(value) ? value : CONFIG.recipeTargetMarginPercent);
+}
+
+/** @param {number} percent */
+export function setTargetMarginPercent(percent) {
+  setStorage(TARGET_MARGIN_STORAGE_KEY, clampPercent(Number(percent) || 0));
+}
+
+// ----------------------------------------------------------------------
+
+/**
+ * @param {Object} options
+ * @param {Array<{ itemId: string, itemName?: string, quantity: number|string }>} options.ingredients
+ * @param {number|string} options.servings
+ * @param {number|null} options.sellingPrice - The recipe item's price
+ * @param {Object} options.unitPrices - From getLatestPurchasePrices: { [itemId]: { unitPrice, date } }
+ * @param {number} options.targetMarginPercent
+ * @returns {{
+ *   lines: Array<{ itemId: string, itemName: string, quantity: number, unitPrice: number|null, cost: number|null, date: string|null }>,
+ *   totalCost: number,
+ *   costPerServing: number,
+ *   missingPriceCount: number,
+ *   foodCostPercent: number|null,
+ *   marginPercent: number|null,
+ *   isBelowTarget: boolean,
+ * }}
+ */
+export function computeRecipeCost({ ingredients, servings, sellingPrice, unitPrices, targetMarginPercent }) {
+  const lines = (ingredients ?? [])
+    .filter((ingredient) => ingredient.itemId)
+    .map((ingredient) => {
+      const quantity = Number(ingredient.quantity) || 0;
+      const price = unitPrices?.[ingredient.itemId];
+      const unitPrice = price ? price.unitPrice : null;
+      return {
+        itemId: ingredient.itemId,
+        itemName: ingredient.itemName || ingredient.itemId,
+        quantity,
+        unitPrice,
+        cost: unitPrice == null ? null : quantity * unitPrice,
+        date: price?.date ?? null,
+      };
+    });
+
+  const totalCost = lines.reduce((sum, line) => sum + (line.cost ?? 0), 0);
+  const costPerServing = totalCost / (Number(servings) > 0 ? Number(servings) : 1);
+  const price = Number(sellingPrice);
+  const foodCostPercent = price > 0 ? (costPerServing / price) * 100 : null;
+  const marginPercent = foodCostPercent == null ? null : 100 - foodCostPercent;
+
+  return {
+    lines,
+    totalCost,
+    costPerServing,
+    missingPriceCount: lines.filter((line) => line.unitPrice == null).length,
+    foodCostPercent,
+    marginPercent,
+    isBelowTarget: marginPercent != null && marginPercent < targetMarginPercent,
+  };
+}
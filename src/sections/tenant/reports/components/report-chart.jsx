@@ -0,0 +1,57 @@
+'use client';
+
+import Skeleton from '@mui/material/Skeleton';
+
+import { Chart, useChart } from 'src/components/chart';
+import { EmptyContent } from 'src/components/empty-content';
+
+import { formatReportValue, REPORT_CHART_LIMIT } from '../utils/report-definitions';
+
+// ----------------------------------------------------------------------
+
+/**
+ * Chart for one report: an area chart over time for the sales report, otherwise horizontal bars
+ * for the largest rows (up to REPORT_CHART_LIMIT).
+ *
+ * @param {Object} props
+ * @param {Object} props.definition - From REPORT_DEFINITIONS
+ * @param {Array<Object>} props.rows - normalizeReport rows
+ * @param {boolean} [props.loading]
+ */
+export function ReportChart({ definition, rows, loading }) {
+  const chartRows = definition.isTimeSeries ? rows : rows.slice(0, REPORT_CHART_LIMIT);
+  const formats = definition.chartSeries.map(
+    (series) => definition.columns.find((column) => column.field === series.field)?.format
+  );
+
+  const chartOptions = useChart({
+    stroke: { width: definition.isTimeSeries ? 2 : 0 },
+    xaxis: { categories: chartRows.map((row) => row[definition.labelField]) },
+    tooltip: {
+      y: { formatter: (value, { seriesIndex }) => formatReportValue(value, formats[seriesIndex]) },
+    },
+    plotOptions: { bar: { horizontal: !definition.isTimeSeries, barHeight: '60%', borderRadius: 2 } },
+  });
+
+  if (loading) {
+    return <Skeleton variant="rounded" height={320} />;
+  }
+
+  if (!chartRows.length) {
+    return <EmptyContent title="No data for this period" sx={{ py: 8 }} />;
+  }
+
+  const height = definition.isTimeSeries ? 320 : Math.max(240, chartRows.length * 32);
+
+  return (
+    <Chart
+      type={definition.isTimeSeries ? 'area' : 'bar'}
+      series={definition.chartSeries.map((series) => ({
+        name: series.name,
+        data: chartRows.map((row) => row[series.field] ?? 0),
+      }))}
+      options={chartOptions}
+      sx={{ height }}
+    />
+  );
+}
@@ -0,0 +1,307 @@
+import dayjs from 'dayjs';
+
+import { fDate } from 'src/utils/format-time';
+import { fNumber, fPercent, fCurrency } from 'src/utils/format-number';
+
+// ----------------------------------------------------------------------
+
+/**
+ * Sales reports shown on /tenant/reports. Each definition names its API report, the columns (with
+ * a value format and whether the column is summed in the totals row) and the chart: the label
+ * column on the category axis and one or more measures as series.
+ *
+ * Rows arrive as an array (or { rows } / { data }); keys are read with fallbacks so minor API
+ * naming differences do not blank a column.
+ */
+
+export const REPORT_VALUE_FORMAT = {
+  text: 'text',
+  number: 'number',
+  currency: 'currency',
+  percent: 'percent',
+};
+
+export const SALES_GROUP_BY = {
+  day: 'day',
+  hour: 'hour',
+};
+
+/** Chart shows at most this many rows (largest first for non-time reports). */
+export const REPORT_CHART_LIMIT = 15;
+
+const CURRENCY_OPTS = { minimumFractionDigits: 2, maximumFractionDigits: 2 };
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const toAmount = (value) => round2(Number(value) || 0);
+
+const toCount = (value) => Number(value) || 0;
+
+const averageOf = (total, count) => (count > 0 ? round2(total / count) : 0);
+
+// Average ticket for the totals row: total net sales over total orders
+const withAverageTicket = (totals) => ({
+  ...totals,
+  averageTicket: averageOf(totals.netSales, totals.orderCount),
+});
+
+// ----------------------------------------------------------------------
+
+/**
+ * Display text for a report value.
+ * @param {unknown} value
+ * @param {string} format - REPORT_VALUE_FORMAT
+ */
+export function formatReportValue(value, format) {
+  if (value == null || value === '') return '-';
+  switch (format) {
+    case REPORT_VALUE_FORMAT.currency:
+      return fCurrency(value, CURRENCY_OPTS);
+    case REPORT_VALUE_FORMAT.number:
+      return fNumber(value);
+    case REPORT_VALUE_FORMAT.percent:
+      return fPercent(value);
+    default:
+      return String(value);
+  }
+}
+
+// ----------------------------------------------------------------------
+
+const SALES_COLUMNS = [
+  { field: 'orderCount', headerName: 'Orders', format: REPORT_VALUE_FORMAT.number, sum: true },
+  { field: 'grossSales', headerName: 'Gross sales', format: REPORT_VALUE_FORMAT.currency, sum: true },
+  { field: 'discounts', headerName: 'Discounts', format: REPORT_VALUE_FORMAT.currency, sum: true },
+  { field: 'tax', headerName: 'Tax', format: REPORT_VALUE_FORMAT.currency, sum: true },
+  { field: 'netSales', headerName: 'Net sales', format: REPORT_VALUE_FORMAT.currency, sum: true },
+];
+
+const toSalesMeasures = (row) => ({
+  orderCount: toCount(row.orderCount ?? row.orders),
+  grossSales: toAmount(row.grossSales ?? row.subTotal),
+  discounts: toAmount(row.discounts ?? row.discountAmount),
+  tax: toAmount(row.tax ?? row.taxAmount),
+  netSales: toAmount(row.netSales ?? row.total ?? row.totalAmount),
+});
+
+export const REPORT_DEFINITIONS = [
+  {
+    id: 'sales',
+    label: 'Sales by time',
+    endpoint: 'sales',
+    labelField: 'period',
+    isTimeSeries: true,
+    columns: [{ field: 'period', headerName: 'Period', format: REPORT_VALUE_FORMAT.text }, ...SALES_COLUMNS],
+    chartSeries: [{ field: 'netSales', name: 'Net sales' }],
+    normalizeRow: (row, { groupBy }) => {
+      const isHour = groupBy === SALES_GROUP_BY.hour;
+      const hour = toCount(row.hour);
+      return {
+        id: isHour ? `h-${hour}` : (row.date ?? row.period),
+        period: isHour ? `${String(hour).padStart(2, '0')}:00` : fDate(row.date ?? row.period),
+        sortKey: isHour ? hour : dayjs(row.date ?? row.period).valueOf(),
+        ...toSalesMeasures(row),
+      };
+    },
+  },
+  {
+    id: 'items',
+    label: 'By item',
+    endpoint: 'items',
+    labelField: 'itemName',
+    columns: [
+      { field: 'itemName', headerName: 'Item', format: REPORT_VALUE_FORMAT.text },
+      { field: 'categoryName', headerName: 'Category', format: REPORT_VALUE_FORMAT.text },
+      { field: 'quantity', headerName: 'Qty sold', format: REPORT_VALUE_FORMAT.number, sum: true },
+      { field: 'grossSales', headerName: 'Gross sales', format: REPORT_VALUE_FORMAT.currency, sum: true },
+      { field: 'discounts', headerName: 'Discounts', format: REPORT_VALUE_FORMAT.currency, sum: true },
+      { field: 'netSales', headerName: 'Net sales', format: REPORT_VALUE_FORMAT.currency, sum: true },
+    ],
+    chartSeries: [{ field: 'netSales', name: 'Net sales' }],
+    normalizeRow: (row) => ({
+      id: row.itemId ?? row.id ?? row.itemName,
+      itemName: row.itemName ?? row.name ?? '-',
+      categoryName: row.categoryName ?? '-',
+      quantity: toCount(row.quantity),
+      grossSales: toAmount(row.grossSales),
+      discounts: toAmount(row.discounts ?? row.discountAmount),
+      netSales: toAmount(row.netSales ?? row.total),
+    }),
+  },
+  {
+    id: 'categories',
+    label: 'By category',
+    endpoint: 'categories',
+    labelField: 'categoryName',
+    columns: [
+      { field: 'categoryName', headerName: 'Category', format: REPORT_VALUE_FORMAT.text },
+      { field: 'quantity', headerName: 'Qty sold', format: REPORT_VALUE_FORMAT.number, sum: true },
+      { field: 'netSales', headerName: 'Net sales', format: REPORT_VALUE_FORMAT.currency, sum: true },
+      { field: 'share', headerName: 'Share (%)', format: REPORT_VALUE_FORMAT.percent },
+    ],
+    chartSeries: [{ field: 'netSales', name: 'Net sales' }],
+    normalizeRow: (row) => ({
+      id: row.categoryId ?? row.id ?? row.categoryName,
+      categoryName: row.categoryName ?? row.name ?? '-',
+      quantity: toCount(row.quantity),
+      netSales: toAmount(row.netSales ?? row.total),
+    }),
+    // Share of net sales, filled in once all rows are known
+    finalizeRows: (rows) => {
+      const total = rows.reduce((sum, row) => sum + row.netSales, 0);
+      return rows.map((row) => ({ ...row, share: total > 0 ? round2((row.netSales / total) * 100) : 0 }));
+    },
+  },
+  {
+    id: 'staff',
+    label: 'By staff',
+    endpoint: 'staff',
+    labelField: 'staffName',
+    columns: [
+      { field: 'staffName', headerName: 'Staff member', format: REPORT_VALUE_FORMAT.text },
+      { field: 'orderCount', headerName: 'Orders', format: REPORT_VALUE_FORMAT.number, sum: true },
+      { field: 'netSales', headerName: 'Net sales', format: REPORT_VALUE_FORMAT.currency, sum: true },
+      { field: 'averageTicket', headerName: 'Avg ticket', format: REPORT_VALUE_FORMAT.currency },
+    ],
+    chartSeries: [{ field: 'netSales', name: 'Net sales' }],
+    normalizeRow: (row) => {
+      const orderCount = toCount(row.orderCount);
+      const netSales = toAmount(row.netSales ?? row.total);
+      return {
+        id: row.staffId ?? row.id ?? row.staffName,
+        staffName: row.staffName ?? row.name ?? 'Unassigned',
+        orderCount,
+        netSales,
+        averageTicket: row.averageTicket != null ? toAmount(row.averageTicket) : averageOf(netSales, orderCount),
+      };
+    },
+    finalizeTotals: withAverageTicket,
+  },
+  {
+    id: 'payment-modes',
+    label: 'By payment mode',
+    endpoint: 'payment-modes',
+    labelField: 'paymentModeName',
+    columns: [
+      { field: 'paymentModeName', headerName: 'Payment mode', format: REPORT_VALUE_FORMAT.text },
+      { field: 'transactionCount', headerName: 'Payments', format: REPORT_VALUE_FORMAT.number, sum: true },
+      { field: 'amount', headerName: 'Amount', format: REPORT_VALUE_FORMAT.currency, sum: true },
+      { field: 'refunds', headerName: 'Refunds', format: REPORT_VALUE_FORMAT.currency, sum: true },
+    ],
+    chartSeries: [{ field: 'amount', name: 'Amount' }],
+    normalizeRow: (row, { paymentModeOptions }) => ({
+      id: row.paymentModeId ?? row.id ?? row.paymentModeName,
+      paymentModeName:
+        row.paymentModeName ??
+        row.name ??
+        paymentModeOptions.find((option) => option.id === row.paymentModeId)?.label ??
+        '-',
+      transactionCount: toCount(row.transactionCount ?? row.count),
+      amount: toAmount(row.amount ?? row.total),
+      refunds: toAmount(row.refunds ?? row.refundAmount),
+    }),
+  },
+  {
+    id: 'order-types',
+    label: 'By order type',
+    endpoint: 'order-types',
+    labelField: 'orderTypeName',
+    columns: [
+      { field: 'orderTypeName', headerName: 'Order type', format: REPORT_VALUE_FORMAT.text },
+      { field: 'orderCount', headerName: 'Orders', format: REPORT_VALUE_FORMAT.number, sum: true },
+      { field: 'netSales', headerName: 'Net sales', format: REPORT_VALUE_FORMAT.currency, sum: true },
+      { field: 'averageTicket', headerName: 'Avg ticket', format: REPORT_VALUE_FORMAT.currency },
+    ],
+    chartSeries: [{ field: 'netSales', name: 'Net sales' }],
+    normalizeRow: (row) => {
+      const orderCount = toCount(row.orderCount);
+      const netSales = toAmount(row.netSales ?? row.total);
+      return {
+        id: row.orderTypeId ?? row.id ?? row.orderTypeName,
+        orderTypeName: row.orderTypeName ?? row.name ?? '-',
+        orderCount,
+        netSales,
+        averageTicket: row.averageTicket != null ? toAmount(row.averageTicket) : averageOf(netSales, orderCount),
+      };
+    },
+    finalizeTotals: withAverageTicket,
+  },
+  {
+    id: 'tax',
+    label: 'Tax summary',
+    endpoint: 'tax',
+    labelField: 'taxName',
+    columns: [
+      { field: 'taxName', headerName: 'Tax', format: REPORT_VALUE_FORMAT.text },
+      { field: 'rate', headerName: 'Rate (%)', format: REPORT_VALUE_FORMAT.percent },
+      { field: 'orderCount', headerName: 'Orders', format: REPORT_VALUE_FORMAT.number, sum: true },
+      { field: 'taxableAmount', headerName: 'Taxable amount', format: REPORT_VALUE_FORMAT.currency, sum: true },
+      { field: 'taxAmount', headerName: 'Tax collected', format: REPORT_VALUE_FORMAT.currency, sum: true },
+    ],
+    chartSeries: [{ field: 'taxAmount', name: 'Tax collected' }],
+    normalizeRow: (row) => ({
+      id: row.taxId ?? row.id ?? `${row.taxName ?? 'Tax'}-${row.rate ?? row.taxRate ?? 0}`,
+      taxName: row.taxName ?? row.name ?? 'Tax',
+      rate: row.rate ?? row.taxRate ?? null,
+      orderCount: toCount(row.orderCount),
+      taxableAmount: toAmount(row.taxableAmount),
+      taxAmount: toAmount(row.taxAmount ?? row.amount),
+    }),
+  },
+  {
+    id: 'discounts',
+    label: 'Discount summary',
+    endpoint: 'discounts',
+    labelField: 'discountName',
+    columns: [
+      { field: 'discountName', headerName: 'Discount', format: REPORT_VALUE_FORMAT.text },
+      { field: 'level', headerName: 'Applied to', format: REPORT_VALUE_FORMAT.text },
+      { field: 'orderCount', headerName: 'Orders', format: REPORT_VALUE_FORMAT.number, sum: true },
+      { field: 'amount', headerName: 'Discount amount', format: REPORT_VALUE_FORMAT.currency, sum: true },
+      { field: 'approvedCount', headerName: 'Manager approved', format: REPORT_VALUE_FORMAT.number, sum: true },
+    ],
+    chartSeries: [{ field: 'amount', name: 'Discount amount' }],
+    normalizeRow: (row) => ({
+      id: row.discountId ?? row.id ?? `${row.discountName ?? row.name ?? 'Manual'}-${row.level ?? ''}`,
+      discountName: row.discountName ?? row.name ?? 'Manual discount',
+      level: row.level === 'Item' || row.level === 'Line' ? 'Line' : 'Order',
+      orderCount: toCount(row.orderCount),
+      amount: toAmount(row.amount ?? row.discountAmount),
+      approvedCount: toCount(row.approvedCount),
+    }),
+  },
+];
+
+// ----------------------------------------------------------------------
+
+/** @returns {Object} The report definition (first one for unknown ids) */
+export const getReportDefinition = (id) => REPORT_DEFINITIONS.find((report) => report.id === id) ?? REPORT_DEFINITIONS[0];
+
+/**
+ * Rows and totals for a report response.
+ *
+ * @param {Object} definition - From REPORT_DEFINITIONS
+ * @param {Array|Object} response - GET /api/reports/{endpoint}
+ * @param {{ groupBy?: string, paymentModeOptions?: Array<{ id, label }> }} [context]
+ * @returns {{ rows: Array<Object>, totals: Object }}
+ */
+export function normalizeReport(definition, response, context = {}) {
+  const list = Array.isArray(response) ? response : (response?.rows ?? response?.data ?? []);
+  const normalizeContext = { paymentModeOptions: [], ...context };
+
+  let rows = list.map((row) => definition.normalizeRow(row ?? {}, normalizeContext));
+  if (definition.finalizeRows) rows = definition.finalizeRows(rows);
+  rows = definition.isTimeSeries
+    ? [...rows].sort((a, b) => a.sortKey - b.sortKey)
+    : [...rows].sort((a, b) => (b[definition.chartSeries[0].field] ?? 0) - (a[definition.chartSeries[0].field] ?? 0));
+
+  const summed = definition.columns
+    .filter((column) => column.sum)
+    .reduce((acc, column) => {
+      acc[column.field] = round2(rows.reduce((sum, row) => sum + (Number(row[column.field]) || 0), 0));
+      return acc;
+    }, {});
+  const totals = definition.finalizeTotals ? definition.finalizeTotals(summed) : summed;
+
+  return { rows, totals };
+}
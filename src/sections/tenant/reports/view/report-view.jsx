@@ -0,0 +1,236 @@
+'use client';
+
+import dayjs from 'dayjs';
+import { useMemo, useState, useCallback } from 'react';
+
+import Box from '@mui/material/Box';
+import Tab from '@mui/material/Tab';
+import Card from '@mui/material/Card';
+import Tabs from '@mui/material/Tabs';
+import Stack from '@mui/material/Stack';
+import Typography from '@mui/material/Typography';
+import ToggleButton from '@mui/material/ToggleButton';
+import ToggleButtonGroup from '@mui/material/ToggleButtonGroup';
+
+import { exportTable } from 'src/utils/export-file';
+import { getApiErrorMessage } from 'src/utils/api-error-message';
+import { fDateTime, toDateRangeParams, fDateRangeShortLabel } from 'src/utils/format-time';
+
+import { useGetReportQuery } from 'src/store/api/reports-api';
+import { useGetPaymentModesDropdownQuery } from 'src/store/api/payment-modes-api';
+
+import { toast } from 'src/components/snackbar';
+import { Field } from 'src/components/hook-form';
+import { EmptyContent } from 'src/components/empty-content';
+import { ExportMenuButton } from 'src/components/export-menu';
+import { CustomTable, DEFAULT_PAGINATION } from 'src/components/custom-table';
+import { useDateRangePicker, CustomDateRangePicker } from 'src/components/custom-date-range-picker';
+
+import { ReportChart } from '../components/report-chart';
+import {
+  SALES_GROUP_BY,
+  normalizeReport,
+  formatReportValue,
+  REPORT_DEFINITIONS,
+  getReportDefinition,
+  REPORT_VALUE_FORMAT,
+} from '../utils/report-definitions';
+
+// ----------------------------------------------------------------------
+
+/**
+ * Sales reports for a date range (today by default): by day / hour, item, category, staff,
+ * payment mode and order type, plus tax and discount summaries. Each report has a chart, a table
+ * with a totals line and exports to CSV, XLSX and PDF (rows plus the totals row).
+ */
+export function ReportView() {
+  const [reportId, setReportId] = useState(REPORT_DEFINITIONS[0].id);
+  const [groupBy, setGroupBy] = useState(SALES_GROUP_BY.day);
+  const [isExporting, setIsExporting] = useState(false);
+
+  const rangePicker = useDateRangePicker(dayjs(), dayjs());
+  const [range, setRange] = useState(() => ({ startDate: dayjs(), endDate: dayjs() }));
+
+  const definition = getReportDefinition(reportId);
+
+  const queryParams = useMemo(() => {
+    const dates = toDateRangeParams(range.startDate, range.endDate);
+    if (!dates) return null;
+    return {
+      report: definition.endpoint,
+      ...dates,
+      ...(definition.isTimeSeries && { groupBy }),
+    };
+  }, [range, definition, groupBy]);
+
+  const { data: response, isFetching, error, refetch } = useGetReportQuery(queryParams, { skip: !queryParams });
+
+  const { data: paymentModesDropdown } = useGetPaymentModesDropdownQuery();
+  const paymentModeOptions = useMemo(
+    () => (paymentModesDropdown ?? []).map((mode) => ({ id: mode.key, label: mode.value || mode.key })),
+    [paymentModesDropdown]
+  );
+
+  const { rows, totals } = useMemo(
+    () => normalizeReport(definition, response, { groupBy, paymentModeOptions }),
+    [definition, response, groupBy, paymentModeOptions]
+  );
+
+  const columns = useMemo(
+    () =>
+      definition.columns.map((column, index) => ({
+        field: column.field,
+        headerName: column.headerName,
+        flex: index === 0 ? 1.4 : 1,
+        minWidth: index === 0 ? 160 : 110,
+        ...(column.format !== REPORT_VALUE_FORMAT.text && {
+          type: 'number',
+          valueFormatter: (value) => formatReportValue(value, column.format),
+        }),
+      })),
+    [definition]
+  );
+
+  const totalsLine = useMemo(
+    () =>
+      definition.columns
+        .filter((column) => totals[column.field] != null)
+        .map((column) => ({ label: column.headerName, value: formatReportValue(totals[column.field], column.format) })),
+    [definition, totals]
+  );
+
+  const rangeLabel = fDateRangeShortLabel(range.startDate, range.endDate);
+
+  const handleApplyRange = useCallback(() => {
+    if (rangePicker.error || !rangePicker.startDate || !rangePicker.endDate) return;
+    setRange({ startDate: rangePicker.startDate, endDate: rangePicker.endDate });
+  }, [rangePicker.error, rangePicker.startDate, rangePicker.endDate]);
+
+  const handleExport = useCallback(
+    async (format) => {
+      setIsExporting(true);
+      try {
+        const [labelColumn] = definition.columns;
+        const totalsRow = { ...totals, [labelColumn.field]: 'Total' };
+        await exportTable(format, {
+          filename: `${definition.label} ${definition.isTimeSeries ? groupBy : ''}`.trim(),
+          title: definition.label,
+          subtitles: [`Period: ${rangeLabel}`, `Generated: ${fDateTime(new Date())}`],
+          columns: definition.columns.map((column) => ({
+            field: column.field,
+            headerName: column.headerName,
+            type: column.format === REPORT_VALUE_FORMAT.text ? 'text' : 'number',
+          })),
+          rows: rows.length ? [...rows, totalsRow] : rows,
+        });
+      } catch (exportError) {
+        const { message } = getApiErrorMessage(exportError, { defaultMessage: 'Failed to export report' });
+        toast.error(message);
+      } finally {
+        setIsExporting(false);
+      }
+    },
+    [definition, totals, rows, groupBy, rangeLabel]
+  );
+
+  return (
+    <Box>
+      <Stack direction={{ xs: 'column', sm: 'row' }} alignItems={{ sm: 'center' }} spacing={1.5} sx={{ mb: 2 }}>
+        <Typography variant="h5" sx={{ flex: 1 }}>
+          Reports
+        </Typography>
+        <ExportMenuButton
+          onExport={handleExport}
+          loading={isExporting}
+          disabled={isFetching || !!error || rows.length === 0}
+        />
+        <Field.Button
+          variant="outlined"
+          color="inherit"
+          startIcon="solar:calendar-date-bold"
+          onClick={rangePicker.onOpen}
+          sx={{ minHeight: 44 }}
+        >
+          {rangeLabel}
+        </Field.Button>
+      </Stack>
+
+      <Tabs
+        value={reportId}
+        onChange={(event, value) => setReportId(value)}
+        variant="scrollable"
+        scrollButtons="auto"
+        sx={{ mb: 3 }}
+      >
+        {REPORT_DEFINITIONS.map((report) => (
+          <Tab key={report.id} value={report.id} label={report.label} />
+        ))}
+      </Tabs>
+
+      <Card variant="outlined" sx={{ p: 2.5, mb: 3 }}>
+        <Stack direction="row" alignItems="center" spacing={2} sx={{ mb: 2 }}>
+          <Typography variant="subtitle1" sx={{ flex: 1 }}>
+            {definition.label}
+          </Typography>
+          {definition.isTimeSeries && (
+            <ToggleButtonGroup
+              exclusive
+              size="small"
+              value={groupBy}
+              onChange={(event, value) => value && setGroupBy(value)}
+            >
+              <ToggleButton value={SALES_GROUP_BY.day}>By day</ToggleButton>
+              <ToggleButton value={SALES_GROUP_BY.hour}>By hour</ToggleButton>
+            </ToggleButtonGroup>
+          )}
+        </Stack>
+        {error ? null : <ReportChart definition={definition} rows={rows} loading={isFetching} />}
+      </Card>
+
+      <Card variant="outlined" sx={{ p: 2 }}>
+        <CustomTable
+          rows={rows}
+          columns={columns}
+          loading={isFetching}
+          error={error}
+          onRetry={refetch}
+          errorEntityLabel="report"
+          pagination={{ ...DEFAULT_PAGINATION, pageSize: 25 }}
+          getRowId={(row) => row.id}
+          emptyContent={<EmptyContent title="No data" description="Nothing was sold in this period" />}
+        />
+        {!error && rows.length > 0 && (
+          <Stack
+            direction="row"
+            flexWrap="wrap"
+            useFlexGap
+            spacing={3}
+            sx={{ mt: 2, pt: 2, borderTop: 1, borderColor: 'divider' }}
+          >
+            <Typography variant="subtitle2">Total</Typography>
+            {totalsLine.map((item) => (
+              <Typography key={item.label} variant="body2">
+                <Box component="span" sx={{ color: 'text.secondary' }}>
+                  {item.label}:
+                </Box>{' '}
+                <strong>{item.value}</strong>
+              </Typography>
+            ))}
+          </Stack>
+        )}
+      </Card>
+
+      <CustomDateRangePicker
+        open={rangePicker.open}
+        startDate={rangePicker.startDate}
+        endDate={rangePicker.endDate}
+        onChangeStartDate={rangePicker.onChangeStartDate}
+        onChangeEndDate={rangePicker.onChangeEndDate}
+        onClose={rangePicker.onClose}
+        onSubmit={handleApplyRange}
+        error={rangePicker.error}
+        title="Report date range"
+      />
+    </Box>
+  );
+}
@@ -16,6 +16,7 @@ import { getApiErrorMessage } from 'src/utils/api-error-message';
 import { ACTION_PERMISSIONS } from 'src/utils/action-permissions';
 
 import {
+  staffTypesApi,
   useGetStaffTypesQuery,
   useDeleteStaffTypeMutation,
   useToggleStaffTypeActiveMutation,
@@ -27,6 +28,7 @@ import { Field } from 'src/components/hook-form';
 import { Iconify } from 'src/components/iconify';
 import { EmptyContent } from 'src/components/empty-content';
 import { ConfirmDialog } from 'src/components/custom-dialog/confirm-dialog';
+import { useListExport, ExportMenuButton } from 'src/components/export-menu';
 import { CustomTable, DEFAULT_PAGINATION } from 'src/components/custom-table';
 
 import { StaffTypeFormDialog } from '../form/staff-type-form-dialog';
@@ -34,6 +36,15 @@ import { StaffTypeDetailsDialog } from '../components/staff-type-details-dialog'
 
 // ----------------------------------------------------------------------
 
+const toStaffTypeRow = (staffType) => ({
+  id: staffType.id,
+  name: staffType.name,
+  description: staffType.description || '-',
+  isActive: staffType.isActive,
+});
+
+// ----------------------------------------------------------------------
+
 /**
  * Staff Type List View Component
  * 
@@ -280,14 +291,8 @@ export function StaffTypeListView() {
   const rows = useMemo(() => staffTypes.map((staffType) => {
       // P2-REMAINING-002 FIX: Use optimistic update if available, otherwise use actual value
       const optimisticIsActive = optimisticToggleUpdates[staffType.id];
-      const isActive = optimisticIsActive !== undefined ? optimisticIsActive : staffType.isActive;
-      
-      return {
-        id: staffType.id,
-        name: staffType.name,
-        description: staffType.description || '-',
-        isActive,
-      };
+      const row = toStaffTypeRow(staffType);
+      return optimisticIsActive !== undefined ? { ...row, isActive: optimisticIsActive } : row;
     }), [staffTypes, optimisticToggleUpdates]);
 
   // Define columns (sortable/filterable false: server pagination without server sort/filter)
@@ -312,6 +317,7 @@ export function StaffTypeListView() {
         field: 'isActive',
         headerName: 'Status',
         flex: 1,
+        exportValue: (row) => (row.isActive ? 'Active' : 'Inactive'),
         renderCell: (params) => (
           <Label color={params.value ? 'success' : 'default'} variant="soft">
             {params.value ? 'Active' : 'Inactive'}
@@ -322,6 +328,15 @@ export function StaffTypeListView() {
     []
   );
 
+  const { tableProps: exportTableProps, ...exportMenuProps } = useListExport({
+    endpoint: staffTypesApi.endpoints.getStaffTypes,
+    queryParams,
+    rows,
+    toRow: toStaffTypeRow,
+    columns,
+    filename: 'Staff Types',
+  });
+
   // Define actions
   const actions = useMemo(
     () => [
@@ -416,12 +431,13 @@ export function StaffTypeListView() {
               sx={{ maxWidth: { sm: 400 } }}
             />
           </FormProvider>
+          <ExportMenuButton {...exportMenuProps} sx={{ ml: 'auto' }} />
           {can(ACTION_PERMISSIONS.StaffTypes.create) && (
             <Field.Button
               variant="contained"
               startIcon="mingcute:add-line"
               onClick={handleCreate}
-              sx={{ ml: 'auto', minHeight: 44 }}
+              sx={{ minHeight: 44 }}
             >
               Create Staff Type
             </Field.Button>
@@ -429,6 +445,7 @@ export function StaffTypeListView() {
         </Stack>
 
         <CustomTable
+          {...exportTableProps}
           rows={rows}
           columns={columns}
           loading={isLoading}
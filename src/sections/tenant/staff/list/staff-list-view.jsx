@@ -18,7 +18,7 @@ import { ACTION_PERMISSIONS } from 'src/utils/action-permissions';
 
 import { useGetBranchesDropdownQuery } from 'src/store/api/branches-api';
 import { useGetStaffTypesDropdownQuery } from 'src/store/api/staff-types-api';
-import { useGetStaffQuery, useDeleteStaffMutation, useToggleStaffActiveMutation } from 'src/store/api/staff-api';
+import { staffApi, useGetStaffQuery, useDeleteStaffMutation, useToggleStaffActiveMutation } from 'src/store/api/staff-api';
 
 import { Label } from 'src/components/label';
 import { toast } from 'src/components/snackbar';
@@ -26,6 +26,7 @@ import { Field } from 'src/components/hook-form';
 import { Iconify } from 'src/components/iconify';
 import { EmptyContent } from 'src/components/empty-content';
 import { ConfirmDialog } from 'src/components/custom-dialog/confirm-dialog';
+import { useListExport, ExportMenuButton } from 'src/components/export-menu';
 import { CustomTable, DEFAULT_PAGINATION } from 'src/components/custom-table';
 
 import { StaffFormDialog } from '../form/staff-form-dialog';
@@ -33,6 +34,27 @@ import { StaffDetailsDialog } from '../components/staff-details-dialog';
 
 // ----------------------------------------------------------------------
 
+const formatDate = (dateString) => {
+  if (!dateString) return '-';
+  const formatted = fDate(dateString);
+  return formatted === 'Invalid date' ? '-' : formatted;
+};
+
+// Table row from a staff member (API response keys: branchName, staffTypeName)
+const toStaffRow = (staffMember) => ({
+  id: staffMember.id,
+  fullName: `${staffMember.firstName} ${staffMember.lastName}`.trim() || '-',
+  staffTypeName: staffMember.staffTypeName || '-',
+  branchName: staffMember.branchName || '-',
+  branchId: staffMember.branchId,
+  email: staffMember.email || '-',
+  phone: staffMember.phone || '-',
+  hireDate: formatDate(staffMember.hireDate),
+  isActive: staffMember.isActive,
+});
+
+// ----------------------------------------------------------------------
+
 /**
  * Staff List View Component
  * 
@@ -367,30 +389,11 @@ export function StaffListView() {
   }, [searchForm]);
 
   // Format date for display (uses shared fDate from format-time)
-  const formatDate = useCallback((dateString) => {
-    if (!dateString) return '-';
-    const formatted = fDate(dateString);
-    return formatted === 'Invalid date' ? '-' : formatted;
-  }, []);
-
-  // Prepare table rows with optimistic update for toggling (use API response keys: branchName, staffTypeName)
+  // Prepare table rows with optimistic update for toggling
   const rows = useMemo(() => staff.map((staffMember) => {
-      let isActive = staffMember.isActive;
-      if (togglingStaffId === staffMember.id) {
-        isActive = !isActive;
-      }
-      return {
-        id: staffMember.id,
-        fullName: `${staffMember.firstName} ${staffMember.lastName}`.trim() || '-',
-        staffTypeName: staffMember.staffTypeName || '-',
-        branchName: staffMember.branchName || '-',
-        branchId: staffMember.branchId,
-        email: staffMember.email || '-',
-        phone: staffMember.phone || '-',
-        hireDate: formatDate(staffMember.hireDate),
-        isActive,
-      };
-    }), [staff, formatDate, togglingStaffId]);
+      const row = toStaffRow(staffMember);
+      return togglingStaffId === staffMember.id ? { ...row, isActive: !row.isActive } : row;
+    }), [staff, togglingStaffId]);
 
   // Define columns
   const columns = useMemo(
@@ -454,6 +457,7 @@ export function StaffListView() {
         field: 'isActive',
         headerName: 'Status',
         flex: 1,
+        exportValue: (row) => (row.isActive ? 'Active' : 'Inactive'),
         renderCell: (params) => (
           <Label color={params.value ? 'success' : 'default'} variant="soft">
             {params.value ? 'Active' : 'Inactive'}
@@ -464,6 +468,15 @@ export function StaffListView() {
     []
   );
 
+  const { tableProps: exportTableProps, ...exportMenuProps } = useListExport({
+    endpoint: staffApi.endpoints.getStaff,
+    queryParams,
+    rows,
+    toRow: toStaffRow,
+    columns,
+    filename: 'Staff',
+  });
+
   // Define actions
   const actions = useMemo(
     () => [
@@ -603,12 +616,13 @@ export function StaffListView() {
               sx={{ minWidth: { sm: 200 } }}
             />
           </FormProvider>
+          <ExportMenuButton {...exportMenuProps} sx={{ ml: 'auto' }} />
           {can(ACTION_PERMISSIONS.Staff.create) && (
             <Field.Button
               variant="contained"
               startIcon="mingcute:add-line"
               onClick={handleCreate}
-              sx={{ ml: 'auto', minHeight: 44 }}
+              sx={{ minHeight: 44 }}
             >
               Create Staff
             </Field.Button>
@@ -616,6 +630,7 @@ export function StaffListView() {
         </Stack>
 
         <CustomTable
+          {...exportTableProps}
           rows={rows}
           columns={columns}
           loading={isLoading}
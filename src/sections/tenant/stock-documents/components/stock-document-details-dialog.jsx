@@ -9,8 +9,12 @@ import Divider from '@mui/material/Divider';
 import Typography from '@mui/material/Typography';
 import { useTheme, useMediaQuery } from '@mui/material';
 
+import { paths } from 'src/routes/paths';
+import { RouterLink } from 'src/routes/components';
+
 import { fDateTime } from 'src/utils/format-time';
 import { fCurrency } from 'src/utils/format-number';
+import { getLineUnitFactor, formatLineQuantity } from 'src/utils/units-of-measure';
 
 import { Label } from 'src/components/label';
 import { Field } from 'src/components/hook-form';
@@ -187,9 +191,20 @@ export function StockDocumentDetailsDialog({
               {record.supplierName && (
                 <Box>
                   <Typography variant="caption" color="text.secondary">
-                    Supplier Name
+                    Supplier
                   </Typography>
-                  <Typography variant="body1">{record.supplierName}</Typography>
+                  {record.supplierId ? (
+                    <Typography
+                      variant="body1"
+                      component={RouterLink}
+                      href={paths.tenant.suppliers.details(record.supplierId)}
+                      sx={{ display: 'block', color: 'primary.main' }}
+                    >
+                      {record.supplierName}
+                    </Typography>
+                  ) : (
+                    <Typography variant="body1">{record.supplierName}</Typography>
+                  )}
                 </Box>
               )}
               {record.remarks && (
@@ -242,8 +257,8 @@ export function StockDocumentDetailsDialog({
                   rows={record.items.map((item, index) => ({
                     id: index,
                     itemName: item.itemName || '-',
-                    quantity: item.quantity ?? '-',
-                    unitPrice: formatCurrency(item.unitPrice),
+                    quantity: formatLineQuantity(item),
+                    unitPrice: formatCurrency(item.unitPrice == null ? null : item.unitPrice * getLineUnitFactor(item)),
                     remarks: item.remarks || '-',
                   }))}
                   columns={[
@@ -260,7 +275,7 @@ export function StockDocumentDetailsDialog({
                     {
                       field: 'quantity',
                       headerName: 'Quantity',
-                      width: 120,
+                      width: 160,
                       renderCell: (params) => (
                         <Typography variant="body2" align="right" sx={{ width: '100%', textAlign: 'right' }}>
                           {params.value}
@@ -6,10 +6,12 @@ import { useWatch, useFieldArray, useFormContext } from 'react-hook-form';
 import Box from '@mui/material/Box';
 import Card from '@mui/material/Card';
 import Stack from '@mui/material/Stack';
+import MenuItem from '@mui/material/MenuItem';
 import Typography from '@mui/material/Typography';
 import IconButton from '@mui/material/IconButton';
 
-import { fCurrency } from 'src/utils/format-number';
+import { fNumber, fCurrency } from 'src/utils/format-number';
+import { UNIT_USAGE, getBaseUnit, getItemUnits, getUnitFactor, getDefaultUnit } from 'src/utils/units-of-measure';
 
 import { Iconify } from 'src/components/iconify';
 import { Field } from 'src/components/hook-form';
@@ -21,8 +23,22 @@ import { CustomTable } from 'src/components/custom-table';
  * Stock Document Items Field Component
  * 
  * Manages an array of stock document items with add/remove, validation, and subtotal calculation.
+ * Quantity and unit price are entered in the line's unit (defaults to the item's purchase unit);
+ * the form dialog converts them to the item's base unit on submit.
+ *
+ * @param {Object} props
+ * @param {string} [props.name] - Field array name
+ * @param {Array<Object>} [props.itemOptions] - Item options (id, name, price, units)
+ * @param {string} [props.title] - Section title
+ * @param {Array<Object>} [props.extraColumns] - Read-only columns shown before Remarks; rows carry
+ *   index, itemId (selected option), quantity, unit, unitPrice and subtotal
  */
-export function StockDocumentItemsField({ name = 'items', itemOptions = [] }) {
+export function StockDocumentItemsField({
+  name = 'items',
+  itemOptions = [],
+  title = 'Document Items',
+  extraColumns = [],
+}) {
   const { control, setValue } = useFormContext();
   const { fields, append, remove } = useFieldArray({
     control,
@@ -54,6 +70,7 @@ export function StockDocumentItemsField({ name = 'items', itemOptions = [] }) {
     const newItem = {
       itemId: null,
       quantity: 1,
+      unit: '',
       unitPrice: null,
       remarks: null,
     };
@@ -70,23 +87,40 @@ export function StockDocumentItemsField({ name = 'items', itemOptions = [] }) {
     [remove, fields.length]
   );
 
-  // Handle item selection - auto-fill unit price
+  // Handle item selection - preselect the purchase unit and auto-fill unit price (per that unit)
   const handleItemChange = useCallback(
     (index, selectedItem) => {
+      const unit = selectedItem ? getDefaultUnit(selectedItem, UNIT_USAGE.purchase) : '';
+      setValue(`${name}.${index}.unit`, unit);
       if (selectedItem && selectedItem.price !== undefined) {
-        setValue(`${name}.${index}.unitPrice`, selectedItem.price, { shouldValidate: true });
+        const unitPrice = selectedItem.price * getUnitFactor(selectedItem, unit);
+        setValue(`${name}.${index}.unitPrice`, unitPrice, { shouldValidate: true });
       }
     },
     [setValue, name]
   );
 
+  // Unit changed - keep the price per base unit, re-express it per the new unit
+  const handleUnitChange = useCallback(
+    (index, unit) => {
+      const line = items[index];
+      const item = typeof line?.itemId === 'object' ? line.itemId : null;
+      setValue(`${name}.${index}.unit`, unit, { shouldValidate: true });
+      if (item && line.unitPrice !== null && line.unitPrice !== '' && line.unitPrice !== undefined) {
+        const basePrice = Number(line.unitPrice) / getUnitFactor(item, line.unit);
+        setValue(`${name}.${index}.unitPrice`, basePrice * getUnitFactor(item, unit), { shouldValidate: true });
+      }
+    },
+    [items, setValue, name]
+  );
+
   // Filter items to active and available only
   const filteredItemOptions = useMemo(() => itemOptions.filter((item) => item.isActive && item.isAvailable), [itemOptions]);
 
   return (
     <Box>
       <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
-        <Typography variant="subtitle2">Document Items</Typography>
+        <Typography variant="subtitle2">{title}</Typography>
         <Field.Button
           size="small"
           variant="outlined"
@@ -112,6 +146,7 @@ export function StockDocumentItemsField({ name = 'items', itemOptions = [] }) {
               index,
               itemId: items[index]?.itemId || null,
               quantity: items[index]?.quantity || 1,
+              unit: items[index]?.unit || '',
               unitPrice: items[index]?.unitPrice ?? null,
               remarks: items[index]?.remarks || null,
               subtotal: calculateSubtotal(index),
@@ -175,6 +210,39 @@ export function StockDocumentItemsField({ name = 'items', itemOptions = [] }) {
                   />
                 ),
               },
+              {
+                field: 'unit',
+                headerName: 'Unit',
+                width: 130,
+                renderCell: (params) => {
+                  const item = typeof params.row.itemId === 'object' ? params.row.itemId : null;
+                  const units = item ? getItemUnits(item) : [];
+                  const factor = item ? getUnitFactor(item, params.row.unit) : 1;
+                  return (
+                    <Box sx={{ width: '100%' }}>
+                      <Field.Select
+                        name={`${name}.${params.row.index}.unit`}
+                        size="small"
+                        disabled={!item}
+                        onChange={(event) => handleUnitChange(params.row.index, event.target.value)}
+                        slotProps={{ select: { sx: { textTransform: 'none' } } }}
+                      >
+                        {units.map((unit) => (
+                          <MenuItem key={unit.id} value={unit.id}>
+                            {unit.label}
+                          </MenuItem>
+                        ))}
+                      </Field.Select>
+                      {factor !== 1 && (
+                        <Typography variant="caption" color="text.secondary">
+                          = {fNumber((Number(params.row.quantity) || 0) * factor, { maximumFractionDigits: 3 })}{' '}
+                          {getBaseUnit(item)}
+                        </Typography>
+                      )}
+                    </Box>
+                  );
+                },
+              },
               {
                 field: 'unitPrice',
                 headerName: 'Unit Price',
@@ -206,6 +274,7 @@ export function StockDocumentItemsField({ name = 'items', itemOptions = [] }) {
                   </Typography>
                 ),
               },
+              ...extraColumns,
               {
                 field: 'remarks',
                 headerName: 'Remarks',
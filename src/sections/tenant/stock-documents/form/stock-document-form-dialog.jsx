@@ -9,9 +9,11 @@ import Divider from '@mui/material/Divider';
 import Typography from '@mui/material/Typography';
 import { useTheme, useMediaQuery } from '@mui/material';
 
+import { getLineUnitFactor } from 'src/utils/units-of-measure';
 import { getApiErrorMessage } from 'src/utils/api-error-message';
 
 import { useGetItemsQuery } from 'src/store/api/items-api';
+import { useGetSuppliersDropdownQuery } from 'src/store/api/suppliers-api';
 import { createStockDocumentSchema, updateStockDocumentSchema } from 'src/schemas';
 import {
   useCreateStockDocumentMutation,
@@ -23,8 +25,14 @@ import { Form, Field } from 'src/components/hook-form';
 import { CustomDialog } from 'src/components/custom-dialog';
 import { ConfirmDialog } from 'src/components/custom-dialog/confirm-dialog';
 
-import { DOCUMENT_TYPE_OPTIONS } from '../utils/stock-document-helpers';
 import { StockDocumentItemsField } from './components/stock-document-items-field';
+import {
+  toItemOption,
+  toBaseUnitLine,
+  toItemsFieldLine,
+  withLineItemOptions,
+  DOCUMENT_TYPE_OPTIONS,
+} from '../utils/stock-document-helpers';
 
 // ----------------------------------------------------------------------
 
@@ -33,7 +41,10 @@ import { StockDocumentItemsField } from './components/stock-document-items-field
  *
  * Single dialog for create and edit. Edit mode uses record from list (no getById).
  * Tenant and branch are taken from route/context; no tenant or branch dropdown.
- * documentType: static (DOCUMENT_TYPE_OPTIONS). items[].itemId: from useGetItemsQuery.
+ * documentType: static (DOCUMENT_TYPE_OPTIONS). supplierId: from useGetSuppliersDropdownQuery (the
+ * supplier's name is sent as supplierName too). items[].itemId: from useGetItemsQuery.
+ * Lines are entered in any unit of the item; quantity and unit price are sent in the base unit,
+ * with the entered unit and quantity (unit, unitQuantity) kept for display and editing.
  */
 export function StockDocumentFormDialog({ open, mode, record, onClose, onSuccess }) {
   const theme = useTheme();
@@ -55,9 +66,10 @@ export function StockDocumentFormDialog({ open, mode, record, onClose, onSuccess
     defaultValues: useMemo(
       () => ({
         documentType: null,
+        supplierId: null,
         supplierName: null,
         remarks: null,
-        items: [{ itemId: null, quantity: 1, unitPrice: null, remarks: null }],
+        items: [{ itemId: null, quantity: 1, unit: '', unitPrice: null, remarks: null }],
       }),
       []
     ),
@@ -66,48 +78,52 @@ export function StockDocumentFormDialog({ open, mode, record, onClose, onSuccess
 
   const {
     reset,
+    getValues,
     handleSubmit,
     formState: { isDirty },
   } = methods;
 
   const { data: itemsQueryData } = useGetItemsQuery({ pageSize: 200 }, { skip: !open });
-  const itemOptions = useMemo(() => {
-    if (!itemsQueryData) return [];
-    const items = itemsQueryData.data || [];
-    return items.map((item) => ({
-      id: item.id,
-      name: item.name || item.id,
-      price: item.price || 0,
-      isActive: item.isActive ?? true,
-      isAvailable: item.isAvailable ?? true,
-    }));
-  }, [itemsQueryData]);
-
-  // Effective item options: include synthetics for record items not yet in itemOptions (edit mode)
-  const effectiveItemOptions = useMemo(() => {
-    if (mode !== 'edit' || !record?.items?.length) return itemOptions;
-    const idsInOptions = new Set(itemOptions.map((o) => o.id));
-    const synthetics = record.items
-      .filter((item) => item.itemId && !idsInOptions.has(item.itemId))
-      .map((item) => ({
-        id: item.itemId,
-        name: item.itemName || item.itemId,
-        price: item.unitPrice ?? 0,
-        isActive: true,
-        isAvailable: true,
-      }));
-    if (synthetics.length === 0) return itemOptions;
-    return [...itemOptions, ...synthetics];
-  }, [mode, record?.items, itemOptions]);
+  const itemOptions = useMemo(() => (itemsQueryData?.data ?? []).map(toItemOption), [itemsQueryData]);
+
+  // Effective item options: include the record's items not yet in itemOptions (edit mode)
+  const effectiveItemOptions = useMemo(
+    () => (mode === 'edit' ? withLineItemOptions(itemOptions, record?.items) : itemOptions),
+    [mode, record?.items, itemOptions]
+  );
+
+  const { data: suppliersDropdown } = useGetSuppliersDropdownQuery(undefined, { skip: !open });
+  const supplierOptions = useMemo(
+    () =>
+      Array.isArray(suppliersDropdown)
+        ? suppliersDropdown.map((supplier) => ({ id: supplier.key, label: supplier.value || supplier.key }))
+        : [],
+    [suppliersDropdown]
+  );
+
+  // Selected supplier → supplierId and its current name. Documents saved before suppliers existed
+  // keep their free-text supplier name until a supplier is picked.
+  const toSupplierFields = useCallback(
+    (supplierId) => {
+      if (!supplierId) {
+        return { supplierId: null, supplierName: (!record?.supplierId && record?.supplierName) || null };
+      }
+      const option = supplierOptions.find((opt) => opt.id === supplierId);
+      const recordName = supplierId === record?.supplierId ? record?.supplierName : null;
+      return { supplierId, supplierName: option?.label ?? recordName ?? null };
+    },
+    [supplierOptions, record?.supplierId, record?.supplierName]
+  );
 
   // Load document data for edit mode from record or reset for create/close
   useEffect(() => {
     if (!open) {
       reset({
         documentType: null,
+        supplierId: null,
         supplierName: null,
         remarks: null,
-        items: [{ itemId: null, quantity: 1, unitPrice: null, remarks: null }],
+        items: [{ itemId: null, quantity: 1, unit: '', unitPrice: null, remarks: null }],
       });
       setItemsReplacementWarningOpen(false);
       setPendingSubmit(null);
@@ -121,19 +137,13 @@ export function StockDocumentFormDialog({ open, mode, record, onClose, onSuccess
       const documentTypeValue = matchingDocumentType || (record.documentType != null ? { id: record.documentType, label: String(record.documentType) } : null);
 
       const itemsData =
-        record.items?.map((item) => {
-          const matchingItem = effectiveItemOptions.find((opt) => opt.id === item.itemId);
-          const itemValue = matchingItem || (item.itemId ? { id: item.itemId, name: item.itemName || item.itemId, price: item.unitPrice ?? 0, isActive: true, isAvailable: true } : null);
-          return {
-            itemId: itemValue,
-            quantity: item.quantity,
-            unitPrice: item.unitPrice,
-            remarks: item.remarks || null,
-          };
-        }) || [{ itemId: null, quantity: 1, unitPrice: null, remarks: null }];
+        record.items?.map((item) => toItemsFieldLine(item, effectiveItemOptions)) || [
+          { itemId: null, quantity: 1, unit: '', unitPrice: null, remarks: null },
+        ];
 
       reset({
         documentType: documentTypeValue,
+        supplierId: record.supplierId ? { id: record.supplierId, label: record.supplierName || record.supplierId } : null,
         supplierName: record.supplierName || null,
         remarks: record.remarks || null,
         items: itemsData,
@@ -141,23 +151,29 @@ export function StockDocumentFormDialog({ open, mode, record, onClose, onSuccess
     } else if (mode === 'edit' && !record) {
       reset({
         documentType: null,
+        supplierId: null,
         supplierName: null,
         remarks: null,
-        items: [{ itemId: null, quantity: 1, unitPrice: null, remarks: null }],
+        items: [{ itemId: null, quantity: 1, unit: '', unitPrice: null, remarks: null }],
       });
     } else if (mode === 'create') {
       reset({
         documentType: null,
+        supplierId: null,
         supplierName: null,
         remarks: null,
-        items: [{ itemId: null, quantity: 1, unitPrice: null, remarks: null }],
+        items: [{ itemId: null, quantity: 1, unit: '', unitPrice: null, remarks: null }],
       });
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [open, mode, record?.id, record?.documentType, record?.supplierName, record?.remarks, record?.items, effectiveItemOptions, reset]);
+  }, [open, mode, record?.id, record?.documentType, record?.supplierId, record?.supplierName, record?.remarks, record?.items, effectiveItemOptions, reset]);
 
   // Handle form submit
   const onSubmit = handleSubmit(async (data) => {
+    // Raw form rows, snapshotted now: the parsed data only has item ids (the unit conversion needs the
+    // selected item options) and a later Retry must not read a form that was reset on close
+    const rows = getValues('items');
+
     // Check if editing and items are being replaced
     if (mode === 'edit' && data.items && data.items.length > 0 && record) {
       const currentItemsCount = record.items?.length || 0;
@@ -168,40 +184,33 @@ export function StockDocumentFormDialog({ open, mode, record, onClose, onSuccess
         quantity: i.quantity,
       }))) !== JSON.stringify((record.items || []).map((i) => ({
         itemId: i.itemId,
-        quantity: i.quantity,
+        quantity: getLineUnitFactor(i) !== 1 ? i.unitQuantity : i.quantity,
       })));
 
       if (itemsChanged && (newItemsCount !== currentItemsCount || itemsChanged)) {
-        setPendingSubmit(() => () => performSubmit(data));
+        setPendingSubmit(() => () => performSubmit(data, rows));
         setItemsReplacementWarningOpen(true);
         return;
       }
     }
 
-    await performSubmit(data);
+    await performSubmit(data, rows);
   });
 
   // Perform actual submit (P0-002: ref guard prevents double-submit)
-  const performSubmit = useCallback(async (data) => {
+  const performSubmit = useCallback(async (data, rows) => {
     if (isSubmittingRef.current) return;
     isSubmittingRef.current = true;
     try {
-      // Transform items array
-      const transformedItems = data.items.map((item) => ({
-        itemId: typeof item.itemId === 'object' && item.itemId !== null
-          ? item.itemId.id
-          : item.itemId,
-        quantity: Number(item.quantity),
-        unitPrice: item.unitPrice === null || item.unitPrice === '' ? null : Number(item.unitPrice),
-        remarks: item.remarks === '' ? null : item.remarks,
-      }));
+      // Transform items array (quantity / unit price converted to the item's base unit)
+      const transformedItems = rows.map((row) => toBaseUnitLine(row));
 
       if (mode === 'create') {
         const createData = {
           documentType: typeof data.documentType === 'object' && data.documentType !== null
             ? data.documentType.id
             : data.documentType,
-          supplierName: data.supplierName === '' ? null : data.supplierName,
+          ...toSupplierFields(data.supplierId),
           remarks: data.remarks === '' ? null : data.remarks,
           items: transformedItems,
         };
@@ -216,7 +225,7 @@ export function StockDocumentFormDialog({ open, mode, record, onClose, onSuccess
       } else {
         // Edit mode
         const updateData = {
-          supplierName: data.supplierName === '' ? null : data.supplierName,
+          ...toSupplierFields(data.supplierId),
           remarks: data.remarks === '' ? null : data.remarks,
           items: transformedItems, // Empty array preserves, non-empty replaces
         };
@@ -238,7 +247,7 @@ export function StockDocumentFormDialog({ open, mode, record, onClose, onSuccess
           action: {
             label: 'Retry',
             onClick: () => {
-              setTimeout(() => performSubmit(data), 100);
+              setTimeout(() => performSubmit(data, rows), 100);
             },
           },
         });
@@ -248,7 +257,7 @@ export function StockDocumentFormDialog({ open, mode, record, onClose, onSuccess
     } finally {
       isSubmittingRef.current = false;
     }
-  }, [mode, createStockDocument, updateStockDocument, record, onSuccess, reset, onClose]);
+  }, [mode, createStockDocument, updateStockDocument, record, onSuccess, reset, onClose, toSupplierFields]);
 
   // Handle confirm items replacement
   const handleConfirmItemsReplacement = useCallback(() => {
@@ -350,11 +359,19 @@ export function StockDocumentFormDialog({ open, mode, record, onClose, onSuccess
                     sx={{ flex: 1 }}
                   />
 
-                  {/* Supplier Name */}
-                  <Field.Text
-                    name="supplierName"
-                    label="Supplier Name"
-                    placeholder="Enter supplier name (optional)"
+                  {/* Supplier */}
+                  <Field.Autocomplete
+                    name="supplierId"
+                    label="Supplier"
+                    options={supplierOptions}
+                    getOptionLabel={(opt) => opt?.label ?? ''}
+                    isOptionEqualToValue={(opt, val) => opt?.id === val?.id}
+                    helperText={
+                      mode === 'edit' && !record?.supplierId && record?.supplierName
+                        ? `Recorded as "${record.supplierName}"`
+                        : undefined
+                    }
+                    slotProps={{ textField: { placeholder: 'Select supplier (optional)' } }}
                     sx={{ flex: 1 }}
                   />
                        </Box>
@@ -20,6 +20,7 @@ import { ACTION_PERMISSIONS } from 'src/utils/action-permissions';
 import { useGetTenantsDropdownQuery } from 'src/store/api/tenants-api';
 import { useGetBranchesDropdownQuery } from 'src/store/api/branches-api';
 import {
+  stockDocumentsApi,
   useGetAllStockDocumentsQuery,
   useDeleteStockDocumentMutation,
   useToggleStockDocumentActiveMutation,
@@ -31,6 +32,7 @@ import { Field } from 'src/components/hook-form';
 import { Iconify } from 'src/components/iconify';
 import { EmptyContent } from 'src/components/empty-content';
 import { ConfirmDialog } from 'src/components/custom-dialog/confirm-dialog';
+import { useListExport, ExportMenuButton } from 'src/components/export-menu';
 import { CustomTable, DEFAULT_PAGINATION } from 'src/components/custom-table';
 
 import { StockDocumentFormDialog } from '../form/stock-document-form-dialog';
@@ -56,6 +58,18 @@ const formatDate = (dateString) => {
   return formatted === 'Invalid date' ? '-' : formatted;
 };
 
+const toStockDocumentRow = (document) => ({
+  id: document.id,
+  tenantName: document.tenantName || '-',
+  branchName: document.branchName || '-',
+  documentType: document.documentType,
+  status: document.status,
+  supplierName: document.supplierName || '-',
+  itemsCount: document.items?.length || 0,
+  createDate: document.createDate,
+  isActive: document.isActive ?? true,
+});
+
 /**
  * Truncate document ID for display
  */
@@ -541,6 +555,7 @@ export function StockDocumentsListView() {
         field: 'documentType',
         headerName: 'Document Type',
         width: 130,
+        exportValue: (row) => getDocumentTypeLabel(row.documentType),
         renderCell: (params) => (
           <Label color={getDocumentTypeColor(params.value)} variant="soft">
             {getDocumentTypeLabel(params.value)}
@@ -551,6 +566,7 @@ export function StockDocumentsListView() {
         field: 'status',
         headerName: 'Status',
         width: 100,
+        exportValue: (row) => getStatusLabel(row.status),
         renderCell: (params) => (
           <Label color={getStatusColor(params.value)} variant="soft">
             {getStatusLabel(params.value)}
@@ -581,6 +597,7 @@ export function StockDocumentsListView() {
         field: 'createDate',
         headerName: 'Created Date',
         width: 160,
+        exportValue: (row) => formatDate(row.createDate),
         renderCell: (params) => (
           <Typography variant="body2" color="text.secondary">
             {formatDate(params.value)}
@@ -689,21 +706,16 @@ export function StockDocumentsListView() {
   );
 
   // Table rows
-  const rows = useMemo(
-    () =>
-      documents.map((document) => ({
-        id: document.id,
-        tenantName: document.tenantName || '-',
-        branchName: document.branchName || '-',
-        documentType: document.documentType,
-        status: document.status,
-        supplierName: document.supplierName || '-',
-        itemsCount: document.items?.length || 0,
-        createDate: document.createDate,
-        isActive: document.isActive ?? true,
-      })),
-    [documents]
-  );
+  const rows = useMemo(() => documents.map(toStockDocumentRow), [documents]);
+
+  const { tableProps: exportTableProps, ...exportMenuProps } = useListExport({
+    endpoint: stockDocumentsApi.endpoints.getAllStockDocuments,
+    queryParams,
+    rows,
+    toRow: toStockDocumentRow,
+    columns,
+    filename: 'Stock Documents',
+  });
 
   // Check if required filters are set
   const hasRequiredFilters = getId(tenantId) && getId(branchId);
@@ -715,16 +727,19 @@ export function StockDocumentsListView() {
           {/* Header */}
           <Stack direction="row" spacing={2} alignItems="center" justifyContent="space-between">
             <Typography variant="h4">Stock Documents</Typography>
-            {can(ACTION_PERMISSIONS.StockDocuments.create) && (
-              <Field.Button
-                variant="contained"
-                startIcon="mingcute:add-line"
-                onClick={handleCreate}
-                sx={{ minHeight: 44 }}
-              >
-                Create Document
-              </Field.Button>
-            )}
+            <Stack direction="row" spacing={1.5}>
+              <ExportMenuButton {...exportMenuProps} />
+              {can(ACTION_PERMISSIONS.StockDocuments.create) && (
+                <Field.Button
+                  variant="contained"
+                  startIcon="mingcute:add-line"
+                  onClick={handleCreate}
+                  sx={{ minHeight: 44 }}
+                >
+                  Create Document
+                </Field.Button>
+              )}
+            </Stack>
           </Stack>
 
           {/* Filters */}
@@ -860,6 +875,7 @@ export function StockDocumentsListView() {
             </Card>
           ) : (
             <CustomTable
+              {...exportTableProps}
               rows={rows}
               columns={columns}
               loading={isLoading}
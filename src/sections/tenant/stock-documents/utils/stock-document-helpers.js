@@ -1,3 +1,11 @@
+import {
+  getBaseUnit,
+  getItemUnits,
+  toBaseQuantity,
+  toBaseUnitPrice,
+  getLineUnitFactor,
+} from 'src/utils/units-of-measure';
+
 // ----------------------------------------------------------------------
 
 /**
@@ -81,3 +89,107 @@ export const canDelete = (status) => status === 1; // Draft
  */
 export const canPost = (status) => status === 1; // Draft
 
+// ----------------------------------------------------------------------
+
+/**
+ * Item (from useGetItemsQuery) → StockDocumentItemsField item option
+ */
+export const toItemOption = (item) => ({
+  id: item.id,
+  name: item.name || item.id,
+  price: item.price || 0,
+  baseUnit: item.baseUnit,
+  purchaseUnit: item.purchaseUnit,
+  unitConversions: item.unitConversions ?? [],
+  isActive: item.isActive ?? true,
+  isAvailable: item.isAvailable ?? true,
+});
+
+// ----------------------------------------------------------------------
+
+/**
+ * Item option for a saved line whose item is not in the options (e.g. deactivated since). Carries
+ * the line's own unit conversion so quantities convert back the same.
+ */
+const toLineItemOption = (line) => ({
+  id: line.itemId,
+  name: line.itemName || line.itemId,
+  price: line.unitPrice ?? 0,
+  unitConversions:
+    getLineUnitFactor(line) !== 1 ? [{ unit: line.unit, factor: getLineUnitFactor(line) }] : [],
+  isActive: true,
+  isAvailable: true,
+});
+
+/**
+ * Item options plus options for saved lines' items missing from them (edit mode). Units a saved line
+ * was entered in that have since been removed from its item are added back to that item's option,
+ * so the line converts back and forth the same.
+ */
+export const withLineItemOptions = (itemOptions, lines) => {
+  if (!lines?.length) return itemOptions;
+  const optionsById = new Map(itemOptions.map((option) => [option.id, option]));
+  let changed = false;
+  lines.forEach((line) => {
+    if (!line.itemId) return;
+    const option = optionsById.get(line.itemId);
+    if (!option) {
+      optionsById.set(line.itemId, toLineItemOption(line));
+      changed = true;
+      return;
+    }
+    const factor = getLineUnitFactor(line);
+    if (factor !== 1 && !getItemUnits(option).some((unit) => unit.id === line.unit)) {
+      optionsById.set(line.itemId, {
+        ...option,
+        unitConversions: [...(option.unitConversions ?? []), { unit: line.unit, factor }],
+      });
+      changed = true;
+    }
+  });
+  return changed ? [...optionsById.values()] : itemOptions;
+};
+
+// ----------------------------------------------------------------------
+
+/**
+ * Saved line (quantity / unitPrice in the base unit, plus the entered unit and unitQuantity) →
+ * StockDocumentItemsField row, with quantity and unit price back in the entered unit. Pass options
+ * from withLineItemOptions so every saved line finds its item and unit.
+ */
+export const toItemsFieldLine = (line, itemOptions) => {
+  const factor = getLineUnitFactor(line);
+  const itemValue = itemOptions.find((option) => option.id === line.itemId) || (line.itemId ? toLineItemOption(line) : null);
+  return {
+    itemId: itemValue,
+    quantity: factor !== 1 ? line.unitQuantity : line.quantity,
+    unit: factor !== 1 ? line.unit : getBaseUnit(itemValue),
+    unitPrice: line.unitPrice == null ? line.unitPrice : line.unitPrice * factor,
+    remarks: line.remarks || null,
+  };
+};
+
+// ----------------------------------------------------------------------
+
+/**
+ * StockDocumentItemsField row → API line: quantity and unit price in the item's base unit, with the
+ * entered unit and quantity (unit, unitQuantity) kept for display and editing. A validated row only
+ * has the item id: pass the item options so the conversion finds the item's units.
+ */
+export const toBaseUnitLine = (row, itemOptions = []) => {
+  const itemValue =
+    typeof row.itemId === 'object' ? row.itemId : itemOptions.find((option) => option.id === row.itemId) ?? null;
+  const unit = row.unit || getBaseUnit(itemValue);
+  return {
+    itemId: typeof row.itemId === 'object' && row.itemId !== null ? row.itemId.id : row.itemId,
+    quantity: toBaseQuantity(row.quantity, unit, itemValue),
+    unit,
+    unitQuantity: Number(row.quantity),
+    unitPrice:
+      row.unitPrice === null || row.unitPrice === '' || row.unitPrice === undefined
+        ? null
+        : toBaseUnitPrice(row.unitPrice, unit, itemValue),
+    remarks: row.remarks === '' ? null : (row.remarks ?? null),
+  };
+};
+
@@ -9,7 +9,14 @@ import { useTheme, useMediaQuery } from '@mui/material';
 import { Label } from 'src/components/label';
 import { CustomDialog } from 'src/components/custom-dialog';
 
-import { isLowStock, getStockColor, formatStockQuantity, DEFAULT_LOW_STOCK_THRESHOLD } from '../utils/stock-helpers';
+import {
+  isLowStock,
+  needsReorder,
+  getStockColor,
+  getReorderPoint,
+  getMinimumLevel,
+  formatStockQuantityWithUnit,
+} from '../utils/stock-helpers';
 
 // ----------------------------------------------------------------------
 
@@ -17,18 +24,20 @@ import { isLowStock, getStockColor, formatStockQuantity, DEFAULT_LOW_STOCK_THRES
  * Stock Details Dialog Component
  *
  * Read-only view of stock information. Uses the full row object passed from the list
- * (no getStock API call). lowStockThreshold defaults to 10 when not present on record.
+ * (no getStock API call). Minimum level defaults to DEFAULT_LOW_STOCK_THRESHOLD and reorder point to
+ * the minimum level when not present on record.
  *
  * @param {Object} props
  * @param {boolean} props.open - Whether the dialog is open
- * @param {Object|null} props.record - Full item/stock row from list (id, name, stockQuantity, lowStockThreshold?, ...)
+ * @param {Object|null} props.record - Full item/stock row from list (id, name, stockQuantity, lowStockThreshold?, reorderPoint?, reorderQuantity?, ...)
  * @param {Function} props.onClose - Callback when dialog closes
  */
 export function StockDetailsDialog({ open, record, onClose }) {
   const theme = useTheme();
   const isMobile = useMediaQuery(theme.breakpoints.down('sm'));
 
-  const threshold = record?.lowStockThreshold ?? DEFAULT_LOW_STOCK_THRESHOLD;
+  const threshold = getMinimumLevel(record);
+  const baseUnit = record?.baseUnit;
   const stockQuantity = record?.stockQuantity;
 
   return (
@@ -70,14 +79,37 @@ export function StockDetailsDialog({ open, record, onClose }) {
                   Stock Quantity
                 </Typography>
                 <Typography variant="h5" sx={{ fontWeight: 700, mt: 0.5 }}>
-                  {formatStockQuantity(stockQuantity)}
+                  {formatStockQuantityWithUnit(stockQuantity, baseUnit)}
                 </Typography>
               </Box>
               <Box>
                 <Typography variant="caption" color="text.secondary">
-                  Low Stock Threshold
+                  Minimum Level
+                </Typography>
+                <Typography variant="body1">{formatStockQuantityWithUnit(threshold, baseUnit)}</Typography>
+              </Box>
+              <Box>
+                <Typography variant="caption" color="text.secondary">
+                  Reorder Point
+                </Typography>
+                <Stack direction="row" spacing={1} alignItems="center">
+                  <Typography variant="body1">
+                    {formatStockQuantityWithUnit(getReorderPoint(record), baseUnit)}
+                  </Typography>
+                  {needsReorder(record) && (
+                    <Label color="warning" variant="soft">
+                      Reorder
+                    </Label>
+                  )}
+                </Stack>
+              </Box>
+              <Box>
+                <Typography variant="caption" color="text.secondary">
+                  Reorder Quantity
+                </Typography>
+                <Typography variant="body1">
+                  {record.reorderQuantity == null ? '-' : formatStockQuantityWithUnit(record.reorderQuantity, baseUnit)}
                 </Typography>
-                <Typography variant="body1">{formatStockQuantity(threshold)}</Typography>
               </Box>
               <Box>
                 <Typography variant="caption" color="text.secondary">
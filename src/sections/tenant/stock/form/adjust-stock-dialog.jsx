@@ -21,7 +21,7 @@ import { Form, Field } from 'src/components/hook-form';
 import { CustomDialog } from 'src/components/custom-dialog';
 import { ConfirmDialog } from 'src/components/custom-dialog/confirm-dialog';
 
-import { formatStockQuantity } from '../utils/stock-helpers';
+import { formatStockQuantity, formatStockQuantityWithUnit } from '../utils/stock-helpers';
 
 // ----------------------------------------------------------------------
 
@@ -240,7 +240,7 @@ export function AdjustStockDialog({ open, record, onClose, onSuccess }) {
                   Current Stock Quantity
                 </Typography>
                 <Typography variant="h5" sx={{ fontWeight: 700 }}>
-                  {formatStockQuantity(currentStock)}
+                  {formatStockQuantityWithUnit(currentStock, record?.baseUnit)}
                 </Typography>
               </Box>
 
@@ -295,7 +295,7 @@ export function AdjustStockDialog({ open, record, onClose, onSuccess }) {
                       New Stock Quantity:
                     </Typography>
                     <Typography variant="h6" sx={{ fontWeight: 700 }}>
-                      {formatStockQuantity(newStock)}
+                      {formatStockQuantityWithUnit(newStock, record?.baseUnit)}
                     </Typography>
                   </Stack>
                 </Box>
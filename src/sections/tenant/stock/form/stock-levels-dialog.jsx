@@ -0,0 +1,247 @@
+'use client';
+
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { useRef, useMemo, useState, useEffect, useCallback } from 'react';
+
+import Box from '@mui/material/Box';
+import Typography from '@mui/material/Typography';
+import { useTheme, useMediaQuery } from '@mui/material';
+import InputAdornment from '@mui/material/InputAdornment';
+
+import { getBaseUnit } from 'src/utils/units-of-measure';
+import { getApiErrorMessage } from 'src/utils/api-error-message';
+
+import { updateStockLevelsSchema } from 'src/schemas';
+import { useUpdateStockLevelsMutation } from 'src/store/api/stock-api';
+
+import { toast } from 'src/components/snackbar';
+import { Form, Field } from 'src/components/hook-form';
+import { CustomDialog } from 'src/components/custom-dialog';
+import { ConfirmDialog } from 'src/components/custom-dialog/confirm-dialog';
+
+import { getMinimumLevel, formatStockQuantityWithUnit } from '../utils/stock-helpers';
+
+// ----------------------------------------------------------------------
+
+/**
+ * Stock Levels Dialog Component
+ *
+ * Edits an item's minimum level (low stock threshold), reorder point and reorder quantity, all in
+ * the item's base unit. Uses the full row object passed from the list (no getStock API call).
+ * Empty reorder point falls back to the minimum level; empty reorder quantity lets the Reorder view
+ * suggest enough to reach twice the reorder point.
+ */
+export function StockLevelsDialog({ open, record, onClose, onSuccess }) {
+  const theme = useTheme();
+  const isMobile = useMediaQuery(theme.breakpoints.down('sm'));
+
+  const [unsavedChangesDialogOpen, setUnsavedChangesDialogOpen] = useState(false);
+  const isSubmittingRef = useRef(false);
+
+  const [updateStockLevels, { isLoading: isSubmitting }] = useUpdateStockLevelsMutation();
+
+  const baseUnit = getBaseUnit(record);
+
+  const methods = useForm({
+    resolver: zodResolver(updateStockLevelsSchema),
+    defaultValues: useMemo(
+      () => ({
+        lowStockThreshold: null,
+        reorderPoint: null,
+        reorderQuantity: null,
+      }),
+      []
+    ),
+    mode: 'onChange',
+  });
+
+  const {
+    reset,
+    handleSubmit,
+    formState: { isDirty },
+  } = methods;
+
+  // Load levels from record or reset when closed / no record
+  useEffect(() => {
+    if (!open || !record) {
+      reset({ lowStockThreshold: null, reorderPoint: null, reorderQuantity: null });
+      return;
+    }
+    reset({
+      lowStockThreshold: getMinimumLevel(record),
+      reorderPoint: record.reorderPoint ?? null,
+      reorderQuantity: record.reorderQuantity ?? null,
+    });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [open, record?.id, record?.lowStockThreshold, record?.reorderPoint, record?.reorderQuantity, reset]);
+
+  // Handle form submit
+  const onSubmit = handleSubmit(async (data) => {
+    if (isSubmittingRef.current || isSubmitting) return;
+    isSubmittingRef.current = true;
+    try {
+      await updateStockLevels({
+        itemId: record.id,
+        lowStockThreshold: Number(data.lowStockThreshold),
+        reorderPoint: data.reorderPoint ?? null,
+        reorderQuantity: data.reorderQuantity ?? null,
+      }).unwrap();
+      if (onSuccess) {
+        onSuccess(record.id, 'levels');
+      }
+      reset();
+      onClose();
+      toast.success('Stock levels updated successfully');
+    } catch (error) {
+      const { message, isRetryable } = getApiErrorMessage(error, {
+        defaultMessage: 'Failed to update stock levels',
+      });
+      if (isRetryable) {
+        toast.error(message, {
+          action: {
+            label: 'Retry',
+            onClick: () => {
+              setTimeout(() => {
+                onSubmit({ preventDefault: () => {}, target: { checkValidity: () => true } });
+              }, 100);
+            },
+          },
+        });
+      } else {
+        toast.error(message);
+      }
+    } finally {
+      isSubmittingRef.current = false;
+    }
+  });
+
+  // Handle dialog close
+  const handleClose = useCallback(() => {
+    if (isSubmitting) {
+      return;
+    }
+
+    if (isDirty) {
+      setUnsavedChangesDialogOpen(true);
+      return;
+    }
+
+    reset();
+    onClose();
+  }, [isSubmitting, isDirty, reset, onClose]);
+
+  // Handle confirm discard changes
+  const handleConfirmDiscard = useCallback(() => {
+    setUnsavedChangesDialogOpen(false);
+    reset();
+    onClose();
+  }, [reset, onClose]);
+
+  // Handle cancel discard changes
+  const handleCancelDiscard = useCallback(() => {
+    setUnsavedChangesDialogOpen(false);
+  }, []);
+
+  const renderLevelField = (name, label, helperText, placeholder) => (
+    <Field.Text
+      name={name}
+      label={label}
+      type="number"
+      placeholder={placeholder}
+      helperText={helperText}
+      slotProps={{
+        input: {
+          inputMode: 'decimal',
+          endAdornment: <InputAdornment position="end">{baseUnit}</InputAdornment>,
+        },
+      }}
+    />
+  );
+
+  // Render actions
+  const renderActions = () => (
+    <Box sx={{ display: 'flex', gap: 1, justifyContent: 'flex-end' }}>
+      <Field.Button
+        variant="outlined"
+        color="inherit"
+        onClick={handleClose}
+        disabled={isSubmitting}
+      >
+        Cancel
+      </Field.Button>
+      <Field.Button
+        variant="contained"
+        type="submit"
+        onClick={onSubmit}
+        loading={isSubmitting}
+        disabled={isSubmitting}
+        startIcon="solar:check-circle-bold"
+        sx={{ minHeight: 44 }}
+      >
+        Save Levels
+      </Field.Button>
+    </Box>
+  );
+
+  return (
+    <>
+      <CustomDialog
+        open={open}
+        onClose={handleClose}
+        title="Stock Levels"
+        maxWidth="sm"
+        fullWidth
+        fullScreen={isMobile}
+        loading={isSubmitting}
+        disableClose={isSubmitting}
+        actions={renderActions()}
+      >
+        <Form methods={methods} onSubmit={onSubmit}>
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 3, pt: 1 }}>
+            <Box sx={{ p: 2, bgcolor: 'background.neutral', borderRadius: 1 }}>
+              <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 0.5 }}>
+                {record?.name || 'Item'} · Current Stock
+              </Typography>
+              <Typography variant="h5" sx={{ fontWeight: 700 }}>
+                {formatStockQuantityWithUnit(record?.stockQuantity, baseUnit)}
+              </Typography>
+            </Box>
+
+            {renderLevelField(
+              'lowStockThreshold',
+              'Minimum Level',
+              'At or below this the item shows as Low Stock',
+              '0'
+            )}
+            {renderLevelField(
+              'reorderPoint',
+              'Reorder Point',
+              'At or below this the item is suggested for reordering (minimum level when empty)',
+              'Same as minimum level'
+            )}
+            {renderLevelField(
+              'reorderQuantity',
+              'Reorder Quantity',
+              'Usual order size (optional)',
+              'Optional'
+            )}
+          </Box>
+        </Form>
+      </CustomDialog>
+
+      {/* Unsaved Changes Confirmation Dialog */}
+      <ConfirmDialog
+        open={unsavedChangesDialogOpen}
+        title="Discard Changes?"
+        content="You have unsaved changes. Are you sure you want to close without saving?"
+        action={
+          <Field.Button variant="contained" color="error" onClick={handleConfirmDiscard}>
+            Discard
+          </Field.Button>
+        }
+        onClose={handleCancelDiscard}
+      />
+    </>
+  );
+}
@@ -20,7 +20,7 @@ import { Form, Field } from 'src/components/hook-form';
 import { CustomDialog } from 'src/components/custom-dialog';
 import { ConfirmDialog } from 'src/components/custom-dialog/confirm-dialog';
 
-import { formatStockQuantity } from '../utils/stock-helpers';
+import { formatStockQuantityWithUnit } from '../utils/stock-helpers';
 
 // ----------------------------------------------------------------------
 
@@ -211,7 +211,7 @@ export function UpdateStockDialog({ open, record, onClose, onSuccess }) {
                   Current Stock Quantity
                 </Typography>
                 <Typography variant="h5" sx={{ fontWeight: 700 }}>
-                  {formatStockQuantity(currentStock)}
+                  {formatStockQuantityWithUnit(currentStock, record?.baseUnit)}
                 </Typography>
               </Box>
 
@@ -254,7 +254,7 @@ export function UpdateStockDialog({ open, record, onClose, onSuccess }) {
                         color: difference > 0 ? 'success.main' : difference < 0 ? 'error.main' : 'text.primary',
                       }}
                     >
-                      {difference > 0 ? '+' : ''}{formatStockQuantity(difference)}
+                      {difference > 0 ? '+' : ''}{formatStockQuantityWithUnit(difference, record?.baseUnit)}
                     </Typography>
                   </Stack>
                 </Box>
@@ -6,14 +6,19 @@ import { useRef, useMemo, useState, useEffect, useCallback } from 'react';
 import Box from '@mui/material/Box';
 import Card from '@mui/material/Card';
 import Stack from '@mui/material/Stack';
+import Button from '@mui/material/Button';
 import Typography from '@mui/material/Typography';
 import IconButton from '@mui/material/IconButton';
 import InputAdornment from '@mui/material/InputAdornment';
 
+import { paths } from 'src/routes/paths';
+import { RouterLink } from 'src/routes/components';
+
 import { can } from 'src/utils/permissions';
+import { getBaseUnit } from 'src/utils/units-of-measure';
 import { ACTION_PERMISSIONS } from 'src/utils/action-permissions';
 
-import { useGetItemsQuery } from 'src/store/api/items-api';
+import { itemsApi, useGetItemsQuery } from 'src/store/api/items-api';
 import { useGetTenantsDropdownQuery } from 'src/store/api/tenants-api';
 import { useGetCategoriesDropdownQuery } from 'src/store/api/categories-api';
 
@@ -21,12 +26,46 @@ import { Label } from 'src/components/label';
 import { Field } from 'src/components/hook-form';
 import { Iconify } from 'src/components/iconify';
 import { EmptyContent } from 'src/components/empty-content';
+import { useListExport, ExportMenuButton } from 'src/components/export-menu';
 import { CustomTable, DEFAULT_PAGINATION } from 'src/components/custom-table';
 
 import { UpdateStockDialog } from '../form/update-stock-dialog';
 import { AdjustStockDialog } from '../form/adjust-stock-dialog';
+import { StockLevelsDialog } from '../form/stock-levels-dialog';
 import { StockDetailsDialog } from '../components/stock-details-dialog';
-import { isLowStock, getStockColor, formatStockQuantity } from '../utils/stock-helpers';
+import {
+  isLowStock,
+  needsReorder,
+  getStockColor,
+  getReorderPoint,
+  getMinimumLevel,
+  formatStockQuantityWithUnit,
+} from '../utils/stock-helpers';
+
+// ----------------------------------------------------------------------
+
+const toStockRow = (item) => {
+  const threshold = getMinimumLevel(item);
+  return {
+    id: item.id,
+    name: item.name,
+    categoryId: item.categoryId,
+    categoryName: item.categoryName ?? '-',
+    tenantId: item.tenantId,
+    tenantName: item.tenantName ?? '-',
+    stockQuantity: item.stockQuantity,
+    baseUnit: getBaseUnit(item),
+    stockQuantityFormatted: formatStockQuantityWithUnit(item.stockQuantity, getBaseUnit(item)),
+    isLowStock: isLowStock(item.stockQuantity, threshold),
+    stockColor: getStockColor(item.stockQuantity, threshold),
+    isActive: item.isActive,
+    isAvailable: item.isAvailable,
+    lowStockThreshold: threshold,
+    reorderPoint: getReorderPoint(item),
+    reorderPointFormatted: formatStockQuantityWithUnit(getReorderPoint(item), getBaseUnit(item)),
+    needsReorder: needsReorder(item),
+  };
+};
 
 // ----------------------------------------------------------------------
 
@@ -52,6 +91,9 @@ export function StockListView() {
   const [adjustDialogOpen, setAdjustDialogOpen] = useState(false);
   const [adjustDialogRecord, setAdjustDialogRecord] = useState(null);
 
+  const [levelsDialogOpen, setLevelsDialogOpen] = useState(false);
+  const [levelsDialogRecord, setLevelsDialogRecord] = useState(null);
+
   // Pagination state
   const [pageNumber, setPageNumber] = useState(1);
   const [pageSize, setPageSize] = useState(DEFAULT_PAGINATION.pageSize);
@@ -260,7 +302,7 @@ export function StockListView() {
   // Filter items by low stock if enabled
   const filteredItems = useMemo(() => {
     if (!lowStockOnly) return items;
-    return items.filter((item) => isLowStock(item.stockQuantity, item.lowStockThreshold ?? 10));
+    return items.filter((item) => isLowStock(item.stockQuantity, getMinimumLevel(item)));
   }, [items, lowStockOnly]);
 
   // Extract pagination metadata (P0-002: always use server totalCount so pagination stays consistent; Low Stock Only filters current page only)
@@ -289,7 +331,7 @@ export function StockListView() {
     if (!record) return;
     setDetailsDialogRecord({
       ...record,
-      lowStockThreshold: record.lowStockThreshold ?? 10,
+      lowStockThreshold: getMinimumLevel(record),
     });
     setDetailsDialogOpen(true);
   }, [filteredItems]);
@@ -298,7 +340,7 @@ export function StockListView() {
   const handleUpdate = useCallback((row) => {
     const record = filteredItems.find((i) => i.id === row.id) ?? null;
     if (!record) return;
-    setUpdateDialogRecord({ ...record, lowStockThreshold: record.lowStockThreshold ?? 10 });
+    setUpdateDialogRecord({ ...record, lowStockThreshold: getMinimumLevel(record) });
     setUpdateDialogOpen(true);
   }, [filteredItems]);
 
@@ -306,10 +348,18 @@ export function StockListView() {
   const handleAdjust = useCallback((row) => {
     const record = filteredItems.find((i) => i.id === row.id) ?? null;
     if (!record) return;
-    setAdjustDialogRecord({ ...record, lowStockThreshold: record.lowStockThreshold ?? 10 });
+    setAdjustDialogRecord({ ...record, lowStockThreshold: getMinimumLevel(record) });
     setAdjustDialogOpen(true);
   }, [filteredItems]);
 
+  // Handle edit stock levels (minimum level, reorder point, reorder quantity)
+  const handleLevels = useCallback((row) => {
+    const record = filteredItems.find((i) => i.id === row.id) ?? null;
+    if (!record) return;
+    setLevelsDialogRecord(record);
+    setLevelsDialogOpen(true);
+  }, [filteredItems]);
+
   // Handle stock operation success
   const handleStockSuccess = useCallback((id, action) => {
     // Refetch items to get updated stock quantities
@@ -335,24 +385,13 @@ export function StockListView() {
 
  
 
-  const rows = useMemo(() => filteredItems.map((item) => {
-    const threshold = item.lowStockThreshold ?? 10;
-    return {
-      id: item.id,
-      name: item.name,
-      categoryId: item.categoryId,
-      categoryName: item.categoryName ?? '-',
-      tenantId: item.tenantId,
-      tenantName: item.tenantName ?? '-',
-      stockQuantity: item.stockQuantity,
-      stockQuantityFormatted: formatStockQuantity(item.stockQuantity),
-      isLowStock: isLowStock(item.stockQuantity, threshold),
-      stockColor: getStockColor(item.stockQuantity, threshold),
-      isActive: item.isActive,
-      isAvailable: item.isAvailable,
-      lowStockThreshold: threshold,
-    };
-  }), [filteredItems]);
+  const rows = useMemo(() => filteredItems.map(toStockRow), [filteredItems]);
+
+  // "All pages" export fetches unfiltered pages; apply Low Stock Only to them as well
+  const filterExportRows = useCallback(
+    (exportRows) => (lowStockOnly ? exportRows.filter((row) => row.isLowStock) : exportRows),
+    [lowStockOnly]
+  );
 
   // Define columns
   const columns = useMemo(
@@ -376,6 +415,8 @@ export function StockListView() {
         field: 'stockQuantityFormatted',
         headerName: 'Stock Quantity',
         flex: 1,
+        exportValue: (row) =>
+          row.isLowStock ? `${row.stockQuantityFormatted} (Low Stock)` : row.stockQuantityFormatted,
         renderCell: (params) => (
           <Stack direction="row" spacing={1} alignItems="center">
             <Typography
@@ -395,10 +436,30 @@ export function StockListView() {
           </Stack>
         ),
       },
+      {
+        field: 'reorderPointFormatted',
+        headerName: 'Reorder Point',
+        flex: 1,
+        exportValue: (row) =>
+          row.needsReorder ? `${row.reorderPointFormatted} (Reorder)` : row.reorderPointFormatted,
+        renderCell: (params) => (
+          <Stack direction="row" spacing={1} alignItems="center">
+            <Typography variant="body2" color="text.secondary">
+              {params.value}
+            </Typography>
+            {params.row.needsReorder && (
+              <Label color="warning" variant="soft" sx={{ fontSize: '0.75rem' }}>
+                Reorder
+              </Label>
+            )}
+          </Stack>
+        ),
+      },
       {
         field: 'isAvailable',
         headerName: 'Available',
         flex: 1,
+        exportValue: (row) => (row.isAvailable ? 'Available' : 'Unavailable'),
         renderCell: (params) => (
           <Label color={params.value ? 'success' : 'error'} variant="soft">
             {params.value ? 'Available' : 'Unavailable'}
@@ -409,6 +470,7 @@ export function StockListView() {
         field: 'isActive',
         headerName: 'Status',
         flex: 1,
+        exportValue: (row) => (row.isActive ? 'Active' : 'Inactive'),
         renderCell: (params) => (
           <Label color={params.value ? 'success' : 'default'} variant="soft">
             {params.value ? 'Active' : 'Inactive'}
@@ -445,10 +507,28 @@ export function StockListView() {
         order: 3,
         permission: () => can(ACTION_PERMISSIONS.Stock.adjust),
       },
+      {
+        id: 'levels',
+        label: 'Stock Levels',
+        icon: 'solar:settings-bold',
+        onClick: (row) => handleLevels(row),
+        order: 4,
+        permission: () => can(ACTION_PERMISSIONS.Stock.update),
+      },
     ],
-    [handleView, handleUpdate, handleAdjust]
+    [handleView, handleUpdate, handleAdjust, handleLevels]
   );
 
+  const { tableProps: exportTableProps, ...exportMenuProps } = useListExport({
+    endpoint: itemsApi.endpoints.getItems,
+    queryParams,
+    rows,
+    toRow: toStockRow,
+    columns,
+    filterRows: filterExportRows,
+    filename: 'Stock',
+  });
+
   // Check if categoryId is selected (for disabling tenantId filter)
   const isCategorySelected = useMemo(() => categoryId !== null && categoryId !== undefined, [categoryId]);
 
@@ -537,10 +617,24 @@ export function StockListView() {
               sx={{ ml: 'auto' }}
             />
           </FormProvider>
+
+          <ExportMenuButton {...exportMenuProps} sx={{ flexShrink: 0 }} />
+
+          <Button
+            component={RouterLink}
+            href={paths.tenant.stock.reorder}
+            variant="outlined"
+            color="inherit"
+            startIcon={<Iconify icon="solar:cart-large-2-bold" />}
+            sx={{ minHeight: 44, flexShrink: 0 }}
+          >
+            Reorder
+          </Button>
         </Stack>
 
         {/* Data Grid - P0-001: pagination as object with mode: 'server' to match CustomTable contract */}
         <CustomTable
+          {...exportTableProps}
           rows={rows}
           columns={columns}
           actions={actions}
@@ -602,6 +696,17 @@ export function StockListView() {
         }}
         onSuccess={handleStockSuccess}
       />
+
+      {/* Stock Levels Dialog */}
+      <StockLevelsDialog
+        open={levelsDialogOpen}
+        record={levelsDialogRecord}
+        onClose={() => {
+          setLevelsDialogOpen(false);
+          setLevelsDialogRecord(null);
+        }}
+        onSuccess={handleStockSuccess}
+      />
     </Box>
   );
 }
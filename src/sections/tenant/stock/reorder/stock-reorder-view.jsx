@@ -0,0 +1,361 @@
+'use client';
+
+import { useForm, useWatch, FormProvider } from 'react-hook-form';
+import { useRef, useMemo, useState, useEffect, useCallback } from 'react';
+
+import Box from '@mui/material/Box';
+import Card from '@mui/material/Card';
+import Stack from '@mui/material/Stack';
+import Button from '@mui/material/Button';
+import Typography from '@mui/material/Typography';
+import InputAdornment from '@mui/material/InputAdornment';
+
+import { paths } from 'src/routes/paths';
+import { useRouter } from 'src/routes/hooks';
+import { RouterLink } from 'src/routes/components';
+import { routePermissionByPath } from 'src/routes/route-permissions';
+
+import { can } from 'src/utils/permissions';
+import { fNumber } from 'src/utils/format-number';
+import { getApiErrorMessage } from 'src/utils/api-error-message';
+import { ACTION_PERMISSIONS } from 'src/utils/action-permissions';
+import { getBaseUnit, getUnitFactor, toBaseQuantity } from 'src/utils/units-of-measure';
+
+import { useGetAllItemPagesQuery } from 'src/store/api/items-api';
+import { useGetAllRecipePagesQuery } from 'src/store/api/recipes-api';
+import { useCreateStockDocumentMutation } from 'src/store/api/stock-documents-api';
+
+import { Label } from 'src/components/label';
+import { toast } from 'src/components/snackbar';
+import { Field } from 'src/components/hook-form';
+import { CustomTable } from 'src/components/custom-table';
+import { EmptyContent } from 'src/components/empty-content';
+
+import {
+  hasOwnStock,
+  needsReorder,
+  getStockColor,
+  getReorderPoint,
+  getMinimumLevel,
+  getSuggestedReorder,
+  formatStockQuantityWithUnit,
+} from '../utils/stock-helpers';
+
+// ----------------------------------------------------------------------
+
+const PURCHASE_DOCUMENT_TYPE = 1;
+
+// Lowest stock relative to its reorder point first
+const byUrgency = (a, b) => {
+  const ratio = (item) => (Number(item.stockQuantity) || 0) / (Number(getReorderPoint(item)) || 1);
+  return ratio(a) - ratio(b);
+};
+
+const toReorderLine = (item) => {
+  const suggestion = getSuggestedReorder(item);
+  return { itemId: item.id, selected: true, unit: suggestion.unit, quantity: suggestion.unitQuantity };
+};
+
+// ----------------------------------------------------------------------
+
+/**
+ * Stock Reorder View
+ *
+ * Active items at or below their reorder point, most urgent first, with a suggested order in each
+ * item's purchase unit (see getSuggestedReorder). Every page of items is read; items made from a
+ * recipe are left out unless they hold stock of their own (see hasOwnStock). Quantities can be changed; the selected lines
+ * become one draft Purchase stock document (quantities converted to base units) that is reviewed
+ * and posted from Stock Documents.
+ */
+export function StockReorderView() {
+  const router = useRouter();
+  const canCreateDocument = can(ACTION_PERMISSIONS.StockDocuments.create);
+  // Without recipe access every item is treated as holding its own stock
+  const canViewRecipes = can(routePermissionByPath[paths.tenant.recipes.root]);
+
+  const {
+    data: items,
+    isLoading: isLoadingItems,
+    error: itemsError,
+    refetch: refetchItems,
+  } = useGetAllItemPagesQuery();
+  const {
+    data: recipes,
+    isLoading: isLoadingRecipes,
+    error: recipesError,
+    refetch: refetchRecipes,
+  } = useGetAllRecipePagesQuery(undefined, { skip: !canViewRecipes });
+  const isLoading = isLoadingItems || isLoadingRecipes;
+  const error = itemsError ?? recipesError;
+  const refetch = useCallback(() => {
+    refetchItems();
+    if (canViewRecipes) refetchRecipes();
+  }, [canViewRecipes, refetchItems, refetchRecipes]);
+  const [createStockDocument, { isLoading: isCreating }] = useCreateStockDocumentMutation();
+  const isCreatingRef = useRef(false);
+  const [lastDocumentLineCount, setLastDocumentLineCount] = useState(null);
+
+  const reorderItems = useMemo(() => {
+    const recipeItemIds = new Set(
+      (recipes ?? []).filter((recipe) => recipe.isActive !== false).map((recipe) => recipe.itemId)
+    );
+    return (items ?? [])
+      .filter((item) => item.isActive !== false && hasOwnStock(item, recipeItemIds) && needsReorder(item))
+      .sort(byUrgency);
+  }, [items, recipes]);
+
+  const methods = useForm({ defaultValues: { lines: [] } });
+  const { reset, setValue, getValues, control } = methods;
+
+  // Re-seed suggestions only when the reorder list itself changes (keeps edits across refetches)
+  const reorderKey = reorderItems.map((item) => `${item.id}:${item.stockQuantity}`).join('|');
+  useEffect(() => {
+    reset({ lines: reorderItems.map(toReorderLine) });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [reorderKey, reset]);
+
+  const lines = useWatch({ control, name: 'lines' });
+  const selectedCount = (lines ?? []).filter((line) => line?.selected).length;
+
+  const handleSelectAll = useCallback(
+    (selected) => {
+      getValues('lines').forEach((_, index) => setValue(`lines.${index}.selected`, selected));
+    },
+    [getValues, setValue]
+  );
+
+  const handleCreateDraft = useCallback(async () => {
+    if (isCreatingRef.current) return;
+
+    const selected = getValues('lines')
+      .map((line, index) => ({ ...line, item: reorderItems[index] }))
+      .filter((line) => line.selected && line.item);
+    if (selected.length === 0) return;
+    if (selected.some((line) => !(Number(line.quantity) > 0))) {
+      toast.error('Enter an order quantity greater than 0 for every selected item');
+      return;
+    }
+
+    isCreatingRef.current = true;
+    try {
+      await createStockDocument({
+        documentType: PURCHASE_DOCUMENT_TYPE,
+        supplierName: null,
+        remarks: 'Created from reorder suggestions',
+        items: selected.map((line) => ({
+          itemId: line.itemId,
+          quantity: toBaseQuantity(line.quantity, line.unit, line.item),
+          unit: line.unit,
+          unitQuantity: Number(line.quantity),
+          unitPrice: null,
+          remarks: null,
+        })),
+      }).unwrap();
+      setLastDocumentLineCount(selected.length);
+      toast.success(`Draft purchase created with ${selected.length} item${selected.length === 1 ? '' : 's'}`, {
+        action: {
+          label: 'Open',
+          onClick: () => router.push(paths.tenant.stockDocuments.root),
+        },
+      });
+    } catch (createError) {
+      const { message, isRetryable } = getApiErrorMessage(createError, {
+        defaultMessage: 'Failed to create draft purchase',
+      });
+      if (isRetryable) {
+        toast.error(message, {
+          action: {
+            label: 'Retry',
+            onClick: () => {
+              setTimeout(() => handleCreateDraft(), 100);
+            },
+          },
+        });
+      } else {
+        toast.error(message);
+      }
+    } finally {
+      isCreatingRef.current = false;
+    }
+  }, [getValues, reorderItems, createStockDocument, router]);
+
+  const rows = useMemo(
+    () =>
+      reorderItems.map((item, index) => ({
+        id: item.id,
+        index,
+        name: item.name,
+        categoryName: item.categoryName ?? '-',
+        baseUnit: getBaseUnit(item),
+        stockQuantity: item.stockQuantity,
+        stockColor: getStockColor(item.stockQuantity, getMinimumLevel(item)),
+        reorderPoint: getReorderPoint(item),
+        reorderQuantity: item.reorderQuantity ?? null,
+        item,
+      })),
+    [reorderItems]
+  );
+
+  const columns = [
+    {
+      field: 'selected',
+      headerName: '',
+      width: 60,
+      sortable: false,
+      renderCell: (params) => (
+        <Field.Checkbox
+          name={`lines.${params.row.index}.selected`}
+          slotProps={{ checkbox: { slotProps: { input: { 'aria-label': `Select ${params.row.name}` } } } }}
+        />
+      ),
+    },
+    { field: 'name', headerName: 'Item', flex: 1.5, minWidth: 160 },
+    {
+      field: 'categoryName',
+      headerName: 'Category',
+      flex: 1,
+      renderCell: (params) => (
+        <Typography variant="body2" color="text.secondary">
+          {params.value}
+        </Typography>
+      ),
+    },
+    {
+      field: 'stockQuantity',
+      headerName: 'Current Stock',
+      flex: 1,
+      renderCell: (params) => (
+        <Typography
+          variant="body2"
+          sx={{ fontWeight: 600, color: params.row.stockColor === 'error' ? 'error.main' : 'warning.main' }}
+        >
+          {formatStockQuantityWithUnit(params.value, params.row.baseUnit)}
+        </Typography>
+      ),
+    },
+    {
+      field: 'reorderPoint',
+      headerName: 'Reorder Point',
+      flex: 1,
+      renderCell: (params) => (
+        <Box>
+          <Typography variant="body2">{formatStockQuantityWithUnit(params.value, params.row.baseUnit)}</Typography>
+          {params.row.reorderQuantity != null && (
+            <Typography variant="caption" color="text.secondary">
+              Reorder qty {formatStockQuantityWithUnit(params.row.reorderQuantity, params.row.baseUnit)}
+            </Typography>
+          )}
+        </Box>
+      ),
+    },
+    {
+      field: 'order',
+      headerName: 'Order',
+      flex: 1.5,
+      minWidth: 200,
+      sortable: false,
+      renderCell: (params) => {
+        const line = lines?.[params.row.index];
+        const factor = getUnitFactor(params.row.item, line?.unit);
+        return (
+          <Box sx={{ width: '100%', py: 0.5 }}>
+            <Field.Text
+              name={`lines.${params.row.index}.quantity`}
+              type="number"
+              size="small"
+              disabled={!line?.selected}
+              slotProps={{
+                input: {
+                  inputMode: 'decimal',
+                  endAdornment: <InputAdornment position="end">{line?.unit}</InputAdornment>,
+                },
+              }}
+            />
+            {factor !== 1 && (
+              <Typography variant="caption" color="text.secondary">
+                = {fNumber((Number(line?.quantity) || 0) * factor, { maximumFractionDigits: 3 })}{' '}
+                {params.row.baseUnit}
+              </Typography>
+            )}
+          </Box>
+        );
+      },
+    },
+  ];
+
+  return (
+    <Box>
+      <Card variant="outlined" sx={{ p: 2 }}>
+        <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2} alignItems={{ sm: 'center' }} sx={{ mb: 3 }}>
+          <Button component={RouterLink} href={paths.tenant.stock.root} color="inherit" variant="outlined">
+            Back to stock
+          </Button>
+          <Box sx={{ flex: 1 }}>
+            <Typography variant="subtitle1">Reorder Suggestions</Typography>
+            <Typography variant="body2" color="text.secondary">
+              Items at or below their reorder point. Suggested orders are in each item&apos;s purchase unit.
+            </Typography>
+          </Box>
+          {reorderItems.length > 0 && (
+            <Stack direction="row" spacing={1} alignItems="center">
+              <Label color="warning" variant="soft">
+                {selectedCount} of {reorderItems.length} selected
+              </Label>
+              <Button size="small" color="inherit" onClick={() => handleSelectAll(true)}>
+                All
+              </Button>
+              <Button size="small" color="inherit" onClick={() => handleSelectAll(false)}>
+                None
+              </Button>
+            </Stack>
+          )}
+          {canCreateDocument && (
+            <Field.Button
+              variant="contained"
+              startIcon="solar:cart-large-2-bold"
+              onClick={handleCreateDraft}
+              loading={isCreating}
+              disabled={selectedCount === 0 || isCreating}
+              sx={{ minHeight: 44 }}
+            >
+              Create Draft Purchase
+            </Field.Button>
+          )}
+        </Stack>
+
+        {lastDocumentLineCount != null && (
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            A draft purchase with {lastDocumentLineCount} item{lastDocumentLineCount === 1 ? '' : 's'} was
+            created. Review and post it from{' '}
+            <Box component={RouterLink} href={paths.tenant.stockDocuments.root} sx={{ color: 'primary.main' }}>
+              Stock Documents
+            </Box>
+            ; stock is only updated once it is posted.
+          </Typography>
+        )}
+
+        <FormProvider {...methods}>
+          <CustomTable
+            rows={rows}
+            columns={columns}
+            loading={isLoading}
+            error={error}
+            onRetry={refetch}
+            errorEntityLabel="stock"
+            pagination={false}
+            toolbar={false}
+            hideFooter
+            getRowHeight={() => 'auto'}
+            getRowId={(row) => row.id}
+            emptyContent={
+              <EmptyContent
+                title="Nothing to reorder"
+                description="All active items are above their reorder point"
+              />
+            }
+          />
+        </FormProvider>
+      </Card>
+    </Box>
+  );
+}
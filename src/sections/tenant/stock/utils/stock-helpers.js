@@ -1,9 +1,10 @@
 import { fNumber } from 'src/utils/format-number';
+import { UNIT_USAGE, getUnitFactor, getDefaultUnit } from 'src/utils/units-of-measure';
 
 // ----------------------------------------------------------------------
 
 /**
- * Default low stock threshold when not provided by API/record
+ * Default low stock threshold (minimum level) for items that have none set
  */
 export const DEFAULT_LOW_STOCK_THRESHOLD = 10;
 
@@ -48,10 +49,65 @@ export const formatStockQuantity = (stockQuantity) =>
 // ----------------------------------------------------------------------
 
 /**
- * Format stock quantity with currency (if needed)
+ * Format stock quantity with the item's base unit (e.g. "12.5 kg")
  */
 export const formatStockQuantityWithUnit = (stockQuantity, unit = '') => {
   const formatted = formatStockQuantity(stockQuantity);
   return unit ? `${formatted} ${unit}` : formatted;
 };
 
+// ----------------------------------------------------------------------
+
+/**
+ * Per-item stock levels (all in the item's base unit):
+ * - lowStockThreshold: minimum level; at or below it the item shows as Low Stock
+ * - reorderPoint: at or below it the item is suggested for reordering (minimum level when unset)
+ * - reorderQuantity: how much to order when it is (optional)
+ */
+
+/**
+ * Minimum level of an item
+ * @param {Object} item
+ */
+export const getMinimumLevel = (item) => item?.lowStockThreshold ?? DEFAULT_LOW_STOCK_THRESHOLD;
+
+/**
+ * Reorder point of an item
+ * @param {Object} item
+ */
+export const getReorderPoint = (item) => item?.reorderPoint ?? getMinimumLevel(item);
+
+/**
+ * Check if an item is at or below its reorder point
+ * @param {Object} item
+ */
+export const needsReorder = (item) => isLowStock(item?.stockQuantity, getReorderPoint(item));
+
+/**
+ * Check if an item holds stock of its own. An item made from an active recipe is stocked through
+ * its ingredients, unless it has its own reorder point or low stock threshold (e.g. made in batches).
+ * @param {Object} item
+ * @param {Set<string>} recipeItemIds - Items that have an active recipe
+ */
+export const hasOwnStock = (item, recipeItemIds) =>
+  !recipeItemIds?.has(item?.id) || item?.reorderPoint != null || item?.lowStockThreshold != null;
+
+/**
+ * Suggested order in the item's purchase unit, rounded up to whole purchase units.
+ * The item's reorder quantity, or at least enough to get back above the reorder point;
+ * without a reorder quantity, enough to reach twice the reorder point.
+ * @param {Object} item
+ * @returns {{ unit: string, unitQuantity: number, quantity: number }} quantity in the base unit
+ */
+export const getSuggestedReorder = (item) => {
+  const stock = Math.max(0, Number(item?.stockQuantity) || 0);
+  const reorderPoint = Number(getReorderPoint(item)) || 0;
+  const reorderQuantity = Number(item?.reorderQuantity) || 0;
+  const shortfall = reorderPoint - stock;
+  const needed = reorderQuantity > 0 ? Math.max(reorderQuantity, shortfall) : reorderPoint * 2 - stock;
+
+  const unit = getDefaultUnit(item, UNIT_USAGE.purchase);
+  const factor = getUnitFactor(item, unit);
+  const unitQuantity = Math.max(1, Math.ceil(needed / factor - 1e-9));
+  return { unit, unitQuantity, quantity: unitQuantity * factor };
+};
@@ -0,0 +1,315 @@
+'use client';
+
+import { useMemo, useState, useCallback } from 'react';
+
+import Box from '@mui/material/Box';
+import Card from '@mui/material/Card';
+import Chip from '@mui/material/Chip';
+import Alert from '@mui/material/Alert';
+import Stack from '@mui/material/Stack';
+import Button from '@mui/material/Button';
+import Typography from '@mui/material/Typography';
+
+import { paths } from 'src/routes/paths';
+import { RouterLink } from 'src/routes/components';
+import { routePermissionByPath } from 'src/routes/route-permissions';
+
+import { can } from 'src/utils/permissions';
+import { fDate } from 'src/utils/format-time';
+import { fPercent, fCurrency } from 'src/utils/format-number';
+import { ACTION_PERMISSIONS } from 'src/utils/action-permissions';
+
+import { useGetSupplierByIdQuery } from 'src/store/api/suppliers-api';
+import { useGetSupplierPurchasesQuery, useGetAllSupplierPurchasesQuery } from 'src/store/api/stock-documents-api';
+
+import { Label } from 'src/components/label';
+import { toast } from 'src/components/snackbar';
+import { Field } from 'src/components/hook-form';
+import { EmptyContent } from 'src/components/empty-content';
+import { QueryStateContent } from 'src/components/query-state-content';
+import { CustomTable, DEFAULT_PAGINATION } from 'src/components/custom-table';
+
+import { SupplierFormDialog } from '../form/supplier-form-dialog';
+import { getPaymentTermsLabel, getSupplierLastPrices, summarizeSupplierPurchases } from '../utils/supplier-helpers';
+
+// ----------------------------------------------------------------------
+
+const formatMoney = (value) =>
+  value == null ? '-' : fCurrency(value, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const LAST_PRICE_COLUMNS = [
+  { field: 'itemName', headerName: 'Item', flex: 2, minWidth: 160 },
+  {
+    field: 'price',
+    headerName: 'Last Price',
+    flex: 1,
+    type: 'number',
+    valueFormatter: (value, row) => `${formatMoney(value)}${row.unit ? ` / ${row.unit}` : ''}`,
+  },
+  {
+    field: 'changePercent',
+    headerName: 'Change',
+    flex: 1,
+    type: 'number',
+    renderCell: (params) => {
+      if (params.value == null) return '-';
+      const color = params.value > 0 ? 'error' : params.value < 0 ? 'success' : 'default';
+      return (
+        <Label color={color} variant="soft">
+          {params.value > 0 ? '+' : ''}
+          {fPercent(params.value)}
+        </Label>
+      );
+    },
+  },
+  { field: 'date', headerName: 'Purchased', flex: 1, valueFormatter: (value) => (value ? fDate(value) : '-') },
+];
+
+const PURCHASE_COLUMNS = [
+  { field: 'date', headerName: 'Date', flex: 1, valueFormatter: (value) => (value ? fDate(value) : '-') },
+  { field: 'itemCount', headerName: 'Items', flex: 0.5, type: 'number' },
+  { field: 'total', headerName: 'Total', flex: 1, type: 'number', valueFormatter: (value) => formatMoney(value) },
+  { field: 'remarks', headerName: 'Remarks', flex: 2, valueFormatter: (value) => value || '-' },
+];
+
+// ----------------------------------------------------------------------
+
+/**
+ * Supplier Details View
+ *
+ * Contact info, payment terms and supplied items of one supplier, plus its purchase history
+ * (posted Purchase stock documents of the current branch, paginated server-side) and the last price
+ * paid per item across all its purchases, with the change from the purchase before. History needs
+ * stock document access.
+ */
+export function SupplierDetailsView({ supplierId }) {
+  const [formDialogOpen, setFormDialogOpen] = useState(false);
+  const [pageNumber, setPageNumber] = useState(1);
+  const [pageSize, setPageSize] = useState(DEFAULT_PAGINATION.pageSize);
+
+  const canViewPurchases = can(routePermissionByPath[paths.tenant.stockDocuments.root]);
+
+  const {
+    data: supplier,
+    isLoading,
+    isError,
+    error,
+    refetch,
+  } = useGetSupplierByIdQuery(supplierId, { skip: !supplierId });
+
+  const {
+    data: purchasesResponse,
+    isLoading: isLoadingPurchases,
+    isFetching: isFetchingPurchases,
+    error: purchasesError,
+    refetch: refetchPurchases,
+  } = useGetSupplierPurchasesQuery(
+    { supplierId, pageNumber, pageSize },
+    { skip: !canViewPurchases || !supplierId }
+  );
+
+  // Last prices come from all of the supplier's purchases, not the history page shown
+  const {
+    data: allPurchases,
+    isLoading: isLoadingPrices,
+    error: pricesError,
+    refetch: refetchPrices,
+  } = useGetAllSupplierPurchasesQuery({ supplierId }, { skip: !canViewPurchases || !supplierId });
+
+  const summary = useMemo(() => summarizeSupplierPurchases(purchasesResponse?.data), [purchasesResponse]);
+  const lastPrices = useMemo(() => getSupplierLastPrices(allPurchases?.documents), [allPurchases]);
+
+  const handleFormSuccess = useCallback(() => {
+    setFormDialogOpen(false);
+    toast.success('Supplier updated successfully');
+    refetch();
+  }, [refetch]);
+
+  const renderInfo = (label, value) => (
+    <Box>
+      <Typography variant="caption" color="text.secondary">
+        {label}
+      </Typography>
+      <Typography variant="body1" sx={{ whiteSpace: 'pre-line' }}>
+        {value || '-'}
+      </Typography>
+    </Box>
+  );
+
+  const renderStat = (label, value) => (
+    <Box sx={{ minWidth: 140 }}>
+      <Typography variant="caption" color="text.secondary">
+        {label}
+      </Typography>
+      <Typography variant="h6">{value}</Typography>
+    </Box>
+  );
+
+  const renderPurchases = () => {
+    if (!canViewPurchases) {
+      return <Alert severity="info">You do not have access to stock documents, so purchase history is hidden.</Alert>;
+    }
+    return (
+      <QueryStateContent
+        isLoading={isLoadingPurchases}
+        isError={!!purchasesError}
+        error={purchasesError}
+        onRetry={refetchPurchases}
+        errorTitle="Failed to load purchase history"
+        errorMessageOptions={{ defaultMessage: 'Failed to load purchase documents' }}
+        minHeight={200}
+      >
+        <Stack spacing={3}>
+          <Stack direction="row" flexWrap="wrap" useFlexGap spacing={3}>
+            {renderStat('Purchases', purchasesResponse?.totalCount ?? 0)}
+            {pageNumber === 1 &&
+              renderStat('Last Purchase', summary.lastPurchaseDate ? fDate(summary.lastPurchaseDate) : '-')}
+          </Stack>
+
+          <Box>
+            <Typography variant="subtitle2" sx={{ mb: 1 }}>
+              Last Price per Item
+            </Typography>
+            {allPurchases?.isIncomplete && (
+              <Alert severity="warning" sx={{ mb: 1 }}>
+                Only the most recent purchase documents were read; some prices may be missing.
+              </Alert>
+            )}
+            <QueryStateContent
+              isLoading={isLoadingPrices}
+              isError={!!pricesError}
+              error={pricesError}
+              onRetry={refetchPrices}
+              errorTitle="Failed to load last prices"
+              errorMessageOptions={{ defaultMessage: 'Failed to load purchase documents' }}
+              minHeight={120}
+            >
+              <CustomTable
+                rows={lastPrices}
+                columns={LAST_PRICE_COLUMNS}
+                pagination={false}
+                toolbar={false}
+                hideFooter
+                getRowId={(row) => row.itemId}
+                emptyContent={<EmptyContent title="No prices yet" description="Posted purchases from this supplier show here" />}
+              />
+            </QueryStateContent>
+          </Box>
+
+          <Box>
+            <Typography variant="subtitle2" sx={{ mb: 1 }}>
+              Purchase History
+            </Typography>
+            <CustomTable
+              rows={summary.purchases}
+              columns={PURCHASE_COLUMNS}
+              loading={isFetchingPurchases}
+              toolbar={false}
+              pagination={{
+                ...DEFAULT_PAGINATION,
+                mode: 'server',
+                page: pageNumber - 1,
+                pageSize,
+                rowCount: purchasesResponse?.totalCount ?? 0,
+                onPageChange: (newPage) => setPageNumber(newPage + 1),
+                onPageSizeChange: (newPageSize) => {
+                  setPageSize(newPageSize);
+                  setPageNumber(1);
+                },
+              }}
+              getRowId={(row) => row.id}
+              emptyContent={<EmptyContent title="No purchases yet" description="Posted purchases from this supplier show here" />}
+            />
+          </Box>
+        </Stack>
+      </QueryStateContent>
+    );
+  };
+
+  return (
+    <Box>
+      <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2} alignItems={{ sm: 'center' }} sx={{ mb: 3 }}>
+        <Button component={RouterLink} href={paths.tenant.suppliers.root} color="inherit" variant="outlined">
+          Back to suppliers
+        </Button>
+        <Stack direction="row" spacing={1} alignItems="center" sx={{ flex: 1 }}>
+          <Typography variant="h5">{supplier?.name ?? 'Supplier'}</Typography>
+          {supplier && (
+            <Label color={supplier.isActive ? 'success' : 'default'} variant="soft">
+              {supplier.isActive ? 'Active' : 'Inactive'}
+            </Label>
+          )}
+        </Stack>
+        {supplier && can(ACTION_PERMISSIONS.Suppliers.update) && (
+          <Field.Button
+            variant="contained"
+            startIcon="solar:pen-bold"
+            onClick={() => setFormDialogOpen(true)}
+            sx={{ minHeight: 44 }}
+          >
+            Edit
+          </Field.Button>
+        )}
+      </Stack>
+
+      <QueryStateContent
+        isLoading={isLoading}
+        isError={isError}
+        error={error}
+        onRetry={refetch}
+        errorTitle="Failed to load supplier"
+        errorMessageOptions={{ defaultMessage: 'Failed to load supplier', notFoundMessage: 'Supplier not found' }}
+        minHeight={300}
+      >
+        {supplier && (
+          <Stack spacing={3}>
+            <Card variant="outlined" sx={{ p: 2 }}>
+              <Box
+                sx={{
+                  display: 'grid',
+                  gap: 2,
+                  gridTemplateColumns: { xs: '1fr', sm: 'repeat(2, 1fr)', md: 'repeat(3, 1fr)' },
+                }}
+              >
+                {renderInfo('Contact Person', supplier.contactPerson)}
+                {renderInfo('Phone', supplier.phone)}
+                {renderInfo('Email', supplier.email)}
+                {renderInfo('Payment Terms', getPaymentTermsLabel(supplier.paymentTermsDays))}
+                {renderInfo('Address', supplier.address)}
+                {renderInfo('Notes', supplier.notes)}
+              </Box>
+
+              <Typography variant="caption" color="text.secondary" component="div" sx={{ mt: 2, mb: 1 }}>
+                Items Supplied
+              </Typography>
+              {(supplier.items ?? []).length > 0 ? (
+                <Stack direction="row" flexWrap="wrap" useFlexGap spacing={1}>
+                  {supplier.items.map((item) => (
+                    <Chip key={item.itemId} label={item.itemName || item.itemId} size="small" variant="soft" />
+                  ))}
+                </Stack>
+              ) : (
+                <Typography variant="body2">-</Typography>
+              )}
+            </Card>
+
+            <Card variant="outlined" sx={{ p: 2 }}>
+              <Typography variant="subtitle1" sx={{ mb: 2 }}>
+                Purchases
+              </Typography>
+              {renderPurchases()}
+            </Card>
+          </Stack>
+        )}
+      </QueryStateContent>
+
+      <SupplierFormDialog
+        open={formDialogOpen}
+        mode="edit"
+        record={supplier ?? null}
+        onClose={() => setFormDialogOpen(false)}
+        onSuccess={handleFormSuccess}
+      />
+    </Box>
+  );
+}
@@ -0,0 +1,309 @@
+'use client';
+
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { useRef, useMemo, useState, useEffect, useCallback } from 'react';
+
+import Box from '@mui/material/Box';
+import MenuItem from '@mui/material/MenuItem';
+import Typography from '@mui/material/Typography';
+import { useTheme, useMediaQuery } from '@mui/material';
+
+import { getApiErrorMessage } from 'src/utils/api-error-message';
+
+import { useGetItemsQuery } from 'src/store/api/items-api';
+import { createSupplierSchema, updateSupplierSchema } from 'src/schemas';
+import { useCreateSupplierMutation, useUpdateSupplierMutation } from 'src/store/api/suppliers-api';
+
+import { toast } from 'src/components/snackbar';
+import { Form, Field } from 'src/components/hook-form';
+import { CustomDialog } from 'src/components/custom-dialog';
+import { ConfirmDialog } from 'src/components/custom-dialog/confirm-dialog';
+
+import { PAYMENT_TERMS_OPTIONS } from '../utils/supplier-helpers';
+
+// ----------------------------------------------------------------------
+
+const EMPTY_VALUES = {
+  name: '',
+  contactPerson: null,
+  phone: null,
+  email: null,
+  address: null,
+  paymentTermsDays: '',
+  notes: null,
+  items: [],
+  isActive: true,
+};
+
+const toItemOption = (item) => ({ id: item.id, label: item.name || item.id });
+
+// ----------------------------------------------------------------------
+
+/**
+ * Supplier Form Dialog
+ *
+ * Single dialog for create and edit. Edit mode uses record from list (no getById).
+ * Tenant is resolved from user context (JWT); no tenantId passed to API.
+ * items: supplied items from useGetItemsQuery, sent as itemIds. Record items missing from the
+ * options (e.g. deactivated) are kept as options so editing does not drop them.
+ */
+export function SupplierFormDialog({ open, mode, record, onClose, onSuccess }) {
+  const theme = useTheme();
+  const isMobile = useMediaQuery(theme.breakpoints.down('sm'));
+
+  const [unsavedChangesDialogOpen, setUnsavedChangesDialogOpen] = useState(false);
+  const isSubmittingRef = useRef(false);
+
+  const [createSupplier, { isLoading: isCreating }] = useCreateSupplierMutation();
+  const [updateSupplier, { isLoading: isUpdating }] = useUpdateSupplierMutation();
+
+  const { data: itemsQueryData } = useGetItemsQuery({ pageSize: 500 }, { skip: !open });
+  const itemOptions = useMemo(() => {
+    const options = (itemsQueryData?.data ?? []).map(toItemOption);
+    const ids = new Set(options.map((option) => option.id));
+    const missing = (record?.items ?? [])
+      .filter((item) => item.itemId && !ids.has(item.itemId))
+      .map((item) => ({ id: item.itemId, label: item.itemName || item.itemId }));
+    return [...options, ...missing];
+  }, [itemsQueryData, record?.items]);
+
+  const isSubmitting = isCreating || isUpdating;
+  const schema = mode === 'create' ? createSupplierSchema : updateSupplierSchema;
+
+  const methods = useForm({
+    resolver: zodResolver(schema),
+    defaultValues: useMemo(() => EMPTY_VALUES, []),
+    mode: 'onChange',
+  });
+
+  const { reset, handleSubmit, formState: { isDirty } } = methods;
+
+  useEffect(() => {
+    if (!open) {
+      reset(EMPTY_VALUES);
+      return;
+    }
+    if (mode === 'edit' && record) {
+      reset({
+        name: record.name ?? '',
+        contactPerson: record.contactPerson ?? null,
+        phone: record.phone ?? null,
+        email: record.email ?? null,
+        address: record.address ?? null,
+        paymentTermsDays: record.paymentTermsDays ?? '',
+        notes: record.notes ?? null,
+        items: (record.items ?? [])
+          .map((item) => itemOptions.find((option) => option.id === item.itemId))
+          .filter(Boolean),
+        isActive: record.isActive ?? true,
+      });
+    } else {
+      reset(EMPTY_VALUES);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [open, mode, record?.id, record?.updatedAt, itemOptions, reset]);
+
+  const onSubmit = handleSubmit(async (data) => {
+    if (isSubmittingRef.current || isSubmitting) return;
+    isSubmittingRef.current = true;
+
+    const body = {
+      name: data.name.trim(),
+      contactPerson: data.contactPerson?.trim() || null,
+      phone: data.phone?.trim() || null,
+      email: data.email?.trim() || null,
+      address: data.address?.trim() || null,
+      paymentTermsDays: data.paymentTermsDays ?? null,
+      notes: data.notes?.trim() || null,
+      itemIds: data.items ?? [],
+      isActive: data.isActive ?? true,
+    };
+
+    try {
+      if (mode === 'create') {
+        const result = await createSupplier(body).unwrap();
+        onSuccess?.(result, 'created');
+      } else {
+        await updateSupplier({ id: record.id, body }).unwrap();
+        onSuccess?.(record.id, 'updated');
+      }
+      reset();
+      onClose();
+    } catch (err) {
+      const { message, isRetryable } = getApiErrorMessage(err, {
+        defaultMessage: `Failed to ${mode === 'create' ? 'create' : 'update'} supplier`,
+        validationMessage: 'Validation failed or duplicate name for this tenant.',
+      });
+      if (isRetryable) {
+        toast.error(message, {
+          action: {
+            label: 'Retry',
+            onClick: () => {
+              setTimeout(() => onSubmit({ preventDefault: () => {}, target: { checkValidity: () => true } }), 100);
+            },
+          },
+        });
+      } else {
+        toast.error(message);
+      }
+    } finally {
+      isSubmittingRef.current = false;
+    }
+  });
+
+  const handleClose = useCallback(() => {
+    if (isSubmitting) return;
+    if (isDirty) {
+      setUnsavedChangesDialogOpen(true);
+      return;
+    }
+    reset();
+    onClose();
+  }, [isSubmitting, isDirty, reset, onClose]);
+
+  const handleConfirmDiscard = useCallback(() => {
+    setUnsavedChangesDialogOpen(false);
+    reset();
+    onClose();
+  }, [reset, onClose]);
+
+  const handleCancelDiscard = useCallback(() => {
+    setUnsavedChangesDialogOpen(false);
+  }, []);
+
+  const renderActions = () => (
+    <Box sx={{ display: 'flex', gap: 1, justifyContent: 'flex-end' }}>
+      <Field.Button
+        variant="outlined"
+        color="inherit"
+        onClick={handleClose}
+        disabled={isSubmitting}
+      >
+        Cancel
+      </Field.Button>
+      <Field.Button
+        variant="contained"
+        type="submit"
+        onClick={onSubmit}
+        loading={isSubmitting}
+        disabled={isSubmitting}
+        startIcon="solar:check-circle-bold"
+        sx={{ minHeight: 44 }}
+      >
+        {mode === 'create' ? 'Save' : 'Update'}
+      </Field.Button>
+    </Box>
+  );
+
+  return (
+    <>
+      <CustomDialog
+        open={open}
+        onClose={handleClose}
+        title={mode === 'create' ? 'Create Supplier' : 'Edit Supplier'}
+        maxWidth="md"
+        fullWidth
+        fullScreen={isMobile}
+        loading={isSubmitting}
+        disableClose={isSubmitting}
+        actions={renderActions()}
+      >
+        <Form methods={methods} onSubmit={onSubmit}>
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 3, pt: 1 }}>
+            <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+              <Field.Text
+                name="name"
+                label="Name"
+                placeholder="Enter supplier name"
+                required
+                slotProps={{ input: { maxLength: 200 } }}
+              />
+              <Box sx={{ display: 'flex', gap: 2, flexDirection: { xs: 'column', sm: 'row' } }}>
+                <Field.Text
+                  name="contactPerson"
+                  label="Contact Person"
+                  placeholder="Optional"
+                  slotProps={{ input: { maxLength: 200 } }}
+                />
+                <Field.Text
+                  name="phone"
+                  label="Phone"
+                  placeholder="Optional"
+                  slotProps={{ input: { maxLength: 50 } }}
+                />
+                <Field.Text
+                  name="email"
+                  label="Email"
+                  placeholder="Optional"
+                  slotProps={{ input: { maxLength: 255 } }}
+                />
+              </Box>
+              <Field.Text
+                name="address"
+                label="Address"
+                placeholder="Enter address (optional)"
+                multiline
+                rows={2}
+                slotProps={{ input: { maxLength: 1000 } }}
+              />
+            </Box>
+
+            <Box>
+              <Typography variant="subtitle2" sx={{ mb: 2 }}>
+                Purchasing
+              </Typography>
+              <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+                <Field.Select
+                  name="paymentTermsDays"
+                  label="Payment Terms"
+                  slotProps={{ select: { sx: { textTransform: 'none' } } }}
+                >
+                  <MenuItem value="">Not set</MenuItem>
+                  {PAYMENT_TERMS_OPTIONS.map((option) => (
+                    <MenuItem key={option.id} value={option.id}>
+                      {option.label}
+                    </MenuItem>
+                  ))}
+                </Field.Select>
+                <Field.Autocomplete
+                  name="items"
+                  label="Items Supplied"
+                  multiple
+                  filterSelectedOptions
+                  options={itemOptions}
+                  getOptionLabel={(opt) => opt?.label ?? ''}
+                  isOptionEqualToValue={(opt, val) => opt?.id === val?.id}
+                  helperText="Items usually bought from this supplier"
+                  slotProps={{ textField: { placeholder: 'Select items' } }}
+                />
+                <Field.Text
+                  name="notes"
+                  label="Notes"
+                  placeholder="Delivery days, minimum order, account number… (optional)"
+                  multiline
+                  rows={3}
+                  slotProps={{ input: { maxLength: 2000 } }}
+                />
+              </Box>
+            </Box>
+
+            <Field.Switch name="isActive" label="Active" />
+          </Box>
+        </Form>
+      </CustomDialog>
+
+      <ConfirmDialog
+        open={unsavedChangesDialogOpen}
+        title="Discard Changes?"
+        content="You have unsaved changes. Are you sure you want to close without saving?"
+        action={
+          <Field.Button variant="contained" color="error" onClick={handleConfirmDiscard}>
+            Discard
+          </Field.Button>
+        }
+        onClose={handleCancelDiscard}
+      />
+    </>
+  );
+}
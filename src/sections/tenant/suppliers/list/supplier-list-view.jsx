@@ -0,0 +1,400 @@
+'use client';
+
+import { useForm, FormProvider } from 'react-hook-form';
+import { useMemo, useState, useEffect, useCallback } from 'react';
+
+import Box from '@mui/material/Box';
+import Card from '@mui/material/Card';
+import Stack from '@mui/material/Stack';
+import IconButton from '@mui/material/IconButton';
+import InputAdornment from '@mui/material/InputAdornment';
+
+import { paths } from 'src/routes/paths';
+import { useRouter } from 'src/routes/hooks';
+
+import { can } from 'src/utils/permissions';
+import { getApiErrorMessage } from 'src/utils/api-error-message';
+import { ACTION_PERMISSIONS } from 'src/utils/action-permissions';
+
+import {
+  suppliersApi,
+  useGetSuppliersQuery,
+  useDeleteSupplierMutation,
+  useToggleSupplierActiveMutation,
+} from 'src/store/api/suppliers-api';
+
+import { Label } from 'src/components/label';
+import { toast } from 'src/components/snackbar';
+import { Field } from 'src/components/hook-form';
+import { Iconify } from 'src/components/iconify';
+import { EmptyContent } from 'src/components/empty-content';
+import { ConfirmDialog } from 'src/components/custom-dialog/confirm-dialog';
+import { useListExport, ExportMenuButton } from 'src/components/export-menu';
+import { CustomTable, DEFAULT_PAGINATION } from 'src/components/custom-table';
+
+import { getPaymentTermsLabel } from '../utils/supplier-helpers';
+import { SupplierFormDialog } from '../form/supplier-form-dialog';
+
+// ----------------------------------------------------------------------
+
+const toSupplierRow = (supplier) => ({
+  id: supplier.id,
+  name: supplier.name,
+  contactPerson: supplier.contactPerson || '-',
+  phone: supplier.phone || '-',
+  paymentTerms: getPaymentTermsLabel(supplier.paymentTermsDays),
+  itemCount: (supplier.items ?? []).length,
+  isActive: supplier.isActive,
+});
+
+// ----------------------------------------------------------------------
+
+/**
+ * Supplier List View
+ *
+ * Tenant is resolved from user context (JWT). View opens the supplier details page (contact info,
+ * purchase history and last price per item).
+ */
+export function SupplierListView() {
+  const router = useRouter();
+
+  const [formDialogOpen, setFormDialogOpen] = useState(false);
+  const [formDialogMode, setFormDialogMode] = useState('create');
+  const [formDialogRecord, setFormDialogRecord] = useState(null);
+
+
+  const [deleteConfirmOpen, setDeleteConfirmOpen] = useState(false);
+  const [deleteSupplierId, setDeleteSupplierId] = useState(null);
+  const [deleteSupplierName, setDeleteSupplierName] = useState(null);
+
+  const [pageNumber, setPageNumber] = useState(1);
+  const [pageSize, setPageSize] = useState(DEFAULT_PAGINATION.pageSize);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [debouncedSearchTerm, setDebouncedSearchTerm] = useState('');
+
+  const searchForm = useForm({ defaultValues: { searchTerm: '' } });
+  const toggleForm = useForm({ defaultValues: {} });
+
+  const watchedSearchTerm = searchForm.watch('searchTerm');
+  useEffect(() => {
+    setSearchTerm(watchedSearchTerm || '');
+  }, [watchedSearchTerm]);
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setDebouncedSearchTerm(searchTerm);
+      setPageNumber(1);
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
+
+  const queryParams = useMemo(
+    () => ({
+      pageNumber,
+      pageSize,
+      searchTerm: debouncedSearchTerm.trim() || undefined,
+    }),
+    [pageNumber, pageSize, debouncedSearchTerm]
+  );
+
+  const { data: response, isLoading, error, refetch } = useGetSuppliersQuery(queryParams);
+
+  const suppliers = useMemo(() => response?.data ?? [], [response]);
+
+  useEffect(() => {
+    const values = Object.fromEntries(suppliers.map((supplier) => [`active_${supplier.id}`, supplier.isActive]));
+    toggleForm.reset(values);
+  }, [suppliers, toggleForm]);
+
+  const paginationMeta = useMemo(
+    () => ({
+      totalCount: response?.totalCount ?? 0,
+      totalPages: response?.totalPages ?? 0,
+      hasPreviousPage: response?.hasPreviousPage ?? false,
+      hasNextPage: response?.hasNextPage ?? false,
+    }),
+    [response]
+  );
+
+  const [deleteSupplier, { isLoading: isDeleting }] = useDeleteSupplierMutation();
+  const [toggleSupplierActive] = useToggleSupplierActiveMutation();
+  const [togglingId, setTogglingId] = useState(null);
+
+  const handleCreate = useCallback(() => {
+    setFormDialogMode('create');
+    setFormDialogRecord(null);
+    setFormDialogOpen(true);
+  }, []);
+
+  const handleEdit = useCallback((row) => {
+    const record = suppliers.find((p) => p.id === row.id) ?? null;
+    if (!record) return;
+    setFormDialogMode('edit');
+    setFormDialogRecord(record);
+    setFormDialogOpen(true);
+  }, [suppliers]);
+
+  const handleView = useCallback((row) => {
+    router.push(paths.tenant.suppliers.details(row.id));
+  }, [router]);
+
+  const handleDeleteClick = useCallback((row) => {
+    setDeleteSupplierId(row.id);
+    setDeleteSupplierName(row.name);
+    setDeleteConfirmOpen(true);
+  }, []);
+
+  const handleDeleteConfirm = useCallback(async () => {
+    if (!deleteSupplierId || isDeleting) return;
+    try {
+      await deleteSupplier(deleteSupplierId).unwrap();
+      toast.success('Supplier deleted successfully');
+      setDeleteConfirmOpen(false);
+      setDeleteSupplierId(null);
+      setDeleteSupplierName(null);
+      refetch();
+      if (suppliers.length === 1 && pageNumber > 1) {
+        setPageNumber((p) => p - 1);
+      }
+    } catch (err) {
+      const { message, isRetryable } = getApiErrorMessage(err, {
+        defaultMessage: 'Failed to delete supplier',
+        notFoundMessage: 'Supplier not found or already deleted',
+      });
+      if (isRetryable) {
+        toast.error(message, {
+          action: {
+            label: 'Retry',
+            onClick: () => handleDeleteConfirm(),
+          },
+        });
+      } else {
+        toast.error(message);
+      }
+    }
+  }, [deleteSupplierId, isDeleting, deleteSupplier, refetch, suppliers.length, pageNumber]);
+
+  const handleToggleActive = useCallback(
+    async (id, onRevert) => {
+      if (togglingId === id) return;
+      setTogglingId(id);
+      try {
+        await toggleSupplierActive(id).unwrap();
+        toast.success('Status updated successfully');
+      } catch (err) {
+        const { message, isRetryable } = getApiErrorMessage(err, {
+          defaultMessage: 'Failed to update status',
+          notFoundMessage: 'Supplier not found',
+        });
+        if (isRetryable) {
+          toast.error(message, {
+            action: {
+              label: 'Retry',
+              onClick: () => handleToggleActive(id, onRevert),
+            },
+          });
+        } else {
+          toast.error(message);
+        }
+        if (onRevert) onRevert();
+      } finally {
+        setTogglingId(null);
+      }
+    },
+    [toggleSupplierActive, togglingId]
+  );
+
+  const handleFormSuccess = useCallback((id, action) => {
+    setFormDialogOpen(false);
+    setFormDialogMode('create');
+    setFormDialogRecord(null);
+    toast.success(`Supplier ${action} successfully`);
+    refetch();
+  }, [refetch]);
+
+  const handleFormClose = useCallback(() => {
+    setFormDialogOpen(false);
+    setFormDialogMode('create');
+    setFormDialogRecord(null);
+  }, []);
+
+  const handlePageChange = useCallback((newPage) => setPageNumber(newPage + 1), []);
+  const handlePageSizeChange = useCallback((newPageSize) => {
+    setPageSize(newPageSize);
+    setPageNumber(1);
+  }, []);
+  const handleSearchClear = useCallback(() => {
+    searchForm.setValue('searchTerm', '');
+    setSearchTerm('');
+    setPageNumber(1); // Reset to first page when clearing search
+  }, [searchForm]);
+
+  const rows = useMemo(() => suppliers.map(toSupplierRow), [suppliers]);
+
+  const columns = useMemo(
+    () => [
+      { field: 'name', headerName: 'Name', flex: 1 },
+      { field: 'contactPerson', headerName: 'Contact Person', flex: 1 },
+      { field: 'phone', headerName: 'Phone', flex: 1 },
+      { field: 'paymentTerms', headerName: 'Payment Terms', flex: 1 },
+      { field: 'itemCount', headerName: 'Items', flex: 0.5, type: 'number' },
+      {
+        field: 'isActive',
+        headerName: 'Status',
+        flex: 1,
+        exportValue: (row) => (row.isActive ? 'Active' : 'Inactive'),
+        renderCell: (params) => (
+          <Label color={params.value ? 'success' : 'default'} variant="soft">
+            {params.value ? 'Active' : 'Inactive'}
+          </Label>
+        ),
+      },
+    ],
+    []
+  );
+
+  const { tableProps: exportTableProps, ...exportMenuProps } = useListExport({
+    endpoint: suppliersApi.endpoints.getSuppliers,
+    queryParams,
+    rows,
+    toRow: toSupplierRow,
+    columns,
+    filename: 'Suppliers',
+  });
+
+  const actions = useMemo(
+    () => [
+      { id: 'view', label: 'View', icon: 'solar:eye-bold', onClick: (row) => handleView(row), order: 1 },
+      { id: 'edit', label: 'Edit', icon: 'solar:pen-bold', onClick: (row) => handleEdit(row), order: 2, permission: () => can(ACTION_PERMISSIONS.Suppliers.update) },
+      {
+        id: 'toggle-active',
+        label: (row) => (row.isActive ? 'Deactivate' : 'Activate'),
+        icon: (row) => (
+          <Field.Switch
+            name={`active_${row.id}`}
+            disabled={togglingId === row.id}
+            onChange={() => {
+              handleToggleActive(row.id, () => toggleForm.setValue(`active_${row.id}`, row.isActive));
+            }}
+            slotProps={{
+              wrapper: { onClick: (e) => e.stopPropagation() },
+              switch: {
+                size: 'small',
+                slotProps: {
+                  input: {
+                    id: `supplier-toggle-${row.id}`,
+                    'aria-label': `Toggle active status for ${row.name || 'supplier'}`,
+                  },
+                },
+              },
+            }}
+          />
+        ),
+        order: 3,
+        permission: () => can(ACTION_PERMISSIONS.Suppliers.toggleActive),
+      },
+      { id: 'delete', label: 'Delete', icon: 'solar:trash-bin-trash-bold', onClick: (row) => handleDeleteClick(row), order: 4, permission: () => can(ACTION_PERMISSIONS.Suppliers.delete) },
+    ],
+    [handleView, handleEdit, handleToggleActive, handleDeleteClick, togglingId, toggleForm]
+  );
+
+  const emptyMessage = (searchTerm || debouncedSearchTerm) ? 'No suppliers match your search' : 'Get started by creating a supplier';
+
+  return (
+    <Box>
+      <FormProvider {...toggleForm}>
+        <Card variant="outlined" sx={{ p: 2 }}>
+        <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2} sx={{ mb: 3 }}>
+          <FormProvider {...searchForm}>
+            <Field.Text
+              name="searchTerm"
+              size="small"
+              placeholder="Search by name, contact or phone..."
+              slotProps={{
+                input: {
+                  startAdornment: (
+                    <InputAdornment position="start">
+                      <Iconify icon="eva:search-fill" sx={{ color: 'text.disabled' }} />
+                    </InputAdornment>
+                  ),
+                  endAdornment: searchTerm && (
+                    <InputAdornment position="end">
+                      <IconButton size="small" onClick={handleSearchClear} sx={{ minWidth: 'auto', minHeight: 'auto', p: 0.5 }} aria-label="Clear search">
+                        <Iconify icon="eva:close-fill" />
+                      </IconButton>
+                    </InputAdornment>
+                  ),
+                },
+              }}
+              sx={{ maxWidth: { sm: 400 } }}
+            />
+          </FormProvider>
+          <ExportMenuButton {...exportMenuProps} sx={{ ml: 'auto' }} />
+          {can(ACTION_PERMISSIONS.Suppliers.create) && (
+            <Field.Button
+              variant="contained"
+              startIcon="mingcute:add-line"
+              onClick={handleCreate}
+              sx={{ minHeight: 44 }}
+            >
+              Create Supplier
+            </Field.Button>
+          )}
+        </Stack>
+
+        <CustomTable
+          {...exportTableProps}
+          rows={rows}
+          columns={columns}
+          loading={isLoading}
+          actions={actions}
+          error={error}
+          onRetry={refetch}
+          errorEntityLabel="suppliers"
+          pagination={{
+              ...DEFAULT_PAGINATION,
+              mode: 'server',
+              page: pageNumber - 1,
+              pageSize,
+              rowCount: paginationMeta.totalCount,
+              onPageChange: handlePageChange,
+              onPageSizeChange: handlePageSizeChange,
+            }}
+            getRowId={(row) => row.id}
+            emptyContent={<EmptyContent title="No suppliers found" description={emptyMessage} />}
+          />
+        </Card>
+
+        <SupplierFormDialog
+          open={formDialogOpen}
+          mode={formDialogMode}
+          record={formDialogRecord}
+          onClose={handleFormClose}
+          onSuccess={handleFormSuccess}
+        />
+
+        <ConfirmDialog
+          open={deleteConfirmOpen}
+          title="Delete Supplier"
+          content={
+            deleteSupplierName
+              ? `Are you sure you want to delete "${deleteSupplierName}"? Purchase documents keep the supplier name.`
+              : 'Are you sure you want to delete this supplier? This action cannot be undone.'
+          }
+          action={
+            <Field.Button variant="contained" color="error" onClick={handleDeleteConfirm} disabled={isDeleting} loading={isDeleting}>
+              Delete
+            </Field.Button>
+          }
+          onClose={() => {
+            setDeleteConfirmOpen(false);
+            setDeleteSupplierId(null);
+            setDeleteSupplierName(null);
+          }}
+          loading={isDeleting}
+          disableClose={isDeleting}
+        />
+      </FormProvider>
+    </Box>
+  );
+}
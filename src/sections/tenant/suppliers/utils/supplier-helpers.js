@@ -0,0 +1,102 @@
+import { getLineUnitFactor } from 'src/utils/units-of-measure';
+
+// ----------------------------------------------------------------------
+
+/**
+ * Payment terms options (days until a purchase is due)
+ */
+export const PAYMENT_TERMS_OPTIONS = [
+  { id: 0, label: 'Cash on delivery' },
+  { id: 7, label: 'Net 7 days' },
+  { id: 15, label: 'Net 15 days' },
+  { id: 30, label: 'Net 30 days' },
+  { id: 45, label: 'Net 45 days' },
+  { id: 60, label: 'Net 60 days' },
+];
+
+// ----------------------------------------------------------------------
+
+/**
+ * Get payment terms label
+ */
+export const getPaymentTermsLabel = (days) => {
+  if (days == null || days === '') return '-';
+  const option = PAYMENT_TERMS_OPTIONS.find((terms) => terms.id === Number(days));
+  return option ? option.label : `Net ${days} days`;
+};
+
+// ----------------------------------------------------------------------
+
+const getDocumentDate = (document) => document.updatedAt || document.createDate || null;
+
+const sortNewestFirst = (documents) =>
+  [...(documents ?? [])].sort((a, b) => (getDocumentDate(b) ?? '').localeCompare(getDocumentDate(a) ?? ''));
+
+/**
+ * Purchase rows from a page of a supplier's posted purchase documents, newest first. A line costs
+ * quantity × unitPrice, both in the item's base unit.
+ *
+ * @param {Array<Object>} documents
+ * @returns {{ lastPurchaseDate: string|null, purchases: Array<Object> }}
+ */
+export function summarizeSupplierPurchases(documents) {
+  const purchases = sortNewestFirst(documents).map((document) => {
+    const total = (document.items ?? []).reduce(
+      (sum, line) => sum + (Number(line.quantity) || 0) * (Number(line.unitPrice) || 0),
+      0
+    );
+    return {
+      id: document.id,
+      date: getDocumentDate(document),
+      branchId: document.branchId,
+      itemCount: (document.items ?? []).length,
+      remarks: document.remarks,
+      total,
+    };
+  });
+
+  return {
+    lastPurchaseDate: purchases[0]?.date ?? null,
+    purchases,
+  };
+}
+
+/**
+ * Last price paid per item across a supplier's posted purchase documents. Each item's last price
+ * is from its newest purchase and is compared with the purchase before it; prices are shown per
+ * the unit the line was entered in.
+ *
+ * @param {Array<Object>} documents - All of the supplier's purchases, not one history page
+ * @returns {Array<Object>}
+ */
+export function getSupplierLastPrices(documents) {
+  // Newest first: the first price seen per item is the last one paid
+  const pricesByItem = new Map();
+  sortNewestFirst(documents).forEach((document) => {
+    (document.items ?? []).forEach((line) => {
+      if (!line.itemId || line.unitPrice == null) return;
+      const prices = pricesByItem.get(line.itemId) ?? [];
+      if (prices.length < 2) {
+        prices.push({ line, date: getDocumentDate(document), documentId: document.id });
+        pricesByItem.set(line.itemId, prices);
+      }
+    });
+  });
+
+  return [...pricesByItem.entries()].map(([itemId, [latest, previous]]) => {
+    const unitPrice = Number(latest.line.unitPrice);
+    const previousUnitPrice = previous ? Number(previous.line.unitPrice) : null;
+    return {
+      itemId,
+      itemName: latest.line.itemName || '-',
+      unit: latest.line.unit || null,
+      price: unitPrice * getLineUnitFactor(latest.line),
+      unitPrice,
+      previousUnitPrice,
+      changePercent:
+        previousUnitPrice > 0 ? ((unitPrice - previousUnitPrice) / previousUnitPrice) * 100 : null,
+      date: latest.date,
+      documentId: latest.documentId,
+    };
+  });
+}
@@ -0,0 +1,129 @@
+'use client';
+
+import { varAlpha } from 'minimal-shared/utils';
+import { useRef, useState, useEffect } from 'react';
+
+import Box from '@mui/material/Box';
+import Typography from '@mui/material/Typography';
+
+import { FLOOR_GRID, TABLE_SHAPE, FLOOR_CANVAS } from '../utils/floor-plan';
+
+// ----------------------------------------------------------------------
+
+/**
+ * Fill and border for a table tile; `default` is the neutral grey.
+ */
+const getTileColors = (theme, color, selected) => {
+  const channel =
+    color === 'default' ? theme.vars.palette.grey['500Channel'] : theme.vars.palette[color].mainChannel;
+  return {
+    bgcolor: varAlpha(channel, selected ? 0.32 : 0.16),
+    borderColor: color === 'default' ? theme.vars.palette.grey[500] : theme.vars.palette[color].main,
+  };
+};
+
+/**
+ * One table on the canvas. `style` positions it (absolute inside a canvas, fixed for a drag ghost).
+ */
+export function FloorPlanTable({ table, layout, color = 'default', selected = false, caption, sx, ...other }) {
+  return (
+    <Box
+      {...other}
+      sx={[
+        (theme) => ({
+          ...getTileColors(theme, color, selected),
+          width: layout.width,
+          height: layout.height,
+          p: 0.5,
+          border: 2,
+          borderRadius: layout.shape === TABLE_SHAPE.round ? '50%' : 1,
+          display: 'flex',
+          flexDirection: 'column',
+          alignItems: 'center',
+          justifyContent: 'center',
+          textAlign: 'center',
+          overflow: 'hidden',
+          userSelect: 'none',
+          touchAction: 'none',
+          outline: selected ? `2px solid ${theme.vars.palette.text.primary}` : 'none',
+          outlineOffset: 2,
+        }),
+        ...(Array.isArray(sx) ? sx : [sx]),
+      ]}
+    >
+      <Typography variant="subtitle2" noWrap sx={{ maxWidth: 1 }}>
+        {table.tableNumber}
+      </Typography>
+      {caption && (
+        <Typography variant="caption" color="text.secondary" noWrap sx={{ maxWidth: 1 }}>
+          {caption}
+        </Typography>
+      )}
+    </Box>
+  );
+}
+
+// ----------------------------------------------------------------------
+
+/**
+ * Canvas of one floor section (FLOOR_CANVAS pixels). `fitWidth` scales it down to the available
+ * width (POS picker); otherwise it keeps its size and scrolls (editor, where drop maths needs 1:1).
+ *
+ * @param {Object} props
+ * @param {string} props.section - Section name (data-floor-section, used as a drop target)
+ * @param {Array<{ table, layout }>} props.tables
+ * @param {Function} props.renderTable - ({ table, layout }) => element positioned by the canvas
+ * @param {boolean} [props.showGrid]
+ * @param {boolean} [props.fitWidth]
+ */
+export function FloorPlanCanvas({ section, tables = [], renderTable, showGrid = false, fitWidth = false, sx }) {
+  const containerRef = useRef(null);
+  const [scale, setScale] = useState(1);
+
+  useEffect(() => {
+    const el = containerRef.current;
+    if (!fitWidth || !el) return undefined;
+    const update = () => setScale(Math.min(1, el.clientWidth / FLOOR_CANVAS.width));
+    update();
+    const ro = new ResizeObserver(update);
+    ro.observe(el);
+    return () => ro.disconnect();
+  }, [fitWidth]);
+
+  return (
+    <Box
+      ref={containerRef}
+      sx={[
+        { width: 1, overflow: fitWidth ? 'hidden' : 'auto', height: fitWidth ? FLOOR_CANVAS.height * scale : 'auto' },
+        ...(Array.isArray(sx) ? sx : [sx]),
+      ]}
+    >
+      <Box
+        data-floor-section={section}
+        sx={(theme) => ({
+          position: 'relative',
+          width: FLOOR_CANVAS.width,
+          height: FLOOR_CANVAS.height,
+          transform: fitWidth ? `scale(${scale})` : 'none',
+          transformOrigin: 'top left',
+          borderRadius: 1.5,
+          border: `1px dashed ${theme.vars.palette.divider}`,
+          bgcolor: 'background.neutral',
+          ...(showGrid && {
+            backgroundImage: `radial-gradient(${theme.vars.palette.divider} 1px, transparent 1px)`,
+            backgroundSize: `${FLOOR_GRID * 2}px ${FLOOR_GRID * 2}px`,
+          }),
+        })}
+      >
+        {tables.map((entry) => (
+          <Box
+            key={entry.table.id}
+            sx={{ position: 'absolute', left: entry.layout.x, top: entry.layout.y }}
+          >
+            {renderTable(entry)}
+          </Box>
+        ))}
+      </Box>
+    </Box>
+  );
+}
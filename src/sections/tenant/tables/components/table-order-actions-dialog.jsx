@@ -0,0 +1,334 @@
+'use client';
+
+import { useForm, useWatch } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { useRef, useMemo, useState, useEffect, useCallback } from 'react';
+
+import Box from '@mui/material/Box';
+import Stack from '@mui/material/Stack';
+import Alert from '@mui/material/Alert';
+import Typography from '@mui/material/Typography';
+import IconButton from '@mui/material/IconButton';
+import ToggleButton from '@mui/material/ToggleButton';
+import CircularProgress from '@mui/material/CircularProgress';
+import ToggleButtonGroup from '@mui/material/ToggleButtonGroup';
+
+import { can } from 'src/utils/permissions';
+import { getApiErrorMessage } from 'src/utils/api-error-message';
+import { ACTION_PERMISSIONS } from 'src/utils/action-permissions';
+
+import { useGetOrdersByStatusesQuery } from 'src/store/api/orders-api';
+import { splitTableSchema, mergeTablesSchema, transferTableSchema } from 'src/schemas';
+import {
+  useSplitTableMutation,
+  useMergeTablesMutation,
+  useGetAllTablePagesQuery,
+  useTransferTableMutation,
+} from 'src/store/api/tables-api';
+
+import { toast } from 'src/components/snackbar';
+import { Iconify } from 'src/components/iconify';
+import { Form, Field } from 'src/components/hook-form';
+import { CustomDialog } from 'src/components/custom-dialog';
+
+import { ACTIVE_ORDER_STATUSES } from 'src/sections/tenant/orders/utils/order-status';
+
+import { getActiveOrdersByTable } from '../utils/floor-plan';
+
+// ----------------------------------------------------------------------
+
+export const TABLE_ORDER_ACTION = {
+  transfer: 'transfer',
+  merge: 'merge',
+  split: 'split',
+};
+
+const ACTIONS = [
+  { id: TABLE_ORDER_ACTION.transfer, label: 'Transfer', permission: ACTION_PERMISSIONS.Tables.transfer },
+  { id: TABLE_ORDER_ACTION.merge, label: 'Merge', permission: ACTION_PERMISSIONS.Tables.merge },
+  { id: TABLE_ORDER_ACTION.split, label: 'Split', permission: ACTION_PERMISSIONS.Tables.split },
+];
+
+const SCHEMAS = {
+  [TABLE_ORDER_ACTION.transfer]: transferTableSchema,
+  [TABLE_ORDER_ACTION.merge]: mergeTablesSchema,
+  [TABLE_ORDER_ACTION.split]: splitTableSchema,
+};
+
+const toTableOption = (table) => ({
+  id: table.id,
+  label: table.location ? `${table.tableNumber} (${table.location})` : table.tableNumber,
+});
+
+const getItemsDefaults = (order) =>
+  (order?.items ?? []).map((item) => ({ orderItemId: item.id, quantity: 0 }));
+
+// ----------------------------------------------------------------------
+
+/**
+ * Move a table's active order:
+ * - Transfer: the whole order to a free table
+ * - Merge: another occupied table's order into this one (one bill)
+ * - Split: chosen item quantities into a new order on a free table
+ *
+ * Tables and orders are refetched after each action so availability stays in sync everywhere.
+ *
+ * @param {Object} props
+ * @param {boolean} props.open
+ * @param {Object} props.table - Table whose order is moved (list row or table record)
+ * @param {string} [props.initialAction] - TABLE_ORDER_ACTION value
+ * @param {Function} props.onClose
+ * @param {Function} [props.onSuccess] - (action) => void
+ */
+export function TableOrderActionsDialog({ open, table, initialAction = TABLE_ORDER_ACTION.transfer, onClose, onSuccess }) {
+  const allowedActions = useMemo(() => ACTIONS.filter((action) => can(action.permission)), []);
+  const [action, setAction] = useState(initialAction);
+  const isSubmittingRef = useRef(false);
+
+  // Every table and active order: a truncated list would miss the source order or offer an occupied table as free
+  const { data: tables, isLoading: tablesLoading } = useGetAllTablePagesQuery(undefined, { skip: !open });
+  const { data: activeOrders, isLoading: ordersLoading } = useGetOrdersByStatusesQuery(
+    { statuses: ACTIVE_ORDER_STATUSES },
+    { skip: !open }
+  );
+
+  const [transferTable, { isLoading: isTransferring }] = useTransferTableMutation();
+  const [mergeTables, { isLoading: isMerging }] = useMergeTablesMutation();
+  const [splitTable, { isLoading: isSplitting }] = useSplitTableMutation();
+  const isSubmitting = isTransferring || isMerging || isSplitting;
+
+  const ordersByTable = useMemo(() => getActiveOrdersByTable(activeOrders), [activeOrders]);
+  const sourceOrder = table ? (ordersByTable.get(table.id) ?? null) : null;
+
+  const otherTables = useMemo(
+    () => (tables ?? []).filter((t) => t.isActive !== false && t.id !== table?.id),
+    [tables, table?.id]
+  );
+  // Free: available and no active order (a table can be flagged available while an order is still open)
+  const freeTableOptions = useMemo(
+    () => otherTables.filter((t) => t.isAvailable && !ordersByTable.has(t.id)).map(toTableOption),
+    [otherTables, ordersByTable]
+  );
+  const occupiedTableOptions = useMemo(
+    () => otherTables.filter((t) => ordersByTable.has(t.id)).map(toTableOption),
+    [otherTables, ordersByTable]
+  );
+
+  const methods = useForm({
+    resolver: zodResolver(SCHEMAS[action]),
+    defaultValues: { targetTableId: null, sourceTableId: null, items: [] },
+  });
+  const { reset, control, setValue, getValues, handleSubmit } = methods;
+
+  const splitItems = useWatch({ control, name: 'items' }) ?? [];
+  const itemsErrors = methods.formState.errors.items;
+  const itemsError = itemsErrors?.message ?? itemsErrors?.root?.message;
+
+  useEffect(() => {
+    if (!open) return;
+    setAction(allowedActions.some((a) => a.id === initialAction) ? initialAction : allowedActions[0]?.id);
+  }, [open, initialAction, allowedActions]);
+
+  useEffect(() => {
+    if (open) reset({ targetTableId: null, sourceTableId: null, items: getItemsDefaults(sourceOrder) });
+  }, [open, action, sourceOrder, reset]);
+
+  const handleQuantityChange = useCallback(
+    (index, delta, max) => {
+      const current = Number(getValues(`items.${index}.quantity`)) || 0;
+      const next = Math.min(Math.max(current + delta, 0), max);
+      setValue(`items.${index}.quantity`, next, { shouldValidate: true, shouldDirty: true });
+    },
+    [getValues, setValue]
+  );
+
+  const onSubmit = handleSubmit(async (data) => {
+    if (isSubmittingRef.current || !table) return;
+    const tableLabel = table.tableNumber;
+    isSubmittingRef.current = true;
+    try {
+      if (action === TABLE_ORDER_ACTION.transfer) {
+        await transferTable({ id: table.id, targetTableId: data.targetTableId }).unwrap();
+        toast.success(`Order moved from table ${tableLabel}`);
+      } else if (action === TABLE_ORDER_ACTION.merge) {
+        await mergeTables({ id: table.id, sourceTableId: data.sourceTableId }).unwrap();
+        toast.success(`Orders merged into table ${tableLabel}`);
+      } else {
+        const items = data.items.filter((item) => item.quantity > 0);
+        const movesEverything = (sourceOrder?.items ?? []).every((orderItem) => {
+          const moved = items.find((item) => item.orderItemId === orderItem.id);
+          return moved && moved.quantity >= Number(orderItem.quantity);
+        });
+        if (movesEverything) {
+          toast.error('To move every item, transfer the order instead');
+          return;
+        }
+        await splitTable({ id: table.id, targetTableId: data.targetTableId, items }).unwrap();
+        toast.success(`Items split from table ${tableLabel}`);
+      }
+      onSuccess?.(action);
+      onClose();
+    } catch (error) {
+      const { message, isRetryable } = getApiErrorMessage(error, {
+        defaultMessage: `Failed to ${action} table`,
+        notFoundMessage: 'Table or order not found',
+        validationMessage: 'Could not move the order. Check the selected table and items.',
+      });
+      if (isRetryable) {
+        toast.error(message, { action: { label: 'Retry', onClick: () => onSubmit() } });
+      } else {
+        toast.error(message);
+      }
+    } finally {
+      isSubmittingRef.current = false;
+    }
+  });
+
+  const renderTableField = (name, label, options, emptyText) => (
+    <Field.Autocomplete
+      name={name}
+      label={label}
+      options={options}
+      noOptionsText={emptyText}
+      getOptionLabel={(option) => option?.label ?? ''}
+      isOptionEqualToValue={(option, value) => option?.id === value?.id}
+    />
+  );
+
+  const renderSplitItems = () => (
+    <Stack spacing={1}>
+      <Typography variant="subtitle2">Items to move</Typography>
+      {(sourceOrder?.items ?? []).map((item, index) => {
+        const max = Number(item.quantity) || 0;
+        const quantity = Number(splitItems[index]?.quantity) || 0;
+        return (
+          <Stack key={item.id ?? index} direction="row" alignItems="center" spacing={1}>
+            <Typography variant="body2" sx={{ flex: 1, minWidth: 0 }} noWrap>
+              {item.itemName || '-'}
+              <Typography component="span" variant="caption" color="text.secondary" sx={{ ml: 1 }}>
+                of {max}
+              </Typography>
+            </Typography>
+            <IconButton
+              size="small"
+              onClick={() => handleQuantityChange(index, -1, max)}
+              disabled={quantity <= 0}
+              aria-label={`Move one less ${item.itemName || 'item'}`}
+            >
+              <Iconify icon="mingcute:minimize-line" />
+            </IconButton>
+            <Typography variant="subtitle2" sx={{ width: 24, textAlign: 'center' }}>
+              {quantity}
+            </Typography>
+            <IconButton
+              size="small"
+              onClick={() => handleQuantityChange(index, 1, max)}
+              disabled={quantity >= max}
+              aria-label={`Move one more ${item.itemName || 'item'}`}
+            >
+              <Iconify icon="mingcute:add-line" />
+            </IconButton>
+          </Stack>
+        );
+      })}
+      {itemsError && (
+        <Typography variant="caption" color="error">
+          {itemsError}
+        </Typography>
+      )}
+    </Stack>
+  );
+
+  const renderContent = () => {
+    if (tablesLoading || ordersLoading) {
+      return (
+        <Box sx={{ py: 6, display: 'flex', justifyContent: 'center' }}>
+          <CircularProgress />
+        </Box>
+      );
+    }
+    if (!sourceOrder) {
+      return <Alert severity="info">Table {table?.tableNumber} has no active order to move.</Alert>;
+    }
+    if (allowedActions.length === 0) {
+      return <Alert severity="warning">You do not have permission to move table orders.</Alert>;
+    }
+    return (
+      <Stack spacing={2.5} sx={{ pt: 1 }}>
+        <ToggleButtonGroup
+          exclusive
+          fullWidth
+          size="small"
+          value={action}
+          onChange={(event, value) => value && setAction(value)}
+        >
+          {allowedActions.map((option) => (
+            <ToggleButton key={option.id} value={option.id}>
+              {option.label}
+            </ToggleButton>
+          ))}
+        </ToggleButtonGroup>
+
+        <Typography variant="body2" color="text.secondary">
+          Order #{sourceOrder.orderNumber ?? sourceOrder.id} · {sourceOrder.items?.length ?? 0} items
+        </Typography>
+
+        {action === TABLE_ORDER_ACTION.transfer && (
+          <>
+            {renderTableField('targetTableId', 'Move to table', freeTableOptions, 'No free tables')}
+            <Typography variant="caption" color="text.secondary">
+              The whole order moves; table {table.tableNumber} becomes free.
+            </Typography>
+          </>
+        )}
+
+        {action === TABLE_ORDER_ACTION.merge && (
+          <>
+            {renderTableField('sourceTableId', 'Merge table', occupiedTableOptions, 'No other occupied tables')}
+            <Typography variant="caption" color="text.secondary">
+              The other table&apos;s items join this order as one bill; that table becomes free.
+            </Typography>
+          </>
+        )}
+
+        {action === TABLE_ORDER_ACTION.split && (
+          <>
+            {renderTableField('targetTableId', 'New order on table', freeTableOptions, 'No free tables')}
+            {renderSplitItems()}
+          </>
+        )}
+      </Stack>
+    );
+  };
+
+  return (
+    <CustomDialog
+      open={open}
+      onClose={onClose}
+      title={`Table ${table?.tableNumber ?? ''}: move order`}
+      maxWidth="sm"
+      loading={isSubmitting}
+      disableClose={isSubmitting}
+      actions={
+        <Box sx={{ display: 'flex', gap: 1, justifyContent: 'flex-end' }}>
+          <Field.Button variant="outlined" color="inherit" onClick={onClose} disabled={isSubmitting}>
+            Cancel
+          </Field.Button>
+          <Field.Button
+            variant="contained"
+            onClick={onSubmit}
+            loading={isSubmitting}
+            disabled={isSubmitting || !sourceOrder || allowedActions.length === 0}
+            startIcon="solar:check-circle-bold"
+          >
+            {ACTIONS.find((a) => a.id === action)?.label ?? 'Confirm'}
+          </Field.Button>
+        </Box>
+      }
+    >
+      <Form methods={methods} onSubmit={onSubmit}>
+        {renderContent()}
+      </Form>
+    </CustomDialog>
+  );
+}
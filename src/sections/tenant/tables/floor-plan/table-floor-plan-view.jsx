@@ -0,0 +1,486 @@
+'use client';
+
+import { useRef, useMemo, useState, useEffect, useCallback } from 'react';
+
+import Box from '@mui/material/Box';
+import Card from '@mui/material/Card';
+import Stack from '@mui/material/Stack';
+import Button from '@mui/material/Button';
+import Divider from '@mui/material/Divider';
+import MenuItem from '@mui/material/MenuItem';
+import TextField from '@mui/material/TextField';
+import Typography from '@mui/material/Typography';
+import ToggleButton from '@mui/material/ToggleButton';
+import CircularProgress from '@mui/material/CircularProgress';
+import ToggleButtonGroup from '@mui/material/ToggleButtonGroup';
+
+import { paths } from 'src/routes/paths';
+import { RouterLink } from 'src/routes/components';
+
+import { can } from 'src/utils/permissions';
+import { getApiErrorMessage } from 'src/utils/api-error-message';
+import { ACTION_PERMISSIONS } from 'src/utils/action-permissions';
+
+import { useGetAllTablesQuery, useUpdateTableMutation } from 'src/store/api/tables-api';
+
+import { toast } from 'src/components/snackbar';
+import { Field } from 'src/components/hook-form';
+import { EmptyContent } from 'src/components/empty-content';
+
+import { FloorPlanTable, FloorPlanCanvas } from '../components/floor-plan-canvas';
+import {
+  TABLE_SHAPE,
+  clampLayout,
+  TABLE_SIZE_LIMITS,
+  UNASSIGNED_SECTION,
+  buildFloorSections,
+  getDefaultTableSize,
+  TABLE_SHAPE_OPTIONS,
+  toTableLayoutFields,
+} from '../utils/floor-plan';
+
+// ----------------------------------------------------------------------
+
+/** Pointer travel (px) below which a press counts as a click, not a drag. */
+const DRAG_THRESHOLD = 4;
+
+/** Enter in a size field commits it like a blur. */
+const commitOnEnter = (event) => {
+  if (event.key === 'Enter') event.currentTarget.querySelector('input')?.blur();
+};
+
+/**
+ * Table record with a pending draft applied, so sections and layouts are derived the same way as
+ * for saved tables.
+ */
+const applyDraft = (table, draft) =>
+  draft
+    ? {
+        ...table,
+        location: draft.section === UNASSIGNED_SECTION ? null : draft.section,
+        ...toTableLayoutFields(draft.layout),
+      }
+    : table;
+
+// ----------------------------------------------------------------------
+
+/**
+ * Table Floor Plan View
+ *
+ * One canvas per section (table location). Managers drag tables to place them (or onto another
+ * section to move them), set shape and size in the side panel, and save; each changed table is
+ * updated with a full PUT of its current fields plus the new placement.
+ */
+export function TableFloorPlanView() {
+  const canUpdate = can(ACTION_PERMISSIONS.Tables.update);
+
+  const { data: tablesResponse, isLoading, error, refetch } = useGetAllTablesQuery({ pageSize: 500 });
+  const [updateTable] = useUpdateTableMutation();
+
+  const tables = useMemo(() => tablesResponse?.data ?? [], [tablesResponse]);
+
+  // Pending changes by table id: { section, layout }
+  const [drafts, setDrafts] = useState({});
+  const [extraSections, setExtraSections] = useState([]);
+  const [newSection, setNewSection] = useState('');
+  const [selectedId, setSelectedId] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Drag: { table, layout, offsetX, offsetY, startX, startY, x, y, moved }
+  const [drag, setDrag] = useState(null);
+  const dragRef = useRef(null);
+
+  const sections = useMemo(
+    () =>
+      buildFloorSections(
+        tables.map((table) => applyDraft(table, drafts[table.id])),
+        extraSections
+      ),
+    [tables, drafts, extraSections]
+  );
+
+  const selected = useMemo(() => {
+    for (const section of sections) {
+      const entry = section.tables.find(({ table }) => table.id === selectedId);
+      if (entry) return { ...entry, section: section.name };
+    }
+    return null;
+  }, [sections, selectedId]);
+
+  const dirtyCount = Object.keys(drafts).length;
+
+  const setDraft = useCallback((id, section, layout) => {
+    setDrafts((prev) => ({ ...prev, [id]: { section, layout: clampLayout(layout) } }));
+  }, []);
+
+  // ----------------------------------------------------------------------
+  // Dragging
+
+  const handleTablePointerDown = useCallback(
+    (event, entry) => {
+      if (!canUpdate || event.button !== 0) return;
+      const rect = event.currentTarget.getBoundingClientRect();
+      const next = {
+        table: entry.table,
+        layout: entry.layout,
+        offsetX: event.clientX - rect.left,
+        offsetY: event.clientY - rect.top,
+        startX: event.clientX,
+        startY: event.clientY,
+        x: event.clientX,
+        y: event.clientY,
+        moved: false,
+      };
+      dragRef.current = next;
+      setDrag(next);
+      setSelectedId(entry.table.id);
+    },
+    [canUpdate]
+  );
+
+  const isDragging = !!drag;
+
+  useEffect(() => {
+    if (!isDragging) return undefined;
+
+    const handleMove = (event) => {
+      const current = dragRef.current;
+      if (!current) return;
+      const moved =
+        current.moved ||
+        Math.abs(event.clientX - current.startX) > DRAG_THRESHOLD ||
+        Math.abs(event.clientY - current.startY) > DRAG_THRESHOLD;
+      dragRef.current = { ...current, x: event.clientX, y: event.clientY, moved };
+      setDrag(dragRef.current);
+    };
+
+    const handleUp = (event) => {
+      const current = dragRef.current;
+      dragRef.current = null;
+      setDrag(null);
+      if (!current?.moved) return;
+      // The ghost ignores pointer events, so this hits the canvas (or a table on it) under the cursor
+      const canvas = document
+        .elementFromPoint(event.clientX, event.clientY)
+        ?.closest('[data-floor-section]');
+      if (!canvas) return;
+      const rect = canvas.getBoundingClientRect();
+      setDraft(current.table.id, canvas.dataset.floorSection, {
+        ...current.layout,
+        x: event.clientX - rect.left - current.offsetX,
+        y: event.clientY - rect.top - current.offsetY,
+      });
+    };
+
+    window.addEventListener('pointermove', handleMove);
+    window.addEventListener('pointerup', handleUp);
+    window.addEventListener('pointercancel', handleUp);
+    return () => {
+      window.removeEventListener('pointermove', handleMove);
+      window.removeEventListener('pointerup', handleUp);
+      window.removeEventListener('pointercancel', handleUp);
+    };
+  }, [isDragging, setDraft]);
+
+  // ----------------------------------------------------------------------
+  // Side panel
+
+  const handleSectionChange = useCallback(
+    (event) => {
+      if (!selected) return;
+      setDraft(selected.table.id, event.target.value, selected.layout);
+    },
+    [selected, setDraft]
+  );
+
+  const handleShapeChange = useCallback(
+    (event, shape) => {
+      if (!selected || !shape || shape === selected.layout.shape) return;
+      setDraft(selected.table.id, selected.section, {
+        ...selected.layout,
+        ...getDefaultTableSize(shape),
+        shape,
+      });
+    },
+    [selected, setDraft]
+  );
+
+  // Sizes are committed on blur / Enter, since clamping each keystroke would fight the typing
+  const handleSizeCommit = useCallback(
+    (field) => (event) => {
+      if (!selected) return;
+      const value = Number(event.target.value);
+      if (!value) return;
+      setDraft(selected.table.id, selected.section, { ...selected.layout, [field]: value });
+    },
+    [selected, setDraft]
+  );
+
+  const handleAddSection = useCallback(() => {
+    const name = newSection.trim();
+    if (!name) return;
+    if (sections.some((section) => section.name.toLowerCase() === name.toLowerCase())) {
+      toast.warning(`Section "${name}" already exists`);
+      return;
+    }
+    setExtraSections((prev) => [...prev, name]);
+    setNewSection('');
+  }, [newSection, sections]);
+
+  const handleDiscard = useCallback(() => {
+    setDrafts({});
+    setExtraSections([]);
+  }, []);
+
+  const handleSave = useCallback(async () => {
+    const ids = Object.keys(drafts);
+    if (ids.length === 0 || isSaving) return;
+    setIsSaving(true);
+    const results = await Promise.allSettled(
+      ids.map((id) => {
+        const table = tables.find((t) => t.id === id);
+        const { section, layout } = drafts[id];
+        return updateTable({
+          id,
+          tableNumber: table.tableNumber,
+          capacity: table.capacity,
+          location: section === UNASSIGNED_SECTION ? null : section,
+          isAvailable: table.isAvailable,
+          isActive: table.isActive,
+          ...toTableLayoutFields(layout),
+        }).unwrap();
+      })
+    );
+    setIsSaving(false);
+
+    const failedIds = ids.filter((id, index) => results[index].status === 'rejected');
+    // Keep only the failed drafts so they can be saved again
+    setDrafts((prev) => Object.fromEntries(failedIds.map((id) => [id, prev[id]])));
+    if (failedIds.length === 0) {
+      setExtraSections([]);
+      toast.success('Floor plan saved');
+      return;
+    }
+    const firstError = results.find((result) => result.status === 'rejected').reason;
+    const { message, isRetryable } = getApiErrorMessage(firstError, {
+      defaultMessage: 'Failed to save floor plan',
+      notFoundMessage: 'Table not found',
+    });
+    const summary = `${failedIds.length} of ${ids.length} tables not saved. ${message}`;
+    if (isRetryable) {
+      toast.error(summary, { action: { label: 'Retry', onClick: () => handleSave() } });
+    } else {
+      toast.error(summary);
+    }
+  }, [drafts, isSaving, tables, updateTable]);
+
+  // ----------------------------------------------------------------------
+
+  const renderTable = (entry) => {
+    const isBeingDragged = drag?.moved && drag.table.id === entry.table.id;
+    return (
+      <FloorPlanTable
+        table={entry.table}
+        layout={entry.layout}
+        color={drafts[entry.table.id] ? 'warning' : 'primary'}
+        selected={entry.table.id === selectedId}
+        caption={`${entry.table.capacity ?? '-'} seats`}
+        onPointerDown={(event) => handleTablePointerDown(event, entry)}
+        onClick={() => setSelectedId(entry.table.id)}
+        sx={{ cursor: canUpdate ? 'grab' : 'pointer', visibility: isBeingDragged ? 'hidden' : 'visible' }}
+      />
+    );
+  };
+
+  const renderPanel = () => {
+    if (!selected) {
+      return (
+        <Typography variant="body2" color="text.secondary">
+          Select a table to change its section, shape and size.
+          {canUpdate && ' Drag tables to place them, or onto another section to move them.'}
+        </Typography>
+      );
+    }
+    const { table, layout, section } = selected;
+    const isRound = layout.shape !== TABLE_SHAPE.rectangle;
+    return (
+      <Stack spacing={2}>
+        <Box>
+          <Typography variant="subtitle1">{table.tableNumber}</Typography>
+          <Typography variant="body2" color="text.secondary">
+            {table.capacity ?? '-'} seats · {table.isAvailable ? 'Available' : 'Unavailable'}
+          </Typography>
+        </Box>
+        <TextField
+          select
+          size="small"
+          label="Section"
+          value={section}
+          onChange={handleSectionChange}
+          disabled={!canUpdate}
+        >
+          {sections.map((option) => (
+            <MenuItem key={option.name} value={option.name}>
+              {option.name}
+            </MenuItem>
+          ))}
+        </TextField>
+        <ToggleButtonGroup
+          exclusive
+          size="small"
+          fullWidth
+          value={layout.shape}
+          onChange={handleShapeChange}
+          disabled={!canUpdate}
+        >
+          {TABLE_SHAPE_OPTIONS.map((option) => (
+            <ToggleButton key={option.id} value={option.id}>
+              {option.label}
+            </ToggleButton>
+          ))}
+        </ToggleButtonGroup>
+        <Stack direction="row" spacing={1}>
+          <TextField
+            size="small"
+            type="number"
+            label={isRound ? 'Size' : 'Width'}
+            key={`${table.id}-width-${layout.width}`}
+            defaultValue={layout.width}
+            onBlur={handleSizeCommit('width')}
+            onKeyDown={commitOnEnter}
+            disabled={!canUpdate}
+            slotProps={{ htmlInput: { min: TABLE_SIZE_LIMITS.min, max: TABLE_SIZE_LIMITS.max, step: 10 } }}
+          />
+          {!isRound && (
+            <TextField
+              size="small"
+              type="number"
+              label="Height"
+              key={`${table.id}-height-${layout.height}`}
+              defaultValue={layout.height}
+              onBlur={handleSizeCommit('height')}
+              onKeyDown={commitOnEnter}
+              disabled={!canUpdate}
+              slotProps={{ htmlInput: { min: TABLE_SIZE_LIMITS.min, max: TABLE_SIZE_LIMITS.max, step: 10 } }}
+            />
+          )}
+        </Stack>
+      </Stack>
+    );
+  };
+
+  const renderBody = () => {
+    if (isLoading) {
+      return (
+        <Box sx={{ py: 10, display: 'flex', justifyContent: 'center' }}>
+          <CircularProgress />
+        </Box>
+      );
+    }
+    if (error) {
+      return (
+        <EmptyContent
+          title="Failed to load tables"
+          action={
+            <Button variant="outlined" onClick={refetch} sx={{ mt: 2 }}>
+              Retry
+            </Button>
+          }
+        />
+      );
+    }
+    if (sections.length === 0) {
+      return <EmptyContent title="No tables found" description="Create tables to lay out the floor" />;
+    }
+    return (
+      <Stack spacing={3}>
+        {sections.map((section) => (
+          <Box key={section.name}>
+            <Typography variant="subtitle2" sx={{ mb: 1 }}>
+              {section.name}
+              <Typography component="span" variant="body2" color="text.secondary" sx={{ ml: 1 }}>
+                ({section.tables.length})
+              </Typography>
+            </Typography>
+            <FloorPlanCanvas
+              section={section.name}
+              tables={section.tables}
+              renderTable={renderTable}
+              showGrid={canUpdate}
+            />
+          </Box>
+        ))}
+      </Stack>
+    );
+  };
+
+  return (
+    <Box>
+      <Card variant="outlined" sx={{ p: 2 }}>
+        <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2} alignItems={{ sm: 'center' }} sx={{ mb: 3 }}>
+          <Button component={RouterLink} href={paths.tenant.tables.root} color="inherit" variant="outlined">
+            Back to tables
+          </Button>
+          {canUpdate && (
+            <Stack direction="row" spacing={1}>
+              <TextField
+                size="small"
+                placeholder="New section name"
+                value={newSection}
+                onChange={(event) => setNewSection(event.target.value)}
+                onKeyDown={(event) => {
+                  if (event.key === 'Enter') handleAddSection();
+                }}
+              />
+              <Field.Button variant="outlined" startIcon="mingcute:add-line" onClick={handleAddSection}>
+                Add section
+              </Field.Button>
+            </Stack>
+          )}
+          {canUpdate && (
+            <Stack direction="row" spacing={1} sx={{ ml: { sm: 'auto' } }}>
+              <Button color="inherit" onClick={handleDiscard} disabled={dirtyCount === 0 || isSaving}>
+                Discard
+              </Button>
+              <Field.Button
+                variant="contained"
+                onClick={handleSave}
+                disabled={dirtyCount === 0}
+                loading={isSaving}
+                sx={{ minHeight: 44 }}
+              >
+                {dirtyCount > 0 ? `Save (${dirtyCount})` : 'Save'}
+              </Field.Button>
+            </Stack>
+          )}
+        </Stack>
+
+        <Stack direction={{ xs: 'column', lg: 'row' }} spacing={3} alignItems="flex-start">
+          <Box sx={{ flex: 1, minWidth: 0, width: 1 }}>{renderBody()}</Box>
+          <Divider orientation="vertical" flexItem sx={{ display: { xs: 'none', lg: 'block' } }} />
+          <Box sx={{ width: { xs: 1, lg: 280 }, flexShrink: 0, position: { lg: 'sticky' }, top: { lg: 80 } }}>
+            {renderPanel()}
+          </Box>
+        </Stack>
+      </Card>
+
+      {drag?.moved && (
+        <FloorPlanTable
+          table={drag.table}
+          layout={drag.layout}
+          color="warning"
+          selected
+          sx={{
+            position: 'fixed',
+            left: drag.x - drag.offsetX,
+            top: drag.y - drag.offsetY,
+            zIndex: (theme) => theme.zIndex.modal + 1,
+            pointerEvents: 'none',
+            opacity: 0.85,
+            boxShadow: (theme) => theme.vars.customShadows.z8,
+          }}
+        />
+      )}
+    </Box>
+  );
+}
@@ -20,6 +20,8 @@ import { Form, Field } from 'src/components/hook-form';
 import { CustomDialog } from 'src/components/custom-dialog';
 import { ConfirmDialog } from 'src/components/custom-dialog/confirm-dialog';
 
+import { pickTableLayoutFields } from '../utils/floor-plan';
+
 // ----------------------------------------------------------------------
 
 /**
@@ -114,7 +116,8 @@ export function TableFormDialog({ open, mode, record, onClose, onSuccess }) {
           onSuccess(result, 'created');
         }
       } else if (record?.id) {
-        await updateTable({ id: record.id, ...payload }).unwrap();
+        // Keep the floor plan placement: the update replaces the whole table
+        await updateTable({ id: record.id, ...payload, ...pickTableLayoutFields(record) }).unwrap();
         if (onSuccess) {
           onSuccess(record.id, 'updated');
         }
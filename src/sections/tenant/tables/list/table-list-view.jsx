@@ -6,17 +6,22 @@ import { useRef, useMemo, useState, useEffect, useCallback } from 'react';
 import Box from '@mui/material/Box';
 import Card from '@mui/material/Card';
 import Stack from '@mui/material/Stack';
+import Button from '@mui/material/Button';
 import Switch from '@mui/material/Switch';
 import Typography from '@mui/material/Typography';
 import IconButton from '@mui/material/IconButton';
 import InputAdornment from '@mui/material/InputAdornment';
 
+import { paths } from 'src/routes/paths';
+import { RouterLink } from 'src/routes/components';
+
 import { can } from 'src/utils/permissions';
 import { getApiErrorMessage } from 'src/utils/api-error-message';
 import { ACTION_PERMISSIONS } from 'src/utils/action-permissions';
 
 import { useGetBranchesDropdownQuery, useGetBranchesDropdownCurrentTenantQuery } from 'src/store/api/branches-api';
 import {
+  tablesApi,
   useGetAllTablesQuery,
   useDeleteTableMutation,
   useReleaseTableMutation,
@@ -29,10 +34,12 @@ import { Field } from 'src/components/hook-form';
 import { Iconify } from 'src/components/iconify';
 import { EmptyContent } from 'src/components/empty-content';
 import { ConfirmDialog } from 'src/components/custom-dialog/confirm-dialog';
+import { useListExport, ExportMenuButton } from 'src/components/export-menu';
 import { CustomTable, DEFAULT_PAGINATION } from 'src/components/custom-table';
 
 import { TableFormDialog } from '../form/table-form-dialog';
 import { TableDetailsDialog } from '../components/table-details-dialog';
+import { TABLE_ORDER_ACTION, TableOrderActionsDialog } from '../components/table-order-actions-dialog';
 import {
   canEdit,
   canDelete,
@@ -45,6 +52,18 @@ import {
 
 // ----------------------------------------------------------------------
 
+const toTableRow = (table) => ({
+  id: table.id,
+  tableNumber: table.tableNumber,
+  branchName: table.branchName || '-',
+  capacity: table.capacity,
+  location: table.location || '-',
+  isAvailable: table.isAvailable,
+  isActive: table.isActive,
+});
+
+// ----------------------------------------------------------------------
+
 /**
  * Helper function to extract ID from object or string
  */
@@ -77,6 +96,10 @@ export function TableListView() {
   const [detailsDialogOpen, setDetailsDialogOpen] = useState(false);
   const [detailsDialogRecord, setDetailsDialogRecord] = useState(null);
 
+  // Transfer / merge / split of an occupied table's order
+  const [orderActionTable, setOrderActionTable] = useState(null);
+  const [orderAction, setOrderAction] = useState(TABLE_ORDER_ACTION.transfer);
+
   const [deleteConfirmOpen, setDeleteConfirmOpen] = useState(false);
   const [deleteTableId, setDeleteTableId] = useState(null);
   const [deleteTableNumber, setDeleteTableNumber] = useState(null);
@@ -241,6 +264,12 @@ export function TableListView() {
     setDetailsDialogOpen(true);
   }, [tables]);
 
+  // Handle transfer / merge / split
+  const handleOrderAction = useCallback((row, action) => {
+    setOrderAction(action);
+    setOrderActionTable(row);
+  }, []);
+
   // Handle delete confirmation
   const handleDeleteClick = useCallback((table) => {
     setDeleteTableId(table.id);
@@ -372,15 +401,7 @@ export function TableListView() {
   }, [searchForm]);
 
   // Prepare table rows
-  const rows = useMemo(() => tables.map((table) => ({
-      id: table.id,
-      tableNumber: table.tableNumber,
-      branchName: table.branchName || '-',
-      capacity: table.capacity,
-      location: table.location || '-',
-      isAvailable: table.isAvailable,
-      isActive: table.isActive,
-    })), [tables]);
+  const rows = useMemo(() => tables.map(toTableRow), [tables]);
 
   // Define columns
   const columns = useMemo(
@@ -414,6 +435,7 @@ export function TableListView() {
         field: 'location',
         headerName: 'Location',
         flex: 1,
+        exportValue: (row) => (row.location === '-' ? 'Not specified' : row.location),
         renderCell: (params) => (
           <Typography variant="body2" color="text.secondary" sx={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
             {params.value === '-' ? 'Not specified' : params.value}
@@ -424,6 +446,7 @@ export function TableListView() {
         field: 'isAvailable',
         headerName: 'Available',
         flex: 1,
+        exportValue: (row) => getAvailabilityLabel(row.isAvailable),
         renderCell: (params) => (
           <Label color={getAvailabilityColor(params.value)} variant="soft">
             {getAvailabilityLabel(params.value)}
@@ -434,6 +457,7 @@ export function TableListView() {
         field: 'isActive',
         headerName: 'Status',
         flex: 1,
+        exportValue: (row) => getActiveStatusLabel(row.isActive),
         renderCell: (params) => (
           <Label color={getActiveStatusColor(params.value)} variant="soft">
             {getActiveStatusLabel(params.value)}
@@ -444,6 +468,15 @@ export function TableListView() {
     []
   );
 
+  const { tableProps: exportTableProps, ...exportMenuProps } = useListExport({
+    endpoint: tablesApi.endpoints.getAllTables,
+    queryParams,
+    rows,
+    toRow: toTableRow,
+    columns,
+    filename: 'Tables',
+  });
+
   // Define actions
   const actions = useMemo(
     () => [
@@ -472,6 +505,33 @@ export function TableListView() {
         visible: (row) => canRelease(row.isAvailable) && can(ACTION_PERMISSIONS.Tables.release),
         disabled: (row) => releasingTableId === row.id,
       },
+      {
+        id: 'transfer',
+        label: 'Transfer order',
+        icon: 'solar:transfer-horizontal-bold-duotone',
+        onClick: (row) => handleOrderAction(row, TABLE_ORDER_ACTION.transfer),
+        order: 4,
+        visible: (row) => !row.isAvailable,
+        permission: () => can(ACTION_PERMISSIONS.Tables.transfer),
+      },
+      {
+        id: 'merge',
+        label: 'Merge tables',
+        icon: 'solar:users-group-rounded-bold',
+        onClick: (row) => handleOrderAction(row, TABLE_ORDER_ACTION.merge),
+        order: 5,
+        visible: (row) => !row.isAvailable,
+        permission: () => can(ACTION_PERMISSIONS.Tables.merge),
+      },
+      {
+        id: 'split',
+        label: 'Split order',
+        icon: 'solar:forward-bold',
+        onClick: (row) => handleOrderAction(row, TABLE_ORDER_ACTION.split),
+        order: 6,
+        visible: (row) => !row.isAvailable,
+        permission: () => can(ACTION_PERMISSIONS.Tables.split),
+      },
       {
         id: 'toggle-active',
         label: (row) => (row.isActive ? 'Deactivate' : 'Activate'),
@@ -495,7 +555,7 @@ export function TableListView() {
             }}
           />
         ),
-        order: 4,
+        order: 7,
         permission: () => can(ACTION_PERMISSIONS.Tables.toggleActive),
       },
       {
@@ -503,12 +563,21 @@ export function TableListView() {
         label: 'Delete',
         icon: 'solar:trash-bin-trash-bold',
         onClick: (row) => handleDeleteClick(row),
-        order: 5,
+        order: 8,
         visible: (row) => canDelete(row.isActive),
         permission: () => can(ACTION_PERMISSIONS.Tables.delete),
       },
     ],
-    [handleView, handleEdit, handleRelease, handleToggleActive, handleDeleteClick, releasingTableId, togglingTableId]
+    [
+      handleView,
+      handleEdit,
+      handleRelease,
+      handleOrderAction,
+      handleToggleActive,
+      handleDeleteClick,
+      releasingTableId,
+      togglingTableId,
+    ]
   );
 
   return (
@@ -573,13 +642,25 @@ export function TableListView() {
             />
           </FormProvider>
           
+          <ExportMenuButton {...exportMenuProps} sx={{ ml: { sm: 'auto' } }} />
+
+          <Button
+            component={RouterLink}
+            href={paths.tenant.tables.floorPlan}
+            variant="outlined"
+            color="inherit"
+            sx={{ minHeight: 44 }}
+          >
+            Floor plan
+          </Button>
+
           {can(ACTION_PERMISSIONS.Tables.create) && (
             <Field.Button
               variant="contained"
               startIcon="mingcute:add-line"
               onClick={handleCreate}
               disabled={!hasRequiredFilters}
-              sx={{ ml: 'auto', minHeight: 44 }}
+              sx={{ minHeight: 44 }}
             >
               Create Table
             </Field.Button>
@@ -594,6 +675,7 @@ export function TableListView() {
 
         {/* Table - list always runs (branch from context); branch filter only for Create */}
         <CustomTable
+          {...exportTableProps}
           rows={rows}
           columns={columns}
           loading={isLoading}
@@ -643,6 +725,14 @@ export function TableListView() {
         }}
       />
 
+      {/* Transfer / Merge / Split Dialog */}
+      <TableOrderActionsDialog
+        open={!!orderActionTable}
+        table={orderActionTable}
+        initialAction={orderAction}
+        onClose={() => setOrderActionTable(null)}
+      />
+
       {/* Delete Confirmation Dialog */}
       <ConfirmDialog
         open={deleteConfirmOpen}
@@ -0,0 +1,193 @@
+import { isActiveStatus } from 'src/sections/tenant/orders/utils/order-status';
+
+// ----------------------------------------------------------------------
+
+/**
+ * Floor plan: tables placed on one canvas per section (the table's `location`).
+ * Placement is stored on the table (shape, positionX, positionY, width, height) in canvas pixels;
+ * tables without a saved position are laid out in rows until a manager places them.
+ */
+
+export const FLOOR_CANVAS = { width: 960, height: 540 };
+export const FLOOR_GRID = 10;
+
+export const TABLE_SHAPE = {
+  rectangle: 'rectangle',
+  square: 'square',
+  round: 'round',
+};
+
+export const TABLE_SHAPE_OPTIONS = [
+  { id: TABLE_SHAPE.rectangle, label: 'Rectangle' },
+  { id: TABLE_SHAPE.square, label: 'Square' },
+  { id: TABLE_SHAPE.round, label: 'Round' },
+];
+
+export const TABLE_SIZE_LIMITS = { min: 40, max: 300 };
+
+const DEFAULT_TABLE_SIZE = {
+  [TABLE_SHAPE.rectangle]: { width: 120, height: 80 },
+  [TABLE_SHAPE.square]: { width: 90, height: 90 },
+  [TABLE_SHAPE.round]: { width: 90, height: 90 },
+};
+
+const AUTO_LAYOUT = { columns: 6, gap: 30, cellWidth: 130, cellHeight: 110 };
+
+/** Section for tables without a location; saved back as location null. */
+export const UNASSIGNED_SECTION = 'Unassigned';
+
+// ----------------------------------------------------------------------
+
+export const getTableSection = (table) => table?.location?.trim() || UNASSIGNED_SECTION;
+
+export const snapToGrid = (value) => Math.round(value / FLOOR_GRID) * FLOOR_GRID;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * Snap a layout to the grid and keep it inside the canvas and the size limits.
+ * Square and round tables keep equal sides.
+ * @param {{ shape, x, y, width, height }} layout
+ */
+export function clampLayout(layout) {
+  const width = clamp(snapToGrid(Number(layout.width) || 0), TABLE_SIZE_LIMITS.min, TABLE_SIZE_LIMITS.max);
+  const height =
+    layout.shape === TABLE_SHAPE.rectangle
+      ? clamp(snapToGrid(Number(layout.height) || 0), TABLE_SIZE_LIMITS.min, TABLE_SIZE_LIMITS.max)
+      : width;
+  return {
+    shape: layout.shape,
+    width,
+    height,
+    x: clamp(snapToGrid(Number(layout.x) || 0), 0, FLOOR_CANVAS.width - width),
+    y: clamp(snapToGrid(Number(layout.y) || 0), 0, FLOOR_CANVAS.height - height),
+  };
+}
+
+/**
+ * Layout of a table: the saved placement, else the shape's default size at auto position `index`
+ * (its position among the section's tables).
+ * @returns {{ shape: string, x: number, y: number, width: number, height: number }}
+ */
+export function getTableLayout(table, index = 0) {
+  const shape = Object.values(TABLE_SHAPE).includes(table?.shape) ? table.shape : TABLE_SHAPE.rectangle;
+  const size = DEFAULT_TABLE_SIZE[shape];
+  const isPlaced = table?.positionX != null && table?.positionY != null;
+  return clampLayout({
+    shape,
+    width: Number(table?.width) || size.width,
+    height: Number(table?.height) || size.height,
+    x: isPlaced
+      ? Number(table.positionX)
+      : AUTO_LAYOUT.gap + (index % AUTO_LAYOUT.columns) * AUTO_LAYOUT.cellWidth,
+    y: isPlaced
+      ? Number(table.positionY)
+      : AUTO_LAYOUT.gap + Math.floor(index / AUTO_LAYOUT.columns) * AUTO_LAYOUT.cellHeight,
+  });
+}
+
+/**
+ * Default size when a table switches shape.
+ */
+export const getDefaultTableSize = (shape) => DEFAULT_TABLE_SIZE[shape] ?? DEFAULT_TABLE_SIZE.rectangle;
+
+/**
+ * Tables grouped by section, sorted by name (Unassigned last). Extra section names are kept even
+ * when empty so tables can be dragged onto a new section.
+ *
+ * @param {Array<Object>} tables
+ * @param {Array<string>} [extraSections]
+ * @returns {Array<{ name: string, tables: Array<{ table: Object, layout: Object }> }>}
+ */
+export function buildFloorSections(tables, extraSections = []) {
+  const sections = new Map(extraSections.map((name) => [name, []]));
+  (tables ?? []).forEach((table) => {
+    const name = getTableSection(table);
+    if (!sections.has(name)) sections.set(name, []);
+    const list = sections.get(name);
+    list.push({ table, layout: getTableLayout(table, list.length) });
+  });
+  return [...sections.entries()]
+    .map(([name, entries]) => ({ name, tables: entries }))
+    .sort((a, b) => {
+      if (a.name === UNASSIGNED_SECTION) return 1;
+      if (b.name === UNASSIGNED_SECTION) return -1;
+      return a.name.localeCompare(b.name);
+    });
+}
+
+/**
+ * Placement fields of a table record, so a PUT from the table form does not drop them.
+ */
+export const pickTableLayoutFields = (table) => ({
+  shape: table?.shape ?? null,
+  positionX: table?.positionX ?? null,
+  positionY: table?.positionY ?? null,
+  width: table?.width ?? null,
+  height: table?.height ?? null,
+});
+
+/**
+ * Table API fields for a layout.
+ */
+export const toTableLayoutFields = (layout) => ({
+  shape: layout.shape,
+  positionX: layout.x,
+  positionY: layout.y,
+  width: layout.width,
+  height: layout.height,
+});
+
+// ----------------------------------------------------------------------
+
+/** Minutes an order may be open before its table turns warning / error. */
+export const TABLE_WARNING_MINUTES = 45;
+export const TABLE_LATE_MINUTES = 90;
+
+export const FLOOR_POLL_INTERVAL_MS = 30000;
+
+export const TABLE_OCCUPANCY = {
+  free: 'free',
+  occupied: 'occupied',
+  unavailable: 'unavailable',
+};
+
+/**
+ * Oldest active order per table id (the one that has kept the table busy the longest).
+ * @param {Array<Object>} orders
+ * @returns {Map<string, Object>}
+ */
+export function getActiveOrdersByTable(orders) {
+  const byTable = new Map();
+  (orders ?? [])
+    .filter((order) => order?.tableId && isActiveStatus(order.status))
+    .forEach((order) => {
+      const current = byTable.get(order.tableId);
+      if (!current || new Date(order.createdAt) < new Date(current.createdAt)) {
+        byTable.set(order.tableId, order);
+      }
+    });
+  return byTable;
+}
+
+/**
+ * Live state of a table for the POS floor plan.
+ * - occupied: has an active order; colour by how long it has been open (info → warning → error)
+ * - unavailable: marked unavailable without an active order (e.g. reserved)
+ * - free: available
+ *
+ * @returns {{ status: string, color: string, minutes: number, order: Object|null }}
+ */
+export function getTableOccupancy(table, order, now = Date.now()) {
+  if (order) {
+    const created = new Date(order.createdAt).getTime();
+    const minutes = Number.isNaN(created) ? 0 : Math.max(0, Math.floor((now - created) / 60000));
+    const color =
+      minutes >= TABLE_LATE_MINUTES ? 'error' : minutes >= TABLE_WARNING_MINUTES ? 'warning' : 'info';
+    return { status: TABLE_OCCUPANCY.occupied, color, minutes, order };
+  }
+  if (table?.isAvailable === false) {
+    return { status: TABLE_OCCUPANCY.unavailable, color: 'default', minutes: 0, order: null };
+  }
+  return { status: TABLE_OCCUPANCY.free, color: 'success', minutes: 0, order: null };
+}
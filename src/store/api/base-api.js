@@ -94,9 +94,12 @@ export const baseApi = createApi({
     'Kitchen',
     'TenantMaster',
     'PaymentMode',
+    'Supplier',
+    'PurchaseOrder',
     'OrderType',
     'Role',
     'Deal',
+    'CashSession',
     // Add more as needed for new features
   ],
   endpoints: () => ({}),
@@ -37,3 +37,28 @@ export function normalizePaginatedResponse(response) {
   }
   return response;
 }
+
+/**
+ * Reads every page of a list endpoint, for queryFn endpoints whose views need the whole list.
+ * Stops after `maxPages` pages.
+ *
+ * @param {Function} baseQuery - The queryFn's baseQuery
+ * @param {{ url: string, params?: Object, pageSize?: number, maxPages?: number }} options
+ * @returns {Promise<{ data: Array, isTruncated: boolean } | { error: Object }>} isTruncated when the cap was hit
+ */
+export async function fetchAllPages(baseQuery, { url, params = {}, pageSize = 100, maxPages = Infinity }) {
+  const records = [];
+  let pageNumber = 1;
+  let hasNextPage = true;
+  while (hasNextPage && pageNumber <= maxPages) {
+    const result = await baseQuery({ url, params: buildQueryParams({ ...params, pageNumber, pageSize }) });
+    if (result.error) return { error: result.error };
+
+    const response = normalizePaginatedResponse(result.data) ?? {};
+    const page = response.data ?? [];
+    records.push(...page);
+    hasNextPage = page.length > 0 && (response.hasNextPage ?? pageNumber < (response.totalPages ?? 0));
+    pageNumber += 1;
+  }
+  return { data: records, isTruncated: hasNextPage };
+}
@@ -0,0 +1,99 @@
+import { baseApi } from 'src/store/api/base-api';
+import { buildQueryParams, normalizePaginatedResponse } from 'src/store/api/build-query-params';
+
+// ----------------------------------------------------------------------
+
+/**
+ * Cash Drawer RTK Query API Slice
+ *
+ * Handles cash drawer operations on the current terminal and till sessions (shifts):
+ * open with a float, pay-ins / pay-outs, X report while open, close with a blind count (Z report).
+ */
+
+const SESSIONS_URL = '/api/cash-sessions';
+
+export const cashDrawerApi = baseApi.injectEndpoints({
+  endpoints: (builder) => ({
+    // Open the drawer without a sale (no-sale event, logged with the approver when overridden)
+    openCashDrawer: builder.mutation({
+      query: (data) => ({
+        url: '/api/cash-drawer/open',
+        method: 'POST',
+        body: data ?? {},
+      }),
+    }),
+
+    // Past and current sessions of the branch (branch from context)
+    getCashSessions: builder.query({
+      query: (params) => ({
+        url: SESSIONS_URL,
+        params: buildQueryParams(params ?? {}),
+      }),
+      providesTags: ['CashSession'],
+      transformResponse: normalizePaginatedResponse,
+    }),
+
+    // The signed-in user's open session; null when no shift is open (204)
+    getCurrentCashSession: builder.query({
+      query: () => ({
+        url: `${SESSIONS_URL}/current`,
+        method: 'GET',
+      }),
+      providesTags: ['CashSession'],
+      transformResponse: (response) => response || null,
+    }),
+
+    // X report (open session) or Z report (closed session): expected vs counted per payment mode,
+    // pay-ins / pay-outs, orders, voids, refunds and discounts
+    getCashSessionReport: builder.query({
+      query: (id) => ({
+        url: `${SESSIONS_URL}/${id}/report`,
+        method: 'GET',
+      }),
+      providesTags: (result, error, id) => [{ type: 'CashSession', id }],
+    }),
+
+    // Open a shift with the opening float
+    openCashSession: builder.mutation({
+      query: (data) => ({
+        url: SESSIONS_URL,
+        method: 'POST',
+        body: data,
+      }),
+      invalidatesTags: ['CashSession'],
+    }),
+
+    // Pay-in / pay-out with reason
+    addCashMovement: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `${SESSIONS_URL}/${id}/movements`,
+        method: 'POST',
+        body: data,
+      }),
+      invalidatesTags: (result, error, { id }) => [{ type: 'CashSession', id }, 'CashSession'],
+    }),
+
+    // Close with the blind count per payment mode; returns the Z report
+    closeCashSession: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `${SESSIONS_URL}/${id}/close`,
+        method: 'POST',
+        body: data,
+      }),
+      invalidatesTags: (result, error, { id }) => [{ type: 'CashSession', id }, 'CashSession'],
+    }),
+  }),
+});
+
+// ----------------------------------------------------------------------
+
+// Export hooks for usage in functional components
+export const {
+  useOpenCashDrawerMutation,
+  useGetCashSessionsQuery,
+  useGetCurrentCashSessionQuery,
+  useGetCashSessionReportQuery,
+  useOpenCashSessionMutation,
+  useAddCashMovementMutation,
+  useCloseCashSessionMutation,
+} = cashDrawerApi;
@@ -0,0 +1,30 @@
+import { baseApi } from 'src/store/api/base-api';
+import { buildQueryParams } from 'src/store/api/build-query-params';
+
+// ----------------------------------------------------------------------
+
+/**
+ * Dashboard RTK Query API Slice
+ *
+ * Sales aggregates for the tenant dashboard (branch from context).
+ * Tagged with Order so the figures refresh after orders are saved, voided or refunded.
+ */
+
+export const dashboardApi = baseApi.injectEndpoints({
+  endpoints: (builder) => ({
+    // Sales summary for a date range (fromDate / toDate as ISO strings): totals, sales by order
+    // type and payment mode, top-selling items
+    getDashboardSummary: builder.query({
+      query: (params) => ({
+        url: '/api/dashboard/summary',
+        params: buildQueryParams(params ?? {}),
+      }),
+      providesTags: ['Order'],
+    }),
+  }),
+});
+
+// ----------------------------------------------------------------------
+
+// Export hooks for usage in functional components
+export const { useGetDashboardSummaryQuery } = dashboardApi;
@@ -1,5 +1,5 @@
 import { baseApi } from 'src/store/api/base-api';
-import { buildQueryParams, normalizePaginatedResponse } from 'src/store/api/build-query-params';
+import { fetchAllPages, buildQueryParams, normalizePaginatedResponse } from 'src/store/api/build-query-params';
 
 // ----------------------------------------------------------------------
 
@@ -25,6 +25,16 @@ export const itemsApi = baseApi.injectEndpoints({
       transformResponse: normalizePaginatedResponse,
     }),
 
+    // Every item (tenant from context), read page by page; for views that need the whole list
+    // (e.g. reorder suggestions). Returns an array.
+    getAllItemPages: builder.query({
+      queryFn(params, api, extraOptions, baseQuery) {
+        const { tenantId: _t, ...rest } = params ?? {};
+        return fetchAllPages(baseQuery, { url: '/api/items', params: rest });
+      },
+      providesTags: ['Item'],
+    }),
+
     // Get item by ID (PLACEHOLDER - only returns ID, not used in implementation)
     getItemById: builder.query({
       query: (id) => ({
@@ -85,6 +95,7 @@ export const itemsApi = baseApi.injectEndpoints({
 // Export hooks for usage in functional components
 export const {
   useGetItemsQuery,
+  useGetAllItemPagesQuery,
   useGetItemByIdQuery,
   useCreateItemMutation,
   useUpdateItemMutation,
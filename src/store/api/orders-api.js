@@ -1,5 +1,21 @@
 import { baseApi } from 'src/store/api/base-api';
-import { buildQueryParams, normalizePaginatedResponse } from 'src/store/api/build-query-params';
+import { fetchAllPages, buildQueryParams, normalizePaginatedResponse } from 'src/store/api/build-query-params';
+
+// ----------------------------------------------------------------------
+
+/**
+ * All orders in the given statuses. The list endpoint filters on one status, so each status is read
+ * page by page. Resolves to { data: orders } or { error }.
+ */
+async function fetchOrdersByStatuses(baseQuery, statuses, params = {}) {
+  const orders = [];
+  for (const status of statuses ?? []) {
+    const result = await fetchAllPages(baseQuery, { url: '/api/orders', params: { includeItems: true, ...params, status } });
+    if (result.error) return result;
+    orders.push(...result.data);
+  }
+  return { data: orders };
+}
 
 // ----------------------------------------------------------------------
 
@@ -25,6 +41,15 @@ export const ordersApi = baseApi.injectEndpoints({
       transformResponse: normalizePaginatedResponse,
     }),
 
+    // Every order in the given statuses (branch from context), e.g. the live orders of the kitchen
+    // display and dashboard; optional fromDate / toDate bound the order date. Returns an array.
+    getOrdersByStatuses: builder.query({
+      queryFn({ statuses, fromDate, toDate }, api, extraOptions, baseQuery) {
+        return fetchOrdersByStatuses(baseQuery, statuses, { fromDate, toDate });
+      },
+      providesTags: ['Order'],
+    }),
+
     // Get orders by order type (branch from context; do not send branchId)
     getOrdersByOrderType: builder.query({
       query: (params) => {
@@ -60,12 +85,14 @@ export const ordersApi = baseApi.injectEndpoints({
       providesTags: (result, error, { id }) => [{ type: 'Order', id }],
     }),
 
-    // Create order
+    // Create order. Optional idempotencyKey is sent as Idempotency-Key header so a
+    // replayed/retried POS order is created at most once by the backend.
     createOrder: builder.mutation({
-      query: (data) => ({
+      query: ({ idempotencyKey, ...data }) => ({
         url: '/api/orders',
         method: 'POST',
         body: data,
+        headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : undefined,
       }),
       invalidatesTags: ['Order'],
     }),
@@ -83,6 +110,58 @@ export const ordersApi = baseApi.injectEndpoints({
       ],
     }),
 
+    // Append a round of items to an open order (dine-in tab). Same Idempotency-Key
+    // handling as createOrder so a retried round is added at most once.
+    addOrderItems: builder.mutation({
+      query: ({ id, idempotencyKey, ...data }) => ({
+        url: `/api/orders/${id}/items`,
+        method: 'POST',
+        body: data,
+        headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : undefined,
+      }),
+      invalidatesTags: (result, error, { id }) => [
+        { type: 'Order', id },
+        'Order',
+      ],
+    }),
+
+    // Void an unpaid order, whole or selected lines (audited with reason code and approver)
+    voidOrder: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `/api/orders/${id}/void`,
+        method: 'POST',
+        body: data,
+      }),
+      invalidatesTags: (result, error, { id }) => [
+        { type: 'Order', id },
+        'Order',
+      ],
+    }),
+
+    // Refund a paid order, whole or selected lines. Returns the credit note. Idempotency-Key
+    // so a retried refund is paid out at most once.
+    refundOrder: builder.mutation({
+      query: ({ id, idempotencyKey, ...data }) => ({
+        url: `/api/orders/${id}/refund`,
+        method: 'POST',
+        body: data,
+        headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : undefined,
+      }),
+      invalidatesTags: (result, error, { id }) => [
+        { type: 'Order', id },
+        'Order',
+      ],
+    }),
+
+    // Log an invoice reprint (audit; approvedBy when a manager overrode)
+    logInvoiceReprint: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `/api/orders/${id}/reprints`,
+        method: 'POST',
+        body: data,
+      }),
+    }),
+
     // Delete order (soft delete)
     deleteOrder: builder.mutation({
       query: (id) => ({
@@ -99,11 +178,17 @@ export const ordersApi = baseApi.injectEndpoints({
 // Export hooks for usage in functional components
 export const {
   useGetOrdersQuery,
+  useGetOrdersByStatusesQuery,
   useGetOrdersByOrderTypeQuery,
   useGetTakeAwayOrdersQuery,
   useGetOrderByIdQuery,
+  useLazyGetOrderByIdQuery,
   useCreateOrderMutation,
   useUpdateOrderMutation,
+  useAddOrderItemsMutation,
+  useVoidOrderMutation,
+  useRefundOrderMutation,
+  useLogInvoiceReprintMutation,
   useDeleteOrderMutation,
 } = ordersApi;
 
@@ -0,0 +1,130 @@
+import { baseApi } from 'src/store/api/base-api';
+import { buildQueryParams, normalizePaginatedResponse } from 'src/store/api/build-query-params';
+
+// ----------------------------------------------------------------------
+
+/**
+ * Purchase Orders RTK Query API Slice
+ *
+ * Base route: api/PurchaseOrders (no tenantId in path).
+ * Tenant and branch are resolved from the current user context (JWT).
+ * Workflow: Draft → Sent → Partially Received → Received. Only drafts can be edited or deleted.
+ * Lines keep quantity / unitPrice in the item's base unit plus the entered unit and unitQuantity
+ * (same as stock document lines); receivedQuantity is the base quantity received so far.
+ *
+ * Receiving records a goods-received note (GRN): the API creates and posts the corresponding
+ * Purchase stock document and updates received quantities and status. Reversing a GRN reverses
+ * its stock document, so receipts also invalidate StockDocument, Stock and Item caches.
+ */
+
+const BASE_URL = '/api/PurchaseOrders';
+
+export const purchaseOrdersApi = baseApi.injectEndpoints({
+  endpoints: (builder) => ({
+    getPurchaseOrders: builder.query({
+      query: (params) => ({
+        url: BASE_URL,
+        params: buildQueryParams(params ?? {}),
+      }),
+      providesTags: (result, error) => ['PurchaseOrder'],
+      transformResponse: normalizePaginatedResponse,
+    }),
+
+    // Includes receipts (GRNs) with their lines and stock document ids
+    getPurchaseOrderById: builder.query({
+      query: (id) => ({
+        url: `${BASE_URL}/${id}`,
+        method: 'GET',
+      }),
+      providesTags: (result, error, id) => [{ type: 'PurchaseOrder', id }],
+    }),
+
+    createPurchaseOrder: builder.mutation({
+      query: (body) => ({
+        url: BASE_URL,
+        method: 'POST',
+        body,
+      }),
+      invalidatesTags: ['PurchaseOrder'],
+    }),
+
+    updatePurchaseOrder: builder.mutation({
+      query: ({ id, body }) => ({
+        url: `${BASE_URL}/${id}`,
+        method: 'PUT',
+        body,
+      }),
+      invalidatesTags: (result, error, { id }) => [
+        { type: 'PurchaseOrder', id },
+        'PurchaseOrder',
+      ],
+    }),
+
+    deletePurchaseOrder: builder.mutation({
+      query: (id) => ({
+        url: `${BASE_URL}/${id}`,
+        method: 'DELETE',
+      }),
+      invalidatesTags: ['PurchaseOrder'],
+    }),
+
+    // Draft → Sent (lines are locked from here on)
+    sendPurchaseOrder: builder.mutation({
+      query: (id) => ({
+        url: `${BASE_URL}/${id}/send`,
+        method: 'POST',
+      }),
+      invalidatesTags: (result, error, id) => [
+        { type: 'PurchaseOrder', id },
+        'PurchaseOrder',
+      ],
+    }),
+
+    // Record a GRN: body { remarks, items: [{ purchaseOrderItemId?, itemId, quantity, unit, unitQuantity, unitPrice, remarks }] }.
+    // Returns { id, stockDocumentId } of the receipt and its posted Purchase stock document.
+    // Idempotency-Key so a retried GRN posts its stock at most once.
+    receivePurchaseOrder: builder.mutation({
+      query: ({ id, body, idempotencyKey }) => ({
+        url: `${BASE_URL}/${id}/receipts`,
+        method: 'POST',
+        body,
+        headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : undefined,
+      }),
+      invalidatesTags: (result, error, { id }) => [
+        { type: 'PurchaseOrder', id },
+        'PurchaseOrder',
+        'StockDocument',
+        'Stock',
+        'Item',
+      ],
+    }),
+
+    // Reverse a GRN: reverses its stock document and takes its quantities off the order
+    reversePurchaseOrderReceipt: builder.mutation({
+      query: ({ id, receiptId }) => ({
+        url: `${BASE_URL}/${id}/receipts/${receiptId}/reverse`,
+        method: 'POST',
+      }),
+      invalidatesTags: (result, error, { id }) => [
+        { type: 'PurchaseOrder', id },
+        'PurchaseOrder',
+        'StockDocument',
+        'Stock',
+        'Item',
+      ],
+    }),
+  }),
+});
+
+// ----------------------------------------------------------------------
+
+export const {
+  useGetPurchaseOrdersQuery,
+  useGetPurchaseOrderByIdQuery,
+  useCreatePurchaseOrderMutation,
+  useUpdatePurchaseOrderMutation,
+  useDeletePurchaseOrderMutation,
+  useSendPurchaseOrderMutation,
+  useReceivePurchaseOrderMutation,
+  useReversePurchaseOrderReceiptMutation,
+} = purchaseOrdersApi;
@@ -1,5 +1,5 @@
 import { baseApi } from 'src/store/api/base-api';
-import { buildQueryParams, normalizePaginatedResponse } from 'src/store/api/build-query-params';
+import { fetchAllPages, buildQueryParams, normalizePaginatedResponse } from 'src/store/api/build-query-params';
 
 // ----------------------------------------------------------------------
 
@@ -26,6 +26,14 @@ export const recipesApi = baseApi.injectEndpoints({
       transformResponse: normalizePaginatedResponse,
     }),
 
+    // Every recipe, read page by page; for views that need the whole list. Returns an array.
+    getAllRecipePages: builder.query({
+      queryFn(params, api, extraOptions, baseQuery) {
+        return fetchAllPages(baseQuery, { url: '/api/recipes', params: params ?? {} });
+      },
+      providesTags: ['Recipe'],
+    }),
+
     // Get recipe by ID (PLACEHOLDER - only returns { id }, not full recipe data)
     // Workaround: Use getAllRecipes with large pageSize and client-side filtering by ID
     getRecipeById: builder.query({
@@ -87,6 +95,7 @@ export const recipesApi = baseApi.injectEndpoints({
 // Export hooks for usage in functional components
 export const {
   useGetAllRecipesQuery,
+  useGetAllRecipePagesQuery,
   useGetRecipeByIdQuery,
   useCreateRecipeMutation,
   useUpdateRecipeMutation,
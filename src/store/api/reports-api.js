@@ -0,0 +1,30 @@
+import { baseApi } from 'src/store/api/base-api';
+import { buildQueryParams } from 'src/store/api/build-query-params';
+
+// ----------------------------------------------------------------------
+
+/**
+ * Reports RTK Query API Slice
+ *
+ * Sales reports for a date range (branch from context). One endpoint per report under
+ * /api/reports: sales (groupBy day | hour), items, categories, staff, payment-modes,
+ * order-types, tax and discounts. Tagged with Order so reports refresh after order changes.
+ */
+
+export const reportsApi = baseApi.injectEndpoints({
+  endpoints: (builder) => ({
+    // { report, fromDate, toDate, ...extra } -> rows for that report
+    getReport: builder.query({
+      query: ({ report, ...params }) => ({
+        url: `/api/reports/${report}`,
+        params: buildQueryParams(params),
+      }),
+      providesTags: ['Order'],
+    }),
+  }),
+});
+
+// ----------------------------------------------------------------------
+
+// Export hooks for usage in functional components
+export const { useGetReportQuery } = reportsApi;
@@ -59,6 +59,20 @@ export const stockApi = baseApi.injectEndpoints({
         { type: 'Item', id: itemId }, // Also invalidate Item cache
       ],
     }),
+
+    // Update per-item stock levels (minimum level, reorder point, reorder quantity)
+    updateStockLevels: builder.mutation({
+      query: ({ itemId, lowStockThreshold, reorderPoint, reorderQuantity }) => ({
+        url: `/api/stock/${itemId}/levels`,
+        method: 'PUT',
+        body: { lowStockThreshold, reorderPoint, reorderQuantity },
+      }),
+      invalidatesTags: (result, error, { itemId }) => [
+        { type: 'Stock', id: itemId },
+        { type: 'Item', id: itemId }, // Also invalidate Item cache
+        'Item', // Levels are read from the items list
+      ],
+    }),
   }),
 });
 
@@ -70,5 +84,6 @@ export const {
   useCheckStockAvailabilityMutation,
   useUpdateStockMutation,
   useAdjustStockMutation,
+  useUpdateStockLevelsMutation,
 } = stockApi;
 
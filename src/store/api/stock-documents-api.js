@@ -1,8 +1,39 @@
 import { baseApi } from 'src/store/api/base-api';
-import { buildQueryParams, normalizePaginatedResponse } from 'src/store/api/build-query-params';
+import { fetchAllPages, buildQueryParams, normalizePaginatedResponse } from 'src/store/api/build-query-params';
 
 // ----------------------------------------------------------------------
 
+// Safety cap per branch (or supplier) when reading all posted purchases (100 documents per page)
+const POSTED_PURCHASES_MAX_PAGES = 20;
+
+const getDocumentDate = (document) => document.updatedAt || document.createDate || null;
+
+/**
+ * Posted purchase documents of the given branches. The list endpoint is per branch, so each
+ * branch is read page by page, up to POSTED_PURCHASES_MAX_PAGES pages.
+ * Resolves to { data: documents, isTruncated } (isTruncated: a branch hit the cap) or { error }.
+ */
+async function fetchPostedPurchases(baseQuery, branchIds, params = {}) {
+  const documents = [];
+  let isTruncated = false;
+  for (const branchId of branchIds ?? []) {
+    const result = await fetchAllPages(baseQuery, {
+      url: '/api/stockdocuments',
+      params: {
+        ...params,
+        branchId,
+        documentType: 1, // Purchase
+        status: 2, // Posted
+      },
+      maxPages: POSTED_PURCHASES_MAX_PAGES,
+    });
+    if (result.error) return result;
+    documents.push(...result.data);
+    if (result.isTruncated) isTruncated = true;
+  }
+  return { data: documents, isTruncated };
+}
+
 /**
  * Stock Documents RTK Query API Slice
  * 
@@ -23,6 +54,67 @@ export const stockDocumentsApi = baseApi.injectEndpoints({
       transformResponse: normalizePaginatedResponse,
     }),
 
+    // Latest purchase unit price of the given items, from posted purchase documents (recipe food
+    // cost); the newest document wins. Only documents with one of the items are requested.
+    // Returns { prices: { [itemId]: { unitPrice, date, documentId } }, isIncomplete } - isIncomplete
+    // when the page cap was hit, so older prices may be missing.
+    getLatestPurchasePrices: builder.query({
+      async queryFn({ branchIds, itemIds }, api, extraOptions, baseQuery) {
+        const wanted = new Set(itemIds ?? []);
+        if (wanted.size === 0) return { data: { prices: {}, isIncomplete: false } };
+        const result = await fetchPostedPurchases(baseQuery, branchIds, { itemIds: [...wanted].join(',') });
+        if (result.error) return result;
+
+        const prices = {};
+        result.data.forEach((document) => {
+          const date = getDocumentDate(document);
+          (document.items ?? []).forEach((line) => {
+            if (!wanted.has(line.itemId) || line.unitPrice == null) return;
+            const current = prices[line.itemId];
+            if (!current || (date && (!current.date || date > current.date))) {
+              prices[line.itemId] = { unitPrice: Number(line.unitPrice), date, documentId: document.id };
+            }
+          });
+        });
+        return { data: { prices, isIncomplete: result.isTruncated } };
+      },
+      providesTags: ['StockDocument'],
+    }),
+
+    // Posted purchase documents of one supplier (branch from context), paginated (supplier details)
+    getSupplierPurchases: builder.query({
+      query: ({ supplierId, ...params }) => ({
+        url: '/api/stockdocuments',
+        params: buildQueryParams({
+          ...params,
+          supplierId,
+          documentType: 1, // Purchase
+          status: 2, // Posted
+        }),
+      }),
+      transformResponse: normalizePaginatedResponse,
+      providesTags: (result, error, { supplierId }) => ['StockDocument', { type: 'Supplier', id: supplierId }],
+    }),
+
+    // Every posted purchase document of one supplier (branch from context), up to
+    // POSTED_PURCHASES_MAX_PAGES pages: { documents, isIncomplete } for per-item last prices
+    getAllSupplierPurchases: builder.query({
+      async queryFn({ supplierId }, api, extraOptions, baseQuery) {
+        const result = await fetchAllPages(baseQuery, {
+          url: '/api/stockdocuments',
+          params: {
+            supplierId,
+            documentType: 1, // Purchase
+            status: 2, // Posted
+          },
+          maxPages: POSTED_PURCHASES_MAX_PAGES,
+        });
+        if (result.error) return result;
+        return { data: { documents: result.data, isIncomplete: result.isTruncated } };
+      },
+      providesTags: (result, error, { supplierId }) => ['StockDocument', { type: 'Supplier', id: supplierId }],
+    }),
+
     // Get single stock document
     getStockDocument: builder.query({
       query: (id) => ({
@@ -90,6 +182,9 @@ export const stockDocumentsApi = baseApi.injectEndpoints({
 export const {
   useGetAllStockDocumentsQuery,
   useGetStockDocumentQuery,
+  useGetLatestPurchasePricesQuery,
+  useGetSupplierPurchasesQuery,
+  useGetAllSupplierPurchasesQuery,
   useCreateStockDocumentMutation,
   useUpdateStockDocumentMutation,
   useDeleteStockDocumentMutation,
@@ -0,0 +1,97 @@
+import { baseApi } from 'src/store/api/base-api';
+import { buildQueryParams, normalizePaginatedResponse } from 'src/store/api/build-query-params';
+
+// ----------------------------------------------------------------------
+
+/**
+ * Suppliers RTK Query API Slice
+ *
+ * Base route: api/Suppliers (no tenantId in path).
+ * Tenant is resolved from the current user context (JWT).
+ * A supplier carries contact info, payment terms (paymentTermsDays) and the itemIds it supplies.
+ * Purchase stock documents reference it by supplierId; purchase history is read from stock
+ * documents (see getSupplierPurchases in stock-documents-api).
+ */
+
+const BASE_URL = '/api/Suppliers';
+
+export const suppliersApi = baseApi.injectEndpoints({
+  endpoints: (builder) => ({
+    getSuppliers: builder.query({
+      query: (params) => ({
+        url: BASE_URL,
+        params: buildQueryParams(params ?? {}),
+      }),
+      providesTags: (result, error) => ['Supplier'],
+      transformResponse: normalizePaginatedResponse,
+    }),
+
+    getSupplierById: builder.query({
+      query: (id) => ({
+        url: `${BASE_URL}/${id}`,
+        method: 'GET',
+      }),
+      providesTags: (result, error, id) => [{ type: 'Supplier', id }],
+    }),
+
+    createSupplier: builder.mutation({
+      query: (body) => ({
+        url: BASE_URL,
+        method: 'POST',
+        body,
+      }),
+      invalidatesTags: ['Supplier'],
+    }),
+
+    updateSupplier: builder.mutation({
+      query: ({ id, body }) => ({
+        url: `${BASE_URL}/${id}`,
+        method: 'PUT',
+        body,
+      }),
+      invalidatesTags: (result, error, { id }) => [
+        { type: 'Supplier', id },
+        'Supplier',
+      ],
+    }),
+
+    deleteSupplier: builder.mutation({
+      query: (id) => ({
+        url: `${BASE_URL}/${id}`,
+        method: 'DELETE',
+      }),
+      invalidatesTags: ['Supplier'],
+    }),
+
+    toggleSupplierActive: builder.mutation({
+      query: (id) => ({
+        url: `${BASE_URL}/${id}/toggle-active`,
+        method: 'POST',
+      }),
+      invalidatesTags: (result, error, id) => [
+        { type: 'Supplier', id },
+        'Supplier',
+      ],
+    }),
+
+    getSuppliersDropdown: builder.query({
+      query: () => ({
+        url: `${BASE_URL}/dropdown`,
+        method: 'GET',
+      }),
+      providesTags: ['Supplier'],
+    }),
+  }),
+});
+
+// ----------------------------------------------------------------------
+
+export const {
+  useGetSuppliersQuery,
+  useGetSupplierByIdQuery,
+  useCreateSupplierMutation,
+  useUpdateSupplierMutation,
+  useDeleteSupplierMutation,
+  useToggleSupplierActiveMutation,
+  useGetSuppliersDropdownQuery,
+} = suppliersApi;
@@ -1,5 +1,5 @@
 import { baseApi } from 'src/store/api/base-api';
-import { buildQueryParams, normalizePaginatedResponse } from 'src/store/api/build-query-params';
+import { fetchAllPages, buildQueryParams, normalizePaginatedResponse } from 'src/store/api/build-query-params';
 
 // ----------------------------------------------------------------------
 
@@ -24,6 +24,16 @@ export const tablesApi = baseApi.injectEndpoints({
       transformResponse: normalizePaginatedResponse,
     }),
 
+    // Every table (branch from context), read page by page; for views that need the whole floor.
+    // Returns an array.
+    getAllTablePages: builder.query({
+      queryFn(params, api, extraOptions, baseQuery) {
+        const { branchId: _b, ...rest } = params ?? {};
+        return fetchAllPages(baseQuery, { url: '/api/tables', params: rest });
+      },
+      providesTags: ['Table'],
+    }),
+
     // Get table by ID (PLACEHOLDER - only returns { id }, not full table data)
     // Workaround: Use getAllTables with branchId filter and client-side filtering by ID
     getTableById: builder.query({
@@ -78,6 +88,37 @@ export const tablesApi = baseApi.injectEndpoints({
       ],
     }),
 
+    // Move the table's active order to a free table. The backend frees this table and marks the
+    // target occupied; orders are invalidated too since their table changes.
+    transferTable: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `/api/tables/${id}/transfer`,
+        method: 'POST',
+        body: data,
+      }),
+      invalidatesTags: ['Table', 'Order'],
+    }),
+
+    // Merge another table's active order into this table's order (one bill); frees the other table
+    mergeTables: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `/api/tables/${id}/merge`,
+        method: 'POST',
+        body: data,
+      }),
+      invalidatesTags: ['Table', 'Order'],
+    }),
+
+    // Move some items of the table's active order into a new order on a free table
+    splitTable: builder.mutation({
+      query: ({ id, ...data }) => ({
+        url: `/api/tables/${id}/split`,
+        method: 'POST',
+        body: data,
+      }),
+      invalidatesTags: ['Table', 'Order'],
+    }),
+
     // Toggle table active status
     toggleTableActive: builder.mutation({
       query: (id) => ({
@@ -105,11 +146,15 @@ export const tablesApi = baseApi.injectEndpoints({
 // Export hooks for usage in functional components
 export const {
   useGetAllTablesQuery,
+  useGetAllTablePagesQuery,
   useGetTableByIdQuery,
   useCreateTableMutation,
   useUpdateTableMutation,
   useDeleteTableMutation,
   useReleaseTableMutation,
+  useTransferTableMutation,
+  useMergeTablesMutation,
+  useSplitTableMutation,
   useToggleTableActiveMutation,
   useGetTablesDropdownQuery,
 } = tablesApi;
@@ -100,6 +100,17 @@ export const usersApi = baseApi.injectEndpoints({
       }),
       invalidatesTags: ['Tenant', 'User'],
     }),
+
+    // Verify a manager's approval PIN for one permission without touching the signed-in session.
+    // Returns { userId, fullName } of the approver; a wrong PIN or missing permission is 400/403
+    // (never 401, which would trigger the session refresh).
+    verifyApprovalPin: builder.mutation({
+      query: (data) => ({
+        url: '/api/Users/verify-approval-pin',
+        method: 'POST',
+        body: data,
+      }),
+    }),
   }),
 });
 
@@ -115,5 +126,6 @@ export const {
   useRegisterBranchUserMutation,
   useToggleUserActiveMutation,
   useAssignTenantOwnershipMutation,
+  useVerifyApprovalPinMutation,
 } = usersApi;
 
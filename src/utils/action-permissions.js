@@ -83,6 +83,22 @@ export const ACTION_PERMISSIONS = {
     create: 'Orders.Create',
     update: 'Orders.Update',
     delete: 'Orders.Delete',
+    void: 'Orders.Void',
+    refund: 'Orders.Refund',
+    // Manager overrides (see useManagerApproval)
+    approveDiscount: 'Orders.ApproveDiscount',
+    approveOverLimit: 'Orders.ApproveOverLimit',
+    removeSentItem: 'Orders.RemoveSentItem',
+    reprintInvoice: 'Orders.ReprintInvoice',
+  },
+  CashDrawer: {
+    open: 'CashDrawer.Open',
+  },
+  CashSessions: {
+    open: 'CashSessions.Open',
+    close: 'CashSessions.Close',
+    payIn: 'CashSessions.PayIn',
+    payOut: 'CashSessions.PayOut',
   },
   Tables: {
     create: 'Tables.Create',
@@ -90,6 +106,9 @@ export const ACTION_PERMISSIONS = {
     delete: 'Tables.Delete',
     toggleActive: 'Tables.ToggleActive',
     release: 'Tables.Release',
+    transfer: 'Tables.Transfer',
+    merge: 'Tables.Merge',
+    split: 'Tables.Split',
   },
   Recipes: {
     create: 'Recipes.Create',
@@ -109,6 +128,20 @@ export const ACTION_PERMISSIONS = {
     delete: 'PaymentModes.Delete',
     toggleActive: 'PaymentModes.ToggleActive',
   },
+  Suppliers: {
+    create: 'Suppliers.Create',
+    update: 'Suppliers.Update',
+    delete: 'Suppliers.Delete',
+    toggleActive: 'Suppliers.ToggleActive',
+  },
+  PurchaseOrders: {
+    create: 'PurchaseOrders.Create',
+    update: 'PurchaseOrders.Update',
+    delete: 'PurchaseOrders.Delete',
+    send: 'PurchaseOrders.Send',
+    receive: 'PurchaseOrders.Receive',
+    reverseReceipt: 'PurchaseOrders.ReverseReceipt',
+  },
 };
 
 /**
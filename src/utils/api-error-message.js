@@ -101,3 +101,25 @@ export function getApiErrorMessage(err, options = {}) {
     isRetryable: false,
   };
 }
+
+/**
+ * True when the request never got an HTTP response (offline, DNS/CORS failure, timeout)
+ * or the gateway could not reach the API. Used to decide whether a POS write can be
+ * queued locally and replayed later instead of being reported as a hard failure.
+ *
+ * @param {unknown} err - RTK Query / API error (from .unwrap() catch)
+ * @returns {boolean}
+ */
+export function isNetworkError(err) {
+  if (typeof navigator !== 'undefined' && !navigator.onLine) {
+    return true;
+  }
+  const status = err?.status;
+  if (['FETCH_ERROR', 'TIMEOUT'].includes(status)) {
+    return true;
+  }
+  if (status === undefined || status === null) {
+    return true;
+  }
+  return [408, 502, 503, 504].includes(status);
+}
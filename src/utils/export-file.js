@@ -0,0 +1,272 @@
+import { fDate } from 'src/utils/format-time';
+import { buildXlsxBlob } from 'src/utils/xlsx';
+
+// ----------------------------------------------------------------------
+
+/**
+ * Table exports (reports and list views): CSV, XLSX and PDF from the same column definitions.
+ *
+ * Columns are `{ field, headerName, type?, exportValue? }`; `exportValue(row)` returns the value
+ * written for a row (defaults to `row[field]`). Numbers stay numbers in XLSX and are right-aligned
+ * in PDF; format them yourself when a formatted string is wanted.
+ */
+
+export const EXPORT_FORMAT = {
+  csv: 'csv',
+  xlsx: 'xlsx',
+  pdf: 'pdf',
+};
+
+export const EXPORT_FORMAT_OPTIONS = [
+  { id: EXPORT_FORMAT.csv, label: 'CSV', icon: 'solar:file-text-bold' },
+  { id: EXPORT_FORMAT.xlsx, label: 'Excel (XLSX)', icon: 'solar:bill-list-bold' },
+  { id: EXPORT_FORMAT.pdf, label: 'PDF', icon: 'solar:printer-minimalistic-bold' },
+];
+
+// ----------------------------------------------------------------------
+
+/**
+ * Save a Blob through a temporary link.
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * File name with today's date, safe for every OS: "sales-by-item-2026-10-18.csv".
+ * @param {string} name
+ * @param {string} extension
+ */
+export function toExportFilename(name, extension) {
+  const base =
+    String(name ?? 'export')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '') || 'export';
+  return `${base}-${fDate(new Date(), 'YYYY-MM-DD')}.${extension}`;
+}
+
+/**
+ * Header row and value rows for the given columns.
+ * @returns {{ headers: string[], body: Array<Array<string|number|null>> }}
+ */
+export function toExportTable(columns, rows) {
+  const headers = columns.map((column) => column.headerName ?? column.field);
+  const body = (rows ?? []).map((row) =>
+    columns.map((column) => {
+      const value = column.exportValue ? column.exportValue(row) : row?.[column.field];
+      return value === undefined ? null : value;
+    })
+  );
+  return { headers, body };
+}
+
+/**
+ * Export columns from DataGrid column definitions, with the values shown on screen. Skips the
+ * actions column, columns hidden in `columnVisibilityModel` and columns with `disableExport`.
+ * Values come from `exportValue(row)` when the column has one (use it when renderCell shows
+ * something other than the raw value), else through `valueGetter` / `valueFormatter`; booleans
+ * become Yes / No.
+ *
+ * @param {Array<Object>} gridColumns
+ * @param {Object} [columnVisibilityModel] - { [field]: false } for hidden columns
+ * @returns {Array<Object>} Columns for exportCsv / exportXlsx / exportPdf
+ */
+export function toExportColumns(gridColumns, columnVisibilityModel = {}) {
+  return (gridColumns ?? [])
+    .filter(
+      (column) =>
+        column.field !== 'actions' && !column.disableExport && columnVisibilityModel[column.field] !== false
+    )
+    .map((column) => ({
+      field: column.field,
+      headerName: column.headerName ?? column.field,
+      type: column.type,
+      exportValue: (row) => {
+        if (column.exportValue) return column.exportValue(row);
+        const rawValue = row?.[column.field];
+        const value = column.valueGetter ? column.valueGetter(rawValue, row, column) : rawValue;
+        if (column.valueFormatter) return column.valueFormatter(value, row, column);
+        if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+        return value;
+      },
+    }));
+}
+
+// ----------------------------------------------------------------------
+
+const escapeCsv = (value) => {
+  if (value == null) return '';
+  if (typeof value === 'number') return String(value);
+  let text = String(value);
+  // Keep spreadsheet apps from evaluating cell text as a formula
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/** CSV text (RFC 4180, CRLF line endings). */
+export function toCsv(headers, body) {
+  return [headers, ...body].map((row) => row.map(escapeCsv).join(',')).join('\r\n');
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.filename - Without extension
+ * @param {Array<Object>} options.columns
+ * @param {Array<Object>} options.rows
+ */
+export function exportCsv({ filename, columns, rows }) {
+  const { headers, body } = toExportTable(columns, rows);
+  // BOM so Excel reads UTF-8
+  const blob = new Blob(['\uFEFF', toCsv(headers, body)], { type: 'text/csv;charset=utf-8' });
+  downloadBlob(blob, toExportFilename(filename, EXPORT_FORMAT.csv));
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.filename - Without extension
+ * @param {string} [options.sheetName]
+ * @param {Array<Object>} options.columns
+ * @param {Array<Object>} options.rows
+ */
+export async function exportXlsx({ filename, sheetName, columns, rows }) {
+  const { headers, body } = toExportTable(columns, rows);
+  const blob = await buildXlsxBlob([{ name: sheetName ?? filename, rows: [headers, ...body] }]);
+  downloadBlob(blob, toExportFilename(filename, EXPORT_FORMAT.xlsx));
+}
+
+// ----------------------------------------------------------------------
+
+const PDF_MARGIN = 12;
+const PDF_ROW_HEIGHT = 6;
+const PDF_FONT_SIZE = 8;
+
+const toPdfText = (value) => {
+  if (value == null) return '';
+  if (typeof value === 'number') return value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+  return String(value);
+};
+
+/**
+ * Simple tabular PDF (A4; landscape for more than six columns) with a title, optional subtitle
+ * lines, a repeated header row on every page and page numbers. jsPDF is loaded on demand.
+ *
+ * @param {Object} options
+ * @param {string} options.filename - Without extension
+ * @param {string} options.title
+ * @param {string[]} [options.subtitles]
+ * @param {Array<Object>} options.columns
+ * @param {Array<Object>} options.rows
+ */
+export async function exportPdf({ filename, title, subtitles = [], columns, rows }) {
+  const { jsPDF } = await import('jspdf');
+  const { headers, body } = toExportTable(columns, rows);
+
+  const doc = new jsPDF({ orientation: columns.length > 6 ? 'landscape' : 'portrait', unit: 'mm', format: 'a4' });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const tableWidth = pageWidth - PDF_MARGIN * 2;
+
+  // Column widths by content length, capped so one long column cannot squeeze the rest
+  const weights = headers.map((header, index) =>
+    Math.min(
+      40,
+      Math.max(header.length, ...body.slice(0, 200).map((row) => toPdfText(row[index]).length), 4)
+    )
+  );
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const widths = weights.map((weight) => (weight / totalWeight) * tableWidth);
+  const isNumeric = columns.map(
+    (column, index) => column.type === 'number' || body.some((row) => typeof row[index] === 'number')
+  );
+
+  const fitText = (text, width) => {
+    const [line] = doc.splitTextToSize(text, width - 2);
+    return line ?? '';
+  };
+
+  const drawRow = (cells, y, bold) => {
+    doc.setFont('helvetica', bold ? 'bold' : 'normal');
+    let x = PDF_MARGIN;
+    cells.forEach((cell, index) => {
+      const text = fitText(toPdfText(cell), widths[index]);
+      if (isNumeric[index]) {
+        doc.text(text, x + widths[index] - 1, y, { align: 'right' });
+      } else {
+        doc.text(text, x + 1, y);
+      }
+      x += widths[index];
+    });
+  };
+
+  const drawHeader = (y) => {
+    doc.setFillColor(240, 240, 240);
+    doc.rect(PDF_MARGIN, y - 4, tableWidth, PDF_ROW_HEIGHT, 'F');
+    drawRow(headers, y, true);
+    return y + PDF_ROW_HEIGHT;
+  };
+
+  let y = PDF_MARGIN + 4;
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(14);
+  doc.text(title ?? filename, PDF_MARGIN, y);
+  y += 6;
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  subtitles.filter(Boolean).forEach((line) => {
+    doc.text(line, PDF_MARGIN, y);
+    y += 5;
+  });
+  y += 3;
+
+  doc.setFontSize(PDF_FONT_SIZE);
+  y = drawHeader(y);
+  body.forEach((row) => {
+    if (y > pageHeight - PDF_MARGIN - 6) {
+      doc.addPage();
+      y = drawHeader(PDF_MARGIN + 4);
+    }
+    drawRow(row, y, false);
+    doc.setDrawColor(230, 230, 230);
+    doc.line(PDF_MARGIN, y + 2, PDF_MARGIN + tableWidth, y + 2);
+    y += PDF_ROW_HEIGHT;
+  });
+
+  const pageCount = doc.getNumberOfPages();
+  for (let page = 1; page <= pageCount; page += 1) {
+    doc.setPage(page);
+    doc.setFontSize(7);
+    doc.text(`Page ${page} of ${pageCount}`, pageWidth - PDF_MARGIN, pageHeight - 6, { align: 'right' });
+  }
+
+  doc.save(toExportFilename(filename, EXPORT_FORMAT.pdf));
+}
+
+// ----------------------------------------------------------------------
+
+/**
+ * Export in the given format.
+ * @param {'csv'|'xlsx'|'pdf'} format
+ * @param {Object} options - See exportCsv / exportXlsx / exportPdf
+ * @returns {Promise<void>}
+ */
+export async function exportTable(format, options) {
+  if (format === EXPORT_FORMAT.pdf) {
+    await exportPdf(options);
+    return;
+  }
+  if (format === EXPORT_FORMAT.xlsx) {
+    await exportXlsx(options);
+    return;
+  }
+  exportCsv(options);
+}
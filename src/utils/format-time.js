@@ -288,3 +288,37 @@ export function fSub({
 
   return result;
 }
+
+// ----------------------------------------------------------------------
+
+/**
+ * @output { fromDate: '2024-05-27T00:00:00.000Z', toDate: '2024-05-28T23:59:59.999Z' }
+ * Query params for a picked date range: whole days, start of the first to end of the last;
+ * null while the range is incomplete.
+ */
+
+// ----------------------------------------------------------------------
+
+export function toDateRangeParams(startDate, endDate) {
+  if (!startDate || !endDate) return null;
+  return {
+    fromDate: dayjs(startDate).startOf('day').toISOString(),
+    toDate: dayjs(endDate).endOf('day').toISOString(),
+  };
+}
+
+// ----------------------------------------------------------------------
+
+/**
+ * @output 12
+ * Whole minutes since the given time (0 when unknown).
+ */
+
+// ----------------------------------------------------------------------
+
+export function getElapsedMinutes(since, now = Date.now()) {
+  if (!since) return 0;
+  const start = new Date(since).getTime();
+  if (Number.isNaN(start)) return 0;
+  return Math.max(0, Math.floor((now - start) / 60000));
+}
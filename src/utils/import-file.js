@@ -0,0 +1,91 @@
+import { readXlsx } from 'src/utils/xlsx';
+
+// ----------------------------------------------------------------------
+
+/**
+ * Spreadsheet imports: the first sheet of a CSV or XLSX file as rows of cell values. Mapping the
+ * columns and validating the rows is up to the importer.
+ */
+
+/** react-dropzone `accept` for the supported files. */
+export const IMPORT_FILE_ACCEPT = {
+  'text/csv': ['.csv'],
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx'],
+};
+
+/**
+ * Rows of a CSV text (RFC 4180: quoted fields, "" escapes, CRLF or LF line endings). A leading
+ * byte order mark is dropped; every value is a string.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function parseCsv(text) {
+  const source = String(text ?? '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+const isBlankCell = (value) => value == null || String(value).trim() === '';
+
+/** True when every cell of the row is empty. */
+export const isBlankRow = (row) => !row?.some((value) => !isBlankCell(value));
+
+/**
+ * Rows of the first sheet of a .csv or .xlsx file. Trailing blank rows are dropped; blank rows in
+ * between are kept so row numbers match the spreadsheet.
+ * @param {File} file
+ * @returns {Promise<Array<Array<string|number|boolean|null>>>}
+ */
+export async function readSpreadsheetFile(file) {
+  const name = file?.name?.toLowerCase() ?? '';
+  let rows;
+
+  if (name.endsWith('.xlsx')) {
+    const [sheet] = await readXlsx(await file.arrayBuffer());
+    rows = sheet?.rows ?? [];
+  } else if (name.endsWith('.csv')) {
+    rows = parseCsv(await file.text());
+  } else {
+    throw new Error('Choose a .csv or .xlsx file');
+  }
+
+  let end = rows.length;
+  while (end > 0 && isBlankRow(rows[end - 1])) end -= 1;
+  return rows.slice(0, end);
+}
@@ -0,0 +1,108 @@
+import { fNumber } from 'src/utils/format-number';
+
+// ----------------------------------------------------------------------
+
+/**
+ * Units of measure.
+ *
+ * Every item keeps stock in its base unit (`item.baseUnit`, one of STANDARD_UNITS; pieces when
+ * unset). Other units convert to the base unit: standard units of the same kind by their factor
+ * (1 kg = 1000 g, 1 l = 1000 ml, 1 dozen = 12 pcs) and item-specific units from
+ * `item.unitConversions` ([{ unit: 'crate', factor: 24 }] → 1 crate = 24 base units).
+ * `item.purchaseUnit` and `item.recipeUnit` are the units preselected on stock documents and
+ * recipe ingredients.
+ *
+ * Quantities and prices entered in another unit are converted to the base unit before they are
+ * sent, so all stock math (balances, costs) works on base units.
+ */
+
+export const UNIT_KIND = {
+  count: 'count',
+  mass: 'mass',
+  volume: 'volume',
+};
+
+// factor: size in the kind's smallest unit (pcs, g, ml)
+export const STANDARD_UNITS = [
+  { id: 'pcs', label: 'Pieces (pcs)', kind: UNIT_KIND.count, factor: 1 },
+  { id: 'dozen', label: 'Dozen', kind: UNIT_KIND.count, factor: 12 },
+  { id: 'g', label: 'Grams (g)', kind: UNIT_KIND.mass, factor: 1 },
+  { id: 'kg', label: 'Kilograms (kg)', kind: UNIT_KIND.mass, factor: 1000 },
+  { id: 'ml', label: 'Millilitres (ml)', kind: UNIT_KIND.volume, factor: 1 },
+  { id: 'l', label: 'Litres (l)', kind: UNIT_KIND.volume, factor: 1000 },
+];
+
+export const DEFAULT_BASE_UNIT = 'pcs';
+
+export const UNIT_USAGE = {
+  purchase: 'purchase',
+  recipe: 'recipe',
+};
+
+const findStandardUnit = (unitId) => STANDARD_UNITS.find((unit) => unit.id === unitId);
+
+// ----------------------------------------------------------------------
+
+/** Base unit id of an item (pieces when the item has none). */
+export const getBaseUnit = (item) => (findStandardUnit(item?.baseUnit) ? item.baseUnit : DEFAULT_BASE_UNIT);
+
+/**
+ * Units an item can be counted in, base unit first.
+ * @param {Object} item - { baseUnit?, unitConversions? }
+ * @returns {Array<{ id: string, label: string, factor: number }>} factor = base units in one unit
+ */
+export function getItemUnits(item) {
+  const baseUnit = findStandardUnit(getBaseUnit(item));
+
+  const standard = [
+    baseUnit,
+    ...STANDARD_UNITS.filter((unit) => unit.kind === baseUnit.kind && unit.id !== baseUnit.id),
+  ].map((unit) => ({ id: unit.id, label: unit.id, factor: unit.factor / baseUnit.factor }));
+
+  const custom = (item?.unitConversions ?? [])
+    .filter((conversion) => conversion?.unit?.trim() && Number(conversion.factor) > 0)
+    .filter((conversion) => !standard.some((unit) => unit.id === conversion.unit.trim()))
+    .map((conversion) => ({
+      id: conversion.unit.trim(),
+      label: `${conversion.unit.trim()} (${Number(conversion.factor)} ${baseUnit.id})`,
+      factor: Number(conversion.factor),
+    }));
+
+  return [...standard, ...custom];
+}
+
+/** Base units in one `unitId` of the item (1 when the unit is unknown). */
+export function getUnitFactor(item, unitId) {
+  if (!unitId) return 1;
+  return getItemUnits(item).find((unit) => unit.id === unitId)?.factor ?? 1;
+}
+
+/** Preselected unit for a stock document line or a recipe ingredient. */
+export function getDefaultUnit(item, usage) {
+  const preferred = usage === UNIT_USAGE.purchase ? item?.purchaseUnit : item?.recipeUnit;
+  const units = getItemUnits(item);
+  return units.some((unit) => unit.id === preferred) ? preferred : units[0].id;
+}
+
+/** Quantity in `unitId` → quantity in the item's base unit. */
+export const toBaseQuantity = (quantity, unitId, item) => Number(quantity) * getUnitFactor(item, unitId);
+
+/** Price per `unitId` → price per base unit. */
+export const toBaseUnitPrice = (unitPrice, unitId, item) => Number(unitPrice) / getUnitFactor(item, unitId);
+
+/**
+ * Base units in one entered unit of a saved line (stock document item, recipe ingredient). Lines
+ * keep `quantity` (and `unitPrice`) in the base unit plus the `unit` and `unitQuantity` entered.
+ */
+export const getLineUnitFactor = (line) =>
+  line?.unit && Number(line.unitQuantity) > 0 ? Number(line.quantity) / Number(line.unitQuantity) : 1;
+
+/** Quantity of a saved line as entered, e.g. "2 crate (48)" with the base quantity in brackets. */
+export function formatLineQuantity(line) {
+  if (line?.quantity == null) return '-';
+  const format = (value) => fNumber(value, { maximumFractionDigits: 3 });
+  if (!line.unit) return format(line.quantity);
+  const factor = getLineUnitFactor(line);
+  if (factor === 1) return `${format(line.quantity)} ${line.unit}`;
+  return `${format(line.unitQuantity)} ${line.unit} (${format(line.quantity)})`;
+}
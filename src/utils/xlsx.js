@@ -0,0 +1,82 @@
+// ----------------------------------------------------------------------
+// XLSX workbooks for exports and imports, through ExcelJS (loaded on demand).
+// Writer: one or more sheets of plain values; numbers stay numbers and the first row can be bold.
+// Reader: cell values only; rich text is flattened, formulas give their cached result and dates
+// come back as ISO strings.
+// ----------------------------------------------------------------------
+
+const XLSX_MIME = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const loadExcelJs = async () => {
+  const module = await import('exceljs');
+  return module.default ?? module;
+};
+
+// Excel sheet names: max 31 characters, none of []:*?/\
+const toSheetName = (name, index) => {
+  const cleaned = String(name ?? '')
+    .replace(/[[\]:*?/\\]/g, ' ')
+    .trim()
+    .slice(0, 31);
+  return cleaned || `Sheet${index + 1}`;
+};
+
+function toCellValue(value) {
+  if (value == null || value === '') return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value !== 'object') return value;
+  if (Array.isArray(value.richText)) return value.richText.map((run) => run.text ?? '').join('');
+  if ('result' in value) return toCellValue(value.result);
+  if ('text' in value) return toCellValue(value.text);
+  return null;
+}
+
+// ----------------------------------------------------------------------
+
+/**
+ * Build an .xlsx workbook.
+ *
+ * @param {Array<{ name: string, rows: Array<Array<string|number|boolean|null>>, boldFirstRow?: boolean }>} sheets
+ * @returns {Promise<Blob>}
+ */
+export async function buildXlsxBlob(sheets) {
+  const ExcelJS = await loadExcelJs();
+  const workbook = new ExcelJS.Workbook();
+
+  sheets.forEach((sheet, index) => {
+    const worksheet = workbook.addWorksheet(toSheetName(sheet.name, index));
+    worksheet.addRows((sheet.rows ?? []).map((row) => row.map((value) => (value === '' ? null : value))));
+    if (sheet.boldFirstRow !== false && worksheet.rowCount > 0) {
+      worksheet.getRow(1).font = { bold: true };
+    }
+  });
+
+  const buffer = await workbook.xlsx.writeBuffer();
+  return new Blob([buffer], { type: XLSX_MIME });
+}
+
+/**
+ * Read the sheets of an .xlsx workbook.
+ *
+ * @param {ArrayBuffer} buffer
+ * @returns {Promise<Array<{ name: string, rows: Array<Array<string|number|boolean|null>> }>>}
+ */
+export async function readXlsx(buffer) {
+  const ExcelJS = await loadExcelJs();
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch {
+    throw new Error('The file is not a valid .xlsx workbook');
+  }
+
+  return workbook.worksheets.map((worksheet) => {
+    // getSheetValues() is 1-based and sparse for both rows and cells
+    const sheetValues = worksheet.getSheetValues();
+    const rows = Array.from({ length: Math.max(sheetValues.length - 1, 0) }, (_, index) => {
+      const values = sheetValues[index + 1];
+      return Array.isArray(values) ? Array.from(values.slice(1), toCellValue) : [];
+    });
+    return { name: worksheet.name, rows };
+  });
+}